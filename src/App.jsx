@@ -5,16 +5,16 @@ import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Ba
 import {
   ToastProvider, useToast, setGlobalToastRef, toast,
   ConfirmDialog, EmptyState, KeyboardShortcuts, UserGuide,
-  AnimatedPortfolioValue, InfoTooltip, AddPositionsModal, ScreenshotImportModal,
+  AnimatedPortfolioValue, InfoTooltip, AddPositionsModal, ScreenshotImportModal, StatementImportModal,
   CommandPalette, AutosaveIndicator, RecoveryDialog,
   Sidebar, TickerTape, TICKER_HEIGHT,
 } from './components/common';
 
 // Hooks for autosave, undo/redo, simulation, and sync
-import { useAutosave, AutosaveStatus, useUndoRedo, useSimulation, usePortfolioSync, useStaleness, initialInputVersions, initialTabComputedVersions, DEPENDENCIES, useDocumentTitle, useFirstTimeUser } from './hooks';
+import { useAutosave, AutosaveStatus, useUndoRedo, useSimulation, useStressTest, usePortfolioSync, useStaleness, initialInputVersions, initialTabComputedVersions, DEPENDENCIES, useDocumentTitle, useFirstTimeUser, useSerializedSave } from './hooks';
 
 // Auth components
-import { UserMenu } from './components/auth';
+import { UserMenu, PortfolioSwitcher } from './components/auth';
 import { useAuth } from './contexts/AuthContext';
 
 // Crash recovery utilities
@@ -28,7 +28,7 @@ import {
 } from './utils/crashRecovery';
 
 // Tab components (extracted for performance)
-import { CorrelationTab, SimulationTab, OptimizeTab, PositionsTab, FactorsTab, ExportTab, DistributionsTab, ConsensusTab } from './components/tabs';
+import { CorrelationTab, SimulationTab, OptimizeTab, PositionsTab, FactorsTab, ExportTab, DistributionsTab, ConsensusTab, StressTab, PerformanceTab } from './components/tabs';
 
 // Styles (extracted to reduce file size)
 import { styles } from './styles/appStyles';
@@ -49,6 +49,7 @@ import {
 
 // FMP API service for consensus data
 import { batchFetchConsensusData, getApiKey as getFmpApiKey } from './services/fmpService';
+import { getConsensusRevisions } from './services/consensusService';
 
 // Portfolio optimization utilities
 import {
@@ -61,6 +62,7 @@ import {
   computeIncrementalSharpe,
   computeOptimalityRatio,
   computeRiskParityWeights,
+  computeHRPWeights,
 } from './utils/portfolioOptimization';
 
 // Cache management utilities
@@ -102,6 +104,36 @@ import {
   getParamsFromPercentiles,
 } from './utils/distributionParams';
 
+// Regime-switching model
+import { fitRegimeModel } from './utils/regimeModel';
+
+// GARCH volatility
+import { fitGarch } from './utils/garch';
+
+// Seedable PRNG
+import { random, parseSeed } from './utils/random';
+
+// Fixed-income (duration / rate shock) model
+import { applyBondModel, bondDistributionParams, normalizeBondParams, BOND_PRESETS } from './utils/bondModel';
+
+// Listed option positions
+import { normalizeOptionPosition, valueOptionPosition, resolveOptionVol, validateOption, OPTION_CONTRACT_MULTIPLIER } from './utils/options';
+
+// Multiple portfolios / household view
+import { aggregateHousehold } from './utils/household';
+
+// Compare view (portfolios and what-if variants side by side)
+import { createVariant, buildBookInputs, computeBookFactorExposure, COMPARE_COLORS, COMPARE_MAX_BOOKS } from './utils/comparison';
+import { normalizeTransaction, buildLedger, applyLedgerToPositions, lastTradePrice, COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from './utils/ledger';
+import { mergeStatementPositions } from './utils/statementImport';
+import { normalizeTaxSettings } from './utils/taxes';
+import { normalizeBaseCurrency, baseRate, fxTickersFor } from './utils/currency';
+import { buildSnapshot, normalizeSnapshot, upsertSnapshot, normalizeBenchmark, buildForecastRecord, addForecast, mergeForecasts } from './utils/performance';
+import { normalizeOptimizerConstraints, optimizeConstrained, computeEfficientFrontier, OPTIMIZER_OBJECTIVES } from './utils/constrainedOptimization';
+import { optimizeDownside } from './utils/downsideOptimization';
+import { computeBlackLitterman, shiftPercentiles } from './utils/blackLitterman';
+import { DEFAULT_PORTFOLIO_SETTINGS } from './constants/defaults';
+
 // ============================================
 // MONTE CARLO PORTFOLIO SIMULATOR
 // Using Correlation Matrix as Primary Input
@@ -757,16 +789,16 @@ const studentTInvCDF = (p, df) => {
 // Box-Muller for normal random
 const boxMuller = () => {
   let u1, u2;
-  do { u1 = Math.random(); } while (u1 === 0);
-  u2 = Math.random();
+  do { u1 = random(); } while (u1 === 0);
+  u2 = random();
   return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
 };
 
 // Box-Muller pair for chi-squared generation
 const boxMullerPair = () => {
   let u1, u2;
-  do { u1 = Math.random(); } while (u1 === 0);
-  u2 = Math.random();
+  do { u1 = random(); } while (u1 === 0);
+  u2 = random();
   const r = Math.sqrt(-2 * Math.log(u1));
   const theta = 2 * Math.PI * u2;
   return [r * Math.cos(theta), r * Math.sin(theta)];
@@ -951,6 +983,18 @@ const calculateSampleCorrelation = (returnsMatrix) => {
 };
 
 // Main App Component
+// Per-portfolio settings a newly opened book starts from when it has none
+// saved. DEFAULT_PORTFOLIO_SETTINGS is also the initial state of useSimulation
+// and App; the rest come from their normalizers.
+// correlationMethod is left out: switching books resets it with the edited matrix.
+const PORTFOLIO_SETTINGS_DEFAULTS = {
+  ...DEFAULT_PORTFOLIO_SETTINGS,
+  costBasisMethod: DEFAULT_COST_BASIS_METHOD,
+  baseCurrency: normalizeBaseCurrency(),
+  benchmark: normalizeBenchmark(),
+  optimizerConstraints: normalizeOptimizerConstraints(),
+};
+
 function MonteCarloSimulator() {
   // Auth state
   const { state: authState } = useAuth();
@@ -966,11 +1010,28 @@ function MonteCarloSimulator() {
     saveOptimizationToServer,
     saveCorrelationGroupsToServer,
     loadCorrelationGroupsFromServer,
+    saveTargetAllocationsToServer,
+    saveTransactionsToServer,
+    saveSnapshotToServer,
+    saveSettingsToServer,
+    portfolios,
+    activePortfolioId,
+    switchPortfolio,
+    createPortfolioOnServer,
+    updatePortfolioOnServer,
+    clonePortfolioOnServer,
+    deletePortfolioOnServer,
+    loadHouseholdFromServer,
   } = usePortfolioSync({ debounceMs: 2000 });
 
   // Track if we've loaded from server on login
   const hasLoadedFromServerRef = React.useRef(false);
 
+  // Household view: all portfolios combined into one read-only book
+  // ({ accounts } while active). Nothing is saved while it is shown.
+  const [householdView, setHouseholdView] = useState(null);
+  const [isSwitchingPortfolio, setIsSwitchingPortfolio] = useState(false);
+
   // First-time user onboarding hook
   const {
     shouldShowOnboarding,
@@ -1022,9 +1083,53 @@ function MonteCarloSimulator() {
       };
     });
   });
+
+  // Listed options (puts/calls on a position's ticker), repriced on the
+  // underlying's simulated path rather than treated as linear exposure
+  const [optionPositions, setOptionPositions] = useState(
+    () => (savedData?.optionPositions || []).map(normalizeOptionPosition)
+  );
+
+  // What-if variants: named snapshots of the book for the Compare view
+  // (saved with the portfolio they were taken from)
+  const [whatIfVariants, setWhatIfVariants] = useState(() => savedData?.whatIfVariants || []);
+  // Other portfolios' holdings, loaded on demand for the Compare view
+  const [compareAccountBooks, setCompareAccountBooks] = useState([]);
+
+  // Transaction ledger: positions of tickers it covers are derived from it
+  const [transactions, setTransactions] = useState(
+    () => (savedData?.transactions || []).map(normalizeTransaction)
+  );
+  const [costBasisMethod, setCostBasisMethod] = useState(
+    () => (COST_BASIS_METHODS[savedData?.costBasisMethod] ? savedData.costBasisMethod : DEFAULT_COST_BASIS_METHOD)
+  );
+  // Reporting currency (amounts are stored in USD and converted for display / simulation output)
+  const [baseCurrency, setBaseCurrency] = useState(() => normalizeBaseCurrency(savedData?.baseCurrency));
+  const [liveFxRates, setLiveFxRates] = useState({});
+
+  // Realized performance: daily value snapshots, past runs' bands and the benchmark blend
+  const [snapshots, setSnapshots] = useState(
+    () => (savedData?.snapshots || []).map(normalizeSnapshot).filter(Boolean)
+  );
+  const [forecastHistory, setForecastHistory] = useState(() => savedData?.forecastHistory || []);
+  const [benchmark, setBenchmark] = useState(() => normalizeBenchmark(savedData?.benchmark));
+
+  // Constrained optimizer limits (position bounds come from targetAllocations)
+  const [optimizerConstraints, setOptimizerConstraints] = useState(
+    () => normalizeOptimizerConstraints(savedData?.optimizerConstraints)
+  );
+  const [constrainedResult, setConstrainedResult] = useState(null);
+  const [frontierResult, setFrontierResult] = useState(null);
+  const [isScenarioOptimizing, setIsScenarioOptimizing] = useState(false);
+  // Black-Litterman posterior returns from consensus views (applied to distributions on request)
+  const [blackLittermanResult, setBlackLittermanResult] = useState(null);
+  const [isComputingBlackLitterman, setIsComputingBlackLitterman] = useState(false);
   
   // Compute derived distribution parameters from percentiles
+  // (bonds come from their duration / yield model instead)
   const getDistributionParams = useCallback((pos) => {
+    if (pos.type === 'Bond') return bondDistributionParams(normalizeBondParams(pos.bond, pos.ticker));
+
     // Handle missing percentile fields (migration from old format)
     const p5 = pos.p5 ?? (pos.mu ? pos.mu - 1.645 * (pos.sigma || 0.2) : -0.20);
     const p25 = pos.p25 ?? (pos.mu ? pos.mu - 0.675 * (pos.sigma || 0.2) : 0.02);
@@ -1092,10 +1197,24 @@ function MonteCarloSimulator() {
     fatTailMethod, setFatTailMethod,
     drawdownThreshold, setDrawdownThreshold,
     gldAsCash, setGldAsCash,
+    horizonYears, setHorizonYears,
+    timeStep, setTimeStep,
+    cashFlows, setCashFlows,
+    rebalancing, setRebalancing,
+    taxes, setTaxes,
+    regimeStates, setRegimeStates,
+    volatilityModel, setVolatilityModel,
+    simulationSeed, setSimulationSeed,
+    adaptivePaths, setAdaptivePaths,
+    varianceReduction, setVarianceReduction,
     isSimulating,
     simulationResults, setSimulationResults,
     previousSimulationResults,
+    isComparing,
+    comparisonResults,
     runSimulation: runSimulationHook,
+    runComparison: runComparisonHook,
+    simulateScenarios,
   } = useSimulation({
     initialState: {
       numPaths: savedData?.numPaths,
@@ -1103,11 +1222,42 @@ function MonteCarloSimulator() {
       fatTailMethod: savedData?.fatTailMethod,
       drawdownThreshold: savedData?.drawdownThreshold,
       gldAsCash: savedData?.gldAsCash,
+      horizonYears: savedData?.horizonYears,
+      timeStep: savedData?.timeStep,
+      cashFlows: savedData?.cashFlows,
+      rebalancing: savedData?.rebalancing,
+      taxes: savedData?.taxes,
+      regimeStates: savedData?.regimeStates,
+      volatilityModel: savedData?.volatilityModel,
+      simulationSeed: savedData?.simulationSeed,
+      adaptivePaths: savedData?.adaptivePaths,
+      varianceReduction: savedData?.varianceReduction,
       simulationResults: savedData?.simulationResults,
     },
     showToast,
   });
 
+  // ============================================
+  // STRESS TEST STATE - Managed by useStressTest hook
+  // ============================================
+  const {
+    customScenarios: customStressScenarios, setCustomScenarios: setCustomStressScenarios,
+    stressResults,
+    isStressTesting,
+    stressProgress,
+    runStressTest: runStressTestHook,
+    shockLibrary: factorShockLibrary, setShockLibrary: setFactorShockLibrary,
+    shockResults,
+    isShocking,
+    runFactorShocks: runFactorShocksHook,
+  } = useStressTest({
+    initialState: {
+      customScenarios: savedData?.customStressScenarios,
+      shockLibrary: savedData?.factorShockLibrary,
+    },
+    showToast,
+  });
+
   const [activeTab, setActiveTab] = useState('positions');
 
   // Track which tabs have been visited since new content was loaded
@@ -1120,6 +1270,7 @@ function MonteCarloSimulator() {
     simulation: 0,
     factors: 0,
     optimize: 0,
+    stress: 0,
     export: 0,
   });
 
@@ -1133,6 +1284,7 @@ function MonteCarloSimulator() {
     simulation: 0,
     factors: 0,
     optimize: 0,
+    stress: 0,
     export: 0,
   });
 
@@ -1334,12 +1486,12 @@ function MonteCarloSimulator() {
 
   // EWMA (Exponentially Weighted Moving Average) correlation toggle
   // When enabled, automatically scales half-life based on history timeline
-  const [useEwma, setUseEwma] = useState(savedData?.useEwma ?? true);
+  const [useEwma, setUseEwma] = useState(savedData?.useEwma ?? DEFAULT_PORTFOLIO_SETTINGS.useEwma);
   const [showMethodologyExplainer, setShowMethodologyExplainer] = useState(false);
   
   // Cash balance (positive = cash, negative = margin/borrowing)
   const [cashBalance, setCashBalance] = useState(savedData?.cashBalance ?? 0);
-  const [cashRate, setCashRate] = useState(savedData?.cashRate ?? 0.05); // 5% default (money market / margin rate)
+  const [cashRate, setCashRate] = useState(savedData?.cashRate ?? DEFAULT_PORTFOLIO_SETTINGS.cashRate); // 5% default (money market / margin rate)
   
   // Data fetching state
   const [historicalData, setHistoricalData] = useState({});
@@ -1356,6 +1508,9 @@ function MonteCarloSimulator() {
   const [positionMetadata, setPositionMetadata] = useState(savedData?.positionMetadata || {});
   const [isFetchingMetadata, setIsFetchingMetadata] = useState(false);
   const [correlationGroups, setCorrelationGroups] = useState(savedData?.correlationGroups || null);
+
+  // Rebalancing targets by ticker: { targetWeight, minWeight, maxWeight } (fractions of NAV)
+  const [targetAllocations, setTargetAllocations] = useState(savedData?.targetAllocations || {});
   
   // Lag analysis for international stocks (timezone effects)
   const [lagAnalysis, setLagAnalysis] = useState(null);
@@ -1501,7 +1656,7 @@ function MonteCarloSimulator() {
   const [optimizationProgress, setOptimizationProgress] = useState({ current: 0, total: 0, phase: '' });
   const [selectedSwap, setSelectedSwap] = useState(null); // { buyTicker, sellTicker }
   const [swapValidationResults, setSwapValidationResults] = useState(null);
-  const [riskFreeRate, setRiskFreeRate] = useState(0.05); // 5% default
+  const [riskFreeRate, setRiskFreeRate] = useState(DEFAULT_PORTFOLIO_SETTINGS.riskFreeRate); // 5% default
   const [swapSize, setSwapSize] = useState(savedData?.swapSize ?? 0.01); // 1% default swap size
   const [optimizationPaths, setOptimizationPaths] = useState(savedData?.optimizationPaths ?? 100000); // 100K default MC validation paths
   
@@ -1585,6 +1740,9 @@ function MonteCarloSimulator() {
   // Screenshot import modal
   const [showScreenshotImportModal, setShowScreenshotImportModal] = useState(false);
 
+  // Broker statement (CSV / OFX) import modal
+  const [showStatementImportModal, setShowStatementImportModal] = useState(false);
+
   // Command palette (Cmd+K)
   const [showCommandPalette, setShowCommandPalette] = useState(false);
 
@@ -1679,6 +1837,202 @@ function MonteCarloSimulator() {
     }
   }, []);
 
+  // Per-portfolio settings stored in portfolio_settings (simulation setup;
+  // positions, correlation and results have their own tables)
+  const portfolioSettings = useMemo(() => ({
+    numPaths,
+    useQmc,
+    fatTailMethod,
+    drawdownThreshold,
+    gldAsCash,
+    horizonYears,
+    timeStep,
+    cashFlows,
+    rebalancing,
+    taxes,
+    regimeStates,
+    volatilityModel,
+    correlationMethod,
+    useEwma,
+    cashRate,
+    riskFreeRate,
+    whatIfVariants,
+    costBasisMethod,
+    baseCurrency,
+    benchmark,
+    optimizerConstraints,
+  }), [numPaths, useQmc, fatTailMethod, drawdownThreshold, gldAsCash, horizonYears, timeStep, cashFlows, rebalancing, taxes, regimeStates, volatilityModel, correlationMethod, useEwma, cashRate, riskFreeRate, whatIfVariants, costBasisMethod, baseCurrency, benchmark, optimizerConstraints]);
+
+  const applyPortfolioSettings = useCallback((settings) => {
+    if (settings.numPaths != null) setNumPaths(settings.numPaths);
+    if (settings.useQmc != null) setUseQmc(settings.useQmc);
+    if (settings.fatTailMethod != null) setFatTailMethod(settings.fatTailMethod);
+    if (settings.drawdownThreshold != null) setDrawdownThreshold(settings.drawdownThreshold);
+    if (settings.gldAsCash != null) setGldAsCash(settings.gldAsCash);
+    if (settings.horizonYears != null) setHorizonYears(settings.horizonYears);
+    if (settings.timeStep != null) setTimeStep(settings.timeStep);
+    if (settings.cashFlows != null) setCashFlows(settings.cashFlows);
+    if (settings.rebalancing != null) setRebalancing(settings.rebalancing);
+    if (settings.taxes != null) setTaxes(normalizeTaxSettings(settings.taxes));
+    if (settings.regimeStates != null) setRegimeStates(settings.regimeStates);
+    if (settings.volatilityModel != null) setVolatilityModel(settings.volatilityModel);
+    if (settings.correlationMethod != null) setCorrelationMethod(settings.correlationMethod);
+    if (settings.useEwma != null) setUseEwma(settings.useEwma);
+    if (settings.cashRate != null) setCashRate(settings.cashRate);
+    if (settings.riskFreeRate != null) setRiskFreeRate(settings.riskFreeRate);
+    if (COST_BASIS_METHODS[settings.costBasisMethod]) setCostBasisMethod(settings.costBasisMethod);
+    if (settings.baseCurrency != null) setBaseCurrency(normalizeBaseCurrency(settings.baseCurrency));
+    if (settings.benchmark != null) setBenchmark(normalizeBenchmark(settings.benchmark));
+    if (settings.optimizerConstraints != null) setOptimizerConstraints(normalizeOptimizerConstraints(settings.optimizerConstraints));
+  }, [setNumPaths, setUseQmc, setFatTailMethod, setDrawdownThreshold, setGldAsCash, setHorizonYears, setTimeStep, setCashFlows, setRebalancing, setTaxes, setRegimeStates, setVolatilityModel]);
+
+  /**
+   * Load a portfolio fetched from the server into state
+   * @param {Object} data - fetchAllData() output
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Clear anything the portfolio doesn't
+   *   have (switching books) instead of keeping local state (login restore)
+   */
+  const applyServerData = useCallback((data, { replace = false } = {}) => {
+    if (replace) {
+      // Derived from the previous book's holdings
+      setCorrelationMatrix(null);
+      setSelectedSwap(null);
+      setSwapValidationResults(null);
+      setThematicSwapResults(null);
+      setConstrainedResult(null);
+      setFrontierResult(null);
+      setBlackLittermanResult(null);
+      // Undo must not bring another portfolio's positions back
+      positionsHistoryRef.current = [];
+      positionsFutureRef.current = [];
+      setCanUndo(false);
+      setCanRedo(false);
+    }
+
+    // Restore positions
+    if (data.positions && (replace || data.positions.length > 0)) {
+      setPositions(data.positions.map(p => ({
+        id: p.id || Date.now() + Math.random(),
+        ticker: p.ticker,
+        quantity: p.quantity,
+        price: p.price,
+        avgCost: p.avgCost,
+        type: p.type || 'Equity',
+        bond: p.bond ?? null,
+        p5: p.p5 ?? -0.25,
+        p25: p.p25 ?? -0.05,
+        p50: p.p50 ?? 0.08,
+        p75: p.p75 ?? 0.20,
+        p95: p.p95 ?? 0.40,
+        // Currency fields for international stocks
+        currency: p.currency || 'USD',
+        domesticPrice: p.domesticPrice ?? null,
+        exchangeRate: p.exchangeRate ?? 1,
+        fxHedged: !!p.fxHedged,
+      })));
+    }
+
+    // Restore listed options (stored as positions with position_type 'Option')
+    if (data.optionPositions || replace) {
+      setOptionPositions(data.optionPositions || []);
+    }
+
+    // Restore cash balance
+    if (data.cashBalance != null || replace) {
+      setCashBalance(data.cashBalance ?? 0);
+    }
+
+    // Restore edited correlation
+    if (data.editedCorrelation || replace) {
+      setEditedCorrelation(data.editedCorrelation || null);
+      setCorrelationMethod(data.correlationMethod || 'shrinkage');
+    }
+
+    // Restore simulation results
+    if (data.simulationResults || replace) {
+      setSimulationResults(data.simulationResults || null);
+    }
+
+    // Restore factor analysis
+    if (data.factorAnalysis || replace) {
+      setFactorAnalysis(data.factorAnalysis || null);
+    }
+
+    // Restore optimization results
+    if (data.optimizationResults || replace) {
+      setOptimizationResults(data.optimizationResults || null);
+    }
+
+    // Restore correlation groups (convert ticker-based to position-ID-based)
+    if (replace) {
+      setCorrelationGroups(null);
+    }
+    if (data.correlationGroups && Object.keys(data.correlationGroups).length > 0) {
+      // We need to use the restored positions (not the current state) for conversion
+      const restoredPositions = data.positions.map(p => ({
+        id: p.id || Date.now() + Math.random(),
+        ticker: p.ticker,
+      }));
+
+      // Convert ticker-based groups to position-ID-based groups
+      const posIdGroups = {};
+      for (const [groupName, tickers] of Object.entries(data.correlationGroups)) {
+        posIdGroups[groupName] = tickers
+          .map(ticker => {
+            const pos = restoredPositions.find(p => p.ticker?.toUpperCase() === ticker?.toUpperCase());
+            return pos?.id;
+          })
+          .filter(Boolean);
+      }
+
+      // Filter out groups with less than 2 members
+      const meaningfulGroups = {};
+      for (const [groupName, posIds] of Object.entries(posIdGroups)) {
+        if (posIds.length >= 2) {
+          meaningfulGroups[groupName] = posIds;
+        }
+      }
+
+      if (Object.keys(meaningfulGroups).length > 0) {
+        setCorrelationGroups(meaningfulGroups);
+        console.log(`[App] Restored ${Object.keys(meaningfulGroups).length} correlation groups from cloud`);
+      }
+    }
+
+    // Restore rebalancing targets (ticker-based, same shape as local state)
+    if (data.targetAllocations || replace) {
+      setTargetAllocations(data.targetAllocations || {});
+    }
+
+    // Restore the transaction ledger (positions already reflect it)
+    if (data.transactions || replace) {
+      setTransactions((data.transactions || []).map(normalizeTransaction));
+    }
+
+    // Performance history: another portfolio's replaces it, the cloud's fills in local days
+    if (data.snapshots || replace) {
+      const loaded = (data.snapshots || []).map(normalizeSnapshot).filter(Boolean);
+      setSnapshots(prev => (replace ? loaded : loaded.reduce(upsertSnapshot, prev)));
+    }
+    if (data.forecasts || replace) {
+      setForecastHistory(prev => (replace ? mergeForecasts([], data.forecasts) : mergeForecasts(prev, data.forecasts)));
+    }
+
+    // Per-portfolio simulation settings; another portfolio's book starts from
+    // the defaults for anything it hasn't saved
+    if (replace) {
+      applyPortfolioSettings({ ...PORTFOLIO_SETTINGS_DEFAULTS, ...(data.settings || {}) });
+    } else if (data.settings && Object.keys(data.settings).length > 0) {
+      applyPortfolioSettings(data.settings);
+    }
+
+    // What-if variants belong to the portfolio they were saved from
+    if (Array.isArray(data.settings?.whatIfVariants) || replace) {
+      setWhatIfVariants(data.settings?.whatIfVariants || []);
+    }
+  }, [applyPortfolioSettings, setSimulationResults]);
+
   // ============================================
   // SUPABASE SYNC - Load data on login
   // ============================================
@@ -1707,85 +2061,7 @@ function MonteCarloSimulator() {
           hasOptimization: !!data.optimizationResults,
         });
 
-        // Restore positions
-        if (data.positions && data.positions.length > 0) {
-          setPositions(data.positions.map(p => ({
-            id: p.id || Date.now() + Math.random(),
-            ticker: p.ticker,
-            quantity: p.quantity,
-            price: p.price,
-            avgCost: p.avgCost,
-            type: p.type || 'Equity',
-            p5: p.p5 ?? -0.25,
-            p25: p.p25 ?? -0.05,
-            p50: p.p50 ?? 0.08,
-            p75: p.p75 ?? 0.20,
-            p95: p.p95 ?? 0.40,
-            // Currency fields for international stocks
-            currency: p.currency || 'USD',
-            domesticPrice: p.domesticPrice ?? null,
-            exchangeRate: p.exchangeRate ?? 1,
-          })));
-        }
-
-        // Restore cash balance
-        if (data.cashBalance != null) {
-          setCashBalance(data.cashBalance);
-        }
-
-        // Restore edited correlation
-        if (data.editedCorrelation) {
-          setEditedCorrelation(data.editedCorrelation);
-          setCorrelationMethod(data.correlationMethod || 'shrinkage');
-        }
-
-        // Restore simulation results
-        if (data.simulationResults) {
-          setSimulationResults(data.simulationResults);
-        }
-
-        // Restore factor analysis
-        if (data.factorAnalysis) {
-          setFactorAnalysis(data.factorAnalysis);
-        }
-
-        // Restore optimization results
-        if (data.optimizationResults) {
-          setOptimizationResults(data.optimizationResults);
-        }
-
-        // Restore correlation groups (convert ticker-based to position-ID-based)
-        if (data.correlationGroups && Object.keys(data.correlationGroups).length > 0) {
-          // We need to use the restored positions (not the current state) for conversion
-          const restoredPositions = data.positions.map(p => ({
-            id: p.id || Date.now() + Math.random(),
-            ticker: p.ticker,
-          }));
-
-          // Convert ticker-based groups to position-ID-based groups
-          const posIdGroups = {};
-          for (const [groupName, tickers] of Object.entries(data.correlationGroups)) {
-            posIdGroups[groupName] = tickers
-              .map(ticker => {
-                const pos = restoredPositions.find(p => p.ticker?.toUpperCase() === ticker?.toUpperCase());
-                return pos?.id;
-              })
-              .filter(Boolean);
-          }
-
-          // Filter out groups with less than 2 members
-          const meaningfulGroups = {};
-          for (const [groupName, posIds] of Object.entries(posIdGroups)) {
-            if (posIds.length >= 2) {
-              meaningfulGroups[groupName] = posIds;
-            }
-          }
-
-          if (Object.keys(meaningfulGroups).length > 0) {
-            setCorrelationGroups(meaningfulGroups);
-            console.log(`[App] Restored ${Object.keys(meaningfulGroups).length} correlation groups from cloud`);
-          }
-        }
+        applyServerData(data);
 
         showToast({ type: 'success', message: 'Portfolio synced from cloud', duration: 3000 });
 
@@ -1804,7 +2080,7 @@ function MonteCarloSimulator() {
     };
 
     loadServerData();
-  }, [authState.isAuthenticated, loadFromServer, showToast, triggerOnboardingCheck]);
+  }, [authState.isAuthenticated, loadFromServer, applyServerData, showToast, triggerOnboardingCheck]);
 
   // Track previous auth state to detect sign-out
   const wasAuthenticatedRef = useRef(authState.isAuthenticated);
@@ -1834,6 +2110,8 @@ function MonteCarloSimulator() {
           p5: -0.10, p25: 0.00, p50: 0.05, p75: 0.10, p95: 0.20 },
       ];
       setPositions(defaultPositions);
+      setOptionPositions([]);
+      setHouseholdView(null);
 
       // Reset cash balance
       setCashBalance(0);
@@ -1910,12 +2188,17 @@ function MonteCarloSimulator() {
       return;
     }
 
+    // The combined household book is not a portfolio of its own
+    if (householdView) {
+      return;
+    }
+
     // Skip if positions haven't actually changed
     const positionsKey = JSON.stringify(positions.map(p => ({
-      ticker: p.ticker, quantity: p.quantity, price: p.price,
+      ticker: p.ticker, quantity: p.quantity, price: p.price, type: p.type, bond: p.bond,
       p5: p.p5, p25: p.p25, p50: p.p50, p75: p.p75, p95: p.p95,
-      currency: p.currency, domesticPrice: p.domesticPrice, exchangeRate: p.exchangeRate
-    })));
+      currency: p.currency, domesticPrice: p.domesticPrice, exchangeRate: p.exchangeRate, fxHedged: p.fxHedged
+    })).concat(optionPositions));
 
     if (positionsKey === lastSavedPositionsRef.current) {
       console.log('[App] Skipping sync - positions unchanged');
@@ -1923,58 +2206,254 @@ function MonteCarloSimulator() {
     }
     lastSavedPositionsRef.current = positionsKey;
 
+    // Half-typed options (no strike or expiry yet) would fail the server's option
+    // check; keep them local until they are complete. Expired contracts still save
+    const savableOptions = optionPositions.filter(o => {
+      const problem = validateOption(o);
+      return !problem || problem === 'expired';
+    });
+    if (savableOptions.length < optionPositions.length) {
+      console.log(`[App] Holding back ${optionPositions.length - savableOptions.length} incomplete option(s) from sync`);
+    }
+
     console.log('[App] 📤 Triggering position save to server...');
     // Debounced save
-    savePositionsToServer(positions, cashBalance);
-  }, [authState.isAuthenticated, positions, cashBalance, savePositionsToServer]);
+    savePositionsToServer([...positions, ...savableOptions], cashBalance);
+  }, [authState.isAuthenticated, householdView, positions, optionPositions, cashBalance, savePositionsToServer]);
+
+  // ============================================
+  // SUPABASE SYNC - Save per-portfolio settings (debounced)
+  // ============================================
+  const lastSavedSettingsRef = useRef(null);
+  const settingsTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    if (!authState.isAuthenticated || householdView || !hasLoadedFromServerRef.current) {
+      return;
+    }
+
+    const settingsKey = JSON.stringify(portfolioSettings);
+    if (settingsKey === lastSavedSettingsRef.current) {
+      return;
+    }
+
+    settingsTimeoutRef.current = setTimeout(() => {
+      settingsTimeoutRef.current = null;
+      lastSavedSettingsRef.current = settingsKey;
+      saveSettingsToServer(portfolioSettings);
+    }, 2000);
+    return () => {
+      clearTimeout(settingsTimeoutRef.current);
+      settingsTimeoutRef.current = null;
+    };
+  }, [authState.isAuthenticated, householdView, portfolioSettings, saveSettingsToServer]);
+
+  // Save a pending settings change before the active portfolio changes
+  const flushPendingSettings = useCallback(async () => {
+    if (!settingsTimeoutRef.current) return;
+    clearTimeout(settingsTimeoutRef.current);
+    settingsTimeoutRef.current = null;
+    lastSavedSettingsRef.current = JSON.stringify(portfolioSettings);
+    await saveSettingsToServer(portfolioSettings);
+  }, [portfolioSettings, saveSettingsToServer]);
+
+  // Ledger and target-allocation saves rewrite the whole set, so they are
+  // debounced and run one at a time; edits made while a save is in flight go
+  // out next (latest value wins)
+  const { queueSave: queueTransactionsSave, flushSave: flushTransactionsSave } = useSerializedSave(saveTransactionsToServer, {
+    onError: () => showToast({ type: 'error', title: 'Sync Failed', message: 'Could not save transactions to the cloud.' }),
+  });
+  const { queueSave: queueTargetAllocationsSave, flushSave: flushTargetAllocationsSave } = useSerializedSave(saveTargetAllocationsToServer, {
+    onError: () => showToast({ type: 'error', title: 'Sync Failed', message: 'Could not save target allocations to the cloud.' }),
+  });
+
+  // Save pending ledger and target edits before the active portfolio changes
+  const flushPendingSaves = useCallback(async () => {
+    await Promise.all([flushTransactionsSave(), flushTargetAllocationsSave()]);
+  }, [flushTransactionsSave, flushTargetAllocationsSave]);
+
+  // ============================================
+  // MULTIPLE PORTFOLIOS
+  // ============================================
+
+  // Save pending edits, load another portfolio and replace the current book with it
+  const handleSwitchPortfolio = useCallback(async (portfolioId, { silent = false } = {}) => {
+    if (!portfolioId || isSwitchingPortfolio) return;
+    if (!householdView && portfolioId === activePortfolioId) return;
+
+    setIsSwitchingPortfolio(true);
+    try {
+      if (!householdView) {
+        await flushPendingSettings();
+        await flushPendingSaves();
+      }
+      const { data, error } = await switchPortfolio(portfolioId);
+      if (error || !data) {
+        console.error('[App] Failed to switch portfolio:', error);
+        showToast({ type: 'error', title: 'Switch Failed', message: 'Could not load that portfolio.' });
+        return;
+      }
+      setHouseholdView(null);
+      applyServerData(data, { replace: true });
+      if (!silent) {
+        showToast({ type: 'success', message: `Switched to ${data.name}`, duration: 2500 });
+      }
+      setShouldRefreshAfterLogin(true);
+    } finally {
+      setIsSwitchingPortfolio(false);
+    }
+  }, [isSwitchingPortfolio, householdView, activePortfolioId, flushPendingSettings, flushPendingSaves, switchPortfolio, applyServerData, showToast]);
+
+  const handleCreatePortfolio = useCallback(async (details) => {
+    const { portfolio, error } = await createPortfolioOnServer(details);
+    if (error || !portfolio) {
+      showToast({ type: 'error', title: 'Create Failed', message: 'Could not create the portfolio.' });
+      return;
+    }
+    await handleSwitchPortfolio(portfolio.id, { silent: true });
+    showToast({ type: 'success', message: `Created ${portfolio.name} — add positions to get started`, duration: 3000 });
+  }, [createPortfolioOnServer, handleSwitchPortfolio, showToast]);
+
+  const handleUpdatePortfolio = useCallback(async (portfolioId, updates) => {
+    const { success, error } = await updatePortfolioOnServer(portfolioId, updates);
+    if (!success && error) {
+      showToast({ type: 'error', title: 'Rename Failed', message: 'Could not rename the portfolio.' });
+    }
+  }, [updatePortfolioOnServer, showToast]);
+
+  const handleClonePortfolio = useCallback(async (details) => {
+    if (!activePortfolioId) return;
+    await flushPendingSettings();
+    const { portfolio, error } = await clonePortfolioOnServer(activePortfolioId, details);
+    if (error || !portfolio) {
+      showToast({ type: 'error', title: 'Clone Failed', message: 'Could not copy the portfolio.' });
+      return;
+    }
+    await handleSwitchPortfolio(portfolio.id, { silent: true });
+    showToast({ type: 'success', message: `Cloned into ${portfolio.name}`, duration: 3000 });
+  }, [activePortfolioId, flushPendingSettings, clonePortfolioOnServer, handleSwitchPortfolio, showToast]);
+
+  const handleDeletePortfolio = useCallback((portfolioId) => {
+    const target = portfolios.find(p => p.id === portfolioId);
+    if (!target || portfolios.length <= 1) return;
+
+    setConfirmDialog({
+      title: 'Delete Portfolio',
+      message: `Delete "${target.name}" with its positions, settings, correlation and saved results? This cannot be undone.`,
+      confirmLabel: 'Delete',
+      confirmVariant: 'danger',
+      onConfirm: async () => {
+        setConfirmDialog(null);
+        if (portfolioId === activePortfolioId) {
+          // Pending settings belong to the book being deleted
+          clearTimeout(settingsTimeoutRef.current);
+          settingsTimeoutRef.current = null;
+        }
+        const { success, remaining } = await deletePortfolioOnServer(portfolioId);
+        if (!success) {
+          showToast({ type: 'error', title: 'Delete Failed', message: 'Could not delete the portfolio.' });
+          return;
+        }
+        if (portfolioId === activePortfolioId && remaining.length > 0) {
+          await handleSwitchPortfolio(remaining[0].id, { silent: true });
+        }
+        showToast({ type: 'info', message: `Deleted ${target.name}`, duration: 3000 });
+      },
+    });
+  }, [portfolios, activePortfolioId, deletePortfolioOnServer, handleSwitchPortfolio, showToast]);
+
+  // Combine every portfolio into one read-only book for simulation
+  const handleShowHousehold = useCallback(async () => {
+    if (householdView || isSwitchingPortfolio) return;
+
+    setIsSwitchingPortfolio(true);
+    try {
+      await flushPendingSettings();
+      await flushPendingSaves();
+      const { data, error } = await loadHouseholdFromServer();
+      if (error || !data) {
+        showToast({ type: 'error', title: 'Household Failed', message: 'Could not load your portfolios.' });
+        return;
+      }
+      const household = aggregateHousehold(data.portfolios);
+      setHouseholdView({ accounts: household.accounts });
+      applyServerData({
+        positions: household.positions,
+        optionPositions: household.optionPositions,
+        cashBalance: household.cashBalance,
+      }, { replace: true });
+      showToast({
+        type: 'info',
+        message: `Household view: ${household.accounts.length} portfolios, ${household.positions.length} holdings combined`,
+        duration: 3000,
+      });
+      setShouldRefreshAfterLogin(true);
+    } finally {
+      setIsSwitchingPortfolio(false);
+    }
+  }, [householdView, isSwitchingPortfolio, flushPendingSettings, flushPendingSaves, loadHouseholdFromServer, applyServerData, showToast]);
 
   // ============================================
   // SUPABASE SYNC - Save correlation on change
   // ============================================
   useEffect(() => {
-    if (!authState.isAuthenticated || !editedCorrelation) {
+    if (!authState.isAuthenticated || !editedCorrelation || householdView) {
       return;
     }
 
     const tickers = positions.map(p => p.ticker);
     saveCorrelationToServer(editedCorrelation, correlationMethod, tickers);
-  }, [authState.isAuthenticated, editedCorrelation, correlationMethod, positions, saveCorrelationToServer]);
+  }, [authState.isAuthenticated, householdView, editedCorrelation, correlationMethod, positions, saveCorrelationToServer]);
 
   // ============================================
   // SUPABASE SYNC - Save simulation results on change
   // ============================================
   useEffect(() => {
-    if (!authState.isAuthenticated || !simulationResults) {
+    // Fresh runs only (restored results carry savedAt or the server's summary shape)
+    if (!simulationResults?.terminal || simulationResults.savedAt || householdView) {
       return;
     }
 
-    // Only save if we have meaningful results
-    if (simulationResults.mean != null || simulationResults.percentiles) {
-      saveSimulationToServer(simulationResults);
-    }
-  }, [authState.isAuthenticated, simulationResults, saveSimulationToServer]);
+    // Keep the run's bands so realized returns can be checked against them later
+    const forecast = buildForecastRecord(simulationResults);
+    setForecastHistory(prev => addForecast(prev, forecast));
+
+    if (!authState.isAuthenticated) return;
+    const { terminal } = simulationResults;
+    saveSimulationToServer({
+      numPaths: simulationResults.numPaths,
+      method: simulationResults.useQmc ? 'quasi-monte-carlo' : 'monte-carlo',
+      mean: terminal.mean,
+      median: terminal.p50,
+      var95: terminal.p5,
+      maxDrawdown: simulationResults.drawdown?.p50 ?? null,
+      percentiles: { p5: terminal.p5, p25: terminal.p25, p50: terminal.p50, p75: terminal.p75, p95: terminal.p95, forecast },
+      seed: simulationResults.seed,
+      workerCount: simulationResults.workerCount,
+    });
+  }, [authState.isAuthenticated, householdView, simulationResults, saveSimulationToServer]);
 
   // ============================================
   // SUPABASE SYNC - Save factor results on change
   // ============================================
   useEffect(() => {
-    if (!authState.isAuthenticated || !factorAnalysis) {
+    if (!authState.isAuthenticated || !factorAnalysis || householdView) {
       return;
     }
 
     saveFactorsToServer(factorAnalysis);
-  }, [authState.isAuthenticated, factorAnalysis, saveFactorsToServer]);
+  }, [authState.isAuthenticated, householdView, factorAnalysis, saveFactorsToServer]);
 
   // ============================================
   // SUPABASE SYNC - Save optimization results on change
   // ============================================
   useEffect(() => {
-    if (!authState.isAuthenticated || !optimizationResults) {
+    if (!authState.isAuthenticated || !optimizationResults || householdView) {
       return;
     }
 
     saveOptimizationToServer(optimizationResults);
-  }, [authState.isAuthenticated, optimizationResults, saveOptimizationToServer]);
+  }, [authState.isAuthenticated, householdView, optimizationResults, saveOptimizationToServer]);
 
   // Window resize listener for responsive header
   useEffect(() => {
@@ -1997,10 +2476,10 @@ function MonteCarloSimulator() {
         return;
       }
       
-      // Number keys 1-8 for tab switching
-      if (e.key >= '1' && e.key <= '8' && !e.metaKey && !e.ctrlKey && !e.altKey) {
-        const tabs = ['positions', 'consensus', 'distributions', 'correlation', 'simulation', 'factors', 'optimize', 'export'];
-        const idx = parseInt(e.key) - 1;
+      // Number keys 1-9 (and 0 for the tenth) for tab switching
+      if (e.key >= '0' && e.key <= '9' && !e.metaKey && !e.ctrlKey && !e.altKey) {
+        const tabs = ['positions', 'consensus', 'distributions', 'correlation', 'simulation', 'factors', 'optimize', 'stress', 'export', 'performance'];
+        const idx = e.key === '0' ? 9 : parseInt(e.key) - 1;
         if (tabs[idx]) {
           e.preventDefault();
           setActiveTab(tabs[idx]);
@@ -2198,6 +2677,11 @@ function MonteCarloSimulator() {
       clearTimeout(autosaveTimeoutRef.current);
     }
 
+    // Keep the last real portfolio in local storage, not the household book
+    if (householdView) {
+      return;
+    }
+
     setAutosaveStatus(AutosaveStatus.IDLE);
 
     autosaveTimeoutRef.current = setTimeout(() => {
@@ -2205,6 +2689,7 @@ function MonteCarloSimulator() {
       try {
         saveToStorage({
           positions,
+          optionPositions,
           correlationMethod,
           useEwma,
           useQmc,
@@ -2214,6 +2699,27 @@ function MonteCarloSimulator() {
           cashRate,
           riskFreeRate,
           gldAsCash,
+          horizonYears,
+          timeStep,
+          cashFlows,
+          rebalancing,
+          taxes,
+          regimeStates,
+          volatilityModel,
+          simulationSeed,
+          adaptivePaths,
+          varianceReduction,
+          customStressScenarios,
+          factorShockLibrary,
+          targetAllocations,
+          whatIfVariants,
+          transactions,
+          costBasisMethod,
+          baseCurrency,
+          snapshots,
+          forecastHistory,
+          benchmark,
+          optimizerConstraints,
           simulationResults,
         });
         setLastSaved(new Date());
@@ -2230,7 +2736,7 @@ function MonteCarloSimulator() {
         clearTimeout(autosaveTimeoutRef.current);
       }
     };
-  }, [positions, correlationMethod, useEwma, useQmc, numPaths, fatTailMethod, cashBalance, cashRate, riskFreeRate, gldAsCash, simulationResults]);
+  }, [householdView, positions, optionPositions, correlationMethod, useEwma, useQmc, numPaths, fatTailMethod, cashBalance, cashRate, riskFreeRate, gldAsCash, horizonYears, timeStep, cashFlows, rebalancing, taxes, regimeStates, volatilityModel, simulationSeed, adaptivePaths, varianceReduction, customStressScenarios, factorShockLibrary, targetAllocations, whatIfVariants, transactions, costBasisMethod, baseCurrency, snapshots, forecastHistory, benchmark, optimizerConstraints, simulationResults]);
 
   // ============================================
   // CRASH RECOVERY CHECK ON MOUNT
@@ -2279,7 +2785,11 @@ function MonteCarloSimulator() {
     // Add SPY if not already in positions (needed for beta calculation)
     // Also add factor ETFs for factor analysis
     const factorETFs = ['SPY', 'IWM', 'IWD', 'IWF', 'MTUM', 'QUAL', 'SPLV', ...Object.keys(THEMATIC_ETFS)];
-    const allTickers = [...new Set([...factorETFs, ...tickers])];
+    // FX pairs for the base currency (history drives the simulation's currency risk factors)
+    const fxTickers = fxTickersFor(positions, baseCurrency);
+    // Benchmark blend for the Performance view
+    const benchmarkTickers = Object.keys(benchmark);
+    const allTickers = [...new Set([...factorETFs, ...tickers, ...fxTickers, ...benchmarkTickers])];
     setUnifiedFetchProgress({ current: 0, total: allTickers.length, message: 'Initializing...' });
 
     console.log(`🚀 Fetching unified data for ${allTickers.length} tickers (${tickers.length} positions + ${factorETFs.length} factor ETFs)...`);
@@ -3044,7 +3554,8 @@ function MonteCarloSimulator() {
     const rehydratedUpdates = {};
     
     setPositions(prev => prev.map(pos => {
-      if (!pos.ticker) return pos;
+      // Bonds keep the percentiles of their duration / yield model
+      if (!pos.ticker || pos.type === 'Bond') return pos;
       let data = unifiedMarketData[pos.ticker.toUpperCase()];
       
       // Rehydrate if needed
@@ -3324,6 +3835,8 @@ function MonteCarloSimulator() {
   
   // Auto-save to localStorage when key data changes
   useEffect(() => {
+    if (householdView) return;
+
     // Save simulation results - trim large distribution arrays to avoid localStorage limits
     const trimDistribution = (arr, maxLen = 1000) => {
       if (!arr || arr.length <= maxLen) return arr;
@@ -3363,8 +3876,17 @@ function MonteCarloSimulator() {
         p90: simulationResults.drawdown?.p90,
         p95: simulationResults.drawdown?.p95,
         p99: simulationResults.drawdown?.p99,
+        mean: simulationResults.drawdown?.mean,
+        probExceedThreshold: simulationResults.drawdown?.probExceedThreshold,
         distribution: trimDistribution(simulationResults.drawdown?.distribution),
       },
+      annualized: simulationResults.annualized,
+      recovery: simulationResults.recovery,
+      fanChart: simulationResults.fanChart,
+      cashFlows: simulationResults.cashFlows,
+      horizonYears: simulationResults.horizonYears,
+      timeStep: simulationResults.timeStep,
+      stepsPerYear: simulationResults.stepsPerYear,
       // Keep terminalReturns for loss scenario analysis (trimmed to 2000 samples)
       terminalReturns: trimDistribution(simulationResults.terminalReturns, 2000),
       probLoss: simulationResults.probLoss,
@@ -3389,11 +3911,13 @@ function MonteCarloSimulator() {
       topSwaps: optimizationResults.topSwaps?.slice(0, 10),
       baselineMC: optimizationResults.baselineMC,
       riskParity: optimizationResults.riskParity,
+      hrp: optimizationResults.hrp,
       // Don't save the full swap matrix - too large
     } : null;
     
     const dataToSave = {
       positions,
+      optionPositions,
       correlationMatrix,
       editedCorrelation,
       numPaths,
@@ -3403,6 +3927,27 @@ function MonteCarloSimulator() {
       fatTailMethod,
       useQmc,
       drawdownThreshold,
+      horizonYears,
+      timeStep,
+      cashFlows,
+      rebalancing,
+      taxes,
+      regimeStates,
+      volatilityModel,
+      simulationSeed,
+      adaptivePaths,
+      varianceReduction,
+      customStressScenarios,
+      factorShockLibrary,
+      targetAllocations,
+      whatIfVariants,
+      transactions,
+      costBasisMethod,
+      baseCurrency,
+      snapshots,
+      forecastHistory,
+      benchmark,
+      optimizerConstraints,
       cashBalance,
       cashRate,
       swapSize,
@@ -3415,7 +3960,7 @@ function MonteCarloSimulator() {
       savedAt: new Date().toISOString(),
     };
     saveToStorage(dataToSave);
-  }, [positions, correlationMatrix, editedCorrelation, numPaths, gldAsCash, correlationMethod, useEwma, fatTailMethod, useQmc, drawdownThreshold, cashBalance, cashRate, swapSize, optimizationPaths, positionMetadata, correlationGroups, simulationResults, optimizationResults, calendarYearReturns]);
+  }, [householdView, positions, optionPositions, correlationMatrix, editedCorrelation, numPaths, gldAsCash, correlationMethod, useEwma, fatTailMethod, useQmc, drawdownThreshold, horizonYears, timeStep, cashFlows, rebalancing, taxes, regimeStates, volatilityModel, simulationSeed, adaptivePaths, varianceReduction, customStressScenarios, factorShockLibrary, targetAllocations, whatIfVariants, transactions, costBasisMethod, baseCurrency, snapshots, forecastHistory, benchmark, optimizerConstraints, cashBalance, cashRate, swapSize, optimizationPaths, positionMetadata, correlationGroups, simulationResults, optimizationResults, calendarYearReturns]);
   
   // Export portfolio as JSON file
   const exportPortfolio = () => {
@@ -3427,8 +3972,10 @@ function MonteCarloSimulator() {
         id: pos.id,
         ticker: pos.ticker,
         quantity: pos.quantity,
+        avgCost: pos.avgCost,
         price: pos.price,
         type: pos.type,
+        bond: pos.bond,
         // Return distribution (percentiles)
         p5: pos.p5,
         p25: pos.p25,
@@ -3449,6 +3996,8 @@ function MonteCarloSimulator() {
       version: '5.2',
       exportedAt: new Date().toISOString(),
       positions: exportPositions,
+      optionPositions,
+      transactions,
       cash: {
         balance: cashBalance,
         rate: cashRate,
@@ -3463,11 +4012,29 @@ function MonteCarloSimulator() {
         fatTailMethod,
         useQmc,
         drawdownThreshold,
+        horizonYears,
+        timeStep,
+        cashFlows,
+        rebalancing,
+        taxes,
+        regimeStates,
+        volatilityModel,
+        simulationSeed,
+        adaptivePaths,
+        varianceReduction,
+        customStressScenarios,
+        factorShockLibrary,
+        whatIfVariants,
+        costBasisMethod,
+        baseCurrency,
+        benchmark,
+        optimizerConstraints,
       },
       // Include metadata for context (not required for simulation)
       _metadata: {
         positionMetadata,
         correlationGroups,
+        targetAllocations,
       },
     };
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -3504,6 +4071,12 @@ function MonteCarloSimulator() {
           });
           setPositions(importedPositions);
         }
+        if (Array.isArray(data.optionPositions)) {
+          setOptionPositions(data.optionPositions.map(normalizeOptionPosition));
+        }
+        if (Array.isArray(data.transactions)) {
+          setTransactions(data.transactions.map(normalizeTransaction));
+        }
         
         if (data.correlationMatrix) setCorrelationMatrix(data.correlationMatrix);
         if (data.editedCorrelation) setEditedCorrelation(data.editedCorrelation);
@@ -3523,6 +4096,23 @@ function MonteCarloSimulator() {
           if (data.settings.fatTailMethod) setFatTailMethod(data.settings.fatTailMethod);
           if (data.settings.useQmc !== undefined) setUseQmc(data.settings.useQmc);
           if (data.settings.drawdownThreshold) setDrawdownThreshold(data.settings.drawdownThreshold);
+          if (data.settings.horizonYears) setHorizonYears(data.settings.horizonYears);
+          if (data.settings.timeStep) setTimeStep(data.settings.timeStep);
+          if (data.settings.cashFlows) setCashFlows(data.settings.cashFlows);
+          if (data.settings.rebalancing) setRebalancing(data.settings.rebalancing);
+          if (data.settings.taxes) setTaxes(normalizeTaxSettings(data.settings.taxes));
+          if (data.settings.regimeStates) setRegimeStates(data.settings.regimeStates === 3 ? 3 : 2);
+          if (data.settings.volatilityModel) setVolatilityModel(data.settings.volatilityModel);
+          if ('simulationSeed' in data.settings) setSimulationSeed(parseSeed(data.settings.simulationSeed));
+          if (data.settings.adaptivePaths) setAdaptivePaths(prev => ({ ...prev, ...data.settings.adaptivePaths }));
+          if (data.settings.varianceReduction) setVarianceReduction(prev => ({ ...prev, ...data.settings.varianceReduction }));
+          if (Array.isArray(data.settings.customStressScenarios)) setCustomStressScenarios(data.settings.customStressScenarios);
+          if (Array.isArray(data.settings.factorShockLibrary)) setFactorShockLibrary(data.settings.factorShockLibrary);
+          if (Array.isArray(data.settings.whatIfVariants)) setWhatIfVariants(data.settings.whatIfVariants);
+          if (COST_BASIS_METHODS[data.settings.costBasisMethod]) setCostBasisMethod(data.settings.costBasisMethod);
+          if (data.settings.baseCurrency) setBaseCurrency(normalizeBaseCurrency(data.settings.baseCurrency));
+          if (data.settings.benchmark) setBenchmark(normalizeBenchmark(data.settings.benchmark));
+          if (data.settings.optimizerConstraints) setOptimizerConstraints(normalizeOptimizerConstraints(data.settings.optimizerConstraints));
         } else {
           // Old format compatibility
           if (data.numPaths) setNumPaths(data.numPaths);
@@ -3538,6 +4128,7 @@ function MonteCarloSimulator() {
         if (data._metadata) {
           if (data._metadata.positionMetadata) setPositionMetadata(data._metadata.positionMetadata);
           if (data._metadata.correlationGroups) setCorrelationGroups(data._metadata.correlationGroups);
+          if (data._metadata.targetAllocations) setTargetAllocations(data._metadata.targetAllocations);
         }
         
         showToast({ type: 'success', title: 'Import Successful', message: 'Portfolio imported successfully!' });
@@ -3557,6 +4148,7 @@ function MonteCarloSimulator() {
       { id: 2, ticker: 'QQQ', quantity: 50, type: 'ETF', price: 380, p5: -0.30, p25: -0.02, p50: 0.12, p75: 0.26, p95: 0.50 },
       { id: 3, ticker: 'GLD', quantity: 30, type: 'ETF', price: 185, p5: -0.10, p25: 0.00, p50: 0.05, p75: 0.10, p95: 0.20 },
     ]);
+    setOptionPositions([]);
     setCorrelationMatrix(null);
     setEditedCorrelation(null);
     setSimulationResults(null);
@@ -3584,11 +4176,53 @@ function MonteCarloSimulator() {
   
   // For backwards compatibility
   const positionsValue = netPositionsValue;
+
+  // Listed options: Black-Scholes value and delta off the underlying position's
+  // price; market value uses the entered premium when there is one
+  const optionValuations = useMemo(() => {
+    const valuations = {};
+    for (const option of optionPositions) {
+      const spot = positions.find(p => p.ticker?.toUpperCase() === option.underlying)?.price;
+      const { vol, source } = resolveOptionVol(option, positionBetas);
+      valuations[option.id] = spot > 0
+        ? { ...valueOptionPosition(option, { spot, vol, rate: riskFreeRate }), vol, volSource: source, spot }
+        : {
+          modelPrice: null,
+          delta: null,
+          marketValue: option.price != null ? option.contracts * OPTION_CONTRACT_MULTIPLIER * option.price : 0,
+          deltaDollars: null,
+          vol,
+          volSource: source,
+          spot: null,
+        };
+    }
+    return valuations;
+  }, [optionPositions, positions, positionBetas, riskFreeRate]);
+
+  const optionsValue = useMemo(
+    () => Object.values(optionValuations).reduce((sum, v) => sum + (isFinite(v.marketValue) ? v.marketValue : 0), 0),
+    [optionValuations]
+  );
   
-  // Total portfolio value including cash (net asset value)
+  // Total portfolio value including cash and options (net asset value)
   const portfolioValue = useMemo(() => {
-    return netPositionsValue + cashBalance;
-  }, [netPositionsValue, cashBalance]);
+    return netPositionsValue + cashBalance + optionsValue;
+  }, [netPositionsValue, cashBalance, optionsValue]);
+
+  // Record today's value snapshot after each price refresh (the day's last one wins)
+  useEffect(() => {
+    if (!lastPriceRefresh || householdView || positions.length === 0) return;
+    const snapshot = buildSnapshot({ positions, optionPositions, optionValuations, cashBalance });
+    if (!isFinite(snapshot.nav) || snapshot.nav === 0) return;
+    setSnapshots(prev => upsertSnapshot(prev, snapshot));
+    if (authState.isAuthenticated) {
+      saveSnapshotToServer(snapshot).then(({ success, error }) => {
+        if (!success && error) console.warn('[App] Could not save performance snapshot:', error.message);
+      });
+    }
+    // Once per refresh, with that render's prices
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lastPriceRefresh]);
   
   // Calculate weights using GROSS exposure to handle shorts properly
   // This ensures weights sum to ~1 for long-only, or can exceed 1 for leveraged portfolios
@@ -3598,6 +4232,48 @@ function MonteCarloSimulator() {
     return positions.map(p => (p.quantity * p.price) / grossPositionsValue);
   }, [positions, grossPositionsValue]);
   
+  // Regime-switching model fitted on loaded daily returns (null until every
+  // position has enough overlapping history)
+  const regimeFit = useMemo(() => {
+    if (positions.length === 0) return { model: null, error: 'No positions' };
+    const tickers = positions.map(p => p.ticker?.toUpperCase());
+    const returns = tickers.map(t => unifiedMarketData[t]?.dailyReturns || []);
+    const missing = tickers.filter((t, i) => returns[i].length === 0);
+    if (missing.length > 0) {
+      return { model: null, error: `Missing market data for ${missing.join(', ')}` };
+    }
+    try {
+      return fitRegimeModel({ tickers, returns, weights, numStates: regimeStates });
+    } catch (err) {
+      console.error('Regime model fit failed:', err);
+      return { model: null, error: err.message };
+    }
+  }, [positions, unifiedMarketData, weights, regimeStates]);
+
+  // GARCH fits per ticker, only while a GARCH volatility model is selected.
+  // Fits are kept per ticker and redone only when that ticker's returns change,
+  // so loading market data for one position doesn't refit the whole book.
+  const garchCacheRef = useRef(new Map());
+  const garchFits = useMemo(() => {
+    if (volatilityModel === 'constant') return {};
+    const model = volatilityModel === 'gjr' ? 'gjr' : 'garch';
+    const cache = garchCacheRef.current;
+    const fits = {};
+    positions.forEach(p => {
+      const ticker = p.ticker?.toUpperCase();
+      if (!ticker || fits[ticker] !== undefined) return;
+      const returns = unifiedMarketData[ticker]?.dailyReturns;
+      const cached = cache.get(ticker);
+      if (cached && cached.returns === returns && cached.model === model) {
+        fits[ticker] = cached.fit;
+        return;
+      }
+      fits[ticker] = returns ? fitGarch(returns, { model }) : null;
+      cache.set(ticker, { returns, model, fit: fits[ticker] });
+    });
+    return fits;
+  }, [positions, unifiedMarketData, volatilityModel]);
+
   // Cash weight relative to portfolio NAV
   const cashWeight = useMemo(() => {
     if (portfolioValue === 0) return 0;
@@ -3611,6 +4287,39 @@ function MonteCarloSimulator() {
     portfolioValue,
   });
 
+  // Ledger replay for after-tax results (opening lots, trailing dividends)
+  const ledger = useMemo(() => buildLedger(transactions, { method: costBasisMethod }), [transactions, costBasisMethod]);
+
+  // Base currency per USD: latest FX close from market data, else a live quote, else the fallback table
+  const baseFx = useMemo(
+    () => baseRate(baseCurrency, { marketData: unifiedMarketData, liveRates: liveFxRates, positions }),
+    [baseCurrency, unifiedMarketData, liveFxRates, positions]
+  );
+
+  // Live quote for a base currency no holding is priced in (no history loaded for it)
+  useEffect(() => {
+    if (baseCurrency === 'USD' || !['fallback', 'missing'].includes(baseFx.source) || liveFxRates[baseCurrency]) return;
+    let cancelled = false;
+    fetchExchangeRate(baseCurrency, 'USD')
+      .then(rate => {
+        if (!cancelled && isFinite(rate) && rate > 0) {
+          setLiveFxRates(prev => ({ ...prev, [baseCurrency]: rate }));
+        }
+      })
+      .catch(err => console.warn(`Could not fetch ${baseCurrency}/USD rate, using fallback:`, err.message));
+    return () => { cancelled = true; };
+  }, [baseCurrency, baseFx.source, liveFxRates]);
+
+  // Consensus data cached by the Consensus tab (dividend yields for taxable accounts)
+  const readConsensusCache = useCallback(() => {
+    try {
+      return JSON.parse(localStorage.getItem('monte-carlo-consensus-data') || 'null');
+    } catch (err) {
+      console.warn('Could not read cached consensus data:', err);
+      return null;
+    }
+  }, []);
+
   // Wrapper for simulation hook - passes current portfolio data
   const runSimulation = useCallback((correlationMatrix = null) => {
     // Handle case where this is called from onClick (receives MouseEvent) vs programmatically
@@ -3627,8 +4336,207 @@ function MonteCarloSimulator() {
       cashBalance,
       cashRate,
       getDistributionParams,
+      targetAllocations,
+      regimeModel: regimeFit.model,
+      garchFits,
+      optionPositions,
+      positionBetas,
+      riskFreeRate,
+      ledger,
+      consensusData: readConsensusCache(),
+      baseCurrency,
+      fxRate: baseFx.rate,
+      marketData: unifiedMarketData,
     });
-  }, [runSimulationHook, editedCorrelation, positions, weights, portfolioValue, grossPositionsValue, cashBalance, cashRate, getDistributionParams]);
+  }, [runSimulationHook, editedCorrelation, positions, weights, portfolioValue, grossPositionsValue, cashBalance, cashRate, getDistributionParams, targetAllocations, regimeFit, garchFits, optionPositions, positionBetas, riskFreeRate, ledger, readConsensusCache, baseCurrency, baseFx, unifiedMarketData]);
+
+  // ============================================
+  // COMPARE VIEW
+  // ============================================
+
+  // Books the Compare view can pick from: the current book, its what-if
+  // variants and (once loaded) the user's other portfolios
+  const compareBooks = useMemo(() => [
+    {
+      id: 'current',
+      kind: 'current',
+      label: householdView ? 'Household' : (portfolios.find(p => p.id === activePortfolioId)?.name || 'Current portfolio'),
+      positions,
+      optionPositions,
+      cashBalance,
+    },
+    ...whatIfVariants.map(v => ({ ...v, kind: 'variant', label: v.name })),
+    ...compareAccountBooks.filter(b => b.portfolioId !== activePortfolioId && portfolios.some(p => p.id === b.portfolioId)),
+  ], [householdView, portfolios, activePortfolioId, positions, optionPositions, cashBalance, whatIfVariants, compareAccountBooks]);
+
+  const handleSaveVariant = useCallback((name) => {
+    if (!name?.trim() || positions.length === 0) return;
+    const variant = createVariant({ name, positions, optionPositions, cashBalance });
+    setWhatIfVariants(prev => [...prev, variant]);
+    showToast({ type: 'success', message: `Saved what-if "${variant.name}" (${positions.length} positions)`, duration: 2500 });
+  }, [positions, optionPositions, cashBalance, showToast]);
+
+  const handleDeleteVariant = useCallback((variantId) => {
+    setWhatIfVariants(prev => prev.filter(v => v.id !== variantId));
+  }, []);
+
+  const handleLoadCompareAccounts = useCallback(async () => {
+    const { data, error } = await loadHouseholdFromServer();
+    if (error || !data) {
+      showToast({ type: 'error', title: 'Load Failed', message: 'Could not load your portfolios.' });
+      return;
+    }
+    setCompareAccountBooks(data.portfolios.map(p => ({
+      id: `portfolio-${p.id}`,
+      portfolioId: p.id,
+      kind: 'portfolio',
+      label: p.name,
+      positions: p.positions,
+      optionPositions: p.optionPositions,
+      cashBalance: p.cashBalance,
+    })));
+  }, [loadHouseholdFromServer, showToast]);
+
+  // Simulate the chosen books with the current settings on one shared seed
+  const handleRunComparison = useCallback((bookIds) => {
+    if (isSimulating || isComparing) return;
+    const chosen = bookIds
+      .map(id => compareBooks.find(b => b.id === id))
+      .filter(Boolean)
+      .slice(0, COMPARE_MAX_BOOKS);
+
+    const baseTickers = positions.map(p => p.ticker?.toUpperCase());
+    const context = {
+      priceByTicker: Object.fromEntries(positions.map(p => [p.ticker?.toUpperCase(), p.price])),
+      baseTickers,
+      baseMatrix: editedCorrelation?.length === positions.length ? editedCorrelation : null,
+      marketData: unifiedMarketData,
+      positionBetas,
+      riskFreeRate,
+    };
+
+    const consensusData = readConsensusCache();
+    const books = chosen.map((book, i) => {
+      const inputs = buildBookInputs(book, context);
+      const tickers = inputs.positions.map(p => p.ticker);
+      const isCurrent = book.id === 'current';
+
+      // Regime-switching needs a model fitted on this book's holdings
+      let regimeModel = isCurrent ? regimeFit.model : null;
+      if (!isCurrent && fatTailMethod === 'regimeSwitching' && tickers.every(t => unifiedMarketData[t]?.dailyReturns?.length)) {
+        try {
+          regimeModel = fitRegimeModel({
+            tickers,
+            returns: tickers.map(t => unifiedMarketData[t].dailyReturns),
+            weights: inputs.weights,
+            numStates: regimeStates,
+          }).model;
+        } catch (err) {
+          console.warn(`[Compare] Regime fit failed for ${book.label}:`, err.message);
+        }
+      }
+
+      return {
+        id: book.id,
+        label: book.label,
+        kind: book.kind,
+        color: COMPARE_COLORS[i],
+        exposure: computeBookFactorExposure(inputs.positions, inputs.portfolioValue, { factorAnalysis, marketData: unifiedMarketData }),
+        notes: {
+          fallbackPairs: inputs.fallbackPairs,
+          missingTickers: inputs.missingTickers,
+          unpricedTickers: inputs.unpricedTickers,
+        },
+        params: {
+          correlationMatrix: inputs.correlationMatrix,
+          positions: inputs.positions,
+          weights: inputs.weights,
+          portfolioValue: inputs.portfolioValue,
+          grossPositionsValue: inputs.grossPositionsValue,
+          cashBalance: inputs.cashBalance,
+          cashRate,
+          getDistributionParams,
+          // Saved targets describe the current book's holdings only
+          targetAllocations: isCurrent ? targetAllocations : null,
+          regimeModel,
+          garchFits,
+          optionPositions: inputs.optionPositions,
+          positionBetas,
+          riskFreeRate,
+          // The ledger's lots belong to the current book
+          ledger: isCurrent ? ledger : null,
+          consensusData,
+          baseCurrency,
+          fxRate: baseFx.rate,
+          marketData: unifiedMarketData,
+        },
+      };
+    });
+
+    return runComparisonHook(books);
+  }, [isSimulating, isComparing, compareBooks, positions, editedCorrelation, unifiedMarketData, positionBetas, riskFreeRate, regimeFit, fatTailMethod, regimeStates, factorAnalysis, cashRate, getDistributionParams, targetAllocations, garchFits, ledger, readConsensusCache, baseCurrency, baseFx, runComparisonHook]);
+
+  // Wrapper for stress test - replays current holdings through historical windows
+  const runStressTest = useCallback(() => runStressTestHook({
+    positions,
+    cashBalance,
+    factorAnalysis,
+    unifiedMarketData,
+  }), [runStressTestHook, positions, cashBalance, factorAnalysis, unifiedMarketData]);
+
+  // Wrapper for factor shocks - applies hypothetical factor moves to current holdings
+  const runFactorShocks = useCallback((scenarios, horizonDays) => runFactorShocksHook({
+    scenarios,
+    positions,
+    cashBalance,
+    factorAnalysis,
+    factorData,
+    unifiedMarketData,
+    horizonDays,
+  }), [runFactorShocksHook, positions, cashBalance, factorAnalysis, factorData, unifiedMarketData]);
+
+  // Update rebalancing targets locally and mirror them to the cloud when signed in
+  const handleTargetAllocationsChange = useCallback((next) => {
+    setTargetAllocations(next);
+    if (authState.isAuthenticated && !householdView) {
+      queueTargetAllocationsSave(next);
+    }
+  }, [authState.isAuthenticated, householdView, queueTargetAllocationsSave]);
+
+  // Set quantity and average cost of every ledger ticker from its lots
+  // (tickers never traded in the ledger keep their hand-entered values)
+  const derivePositionsFromLedger = useCallback((txs, method) => {
+    const ledger = buildLedger(txs, { method });
+    setPositions(prev => applyLedgerToPositions(prev, ledger, (holding) => ({
+      id: crypto.randomUUID(),
+      ticker: holding.ticker,
+      quantity: holding.quantity,
+      avgCost: holding.avgCost,
+      type: 'Equity',
+      price: lastTradePrice(txs, holding.ticker) || 100,
+      p5: -0.25,
+      p25: -0.02,
+      p50: 0.08,
+      p75: 0.18,
+      p95: 0.40,
+    })).positions);
+  }, [setPositions]);
+
+  // Update the ledger, re-derive positions and mirror it to the cloud when signed in
+  const handleTransactionsChange = useCallback((next) => {
+    setTransactions(next);
+    derivePositionsFromLedger(next, costBasisMethod);
+    if (authState.isAuthenticated && !householdView) {
+      queueTransactionsSave(next);
+    }
+  }, [authState.isAuthenticated, householdView, costBasisMethod, derivePositionsFromLedger, queueTransactionsSave]);
+
+  // Switching FIFO / LIFO / specific ID changes which lots remain, so average costs move
+  const handleCostBasisMethodChange = useCallback((method) => {
+    if (!COST_BASIS_METHODS[method]) return;
+    setCostBasisMethod(method);
+    derivePositionsFromLedger(transactions, method);
+  }, [transactions, derivePositionsFromLedger]);
 
   // Add position
   const addPosition = () => {
@@ -3673,7 +4581,7 @@ function MonteCarloSimulator() {
         p50: 0.08,
         p75: 0.18,
         p95: 0.40,
-      }));
+      })).map(p => (BOND_PRESETS[p.ticker] ? applyBondModel(p) : p));
       
       return [...prev, ...positionsToAdd];
     });
@@ -3769,6 +4677,90 @@ function MonteCarloSimulator() {
     }
   }, [unifiedMarketData]);
   
+  // Apply a parsed broker statement (from StatementImportModal)
+  // Merge updates held tickers and adds new ones; replace rebuilds the book from the file.
+  // Statement prices are in the line's currency and are converted to USD like fetched
+  // quotes; lines without a price get a fetched quote, or are left out
+  const importStatementPositions = useCallback(async ({ positions: imported, mode, cashBalance: statementCash }) => {
+    if (!imported || imported.length === 0) return;
+
+    const rates = { USD: 1 };
+    const rateFor = async (currency) => {
+      if (!(currency in rates)) {
+        rates[currency] = await fetchExchangeRate(currency, 'USD').catch(() => null) || null;
+      }
+      return rates[currency];
+    };
+
+    const converted = [];
+    const rejected = [];
+    for (const line of imported) {
+      const currency = (line.currency || 'USD').toUpperCase();
+      const rate = await rateFor(currency);
+      // Statement prices and costs are in the line's currency; without a rate
+      // neither can be stored in USD
+      if (!rate && (line.price > 0 || line.avgCost != null)) {
+        rejected.push(`${line.ticker} (no ${currency}/USD rate)`);
+        continue;
+      }
+      const avgCost = line.avgCost != null ? line.avgCost * rate : null;
+      if (line.price > 0) {
+        converted.push({ ...line, currency, price: line.price * rate, domesticPrice: line.price, exchangeRate: rate, avgCost });
+        continue;
+      }
+      const quote = await fetchPriceForTicker(line.ticker);
+      if (!quote?.price) {
+        rejected.push(`${line.ticker} (no price)`);
+        continue;
+      }
+      converted.push({
+        ...line,
+        currency: quote.currency || 'USD',
+        price: quote.price,
+        domesticPrice: quote.domesticPrice ?? quote.price,
+        exchangeRate: quote.exchangeRate || 1,
+        avgCost,
+      });
+    }
+
+    if (rejected.length > 0 && typeof toast === 'function') {
+      toast.warning(`Not imported: ${rejected.join(', ')}`, { duration: 6000 });
+    }
+    if (converted.length === 0) return;
+
+    const createPosition = (line) => {
+      const p = {
+        id: crypto.randomUUID(),
+        ticker: line.ticker.toUpperCase(),
+        quantity: line.quantity,
+        type: 'Equity',
+        price: line.price,
+        currency: line.currency,
+        domesticPrice: line.domesticPrice,
+        exchangeRate: line.exchangeRate,
+        avgCost: line.avgCost ?? null,
+        p5: -0.25,
+        p25: -0.02,
+        p50: 0.08,
+        p75: 0.18,
+        p95: 0.40,
+      };
+      return BOND_PRESETS[p.ticker] ? applyBondModel(p) : p;
+    };
+
+    const result = mergeStatementPositions(positions, converted, mode, createPosition);
+    setPositions(result.positions);
+    if (mode === 'replace' && statementCash != null && isFinite(statementCash)) {
+      setCashBalance(statementCash);
+    }
+
+    if (typeof toast === 'function') {
+      const parts = [`${result.updated} updated`, `${result.added} added`];
+      if (result.removed > 0) parts.push(`${result.removed} removed`);
+      toast.success(`Statement imported: ${parts.join(', ')}`);
+    }
+  }, [positions, fetchPriceForTicker]);
+
   // Remove position - wrapped in useCallback to prevent stale closures
   const removePosition = useCallback((id) => {
     setPositions(prev => prev.filter(p => p.id !== id));
@@ -3779,6 +4771,11 @@ function MonteCarloSimulator() {
     // Use functional update to avoid stale closure issues with rapid typing
     setPositions(prev => prev.map(p => {
       if (p.id === id) {
+        // Bond model: switching to 'Bond' or editing its parameters resets the
+        // displayed percentiles to the model's
+        if ((field === 'type' && value === 'Bond') || (field === 'bond' && p.type === 'Bond')) {
+          return applyBondModel({ ...p, bond: field === 'bond' ? value : p.bond });
+        }
         const updated = { ...p, [field]: value };
         
         // Enforce percentile ordering: p5 < p25 < p50 < p75 < p95
@@ -3848,13 +4845,15 @@ function MonteCarloSimulator() {
           
           setPositions(prev => prev.map(p => {
             if (p.id === id && p.ticker?.toUpperCase() === ticker) {
-              return {
+              const updated = {
                 ...p,
                 price: usdPrice,
                 currency: currency,
                 domesticPrice: quote.price,
                 type: quote.type || (['SPY', 'QQQ', 'GLD', 'TLT', 'IWM', 'EEM', 'VTI', 'VOO'].includes(ticker) ? 'ETF' : 'Equity'),
               };
+              // Known bond funds start on the rate-shock model with preset parameters
+              return BOND_PRESETS[ticker] ? applyBondModel({ ...updated, bond: null }) : updated;
             }
             return p;
           }));
@@ -4077,6 +5076,80 @@ function MonteCarloSimulator() {
 
     setIsFetchingData(false);
   };
+
+  // Black-Litterman: equilibrium returns from market caps, tilted by the Consensus tab's analyst views
+  const runBlackLitterman = async (options = {}) => {
+    const n = positions.length;
+    let correlationToUse = editedCorrelation;
+    if (!isValidCorrelationMatrix(correlationToUse, n)) {
+      correlationToUse = isValidCorrelationMatrix(correlationMatrix, n) ? correlationMatrix : null;
+    }
+    if (n === 0 || !correlationToUse) {
+      showToast({
+        type: 'warning',
+        title: 'Cannot Compute Black-Litterman',
+        message: 'Need a computed correlation matrix for the current positions.',
+        duration: 5000,
+      });
+      return;
+    }
+    const consensusData = readConsensusCache() || {};
+    if (!positions.some(p => consensusData[p.ticker?.toUpperCase()]?.priceTargets)) {
+      showToast({
+        type: 'warning',
+        title: 'No Consensus Data',
+        message: 'Load analyst data in the Consensus tab first.',
+        duration: 5000,
+      });
+      return;
+    }
+
+    setIsComputingBlackLitterman(true);
+    try {
+      const tickers = positions.map(p => p.ticker?.toUpperCase()).filter(Boolean);
+      const revisions = await getConsensusRevisions(tickers).catch(err => {
+        console.warn('Could not load estimate revisions, continuing without them:', err.message);
+        return {};
+      });
+      const result = computeBlackLitterman({
+        positions,
+        covMatrix: buildCovarianceMatrix(correlationToUse, positions.map(p => getDistributionParams(p).sigma)),
+        consensusData,
+        revisions,
+        riskFreeRate,
+        options,
+      });
+      setBlackLittermanResult({ ...result, positionIds: positions.map(p => p.id) });
+      console.log(`📐 Black-Litterman: ${result.viewCount} views, δ=${result.delta.toFixed(2)}`);
+    } catch (err) {
+      console.warn('Black-Litterman failed:', err);
+      showToast({ type: 'error', title: 'Black-Litterman Failed', message: err.message, duration: 5000 });
+    } finally {
+      setIsComputingBlackLitterman(false);
+    }
+  };
+
+  // Move each position's P50 (and its other percentiles with it) to the posterior return.
+  // Bonds keep their yield-model distribution
+  const applyBlackLitterman = (positionIds = null) => {
+    if (!blackLittermanResult) return;
+    const posterior = new Map(blackLittermanResult.positionIds.map((id, i) => [id, blackLittermanResult.posterior[i]]));
+    const only = positionIds ? new Set(positionIds) : null;
+    const eligible = (p) => {
+      const mu = posterior.get(p.id);
+      return p.type !== 'Bond' && mu != null && isFinite(mu) && (!only || only.has(p.id));
+    };
+    const applied = positions.filter(eligible).length;
+    setPositions(prev => prev.map(p => (eligible(p) ? { ...p, ...shiftPercentiles(p, posterior.get(p.id)) } : p)));
+    if (!positionIds) {
+      showToast({
+        type: 'success',
+        title: 'Posterior Returns Applied',
+        message: `P50 set to the Black-Litterman return for ${applied} position${applied === 1 ? '' : 's'}`,
+        duration: 4000,
+      });
+    }
+  };
   
   // Calculate beta for all positions vs SPY (market proxy) - NOW USES UNIFIED DATA
   const calculateAllBetas = async () => {
@@ -5870,6 +6943,14 @@ function MonteCarloSimulator() {
     const riskParityReturn = riskParityPositionsReturn + cashContribution;
     const riskParitySharpe = computeSharpeRatio(riskParityReturn, riskParityVol, rf);
     
+    // Hierarchical risk parity target: clusters on correlation distance instead of
+    // inverting the covariance, so noisy correlations don't swing the weights
+    const hrpWeights = computeHRPWeights(sigmaArray, covMatrix);
+    const adjustedHrpWeights = hrpWeights.map(w => w * leverageRatio);
+    const hrpVol = computePortfolioVolatility(adjustedHrpWeights, covMatrix);
+    const hrpReturn = computePortfolioReturn(adjustedHrpWeights, muArray) + cashContribution;
+    const hrpSharpe = computeSharpeRatio(hrpReturn, hrpVol, rf);
+    
     setOptimizationProgress({ current: 10, total: 100, phase: 'Computing swap matrix...' });
     await new Promise(r => setTimeout(r, 10)); // Allow UI update
     
@@ -6219,6 +7300,21 @@ function MonteCarloSimulator() {
           change: riskParityWeights[i] - weights[i],
         })),
       },
+      
+      // Hierarchical risk parity comparison
+      hrp: {
+        weights: hrpWeights,
+        portfolioReturn: hrpReturn,
+        portfolioVol: hrpVol,
+        sharpe: hrpSharpe,
+        deltaSharpe: hrpSharpe - currentSharpe,
+        weightChanges: tickers.map((ticker, i) => ({
+          ticker,
+          current: weights[i],
+          target: hrpWeights[i],
+          change: hrpWeights[i] - weights[i],
+        })),
+      },
     };
     
     const optTime = (results.computeTime / 1000).toFixed(1);
@@ -6241,6 +7337,149 @@ function MonteCarloSimulator() {
   }, [positions, weights, editedCorrelation, riskFreeRate, swapSize, optimizationPaths, getDistributionParams,
       grossPositionsValue, portfolioValue, cashBalance, cashRate, useQmc, showToast, clearStaleTab]);
 
+  // ============================================
+  // CONSTRAINED OPTIMIZER
+  // Long-only / box / group / turnover / cash-floor limits, with a trade list
+  // ============================================
+  // Inputs shared by the constrained optimizer and the efficient frontier (null after a warning toast)
+  const getConstrainedInputs = useCallback(() => {
+    const n = positions.length;
+    let correlationToUse = editedCorrelation;
+    if (!isValidCorrelationMatrix(correlationToUse, n)) {
+      correlationToUse = isValidCorrelationMatrix(correlationMatrix, n) ? correlationMatrix : null;
+    }
+    if (n < 2 || !correlationToUse) {
+      showToast({
+        type: 'warning',
+        title: 'Cannot Run Optimizer',
+        message: 'Need at least 2 positions with a computed correlation matrix.',
+        duration: 5000,
+      });
+      return null;
+    }
+    const derivedParams = positions.map(p => getDistributionParams(p));
+    return {
+      positions,
+      correlationMatrix: correlationToUse,
+      muArray: derivedParams.map(d => d.mu),
+      covMatrix: buildCovarianceMatrix(correlationToUse, derivedParams.map(d => d.sigma)),
+      nav: portfolioValue,
+      cashBalance,
+      cashRate,
+      riskFreeRate,
+      targetAllocations,
+      groups: correlationGroups,
+      constraints: optimizerConstraints,
+    };
+  }, [positions, editedCorrelation, correlationMatrix, getDistributionParams, portfolioValue, cashBalance, cashRate,
+      riskFreeRate, targetAllocations, correlationGroups, optimizerConstraints, showToast]);
+
+  // Scenario objectives (CVaR, Sortino, Omega) run on one-year returns drawn by the simulation engine
+  const runConstrainedOptimization = useCallback(async () => {
+    const inputs = getConstrainedInputs();
+    if (!inputs) return;
+    const objective = OPTIMIZER_OBJECTIVES[inputs.constraints.objective];
+
+    try {
+      let result;
+      if (objective?.scenario) {
+        setIsScenarioOptimizing(true);
+        const { scenarios, error } = await simulateScenarios({
+          correlationMatrix: inputs.correlationMatrix,
+          positions,
+          getDistributionParams,
+          baseCurrency,
+          marketData: unifiedMarketData,
+        }, { count: normalizeOptimizerConstraints(inputs.constraints).scenarioCount });
+        if (error) {
+          showToast({ type: 'error', title: 'Optimizer Failed', message: error, duration: 5000 });
+          return;
+        }
+        // Solve in a worker so the UI stays responsive; main thread only as a fallback
+        const params = { ...inputs, scenarios };
+        if (typeof Worker !== 'undefined') {
+          let reply = null;
+          try {
+            reply = await new Promise((resolve, reject) => {
+              const worker = new Worker(new URL('./workers/optimizerWorker.js', import.meta.url), { type: 'module' });
+              worker.onmessage = (e) => {
+                worker.terminate();
+                resolve(e.data);
+              };
+              worker.onerror = (err) => {
+                worker.terminate();
+                reject(err);
+              };
+              worker.postMessage({ type: 'optimize', id: 0, params });
+            });
+          } catch (workerError) {
+            console.warn('Optimizer worker failed, solving on the main thread:', workerError);
+          }
+          // A solver error would repeat on the main thread, so it is reported as is
+          if (reply?.type === 'optimizeError') throw new Error(reply.error);
+          if (reply?.type === 'optimizeComplete') result = reply.result;
+        }
+        if (!result) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+          result = optimizeDownside(params);
+        }
+      } else {
+        result = optimizeConstrained(inputs);
+      }
+      setConstrainedResult(result);
+
+      if (result.status === 'optimal') {
+        const metric = {
+          minCvar: r => `CVaR ${(r.cvar * 100).toFixed(1)}%`,
+          maxSortino: r => `Sortino ${r.sortino?.toFixed(2) ?? '—'}`,
+          maxOmega: r => `Omega ${r.omega?.toFixed(2) ?? '—'}`,
+        }[result.objective] || (r => `Sharpe ${r.sharpe.toFixed(2)}`);
+        showToast({
+          type: 'success',
+          title: 'Optimizer Complete',
+          message: result.trades.length > 0
+            ? `${result.trades.length} trade${result.trades.length === 1 ? '' : 's'}, ${metric(result.current)} → ${metric(result.target)}`
+            : 'The portfolio is already optimal under these limits',
+          duration: 4000,
+        });
+      } else {
+        showToast({
+          type: 'warning',
+          title: 'Limits Are Infeasible',
+          message: result.reasons[0],
+          duration: 6000,
+        });
+      }
+    } catch (err) {
+      console.warn('Constrained optimization failed:', err);
+      showToast({ type: 'error', title: 'Optimizer Failed', message: err.message, duration: 5000 });
+    } finally {
+      setIsScenarioOptimizing(false);
+    }
+  }, [getConstrainedInputs, simulateScenarios, positions, getDistributionParams, baseCurrency, unifiedMarketData, showToast]);
+
+  // Efficient frontier under the same limits (turnover aside), with the CML
+  const runEfficientFrontier = useCallback(() => {
+    const inputs = getConstrainedInputs();
+    if (!inputs) return;
+
+    try {
+      const result = computeEfficientFrontier(inputs);
+      setFrontierResult(result);
+      if (result.status !== 'ok') {
+        showToast({
+          type: 'warning',
+          title: 'Limits Are Infeasible',
+          message: result.reasons[0],
+          duration: 6000,
+        });
+      }
+    } catch (err) {
+      console.warn('Efficient frontier failed:', err);
+      showToast({ type: 'error', title: 'Frontier Failed', message: err.message, duration: 5000 });
+    }
+  }, [getConstrainedInputs, showToast]);
+
   // ============================================
   // THEMATIC ETF SWAP ANALYSIS
   // Sell 1% of any portfolio position, buy 1% of various thematic ETFs
@@ -6821,7 +8060,7 @@ function MonteCarloSimulator() {
       const portfolioTickers = positions.map(p => p.ticker?.toUpperCase()).filter(Boolean);
 
       // Load saved correlation groups from Supabase if authenticated
-      if (authState.isAuthenticated) {
+      if (authState.isAuthenticated && !householdView) {
         setFullLoadProgress({ step: 5, total: steps.length, phase: steps[4].name, detail: 'Loading saved groups from cloud...' });
         console.log('[LoadAll] Loading saved correlation groups from Supabase...');
 
@@ -7018,7 +8257,7 @@ function MonteCarloSimulator() {
   // Note: We intentionally exclude function references that aren't memoized with useCallback
   // to avoid recreating this callback on every render. The functions are stable within the component.
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [positions, historyTimeline, useEwma, numPaths, useQmc, correlationGroups, showToast, authState.isAuthenticated]);
+  }, [positions, historyTimeline, useEwma, numPaths, useQmc, correlationGroups, showToast, authState.isAuthenticated, householdView]);
   
   // Update ref so keyboard handler can access the latest version
   runFullLoadRef.current = runFullLoad;
@@ -7301,7 +8540,7 @@ function MonteCarloSimulator() {
 
       case 'setFatTail':
         setFatTailMethod(command.payload);
-        showToast({ type: 'info', message: `Fat tail method: ${command.payload === 'multivariateTStudent' ? 'Student-t' : 'Copula'}`, duration: 2000 });
+        showToast({ type: 'info', message: `Fat tail method: ${command.payload === 'multivariateTStudent' ? 'Student-t' : command.payload === 'regimeSwitching' ? 'Regime switching' : 'Copula'}`, duration: 2000 });
         break;
 
       // Help
@@ -7410,6 +8649,12 @@ function MonteCarloSimulator() {
             isStale: staleTabs.optimize,
             status: getStatus('optimize'),
           },
+          stress: {
+            hasNewContent: false,
+            isProcessing: isStressTesting || isShocking,
+            isStale: false,
+            status: 'fresh',
+          },
           export: {
             hasNewContent: false,
             isProcessing: false,
@@ -7572,6 +8817,22 @@ function MonteCarloSimulator() {
         }
       `}</style>
 
+      {/* Portfolio switcher (signed-in users) */}
+      {authState.isAuthenticated && (
+        <PortfolioSwitcher
+          portfolios={portfolios}
+          activePortfolioId={activePortfolioId}
+          householdView={householdView}
+          isBusy={isSwitchingPortfolio}
+          onSwitch={handleSwitchPortfolio}
+          onCreate={handleCreatePortfolio}
+          onUpdate={handleUpdatePortfolio}
+          onClone={handleClonePortfolio}
+          onDelete={handleDeletePortfolio}
+          onShowHousehold={handleShowHousehold}
+        />
+      )}
+
       {/* First-time user welcome banner */}
       {showWelcome && positions.length <= 3 && (
         <div style={{
@@ -7662,6 +8923,29 @@ function MonteCarloSimulator() {
             isFetchingBetas={isFetchingBetas}
             isFetchingUnified={isFetchingUnified}
             
+            // Listed options
+            optionPositions={optionPositions}
+            setOptionPositions={setOptionPositions}
+            optionValuations={optionValuations}
+            optionsValue={optionsValue}
+            
+            // Transaction ledger (read-only books like the household view have none)
+            transactions={transactions}
+            onTransactionsChange={householdView ? null : handleTransactionsChange}
+            costBasisMethod={costBasisMethod}
+            onCostBasisMethodChange={handleCostBasisMethodChange}
+            onSyncPositionsFromLedger={() => derivePositionsFromLedger(transactions, costBasisMethod)}
+            ledger={ledger}
+            
+            // Tax-loss harvesting
+            unifiedMarketData={unifiedMarketData}
+            taxes={taxes}
+            
+            // Base currency (hedging is toggled per position through updatePosition)
+            baseCurrency={baseCurrency}
+            setBaseCurrency={setBaseCurrency}
+            fxRate={baseFx.rate}
+            
             // Actions
             addPosition={addPosition}
             removePosition={removePosition}
@@ -7673,6 +8957,7 @@ function MonteCarloSimulator() {
             // Add positions modal
             onOpenAddModal={() => setShowAddPositionsModal(true)}
             onOpenScreenshotImport={() => setShowScreenshotImportModal(true)}
+            onOpenStatementImport={() => setShowStatementImportModal(true)}
 
             // Styles
             styles={styles}
@@ -7692,11 +8977,18 @@ function MonteCarloSimulator() {
             getDistributionParams={getDistributionParams}
             estimateDistributionFromHistory={estimateDistributionFromHistory}
             estimateAllDistributions={estimateAllDistributions}
+            blackLittermanResult={blackLittermanResult}
+            isComputingBlackLitterman={isComputingBlackLitterman}
+            runBlackLitterman={runBlackLitterman}
+            applyBlackLitterman={applyBlackLitterman}
             fetchCalendarYearReturns={fetchCalendarYearReturns}
             calendarYearReturns={calendarYearReturns}
             generateDistributionPreview={generateDistributionPreview}
             isFetchingData={isFetchingData}
             isFetchingYearReturns={isFetchingYearReturns}
+            garchFits={garchFits}
+            volatilityModel={volatilityModel}
+            fatTailMethod={fatTailMethod}
             // Staleness tracking
             stalenessStatus={getStatus('distributions')}
             stalenessReason={getReason('distributions')}
@@ -7746,6 +9038,12 @@ function MonteCarloSimulator() {
             // View mode
             matrixViewMode={matrixViewMode}
             setMatrixViewMode={setMatrixViewMode}
+
+            // Regime-switching model
+            regimeModel={regimeFit.model}
+            regimeError={regimeFit.error}
+            regimeStates={regimeStates}
+            setRegimeStates={setRegimeStates}
             
             // Callbacks
             fetchAndComputeCorrelation={fetchAndComputeCorrelation}
@@ -7761,10 +9059,10 @@ function MonteCarloSimulator() {
             showToast={showToast}
 
             // Cloud sync
-            isAuthenticated={authState.isAuthenticated}
-            saveCorrelationGroupsToServer={async (groups) => {
+            isAuthenticated={authState.isAuthenticated && !householdView}
+            saveCorrelationGroupsToServer={async (groups, groupType = 'sector') => {
               const tickerGroups = convertGroupsToTickers(groups);
-              return await saveCorrelationGroupsToServer(tickerGroups, 'sector', 'user');
+              return await saveCorrelationGroupsToServer(tickerGroups, groupType, 'user');
             }}
 
             // Staleness tracking
@@ -7785,8 +9083,32 @@ function MonteCarloSimulator() {
             setDrawdownThreshold={setDrawdownThreshold}
             fatTailMethod={fatTailMethod}
             setFatTailMethod={setFatTailMethod}
+            volatilityModel={volatilityModel}
+            setVolatilityModel={setVolatilityModel}
+            simulationSeed={simulationSeed}
+            setSimulationSeed={setSimulationSeed}
+            adaptivePaths={adaptivePaths}
+            setAdaptivePaths={setAdaptivePaths}
+            varianceReduction={varianceReduction}
+            setVarianceReduction={setVarianceReduction}
             useQmc={useQmc}
             setUseQmc={setUseQmc}
+            horizonYears={horizonYears}
+            setHorizonYears={setHorizonYears}
+            timeStep={timeStep}
+            setTimeStep={setTimeStep}
+            cashFlows={cashFlows}
+            setCashFlows={setCashFlows}
+            rebalancing={rebalancing}
+            setRebalancing={setRebalancing}
+            taxes={taxes}
+            setTaxes={setTaxes}
+            baseCurrency={baseCurrency}
+            setBaseCurrency={setBaseCurrency}
+            fxRate={baseFx.rate}
+            targetAllocations={targetAllocations}
+            onTargetAllocationsChange={handleTargetAllocationsChange}
+            portfolioValue={portfolioValue}
             
             // Correlation data
             editedCorrelation={editedCorrelation}
@@ -7811,6 +9133,16 @@ function MonteCarloSimulator() {
             // Callbacks
             runSimulation={runSimulation}
 
+            // Compare view
+            compareBooks={compareBooks}
+            comparisonResults={comparisonResults}
+            isComparing={isComparing}
+            riskFreeRate={riskFreeRate}
+            onSaveVariant={handleSaveVariant}
+            onDeleteVariant={handleDeleteVariant}
+            onLoadCompareAccounts={authState.isAuthenticated ? handleLoadCompareAccounts : undefined}
+            onRunComparison={handleRunComparison}
+
             // Staleness tracking
             stalenessStatus={getStatus('simulation')}
             stalenessReason={getReason('simulation')}
@@ -7869,6 +9201,16 @@ function MonteCarloSimulator() {
             isOptimizing={isOptimizing}
             runPortfolioOptimization={runPortfolioOptimization}
             setOptimizationResults={setOptimizationResults}
+            // Constrained optimizer
+            optimizerConstraints={optimizerConstraints}
+            setOptimizerConstraints={setOptimizerConstraints}
+            constrainedResult={constrainedResult}
+            runConstrainedOptimization={runConstrainedOptimization}
+            isScenarioOptimizing={isScenarioOptimizing}
+            frontierResult={frontierResult}
+            runEfficientFrontier={runEfficientFrontier}
+            targetAllocations={targetAllocations}
+            formatCurrency={formatCurrency}
             // Staleness tracking
             stalenessStatus={getStatus('optimize')}
             stalenessReason={getReason('optimize')}
@@ -7877,6 +9219,39 @@ function MonteCarloSimulator() {
             styles={styles}
           />
         )}
+        {activeTab === 'stress' && (
+          <StressTab
+            positions={positions}
+            stressResults={stressResults}
+            isStressTesting={isStressTesting}
+            stressProgress={stressProgress}
+            runStressTest={runStressTest}
+            customScenarios={customStressScenarios}
+            setCustomScenarios={setCustomStressScenarios}
+            shockLibrary={factorShockLibrary}
+            setShockLibrary={setFactorShockLibrary}
+            shockResults={shockResults}
+            isShocking={isShocking}
+            runFactorShocks={runFactorShocks}
+            hasFactorAnalysis={!!factorAnalysis}
+            formatCurrency={formatCurrency}
+            styles={styles}
+          />
+        )}
+        {activeTab === 'performance' && (
+          <PerformanceTab
+            snapshots={snapshots}
+            forecastHistory={forecastHistory}
+            transactions={transactions}
+            unifiedMarketData={unifiedMarketData}
+            benchmark={benchmark}
+            setBenchmark={setBenchmark}
+            baseCurrency={baseCurrency}
+            fxRate={baseFx.rate}
+            householdView={householdView}
+            styles={styles}
+          />
+        )}
         {activeTab === 'export' && (
           <ExportTab
             positions={positions}
@@ -8040,6 +9415,15 @@ function MonteCarloSimulator() {
         fetchPriceForTicker={fetchPriceForTicker}
       />
 
+      {/* Broker Statement Import Modal */}
+      <StatementImportModal
+        isOpen={showStatementImportModal}
+        onClose={() => setShowStatementImportModal(false)}
+        onImport={importStatementPositions}
+        existingTickers={positions.map(p => p.ticker?.toUpperCase()).filter(Boolean)}
+        fetchPriceForTicker={fetchPriceForTicker}
+      />
+
       {/* Recovery Dialog */}
       <RecoveryDialog
         isOpen={showRecoveryDialog}
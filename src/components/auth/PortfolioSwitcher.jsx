@@ -0,0 +1,210 @@
+import React, { useState, memo } from 'react';
+import { ACCOUNT_TYPES, formatAccountType } from '../../utils/household';
+
+/**
+ * Portfolio Switcher
+ * Bar above the tab content for signed-in users: pick the portfolio being
+ * edited, create / rename / clone / delete portfolios, and open the combined
+ * household view.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.portfolios - { id, name, accountType }
+ * @param {string|null} props.activePortfolioId
+ * @param {Object|null} props.householdView - { accounts } while the household book is shown
+ * @param {boolean} props.isBusy - A switch / load is in progress
+ * @param {Function} props.onSwitch - (portfolioId) => void
+ * @param {Function} props.onCreate - ({ name, accountType }) => void
+ * @param {Function} props.onUpdate - (portfolioId, { name, accountType }) => void
+ * @param {Function} props.onClone - ({ name, accountType }) => void
+ * @param {Function} props.onDelete - (portfolioId) => void
+ * @param {Function} props.onShowHousehold - () => void
+ */
+export const PortfolioSwitcher = memo(({
+  portfolios = [],
+  activePortfolioId,
+  householdView,
+  isBusy = false,
+  onSwitch,
+  onCreate,
+  onUpdate,
+  onClone,
+  onDelete,
+  onShowHousehold,
+}) => {
+  // Inline form: null | 'create' | 'rename' | 'clone'
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState('');
+  const [accountType, setAccountType] = useState('taxable');
+
+  const active = portfolios.find(p => p.id === activePortfolioId);
+
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    if (nextMode === 'rename' && active) {
+      setName(active.name);
+      setAccountType(active.accountType);
+    } else if (nextMode === 'clone' && active) {
+      setName(`${active.name} (copy)`);
+      setAccountType(active.accountType);
+    } else {
+      setName('');
+      setAccountType('taxable');
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const details = { name: name.trim(), accountType };
+    if (mode === 'create') onCreate(details);
+    else if (mode === 'rename') onUpdate(activePortfolioId, details);
+    else if (mode === 'clone') onClone(details);
+    setMode(null);
+  };
+
+  const handleSelect = (e) => {
+    const value = e.target.value;
+    if (value === '__household') onShowHousehold();
+    else onSwitch(value);
+  };
+
+  const editDisabled = isBusy || !!householdView || !active;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.row}>
+        <span style={styles.label}>Portfolio</span>
+        <select
+          value={householdView ? '__household' : (activePortfolioId || '')}
+          onChange={handleSelect}
+          disabled={isBusy}
+          style={styles.select}
+          aria-label="Active portfolio"
+        >
+          {!activePortfolioId && !householdView && <option value="">—</option>}
+          {portfolios.map(p => (
+            <option key={p.id} value={p.id}>
+              {ACCOUNT_TYPES[p.accountType]?.icon || ACCOUNT_TYPES.other.icon} {p.name} · {formatAccountType(p.accountType)}
+            </option>
+          ))}
+          {portfolios.length > 1 && (
+            <option value="__household">🏠 Household (all {portfolios.length} combined)</option>
+          )}
+        </select>
+
+        <button type="button" onClick={() => openForm('create')} disabled={isBusy} style={styles.button}>+ New</button>
+        <button type="button" onClick={() => openForm('rename')} disabled={editDisabled} style={styles.button}>Rename</button>
+        <button type="button" onClick={() => openForm('clone')} disabled={editDisabled} style={styles.button}>Clone</button>
+        <button
+          type="button"
+          onClick={() => onDelete(activePortfolioId)}
+          disabled={editDisabled || portfolios.length <= 1}
+          style={{ ...styles.button, color: '#e74c3c' }}
+          title={portfolios.length <= 1 ? 'Your only portfolio cannot be deleted' : 'Delete this portfolio'}
+        >
+          Delete
+        </button>
+        {isBusy && <span style={styles.busy}>Loading…</span>}
+      </div>
+
+      {mode && (
+        <form onSubmit={submit} style={{ ...styles.row, marginTop: '8px' }}>
+          <span style={styles.label}>
+            {mode === 'create' ? 'New portfolio' : mode === 'rename' ? 'Rename' : 'Clone as'}
+          </span>
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Roth IRA"
+            maxLength={60}
+            style={styles.input}
+          />
+          <select value={accountType} onChange={(e) => setAccountType(e.target.value)} style={styles.select}>
+            {Object.entries(ACCOUNT_TYPES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={!name.trim()} style={{ ...styles.button, color: '#00d4ff' }}>Save</button>
+          <button type="button" onClick={() => setMode(null)} style={styles.button}>Cancel</button>
+        </form>
+      )}
+
+      {householdView && (
+        <div style={styles.householdNote}>
+          🏠 Household view: {householdView.accounts.map(a => a.name).join(' + ')} merged by ticker for analysis.
+          Edits here are not saved — pick a portfolio to change holdings.
+        </div>
+      )}
+    </div>
+  );
+});
+
+PortfolioSwitcher.displayName = 'PortfolioSwitcher';
+
+const styles = {
+  container: {
+    marginBottom: '16px',
+    padding: '10px 14px',
+    background: 'rgba(22, 27, 44, 0.7)',
+    border: '1px solid rgba(42, 42, 74, 0.6)',
+    borderRadius: '8px',
+    fontSize: '12px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    flexWrap: 'wrap',
+  },
+  label: {
+    color: '#888',
+    fontSize: '11px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  select: {
+    background: 'rgba(0, 0, 0, 0.3)',
+    border: '1px solid #2a2a4a',
+    borderRadius: '4px',
+    color: '#e0e0e0',
+    padding: '4px 8px',
+    fontSize: '12px',
+    fontFamily: 'inherit',
+  },
+  input: {
+    background: 'rgba(0, 0, 0, 0.3)',
+    border: '1px solid #2a2a4a',
+    borderRadius: '4px',
+    color: '#e0e0e0',
+    padding: '4px 8px',
+    fontSize: '12px',
+    fontFamily: 'inherit',
+    minWidth: '180px',
+  },
+  button: {
+    background: 'transparent',
+    border: '1px solid #2a2a4a',
+    borderRadius: '4px',
+    color: '#aaa',
+    padding: '4px 10px',
+    fontSize: '11px',
+    cursor: 'pointer',
+    fontFamily: 'inherit',
+  },
+  busy: {
+    color: '#888',
+    fontSize: '11px',
+  },
+  householdNote: {
+    marginTop: '8px',
+    padding: '6px 10px',
+    background: 'rgba(155, 89, 182, 0.12)',
+    border: '1px solid rgba(155, 89, 182, 0.3)',
+    borderRadius: '4px',
+    color: '#c39bd3',
+    fontSize: '11px',
+  },
+};
+
+export default PortfolioSwitcher;
@@ -7,3 +7,4 @@
 
 export { GoogleSignIn } from './GoogleSignIn';
 export { UserMenu } from './UserMenu';
+export { PortfolioSwitcher } from './PortfolioSwitcher';
@@ -35,7 +35,9 @@ const KeyboardShortcuts = ({ isOpen, onClose }) => {
         { keys: ['5'], description: 'Simulation tab' },
         { keys: ['6'], description: 'Factors tab' },
         { keys: ['7'], description: 'Optimize tab' },
-        { keys: ['8'], description: 'Export tab' },
+        { keys: ['8'], description: 'Stress Test tab' },
+        { keys: ['9'], description: 'Export tab' },
+        { keys: ['0'], description: 'Performance tab' },
       ],
     },
     {
@@ -61,7 +61,9 @@ const TABS = [
   { id: 'simulation', label: 'Simulation', shortLabel: 'Simulate', icon: '🎲', shortcut: '5' },
   { id: 'factors', label: 'Factors', shortLabel: 'Factors', icon: '⚡', shortcut: '6' },
   { id: 'optimize', label: 'Optimize', shortLabel: 'Optimize', icon: '🎯', shortcut: '7' },
-  { id: 'export', label: 'Export', shortLabel: 'Export', icon: '📄', shortcut: '8' },
+  { id: 'stress', label: 'Stress Test', shortLabel: 'Stress', icon: '🌪️', shortcut: '8' },
+  { id: 'export', label: 'Export', shortLabel: 'Export', icon: '📄', shortcut: '9' },
+  { id: 'performance', label: 'Performance', shortLabel: 'Perform', icon: '🏁', shortcut: '0' },
 ];
 
 const Sidebar = memo(({
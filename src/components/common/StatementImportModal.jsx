@@ -0,0 +1,934 @@
+/**
+ * Statement Import Modal
+ *
+ * @module components/common/StatementImportModal
+ * @description Modal for importing positions from a broker CSV export or an
+ * OFX / QFX statement. Parsing happens in the browser; nothing is sent anywhere
+ * unless symbols are resolved or prices fetched on request.
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  parseStatement,
+  BROKER_PRESETS,
+  IMPORT_FIELDS,
+} from '../../utils/statementImport';
+import { batchResolveSymbols, getApiKey as getFmpApiKey } from '../../services/fmpService';
+
+const COLORS = {
+  cyan: '#00d4ff',
+  green: '#2ecc71',
+  red: '#e74c3c',
+  orange: '#f39c12',
+  purple: '#9b59b6',
+  gold: '#f1c40f',
+};
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const StatementImportModal = ({
+  isOpen,
+  onClose,
+  onImport,
+  existingTickers = [],
+  fetchPriceForTicker,
+}) => {
+  // Step state: 'upload' | 'review'
+  const [step, setStep] = useState('upload');
+
+  // File state
+  const [file, setFile] = useState(null); // { name, text }
+  const [isDragging, setIsDragging] = useState(false);
+
+  // CSV options: preset (null = detect) and column overrides
+  const [preset, setPreset] = useState(null);
+  const [mappingOverrides, setMappingOverrides] = useState({});
+
+  // Editable rows and import options
+  const [rows, setRows] = useState([]);
+  const [mode, setMode] = useState('merge');
+  const [importCash, setImportCash] = useState(true);
+
+  // Symbol resolution / price fetching
+  const [isResolving, setIsResolving] = useState(false);
+  const [isFetchingPrices, setIsFetchingPrices] = useState(false);
+  const [fetchProgress, setFetchProgress] = useState({ current: 0, total: 0 });
+
+  const [error, setError] = useState(null);
+
+  const fileInputRef = useRef(null);
+  const dropzoneRef = useRef(null);
+
+  // Reset state when modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setStep('upload');
+      setFile(null);
+      setPreset(null);
+      setMappingOverrides({});
+      setRows([]);
+      setMode('merge');
+      setImportCash(true);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  // Handle escape key
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  // Parse whenever the file, preset or mapping changes
+  const parsed = useMemo(() => {
+    if (!file) return { result: null, error: null };
+    try {
+      return {
+        result: parseStatement(file.text, {
+          fileName: file.name,
+          preset: preset || undefined,
+          mapping: mappingOverrides,
+        }),
+        error: null,
+      };
+    } catch (err) {
+      return { result: null, error: err.message };
+    }
+  }, [file, preset, mappingOverrides]);
+
+  const result = parsed.result;
+
+  useEffect(() => {
+    setRows((result?.positions || []).map((p, idx) => ({ ...p, id: `${p.ticker}-${idx}` })));
+  }, [result]);
+
+  // Read file
+  const handleFile = (selected) => {
+    if (!selected) return;
+    if (selected.size > MAX_FILE_BYTES) {
+      setError('File is larger than 5MB. Export positions only, not full activity history.');
+      return;
+    }
+    setError(null);
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      setFile({ name: selected.name, text: String(e.target.result || '') });
+      setPreset(null);
+      setMappingOverrides({});
+      setStep('review');
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(selected);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.target === dropzoneRef.current) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+    handleFile(e.dataTransfer?.files?.[0]);
+  };
+
+  const handleUpdateRow = (id, field, value) => {
+    setRows(prev => prev.map(r => (r.id === id ? { ...r, [field]: value } : r)));
+  };
+
+  const handleRemoveRow = (id) => {
+    setRows(prev => prev.filter(r => r.id !== id));
+  };
+
+  // Map broker symbols to data-provider symbols (e.g. foreign listings)
+  const fmpApiKey = getFmpApiKey();
+  const handleResolveSymbols = async () => {
+    if (!fmpApiKey || rows.length === 0) return;
+    setIsResolving(true);
+    try {
+      const resolved = await batchResolveSymbols(rows.map(r => r.ticker), fmpApiKey);
+      setRows(prev => prev.map(r => {
+        const match = resolved[r.ticker];
+        if (!match) return { ...r, unresolved: true };
+        return {
+          ...r,
+          ticker: match.fmpSymbol.toUpperCase(),
+          name: r.name || match.name,
+          resolvedFrom: match.fmpSymbol.toUpperCase() !== r.ticker ? r.ticker : null,
+          unresolved: false,
+        };
+      }));
+    } catch (err) {
+      console.error('Symbol resolution failed:', err);
+      setError('Symbol resolution failed. Tickers were left as in the file.');
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  // Fetch prices for rows the statement had no price for
+  const handleFetchPrices = async () => {
+    if (!fetchPriceForTicker) return;
+    const missing = rows.filter(r => !(r.price > 0));
+    setIsFetchingPrices(true);
+    setFetchProgress({ current: 0, total: missing.length });
+
+    for (const row of missing) {
+      try {
+        const quote = await fetchPriceForTicker(row.ticker);
+        if (quote?.price) {
+          // Rows stay in their listing currency; the import converts them to USD
+          setRows(prev => prev.map(r => (r.id === row.id
+            ? { ...r, price: quote.domesticPrice ?? quote.price, currency: quote.currency || 'USD' }
+            : r)));
+        }
+      } catch (err) {
+        console.error(`Failed to fetch price for ${row.ticker}:`, err);
+      }
+      setFetchProgress(prev => ({ ...prev, current: prev.current + 1 }));
+    }
+
+    setIsFetchingPrices(false);
+  };
+
+  const handleImport = () => {
+    const positions = rows
+      .filter(r => r.ticker && r.quantity)
+      .map(r => ({
+        ticker: r.ticker.toUpperCase(),
+        quantity: r.quantity,
+        price: r.price,
+        avgCost: r.avgCost,
+        currency: r.currency,
+      }));
+    if (positions.length === 0) return;
+    onImport({
+      positions,
+      mode,
+      // Merge keeps the book's cash; only a full replace takes the statement's
+      cashBalance: mode === 'replace' && importCash && result?.cash != null ? result.cash : null,
+    });
+    onClose();
+  };
+
+  const totalValue = rows.reduce((sum, r) => sum + (r.quantity || 0) * (r.price || 0), 0);
+  const needsPrices = rows.some(r => !(r.price > 0));
+  const existing = new Set(existingTickers);
+  const removedCount = mode === 'replace'
+    ? existingTickers.filter(t => !rows.some(r => r.ticker === t)).length
+    : 0;
+
+  if (!isOpen) return null;
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.modal} onClick={e => e.stopPropagation()}>
+        {/* Header */}
+        <div style={styles.header}>
+          <div style={styles.headerIcon}>📄</div>
+          <h2 style={styles.title}>Import Broker Statement</h2>
+          <button style={styles.closeButton} onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        {/* Content */}
+        <div style={styles.content}>
+          {/* Step 1: Upload */}
+          {step === 'upload' && (
+            <>
+              <div
+                ref={dropzoneRef}
+                style={{
+                  ...styles.dropzone,
+                  ...(isDragging ? styles.dropzoneActive : {}),
+                }}
+                onDragEnter={handleDragOver}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+                onClick={() => fileInputRef.current?.click()}
+              >
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".csv,.txt,.ofx,.qfx,text/csv"
+                  onChange={(e) => handleFile(e.target.files?.[0])}
+                  style={{ display: 'none' }}
+                />
+                <div style={styles.dropzoneContent}>
+                  <span style={styles.dropzoneIcon}>📂</span>
+                  <span style={styles.dropzoneText}>
+                    Drop a positions export here, or click to choose a file
+                  </span>
+                  <span style={styles.dropzoneHint}>
+                    CSV from Schwab, Fidelity, Interactive Brokers, Vanguard (or any CSV with symbol and quantity columns) • OFX / QFX
+                  </span>
+                </div>
+              </div>
+
+              <p style={styles.note}>
+                🔒 The file is parsed in your browser. Nothing leaves your machine unless you choose to resolve symbols or fetch prices.
+              </p>
+
+              {error && (
+                <div style={styles.errorBox}>
+                  <span>❌</span>
+                  <span>{error}</span>
+                </div>
+              )}
+            </>
+          )}
+
+          {/* Step 2: Review */}
+          {step === 'review' && (
+            <>
+              <div style={styles.metaBox}>
+                <span style={styles.fileName}>{file?.name}</span>
+                {result && (
+                  <span style={styles.metaText}>
+                    {result.format === 'ofx'
+                      ? `OFX statement${result.broker ? ` · ${result.broker}` : ''}`
+                      : BROKER_PRESETS[result.preset]?.label}
+                    {' · '}{rows.length} position{rows.length === 1 ? '' : 's'}
+                    {result.cash != null && ` · cash ${result.cash < 0 ? '-' : ''}$${Math.abs(result.cash).toLocaleString(undefined, { maximumFractionDigits: 2 })}`}
+                  </span>
+                )}
+              </div>
+
+              {/* CSV preset and column mapping */}
+              {(result?.format === 'csv' || (!result && !/\.(ofx|qfx)$/i.test(file?.name || ''))) && (
+                <div style={styles.section}>
+                  <div style={styles.mappingRow}>
+                    <label style={styles.mappingLabel}>
+                      Broker
+                      <select
+                        value={preset || ''}
+                        onChange={(e) => { setPreset(e.target.value || null); setMappingOverrides({}); }}
+                        style={styles.select}
+                      >
+                        <option value="">Detect{result?.preset && !preset ? ` (${BROKER_PRESETS[result.preset].label})` : ''}</option>
+                        {Object.entries(BROKER_PRESETS).map(([key, { label }]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                  {result && (
+                    <div style={styles.mappingGrid}>
+                      {IMPORT_FIELDS.map(([field, label, required]) => (
+                        <label key={field} style={styles.mappingLabel}>
+                          {label}{required ? ' *' : ''}
+                          <select
+                            value={result.mapping[field] ?? -1}
+                            onChange={(e) => setMappingOverrides(prev => ({ ...prev, [field]: parseInt(e.target.value, 10) }))}
+                            style={styles.select}
+                          >
+                            <option value={-1}>—</option>
+                            {result.headers.map((h, i) => (
+                              <option key={i} value={i}>{h || `column ${i + 1}`}</option>
+                            ))}
+                          </select>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {parsed.error && (
+                <div style={styles.errorBox}>
+                  <span>❌</span>
+                  <span>{parsed.error}</span>
+                </div>
+              )}
+
+              {result && (
+                <div style={styles.pendingSection}>
+                  <div style={styles.pendingHeader}>
+                    <span>Preview ({rows.length})</span>
+                    <span style={{ display: 'flex', gap: '8px' }}>
+                      <button
+                        style={{ ...styles.actionButton, opacity: fmpApiKey ? 1 : 0.5 }}
+                        onClick={handleResolveSymbols}
+                        disabled={!fmpApiKey || isResolving || rows.length === 0}
+                        title={fmpApiKey ? 'Match broker symbols to data-provider symbols (sends tickers to FMP)' : 'Add an FMP API key (Consensus tab) to resolve symbols'}
+                      >
+                        {isResolving ? 'Resolving…' : '🔎 Resolve Symbols'}
+                      </button>
+                      {needsPrices && fetchPriceForTicker && (
+                        <button
+                          style={styles.fetchButton}
+                          onClick={handleFetchPrices}
+                          disabled={isFetchingPrices}
+                        >
+                          {isFetchingPrices
+                            ? `Fetching ${fetchProgress.current}/${fetchProgress.total}...`
+                            : '📡 Fetch Missing Prices'}
+                        </button>
+                      )}
+                    </span>
+                  </div>
+
+                  <div style={styles.pendingTable}>
+                    <div style={styles.pendingTableHeader}>
+                      <span style={{ width: '130px' }}>Ticker</span>
+                      <span style={{ width: '80px', textAlign: 'right' }}>Quantity</span>
+                      <span style={{ width: '70px', textAlign: 'right' }}>Price</span>
+                      <span style={{ width: '70px', textAlign: 'right' }}>Avg cost</span>
+                      <span style={{ width: '90px', textAlign: 'right' }}>Value</span>
+                      <span style={{ width: '32px' }}></span>
+                    </div>
+
+                    <div style={styles.pendingTableBody}>
+                      {rows.map(row => {
+                        const value = row.price > 0 ? row.quantity * row.price : null;
+                        const isExisting = existing.has(row.ticker);
+                        return (
+                          <div
+                            key={row.id}
+                            style={{
+                              ...styles.pendingRow,
+                              ...(row.unresolved ? styles.notFoundRow : {}),
+                            }}
+                          >
+                            <span style={{ width: '130px', display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                              <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                <input
+                                  style={styles.tickerInput}
+                                  value={row.ticker}
+                                  onChange={(e) => handleUpdateRow(row.id, 'ticker', e.target.value.toUpperCase())}
+                                />
+                                {isExisting && (
+                                  <span title={mode === 'merge' ? 'Already held: quantity will be updated' : 'Already held: keeps its distribution settings'}>↻</span>
+                                )}
+                                {row.unresolved && <span title="Not found by the data provider">✗</span>}
+                              </span>
+                              {(row.name || row.resolvedFrom) && (
+                                <span style={styles.rowName}>
+                                  {row.resolvedFrom ? `from ${row.resolvedFrom} · ` : ''}{row.name}
+                                </span>
+                              )}
+                            </span>
+                            <span style={{ width: '80px', textAlign: 'right' }}>
+                              <input
+                                style={styles.qtyInput}
+                                type="number"
+                                value={row.quantity}
+                                onChange={(e) => handleUpdateRow(row.id, 'quantity', parseFloat(e.target.value) || 0)}
+                              />
+                            </span>
+                            <span style={{ width: '70px', textAlign: 'right', fontSize: '11px', color: row.price > 0 ? '#fff' : '#555' }}>
+                              {row.price > 0 ? row.price.toFixed(2) : '—'}
+                            </span>
+                            <span style={{ width: '70px', textAlign: 'right', fontSize: '11px', color: 'rgba(255,255,255,0.6)' }}>
+                              {row.avgCost != null ? row.avgCost.toFixed(2) : '—'}
+                            </span>
+                            <span style={{
+                              width: '90px',
+                              textAlign: 'right',
+                              fontWeight: '600',
+                              color: value === null ? '#555' : value >= 0 ? COLORS.green : COLORS.red,
+                            }}>
+                              {value !== null
+                                ? `${value >= 0 ? '' : '-'}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`
+                                : '—'}
+                            </span>
+                            <span style={{ marginLeft: 'auto' }}>
+                              <button
+                                style={styles.removeButton}
+                                onClick={() => handleRemoveRow(row.id)}
+                                title="Remove"
+                              >
+                                ×
+                              </button>
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    <div style={styles.totalRow}>
+                      <span style={{ width: '130px', fontWeight: '600' }}>Total</span>
+                      <span style={{ width: '220px' }}></span>
+                      <span style={{
+                        width: '90px',
+                        textAlign: 'right',
+                        fontWeight: '700',
+                        color: totalValue >= 0 ? COLORS.green : COLORS.red,
+                      }}>
+                        {totalValue >= 0 ? '' : '-'}${Math.abs(totalValue).toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                      </span>
+                      <span style={{ width: '32px' }}></span>
+                    </div>
+                  </div>
+
+                  {result.skipped.length > 0 && (
+                    <div style={styles.skippedBox}>
+                      Skipped {result.skipped.length} line{result.skipped.length === 1 ? '' : 's'}:{' '}
+                      {result.skipped.map(s => `${s.label} (${s.reason})`).join(' • ')}
+                    </div>
+                  )}
+
+                  {/* Merge or replace */}
+                  <div style={styles.modeRow}>
+                    <label style={styles.radioLabel}>
+                      <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                      <span><strong>Merge</strong> — update held tickers, add new ones, keep the rest</span>
+                    </label>
+                    <label style={styles.radioLabel}>
+                      <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                      <span>
+                        <strong>Replace</strong> — the portfolio becomes exactly this statement
+                        {removedCount > 0 && <span style={{ color: COLORS.orange }}> ({removedCount} position{removedCount === 1 ? '' : 's'} removed)</span>}
+                      </span>
+                    </label>
+                    {result.cash != null && mode === 'replace' && (
+                      <label style={styles.radioLabel}>
+                        <input type="checkbox" checked={importCash} onChange={(e) => setImportCash(e.target.checked)} />
+                        <span>Set cash balance to the statement's ${result.cash.toLocaleString(undefined, { maximumFractionDigits: 2 })}</span>
+                      </label>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {error && (
+                <div style={styles.errorBox}>
+                  <span>❌</span>
+                  <span>{error}</span>
+                </div>
+              )}
+
+              <button style={styles.backLink} onClick={() => setStep('upload')}>
+                ← Choose a different file
+              </button>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={styles.footer}>
+          <button style={styles.cancelButton} onClick={onClose}>
+            Cancel
+          </button>
+
+          {step === 'review' && (
+            <button
+              style={{
+                ...styles.confirmButton,
+                opacity: rows.length === 0 ? 0.5 : 1,
+              }}
+              onClick={handleImport}
+              disabled={rows.length === 0}
+            >
+              {mode === 'replace' ? 'Replace with' : 'Import'} {rows.length} Position{rows.length !== 1 ? 's' : ''}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0, 0, 0, 0.75)',
+    backdropFilter: 'blur(4px)',
+    WebkitBackdropFilter: 'blur(4px)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 10001,
+    padding: '20px',
+  },
+
+  modal: {
+    background: 'linear-gradient(180deg, rgba(30, 30, 50, 0.98) 0%, rgba(20, 20, 35, 0.98) 100%)',
+    borderRadius: '16px',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    boxShadow: '0 24px 64px rgba(0, 0, 0, 0.5), 0 0 0 1px rgba(0, 212, 255, 0.1)',
+    maxWidth: '680px',
+    width: '100%',
+    maxHeight: '85vh',
+    overflow: 'hidden',
+    display: 'flex',
+    flexDirection: 'column',
+  },
+
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '20px 24px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+  },
+
+  headerIcon: {
+    fontSize: '24px',
+  },
+
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: 600,
+    color: '#fff',
+    flex: 1,
+  },
+
+  closeButton: {
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: 'none',
+    borderRadius: '8px',
+    width: '32px',
+    height: '32px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    cursor: 'pointer',
+    color: 'rgba(255, 255, 255, 0.6)',
+    fontSize: '20px',
+  },
+
+  content: {
+    flex: 1,
+    overflowY: 'auto',
+    padding: '20px 24px',
+  },
+
+  // Dropzone styles
+  dropzone: {
+    border: '2px dashed rgba(255, 255, 255, 0.2)',
+    borderRadius: '12px',
+    padding: '40px 20px',
+    textAlign: 'center',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
+    marginBottom: '16px',
+  },
+
+  dropzoneActive: {
+    borderColor: COLORS.cyan,
+    background: 'rgba(0, 212, 255, 0.05)',
+  },
+
+  dropzoneContent: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '12px',
+  },
+
+  dropzoneIcon: {
+    fontSize: '48px',
+    opacity: 0.5,
+  },
+
+  dropzoneText: {
+    fontSize: '14px',
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+
+  dropzoneHint: {
+    fontSize: '12px',
+    color: 'rgba(255, 255, 255, 0.4)',
+    maxWidth: '420px',
+  },
+
+  note: {
+    fontSize: '11px',
+    color: 'rgba(255, 255, 255, 0.5)',
+    margin: '0 0 12px',
+  },
+
+  // Mapping styles
+  section: {
+    marginBottom: '16px',
+  },
+
+  mappingRow: {
+    display: 'flex',
+    gap: '12px',
+    marginBottom: '10px',
+  },
+
+  mappingGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(4, 1fr)',
+    gap: '8px',
+  },
+
+  mappingLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '10px',
+    color: 'rgba(255, 255, 255, 0.5)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+
+  select: {
+    padding: '6px 8px',
+    fontSize: '11px',
+    background: 'rgba(0, 0, 0, 0.3)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '6px',
+    color: '#fff',
+    outline: 'none',
+    textTransform: 'none',
+  },
+
+  errorBox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 12px',
+    background: 'rgba(231, 76, 60, 0.1)',
+    border: '1px solid rgba(231, 76, 60, 0.2)',
+    borderRadius: '8px',
+    fontSize: '12px',
+    color: COLORS.red,
+    marginBottom: '12px',
+  },
+
+  // Review table styles
+  metaBox: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '12px',
+    padding: '12px',
+    background: 'rgba(0, 212, 255, 0.05)',
+    border: '1px solid rgba(0, 212, 255, 0.1)',
+    borderRadius: '8px',
+    marginBottom: '16px',
+    fontSize: '12px',
+  },
+
+  fileName: {
+    color: COLORS.cyan,
+    fontWeight: '600',
+  },
+
+  metaText: {
+    color: 'rgba(255, 255, 255, 0.6)',
+  },
+
+  pendingSection: {
+    marginTop: '8px',
+  },
+
+  pendingHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#fff',
+  },
+
+  actionButton: {
+    padding: '6px 12px',
+    fontSize: '11px',
+    fontWeight: '500',
+    background: 'rgba(0, 212, 255, 0.1)',
+    border: '1px solid rgba(0, 212, 255, 0.3)',
+    borderRadius: '6px',
+    color: COLORS.cyan,
+    cursor: 'pointer',
+  },
+
+  fetchButton: {
+    padding: '6px 12px',
+    fontSize: '11px',
+    fontWeight: '500',
+    background: 'rgba(46, 204, 113, 0.1)',
+    border: '1px solid rgba(46, 204, 113, 0.3)',
+    borderRadius: '6px',
+    color: COLORS.green,
+    cursor: 'pointer',
+  },
+
+  pendingTable: {
+    background: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: '8px',
+    border: '1px solid rgba(255, 255, 255, 0.05)',
+    overflow: 'hidden',
+  },
+
+  pendingTableHeader: {
+    display: 'flex',
+    padding: '10px 12px',
+    background: 'rgba(0, 0, 0, 0.3)',
+    fontSize: '10px',
+    fontWeight: '600',
+    color: 'rgba(255, 255, 255, 0.4)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+
+  pendingTableBody: {
+    maxHeight: '250px',
+    overflowY: 'auto',
+  },
+
+  pendingRow: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '8px 12px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.03)',
+    fontSize: '12px',
+    color: '#fff',
+  },
+
+  notFoundRow: {
+    background: 'rgba(231, 76, 60, 0.05)',
+  },
+
+  rowName: {
+    fontSize: '9px',
+    color: 'rgba(255,255,255,0.5)',
+    maxWidth: '125px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+
+  tickerInput: {
+    width: '85px',
+    padding: '4px 6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: 'rgba(0, 0, 0, 0.3)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '4px',
+    color: COLORS.cyan,
+    outline: 'none',
+  },
+
+  qtyInput: {
+    width: '70px',
+    padding: '4px 8px',
+    fontSize: '12px',
+    background: 'rgba(0, 0, 0, 0.3)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '4px',
+    color: '#fff',
+    textAlign: 'right',
+    outline: 'none',
+  },
+
+  removeButton: {
+    background: 'rgba(231, 76, 60, 0.1)',
+    border: '1px solid rgba(231, 76, 60, 0.3)',
+    borderRadius: '4px',
+    width: '24px',
+    height: '24px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    cursor: 'pointer',
+    color: COLORS.red,
+    fontSize: '14px',
+  },
+
+  totalRow: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '12px',
+    background: 'rgba(0, 0, 0, 0.3)',
+    borderTop: '1px solid rgba(255, 255, 255, 0.1)',
+    fontSize: '12px',
+    color: '#fff',
+  },
+
+  skippedBox: {
+    marginTop: '10px',
+    padding: '8px 12px',
+    background: 'rgba(243, 156, 18, 0.08)',
+    border: '1px solid rgba(243, 156, 18, 0.2)',
+    borderRadius: '8px',
+    fontSize: '11px',
+    color: COLORS.orange,
+  },
+
+  modeRow: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginTop: '14px',
+  },
+
+  radioLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '12px',
+    color: 'rgba(255, 255, 255, 0.7)',
+    cursor: 'pointer',
+  },
+
+  backLink: {
+    marginTop: '16px',
+    padding: 0,
+    background: 'none',
+    border: 'none',
+    color: 'rgba(255, 255, 255, 0.5)',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+
+  // Footer styles
+  footer: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '12px',
+    padding: '16px 24px',
+    borderTop: '1px solid rgba(255, 255, 255, 0.1)',
+  },
+
+  cancelButton: {
+    padding: '10px 20px',
+    fontSize: '13px',
+    fontWeight: '500',
+    background: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '8px',
+    color: 'rgba(255, 255, 255, 0.7)',
+    cursor: 'pointer',
+  },
+
+  confirmButton: {
+    padding: '10px 20px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'linear-gradient(135deg, #00d4ff 0%, #7b2ff7 100%)',
+    border: 'none',
+    borderRadius: '8px',
+    color: '#fff',
+    cursor: 'pointer',
+  },
+};
+
+export default StatementImportModal;
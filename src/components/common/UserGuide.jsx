@@ -36,7 +36,9 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
     { id: 'factors', label: 'Factors', icon: '🧬' },
     { id: 'consensus', label: 'Consensus', icon: '📢' },
     { id: 'optimize', label: 'Optimize', icon: '⚡' },
+    { id: 'stress', label: 'Stress Test', icon: '🌪️' },
     { id: 'export', label: 'Export', icon: '📄' },
+    { id: 'performance', label: 'Performance', icon: '🏁' },
     { id: 'tips', label: 'Tips', icon: '💡' },
   ];
   
@@ -160,6 +162,56 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
               <li><strong>Price:</strong> Current price per share</li>
             </ul>
             
+            <h4 style={styles.subTitle}>Importing Broker Statements</h4>
+            <p style={styles.paragraph}>
+              <strong>📄 Statement Import</strong> reads a positions CSV from Schwab, Fidelity, Interactive Brokers or Vanguard, or an OFX/QFX file. The file is parsed in the browser, so nothing is sent to an AI service. The broker is detected automatically; if columns land in the wrong place, pick the broker or remap the columns and the preview updates. <em>Merge</em> updates the tickers you already hold and adds new ones; <em>Replace</em> makes the portfolio match the statement. Existing positions keep their return distributions, and the statement's cash can set your cash balance. Options and bonds in the file are listed as skipped.
+            </p>
+
+            <h4 style={styles.subTitle}>Tax-Loss Harvesting</h4>
+            <p style={styles.paragraph}>
+              The <strong>🌾 Tax-Loss Harvesting</strong> card lists holdings trading below their cost basis. Ledger positions show only the lots with a loss (sell those by specific ID), split short/long term; the tax saved uses the rates from the Simulation tab's Taxes panel. Shares of the same ticker, or a substantially identical fund such as VOO for SPY, bought in the last 30 days and kept after the sale disallow part of the loss; the card shows how much and when a sale would be clean. Replacements are the factor / thematic ETFs and your other holdings most correlated with the position over the last year, never a fund on the same index. Don't buy the original back until the rebuy date.
+            </p>
+
+            <h4 style={styles.subTitle}>Base Currency &amp; FX Hedging</h4>
+            <p style={styles.paragraph}>
+              Pick the portfolio's base currency (EUR, GBP, CHF, JPY, …) with the <strong>💱</strong> selector in the header. Net liquidation value, position values and ledger P&amp;L are then shown in that currency at today's rate; prices you type stay in USD. Any holding priced in another currency than the base carries exchange-rate risk. Use the <em>FX unhedged / FX hedged</em> toggle under its local price to mark positions you hedge, for example currency-hedged share classes or ones covered by forwards.
+            </p>
+            
+            <h4 style={styles.subTitle}>Bonds</h4>
+            <p style={styles.paragraph}>
+              Set a position's type to Bond (common bond ETFs such as AGG, TLT and HYG start that way) to
+              simulate it from duration, convexity, yield (carry) and rate / credit-spread volatility instead
+              of its p5–p95 guess. Edit the parameters in the Bond Parameters card. The yield move follows
+              the position's row of the correlation matrix, so bonds keep their historical relationship with equities.
+            </p>
+            
+            <h4 style={styles.subTitle}>Listed Options</h4>
+            <p style={styles.paragraph}>
+              Add puts and calls in the Listed Options card: underlying, strike, expiry, contracts
+              (negative = written, e.g. covered calls) and optionally the premium and implied volatility
+              (blank = the underlying's historical volatility). The underlying must also be a position
+              (0 shares is fine). The simulation reprices each option with Black-Scholes on every path,
+              so protective puts and covered calls reshape the tails instead of counting as stock.
+            </p>
+            
+            <h4 style={styles.subTitle}>Transactions & Tax Lots</h4>
+            <p style={styles.paragraph}>
+              Record buys, sells, splits, dividends, transfers and fees in the Transactions & Tax Lots card
+              instead of re-keying share counts. Each buy or transfer in opens a lot, and the shares and
+              average cost of every ticker in the ledger are derived from its open lots. Choose FIFO, LIFO
+              or Specific ID (pick the lots on each sale). The card shows realized gains split into short and
+              long term (held over a year), unrealized P&L per holding and lot, dividends and fees.
+            </p>
+            
+            <h4 style={styles.subTitle}>Multiple Portfolios</h4>
+            <p style={styles.paragraph}>
+              When signed in, the Portfolio bar above the tabs switches between your books (taxable, IRA,
+              model, client accounts...). Each keeps its own positions, simulation settings, correlation
+              and results. New starts empty, Clone copies the current book, and Rename also changes the
+              account type. Pick "Household" to merge every portfolio by ticker into one read-only book
+              for simulation; choose a portfolio again to resume editing.
+            </p>
+            
             <h4 style={styles.subTitle}>Loading Market Data</h4>
             <p style={styles.paragraph}>
               Click "Load Betas" to fetch from Yahoo Finance:
@@ -200,6 +252,15 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
               <li><strong>Manual:</strong> Enter your own estimates for each position</li>
             </ul>
             
+            <h4 style={styles.subTitle}>Black-Litterman Returns</h4>
+            <p style={styles.paragraph}>
+              Starts from the returns implied by market-cap weights and the correlation matrix, then
+              tilts them toward analyst views from the Consensus tab: price-target upside plus dividend
+              yield, nudged by the rating mix and recent EPS estimate revisions. Views with more analysts
+              and tighter price targets get more weight. Apply moves P50 to the posterior return and
+              shifts the other percentiles with it; bonds keep their yield-model returns.
+            </p>
+            
             <div style={styles.highlightBox}>
               <div style={styles.highlightIcon}>📊</div>
               <div>
@@ -238,6 +299,14 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
               than two 30% volatility positions with 0.9 correlation. Diversification benefits 
               come from low correlations.
             </p>
+
+            <h4 style={styles.subTitle}>Correlation Clusters</h4>
+            <p style={styles.paragraph}>
+              The dendrogram joins positions in order of correlation, closest first, with each
+              position's HRP weight beside its ticker. Pick single, average or complete linkage and
+              the number of clusters (the red line marks the cut). Saving the clusters replaces the
+              sector/industry correlation groups, and stores them in the cloud when you are signed in.
+            </p>
           </div>
         );
         
@@ -252,6 +321,8 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
             <h4 style={styles.subTitle}>Configuration</h4>
             <ul style={styles.list}>
               <li><strong>Paths:</strong> Number of simulations (10,000-50,000 recommended)</li>
+              <li><strong>Variance reduction:</strong> Antithetic pairs and a Gaussian control variate under Sampling Method; the Convergence card reports the variance-reduction factor (VRF) achieved</li>
+              <li><strong>Adaptive:</strong> Treat Paths as the first batch and keep adding paths until every statistic's 95% confidence interval is within the chosen ±target</li>
               <li><strong>Horizon:</strong> Time period (1 Year typical)</li>
               <li><strong>Distribution:</strong> Normal or Student-t (fat tails for crash scenarios)</li>
             </ul>
@@ -264,13 +335,33 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
               <li><strong>P(Loss):</strong> Probability of any loss</li>
               <li><strong>VaR 5%:</strong> Value at Risk - max loss at 95% confidence</li>
               <li><strong>CVaR 5%:</strong> Expected Shortfall - average of worst 5% outcomes</li>
+              <li><strong>Convergence:</strong> Standard error and 95% confidence interval for each of the above, plus an MC vs QMC comparison</li>
             </ul>
             
+            <h4 style={styles.subTitle}>After-Tax Results</h4>
+            <p style={styles.paragraph}>
+              Set the account's tax treatment under <strong>Taxes</strong> to see after-tax terminal wealth next to the pre-tax figures. In a <em>taxable</em> account, dividends, bond coupons and cash interest are taxed each year. Gains realized by the rebalancing policy, by withdrawals and by selling to pay the tax bill are netted short/long term at year end, with losses carried forward. Opening lots come from your transactions (or the average cost). Results show wealth both held and fully liquidated, plus the tax drag in bps per year. <em>Tax-deferred</em> accounts pay your income rate on withdrawal at the horizon; <em>tax-free</em> accounts pay nothing. Rates and treatment are saved per portfolio.
+            </p>
+
+            <h4 style={styles.subTitle}>Results in Your Base Currency</h4>
+            <p style={styles.paragraph}>
+              Simulations run in the base currency chosen under <strong>Base Currency</strong>. Each unhedged foreign holding adds its currency's return against the base as a separate risk factor. That factor's volatility and its correlations with your holdings and the other currencies come from three years of daily FX history (defaults apply while history is missing). Terminal wealth, cash flows and after-tax figures are in the base currency. The <strong>💱 Currency Risk</strong> card shows the unhedged weight per currency and how much FX adds to portfolio volatility.
+            </p>
+
             <h4 style={styles.subTitle}>Contribution Analysis</h4>
             <p style={styles.paragraph}>
               Shows how each position contributes to portfolio return, helping identify 
               which holdings drive performance in different scenarios.
             </p>
+
+            <h4 style={styles.subTitle}>Compare Portfolios & What-Ifs</h4>
+            <p style={styles.paragraph}>
+              At the bottom of the Simulation tab, save the current book as a named what-if, edit the
+              positions, and pick two to four books (current, what-ifs, or your other portfolios when
+              signed in) to run side by side. Every book uses the same settings, seed and path count;
+              the view overlays their return histograms and lines up percentiles, loss and drawdown
+              probabilities, Sharpe ratios and factor exposures, with the best value in each row in green.
+            </p>
           </div>
         );
         
@@ -367,6 +458,46 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
               Large contributors may be candidates for reduction.
             </p>
             
+            <h4 style={styles.subTitle}>Constrained Optimizer</h4>
+            <p style={styles.paragraph}>
+              Computes Max Sharpe or Min Variance target weights under the limits your account
+              actually has: long-only, a per-position max, the min/max from your rebalancing
+              targets, caps on each correlation group, a turnover limit (buys plus sells as a
+              share of NAV) and a cash floor. Unless "Deploy cash" is on, it keeps today's invested
+              weight. The result is a list of whole-share trades that stays within every limit,
+              with the limits that bind listed. If the limits contradict each other, it says which.
+            </p>
+
+            <h4 style={styles.subTitle}>Downside Objectives</h4>
+            <p style={styles.paragraph}>
+              Min CVaR, Max Sortino and Max Omega optimize on simulated one-year returns instead of
+              volatility, so skew and fat tails count. The scenarios are drawn with the Simulation
+              tab's distributions, fat-tail method and seed. Min CVaR minimizes the average loss in
+              the worst 10%, 5% or 1% of outcomes. Sortino divides the return above a minimum
+              acceptable return (the risk-free rate unless you set one) by the downside deviation
+              below it; Omega divides expected gains above it by expected shortfalls below it.
+              The same limits and whole-share trade list apply.
+            </p>
+
+            <h4 style={styles.subTitle}>Efficient Frontier</h4>
+            <p style={styles.paragraph}>
+              Plots the lowest volatility reachable at each expected return under the optimizer limits
+              (the turnover limit is left out), plus the capital market line from the risk-free rate
+              through the tangency (max Sharpe) portfolio. Your current portfolio, the risk-parity
+              and HRP portfolios, the optimizer's target and every candidate swap from the last
+              optimization run are drawn on the same chart. Click a frontier point to see its weights
+              and the whole-share trades that get you there.
+            </p>
+
+            <h4 style={styles.subTitle}>Hierarchical Risk Parity</h4>
+            <p style={styles.paragraph}>
+              Shown next to risk parity after each optimization run. HRP clusters positions by
+              correlation, orders them so similar names sit together, then splits the weight between
+              halves in inverse proportion to each half's risk. It never inverts the correlation
+              matrix, so a noisy estimate with many positions does not swing the weights the way it
+              can for Max Sharpe.
+            </p>
+            
             <div style={styles.highlightBox}>
               <div style={styles.highlightIcon}>⚠️</div>
               <div>
@@ -377,6 +508,85 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
           </div>
         );
         
+      case 'stress':
+        return (
+          <div style={styles.sectionContent}>
+            <h3 style={styles.sectionTitle}>Stress Test Tab</h3>
+            <p style={styles.paragraph}>
+              Replay today's holdings through past crises to see what the portfolio would have done.
+            </p>
+            
+            <h4 style={styles.subTitle}>Built-in Windows</h4>
+            <ul style={styles.list}>
+              <li><strong>2008 GFC:</strong> Oct 2007 peak to Mar 2009 trough</li>
+              <li><strong>COVID Crash:</strong> Feb–Mar 2020</li>
+              <li><strong>2022 Rates Shock:</strong> Jan–Oct 2022</li>
+              <li><strong>Dot-com Bust:</strong> Mar 2000 to Oct 2002</li>
+            </ul>
+            
+            <h4 style={styles.subTitle}>Missing History</h4>
+            <p style={styles.paragraph}>
+              Positions that did not trade during a window are proxied from SPY and the factor
+              ETF spreads using their factor betas (run the Factors tab first for size, value and
+              momentum betas; otherwise the SPY beta is used). The coverage column shows how much
+              of the portfolio used real prices.
+            </p>
+            
+            <h4 style={styles.subTitle}>Custom Windows</h4>
+            <p style={styles.paragraph}>
+              Add your own date ranges — they are saved with your settings and replayed alongside the built-in scenarios.
+            </p>
+            
+            <h4 style={styles.subTitle}>Factor Shocks</h4>
+            <p style={styles.paragraph}>
+              Type hypothetical moves such as <code>SPY -20%, SMB +5%, HML -3%, XLE +15%</code> to see the P&amp;L
+              per position and for the portfolio, with a 90% band for stock-specific risk. Sector ETF shocks only
+              count the part of the move not already explained by SPY. Save scenarios to your library (or start
+              from a template) and re-run them all with one click.
+            </p>
+          </div>
+        );
+        
+      case 'performance':
+        return (
+          <div style={styles.sectionContent}>
+            <h3 style={styles.sectionTitle}>Performance Tab</h3>
+            <p style={styles.paragraph}>
+              See what the portfolio actually returned, as opposed to what the simulation expects.
+            </p>
+            
+            <h4 style={styles.subTitle}>Daily Snapshots</h4>
+            <p style={styles.paragraph}>
+              Each day prices are refreshed, the app records the portfolio's holdings, cash and net value.
+              Snapshots are saved with your portfolio (and to the cloud when signed in). Before the first
+              snapshot, history is backfilled from the transaction ledger at market closes.
+            </p>
+            
+            <h4 style={styles.subTitle}>TWR vs MWR</h4>
+            <ul style={styles.list}>
+              <li><strong>Time-weighted (TWR):</strong> chains daily returns with deposits and withdrawals removed — how the holdings did</li>
+              <li><strong>Money-weighted (MWR):</strong> the internal rate of return on the cash you actually moved — how your timing did</li>
+            </ul>
+            <p style={styles.paragraph}>
+              Both are annualized once the range covers a year. Rolling 63-day volatility and drawdowns from the
+              running peak use the time-weighted series.
+            </p>
+            
+            <h4 style={styles.subTitle}>Benchmark</h4>
+            <p style={styles.paragraph}>
+              Compare against SPY or type a blend such as <code>SPY 60, AGG 40</code> (rebalanced daily).
+              The blend is saved with your settings.
+            </p>
+            
+            <h4 style={styles.subTitle}>Forecast Check</h4>
+            <p style={styles.paragraph}>
+              Every fresh simulation run keeps its fan chart. The table places the realized return since each
+              run in that run's bands: over many runs roughly 90% should land inside p5–p95 and half inside
+              p25–p75. Far fewer suggests the simulation is too confident.
+            </p>
+          </div>
+        );
+        
       case 'export':
         return (
           <div style={styles.sectionContent}>
@@ -442,7 +652,8 @@ const UserGuide = ({ isOpen, onClose, isFirstTime = false }) => {
                 <strong>50,000 Paths for Accuracy</strong>
                 <p style={styles.tipText}>
                   More simulation paths give more stable estimates, especially for tail 
-                  metrics like P5 and VaR. 50K is a good balance of accuracy and speed.
+                  metrics like P5 and VaR. Check the Convergence Diagnostics card: if the 
+                  confidence intervals are wider than you care about, add paths or turn on Adaptive.
                 </p>
               </div>
             </div>
@@ -42,6 +42,7 @@ export { default as KeyboardShortcuts } from './KeyboardShortcuts';
 export { default as UserGuide } from './UserGuide';
 export { default as AddPositionsModal } from './AddPositionsModal';
 export { default as ScreenshotImportModal } from './ScreenshotImportModal';
+export { default as StatementImportModal } from './StatementImportModal';
 export { default as CommandPalette } from './CommandPalette';
 export { default as CommandItem } from './CommandItem';
 export { default as RecoveryDialog } from './RecoveryDialog';
@@ -740,7 +740,7 @@ const CoverPage = ({ data, totalPages, tocSections }) => {
               ['Positions', positions.length],
               ['Paths', (numPaths || 10000).toLocaleString()],
               ['Correlation', correlationMethod === 'sample' ? 'Sample' : 'Ledoit-Wolf'],
-              ['Distribution', fatTailMethod === 'multivariateTStudent' ? 't-dist' : 'Gaussian'],
+              ['Distribution', fatTailMethod === 'multivariateTStudent' ? 't-dist' : fatTailMethod === 'regimeSwitching' ? 'Regimes' : 'Gaussian'],
             ].map(([label, value], i) => (
               <View key={i} style={[s.row, { marginBottom: 4 }]}>
                 <Text style={{ fontSize: 7, color: C.muted, width: 65 }}>{label}:</Text>
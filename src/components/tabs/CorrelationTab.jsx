@@ -1,6 +1,8 @@
 import React, { useState, useMemo, memo, useEffect } from 'react';
 import CorrelationCellInput from '../correlation/CorrelationCellInput';
 import { StaleBanner } from '../common';
+import { LINKAGE_METHODS, clusterCorrelation, leafOrder, cutTree } from '../../utils/hierarchicalClustering';
+import { buildCovarianceMatrix, computeHRPWeights } from '../../utils/portfolioOptimization';
 
 /**
  * CorrelationTab - Correlation Matrix Tab Component
@@ -10,6 +12,8 @@ import { StaleBanner } from '../common';
  * - Lag analysis for international stocks
  * - Sector/Industry-based correlation groups
  * - Multiple view modes (correlation, beta, volatility, summary)
+ * - Regime-switching model (per-regime correlations and transitions)
+ * - Correlation clusters (dendrogram, HRP weights, save as correlation groups)
  */
 
 // ============================================
@@ -649,6 +653,497 @@ const CovarianceMatrixCard = memo(({ tickers, positions, editedCorrelation, getD
     </div>
   );
 });
+// ============================================
+// CLUSTER DENDROGRAM CARD COMPONENT
+// ============================================
+const CLUSTER_COLORS = [COLORS.cyan, COLORS.orange, COLORS.green, COLORS.purple, COLORS.red, COLORS.yellow, COLORS.blue, '#e84393'];
+
+// Suggested cut: the widest gap between consecutive merge heights, 2–8 clusters
+const suggestClusterCount = ({ n, merges }) => {
+  let best = Math.min(2, n);
+  let bestGap = -Infinity;
+  for (let m = 0; m < merges.length - 1; m++) {
+    const k = n - 1 - m;
+    if (k < 2 || k > 8) continue;
+    const gap = merges[m + 1].height - merges[m].height;
+    if (gap > bestGap) {
+      bestGap = gap;
+      best = k;
+    }
+  }
+  return best;
+};
+
+const ClusterDendrogramCard = memo(({
+  positions,
+  editedCorrelation,
+  getDistributionParams,
+  setCorrelationGroups,
+  isAuthenticated,
+  saveCorrelationGroupsToServer,
+  showToast,
+}) => {
+  const [linkage, setLinkage] = useState('single');
+  const [clusterCount, setClusterCount] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const n = positions.length;
+
+  const analysis = useMemo(() => {
+    if (!editedCorrelation || editedCorrelation.length !== n || n < 3) return null;
+    const tree = clusterCorrelation(editedCorrelation, { method: linkage });
+    const sigmaArray = positions.map(p => getDistributionParams(p).sigma || 0);
+    const hrpWeights = computeHRPWeights(sigmaArray, buildCovarianceMatrix(editedCorrelation, sigmaArray), linkage);
+    return { tree, order: leafOrder(tree), suggested: suggestClusterCount(tree), hrpWeights };
+  }, [editedCorrelation, positions, n, linkage, getDistributionParams]);
+
+  if (!analysis) return null;
+  const { tree, order, suggested, hrpWeights } = analysis;
+  const k = Math.max(2, Math.min(n - 1, clusterCount ?? suggested));
+  const labels = cutTree(tree, k);
+  const maxHeight = Math.max(tree.merges[tree.merges.length - 1].height, 1e-6);
+  const cutHeight = (tree.merges[n - k - 1].height + tree.merges[n - k].height) / 2;
+
+  // Clusters in leaf order with their average within-cluster correlation
+  const clusters = Array.from({ length: k }, (_, c) => {
+    const members = order.filter(i => labels[i] === c);
+    let sum = 0;
+    let count = 0;
+    members.forEach((i, a) => members.slice(a + 1).forEach(j => {
+      sum += editedCorrelation[i][j];
+      count++;
+    }));
+    return {
+      members,
+      avgCorrelation: count > 0 ? sum / count : null,
+      hrpWeight: members.reduce((s, i) => s + hrpWeights[i], 0),
+    };
+  });
+
+  // Horizontal dendrogram: ticker, HRP weight bar, then the tree growing right
+  const rowH = 18;
+  const labelW = 64;
+  const barW = 90;
+  const treeX = labelW + barW + 16;
+  const treeW = 320;
+  const width = treeX + treeW + 20;
+  const height = n * rowH + 24;
+  const xOf = (h) => treeX + (h / maxHeight) * treeW;
+  const rowOf = new Map(order.map((i, r) => [i, r]));
+  const nodeY = [];
+  const nodeX = [];
+  const leafOf = [];
+  for (let i = 0; i < n; i++) {
+    nodeY[i] = rowOf.get(i) * rowH + rowH / 2;
+    nodeX[i] = treeX;
+    leafOf[i] = i;
+  }
+  const links = tree.merges.map((m, idx) => {
+    const node = n + idx;
+    nodeY[node] = (nodeY[m.left] + nodeY[m.right]) / 2;
+    nodeX[node] = xOf(m.height);
+    leafOf[node] = leafOf[m.left];
+    // Merges below the cut sit inside one cluster and take its color
+    const color = idx < n - k ? CLUSTER_COLORS[labels[leafOf[node]] % CLUSTER_COLORS.length] : '#555';
+    return {
+      key: node,
+      d: `M ${nodeX[m.left]} ${nodeY[m.left]} H ${nodeX[node]} V ${nodeY[m.right]} H ${nodeX[m.right]}`,
+      color,
+    };
+  });
+  const maxWeight = Math.max(...hrpWeights, 1e-6);
+
+  const saveClusters = async () => {
+    const allClusters = {};
+    clusters.forEach((c, idx) => {
+      allClusters[`Cluster ${idx + 1}`] = c.members.map(i => positions[i].id);
+    });
+    // Single-name clusters are not groups, but saving them overwrites stale cloud rows
+    const groups = Object.fromEntries(Object.entries(allClusters).filter(([, ids]) => ids.length >= 2));
+    setCorrelationGroups(groups);
+    if (!isAuthenticated) {
+      showToast({
+        type: 'success',
+        title: 'Clusters Saved as Groups',
+        message: `${Object.keys(groups).length} correlation groups replace the sector/industry groups`,
+        duration: 4000,
+      });
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const { success, error } = await saveCorrelationGroupsToServer(allClusters, 'cluster');
+      showToast(success
+        ? { type: 'success', title: 'Clusters Saved as Groups', message: `Saved ${Object.keys(groups).length} correlation groups to cloud`, duration: 4000 }
+        : { type: 'error', title: 'Save Failed', message: error?.message || 'Failed to save groups', duration: 4000 });
+    } catch (err) {
+      showToast({ type: 'error', title: 'Save Failed', message: err.message || 'Failed to save groups', duration: 4000 });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggle = (active, color) => ({
+    padding: '6px 12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    borderRadius: '8px',
+    border: `1px solid ${active ? color : 'rgba(255, 255, 255, 0.1)'}`,
+    background: active ? `${color}26` : 'transparent',
+    color: active ? color : '#888',
+    cursor: 'pointer',
+  });
+
+  return (
+    <div style={{
+      background: COLORS.cardBg,
+      borderRadius: '16px',
+      border: '1px solid rgba(255, 255, 255, 0.06)',
+      padding: '20px',
+      marginTop: '16px',
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: '16px',
+        gap: '12px',
+        flexWrap: 'wrap',
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <div style={{
+            width: '40px',
+            height: '40px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'rgba(46, 204, 113, 0.15)',
+            borderRadius: '10px',
+            fontSize: '18px',
+          }}>
+            🌳
+          </div>
+          <div>
+            <div style={{ fontSize: '14px', fontWeight: '600', color: '#fff' }}>
+              Correlation Clusters
+            </div>
+            <div style={{ fontSize: '11px', color: '#888' }}>
+              Hierarchical clustering on distance √((1 − ρ)/2) with Hierarchical Risk Parity weights
+            </div>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+          {/* Linkage toggle */}
+          <div style={{ display: 'flex', gap: '4px' }}>
+            {LINKAGE_METHODS.map(m => (
+              <button key={m} onClick={() => setLinkage(m)} style={toggle(linkage === m, COLORS.green)}>
+                {m.charAt(0).toUpperCase() + m.slice(1)}
+              </button>
+            ))}
+          </div>
+          {/* Cluster count stepper */}
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+            <button onClick={() => setClusterCount(Math.max(2, k - 1))} disabled={k <= 2} style={toggle(false, COLORS.cyan)}>−</button>
+            <span style={{ fontSize: '11px', color: '#fff', minWidth: '72px', textAlign: 'center', fontFamily: FONT_FAMILY }}>
+              {k} clusters{clusterCount == null ? ' (auto)' : ''}
+            </span>
+            <button onClick={() => setClusterCount(Math.min(n - 1, k + 1))} disabled={k >= n - 1} style={toggle(false, COLORS.cyan)}>+</button>
+            {clusterCount != null && (
+              <button onClick={() => setClusterCount(null)} style={toggle(false, COLORS.cyan)}>Auto</button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Dendrogram */}
+      <div style={{ overflowX: 'auto' }}>
+        <svg width={width} height={height} style={{ display: 'block', fontFamily: FONT_FAMILY }}>
+          {order.map((i, r) => {
+            const y = r * rowH + rowH / 2;
+            const color = CLUSTER_COLORS[labels[i] % CLUSTER_COLORS.length];
+            return (
+              <g key={positions[i].id}>
+                <title>{`${positions[i].ticker || '—'}: HRP weight ${(hrpWeights[i] * 100).toFixed(1)}% • cluster ${labels[i] + 1}`}</title>
+                <text x={labelW - 6} y={y + 4} textAnchor="end" fontSize="10" fill={color} fontWeight="600">
+                  {positions[i].ticker || '—'}
+                </text>
+                <rect x={labelW} y={y - 5} width={(hrpWeights[i] / maxWeight) * barW} height={10} rx={2} fill={color} opacity={0.35} />
+                <text x={labelW + 4} y={y + 3} fontSize="8" fill="#ccc">
+                  {(hrpWeights[i] * 100).toFixed(1)}%
+                </text>
+              </g>
+            );
+          })}
+          {links.map(link => (
+            <path key={link.key} d={link.d} fill="none" stroke={link.color} strokeWidth={1.5} />
+          ))}
+          <line x1={xOf(cutHeight)} x2={xOf(cutHeight)} y1={0} y2={n * rowH} stroke={COLORS.red} strokeDasharray="4 3" opacity={0.7} />
+          {[0, 0.25, 0.5, 0.75, 1].map(t => (
+            <text key={t} x={treeX + t * treeW} y={n * rowH + 16} textAnchor="middle" fontSize="8" fill="#666">
+              {(t * maxHeight).toFixed(2)}
+            </text>
+          ))}
+        </svg>
+      </div>
+
+      {/* Cluster summary */}
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '12px' }}>
+        {clusters.map((c, idx) => {
+          const color = CLUSTER_COLORS[idx % CLUSTER_COLORS.length];
+          return (
+            <div key={idx} style={{
+              padding: '6px 10px',
+              borderRadius: '8px',
+              background: `${color}14`,
+              border: `1px solid ${color}40`,
+              fontSize: '10px',
+              fontFamily: FONT_FAMILY,
+            }}>
+              <div style={{ color, fontWeight: '600', marginBottom: '2px' }}>
+                Cluster {idx + 1} · HRP {(c.hrpWeight * 100).toFixed(1)}%
+                {c.avgCorrelation != null && <span style={{ color: '#888', fontWeight: '400' }}> · ρ̄ {c.avgCorrelation.toFixed(2)}</span>}
+              </div>
+              <div style={{ color: '#aaa' }}>{c.members.map(i => positions[i].ticker).join(', ')}</div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px', gap: '12px', flexWrap: 'wrap' }}>
+        <div style={{ fontSize: '10px', color: '#666', maxWidth: '560px' }}>
+          HRP orders positions by this tree and splits weight between halves by inverse cluster variance,
+          so it never inverts the correlation matrix. The red line is the cut; saved clusters replace the
+          sector/industry groups used for correlation floors.
+        </div>
+        <button
+          onClick={saveClusters}
+          disabled={isSaving}
+          style={{ ...toggle(true, COLORS.green), opacity: isSaving ? 0.7 : 1 }}
+        >
+          {isSaving ? '⏳ Saving...' : isAuthenticated ? '☁️ Save Clusters as Groups' : '💾 Use Clusters as Groups'}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+// ============================================
+// REGIME MODEL CARD COMPONENT
+// ============================================
+const REGIME_COLORS = [COLORS.green, COLORS.orange, COLORS.red];
+
+const RegimeModelCard = memo(({ regimeModel, regimeError, regimeStates, setRegimeStates, getCorrelationColor }) => {
+  const [selectedRegime, setSelectedRegime] = useState(0);
+  const states = regimeModel?.states || [];
+  const activeRegime = Math.min(selectedRegime, Math.max(0, states.length - 1));
+  const regimeTickers = regimeModel?.tickers || [];
+  const cellWidth = regimeTickers.length <= 5 ? 72 : regimeTickers.length <= 10 ? 60 : 52;
+
+  // Average pairwise correlation per regime (how much diversification survives stress)
+  const avgCorrelations = useMemo(() => states.map(state => {
+    const m = state.correlation;
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < m.length; i++) {
+      for (let j = 0; j < i; j++) {
+        sum += m[i][j];
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : 0;
+  }), [states]);
+
+  return (
+    <div style={{
+      background: COLORS.cardBg,
+      borderRadius: '16px',
+      border: '1px solid rgba(255, 255, 255, 0.06)',
+      padding: '20px',
+      marginTop: '16px',
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: '16px',
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <div style={{
+            width: '40px',
+            height: '40px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'rgba(255, 159, 67, 0.15)',
+            borderRadius: '10px',
+            fontSize: '18px',
+          }}>
+            🔀
+          </div>
+          <div>
+            <div style={{ fontSize: '14px', fontWeight: '600', color: '#fff' }}>
+              Market Regimes
+            </div>
+            <div style={{ fontSize: '11px', color: '#888' }}>
+              Hidden Markov model on daily portfolio returns
+              {regimeModel && ` — ${regimeModel.observations} days`}
+            </div>
+          </div>
+        </div>
+
+        {/* State count toggle */}
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {[2, 3].map(k => (
+            <button
+              key={k}
+              onClick={() => setRegimeStates(k)}
+              style={{
+                padding: '6px 12px',
+                fontSize: '11px',
+                fontWeight: '600',
+                borderRadius: '8px',
+                border: `1px solid ${regimeStates === k ? COLORS.orange : 'rgba(255, 255, 255, 0.1)'}`,
+                background: regimeStates === k ? 'rgba(255, 159, 67, 0.15)' : 'transparent',
+                color: regimeStates === k ? COLORS.orange : '#888',
+                cursor: 'pointer',
+              }}
+            >
+              {k} states
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!regimeModel && (
+        <div style={{ fontSize: '11px', color: '#888', padding: '12px' }}>
+          {regimeError || 'Load market data to fit the regime model.'}
+        </div>
+      )}
+
+      {regimeModel && (
+        <>
+          {/* Per-regime summary */}
+          <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '16px' }}>
+            {states.map((state, s) => (
+              <div
+                key={state.label}
+                onClick={() => setSelectedRegime(s)}
+                style={{ cursor: 'pointer', opacity: activeRegime === s ? 1 : 0.6 }}
+              >
+                <MetricCard
+                  label={state.label}
+                  value={`${(state.probability * 100).toFixed(0)}%`}
+                  subtext={`σ ${(state.portfolioSigma * 100).toFixed(0)}% · ρ̄ ${avgCorrelations[s].toFixed(2)} · ~${Math.round(state.expectedDurationDays)}d spells · now ${(regimeModel.currentProbs[s] * 100).toFixed(0)}%`}
+                  color={REGIME_COLORS[s === states.length - 1 ? 2 : s]}
+                />
+              </div>
+            ))}
+          </div>
+
+          {/* Transition matrix */}
+          <div style={{ fontSize: '11px', color: '#888', marginBottom: '6px' }}>
+            Daily transition probabilities (row = today, column = tomorrow)
+          </div>
+          <table style={{ borderCollapse: 'separate', borderSpacing: '2px', fontFamily: FONT_FAMILY, marginBottom: '16px' }}>
+            <thead>
+              <tr>
+                <th />
+                {states.map(state => (
+                  <th key={state.label} style={{ padding: '6px 10px', fontSize: '10px', color: '#888', fontWeight: '600' }}>
+                    {state.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {regimeModel.transitionMatrix.map((row, i) => (
+                <tr key={i}>
+                  <td style={{ padding: '6px 10px', fontSize: '10px', color: '#aaa', fontWeight: '600' }}>{states[i].label}</td>
+                  {row.map((p, j) => (
+                    <td key={j} style={{
+                      padding: '6px 10px',
+                      fontSize: '11px',
+                      textAlign: 'center',
+                      color: i === j ? COLORS.cyan : '#ccc',
+                      background: `rgba(0, 212, 255, ${0.05 + p * 0.25})`,
+                      borderRadius: '6px',
+                    }}>
+                      {(p * 100).toFixed(1)}%
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Correlation matrix of the selected regime */}
+          <div style={{ fontSize: '11px', color: '#888', marginBottom: '6px' }}>
+            Correlations in the <span style={{ color: '#fff', fontWeight: '600' }}>{states[activeRegime].label}</span> regime
+            {' '}(click a regime above to switch)
+          </div>
+          <div className="styled-scrollbar" style={{ overflowX: 'auto', paddingBottom: '8px' }}>
+            <table style={{
+              borderCollapse: 'separate',
+              borderSpacing: '2px',
+              minWidth: `${(regimeTickers.length + 1) * cellWidth}px`,
+              fontFamily: FONT_FAMILY,
+            }}>
+              <thead>
+                <tr>
+                  <th style={{ minWidth: `${cellWidth}px` }} />
+                  {regimeTickers.map((t, j) => (
+                    <th key={j} style={{ padding: '6px 8px', fontSize: '10px', color: '#888', fontWeight: '600', minWidth: `${cellWidth}px` }}>
+                      {t}
+                      <div style={{ fontSize: '8px', color: '#666', fontWeight: '500', marginTop: '2px' }}>
+                        σ={Math.round(states[activeRegime].sigma[j] * 100)}%
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {states[activeRegime].correlation.map((row, i) => (
+                  <tr key={i}>
+                    <td style={{ padding: '6px 8px', fontSize: '11px', color: '#aaa', fontWeight: '600' }}>{regimeTickers[i]}</td>
+                    {row.map((corr, j) => (
+                      <td key={j} style={{
+                        padding: '6px 8px',
+                        textAlign: 'center',
+                        fontSize: '11px',
+                        color: '#fff',
+                        background: i === j ? 'rgba(255, 255, 255, 0.05)' : getCorrelationColor(corr),
+                        borderRadius: '6px',
+                      }}>
+                        {corr.toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Footer note */}
+          <div style={{
+            marginTop: '12px',
+            padding: '10px 12px',
+            background: 'rgba(255, 159, 67, 0.08)',
+            borderRadius: '8px',
+            border: '1px solid rgba(255, 159, 67, 0.15)',
+            fontSize: '10px',
+            color: '#888',
+          }}>
+            <strong style={{ color: COLORS.orange }}>Simulation:</strong> With the "Regime" fat-tail method, each path
+            switches between these states. Volatilities are rescaled so each position's long-run σ and mean match its
+            distribution; the regimes supply volatility clustering and stress-time correlation.
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
 const CorrelationTab = ({
   // Core data
   positions,
@@ -690,6 +1185,12 @@ const CorrelationTab = ({
   // View mode
   matrixViewMode,
   setMatrixViewMode,
+
+  // Regime-switching model
+  regimeModel,
+  regimeError,
+  regimeStates,
+  setRegimeStates,
   
   // Callbacks
   fetchAndComputeCorrelation,
@@ -2636,6 +3137,28 @@ const CorrelationTab = ({
           styles={styles}
         />
       )}
+
+      {editedCorrelation && positions.length > 2 && (
+        <ClusterDendrogramCard
+          positions={positions}
+          editedCorrelation={editedCorrelation}
+          getDistributionParams={getDistributionParams}
+          setCorrelationGroups={setCorrelationGroups}
+          isAuthenticated={isAuthenticated}
+          saveCorrelationGroupsToServer={saveCorrelationGroupsToServer}
+          showToast={showToast}
+        />
+      )}
+
+      {tickers.length > 1 && (
+        <RegimeModelCard
+          regimeModel={regimeModel}
+          regimeError={regimeError}
+          regimeStates={regimeStates}
+          setRegimeStates={setRegimeStates}
+          getCorrelationColor={getCorrelationColor}
+        />
+      )}
     </div>
   );
 };
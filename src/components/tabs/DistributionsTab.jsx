@@ -3,11 +3,14 @@
  *
  * @module components/tabs/DistributionsTab
  * @description Allows users to set expected return distributions for each position.
- * Features percentile sliders, distribution preview charts, and batch operations.
+ * Features percentile sliders, distribution preview charts, batch operations,
+ * Black-Litterman returns from analyst consensus and the fitted GARCH
+ * volatility parameters used by the path simulation.
  */
 
 import React, { useMemo, memo, useCallback, useState } from 'react';
 import { StaleBanner } from '../common';
+import { BLACK_LITTERMAN_DEFAULTS } from '../../utils/blackLitterman';
 import {
   ResponsiveContainer,
   AreaChart,
@@ -144,6 +147,181 @@ const PortfolioSummaryCard = memo(({ positions, portfolioValue, getDistributionP
   );
 });
 
+/**
+ * Black-Litterman Card - Posterior returns from analyst consensus views
+ */
+const BlackLittermanCard = memo(({
+  positions,
+  result,
+  isComputing,
+  runBlackLitterman,
+  applyBlackLitterman,
+  styles,
+}) => {
+  const [tau, setTau] = useState(BLACK_LITTERMAN_DEFAULTS.tau);
+  const [riskPremium, setRiskPremium] = useState(BLACK_LITTERMAN_DEFAULTS.riskPremium);
+  const [maxConfidence, setMaxConfidence] = useState(BLACK_LITTERMAN_DEFAULTS.maxConfidence);
+
+  const isStale = !!result && (result.positionIds.length !== positions.length
+    || result.positionIds.some((id, i) => positions[i]?.id !== id));
+  const byId = useMemo(() => new Map(positions.map(p => [p.id, p])), [positions]);
+
+  const formatPct = (v, sign = false) => (v == null || !isFinite(v) ? '—' : `${sign && v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}%`);
+  const select = (active, color) => ({
+    padding: '2px 6px',
+    fontSize: '9px',
+    borderRadius: '3px',
+    border: active ? `1px solid ${color}` : '1px solid #333',
+    background: active ? `${color}22` : 'rgba(255, 255, 255, 0.03)',
+    color: active ? color : '#777',
+    cursor: 'pointer',
+    fontFamily: FONT_FAMILY,
+  });
+  const cell = { padding: '5px 6px', textAlign: 'right', fontFamily: FONT_FAMILY };
+
+  const viewTitle = (v) => [
+    `Target upside ${formatPct(v.upside, true)}`,
+    v.dividendYield > 0 ? `dividend yield ${formatPct(v.dividendYield)}` : null,
+    v.analysts > 0 ? `rating score ${v.ratingScore.toFixed(2)} (−2…+2)` : 'no ratings',
+    v.revision != null ? `FY1 EPS revised ${formatPct(v.revision, true)} over ${v.revisionDays} days` : 'no revision history',
+    `target range ${formatPct(v.dispersion)} of consensus`,
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div style={{ ...styles.card, marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '12px' }}>
+        <div style={styles.cardTitle}>
+          <span>🧭</span> Black-Litterman Returns
+          <span style={{ fontSize: '10px', color: '#666', fontWeight: '400', marginLeft: '8px' }}>
+            Market equilibrium blended with analyst consensus views
+          </span>
+        </div>
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <div style={{ display: 'flex', gap: '3px', alignItems: 'center' }}>
+            <span style={{ fontSize: '8px', color: '#666' }}>Risk premium:</span>
+            {[0.04, 0.05, 0.06].map(v => (
+              <button key={v} onClick={() => setRiskPremium(v)} style={select(riskPremium === v, '#2ecc71')}>{formatPct(v)}</button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '3px', alignItems: 'center' }}>
+            <span style={{ fontSize: '8px', color: '#666' }}>τ:</span>
+            {[0.025, 0.05, 0.1].map(v => (
+              <button key={v} onClick={() => setTau(v)} style={select(tau === v, '#3498db')}>{v}</button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '3px', alignItems: 'center' }}>
+            <span style={{ fontSize: '8px', color: '#666' }}>Trust in analysts:</span>
+            {[{ v: 0.3, label: 'Low' }, { v: 0.6, label: 'Med' }, { v: 0.85, label: 'High' }].map(({ v, label }) => (
+              <button key={v} onClick={() => setMaxConfidence(v)} style={select(maxConfidence === v, '#9b59b6')}>{label}</button>
+            ))}
+          </div>
+          <button
+            style={{ ...styles.button, ...styles.buttonSecondary, opacity: isComputing ? 0.7 : 1, fontSize: '11px' }}
+            onClick={() => runBlackLitterman({ tau, riskPremium, maxConfidence })}
+            disabled={isComputing}
+          >
+            {isComputing ? '⏳...' : '🧭 Compute'}
+          </button>
+          {result && !isStale && (
+            <button
+              style={{ ...styles.button, fontSize: '11px' }}
+              onClick={() => applyBlackLitterman()}
+            >
+              Apply All
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!result && (
+        <div style={{ ...styles.infoBox, fontSize: '11px' }}>
+          Equilibrium returns are implied by market-cap weights and the correlation matrix. Each holding with
+          analyst coverage adds a view from its price-target upside, dividend yield, rating mix and FY1 EPS
+          revisions, trusted more with more analysts and tighter targets. Load the Consensus tab first.
+        </div>
+      )}
+
+      {result && isStale && (
+        <div style={{ fontSize: '11px', color: '#ff9f43', marginBottom: '8px' }}>
+          ⚠️ Positions changed since this was computed. Compute again before applying.
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+              <thead>
+                <tr style={{ color: '#666', fontSize: '9px', textTransform: 'uppercase' }}>
+                  <th style={{ ...cell, textAlign: 'left' }}>Ticker</th>
+                  <th style={cell}>Ref weight</th>
+                  <th style={cell}>Equilibrium</th>
+                  <th style={cell}>View</th>
+                  <th style={cell}>Analysts</th>
+                  <th style={cell}>Confidence</th>
+                  <th style={cell}>Posterior</th>
+                  <th style={cell}>Current P50</th>
+                  <th style={cell} />
+                </tr>
+              </thead>
+              <tbody>
+                {result.positionIds.map((id, i) => {
+                  const pos = byId.get(id);
+                  const view = result.views[i];
+                  const posterior = result.posterior[i];
+                  const isBond = pos?.type === 'Bond';
+                  const gap = pos?.p50 != null && posterior != null ? posterior - pos.p50 : null;
+                  return (
+                    <tr key={id} style={{ borderTop: '1px solid rgba(255, 255, 255, 0.04)' }}>
+                      <td style={{ ...cell, textAlign: 'left', fontWeight: '600', color: '#fff' }}>{result.tickers[i] || '—'}</td>
+                      <td style={{ ...cell, color: result.capped[i] ? '#aaa' : '#666' }} title={result.capped[i] ? 'Market-cap weight' : 'Book weight (no market cap)'}>
+                        {formatPct(result.marketWeights[i])}
+                      </td>
+                      <td style={{ ...cell, color: '#888' }}>{formatPct(result.equilibrium[i])}</td>
+                      <td style={{ ...cell, color: view ? '#f1c40f' : '#555' }} title={view ? viewTitle(view) : 'No analyst coverage'}>
+                        {view ? formatPct(view.expectedReturn) : '—'}
+                      </td>
+                      <td style={{ ...cell, color: '#888' }}>{view?.analysts || '—'}</td>
+                      <td style={{ ...cell, color: '#9b59b6' }}>{view ? `${Math.round(view.confidence * 100)}%` : '—'}</td>
+                      <td style={{ ...cell, color: '#00d4ff', fontWeight: '700' }}>{formatPct(posterior)}</td>
+                      <td style={{ ...cell, color: '#aaa' }}>
+                        {formatPct(pos?.p50)}
+                        {gap != null && Math.abs(gap) >= 0.001 && (
+                          <span style={{ color: gap > 0 ? '#2ecc71' : '#e74c3c', marginLeft: '4px', fontSize: '9px' }}>
+                            ({formatPct(gap, true)})
+                          </span>
+                        )}
+                      </td>
+                      <td style={cell}>
+                        {isBond ? (
+                          <span style={{ fontSize: '9px', color: '#555' }} title="Bond returns come from the yield model">model</span>
+                        ) : (
+                          <button
+                            onClick={() => applyBlackLitterman([id])}
+                            disabled={isStale || !pos || posterior == null}
+                            style={select(false, '#00d4ff')}
+                          >
+                            Apply
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ marginTop: '8px', fontSize: '9px', color: '#555', fontFamily: FONT_FAMILY }}>
+            {result.viewCount} view{result.viewCount === 1 ? '' : 's'} • δ {result.delta.toFixed(2)} • τ {result.tau}
+            {' '}• risk premium {formatPct(result.riskPremium)} over {formatPct(result.riskFreeRate)} risk-free
+            {' '}• Apply moves P50 to the posterior and shifts the other percentiles with it
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
 /**
  * Quick Preset Buttons for a single position (2D: Return Level + Range)
  */
@@ -322,9 +500,15 @@ const PositionDistributionCard = memo(({
   estimateDistributionFromHistory,
   calendarYearReturns,
   generateDistributionPreview,
+  garchFit,
+  volatilityModel,
+  fatTailMethod,
   styles,
 }) => {
   const { mu, sigma, skew, tailDf } = getDistributionParams(pos);
+  // Regime paths use each regime's lognormal and cluster volatility themselves
+  const regimeMode = fatTailMethod === 'regimeSwitching';
+  const garchUsed = volatilityModel === garchFit?.model && !regimeMode;
   const p5 = pos.p5 ?? (mu - 1.645 * sigma);
   const p25 = pos.p25 ?? (mu - 0.675 * sigma);
   const p50 = pos.p50 ?? mu;
@@ -463,6 +647,41 @@ const PositionDistributionCard = memo(({
           />
         </div>
 
+        {/* Fitted GARCH parameters */}
+        {garchFit && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '14px',
+            flexWrap: 'wrap',
+            padding: '8px 12px',
+            marginBottom: '16px',
+            fontSize: '10px',
+            color: '#888',
+            fontFamily: FONT_FAMILY,
+            background: 'rgba(255, 159, 67, 0.05)',
+            border: `1px solid ${garchUsed ? 'rgba(255, 159, 67, 0.3)' : 'rgba(255, 255, 255, 0.06)'}`,
+            borderRadius: '6px',
+          }}>
+            <span style={{ color: '#ff9f43', fontWeight: '600' }}>
+              {garchFit.model === 'gjr' ? 'GJR-GARCH' : 'GARCH(1,1)'}
+              {!garchUsed && <span style={{ color: '#666', fontWeight: '400' }}> (not used)</span>}
+            </span>
+            <span>α <strong style={{ color: '#ccc' }}>{garchFit.alpha.toFixed(3)}</strong></span>
+            <span>β <strong style={{ color: '#ccc' }}>{garchFit.beta.toFixed(3)}</strong></span>
+            {garchFit.model === 'gjr' && <span>γ <strong style={{ color: '#ccc' }}>{garchFit.gamma.toFixed(3)}</strong></span>}
+            <span>Persistence <strong style={{ color: '#ccc' }}>{garchFit.persistence.toFixed(3)}</strong></span>
+            <span>Half-life <strong style={{ color: '#ccc' }}>{Math.round(garchFit.halfLifeDays)}d</strong></span>
+            <span>
+              σ now <strong style={{ color: garchFit.volRatio > 1.1 ? '#e74c3c' : garchFit.volRatio < 0.9 ? '#2ecc71' : '#ccc' }}>
+                {(garchFit.currentVol * 100).toFixed(0)}%
+              </strong>
+              {' '}vs long-run {(garchFit.longRunVol * 100).toFixed(0)}% ({garchFit.volRatio.toFixed(2)}×)
+            </span>
+            <span style={{ color: '#555' }}>{garchFit.observations} days</span>
+          </div>
+        )}
+
         {/* Distribution Chart */}
         <div style={{
           fontSize: '10px',
@@ -475,6 +694,7 @@ const PositionDistributionCard = memo(({
             {skew < -0.2 ? '📉 Left-skewed' : skew > 0.2 ? '📈 Right-skewed' : '⚖️ Symmetric'}
             {' • '}
             {tailDf < 10 ? '⚠️ Fat tails' : tailDf < 20 ? 'Moderate tails' : 'Normal tails'}
+            {regimeMode && <span style={{ color: '#555' }}> (not used with Regime)</span>}
           </span>
           <span>
             IQR: <strong style={{ color: '#aaa' }}>{((p75 - p25) * 100).toFixed(0)}%</strong>
@@ -688,11 +908,18 @@ const DistributionsTab = ({
   getDistributionParams,
   estimateDistributionFromHistory,
   estimateAllDistributions,
+  blackLittermanResult = null,
+  isComputingBlackLitterman = false,
+  runBlackLitterman,
+  applyBlackLitterman,
   fetchCalendarYearReturns,
   calendarYearReturns,
   generateDistributionPreview,
   isFetchingData,
   isFetchingYearReturns,
+  garchFits = {},
+  volatilityModel = 'constant',
+  fatTailMethod,
   // Staleness tracking
   stalenessStatus,
   stalenessReason,
@@ -745,6 +972,18 @@ const DistributionsTab = ({
         styles={styles}
       />
 
+      {/* Black-Litterman posterior returns from consensus views */}
+      {runBlackLitterman && (
+        <BlackLittermanCard
+          positions={positions}
+          result={blackLittermanResult}
+          isComputing={isComputingBlackLitterman}
+          runBlackLitterman={runBlackLitterman}
+          applyBlackLitterman={applyBlackLitterman}
+          styles={styles}
+        />
+      )}
+
       {/* Main Card */}
       <div style={styles.card}>
         {/* Header with Actions */}
@@ -893,6 +1132,9 @@ const DistributionsTab = ({
             estimateDistributionFromHistory={estimateDistributionFromHistory}
             calendarYearReturns={calendarYearReturns}
             generateDistributionPreview={generateDistributionPreview}
+            garchFit={garchFits[pos.ticker?.toUpperCase()] || null}
+            volatilityModel={volatilityModel}
+            fatTailMethod={fatTailMethod}
             styles={styles}
           />
         ))}
@@ -245,7 +245,7 @@ const CoverPageContent = memo(({ portfolioValue, positions, simulationResults, n
             ['Simulation Paths', (numPaths || 10000).toLocaleString()],
             ['Time Horizon', '1 Year'],
             ['Correlation', correlationMethod === 'sample' ? 'Sample' : 'Ledoit-Wolf'],
-            ['Distribution', fatTailMethod === 'multivariateTStudent' ? 'Student-t (df=5)' : 'Gaussian'],
+            ['Distribution', fatTailMethod === 'multivariateTStudent' ? 'Student-t (df=5)' : fatTailMethod === 'regimeSwitching' ? 'Regime switching' : 'Gaussian'],
             ['Sampling', useQmc ? 'Quasi-MC (Sobol)' : 'Pseudo-Random'],
           ].map(([label, value], i) => (
             <div key={i} style={{ display: 'flex', marginBottom: '8px' }}>
@@ -764,7 +764,7 @@ const SimulationResultsContent = memo(({ simulationResults, portfolioValue, numP
             { label: 'Covariance', icon: 'Σ', color: COLORS.purple, desc: 'correlation matrix' },
             { label: 'Cholesky', icon: 'L', color: COLORS.green, desc: 'decomposition' },
             { label: useQmc ? 'Sobol' : 'PRNG', icon: useQmc ? '⊡' : '⊙', color: COLORS.purple, desc: useQmc ? 'low-discrepancy' : 'pseudo-random' },
-            { label: fatTailMethod === 'multivariateTStudent' ? 't-dist' : 'Normal', icon: 'ν', color: COLORS.orange, desc: fatTailMethod === 'multivariateTStudent' ? 'df=5 fat tails' : 'Gaussian' },
+            { label: fatTailMethod === 'multivariateTStudent' ? 't-dist' : fatTailMethod === 'regimeSwitching' ? 'Regimes' : 'Normal', icon: 'ν', color: COLORS.orange, desc: fatTailMethod === 'multivariateTStudent' ? 'df=5 fat tails' : fatTailMethod === 'regimeSwitching' ? 'Markov switching' : 'Gaussian' },
             { label: 'Skew', icon: '≋', color: COLORS.red, desc: 'asymmetry adj.' },
             { label: 'Terminal', icon: '$', color: COLORS.green, desc: 'compound returns' },
           ].map((step, i) => (
@@ -789,7 +789,7 @@ const SimulationResultsContent = memo(({ simulationResults, portfolioValue, numP
         <div style={{ fontSize: '9px', color: '#777', lineHeight: '1.5', padding: '8px 10px', background: 'rgba(0,0,0,0.2)', borderRadius: '6px' }}>
           <strong style={{ color: '#aaa' }}>How it works:</strong> Historical return moments (mean, volatility, skew) are computed for each position. 
           A covariance matrix captures correlations between assets. Cholesky decomposition transforms independent random draws into correlated returns. 
-          {fatTailMethod === 'multivariateTStudent' ? ' Student-t distribution (df=5) models fat tails for realistic crash scenarios.' : ' Returns follow a Gaussian distribution.'}
+          {fatTailMethod === 'multivariateTStudent' ? ' Student-t distribution (df=5) models fat tails for realistic crash scenarios.' : fatTailMethod === 'regimeSwitching' ? ' A Markov regime-switching model alternates between calm and stress states with their own volatilities and correlations.' : ' Returns follow a Gaussian distribution.'}
           {useQmc ? ' Sobol sequences ensure better coverage of probability space than pure random sampling.' : ''}
           {' '}Daily returns compound over 252 trading days to produce terminal portfolio values.
         </div>
@@ -1,5 +1,16 @@
 import React, { memo, useState, useMemo, useRef } from 'react';
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
 import { StaleBanner } from '../common';
+import { OPTIMIZER_OBJECTIVES } from '../../utils/constrainedOptimization';
 
 /**
  * OptimizeTab - Portfolio Optimization Analysis Tab Component (v2.0)
@@ -10,6 +21,8 @@ import { StaleBanner } from '../common';
  * - Top swap cards with visual emphasis
  * - Interactive risk contribution chart
  * - Modern heatmap styling
+ * - Constrained optimizer with a whole-share trade list
+ * - Efficient frontier and CML with the current book, risk parity and swaps
  */
 
 // Design tokens
@@ -68,6 +81,16 @@ const OptimizeTab = memo(({
   isOptimizing,
   runPortfolioOptimization,
   setOptimizationResults,
+  // Constrained optimizer
+  optimizerConstraints,
+  setOptimizerConstraints,
+  constrainedResult,
+  runConstrainedOptimization,
+  isScenarioOptimizing,
+  frontierResult,
+  runEfficientFrontier,
+  targetAllocations,
+  formatCurrency,
   // Staleness tracking
   stalenessStatus,
   stalenessReason,
@@ -149,6 +172,32 @@ const OptimizeTab = memo(({
           isResultsStale={isResultsStale}
         />
         
+        {canOptimize && optimizerConstraints && (
+          <ConstrainedOptimizerCard
+            constraints={optimizerConstraints}
+            setConstraints={setOptimizerConstraints}
+            result={constrainedResult}
+            runOptimizer={runConstrainedOptimization}
+            isBusy={isScenarioOptimizing}
+            correlationGroups={safeCorrelationGroups}
+            targetAllocations={targetAllocations}
+            positions={safePositions}
+            fmtPct={fmtPct}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
+        {canOptimize && runEfficientFrontier && (
+          <EfficientFrontierCard
+            frontier={frontierResult}
+            runFrontier={runEfficientFrontier}
+            optimizationResults={isOptimizing ? null : optimizationResults}
+            constrainedResult={constrainedResult}
+            fmtPct={fmtPct}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
         {/* Empty state - only show if no optimization results */}
         {!optimizationResults && !isOptimizing && (
           <EmptyOptimizeState 
@@ -188,6 +237,9 @@ const OptimizeTab = memo(({
             {optimizationResults.riskParity && (
               <RiskParityCard optimizationResults={optimizationResults} fmtPct={fmtPct} />
             )}
+            {optimizationResults.hrp && (
+              <RiskParityCard optimizationResults={optimizationResults} fmtPct={fmtPct} variant="hrp" />
+            )}
             
             {/* Footer */}
             <div style={{ 
@@ -2227,16 +2279,646 @@ const SwapHeatmapCard = memo(({ swapMatrix, isAnalytical, getHeatmapColor, paths
   );
 });
 
+// ============================================
+// CONSTRAINED OPTIMIZER
+// ============================================
+
+// Percent input that commits on blur/Enter; empty means "no limit" where allowed
+const PctInput = memo(({ value, onCommit, placeholder = '—', allowEmpty = false, width = '64px' }) => {
+  const shown = value == null ? '' : String(+(value * 100).toFixed(2));
+  const [draft, setDraft] = useState(shown);
+  const [lastShown, setLastShown] = useState(shown);
+  if (shown !== lastShown) {
+    setLastShown(shown);
+    setDraft(shown);
+  }
+  const commit = () => {
+    if (draft.trim() === '') {
+      if (allowEmpty) onCommit(null);
+      else setDraft(shown);
+      return;
+    }
+    const v = parseFloat(draft);
+    if (isFinite(v)) onCommit(Math.max(0, Math.min(100, v)) / 100);
+    else setDraft(shown);
+  };
+  return (
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: '3px' }}>
+      <input
+        type="text"
+        inputMode="decimal"
+        value={draft}
+        placeholder={placeholder}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+        style={{
+          width,
+          padding: '4px 6px',
+          fontSize: '11px',
+          background: 'rgba(0,0,0,0.3)',
+          border: '1px solid rgba(255,255,255,0.1)',
+          borderRadius: '4px',
+          color: '#fff',
+          fontFamily: FONT_FAMILY,
+          textAlign: 'right',
+        }}
+      />
+      <span style={{ fontSize: '10px', color: '#666' }}>%</span>
+    </span>
+  );
+});
+
+// Whole-share trade list (sells first)
+const TradeTable = memo(({ trades, fmtPct, fmtMoney }) => (
+  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10px' }}>
+    <thead>
+      <tr style={{ color: '#666', textAlign: 'right' }}>
+        <th style={{ textAlign: 'left', padding: '4px 6px', fontWeight: '500' }}>Ticker</th>
+        <th style={{ textAlign: 'left', padding: '4px 6px', fontWeight: '500' }}>Side</th>
+        <th style={{ padding: '4px 6px', fontWeight: '500' }}>Shares</th>
+        <th style={{ padding: '4px 6px', fontWeight: '500' }}>Price</th>
+        <th style={{ padding: '4px 6px', fontWeight: '500' }}>Value</th>
+        <th style={{ padding: '4px 6px', fontWeight: '500' }}>Weight</th>
+      </tr>
+    </thead>
+    <tbody>
+      {trades.map(t => (
+        <tr key={`${t.ticker}-${t.index}`} style={{ borderTop: '1px solid rgba(255,255,255,0.04)', textAlign: 'right' }}>
+          <td style={{ textAlign: 'left', padding: '4px 6px', fontWeight: '600', color: '#fff' }}>{t.ticker}</td>
+          <td style={{ textAlign: 'left', padding: '4px 6px', color: t.side === 'BUY' ? COLORS.green : COLORS.red, fontWeight: '600' }}>
+            {t.side}
+          </td>
+          <td style={{ padding: '4px 6px' }}>{t.shares.toLocaleString()}</td>
+          <td style={{ padding: '4px 6px', color: '#888' }}>{fmtMoney(t.price)}</td>
+          <td style={{ padding: '4px 6px' }}>{fmtMoney(t.value)}</td>
+          <td style={{ padding: '4px 6px', color: '#aaa' }}>{fmtPct(t.fromWeight)} → {fmtPct(t.toWeight)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+));
+
+const ConstrainedOptimizerCard = memo(({
+  constraints, setConstraints, result, runOptimizer, isBusy, correlationGroups, targetAllocations,
+  positions, fmtPct, formatCurrency,
+}) => {
+  const c = constraints;
+  const usesScenarios = !!OPTIMIZER_OBJECTIVES[c.objective]?.scenario;
+  const update = (patch) => setConstraints(prev => ({ ...prev, ...patch }));
+  const groupNames = Object.entries(correlationGroups || {})
+    .filter(([name, members]) => name !== 'Ungrouped' && Array.isArray(members) && members.length > 0)
+    .map(([name]) => name);
+  const tickerSet = new Set(positions.map(p => p.ticker?.toUpperCase()));
+  const boundCount = Object.entries(targetAllocations || {})
+    .filter(([t, a]) => tickerSet.has(t.toUpperCase()) && (a?.minWeight != null || a?.maxWeight != null))
+    .length;
+  const fmtMoney = formatCurrency || ((v) => `$${Math.round(v).toLocaleString()}`);
+
+  const toggle = (active, color) => ({
+    padding: '5px 10px',
+    fontSize: '10px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    border: active ? '1px solid ' + color : '1px solid rgba(255,255,255,0.08)',
+    background: active ? 'rgba(255,255,255,0.06)' : 'transparent',
+    color: active ? color : '#666',
+    cursor: 'pointer',
+    fontFamily: FONT_FAMILY,
+  });
+  const field = { display: 'flex', flexDirection: 'column', gap: '4px' };
+  const fieldLabel = { fontSize: '9px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px' };
+
+  const ok = result?.status === 'optimal';
+
+  return (
+    <div style={{
+      background: 'rgba(22, 27, 44, 0.7)',
+      borderRadius: '14px',
+      border: '1px solid rgba(255, 255, 255, 0.06)',
+      padding: '16px',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ fontSize: '13px', fontWeight: '600', color: '#fff', marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <span>🧮</span> Constrained Optimizer
+        <span style={{ fontSize: '9px', color: '#555', fontWeight: '400' }}>
+          Target weights and whole-share trades under your account limits
+        </span>
+      </div>
+
+      {/* Limits */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', alignItems: 'flex-end', marginBottom: '12px' }}>
+        <div style={field}>
+          <span style={fieldLabel}>Objective</span>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+            {Object.entries(OPTIMIZER_OBJECTIVES).map(([key, o]) => (
+              <button key={key} title={o.description} onClick={() => update({ objective: key })} style={toggle(c.objective === key, COLORS.cyan)}>
+                {o.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div style={field}>
+          <span style={fieldLabel}>Shorts</span>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button onClick={() => update({ longOnly: true })} style={toggle(c.longOnly, COLORS.green)}>Long only</button>
+            <button onClick={() => update({ longOnly: false })} style={toggle(!c.longOnly, COLORS.orange)}>Allow</button>
+          </div>
+        </div>
+        <div style={field}>
+          <span style={fieldLabel}>Max weight</span>
+          <PctInput value={c.maxWeight} allowEmpty placeholder="none" onCommit={(v) => update({ maxWeight: v })} />
+        </div>
+        <div style={field}>
+          <span style={fieldLabel}>Max turnover</span>
+          <PctInput value={c.maxTurnover} allowEmpty placeholder="none" onCommit={(v) => update({ maxTurnover: v })} />
+        </div>
+        <div style={field}>
+          <span style={fieldLabel}>Cash floor</span>
+          <PctInput value={c.cashFloor} onCommit={(v) => update({ cashFloor: v })} />
+        </div>
+        <div style={field}>
+          <span style={fieldLabel}>Min trade</span>
+          <input
+            type="number"
+            min="0"
+            step="50"
+            value={c.minTradeValue}
+            onChange={(e) => update({ minTradeValue: Math.max(0, parseFloat(e.target.value) || 0) })}
+            style={{
+              width: '72px',
+              padding: '4px 6px',
+              fontSize: '11px',
+              background: 'rgba(0,0,0,0.3)',
+              border: '1px solid rgba(255,255,255,0.1)',
+              borderRadius: '4px',
+              color: '#fff',
+              fontFamily: FONT_FAMILY,
+            }}
+          />
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: '#aaa', cursor: 'pointer', paddingBottom: '4px' }}>
+          <input type="checkbox" checked={c.deployCash} onChange={(e) => update({ deployCash: e.target.checked })} />
+          Deploy cash above floor
+        </label>
+      </div>
+
+      {usesScenarios && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', alignItems: 'flex-end', marginBottom: '12px' }}>
+          <div style={field}>
+            <span style={fieldLabel}>CVaR confidence</span>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {[0.9, 0.95, 0.99].map(a => (
+                <button key={a} onClick={() => update({ cvarConfidence: a })} style={toggle(c.cvarConfidence === a, COLORS.red)}>
+                  {Math.round(a * 100)}%
+                </button>
+              ))}
+            </div>
+          </div>
+          <div style={field}>
+            <span style={fieldLabel}>Min acceptable return</span>
+            <PctInput value={c.minAcceptableReturn} allowEmpty placeholder="risk-free" onCommit={(v) => update({ minAcceptableReturn: v })} />
+          </div>
+          <div style={field}>
+            <span style={fieldLabel}>Scenarios</span>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {[2000, 5000, 10000, 20000].map(count => (
+                <button key={count} onClick={() => update({ scenarioCount: count })} style={toggle(c.scenarioCount === count, COLORS.cyan)}>
+                  {count / 1000}k
+                </button>
+              ))}
+            </div>
+          </div>
+          <span style={{ fontSize: '9px', color: '#555', paddingBottom: '6px' }}>
+            One-year returns drawn with the Simulation tab's distributions, fat tails and seed
+          </span>
+        </div>
+      )}
+
+      {groupNames.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', marginBottom: '12px' }}>
+          <span style={fieldLabel}>Group caps</span>
+          {groupNames.map(name => (
+            <span key={name} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: COLORS.purple }}>
+              🔗 {name}
+              <PctInput
+                value={c.groupCaps?.[name] ?? null}
+                allowEmpty
+                placeholder="none"
+                width="52px"
+                onCommit={(v) => setConstraints(prev => {
+                  const groupCaps = { ...(prev.groupCaps || {}) };
+                  if (v == null) delete groupCaps[name];
+                  else groupCaps[name] = v;
+                  return { ...prev, groupCaps };
+                })}
+              />
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: result ? '14px' : 0 }}>
+        <button
+          onClick={runOptimizer}
+          disabled={isBusy}
+          style={{
+            padding: '8px 18px',
+            fontSize: '11px',
+            fontWeight: '700',
+            borderRadius: '8px',
+            border: 'none',
+            background: 'linear-gradient(135deg, #00d4ff 0%, #7b2ff7 100%)',
+            color: '#fff',
+            cursor: isBusy ? 'wait' : 'pointer',
+            opacity: isBusy ? 0.6 : 1,
+            fontFamily: FONT_FAMILY,
+          }}
+        >
+          {isBusy ? 'Optimizing…' : 'Optimize'}
+        </button>
+        <span style={{ fontSize: '9px', color: '#555' }}>
+          {boundCount > 0
+            ? `${boundCount} position min/max bound${boundCount === 1 ? '' : 's'} from target allocations`
+            : 'Per-position min/max come from the rebalancing targets in the Simulation tab'}
+        </span>
+      </div>
+
+      {result && !ok && (
+        <div style={{ padding: '10px 12px', background: 'rgba(231, 76, 60, 0.08)', borderRadius: '8px', border: '1px solid rgba(231, 76, 60, 0.2)', fontSize: '10px', color: COLORS.red }}>
+          <div style={{ fontWeight: '600', marginBottom: '4px' }}>⚠️ No portfolio satisfies these limits</div>
+          {result.reasons.map((r, i) => <div key={i} style={{ color: '#e8a49c' }}>• {r}</div>)}
+        </div>
+      )}
+
+      {ok && (
+        <>
+          {/* Current vs target */}
+          <div style={{ display: 'grid', gridTemplateColumns: `repeat(${result.downside ? 6 : 4}, 1fr)`, gap: '10px', marginBottom: '14px' }}>
+            {(result.downside ? [
+              { label: 'Return', from: fmtPct(result.current.return), to: fmtPct(result.target.return), color: COLORS.green },
+              { label: 'Volatility', from: fmtPct(result.current.vol), to: fmtPct(result.target.vol), color: COLORS.orange },
+              {
+                label: `CVaR ${Math.round(result.downside.alpha * 100)}%`,
+                from: fmtPct(result.current.cvar),
+                to: fmtPct(result.target.cvar),
+                color: COLORS.red,
+              },
+              { label: 'Sortino', from: result.current.sortino?.toFixed(2) ?? '—', to: result.target.sortino?.toFixed(2) ?? '—', color: COLORS.purple },
+              { label: 'Omega', from: result.current.omega?.toFixed(2) ?? '—', to: result.target.omega?.toFixed(2) ?? '—', color: COLORS.purple },
+              { label: 'Cash', from: fmtPct(result.current.cashWeight), to: fmtPct(result.target.cashWeight), color: COLORS.cyan },
+            ] : [
+              { label: 'Return', from: fmtPct(result.current.return), to: fmtPct(result.target.return), color: COLORS.green },
+              { label: 'Volatility', from: fmtPct(result.current.vol), to: fmtPct(result.target.vol), color: COLORS.orange },
+              { label: 'Sharpe', from: result.current.sharpe.toFixed(3), to: result.target.sharpe.toFixed(3), color: COLORS.purple },
+              { label: 'Cash', from: fmtPct(result.current.cashWeight), to: fmtPct(result.target.cashWeight), color: COLORS.cyan },
+            ]).map((s, i) => (
+              <div key={i} style={{ padding: '10px', background: 'rgba(0,0,0,0.25)', borderRadius: '8px', textAlign: 'center' }}>
+                <div style={{ fontSize: '15px', fontWeight: '700', color: s.color }}>{s.to}</div>
+                <div style={{ fontSize: '9px', color: '#666', marginTop: '2px' }}>
+                  {s.label} <span style={{ color: '#444' }}>(now {s.from})</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {result.binding.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+              <span style={{ fontSize: '9px', color: '#666', alignSelf: 'center' }}>Binding:</span>
+              {result.binding.map((b, i) => (
+                <span key={i} style={{ fontSize: '9px', padding: '2px 6px', borderRadius: '4px', background: 'rgba(255, 159, 67, 0.1)', color: COLORS.orange }}>
+                  {b.label}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {result.trades.length === 0 ? (
+            <div style={{ fontSize: '10px', color: '#888' }}>✓ No trades needed — the book is already optimal under these limits.</div>
+          ) : (
+            <TradeTable trades={result.trades} fmtPct={fmtPct} fmtMoney={fmtMoney} />
+          )}
+
+          <div style={{ marginTop: '10px', fontSize: '9px', color: '#555' }}>
+            Turnover {fmtPct(result.turnover)} of NAV • cash after trades {fmtMoney(result.cashAfter)}
+            {result.lambda != null && <> • λ {result.lambda.toFixed(2)}</>}
+            {result.downside && <> • {result.downside.scenarios.toLocaleString()} simulated scenarios, MAR {fmtPct(result.downside.mar)}</>}
+            {' '}• {result.solverIterations.toLocaleString()} solver iterations
+            {result.timestamp && <> • {new Date(result.timestamp).toLocaleTimeString()}</>}
+          </div>
+        </>
+      )}
+
+      {result?.diagonalLoad > 0 && (
+        <div style={{ marginTop: '8px', padding: '6px 10px', background: 'rgba(255, 159, 67, 0.08)', borderRadius: '6px', fontSize: '9px', color: COLORS.orange }}>
+          ⚠️ The covariance matrix wasn't positive definite; a diagonal load of {result.diagonalLoad.toExponential(1)} was added.
+        </div>
+      )}
+    </div>
+  );
+});
+
+// ============================================
+// EFFICIENT FRONTIER
+// ============================================
+
+const FRONTIER_TOOLTIP_STYLE = { background: '#1a1a2e', border: '1px solid #333', borderRadius: '8px', fontSize: '10px', fontFamily: FONT_FAMILY, padding: '6px 8px' };
+
+// Small markers so hundreds of swap points don't bury the frontier
+const SmallDot = ({ cx, cy, fill }) => <circle cx={cx} cy={cy} r={2.5} fill={fill} />;
+
+const FrontierTooltip = ({ active, payload }) => {
+  const pt = active && payload?.[0]?.payload;
+  if (!pt || pt.vol == null) return null;
+  return (
+    <div style={FRONTIER_TOOLTIP_STYLE}>
+      <div style={{ color: '#fff', fontWeight: '600', marginBottom: '2px' }}>{pt.label}</div>
+      <div style={{ color: '#aaa' }}>Return {pt.ret.toFixed(2)}% • Vol {pt.vol.toFixed(2)}%</div>
+      {pt.sharpe != null && isFinite(pt.sharpe) && <div style={{ color: '#888' }}>Sharpe {pt.sharpe.toFixed(3)}</div>}
+      {pt.idx != null && <div style={{ color: COLORS.cyan, marginTop: '2px' }}>Click for weights & trades</div>}
+    </div>
+  );
+};
+
+const EfficientFrontierCard = memo(({
+  frontier, runFrontier, optimizationResults, constrainedResult, fmtPct, formatCurrency,
+}) => {
+  const [selected, setSelected] = useState(null);
+  const [showSwaps, setShowSwaps] = useState(true);
+  const fmtMoney = formatCurrency || ((v) => `$${Math.round(v).toLocaleString()}`);
+  const ok = frontier?.status === 'ok';
+
+  // Chart series in percent; swaps, risk parity and HRP come from the last swap analysis
+  const series = useMemo(() => {
+    if (!ok) return null;
+    const pt = (p, label, extra = {}) => ({ vol: p.vol * 100, ret: p.return * 100, sharpe: p.sharpe, label, ...extra });
+    const curve = frontier.points.map((p, i) => pt(p, `Frontier #${i + 1}`, { idx: i }));
+    const tangency = pt(frontier.tangency, 'Tangency (max Sharpe)', { idx: 'tangency' });
+    const current = pt(frontier.current, 'Current portfolio');
+
+    const base = optimizationResults?.current;
+    const rp = optimizationResults?.riskParity;
+    const riskParity = rp && base && isFinite(rp.portfolioVol)
+      ? [{ vol: rp.portfolioVol * 100, ret: rp.portfolioReturn * 100, sharpe: rp.sharpe, label: 'Risk parity' }]
+      : [];
+    const hrp = optimizationResults?.hrp && base && isFinite(optimizationResults.hrp.portfolioVol)
+      ? [{ vol: optimizationResults.hrp.portfolioVol * 100, ret: optimizationResults.hrp.portfolioReturn * 100, sharpe: optimizationResults.hrp.sharpe, label: 'Hierarchical risk parity' }]
+      : [];
+    const better = [];
+    const worse = [];
+    const sm = optimizationResults?.swapMatrix;
+    if (sm && base) {
+      sm.tickers.forEach((sell, i) => sm.tickers.forEach((buy, j) => {
+        if (i === j) return;
+        const vol = (base.portfolioVol + sm.deltaVol[i][j]) * 100;
+        const ret = (base.portfolioReturn + sm.deltaReturn[i][j]) * 100;
+        if (!isFinite(vol) || !isFinite(ret)) return;
+        const point = { vol, ret, sharpe: base.sharpe + sm.deltaSharpe[i][j], label: `Swap ${sell} → ${buy}` };
+        (sm.deltaSharpe[i][j] > 0 ? better : worse).push(point);
+      }));
+    }
+    const optimized = constrainedResult?.status === 'optimal'
+      ? [pt(constrainedResult.target, 'Constrained optimizer target')]
+      : [];
+
+    const xMax = Math.max(
+      ...curve.map(p => p.vol), current.vol, ...riskParity.map(p => p.vol), ...hrp.map(p => p.vol), ...optimized.map(p => p.vol),
+    ) * 1.15;
+    const slope = frontier.cml.slope;
+    const rf = frontier.cml.riskFreeRate * 100;
+    const cml = slope != null && isFinite(slope)
+      ? [{ vol: 0, ret: rf, label: 'Risk-free rate' }, { vol: xMax, ret: rf + slope * xMax, label: 'Capital market line' }]
+      : [];
+    return { curve, tangency, current, riskParity, hrp, better, worse, optimized, cml, xMax };
+  }, [ok, frontier, optimizationResults, constrainedResult]);
+
+  const selectedPoint = !ok || selected == null
+    ? null
+    : selected === 'tangency' ? frontier.tangency : frontier.points[selected];
+  const handleClick = (p) => {
+    const idx = p?.payload?.idx ?? p?.idx;
+    if (idx != null) setSelected(idx);
+  };
+
+  const weightRows = selectedPoint
+    ? frontier.tickers
+      .map((ticker, i) => ({ ticker, from: frontier.current.weights[i], to: selectedPoint.weights[i] }))
+      .filter(r => Math.abs(r.from) > 1e-4 || Math.abs(r.to) > 1e-4)
+      .sort((a, b) => b.to - a.to)
+    : [];
+
+  return (
+    <div style={{
+      background: 'rgba(22, 27, 44, 0.7)',
+      borderRadius: '14px',
+      border: '1px solid rgba(255, 255, 255, 0.06)',
+      padding: '16px',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ fontSize: '13px', fontWeight: '600', color: '#fff', marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <span>📐</span> Efficient Frontier
+        <span style={{ fontSize: '9px', color: '#555', fontWeight: '400' }}>
+          Lowest volatility for each expected return under the optimizer limits (turnover aside)
+        </span>
+        <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px', alignItems: 'center' }}>
+          {ok && optimizationResults?.swapMatrix && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '10px', color: '#888', fontWeight: '400', cursor: 'pointer' }}>
+              <input type="checkbox" checked={showSwaps} onChange={(e) => setShowSwaps(e.target.checked)} />
+              Swaps
+            </label>
+          )}
+          <button
+            onClick={() => { setSelected(null); runFrontier(); }}
+            style={{
+              padding: '5px 12px',
+              fontSize: '10px',
+              fontWeight: '600',
+              borderRadius: '6px',
+              border: '1px solid ' + COLORS.cyan,
+              background: 'rgba(0, 212, 255, 0.1)',
+              color: COLORS.cyan,
+              cursor: 'pointer',
+              fontFamily: FONT_FAMILY,
+            }}
+          >
+            {frontier ? 'Recompute' : 'Compute Frontier'}
+          </button>
+        </div>
+      </div>
+
+      {!frontier && (
+        <div style={{ fontSize: '10px', color: '#666' }}>
+          Plots the frontier and the capital market line from the same return, volatility and correlation
+          inputs as the swap analysis, with your current portfolio on it.
+        </div>
+      )}
+
+      {frontier && !ok && (
+        <div style={{ padding: '10px 12px', background: 'rgba(231, 76, 60, 0.08)', borderRadius: '8px', border: '1px solid rgba(231, 76, 60, 0.2)', fontSize: '10px', color: COLORS.red }}>
+          <div style={{ fontWeight: '600', marginBottom: '4px' }}>⚠️ No portfolio satisfies the optimizer limits</div>
+          {frontier.reasons.map((r, i) => <div key={i} style={{ color: '#e8a49c' }}>• {r}</div>)}
+        </div>
+      )}
+
+      {ok && series && (
+        <>
+          <div style={{ height: '320px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                <XAxis
+                  type="number"
+                  dataKey="vol"
+                  domain={[0, Math.ceil(series.xMax)]}
+                  tick={{ fill: '#666', fontSize: 9 }}
+                  tickFormatter={v => `${v.toFixed(0)}%`}
+                  label={{ value: 'Volatility', position: 'insideBottom', offset: -10, fill: '#666', fontSize: 10 }}
+                />
+                <YAxis
+                  type="number"
+                  dataKey="ret"
+                  domain={['auto', 'auto']}
+                  tick={{ fill: '#666', fontSize: 9 }}
+                  tickFormatter={v => `${v.toFixed(0)}%`}
+                  width={40}
+                />
+                <Tooltip content={<FrontierTooltip />} cursor={{ strokeDasharray: '3 3' }} />
+                <Legend wrapperStyle={{ fontSize: '10px' }} />
+                {series.cml.length > 0 && (
+                  <Scatter name="CML" data={series.cml} line={{ stroke: '#888', strokeDasharray: '5 4' }} shape={() => null} legendType="plainline" isAnimationActive={false} />
+                )}
+                {showSwaps && series.worse.length > 0 && (
+                  <Scatter name="Swaps (worse)" data={series.worse} fill="rgba(231, 76, 60, 0.35)" shape={<SmallDot />} isAnimationActive={false} />
+                )}
+                {showSwaps && series.better.length > 0 && (
+                  <Scatter name="Swaps (better)" data={series.better} fill="rgba(46, 204, 113, 0.55)" shape={<SmallDot />} isAnimationActive={false} />
+                )}
+                <Scatter
+                  name="Frontier"
+                  data={series.curve}
+                  fill={COLORS.cyan}
+                  line={{ stroke: COLORS.cyan, strokeWidth: 2 }}
+                  onClick={handleClick}
+                  style={{ cursor: 'pointer' }}
+                  isAnimationActive={false}
+                />
+                {series.riskParity.length > 0 && (
+                  <Scatter name="Risk parity" data={series.riskParity} fill={COLORS.purple} shape="diamond" isAnimationActive={false} />
+                )}
+                {series.hrp.length > 0 && (
+                  <Scatter name="HRP" data={series.hrp} fill={COLORS.blue} shape="diamond" isAnimationActive={false} />
+                )}
+                {series.optimized.length > 0 && (
+                  <Scatter name="Optimizer target" data={series.optimized} fill={COLORS.green} shape="triangle" isAnimationActive={false} />
+                )}
+                <Scatter name="Tangency" data={[series.tangency]} fill={COLORS.orange} shape="star" onClick={handleClick} style={{ cursor: 'pointer' }} isAnimationActive={false} />
+                <Scatter name="Current" data={[series.current]} fill="#fff" shape="cross" isAnimationActive={false} />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '10px', margin: '12px 0' }}>
+            {[
+              { label: 'Tangency Sharpe (CML slope)', value: frontier.tangency.sharpe.toFixed(3), color: COLORS.orange },
+              { label: 'Current Sharpe', value: frontier.current.sharpe.toFixed(3), color: '#fff' },
+              { label: 'Min-variance vol', value: fmtPct(frontier.minVariance.vol), color: COLORS.cyan },
+            ].map((s, i) => (
+              <div key={i} style={{ padding: '10px', background: 'rgba(0,0,0,0.25)', borderRadius: '8px', textAlign: 'center' }}>
+                <div style={{ fontSize: '15px', fontWeight: '700', color: s.color }}>{s.value}</div>
+                <div style={{ fontSize: '9px', color: '#666', marginTop: '2px' }}>{s.label}</div>
+              </div>
+            ))}
+          </div>
+
+          {!optimizationResults?.swapMatrix && (
+            <div style={{ fontSize: '9px', color: '#555', marginBottom: '8px' }}>
+              Run Optimization to overlay the risk-parity and HRP portfolios and every candidate swap.
+            </div>
+          )}
+
+          {selectedPoint ? (
+            <div style={{ padding: '12px', background: 'rgba(0,0,0,0.25)', borderRadius: '10px', border: '1px solid rgba(0, 212, 255, 0.12)' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px', flexWrap: 'wrap' }}>
+                <span style={{ fontSize: '11px', fontWeight: '600', color: COLORS.cyan }}>
+                  {selected === 'tangency' ? 'Tangency portfolio' : `Frontier point #${selected + 1}`}
+                </span>
+                <span style={{ fontSize: '10px', color: '#888' }}>
+                  Return {fmtPct(selectedPoint.return)} • Vol {fmtPct(selectedPoint.vol)} • Sharpe {selectedPoint.sharpe.toFixed(3)} • Cash {fmtPct(selectedPoint.cashWeight)}
+                </span>
+                <button
+                  onClick={() => setSelected(null)}
+                  style={{ marginLeft: 'auto', background: 'none', border: 'none', color: '#666', cursor: 'pointer', fontSize: '12px' }}
+                >
+                  ✕
+                </button>
+              </div>
+              <div style={{ fontSize: '10px', color: '#666', marginBottom: '6px' }}>Weights (% NLV):</div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))', gap: '6px', marginBottom: '12px' }}>
+                {weightRows.map(r => {
+                  const change = r.to - r.from;
+                  return (
+                    <div key={r.ticker} style={{ padding: '6px 8px', background: 'rgba(255,255,255,0.03)', borderRadius: '6px', fontSize: '10px' }}>
+                      <div style={{ fontWeight: '600', color: '#fff' }}>{r.ticker}</div>
+                      <div style={{ color: '#888' }}>
+                        {fmtPct(r.from)} → <span style={{ color: change > 0.001 ? COLORS.green : change < -0.001 ? COLORS.red : '#888' }}>{fmtPct(r.to)}</span>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              <div style={{ fontSize: '10px', color: '#666', marginBottom: '6px' }}>
+                Trades to get there ({fmtPct(selectedPoint.turnover)} turnover, cash after {fmtMoney(selectedPoint.cashAfter)}):
+              </div>
+              {selectedPoint.trades.length > 0
+                ? <TradeTable trades={selectedPoint.trades} fmtPct={fmtPct} fmtMoney={fmtMoney} />
+                : <div style={{ fontSize: '10px', color: '#888' }}>✓ No trades needed.</div>}
+            </div>
+          ) : (
+            <div style={{ fontSize: '9px', color: '#555' }}>Click a frontier point or the tangency star to see its weights and trades.</div>
+          )}
+
+          {frontier.diagonalLoad > 0 && (
+            <div style={{ marginTop: '8px', padding: '6px 10px', background: 'rgba(255, 159, 67, 0.08)', borderRadius: '6px', fontSize: '9px', color: COLORS.orange }}>
+              ⚠️ The covariance matrix wasn't positive definite; a diagonal load of {frontier.diagonalLoad.toExponential(1)} was added.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
 // ============================================
 // RISK PARITY CARD
 // ============================================
 
-const RiskParityCard = memo(({ optimizationResults, fmtPct }) => {
+// Both risk-budgeting targets share one card layout
+const RISK_PARITY_VARIANTS = {
+  riskParity: {
+    icon: '⚖️',
+    title: 'Risk Parity Target',
+    subtitle: 'Equal risk contribution per position',
+    abbr: 'RP',
+    note: '⚠️ Risk parity uses covariance-based risk. Equal risk ≠ optimal for all strategies.',
+  },
+  hrp: {
+    icon: '🌳',
+    title: 'Hierarchical Risk Parity',
+    subtitle: 'Risk split across correlation clusters, no matrix inversion',
+    abbr: 'HRP',
+    note: '⚠️ HRP splits risk along the single-linkage correlation tree; see the dendrogram in the Correlation tab.',
+  },
+};
+
+const RiskParityCard = memo(({ optimizationResults, fmtPct, variant = 'riskParity' }) => {
   // Defensive: ensure optimizationResults exists
   if (!optimizationResults) return null;
 
-  const rp = optimizationResults.riskParity;
+  const rp = optimizationResults[variant];
   if (!rp) return null;
+  const text = RISK_PARITY_VARIANTS[variant];
   
   const lvgRatio = optimizationResults.leverageRatio || 1;
   const weightChanges = rp.weightChanges || [];
@@ -2252,18 +2934,18 @@ const RiskParityCard = memo(({ optimizationResults, fmtPct }) => {
       fontFamily: FONT_FAMILY,
     }}>
       <div style={{ fontSize: '13px', fontWeight: '600', color: '#fff', marginBottom: '14px', display: 'flex', alignItems: 'center', gap: '8px' }}>
-        <span>⚖️</span> Risk Parity Target
+        <span>{text.icon}</span> {text.title}
         <span style={{ fontSize: '9px', color: '#555', fontWeight: '400' }}>
-          Equal risk contribution per position
+          {text.subtitle}
         </span>
       </div>
       
       {/* Summary Stats */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '10px', marginBottom: '14px' }}>
         {[
-          { label: 'RP Sharpe', value: (rp.sharpe ?? 0).toFixed(3), color: COLORS.purple },
+          { label: `${text.abbr} Sharpe`, value: (rp.sharpe ?? 0).toFixed(3), color: COLORS.purple },
           { label: 'ΔSharpe', value: `${(rp.deltaSharpe || 0) > 0 ? '+' : ''}${Math.round((rp.deltaSharpe ?? 0) * 10000)} bps`, color: (rp.deltaSharpe || 0) > 0 ? COLORS.green : COLORS.red },
-          { label: 'RP Vol', value: fmtPct(rp.portfolioVol), color: COLORS.orange },
+          { label: `${text.abbr} Vol`, value: fmtPct(rp.portfolioVol), color: COLORS.orange },
         ].map((s, i) => (
           <div key={i} style={{ padding: '10px', background: 'rgba(0,0,0,0.25)', borderRadius: '8px', textAlign: 'center' }}>
             <div style={{ fontSize: '16px', fontWeight: '700', color: s.color }}>{s.value}</div>
@@ -2304,7 +2986,7 @@ const RiskParityCard = memo(({ optimizationResults, fmtPct }) => {
       </div>
       
       <div style={{ marginTop: '10px', padding: '8px 10px', background: 'rgba(255, 159, 67, 0.08)', borderRadius: '6px', fontSize: '9px', color: COLORS.orange, border: '1px solid rgba(255, 159, 67, 0.15)' }}>
-        ⚠️ Risk parity uses covariance-based risk. Equal risk ≠ optimal for all strategies.
+        {text.note}
       </div>
     </div>
   );
@@ -0,0 +1,466 @@
+import React, { memo, useState, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  Legend,
+} from 'recharts';
+import { EmptyState } from '../common';
+import {
+  PERFORMANCE_RANGES,
+  ROLLING_VOL_DAYS,
+  parseBenchmark,
+  formatBenchmark,
+  summarizePerformance,
+} from '../../utils/performance';
+import { formatMoney } from '../../utils/currency';
+
+/**
+ * PerformanceTab - Realized Performance Tab Component
+ *
+ * Reads the daily value snapshots (recorded on each price refresh, backfilled
+ * from the ledger before the first one) and shows what actually happened:
+ * - Time-weighted and money-weighted returns over 1M / 3M / YTD / 1Y / All
+ * - Comparison against SPY or a custom benchmark blend ("SPY 60, AGG 40")
+ * - Rolling volatility and realized drawdowns
+ * - Forecast check: where realized returns landed in past simulation bands
+ */
+
+// ============================================
+// DESIGN SYSTEM
+// ============================================
+
+const COLORS = {
+  cyan: '#00d4ff',
+  green: '#2ecc71',
+  red: '#e74c3c',
+  orange: '#ff9f43',
+  purple: '#9b59b6',
+  blue: '#3498db',
+  gold: '#f1c40f',
+};
+
+const FONT_FAMILY = "'JetBrains Mono', 'Fira Code', 'SF Mono', monospace";
+
+const ZONE_BADGES = {
+  core: { label: 'Inside 50%', color: COLORS.green },
+  tail: { label: 'Inside 90%', color: COLORS.gold },
+  below: { label: 'Below p5', color: COLORS.red },
+  above: { label: 'Above p95', color: COLORS.purple },
+};
+
+const TOOLTIP_STYLE = { background: '#1a1a2e', border: '1px solid #333', borderRadius: '8px', fontSize: '11px', fontFamily: FONT_FAMILY };
+
+const formatPct = (v, digits = 1) => (v == null || !isFinite(v) ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`);
+
+const signColor = (v) => (v == null ? '#888' : v >= 0 ? COLORS.green : COLORS.red);
+
+// ============================================
+// BENCHMARK EDITOR
+// ============================================
+
+const BenchmarkEditor = memo(({ benchmark, setBenchmark, missing, styles }) => {
+  const [draft, setDraft] = useState(() => formatBenchmark(benchmark));
+  const [error, setError] = useState(null);
+
+  const handleApply = () => {
+    const parsed = parseBenchmark(draft);
+    if (!parsed) {
+      setError('Use "TICKER weight" pairs, e.g. SPY 60, AGG 40');
+      return;
+    }
+    setError(null);
+    setBenchmark(parsed);
+    setDraft(formatBenchmark(parsed));
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+      <span style={{ fontSize: '10px', color: '#888', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Benchmark</span>
+      <input
+        type="text"
+        value={draft}
+        placeholder="SPY 60, AGG 40"
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={e => { if (e.key === 'Enter') handleApply(); }}
+        style={{ ...styles.input, fontSize: '11px', padding: '6px 8px', fontFamily: FONT_FAMILY, width: '200px' }}
+      />
+      <button style={{ ...styles.button, ...styles.buttonSecondary, fontSize: '11px', padding: '6px 12px' }} onClick={handleApply}>
+        Apply
+      </button>
+      <button
+        style={{ ...styles.button, ...styles.buttonSecondary, fontSize: '11px', padding: '6px 12px' }}
+        onClick={() => setBenchmark({ SPY: 1 })}
+      >
+        SPY
+      </button>
+      {error && <span style={{ fontSize: '10px', color: COLORS.red }}>{error}</span>}
+      {!error && missing.length > 0 && (
+        <span style={{ fontSize: '10px', color: COLORS.orange }}>
+          No history yet for {missing.join(', ')} (refresh prices to load it)
+        </span>
+      )}
+    </div>
+  );
+});
+
+// ============================================
+// CHARTS
+// ============================================
+
+const ReturnChart = memo(({ chart, benchmarkLabel }) => {
+  const data = useMemo(() => chart.map(p => ({
+    date: p.date,
+    portfolio: p.portfolio * 100,
+    benchmark: p.benchmark != null ? p.benchmark * 100 : null,
+  })), [chart]);
+
+  const label = (name) => (name === 'portfolio' ? 'Portfolio (TWR)' : benchmarkLabel);
+
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+        <XAxis dataKey="date" tick={{ fill: '#666', fontSize: 9 }} minTickGap={40} />
+        <YAxis tick={{ fill: '#666', fontSize: 9 }} tickFormatter={v => `${v.toFixed(0)}%`} width={45} />
+        <Tooltip
+          contentStyle={TOOLTIP_STYLE}
+          formatter={(v, name) => [`${v >= 0 ? '+' : ''}${v.toFixed(1)}%`, label(name)]}
+        />
+        <Legend formatter={label} wrapperStyle={{ fontSize: '10px' }} />
+        <ReferenceLine y={0} stroke="#555" />
+        <Line type="monotone" dataKey="portfolio" stroke={COLORS.cyan} strokeWidth={2} dot={false} />
+        <Line type="monotone" dataKey="benchmark" stroke="#888" strokeWidth={1.5} strokeDasharray="4 3" dot={false} connectNulls />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+});
+
+const RiskCharts = memo(({ rollingVol, drawdownSeries }) => {
+  const volData = useMemo(() => rollingVol.map(p => ({ date: p.date, vol: p.vol * 100 })), [rollingVol]);
+  const ddData = useMemo(() => drawdownSeries.map(p => ({ date: p.date, drawdown: p.drawdown * 100 })), [drawdownSeries]);
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+      <div>
+        <div style={{ fontSize: '10px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '6px' }}>
+          Rolling {ROLLING_VOL_DAYS}-day volatility (annualized)
+        </div>
+        <div style={{ height: '180px' }}>
+          {volData.length > 1 ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={volData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                <XAxis dataKey="date" tick={{ fill: '#666', fontSize: 9 }} minTickGap={40} />
+                <YAxis tick={{ fill: '#666', fontSize: 9 }} tickFormatter={v => `${v.toFixed(0)}%`} width={40} />
+                <Tooltip contentStyle={TOOLTIP_STYLE} formatter={v => [`${v.toFixed(1)}%`, 'Volatility']} />
+                <Line type="monotone" dataKey="vol" stroke={COLORS.orange} strokeWidth={1.5} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <div style={{ fontSize: '11px', color: '#666', paddingTop: '60px', textAlign: 'center' }}>
+              Needs {ROLLING_VOL_DAYS} daily returns in the range
+            </div>
+          )}
+        </div>
+      </div>
+      <div>
+        <div style={{ fontSize: '10px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '6px' }}>
+          Drawdown from peak
+        </div>
+        <div style={{ height: '180px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={ddData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+              <XAxis dataKey="date" tick={{ fill: '#666', fontSize: 9 }} minTickGap={40} />
+              <YAxis tick={{ fill: '#666', fontSize: 9 }} tickFormatter={v => `${v.toFixed(0)}%`} width={40} />
+              <Tooltip contentStyle={TOOLTIP_STYLE} formatter={v => [`${v.toFixed(1)}%`, 'Drawdown']} />
+              <Area type="monotone" dataKey="drawdown" stroke={COLORS.red} fill={COLORS.red} fillOpacity={0.2} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// ============================================
+// FORECAST CHECK
+// ============================================
+
+const ForecastCheck = memo(({ check, styles }) => {
+  const { rows, inside90, inside50 } = check;
+
+  return (
+    <div style={{ ...styles.card, fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, marginBottom: '4px' }}>
+        <span>🎯</span> Forecast Check
+      </div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px' }}>
+        Realized time-weighted return since each past simulation run, placed in that run's fan at the elapsed time.
+        {rows.length > 0 && (
+          <> {rows.length} run{rows.length === 1 ? '' : 's'} • {(inside90 * 100).toFixed(0)}% inside the 90% band (expect ~90%)
+            {' '}• {(inside50 * 100).toFixed(0)}% inside the 50% band (expect ~50%)</>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <div style={{ fontSize: '11px', color: '#888' }}>
+          No simulation runs inside the recorded history yet. Each fresh run is kept, so check back once some time has passed.
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '0 4px', fontSize: '11px' }}>
+          <thead>
+            <tr style={{ color: '#666', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+              <th style={{ textAlign: 'left', padding: '6px 10px' }}>Run</th>
+              <th style={{ textAlign: 'right', padding: '6px 10px' }}>Elapsed</th>
+              <th style={{ textAlign: 'right', padding: '6px 10px' }}>Realized</th>
+              <th style={{ textAlign: 'right', padding: '6px 10px' }}>p5 … p95</th>
+              <th style={{ textAlign: 'right', padding: '6px 10px' }}>p25 … p75</th>
+              <th style={{ textAlign: 'right', padding: '6px 10px' }}>Percentile</th>
+              <th style={{ textAlign: 'left', padding: '6px 10px' }}>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => {
+              const badge = ZONE_BADGES[r.zone];
+              const notes = [
+                !r.complete && `horizon ${r.horizonYears.toFixed(1)}y still running`,
+                r.includesCashFlows && 'run included planned cash flows',
+                r.currencyMismatch && 'run used a different base currency',
+              ].filter(Boolean);
+              return (
+                <tr key={r.runDate} style={{ background: 'rgba(0, 0, 0, 0.2)' }} title={notes.join('\n')}>
+                  <td style={{ padding: '8px 10px', color: '#fff' }}>
+                    {r.runDate}
+                    {notes.length > 0 && <span style={{ marginLeft: '6px', color: COLORS.orange }}>*</span>}
+                  </td>
+                  <td style={{ padding: '8px 10px', textAlign: 'right', color: '#aaa' }}>
+                    {r.elapsedYears < 1 ? `${Math.round(r.elapsedYears * 12)}mo` : `${r.elapsedYears.toFixed(1)}y`}
+                  </td>
+                  <td style={{ padding: '8px 10px', textAlign: 'right', fontWeight: '700', color: signColor(r.realized) }}>
+                    {formatPct(r.realized)}
+                  </td>
+                  <td style={{ padding: '8px 10px', textAlign: 'right', color: '#888' }}>
+                    {formatPct(r.band.p5)} … {formatPct(r.band.p95)}
+                  </td>
+                  <td style={{ padding: '8px 10px', textAlign: 'right', color: '#888' }}>
+                    {formatPct(r.band.p25)} … {formatPct(r.band.p75)}
+                  </td>
+                  <td style={{ padding: '8px 10px', textAlign: 'right', color: '#aaa' }}>
+                    p{Math.round(r.percentile)}
+                  </td>
+                  <td style={{ padding: '8px 10px' }}>
+                    <span style={{
+                      fontSize: '9px',
+                      padding: '2px 6px',
+                      borderRadius: '4px',
+                      color: badge.color,
+                      background: `${badge.color}18`,
+                      border: `1px solid ${badge.color}40`,
+                    }}>
+                      {badge.label}
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {rows.some(r => r.includesCashFlows || r.currencyMismatch || !r.complete) && (
+        <div style={{ fontSize: '10px', color: '#666', marginTop: '6px' }}>
+          * Hover for caveats. Runs with planned cash flows are compared on time-weighted returns, which exclude flows.
+        </div>
+      )}
+    </div>
+  );
+});
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+
+const PerformanceTab = ({
+  snapshots,
+  forecastHistory,
+  transactions,
+  unifiedMarketData,
+  benchmark,
+  setBenchmark,
+  baseCurrency,
+  fxRate,
+  householdView,
+  styles,
+}) => {
+  const [range, setRange] = useState('ALL');
+
+  const summary = useMemo(() => summarizePerformance({
+    snapshots,
+    transactions,
+    marketData: unifiedMarketData,
+    benchmark,
+    forecasts: forecastHistory,
+    range,
+    baseCurrency,
+    fxRate,
+  }), [snapshots, transactions, unifiedMarketData, benchmark, forecastHistory, range, baseCurrency, fxRate]);
+
+  if (householdView) {
+    return (
+      <EmptyState
+        icon="🏁"
+        title="Performance is tracked per portfolio"
+        description="Switch to a single portfolio to see its recorded value history and returns."
+      />
+    );
+  }
+
+  if (!summary) {
+    return (
+      <EmptyState
+        icon="🏁"
+        title="Not enough history yet"
+        description="A value snapshot is recorded each day prices are refreshed. Record transactions in the ledger to backfill earlier history."
+      />
+    );
+  }
+
+  const benchmarkLabel = formatBenchmark(summary.benchmark.blend);
+  const money = (v) => formatMoney(v, summary.baseCurrency, { compact: true });
+  const { twr, mwr, drawdown } = summary;
+
+  const stats = [
+    {
+      label: twr.annualized != null ? 'TWR (ann.)' : 'TWR',
+      value: formatPct(twr.annualized ?? twr.cumulative),
+      sub: twr.annualized != null ? `${formatPct(twr.cumulative)} cumulative` : 'not annualized under 1y',
+      color: signColor(twr.cumulative),
+    },
+    {
+      label: 'MWR (IRR)',
+      value: formatPct(mwr.years >= 1 ? mwr.annualized : mwr.cumulative),
+      sub: mwr.cumulative == null ? 'no solution' : mwr.years >= 1 ? 'annualized' : 'period',
+      color: signColor(mwr.cumulative),
+    },
+    {
+      label: 'Benchmark',
+      value: formatPct(summary.benchmark.twr?.cumulative),
+      sub: benchmarkLabel,
+      color: signColor(summary.benchmark.twr?.cumulative),
+    },
+    {
+      label: 'Excess',
+      value: formatPct(summary.excess),
+      sub: 'cumulative vs benchmark',
+      color: signColor(summary.excess),
+    },
+    {
+      label: 'Realized Vol',
+      value: summary.vol != null ? `${(summary.vol * 100).toFixed(1)}%` : '—',
+      sub: summary.benchmark.vol != null ? `benchmark ${(summary.benchmark.vol * 100).toFixed(1)}%` : 'annualized',
+      color: COLORS.orange,
+    },
+    {
+      label: 'Max Drawdown',
+      value: `${(drawdown.max * 100).toFixed(1)}%`,
+      sub: drawdown.maxDate ? `${drawdown.peakDate} → ${drawdown.maxDate}${drawdown.recovered ? ' (recovered)' : ''}` : 'none',
+      color: COLORS.red,
+    },
+    {
+      label: 'Current Drawdown',
+      value: `${(drawdown.current * 100).toFixed(1)}%`,
+      sub: 'from the range high',
+      color: drawdown.current < -0.0005 ? COLORS.red : COLORS.green,
+    },
+    {
+      label: 'Net Flows',
+      value: money(summary.netFlows),
+      sub: `${money(summary.startValue)} → ${money(summary.endValue)}`,
+      color: '#fff',
+    },
+  ];
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{ ...styles.card, fontFamily: FONT_FAMILY }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '12px' }}>
+          <div>
+            <div style={{ ...styles.cardTitle, marginBottom: '4px' }}>
+              <span>🏁</span> Realized Performance
+            </div>
+            <div style={{ fontSize: '11px', color: '#666' }}>
+              {summary.start} → {summary.end} • {summary.recordedCount} recorded snapshot{summary.recordedCount === 1 ? '' : 's'}
+              {summary.backfilledCount > 0 && ` + ${summary.backfilledCount} backfilled from the ledger`}
+              {' '}• values in {summary.baseCurrency}
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: '2px' }}>
+            {Object.entries(PERFORMANCE_RANGES).map(([key, r]) => (
+              <button
+                key={key}
+                onClick={() => setRange(key)}
+                style={{
+                  padding: '5px 10px',
+                  fontSize: '10px',
+                  fontFamily: FONT_FAMILY,
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  border: `1px solid ${range === key ? COLORS.cyan : 'rgba(255,255,255,0.1)'}`,
+                  background: range === key ? 'rgba(0, 212, 255, 0.15)' : 'transparent',
+                  color: range === key ? COLORS.cyan : '#888',
+                }}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '16px' }}>
+          {stats.map(stat => (
+            <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+              <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+              <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+              <div style={{ fontSize: '9px', color: '#666', marginTop: '2px' }}>{stat.sub}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ marginBottom: '12px' }}>
+          <BenchmarkEditor
+            key={benchmarkLabel}
+            benchmark={summary.benchmark.blend}
+            setBenchmark={setBenchmark}
+            missing={summary.benchmark.missing}
+            styles={styles}
+          />
+        </div>
+
+        <div style={{ height: '260px', marginBottom: '16px' }}>
+          <ReturnChart chart={summary.chart} benchmarkLabel={benchmarkLabel} />
+        </div>
+
+        <RiskCharts rollingVol={summary.rollingVol} drawdownSeries={drawdown.series} />
+
+        <div style={{ fontSize: '10px', color: '#666', marginTop: '8px' }}>
+          TWR chains daily returns with deposits and withdrawals removed, so it measures the holdings.
+          MWR is the internal rate of return on the actual cash moved in and out, so it also reflects timing.
+          Flows are inferred from snapshot-to-snapshot changes that the previous day's holdings don't explain.
+        </div>
+      </div>
+
+      <ForecastCheck check={summary.forecasts} styles={styles} />
+    </div>
+  );
+};
+
+export default PerformanceTab;
@@ -1,5 +1,19 @@
 import React, { memo, useState, useRef, useEffect, useMemo } from 'react';
 import { BlurInput } from '../common';
+import { normalizeOptionPosition, validateOption, OPTION_CONTRACT_MULTIPLIER } from '../../utils/options';
+import { normalizeBondParams, bondMoments, BOND_PRESETS } from '../../utils/bondModel';
+import {
+  TRANSACTION_TYPES,
+  COST_BASIS_METHODS,
+  normalizeTransaction,
+  validateTransaction,
+  formatTransaction,
+  buildLedger,
+  summarizePnL,
+  findLedgerMismatches,
+} from '../../utils/ledger';
+import { findHarvestCandidates, DEFAULT_HARVEST_OPTIONS, WASH_SALE_DAYS } from '../../utils/taxLossHarvesting';
+import { BASE_CURRENCIES, DEFAULT_BASE_CURRENCY, formatMoney } from '../../utils/currency';
 
 /**
  * PositionsTab - Portfolio Positions Management Component (v2.2)
@@ -11,6 +25,11 @@ import { BlurInput } from '../common';
  * - Modernized table with volatility column
  * - Dual metric panels (Beta + Volatility)
  * - Auto-sort after ticker entry
+ * - Listed options card (puts / calls on held tickers)
+ * - Bond parameters card (duration / yield model for type 'Bond')
+ * - Transactions & tax lots card (ledger-derived positions, realized / unrealized P&L)
+ * - Tax-loss harvesting card (loss lots, tax saved, wash-sale check, replacements)
+ * - Base currency selector and per-position FX hedge toggle
  */
 
 // Design tokens (matching OptimizeTab)
@@ -53,6 +72,29 @@ const PositionsTab = memo(({
   setCashRate,
   cashWeight,
   
+  // Listed options
+  optionPositions = [],
+  setOptionPositions,
+  optionValuations = {},
+  optionsValue = 0,
+  
+  // Transaction ledger
+  transactions = [],
+  onTransactionsChange,
+  costBasisMethod = 'fifo',
+  onCostBasisMethodChange,
+  onSyncPositionsFromLedger,
+  ledger,
+  
+  // Tax-loss harvesting
+  unifiedMarketData,
+  taxes,
+  
+  // Base currency (stored prices stay in USD; fxRate = base per USD)
+  baseCurrency = DEFAULT_BASE_CURRENCY,
+  setBaseCurrency,
+  fxRate = 1,
+  
   // Loading states
   isFetchingData,
   isFetchingBetas,
@@ -69,6 +111,7 @@ const PositionsTab = memo(({
   // Add positions modal
   onOpenAddModal,
   onOpenScreenshotImport,
+  onOpenStatementImport,
   
   // Styles (kept for backwards compatibility but using local styles)
   styles: externalStyles,
@@ -108,6 +151,7 @@ const PositionsTab = memo(({
     if (positionFilter === 'short' && pos.quantity >= 0) return false;
     if (positionFilter === 'etf' && pos.type !== 'ETF') return false;
     if (positionFilter === 'equity' && pos.type !== 'Equity') return false;
+    if (positionFilter === 'bond' && pos.type !== 'Bond') return false;
     
     return true;
   });
@@ -310,6 +354,9 @@ const PositionsTab = memo(({
         calculateAllBetas={calculateAllBetas}
         refreshAllPrices={refreshAllPrices}
         portfolioValue={portfolioValue}
+        baseCurrency={baseCurrency}
+        setBaseCurrency={setBaseCurrency}
+        fxRate={fxRate}
       />
       
       {/* Search, Filter & Dual Metric Panels */}
@@ -337,6 +384,8 @@ const PositionsTab = memo(({
         positionFilter={positionFilter}
         setPositionFilter={setPositionFilter}
         portfolioValue={portfolioValue}
+        baseCurrency={baseCurrency}
+        fxRate={fxRate}
         updatePosition={updatePosition}
         handleTickerChange={handleTickerChange}
         handleTickerBlur={handleTickerBlur}
@@ -346,10 +395,56 @@ const PositionsTab = memo(({
         addPosition={handleAddPosition}
         onOpenAddModal={onOpenAddModal}
         onOpenScreenshotImport={onOpenScreenshotImport}
+        onOpenStatementImport={onOpenStatementImport}
         newestPositionId={newestPositionId}
         editingPositionId={editingPositionId}
       />
       
+      {/* Bond Parameters Card */}
+      {positions.some(p => p.type === 'Bond') && (
+        <BondParametersCard
+          positions={positions}
+          updatePosition={updatePosition}
+        />
+      )}
+      
+      {/* Listed Options Card */}
+      {setOptionPositions && (
+        <OptionsCard
+          optionPositions={optionPositions}
+          setOptionPositions={setOptionPositions}
+          optionValuations={optionValuations}
+          optionsValue={optionsValue}
+          positions={positions}
+          portfolioValue={portfolioValue}
+        />
+      )}
+      
+      {/* Transactions & Tax Lots Card */}
+      {onTransactionsChange && (
+        <LedgerCard
+          transactions={transactions}
+          onTransactionsChange={onTransactionsChange}
+          costBasisMethod={costBasisMethod}
+          onCostBasisMethodChange={onCostBasisMethodChange}
+          onSyncPositions={onSyncPositionsFromLedger}
+          positions={positions}
+          setConfirmDialog={setConfirmDialog}
+          baseCurrency={baseCurrency}
+          fxRate={fxRate}
+        />
+      )}
+      
+      {/* Tax-Loss Harvesting Card */}
+      {ledger && (
+        <HarvestCard
+          positions={positions}
+          ledger={ledger}
+          marketData={unifiedMarketData}
+          taxes={taxes}
+        />
+      )}
+      
       {/* Cash/Margin Card */}
       <CashMarginCard
         cashBalance={cashBalance}
@@ -385,6 +480,9 @@ const PositionsHeader = memo(({
   calculateAllBetas,
   refreshAllPrices,
   portfolioValue,
+  baseCurrency,
+  setBaseCurrency,
+  fxRate,
 }) => {
   const positionCount = positions.length;
   const hasPositions = positionCount > 0;
@@ -424,13 +522,35 @@ const PositionsHeader = memo(({
                 borderRadius: '4px',
                 fontSize: '9px',
               }}>
-                {positionCount} position{positionCount !== 1 ? 's' : ''} • ${portfolioValue.toLocaleString(undefined, { maximumFractionDigits: 0 })} NLV
+                {positionCount} position{positionCount !== 1 ? 's' : ''} • {formatMoney(portfolioValue * fxRate, baseCurrency)} NLV
               </span>
             )}
           </div>
         </div>
         
         <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          {setBaseCurrency && (
+            <select
+              value={baseCurrency}
+              onChange={(e) => setBaseCurrency(e.target.value)}
+              title="Base currency: values, P&L and simulation results are shown in it"
+              style={{
+                padding: '7px 8px',
+                fontSize: '11px',
+                fontWeight: '600',
+                borderRadius: '8px',
+                border: '1px solid rgba(52, 152, 219, 0.3)',
+                background: 'rgba(52, 152, 219, 0.12)',
+                color: COLORS.blue,
+                cursor: 'pointer',
+                fontFamily: FONT_FAMILY,
+              }}
+            >
+              {Object.keys(BASE_CURRENCIES).map(code => (
+                <option key={code} value={code}>💱 {code}</option>
+              ))}
+            </select>
+          )}
           <button
             onClick={calculateAllBetas}
             disabled={isFetchingBetas || isFetchingUnified || !hasPositions}
@@ -548,6 +668,7 @@ const SearchFilterBar = memo(({
     { id: 'short', label: 'Short', icon: '📉' },
     { id: 'etf', label: 'ETF', icon: '🏛️' },
     { id: 'equity', label: 'Stock', icon: '🏢' },
+    { id: 'bond', label: 'Bond', icon: '🏦' },
   ];
   
   return (
@@ -792,6 +913,8 @@ const PositionsTableCard = memo(({
   positionFilter,
   setPositionFilter,
   portfolioValue,
+  baseCurrency = DEFAULT_BASE_CURRENCY,
+  fxRate = 1,
   updatePosition,
   handleTickerChange,
   handleTickerBlur,
@@ -801,6 +924,7 @@ const PositionsTableCard = memo(({
   addPosition,
   onOpenAddModal,
   onOpenScreenshotImport,
+  onOpenStatementImport,
   newestPositionId,
   editingPositionId,
 }) => {
@@ -1106,6 +1230,7 @@ const PositionsTableCard = memo(({
               const meta = positionMetadata[pos.ticker?.toUpperCase()];
               const betaData = positionBetas[pos.ticker?.toUpperCase()];
               const hasForeignCurrency = pos.currency && pos.currency !== 'USD';
+              const fxExposed = (pos.currency || 'USD') !== baseCurrency;
               const isLong = pos.quantity >= 0;
               const isNewest = pos.id === newestPositionId;
               const isEditing = pos.id === editingPositionId;
@@ -1141,7 +1266,7 @@ const PositionsTableCard = memo(({
                           {meta.name}
                         </span>
                       )}
-                      <TypeBadge type={pos.type} />
+                      <TypeBadge type={pos.type} onChange={(type) => updatePosition(pos.id, 'type', type)} />
                     </div>
                   </td>
                   <td style={{ ...tdStyle, width: colWidths.qty }}>
@@ -1167,6 +1292,27 @@ const PositionsTableCard = memo(({
                     ) : (
                       <span style={{ color: '#555', fontSize: '9px' }}>USD</span>
                     )}
+                    {fxExposed && (
+                      <button
+                        onClick={() => updatePosition(pos.id, 'fxHedged', !pos.fxHedged)}
+                        title={pos.fxHedged
+                          ? `Hedged: ${pos.currency || 'USD'}/${baseCurrency} moves are excluded from this position's risk`
+                          : `Unhedged: ${pos.currency || 'USD'}/${baseCurrency} moves add to this position's risk`}
+                        style={{
+                          marginTop: '3px',
+                          padding: '1px 5px',
+                          fontSize: '8px',
+                          borderRadius: '4px',
+                          border: `1px solid ${pos.fxHedged ? 'rgba(52, 152, 219, 0.4)' : 'rgba(255,255,255,0.1)'}`,
+                          background: pos.fxHedged ? 'rgba(52, 152, 219, 0.15)' : 'transparent',
+                          color: pos.fxHedged ? COLORS.blue : '#666',
+                          cursor: 'pointer',
+                          fontFamily: FONT_FAMILY,
+                        }}
+                      >
+                        {pos.fxHedged ? 'FX hedged' : 'FX unhedged'}
+                      </button>
+                    )}
                   </td>
                   <td style={{ ...tdStyle, width: colWidths.priceUsd }}>
                     <BlurInput
@@ -1178,6 +1324,11 @@ const PositionsTableCard = memo(({
                   </td>
                   <td style={{ ...tdStyle, width: colWidths.value, fontWeight: '600', color: posValue >= 0 ? COLORS.green : COLORS.red, fontSize: '11px' }}>
                     {posValue >= 0 ? '' : '-'}${Math.abs(posValue).toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                    {baseCurrency !== 'USD' && (
+                      <div style={{ fontSize: '8px', color: '#555', fontWeight: '400' }}>
+                        {formatMoney(posValue * fxRate, baseCurrency)}
+                      </div>
+                    )}
                   </td>
                   <td style={{ ...tdStyle, width: colWidths.weight, color: weight >= 0 ? COLORS.green : COLORS.red, fontWeight: '600', fontSize: '11px' }}>
                     {weight >= 0 ? '+' : ''}{weight.toFixed(1)}%
@@ -1332,33 +1483,74 @@ const PositionsTableCard = memo(({
             <span>📷</span> Screenshot Import
           </button>
         )}
+        {onOpenStatementImport && (
+          <button
+            onClick={onOpenStatementImport}
+            style={{
+              padding: '8px 12px',
+              fontSize: '10px',
+              fontWeight: '500',
+              borderRadius: '8px',
+              border: '1px solid rgba(0, 212, 255, 0.3)',
+              background: 'rgba(0, 212, 255, 0.1)',
+              color: COLORS.cyan,
+              cursor: 'pointer',
+              fontFamily: FONT_FAMILY,
+              transition: 'all 0.2s ease',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '4px',
+            }}
+            title="Import a broker CSV / OFX export (parsed locally)"
+          >
+            <span>📄</span> Statement Import
+          </button>
+        )}
       </div>
     </div>
   );
 });
 
-// Type Badge Component
-const TypeBadge = memo(({ type }) => {
+// Type Badge Component (a select when editable: Bond switches the position
+// to the duration / yield model)
+const EDITABLE_TYPES = ['Equity', 'ETF', 'Bond'];
+
+const TypeBadge = memo(({ type, onChange }) => {
   const configs = {
     ETF: { bg: 'rgba(0, 212, 255, 0.15)', color: COLORS.cyan, border: 'rgba(0, 212, 255, 0.3)' },
     Equity: { bg: 'rgba(46, 204, 113, 0.15)', color: COLORS.green, border: 'rgba(46, 204, 113, 0.3)' },
     Option: { bg: 'rgba(155, 89, 182, 0.15)', color: COLORS.purple, border: 'rgba(155, 89, 182, 0.3)' },
+    Bond: { bg: 'rgba(52, 152, 219, 0.15)', color: COLORS.blue, border: 'rgba(52, 152, 219, 0.3)' },
   };
   const config = configs[type] || configs.Equity;
+  const badgeStyle = {
+    display: 'inline-block',
+    padding: '2px 6px',
+    fontSize: '8px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: '0.3px',
+    borderRadius: '4px',
+    background: config.bg,
+    color: config.color,
+    border: `1px solid ${config.border}`,
+  };
+  
+  if (onChange) {
+    return (
+      <select
+        value={EDITABLE_TYPES.includes(type) ? type : 'Equity'}
+        onChange={(e) => onChange(e.target.value)}
+        title="Bond = simulated from duration, convexity, carry and rate / spread shocks"
+        style={{ ...badgeStyle, alignSelf: 'flex-start', padding: '1px 2px', fontFamily: FONT_FAMILY, cursor: 'pointer', outline: 'none' }}
+      >
+        {EDITABLE_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+      </select>
+    );
+  }
   
   return (
-    <span style={{
-      display: 'inline-block',
-      padding: '2px 6px',
-      fontSize: '8px',
-      fontWeight: '600',
-      textTransform: 'uppercase',
-      letterSpacing: '0.3px',
-      borderRadius: '4px',
-      background: config.bg,
-      color: config.color,
-      border: `1px solid ${config.border}`,
-    }}>
+    <span style={badgeStyle}>
       {type}
     </span>
   );
@@ -1409,6 +1601,907 @@ const deleteButtonStyle = {
   transition: 'all 0.2s ease',
 };
 
+// ============================================
+// BOND PARAMETERS CARD
+// ============================================
+
+const BondParametersCard = memo(({ positions, updatePosition }) => {
+  const bonds = positions.filter(p => p.type === 'Bond');
+
+  // Columns: [key, label, display scale, tooltip]
+  const fields = [
+    ['duration', 'Duration', 1, 'Modified duration in years'],
+    ['convexity', 'Convexity', 1, 'Years²; blank = D(D+1) bullet-bond estimate'],
+    ['yield', 'Yield %', 100, 'Yield to maturity, earned as carry'],
+    ['yieldVol', 'Rate vol bp', 10000, 'Annual volatility of the yield change, in basis points'],
+    ['spreadDuration', 'Spread dur', 1, 'Credit spread duration (0 = government bond)'],
+    ['spreadVol', 'Spread vol bp', 10000, 'Annual volatility of the credit-spread change, in basis points'],
+  ];
+
+  const setField = (pos, key, scale, raw) => {
+    const parsed = parseFloat(raw);
+    const value = raw === '' || !isFinite(parsed) ? null : parsed / scale;
+    updatePosition(pos.id, 'bond', { ...(pos.bond || {}), [key]: value });
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(22, 27, 44, 0.7)',
+      borderRadius: '14px',
+      border: '1px solid rgba(52, 152, 219, 0.15)',
+      overflow: 'hidden',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ padding: '14px 20px' }}>
+        <div style={{ fontSize: '13px', fontWeight: '600', color: COLORS.blue }}>🏦 Bond Parameters</div>
+        <div style={{ fontSize: '10px', color: '#666', marginTop: '4px' }}>
+          Return = carry − D·Δy + ½C·Δy² − spread dur·Δs • Δy follows the position's correlated shock, so its correlation with equities comes from the matrix
+        </div>
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ background: 'rgba(52, 152, 219, 0.04)' }}>
+              <th style={thStyle}>Ticker</th>
+              {fields.map(([key, label, , tip]) => (
+                <th key={key} style={thStyle} title={tip}>{label}</th>
+              ))}
+              <th style={thStyle} title="Mean and volatility of the annual return implied by the model">μ / σ</th>
+              <th style={thStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {bonds.map((pos, idx) => {
+              const bond = normalizeBondParams(pos.bond, pos.ticker);
+              const { mu, sigma } = bondMoments(bond);
+              const preset = BOND_PRESETS[pos.ticker?.toUpperCase()];
+              return (
+                <tr key={pos.id} style={{ background: idx % 2 === 0 ? 'transparent' : 'rgba(255,255,255,0.015)' }}>
+                  <td style={{ ...tdStyle, fontWeight: '600', color: '#fff' }}>{pos.ticker || '—'}</td>
+                  {fields.map(([key, , scale]) => (
+                    <td key={key} style={tdStyle}>
+                      <BlurInput
+                        type="text"
+                        value={+(bond[key] * scale).toFixed(scale === 1 ? 2 : 1)}
+                        onChange={(v) => setField(pos, key, scale, v)}
+                        style={{ ...inputStyle, width: '55px' }}
+                      />
+                    </td>
+                  ))}
+                  <td style={{ ...tdStyle, color: '#aaa', whiteSpace: 'nowrap' }}>
+                    {(mu * 100).toFixed(1)}% / {(sigma * 100).toFixed(1)}%
+                  </td>
+                  <td style={tdStyle}>
+                    {preset && (
+                      <button
+                        onClick={() => updatePosition(pos.id, 'bond', null)}
+                        title={`Reset to the approximate ${pos.ticker} preset`}
+                        style={{ ...inputStyle, cursor: 'pointer', fontSize: '9px', color: COLORS.blue }}
+                      >
+                        ↺ Preset
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+});
+
+// ============================================
+// LISTED OPTIONS CARD
+// ============================================
+
+const OptionsCard = memo(({
+  optionPositions,
+  setOptionPositions,
+  optionValuations,
+  optionsValue,
+  positions,
+  portfolioValue,
+}) => {
+  const heldTickers = useMemo(
+    () => new Set(positions.map(p => p.ticker?.toUpperCase()).filter(Boolean)),
+    [positions]
+  );
+
+  const addOption = () => {
+    const underlying = positions[0]?.ticker?.toUpperCase() || '';
+    const spot = positions[0]?.price || 0;
+    const expiry = new Date();
+    expiry.setFullYear(expiry.getFullYear() + 1);
+    setOptionPositions(prev => [...prev, normalizeOptionPosition({
+      id: Date.now(),
+      underlying,
+      optionType: 'put',
+      strike: spot > 0 ? Math.round(spot * 0.9) : 0,
+      expiry: expiry.toISOString().slice(0, 10),
+      contracts: 1,
+    })]);
+  };
+
+  const updateOption = (id, field, value) => {
+    setOptionPositions(prev => prev.map(o => (o.id === id ? normalizeOptionPosition({ ...o, [field]: value }) : o)));
+  };
+
+  const removeOption = (id) => {
+    setOptionPositions(prev => prev.filter(o => o.id !== id));
+  };
+
+  // Blank premium / IV fall back to the model price / historical vol
+  const parseOptional = (v, scale = 1) => {
+    const parsed = parseFloat(v);
+    return v === '' || !isFinite(parsed) ? null : parsed * scale;
+  };
+
+  const fmtMoney = (v) => (v == null || !isFinite(v) ? '—' : `${v < 0 ? '-' : ''}$${Math.abs(Math.round(v)).toLocaleString()}`);
+
+  return (
+    <div style={{
+      background: 'rgba(22, 27, 44, 0.7)',
+      borderRadius: '14px',
+      border: '1px solid rgba(155, 89, 182, 0.15)',
+      overflow: 'hidden',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ padding: '14px 20px', display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '12px' }}>
+        <div>
+          <div style={{ fontSize: '13px', fontWeight: '600', color: COLORS.purple }}>📜 Listed Options</div>
+          <div style={{ fontSize: '10px', color: '#666', marginTop: '4px' }}>
+            Repriced with Black-Scholes on each simulated path of the underlying • + contracts = bought, − = written
+          </div>
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: optionsValue >= 0 ? COLORS.green : COLORS.red }}>
+            {fmtMoney(optionsValue)}
+          </div>
+          <div style={{ fontSize: '10px', color: '#666' }}>
+            {portfolioValue > 0 && optionPositions.length > 0 ? `${((optionsValue / portfolioValue) * 100).toFixed(1)}% of NLV` : `${optionPositions.length} option${optionPositions.length === 1 ? '' : 's'}`}
+          </div>
+        </div>
+      </div>
+
+      {optionPositions.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ background: 'rgba(155, 89, 182, 0.04)' }}>
+                <th style={thStyle}>Underlying</th>
+                <th style={thStyle}>Type</th>
+                <th style={thStyle}>Strike</th>
+                <th style={thStyle}>Expiry</th>
+                <th style={thStyle} title="Signed contracts of 100 shares; negative = written">Contracts</th>
+                <th style={thStyle} title="Premium per share; blank = Black-Scholes model price">Premium</th>
+                <th style={thStyle} title="Implied volatility; blank = underlying's historical volatility">IV %</th>
+                <th style={thStyle}>Model</th>
+                <th style={thStyle} title="Delta-equivalent dollar exposure to the underlying">Δ $</th>
+                <th style={thStyle}>Value</th>
+                <th style={thStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {optionPositions.map((option, idx) => {
+                const valuation = optionValuations[option.id] || {};
+                const problem = validateOption(option)
+                  || (!heldTickers.has(option.underlying) ? `add ${option.underlying || 'the underlying'} as a position to simulate` : null);
+                return (
+                  <tr key={option.id} style={{ background: idx % 2 === 0 ? 'transparent' : 'rgba(255,255,255,0.015)' }}>
+                    <td style={tdStyle}>
+                      <BlurInput
+                        type="text"
+                        value={option.underlying}
+                        onChange={(v) => updateOption(option.id, 'underlying', v)}
+                        style={{ ...inputStyle, width: '65px', fontWeight: '600' }}
+                        placeholder="AAPL"
+                      />
+                      {problem && (
+                        <div style={{ fontSize: '9px', color: COLORS.orange, marginTop: '3px', maxWidth: '160px' }}>⚠️ {problem}</div>
+                      )}
+                    </td>
+                    <td style={tdStyle}>
+                      <select
+                        value={option.optionType}
+                        onChange={(e) => updateOption(option.id, 'optionType', e.target.value)}
+                        style={{ ...inputStyle, cursor: 'pointer' }}
+                      >
+                        <option value="put">Put</option>
+                        <option value="call">Call</option>
+                      </select>
+                    </td>
+                    <td style={tdStyle}>
+                      <BlurInput
+                        type="number"
+                        value={option.strike}
+                        onChange={(v) => updateOption(option.id, 'strike', v)}
+                        style={{ ...inputStyle, width: '60px' }}
+                      />
+                    </td>
+                    <td style={tdStyle}>
+                      <input
+                        type="date"
+                        value={option.expiry}
+                        onChange={(e) => updateOption(option.id, 'expiry', e.target.value)}
+                        style={{ ...inputStyle, colorScheme: 'dark' }}
+                      />
+                    </td>
+                    <td style={tdStyle}>
+                      <BlurInput
+                        type="number"
+                        value={option.contracts}
+                        onChange={(v) => updateOption(option.id, 'contracts', v)}
+                        style={{ ...inputStyle, width: '50px', color: option.contracts < 0 ? COLORS.red : '#fff' }}
+                      />
+                    </td>
+                    <td style={tdStyle}>
+                      <BlurInput
+                        type="text"
+                        value={option.price ?? ''}
+                        onChange={(v) => updateOption(option.id, 'price', parseOptional(v))}
+                        style={{ ...inputStyle, width: '55px' }}
+                        placeholder="model"
+                      />
+                    </td>
+                    <td style={tdStyle}>
+                      <BlurInput
+                        type="text"
+                        value={option.impliedVol != null ? +(option.impliedVol * 100).toFixed(2) : ''}
+                        onChange={(v) => updateOption(option.id, 'impliedVol', parseOptional(v, 0.01))}
+                        style={{ ...inputStyle, width: '45px' }}
+                        placeholder={valuation.vol != null ? (valuation.vol * 100).toFixed(0) : 'hist'}
+                        title={valuation.volSource === 'implied' ? 'Implied volatility' : valuation.volSource === 'historical' ? 'Using historical volatility' : 'No history yet: using the default volatility'}
+                      />
+                    </td>
+                    <td style={{ ...tdStyle, color: '#aaa' }}>
+                      {valuation.modelPrice != null ? valuation.modelPrice.toFixed(2) : '—'}
+                    </td>
+                    <td style={{ ...tdStyle, color: valuation.deltaDollars < 0 ? COLORS.red : COLORS.green }}>
+                      {fmtMoney(valuation.deltaDollars)}
+                    </td>
+                    <td style={{ ...tdStyle, fontWeight: '600' }}>
+                      {fmtMoney(valuation.marketValue)}
+                    </td>
+                    <td style={tdStyle}>
+                      <button onClick={() => removeOption(option.id)} style={deleteButtonStyle} title="Remove option">×</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ padding: '12px 20px', borderTop: '1px solid rgba(255, 255, 255, 0.04)', display: 'flex', alignItems: 'center', gap: '12px' }}>
+        <button
+          onClick={addOption}
+          style={{
+            padding: '8px 12px',
+            fontSize: '10px',
+            fontWeight: '500',
+            borderRadius: '8px',
+            border: '1px solid rgba(155, 89, 182, 0.3)',
+            background: 'rgba(155, 89, 182, 0.1)',
+            color: COLORS.purple,
+            cursor: 'pointer',
+            fontFamily: FONT_FAMILY,
+          }}
+        >
+          + Add Option
+        </button>
+        <span style={{ fontSize: '10px', color: '#555' }}>
+          💡 {OPTION_CONTRACT_MULTIPLIER} shares per contract • the underlying must be a position (0 shares is fine) • held to expiry, then at intrinsic value
+        </span>
+      </div>
+    </div>
+  );
+});
+
+// ============================================
+// TRANSACTIONS & TAX LOTS CARD
+// ============================================
+
+const EMPTY_DRAFT = {
+  type: 'buy',
+  date: '',
+  ticker: '',
+  quantity: '',
+  price: '',
+  fees: '',
+  ratio: '',
+  amount: '',
+  acquiredDate: '',
+  reinvested: false,
+  reinvestPrice: '',
+  note: '',
+};
+
+// Form fields shown for each transaction type: [key, label, placeholder]
+const DRAFT_FIELDS = {
+  buy: [['quantity', 'Shares', '10'], ['price', 'Price', '150.00'], ['fees', 'Fees', '0']],
+  sell: [['quantity', 'Shares', '10'], ['price', 'Price', '180.00'], ['fees', 'Fees', '0']],
+  split: [['ratio', 'Ratio', '4 (4-for-1)']],
+  dividend: [['amount', 'Total $', 'or per share →'], ['price', '$/share', '0.24']],
+  transfer_in: [['quantity', 'Shares', '10'], ['price', 'Cost/sh', '95.00']],
+  transfer_out: [['quantity', 'Shares', '10']],
+  fee: [['amount', 'Amount $', '25.00']],
+};
+
+const LedgerCard = memo(({
+  transactions,
+  onTransactionsChange,
+  costBasisMethod,
+  onCostBasisMethodChange,
+  onSyncPositions,
+  positions,
+  setConfirmDialog,
+  baseCurrency = DEFAULT_BASE_CURRENCY,
+  fxRate = 1,
+}) => {
+  const [view, setView] = useState('holdings');
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [lotPicks, setLotPicks] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [expandedTicker, setExpandedTicker] = useState(null);
+
+  const ledger = useMemo(
+    () => buildLedger(transactions, { method: costBasisMethod }),
+    [transactions, costBasisMethod]
+  );
+  const pnl = useMemo(() => summarizePnL(ledger, positions), [ledger, positions]);
+  const mismatches = useMemo(() => findLedgerMismatches(positions, ledger), [positions, ledger]);
+
+  // Lots open on the sell date, for specific-ID picks
+  const draftTicker = draft.ticker.toUpperCase().trim();
+  const pickableLots = useMemo(() => {
+    if (draft.type !== 'sell' || costBasisMethod !== 'specific' || !draftTicker) return [];
+    const asOf = draft.date || new Date().toISOString().slice(0, 10);
+    return buildLedger(transactions, { method: costBasisMethod, asOf }).holdings[draftTicker]?.lots || [];
+  }, [draft.type, draft.date, draftTicker, costBasisMethod, transactions]);
+
+  const setField = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    setFormError(null);
+  };
+
+  const addTransaction = () => {
+    const lots = Object.entries(lotPicks)
+      .map(([lotId, quantity]) => ({ lotId, quantity }))
+      .filter(l => parseFloat(l.quantity) > 0);
+    const tx = normalizeTransaction({
+      ...draft,
+      date: draft.date || undefined,
+      acquiredDate: draft.type === 'transfer_in' ? draft.acquiredDate || null : null,
+      reinvested: draft.type === 'dividend' && draft.reinvested,
+      lots: draft.type === 'sell' && lots.length > 0 ? lots : null,
+    });
+    const problem = validateTransaction(tx);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    onTransactionsChange([...transactions, tx]);
+    setDraft(prev => ({ ...EMPTY_DRAFT, type: prev.type, date: prev.date }));
+    setLotPicks({});
+  };
+
+  const removeTransaction = (tx) => setConfirmDialog({
+    title: 'Delete transaction?',
+    message: `${tx.date} ${formatTransaction(tx)} will be removed and positions re-derived from the remaining ledger.`,
+    confirmLabel: 'Delete',
+    confirmVariant: 'danger',
+    onConfirm: () => onTransactionsChange(transactions.filter(t => t.id !== tx.id)),
+  });
+
+  // Ledger amounts are USD; shown in the base currency at today's rate
+  const fmtMoney = (v) => (v == null || !isFinite(v) ? '—' : formatMoney(v * fxRate, baseCurrency));
+  const gainColor = (v) => (v == null ? '#888' : v >= 0 ? COLORS.green : COLORS.red);
+  const methodLabel = COST_BASIS_METHODS[costBasisMethod]?.label || costBasisMethod;
+  const txById = useMemo(() => new Map(transactions.map(t => [t.id, t])), [transactions]);
+
+  const summary = [
+    ['Realized', pnl.realized.total, `ST ${fmtMoney(pnl.realized.shortTerm)} • LT ${fmtMoney(pnl.realized.longTerm)}`],
+    ['Realized YTD', pnl.realized.ytd, 'this calendar year'],
+    ['Unrealized', pnl.unrealized.total, `${pnl.unrealized.rows.length} holding${pnl.unrealized.rows.length === 1 ? '' : 's'} with a cost basis`],
+    ['Dividends', pnl.dividends.total, `YTD ${fmtMoney(pnl.dividends.ytd)}`],
+    ['Fees', -pnl.fees, 'account-level'],
+  ];
+
+  const tabButton = (key, label) => (
+    <button
+      key={key}
+      onClick={() => setView(key)}
+      style={{
+        ...inputStyle,
+        cursor: 'pointer',
+        fontSize: '10px',
+        color: view === key ? COLORS.orange : '#888',
+        borderColor: view === key ? 'rgba(255, 159, 67, 0.4)' : 'rgba(255, 255, 255, 0.08)',
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={{
+      background: 'rgba(22, 27, 44, 0.7)',
+      borderRadius: '14px',
+      border: '1px solid rgba(255, 159, 67, 0.15)',
+      overflow: 'hidden',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ padding: '14px 20px', display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '12px' }}>
+        <div>
+          <div style={{ fontSize: '13px', fontWeight: '600', color: COLORS.orange }}>📒 Transactions & Tax Lots</div>
+          <div style={{ fontSize: '10px', color: '#666', marginTop: '4px' }}>
+            Shares and average cost of every ticker in the ledger are derived from its lots • gains on lots held over a year are long-term
+          </div>
+        </div>
+        <label style={{ fontSize: '10px', color: '#888', display: 'flex', alignItems: 'center', gap: '6px' }}>
+          Cost basis
+          <select
+            value={costBasisMethod}
+            onChange={(e) => onCostBasisMethodChange(e.target.value)}
+            style={{ ...inputStyle, cursor: 'pointer' }}
+            title={COST_BASIS_METHODS[costBasisMethod]?.description}
+          >
+            {Object.entries(COST_BASIS_METHODS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', padding: '0 20px 12px' }}>
+        {summary.map(([label, value, sub]) => (
+          <div key={label} style={{ flex: '1 1 120px', padding: '10px 12px', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '8px' }}>
+            <div style={{ fontSize: '9px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: gainColor(value), marginTop: '2px' }}>{fmtMoney(value)}</div>
+            <div style={{ fontSize: '9px', color: '#555', marginTop: '2px' }}>{sub}</div>
+          </div>
+        ))}
+      </div>
+
+      {mismatches.length > 0 && (
+        <div style={{ margin: '0 20px 12px', padding: '8px 12px', background: 'rgba(255, 159, 67, 0.08)', border: '1px solid rgba(255, 159, 67, 0.25)', borderRadius: '6px', fontSize: '10px', color: COLORS.orange, display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', flexWrap: 'wrap' }}>
+          <span>
+            ⚠️ Positions table differs from the ledger: {mismatches.map(m => `${m.ticker} ${m.positionQuantity} vs ${m.ledgerQuantity}`).join(', ')}
+          </span>
+          <button onClick={onSyncPositions} style={{ ...inputStyle, cursor: 'pointer', fontSize: '10px', color: COLORS.orange }}>
+            ↺ Sync positions from ledger
+          </button>
+        </div>
+      )}
+
+      {ledger.warnings.length > 0 && (
+        <div style={{ margin: '0 20px 12px', fontSize: '10px', color: COLORS.red }}>
+          {ledger.warnings.map((w, i) => <div key={`${w.txId}-${i}`}>⚠️ {w.message}</div>)}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px', padding: '0 20px 10px' }}>
+        {tabButton('holdings', `Open lots (${methodLabel})`)}
+        {tabButton('realized', `Realized (${ledger.realized.length})`)}
+        {tabButton('transactions', `Transactions (${transactions.length})`)}
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        {view === 'holdings' && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ background: 'rgba(255, 159, 67, 0.04)' }}>
+                <th style={thStyle}>Ticker</th>
+                <th style={thStyle}>Shares</th>
+                <th style={thStyle}>Avg cost</th>
+                <th style={thStyle}>Cost basis</th>
+                <th style={thStyle}>Value</th>
+                <th style={thStyle}>Unrealized</th>
+                <th style={thStyle}>%</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pnl.unrealized.rows.length === 0 && (
+                <tr><td colSpan={7} style={{ ...tdStyle, color: '#555', textAlign: 'center' }}>No open lots — record a buy or transfer below, or set an average cost on a position</td></tr>
+              )}
+              {pnl.unrealized.rows.map(row => (
+                <React.Fragment key={row.ticker}>
+                  <tr
+                    onClick={() => row.lots.length > 0 && setExpandedTicker(expandedTicker === row.ticker ? null : row.ticker)}
+                    style={{ cursor: row.lots.length > 0 ? 'pointer' : 'default' }}
+                  >
+                    <td style={{ ...tdStyle, fontWeight: '600', color: '#fff' }}>
+                      {row.lots.length > 0 ? (expandedTicker === row.ticker ? '▾ ' : '▸ ') : ''}{row.ticker}
+                      {row.source === 'avgCost' && <span style={{ fontSize: '9px', color: '#555', marginLeft: '6px' }} title="Not in the ledger: from the position's average cost">avg cost</span>}
+                    </td>
+                    <td style={tdStyle}>{row.quantity.toLocaleString()}</td>
+                    <td style={{ ...tdStyle, color: '#aaa' }}>{row.avgCost != null ? row.avgCost.toFixed(2) : '—'}</td>
+                    <td style={{ ...tdStyle, color: '#aaa' }}>{fmtMoney(row.costBasis)}</td>
+                    <td style={tdStyle}>{fmtMoney(row.marketValue)}</td>
+                    <td style={{ ...tdStyle, fontWeight: '600', color: gainColor(row.gain) }}>{fmtMoney(row.gain)}</td>
+                    <td style={{ ...tdStyle, color: gainColor(row.gain) }}>{row.gainPct != null ? `${(row.gainPct * 100).toFixed(1)}%` : '—'}</td>
+                  </tr>
+                  {expandedTicker === row.ticker && row.lots.map(lot => (
+                    <tr key={lot.id} style={{ background: 'rgba(255, 255, 255, 0.015)', fontSize: '11px' }}>
+                      <td style={{ ...tdStyle, paddingLeft: '24px', color: '#888' }}>{lot.acquired} · {lot.term === 'long' ? 'LT' : 'ST'}</td>
+                      <td style={{ ...tdStyle, color: '#aaa' }}>{lot.quantity.toLocaleString()}</td>
+                      <td style={{ ...tdStyle, color: '#888' }}>{lot.costPerShare.toFixed(2)}</td>
+                      <td style={{ ...tdStyle, color: '#888' }}>{fmtMoney(lot.costBasis)}</td>
+                      <td style={tdStyle}></td>
+                      <td style={{ ...tdStyle, color: gainColor(lot.gain) }}>{fmtMoney(lot.gain)}</td>
+                      <td style={tdStyle}></td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {view === 'realized' && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ background: 'rgba(255, 159, 67, 0.04)' }}>
+                <th style={thStyle}>Sold</th>
+                <th style={thStyle}>Ticker</th>
+                <th style={thStyle}>Shares</th>
+                <th style={thStyle}>Acquired</th>
+                <th style={thStyle}>Proceeds</th>
+                <th style={thStyle}>Cost</th>
+                <th style={thStyle}>Gain</th>
+                <th style={thStyle}>Term</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.realized.length === 0 && (
+                <tr><td colSpan={8} style={{ ...tdStyle, color: '#555', textAlign: 'center' }}>No sales yet</td></tr>
+              )}
+              {[...ledger.realized].reverse().map((r, idx) => (
+                <tr key={`${r.txId}-${r.lotId}`} style={{ background: idx % 2 === 0 ? 'transparent' : 'rgba(255,255,255,0.015)' }}>
+                  <td style={{ ...tdStyle, color: '#aaa' }}>{r.date}</td>
+                  <td style={{ ...tdStyle, fontWeight: '600', color: '#fff' }}>{r.ticker}</td>
+                  <td style={tdStyle}>{r.quantity.toLocaleString()}</td>
+                  <td style={{ ...tdStyle, color: '#888' }}>{r.acquired}</td>
+                  <td style={tdStyle}>{fmtMoney(r.proceeds)}</td>
+                  <td style={{ ...tdStyle, color: '#aaa' }}>{fmtMoney(r.costBasis)}</td>
+                  <td style={{ ...tdStyle, fontWeight: '600', color: gainColor(r.gain) }}>{fmtMoney(r.gain)}</td>
+                  <td style={{ ...tdStyle, color: r.term === 'long' ? COLORS.green : COLORS.orange }}>{r.term === 'long' ? 'Long' : 'Short'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {view === 'transactions' && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ background: 'rgba(255, 159, 67, 0.04)' }}>
+                <th style={thStyle}>Date</th>
+                <th style={thStyle}>Transaction</th>
+                <th style={thStyle}>Fees</th>
+                <th style={thStyle}>Note</th>
+                <th style={thStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.length === 0 && (
+                <tr><td colSpan={5} style={{ ...tdStyle, color: '#555', textAlign: 'center' }}>No transactions yet</td></tr>
+              )}
+              {[...transactions].sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0)).map((tx, idx) => (
+                <tr key={tx.id} style={{ background: idx % 2 === 0 ? 'transparent' : 'rgba(255,255,255,0.015)' }}>
+                  <td style={{ ...tdStyle, color: '#aaa' }}>{tx.date}</td>
+                  <td style={tdStyle}>
+                    {TRANSACTION_TYPES[tx.type]?.icon} {formatTransaction(tx)}
+                    {tx.type === 'transfer_in' && tx.acquiredDate && <span style={{ color: '#555' }}> · acquired {tx.acquiredDate}</span>}
+                    {tx.lots?.length > 0 && (
+                      <span style={{ color: '#555' }}> · lots {tx.lots.map(l => `${txById.get(l.lotId)?.date || '?'}×${l.quantity}`).join(', ')}</span>
+                    )}
+                  </td>
+                  <td style={{ ...tdStyle, color: '#888' }}>{tx.fees ? tx.fees.toFixed(2) : ''}</td>
+                  <td style={{ ...tdStyle, color: '#888' }}>{tx.note}</td>
+                  <td style={tdStyle}>
+                    <button onClick={() => removeTransaction(tx)} style={deleteButtonStyle} title="Delete transaction">×</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={{ padding: '12px 20px', borderTop: '1px solid rgba(255, 255, 255, 0.04)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+          <select value={draft.type} onChange={(e) => { setField('type', e.target.value); setLotPicks({}); }} style={{ ...inputStyle, cursor: 'pointer' }}>
+            {Object.entries(TRANSACTION_TYPES).map(([key, { label, icon }]) => (
+              <option key={key} value={key}>{icon} {label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={draft.date}
+            onChange={(e) => setField('date', e.target.value)}
+            style={{ ...inputStyle, colorScheme: 'dark' }}
+            title="Trade date (blank = today)"
+          />
+          <input
+            value={draft.ticker}
+            onChange={(e) => setField('ticker', e.target.value)}
+            placeholder={draft.type === 'fee' ? 'Ticker (opt.)' : 'Ticker'}
+            style={{ ...inputStyle, width: '75px', fontWeight: '600' }}
+          />
+          {DRAFT_FIELDS[draft.type].map(([key, label, placeholder]) => (
+            <label key={key} style={{ fontSize: '10px', color: '#888', display: 'flex', alignItems: 'center', gap: '4px' }}>
+              {label}
+              <input
+                type="number"
+                value={draft[key]}
+                onChange={(e) => setField(key, e.target.value)}
+                placeholder={placeholder}
+                style={{ ...inputStyle, width: '80px' }}
+              />
+            </label>
+          ))}
+          {draft.type === 'transfer_in' && (
+            <label style={{ fontSize: '10px', color: '#888', display: 'flex', alignItems: 'center', gap: '4px' }}>
+              Acquired
+              <input
+                type="date"
+                value={draft.acquiredDate}
+                onChange={(e) => setField('acquiredDate', e.target.value)}
+                style={{ ...inputStyle, colorScheme: 'dark' }}
+                title="Original purchase date (keeps the holding period)"
+              />
+            </label>
+          )}
+          {draft.type === 'dividend' && (
+            <label style={{ fontSize: '10px', color: '#888', display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <input type="checkbox" checked={draft.reinvested} onChange={(e) => setField('reinvested', e.target.checked)} />
+              Reinvested
+            </label>
+          )}
+          {draft.type === 'dividend' && draft.reinvested && (
+            <label style={{ fontSize: '10px', color: '#888', display: 'flex', alignItems: 'center', gap: '4px' }}>
+              @
+              <input
+                type="number"
+                value={draft.reinvestPrice}
+                onChange={(e) => setField('reinvestPrice', e.target.value)}
+                placeholder="Share price"
+                style={{ ...inputStyle, width: '80px' }}
+                title="Price the dividend bought shares at (opens a tax lot)"
+              />
+            </label>
+          )}
+          <input
+            value={draft.note}
+            onChange={(e) => setField('note', e.target.value)}
+            placeholder="Note"
+            style={{ ...inputStyle, width: '120px' }}
+          />
+          <button
+            onClick={addTransaction}
+            style={{
+              padding: '6px 12px',
+              fontSize: '10px',
+              fontWeight: '500',
+              borderRadius: '8px',
+              border: '1px solid rgba(255, 159, 67, 0.3)',
+              background: 'rgba(255, 159, 67, 0.1)',
+              color: COLORS.orange,
+              cursor: 'pointer',
+              fontFamily: FONT_FAMILY,
+            }}
+          >
+            + Add
+          </button>
+          {formError && <span style={{ fontSize: '10px', color: COLORS.red }}>⚠️ {formError}</span>}
+        </div>
+
+        {pickableLots.length > 0 && (
+          <div style={{ marginTop: '10px', display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', fontSize: '10px', color: '#888' }}>
+            <span>Sell from lots:</span>
+            {pickableLots.map(lot => (
+              <label key={lot.id} style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '4px 8px', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '6px' }}>
+                {lot.acquired} · {lot.quantity} @ {lot.costPerShare.toFixed(2)}
+                <input
+                  type="number"
+                  value={lotPicks[lot.id] ?? ''}
+                  onChange={(e) => setLotPicks(prev => ({ ...prev, [lot.id]: e.target.value }))}
+                  placeholder="0"
+                  style={{ ...inputStyle, width: '55px' }}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        {draft.type === 'dividend' && (
+          <div style={{ marginTop: '8px', fontSize: '10px', color: '#555' }}>
+            💡 Enter the total received or the amount per share (shares held on the date are used) • dividends are also recorded in the dividend history
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+// ============================================
+// TAX-LOSS HARVESTING CARD
+// ============================================
+
+const HarvestCard = memo(({
+  positions,
+  ledger,
+  marketData,
+  taxes,
+}) => {
+  const [minLoss, setMinLoss] = useState(DEFAULT_HARVEST_OPTIONS.minLoss);
+  const [minCorrelation, setMinCorrelation] = useState(DEFAULT_HARVEST_OPTIONS.minCorrelation);
+
+  const harvest = useMemo(
+    () => findHarvestCandidates(positions, { ledger, marketData, taxes, minLoss, minCorrelation }),
+    [positions, ledger, marketData, taxes, minLoss, minCorrelation]
+  );
+
+  const fmtMoney = (v) => (v == null || !isFinite(v) ? '—' : `$${Math.abs(v).toLocaleString(undefined, { maximumFractionDigits: 0 })}`);
+  const fmtRate = (v) => `${(v * 100).toFixed(0)}%`;
+  const { totals, rates } = harvest;
+  const offsetsGains = Math.min(totals.loss, Math.max(0, harvest.realizedYtd));
+
+  const summary = [
+    ['Harvestable loss', fmtMoney(totals.loss), `ST ${fmtMoney(totals.shortTermLoss)} • LT ${fmtMoney(totals.longTermLoss)}`, COLORS.red],
+    ['Est. tax saved', fmtMoney(totals.taxBenefit), `at ${fmtRate(rates.shortTerm)} ST / ${fmtRate(rates.longTerm)} LT`, COLORS.green],
+    ['Offsets YTD gains', fmtMoney(offsetsGains), `realized YTD ${harvest.realizedYtd < 0 ? '-' : ''}${fmtMoney(harvest.realizedYtd)}`, '#fff'],
+    ['Wash-sale disallowed', fmtMoney(totals.disallowedLoss), `recent buys within ${WASH_SALE_DAYS} days`, totals.disallowedLoss > 0 ? COLORS.orange : '#888'],
+  ];
+
+  return (
+    <div style={{
+      background: 'rgba(22, 27, 44, 0.7)',
+      borderRadius: '14px',
+      border: '1px solid rgba(46, 204, 113, 0.15)',
+      overflow: 'hidden',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ padding: '14px 20px', display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '12px' }}>
+        <div>
+          <div style={{ fontSize: '13px', fontWeight: '600', color: COLORS.green }}>🌾 Tax-Loss Harvesting</div>
+          <div style={{ fontSize: '10px', color: '#666', marginTop: '4px' }}>
+            Lots below cost you could sell today, the tax they would save, and correlated replacements that are not substantially identical
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '12px', fontSize: '10px', color: '#888' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            Min loss $
+            <BlurInput
+              type="text"
+              value={minLoss}
+              onChange={(v) => { const n = parseFloat(v); if (isFinite(n) && n >= 0) setMinLoss(n); }}
+              style={{ ...inputStyle, width: '60px' }}
+            />
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            Min correlation
+            <BlurInput
+              type="text"
+              value={minCorrelation}
+              onChange={(v) => { const n = parseFloat(v); if (isFinite(n)) setMinCorrelation(Math.max(-1, Math.min(1, n))); }}
+              style={{ ...inputStyle, width: '45px' }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {harvest.taxAdvantaged && (
+        <div style={{ margin: '0 20px 12px', padding: '8px 12px', background: 'rgba(255, 159, 67, 0.08)', border: '1px solid rgba(255, 159, 67, 0.25)', borderRadius: '6px', fontSize: '10px', color: COLORS.orange }}>
+          ⚠️ The account is set to {harvest.treatment === 'taxFree' ? 'tax-free' : 'tax-deferred'} in the Simulation tab — losses inside it cannot be deducted, so there is nothing to harvest.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', padding: '0 20px 12px' }}>
+        {summary.map(([label, value, sub, color]) => (
+          <div key={label} style={{ flex: '1 1 120px', padding: '10px 12px', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '8px' }}>
+            <div style={{ fontSize: '9px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color, marginTop: '2px' }}>{value}</div>
+            <div style={{ fontSize: '9px', color: '#555', marginTop: '2px' }}>{sub}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ background: 'rgba(46, 204, 113, 0.04)' }}>
+              <th style={thStyle}>Ticker</th>
+              <th style={thStyle}>Sell</th>
+              <th style={thStyle}>Loss</th>
+              <th style={thStyle}>Tax saved</th>
+              <th style={thStyle}>Wash sale</th>
+              <th style={thStyle}>Replacements (correlation)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {harvest.candidates.length === 0 && (
+              <tr><td colSpan={6} style={{ ...tdStyle, color: '#555', textAlign: 'center' }}>No position has a loss of at least {fmtMoney(minLoss)} against its cost basis</td></tr>
+            )}
+            {harvest.candidates.map((c, idx) => {
+              const blocked = c.washSale?.purchases.length > 0;
+              return (
+                <tr key={c.ticker} style={{ background: idx % 2 === 0 ? 'transparent' : 'rgba(255,255,255,0.015)', verticalAlign: 'top' }}>
+                  <td style={{ ...tdStyle, fontWeight: '600', color: '#fff' }}>
+                    {c.ticker}
+                    {c.lossPct != null && <span style={{ fontSize: '9px', color: COLORS.red, marginLeft: '6px' }}>-{(c.lossPct * 100).toFixed(1)}%</span>}
+                  </td>
+                  <td style={{ ...tdStyle, color: '#aaa' }}>
+                    {c.shares.toLocaleString()}{c.shares < c.heldShares ? ` of ${c.heldShares.toLocaleString()}` : ''} sh
+                    {c.source === 'ledger' && c.shares < c.heldShares && (
+                      <div style={{ fontSize: '9px', color: '#555' }} title={c.lots.map(l => `${l.acquired}: ${l.quantity} @ ${l.costPerShare.toFixed(2)}`).join('\n')}>
+                        {c.lots.length} loss lot{c.lots.length === 1 ? '' : 's'} by specific ID
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ ...tdStyle, color: COLORS.red }}>
+                    -{fmtMoney(c.loss)}
+                    <div style={{ fontSize: '9px', color: '#555' }}>
+                      {c.source === 'ledger' ? `ST ${fmtMoney(c.shortTermLoss)} • LT ${fmtMoney(c.longTermLoss)}` : 'avg cost, term unknown'}
+                    </div>
+                  </td>
+                  <td style={{ ...tdStyle, fontWeight: '600', color: COLORS.green }}>{fmtMoney(c.taxBenefit)}</td>
+                  <td style={{ ...tdStyle, fontSize: '10px' }}>
+                    {!c.washSale && <span style={{ color: '#555' }} title="Not in the transaction ledger, so recent purchases are unknown">not checked</span>}
+                    {c.washSale && !blocked && <span style={{ color: COLORS.green }}>✓ clear</span>}
+                    {blocked && (
+                      <span
+                        style={{ color: COLORS.orange }}
+                        title={c.washSale.purchases.map(p => `${p.date} ${p.kind === 'dividend' ? 'reinvested' : 'bought'} ${+p.quantity.toFixed(3)} ${p.ticker}`).join('\n')}
+                      >
+                        ⚠️ -{fmtMoney(c.washSale.disallowedLoss)} disallowed
+                        <div style={{ fontSize: '9px', color: '#888' }}>sell after {c.washSale.clearDate}</div>
+                      </span>
+                    )}
+                    <div style={{ fontSize: '9px', color: '#555' }}>rebuy {c.ticker} after {c.repurchaseDate}</div>
+                  </td>
+                  <td style={tdStyle}>
+                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+                      {c.replacements.map(r => (
+                        <span
+                          key={r.ticker}
+                          title={`${r.name} • ${r.overlap} aligned days${r.held ? ' • already held' : ''}`}
+                          style={{ padding: '2px 6px', borderRadius: '4px', fontSize: '10px', background: 'rgba(46, 204, 113, 0.1)', color: '#ddd' }}
+                        >
+                          {r.ticker} <span style={{ color: COLORS.green }}>{r.correlation.toFixed(2)}</span>{r.held ? ' •' : ''}
+                        </span>
+                      ))}
+                      {c.replacements.length === 0 && (
+                        <span style={{ fontSize: '10px', color: '#555' }}>
+                          {c.closest
+                            ? `none ≥ ${minCorrelation} (closest ${c.closest.ticker} ${c.closest.correlation.toFixed(2)})`
+                            : 'no return history loaded'}
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ padding: '10px 20px', fontSize: '9px', color: '#555' }}>
+        Estimates assume there are gains or income to offset (losses beyond that carry forward). A • marks a replacement already held. Turn off dividend reinvestment on harvested tickers until the rebuy date.
+      </div>
+    </div>
+  );
+});
+
 // ============================================
 // CASH/MARGIN CARD
 // ============================================
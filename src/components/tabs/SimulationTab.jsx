@@ -1,6 +1,31 @@
 import React, { useMemo, memo, useCallback, useState } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from 'recharts';
 import { InteractiveHistogram } from '../charts';
 import { StaleBanner } from '../common';
+import { MAX_HORIZON_YEARS, MAX_DAILY_HORIZON_YEARS, clampHorizonYears } from '../../utils/pathSimulation';
+import { VOLATILITY_MODELS } from '../../utils/garch';
+import { ACCOUNT_TAX_TREATMENTS } from '../../utils/taxes';
+import { BASE_CURRENCIES, currencySymbol, currencyExposures } from '../../utils/currency';
+import { generateSeed, parseSeed } from '../../utils/random';
+import { PRECISION_TARGETS, runningMeanSeries, compareMcQmcConvergence } from '../../utils/convergence';
+import {
+  COMPARE_MIN_BOOKS,
+  COMPARE_MAX_BOOKS,
+  COMPARE_COLORS,
+  FALLBACK_CORRELATION,
+  summarizeComparisonBook,
+  buildOverlayHistogram,
+} from '../../utils/comparison';
 
 // Monospace font stack - matches appStyles.js container font
 const FONT_FAMILY = "'JetBrains Mono', 'Fira Code', 'SF Mono', monospace";
@@ -21,8 +46,32 @@ const SimulationTab = memo(({
   setDrawdownThreshold,
   fatTailMethod,
   setFatTailMethod,
+  volatilityModel = 'constant',
+  setVolatilityModel,
+  simulationSeed = null,
+  setSimulationSeed,
+  adaptivePaths,
+  setAdaptivePaths,
+  varianceReduction,
+  setVarianceReduction,
   useQmc,
   setUseQmc,
+  horizonYears = 1,
+  setHorizonYears,
+  timeStep = 'monthly',
+  setTimeStep,
+  cashFlows,
+  setCashFlows,
+  rebalancing,
+  setRebalancing,
+  taxes,
+  setTaxes,
+  baseCurrency = 'USD',
+  setBaseCurrency,
+  fxRate = 1,
+  targetAllocations,
+  onTargetAllocationsChange,
+  portfolioValue,
 
   // Correlation data
   editedCorrelation,
@@ -47,6 +96,16 @@ const SimulationTab = memo(({
   // Callbacks
   runSimulation,
 
+  // Compare view
+  compareBooks,
+  comparisonResults,
+  isComparing = false,
+  riskFreeRate = 0,
+  onSaveVariant,
+  onDeleteVariant,
+  onLoadCompareAccounts,
+  onRunComparison,
+
   // Staleness tracking
   stalenessStatus,
   stalenessReason,
@@ -63,12 +122,14 @@ const SimulationTab = memo(({
   // Local state for contribution hover
   const [hoveredScenario, setHoveredScenario] = useState('p50');
   
-  // Helper: Format currency
+  // Helper: Format currency (results are in the base currency they were run in)
+  const resultsCurrency = simulationResults?.currency?.baseCurrency || 'USD';
   const formatCurrency = useCallback((value) => {
-    if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`;
-    if (value >= 1000) return `$${(value / 1000).toFixed(1)}K`;
-    return `$${value.toFixed(0)}`;
-  }, []);
+    const symbol = currencySymbol(resultsCurrency);
+    if (value >= 1000000) return `${symbol}${(value / 1000000).toFixed(2)}M`;
+    if (value >= 1000) return `${symbol}${(value / 1000).toFixed(1)}K`;
+    return `${symbol}${value.toFixed(0)}`;
+  }, [resultsCurrency]);
 
   // Helper to generate histogram data
   const generateHistogram = useCallback((dist, bins = 30) => {
@@ -451,6 +512,124 @@ const SimulationTab = memo(({
                   </button>
                 ))}
               </div>
+              {/* Adaptive: numPaths is the first batch, then grow to the precision target */}
+              {adaptivePaths && setAdaptivePaths && (
+                <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginTop: '10px', flexWrap: 'wrap' }}>
+                  <button
+                    onClick={() => setAdaptivePaths(prev => ({ ...prev, enabled: !prev.enabled }))}
+                    title="Keep adding paths until every statistic's 95% CI is within the target"
+                    style={{
+                      padding: '5px 8px',
+                      fontSize: '10px',
+                      fontFamily: FONT_FAMILY,
+                      borderRadius: '6px',
+                      border: adaptivePaths.enabled ? '1px solid #2ecc71' : '1px solid rgba(255,255,255,0.1)',
+                      background: adaptivePaths.enabled ? 'rgba(46, 204, 113, 0.15)' : 'transparent',
+                      color: adaptivePaths.enabled ? '#2ecc71' : '#888',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    🎯 Adaptive
+                  </button>
+                  {adaptivePaths.enabled && PRECISION_TARGETS.map(target => (
+                    <button
+                      key={target}
+                      onClick={() => setAdaptivePaths(prev => ({ ...prev, targetHalfWidth: target }))}
+                      style={{
+                        padding: '5px 6px',
+                        fontSize: '10px',
+                        fontFamily: FONT_FAMILY,
+                        borderRadius: '6px',
+                        border: adaptivePaths.targetHalfWidth === target ? '1px solid #2ecc71' : '1px solid rgba(255,255,255,0.1)',
+                        background: 'transparent',
+                        color: adaptivePaths.targetHalfWidth === target ? '#2ecc71' : '#888',
+                        cursor: 'pointer',
+                      }}
+                    >
+                      ±{(target * 100).toFixed(target < 0.005 ? 2 : 1)}%
+                    </button>
+                  ))}
+                </div>
+              )}
+              {adaptivePaths?.enabled && (
+                <div style={{ fontSize: '10px', color: '#666', marginTop: '6px', fontFamily: FONT_FAMILY }}>
+                  First batch {numPaths.toLocaleString()}, up to {adaptivePaths.maxPaths.toLocaleString()} paths
+                </div>
+              )}
+              {/* Seed: blank = fresh seed every run */}
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginTop: '10px' }}>
+                <span style={{ fontSize: '10px', color: '#888', fontFamily: FONT_FAMILY }}>Seed</span>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={simulationSeed ?? ''}
+                  placeholder="random"
+                  onChange={(e) => {
+                    const digits = e.target.value.replace(/\D/g, '');
+                    if (digits === '') setSimulationSeed(null);
+                    else {
+                      const seed = parseSeed(digits);
+                      if (seed !== null) setSimulationSeed(seed);
+                    }
+                  }}
+                  title="Same seed + same inputs + same worker count = identical results. Leave blank for a new seed each run."
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    padding: '5px 8px',
+                    fontSize: '11px',
+                    fontFamily: FONT_FAMILY,
+                    background: 'rgba(0, 0, 0, 0.3)',
+                    border: simulationSeed != null ? '1px solid #00d4ff' : '1px solid rgba(255,255,255,0.1)',
+                    borderRadius: '6px',
+                    color: '#fff',
+                  }}
+                />
+                <button
+                  onClick={() => setSimulationSeed(generateSeed())}
+                  title="Pick a random fixed seed"
+                  style={{
+                    padding: '5px 7px',
+                    fontSize: '11px',
+                    borderRadius: '6px',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    background: 'transparent',
+                    cursor: 'pointer',
+                  }}
+                >
+                  🎲
+                </button>
+                {simulationSeed != null && (
+                  <button
+                    onClick={() => setSimulationSeed(null)}
+                    title="Clear seed (new seed each run)"
+                    style={{
+                      padding: '5px 7px',
+                      fontSize: '11px',
+                      borderRadius: '6px',
+                      border: '1px solid rgba(255,255,255,0.1)',
+                      background: 'transparent',
+                      color: '#888',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+              {simulationResults?.seed != null && simulationResults.seed !== simulationSeed && (
+                <div style={{ fontSize: '10px', color: '#666', marginTop: '6px', fontFamily: FONT_FAMILY }}>
+                  Last run: {simulationResults.seed}
+                  {simulationResults.workerCount ? ` (${simulationResults.workerCount} workers)` : ''}
+                  {' '}
+                  <span
+                    onClick={() => setSimulationSeed(simulationResults.seed)}
+                    style={{ color: '#00d4ff', cursor: 'pointer', textDecoration: 'underline' }}
+                  >
+                    reuse
+                  </span>
+                </div>
+              )}
             </div>
             
             {/* Drawdown Threshold */}
@@ -535,7 +714,7 @@ const SimulationTab = memo(({
               }}>
                 Fat Tail Method
                 <InfoTooltip 
-                  content="Student-t preserves correlations during crashes. Copula applies tails independently."
+                  content="Student-t preserves correlations during crashes. Copula applies tails independently. Regime switches between calm and stress states fitted to your market data (see Correlation tab)."
                   position="right"
                   size={10}
                 />
@@ -544,6 +723,7 @@ const SimulationTab = memo(({
                 {[
                   { value: 'multivariateTStudent', label: 'Student-t', desc: 'Correlated tails' },
                   { value: 'gaussianCopula', label: 'Copula', desc: 'Independent tails' },
+                  { value: 'regimeSwitching', label: 'Regime', desc: 'Markov switching' },
                 ].map(opt => (
                   <button
                     key={opt.value}
@@ -570,6 +750,50 @@ const SimulationTab = memo(({
                   </button>
                 ))}
               </div>
+
+              {/* Volatility model (GARCH clustering, fitted per position) */}
+              <div style={{
+                fontSize: '9px',
+                color: '#888',
+                textTransform: 'uppercase',
+                letterSpacing: '1px',
+                margin: '12px 0 6px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                fontFamily: FONT_FAMILY,
+              }}>
+                Volatility
+                <InfoTooltip
+                  content="GARCH lets volatility cluster and starts paths from today's conditional volatility (fitted on daily returns). GJR adds a bigger response to down days. Not used with Regime, which clusters volatility itself."
+                  position="right"
+                  size={10}
+                />
+              </div>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                {Object.entries(VOLATILITY_MODELS).map(([value, opt]) => (
+                  <button
+                    key={value}
+                    onClick={() => setVolatilityModel(value)}
+                    disabled={fatTailMethod === 'regimeSwitching'}
+                    title={opt.desc}
+                    style={{
+                      flex: 1,
+                      padding: '6px 4px',
+                      fontSize: '10px',
+                      fontFamily: FONT_FAMILY,
+                      borderRadius: '6px',
+                      border: volatilityModel === value ? '1px solid #ff9f43' : '1px solid rgba(255,255,255,0.1)',
+                      background: volatilityModel === value ? 'rgba(255, 159, 67, 0.15)' : 'transparent',
+                      color: volatilityModel === value ? '#ff9f43' : '#888',
+                      cursor: fatTailMethod === 'regimeSwitching' ? 'not-allowed' : 'pointer',
+                      opacity: fatTailMethod === 'regimeSwitching' ? 0.4 : 1,
+                    }}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
             </div>
             
             {/* Sampling Method */}
@@ -593,7 +817,7 @@ const SimulationTab = memo(({
               }}>
                 Sampling Method
                 <InfoTooltip 
-                  content="Quasi-MC uses Sobol sequences for ~10× faster convergence."
+                  content="Quasi-MC uses Sobol sequences for ~10× faster convergence. Not used with Regime, which draws every step pseudo-randomly."
                   position="right"
                   size={10}
                 />
@@ -606,6 +830,7 @@ const SimulationTab = memo(({
                   <button
                     key={String(opt.value)}
                     onClick={() => setUseQmc(opt.value)}
+                    disabled={fatTailMethod === 'regimeSwitching'}
                     style={{
                       padding: '10px 12px',
                       fontSize: '12px',
@@ -615,7 +840,8 @@ const SimulationTab = memo(({
                       border: useQmc === opt.value ? '1px solid #9b59b6' : '1px solid rgba(255,255,255,0.1)',
                       background: useQmc === opt.value ? 'rgba(155, 89, 182, 0.15)' : 'transparent',
                       color: useQmc === opt.value ? '#9b59b6' : '#888',
-                      cursor: 'pointer',
+                      cursor: fatTailMethod === 'regimeSwitching' ? 'not-allowed' : 'pointer',
+                      opacity: fatTailMethod === 'regimeSwitching' ? 0.4 : 1,
                       transition: 'all 0.2s ease',
                       textAlign: 'left',
                       display: 'flex',
@@ -628,9 +854,197 @@ const SimulationTab = memo(({
                   </button>
                 ))}
               </div>
+              {varianceReduction && setVarianceReduction && (
+                <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                  {[
+                    { key: 'antithetic', label: '± Antithetic', title: 'Pair each path with its mirror image (normals negated)' },
+                    { key: 'controlVariate', label: 'Control var.', title: 'Regress out the Gaussian-model portfolio return, whose mean is known exactly' },
+                  ].map(opt => (
+                    <button
+                      key={opt.key}
+                      title={opt.title}
+                      onClick={() => setVarianceReduction(prev => ({ ...prev, [opt.key]: !prev[opt.key] }))}
+                      style={{
+                        flex: 1,
+                        padding: '6px 8px',
+                        fontSize: '10px',
+                        fontFamily: FONT_FAMILY,
+                        borderRadius: '6px',
+                        border: varianceReduction[opt.key] ? '1px solid #9b59b6' : '1px solid rgba(255,255,255,0.1)',
+                        background: varianceReduction[opt.key] ? 'rgba(155, 89, 182, 0.15)' : 'transparent',
+                        color: varianceReduction[opt.key] ? '#9b59b6' : '#888',
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {opt.label}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
           
+          {/* Time Horizon & Stepping */}
+          <div style={{
+            background: 'rgba(0, 0, 0, 0.2)',
+            borderRadius: '12px',
+            padding: '14px 16px',
+            border: '1px solid rgba(255, 255, 255, 0.05)',
+            marginBottom: '16px',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '20px',
+            flexWrap: 'wrap',
+          }}>
+            <div style={{
+              fontSize: '10px',
+              color: '#2ecc71',
+              textTransform: 'uppercase',
+              letterSpacing: '1px',
+              fontWeight: '600',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              fontFamily: FONT_FAMILY,
+            }}>
+              Horizon
+              <InfoTooltip
+                content="Paths are built step by step over the horizon, so drawdowns and recovery times are measured on each simulated path."
+                position="right"
+                size={10}
+              />
+            </div>
+            <div style={{ display: 'flex', alignItems: 'baseline', gap: '4px' }}>
+              <span style={{ fontSize: '22px', fontWeight: '700', color: '#2ecc71', fontFamily: FONT_FAMILY }}>
+                {horizonYears}
+              </span>
+              <span style={{ fontSize: '12px', color: '#888', fontFamily: FONT_FAMILY }}>
+                {horizonYears === 1 ? 'year' : 'years'}
+              </span>
+            </div>
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+              {[1, 3, 5, 10, 20, 30].map(y => {
+                const disabled = timeStep === 'daily' && y > MAX_DAILY_HORIZON_YEARS;
+                return (
+                  <button
+                    key={y}
+                    onClick={() => setHorizonYears(y)}
+                    disabled={disabled}
+                    style={{
+                      padding: '6px 10px',
+                      fontSize: '11px',
+                      fontWeight: '600',
+                      fontFamily: FONT_FAMILY,
+                      borderRadius: '6px',
+                      border: horizonYears === y ? '1px solid #2ecc71' : '1px solid rgba(255,255,255,0.1)',
+                      background: horizonYears === y ? 'rgba(46, 204, 113, 0.15)' : 'transparent',
+                      color: horizonYears === y ? '#2ecc71' : '#888',
+                      cursor: disabled ? 'not-allowed' : 'pointer',
+                      opacity: disabled ? 0.4 : 1,
+                      transition: 'all 0.2s ease',
+                    }}
+                  >
+                    {y}Y
+                  </button>
+                );
+              })}
+              <BlurInput
+                type="number"
+                value={horizonYears}
+                onChange={(v) => setHorizonYears(clampHorizonYears(v, timeStep))}
+                title={`1–${timeStep === 'daily' ? MAX_DAILY_HORIZON_YEARS : MAX_HORIZON_YEARS} years`}
+                style={{
+                  width: '52px',
+                  padding: '5px 6px',
+                  fontSize: '11px',
+                  fontFamily: FONT_FAMILY,
+                  borderRadius: '6px',
+                  border: '1px solid rgba(255,255,255,0.1)',
+                  background: 'rgba(0,0,0,0.3)',
+                  color: '#fff',
+                }}
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '6px', marginLeft: 'auto' }}>
+              {[
+                { value: 'monthly', label: 'Monthly steps' },
+                { value: 'daily', label: 'Daily steps' },
+              ].map(opt => (
+                <button
+                  key={opt.value}
+                  onClick={() => {
+                    setTimeStep(opt.value);
+                    if (opt.value === 'daily' && horizonYears > MAX_DAILY_HORIZON_YEARS) {
+                      setHorizonYears(MAX_DAILY_HORIZON_YEARS);
+                    }
+                  }}
+                  title={opt.value === 'daily' ? `Daily stepping is limited to ${MAX_DAILY_HORIZON_YEARS} years` : undefined}
+                  style={{
+                    padding: '6px 10px',
+                    fontSize: '11px',
+                    fontWeight: '500',
+                    fontFamily: FONT_FAMILY,
+                    borderRadius: '6px',
+                    border: timeStep === opt.value ? '1px solid #2ecc71' : '1px solid rgba(255,255,255,0.1)',
+                    background: timeStep === opt.value ? 'rgba(46, 204, 113, 0.15)' : 'transparent',
+                    color: timeStep === opt.value ? '#2ecc71' : '#888',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s ease',
+                  }}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Contributions, withdrawals and lump sums */}
+          {cashFlows && setCashFlows && (
+            <CashFlowPanel
+              cashFlows={cashFlows}
+              setCashFlows={setCashFlows}
+              portfolioValue={portfolioValue * fxRate}
+              horizonYears={horizonYears}
+              BlurInput={BlurInput}
+              InfoTooltip={InfoTooltip}
+            />
+          )}
+
+          {/* Rebalancing policy */}
+          {rebalancing && setRebalancing && (
+            <RebalancingPanel
+              rebalancing={rebalancing}
+              setRebalancing={setRebalancing}
+              positions={positions}
+              portfolioValue={portfolioValue}
+              targetAllocations={targetAllocations || {}}
+              onTargetAllocationsChange={onTargetAllocationsChange}
+              BlurInput={BlurInput}
+              InfoTooltip={InfoTooltip}
+            />
+          )}
+
+          {/* Account tax treatment */}
+          {taxes && setTaxes && (
+            <TaxPanel
+              taxes={taxes}
+              setTaxes={setTaxes}
+              BlurInput={BlurInput}
+              InfoTooltip={InfoTooltip}
+            />
+          )}
+
+          {/* Base currency and FX hedging */}
+          {setBaseCurrency && (
+            <CurrencyPanel
+              baseCurrency={baseCurrency}
+              setBaseCurrency={setBaseCurrency}
+              positions={positions}
+              fxRate={fxRate}
+              InfoTooltip={InfoTooltip}
+            />
+          )}
+
           {/* Methodology Pipeline - Always Visible */}
           <div style={{
             background: 'rgba(0, 0, 0, 0.3)',
@@ -704,16 +1118,16 @@ const SimulationTab = memo(({
                   label: useQmc ? 'Sobol Seq.' : 'PRNG',
                   icon: useQmc ? '⊡' : '⊙', 
                   color: '#9b59b6', 
-                  sub: useQmc ? 'Quasi-MC' : 'Mersenne',
-                  tech: useQmc ? 'Low-discrep.' : 'MT19937',
+                  sub: useQmc ? 'Quasi-MC' : 'Seeded',
+                  tech: useQmc ? 'Low-discrep.' : 'xoshiro128**',
                   highlight: true
                 },
                 { 
-                  label: fatTailMethod === 'multivariateTStudent' ? 'Student-t' : 'Copula',
+                  label: fatTailMethod === 'multivariateTStudent' ? 'Student-t' : fatTailMethod === 'regimeSwitching' ? 'Regimes' : 'Copula',
                   icon: 'ν', 
                   color: '#ff9f43', 
-                  sub: fatTailMethod === 'multivariateTStudent' ? 'df=5' : 'Gaussian',
-                  tech: fatTailMethod === 'multivariateTStudent' ? 'χ²/ν scaling' : 'Marginal CDF'
+                  sub: fatTailMethod === 'multivariateTStudent' ? 'df=5' : fatTailMethod === 'regimeSwitching' ? 'Markov' : 'Gaussian',
+                  tech: fatTailMethod === 'multivariateTStudent' ? 'χ²/ν scaling' : fatTailMethod === 'regimeSwitching' ? 'HMM states' : 'Marginal CDF'
                 },
                 { 
                   label: 'Skew Adj.', 
@@ -821,11 +1235,13 @@ const SimulationTab = memo(({
                 <div style={{ marginBottom: '12px' }}>
                   <strong style={{ color: '#9b59b6' }}>4. Random Sampling:</strong> {useQmc 
                     ? 'Quasi-Monte Carlo uses Sobol low-discrepancy sequences that fill the sample space more uniformly than pseudo-random numbers, achieving O(1/N) convergence vs O(1/√N).'
-                    : 'Standard Mersenne Twister PRNG generates IID uniform samples, transformed via inverse CDF to standard normal.'}
+                    : 'Seeded xoshiro128** PRNG generates IID uniform samples, transformed to standard normal via Box-Muller. Each path has its own stream, so a fixed seed reproduces the run exactly.'}
                 </div>
                 <div style={{ marginBottom: '12px' }}>
                   <strong style={{ color: '#ff9f43' }}>5. Fat Tails:</strong> {fatTailMethod === 'multivariateTStudent' 
                     ? 'Multivariate Student-t with df=5 scales correlated normals by √(ν/χ²_ν), preserving dependence structure during tail events.'
+                    : fatTailMethod === 'regimeSwitching'
+                    ? 'A hidden Markov model fitted to daily returns switches each path between calm and stress regimes, each with its own volatilities and correlation matrix. Fat tails and volatility clustering come from the mixture of regimes; each position keeps its long-run mean and volatility. Paths start in today\'s regime. Per-position skew and tails, QMC and GARCH are not used.'
                     : 'Gaussian Copula applies marginal fat-tail transforms independently while maintaining the correlation structure via probability integral transform.'}
                 </div>
                 <div>
@@ -888,15 +1304,95 @@ const SimulationTab = memo(({
       {/* Results */}
       {simulationResults && !simulationResults.error && (
         <>
+          {/* Options that could not be priced are held flat at today's value */}
+          {simulationResults.options?.skipped?.length > 0 && (
+            <div style={{
+              marginBottom: '16px',
+              padding: '10px 16px',
+              background: 'rgba(255, 159, 67, 0.1)',
+              border: '1px solid rgba(255, 159, 67, 0.3)',
+              borderRadius: '8px',
+              color: '#ff9f43',
+              fontSize: '11px',
+            }}>
+              ⚠️ Options held flat at today's value (not repriced) in this run: {simulationResults.options.skipped.map(o => `${o.label} (${o.reason})`).join(', ')}
+            </div>
+          )}
+
           {/* Sanity check */}
           <SanityCheckCard simulationResults={simulationResults} styles={styles} />
+
+          {/* Standard errors, adaptive status and MC vs QMC */}
+          {simulationResults.convergence && (
+            <ConvergenceCard
+              key={simulationResults.simulationTime}
+              convergence={simulationResults.convergence}
+              varianceReduction={simulationResults.varianceReduction}
+              terminalReturns={simulationResults.terminalReturns}
+              styles={styles}
+            />
+          )}
+
+          {/* Percentile bands over time */}
+          {simulationResults.fanChart && (
+            <FanChartCard
+              fanChart={simulationResults.fanChart}
+              startingValue={simulationResults.terminalDollars?.startingValue}
+              horizonYears={simulationResults.horizonYears || 1}
+              annualized={simulationResults.annualized}
+              includesCashFlows={!!simulationResults.cashFlows}
+              volatility={simulationResults.volatility}
+              formatCurrency={formatCurrency}
+              styles={styles}
+            />
+          )}
+
+          {/* Rebalancing policy vs buy-and-hold */}
+          {simulationResults.rebalancing && (
+            <RebalancingCard
+              rebalancing={simulationResults.rebalancing}
+              horizonYears={simulationResults.horizonYears || 1}
+              styles={styles}
+            />
+          )}
+
+          {/* Time spent in each regime (regime-switching method) */}
+          {simulationResults.regime && (
+            <RegimeOccupancyCard regime={simulationResults.regime} styles={styles} />
+          )}
+
+          {/* Ruin, terminal wealth and safe withdrawal rate */}
+          {simulationResults.cashFlows && (
+            <CashFlowCard
+              cashFlows={simulationResults.cashFlows}
+              horizonYears={simulationResults.horizonYears || 1}
+              formatCurrency={formatCurrency}
+              styles={styles}
+            />
+          )}
+
+          {/* Pre-tax vs after-tax terminal wealth */}
+          {simulationResults.taxes && (
+            <TaxCard
+              taxes={simulationResults.taxes}
+              horizonYears={simulationResults.horizonYears || 1}
+              rebalancing={simulationResults.rebalancing}
+              formatCurrency={formatCurrency}
+              styles={styles}
+            />
+          )}
+
+          {/* Currency risk against the base currency */}
+          {simulationResults.currency && (simulationResults.currency.exposures.length > 0 || simulationResults.currency.hedgedWeight !== 0) && (
+            <CurrencyCard currency={simulationResults.currency} styles={styles} />
+          )}
         
           {/* 2x2 Grid */}
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
             {/* Terminal Returns */}
             <DistributionCard
-              title="📊 1-Year Return Distribution"
-              subtitle={`${numPaths.toLocaleString()} paths${useQmc ? ' (QMC)' : ''}`}
+              title={`📊 ${simulationResults.horizonYears || 1}-Year Return Distribution`}
+              subtitle={`${(simulationResults.numPaths || numPaths).toLocaleString()} paths${useQmc ? ' (QMC)' : ''}${simulationResults.timeStep ? ` • ${simulationResults.timeStep} steps` : ''}${simulationResults.seed != null ? ` • seed ${simulationResults.seed}` : ''}${simulationResults.options?.included ? ` • ${simulationResults.options.included} option${simulationResults.options.included === 1 ? '' : 's'} repriced` : ''}`}
               stats={[
                 { label: 'P5', value: simulationResults.terminal?.p5 },
                 { label: 'P25', value: simulationResults.terminal?.p25 },
@@ -925,6 +1421,7 @@ const SimulationTab = memo(({
             <DrawdownCard
               simulationResults={simulationResults}
               histogramData={drawdownHistogramData}
+              drawdownThreshold={drawdownThreshold}
               styles={styles}
             />
             
@@ -965,6 +1462,22 @@ const SimulationTab = memo(({
           <div style={{ color: '#ff6b6b' }}>{simulationResults.error}</div>
         </div>
       )}
+
+      {/* Side-by-side comparison of portfolios and what-if variants */}
+      {onRunComparison && positions.length > 0 && (
+        <ComparePanel
+          books={compareBooks}
+          comparisonResults={comparisonResults}
+          isComparing={isComparing}
+          isSimulating={isSimulating}
+          riskFreeRate={riskFreeRate}
+          onSaveVariant={onSaveVariant}
+          onDeleteVariant={onDeleteVariant}
+          onLoadAccounts={onLoadCompareAccounts}
+          onRunComparison={onRunComparison}
+          styles={styles}
+        />
+      )}
     </div>
   );
 });
@@ -1230,9 +1743,11 @@ const DollarDistributionCard = memo(({ simulationResults, histogramData, formatC
   );
 });
 
-const DrawdownCard = memo(({ simulationResults, histogramData, styles }) => {
+const DrawdownCard = memo(({ simulationResults, histogramData, drawdownThreshold, styles }) => {
   const cardStyle = { ...styles.card, display: 'flex', flexDirection: 'column', minHeight: '380px', fontFamily: FONT_FAMILY, overflow: 'hidden' };
   const dd = simulationResults.drawdown;
+  const recovery = simulationResults.recovery;
+  const formatMonths = (m) => (m == null ? '—' : m < 1 ? '<1 mo' : `${m.toFixed(0)} mo`);
 
   // Calculate additional drawdown stats
   const probExceed20 = dd?.probExceedThreshold || 0;
@@ -1241,7 +1756,9 @@ const DrawdownCard = memo(({ simulationResults, histogramData, styles }) => {
   return (
     <div style={cardStyle}>
       <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>📉 Max Drawdown Distribution</div>
-      <div style={{ fontSize: '11px', color: '#666', marginBottom: '10px', fontFamily: FONT_FAMILY }}>Estimated from portfolio volatility</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '10px', fontFamily: FONT_FAMILY }}>
+        {recovery ? 'Peak-to-trough along each simulated path' : 'Estimated from portfolio volatility'}
+      </div>
 
       {/* 3x2 Stats Grid */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px', marginBottom: '10px' }}>
@@ -1267,6 +1784,33 @@ const DrawdownCard = memo(({ simulationResults, histogramData, styles }) => {
         ))}
       </div>
 
+      {/* Time to recovery from the deepest drawdown on each path */}
+      {recovery && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          gap: '8px',
+          padding: '6px 10px',
+          marginBottom: '10px',
+          background: 'rgba(0, 0, 0, 0.2)',
+          borderRadius: '6px',
+          fontSize: '10px',
+          color: '#888',
+          fontFamily: FONT_FAMILY,
+        }}>
+          <span>
+            P(DD ≥ {drawdownThreshold}%): <strong style={{ color: '#e74c3c' }}>{((dd?.probExceedThreshold || 0) * 100).toFixed(1)}%</strong>
+          </span>
+          <span>
+            Recovery: <strong style={{ color: '#ccc' }}>{formatMonths(recovery.medianMonths)}</strong> median
+            {' • '}<strong style={{ color: '#ccc' }}>{formatMonths(recovery.p90Months)}</strong> P90
+          </span>
+          <span>
+            Not recovered: <strong style={{ color: '#ff9f43' }}>{(recovery.probNotRecovered * 100).toFixed(1)}%</strong>
+          </span>
+        </div>
+      )}
+
       {/* Interactive Histogram for Drawdowns */}
       <div style={{ flex: 1, minHeight: '160px' }}>
         <InteractiveHistogram
@@ -1281,97 +1825,1267 @@ const DrawdownCard = memo(({ simulationResults, histogramData, styles }) => {
   );
 });
 
-const LossScenarioCard = memo(({ lossAnalysis, probLoss, styles }) => {
-  const cardStyle = { ...styles.card, display: 'flex', flexDirection: 'column', minHeight: '380px', fontFamily: FONT_FAMILY, overflow: 'hidden' };
-  
-  if (!lossAnalysis) {
-    return (
-      <div style={cardStyle}>
-        <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔴 Loss Scenario Analysis</div>
-        <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#666', fontFamily: FONT_FAMILY }}>
-          Run simulation to see loss analysis
-        </div>
-      </div>
-    );
-  }
-  
-  if (lossAnalysis.noLosses) {
-    return (
-      <div style={cardStyle}>
-        <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔴 Loss Scenario Analysis</div>
-        <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#2ecc71', fontFamily: FONT_FAMILY }}>
-          🎉 No loss scenarios in this simulation!
-        </div>
-      </div>
-    );
-  }
-  
+const FanChartCard = memo(({ fanChart, startingValue, horizonYears, annualized, includesCashFlows, volatility, formatCurrency, styles }) => {
+  const [showDollars, setShowDollars] = useState(false);
+
+  const data = useMemo(() => fanChart.times.map((t, i) => ({
+    t,
+    band90: [fanChart.p5[i], fanChart.p95[i]],
+    band50: [fanChart.p25[i], fanChart.p75[i]],
+    p50: fanChart.p50[i],
+  })), [fanChart]);
+
+  const formatValue = (v) => (showDollars && startingValue
+    ? formatCurrency(v * startingValue)
+    : `${v >= 1 ? '+' : ''}${((v - 1) * 100).toFixed(0)}%`);
+  const formatTime = (t) => (horizonYears <= 2 ? `${Math.round(t * 12)}m` : `${t.toFixed(t % 1 === 0 ? 0 : 1)}y`);
+
   return (
-    <div style={cardStyle}>
-      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔴 Loss Scenario Analysis</div>
-      <div style={{ fontSize: '11px', color: '#666', marginBottom: '10px', fontFamily: FONT_FAMILY }}>
-        Analyzing {lossAnalysis.count.toLocaleString()} loss scenarios ({lossAnalysis.lossPercent?.toFixed(1) || ((probLoss?.probBreakeven || 0) * 100).toFixed(1)}% of paths)
-      </div>
-      
-      {/* 3x2 Stats Grid */}
-      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px', marginBottom: '10px' }}>
-        {[
-          { label: 'Loss Threshold', value: lossAnalysis.breakevenPercentile, format: 'pct', color: '#ff9f43', desc: 'Losses start at P' },
-          { label: 'VaR 5%', value: lossAnalysis.var5, format: 'ret', color: '#e74c3c' },
-          { label: 'VaR 10%', value: lossAnalysis.var10, format: 'ret', color: '#e74c3c' },
-          { label: 'CVaR 5%', value: lossAnalysis.cvar5, format: 'ret', color: '#e74c3c', desc: 'Expected Shortfall' },
-          { label: 'Median Loss', value: lossAnalysis.p50Loss, format: 'ret', color: '#e74c3c' },
-          { label: 'Worst Case', value: lossAnalysis.worstCase, format: 'ret', color: '#e74c3c' },
-        ].map((stat, i) => (
-          <div key={i} style={{ 
-            ...styles.stat, 
-            padding: '6px 4px',
-            background: stat.color === '#ff9f43' ? 'rgba(255, 159, 67, 0.08)' : 'rgba(231, 76, 60, 0.05)',
-            borderRadius: '6px',
-          }}>
-            <div style={{ fontSize: '14px', fontWeight: '600', color: stat.color, fontFamily: FONT_FAMILY }}>
-              {stat.format === 'pct' 
-                ? `P${(stat.value || 0).toFixed(0)}`
-                : `${((stat.value || 0) * 100).toFixed(1)}%`
-              }
-            </div>
-            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+    <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '10px' }}>
+        <div>
+          <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>📈 Portfolio Value Over Time</div>
+          <div style={{ fontSize: '11px', color: '#666', fontFamily: FONT_FAMILY }}>
+            P5–P95 and P25–P75 bands from {fanChart.sampleSize.toLocaleString()} sampled paths
+            {includesCashFlows && ' • includes cash flows'}
+            {volatility && ` • ${VOLATILITY_MODELS[volatility.model]?.label || 'GARCH'} vol starts at ${volatility.startVolRatio.toFixed(2)}× long-run (${volatility.fittedCount} fitted)`}
+            {annualized && horizonYears > 1 && (
+              <> • Median CAGR <strong style={{ color: annualized.p50 >= 0 ? '#2ecc71' : '#e74c3c' }}>{(annualized.p50 * 100).toFixed(1)}%</strong></>
+            )}
           </div>
-        ))}
+        </div>
+        {startingValue > 0 && (
+          <button
+            onClick={() => setShowDollars(!showDollars)}
+            style={{
+              padding: '4px 10px',
+              fontSize: '10px',
+              fontFamily: FONT_FAMILY,
+              borderRadius: '6px',
+              border: '1px solid rgba(255,255,255,0.1)',
+              background: 'transparent',
+              color: '#888',
+              cursor: 'pointer',
+            }}
+          >
+            {showDollars ? '% return' : '$ value'}
+          </button>
+        )}
       </div>
-      
-      {/* Interactive Histogram for Loss Scenarios */}
-      <div style={{ flex: 1, minHeight: '160px' }}>
-        <InteractiveHistogram
-          data={lossAnalysis.histogramData}
-          height={160}
-          colorPositive="#e74c3c"
-          colorNegative="#e74c3c"
-          showControls={true}
-        />
+      <div style={{ height: '220px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} margin={{ top: 10, right: 20, bottom: 5, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.04)" vertical={false} />
+            <XAxis
+              dataKey="t"
+              type="number"
+              domain={[0, horizonYears]}
+              tick={{ fontSize: 9, fill: '#888', fontFamily: FONT_FAMILY }}
+              tickFormatter={formatTime}
+              axisLine={{ stroke: 'rgba(255, 255, 255, 0.1)' }}
+              tickLine={{ stroke: 'rgba(255, 255, 255, 0.1)' }}
+            />
+            <YAxis
+              tick={{ fontSize: 9, fill: '#666', fontFamily: FONT_FAMILY }}
+              tickFormatter={formatValue}
+              width={55}
+              axisLine={false}
+              tickLine={false}
+            />
+            <Tooltip
+              contentStyle={{
+                background: 'rgba(15, 15, 25, 0.95)',
+                border: '1px solid rgba(0, 212, 255, 0.2)',
+                borderRadius: '8px',
+                fontSize: '10px',
+                fontFamily: FONT_FAMILY,
+                boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+              }}
+              labelFormatter={(t) => `t = ${formatTime(t)}`}
+              formatter={(value, name) => {
+                const label = { band90: 'P5 – P95', band50: 'P25 – P75', p50: 'Median' }[name] || name;
+                return [Array.isArray(value) ? value.map(formatValue).join(' – ') : formatValue(value), label];
+              }}
+            />
+            <ReferenceLine y={1} stroke="rgba(255, 255, 255, 0.15)" strokeDasharray="4 4" />
+            <Area type="monotone" dataKey="band90" stroke="none" fill="#00d4ff" fillOpacity={0.12} isAnimationActive={false} />
+            <Area type="monotone" dataKey="band50" stroke="none" fill="#7b2ff7" fillOpacity={0.3} isAnimationActive={false} />
+            <Line type="monotone" dataKey="p50" stroke="#ffffff" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
       </div>
     </div>
   );
 });
 
-const ContributionAnalysis = memo(({ 
-  data, 
-  tickers, 
-  tickerColors, 
-  hoveredScenario, 
-  setHoveredScenario, 
-  hoveredContributions,
-  scenarioLabels,
-  styles 
-}) => {
-  // Find max absolute contribution for scaling bars
-  const maxAbsContrib = useMemo(() => {
-    let max = 0;
-    hoveredContributions.forEach(c => {
-      max = Math.max(max, Math.abs(c.value));
-    });
-    return max || 1;
-  }, [hoveredContributions]);
+const cashFlowInputStyle = {
+  width: '90px',
+  padding: '5px 6px',
+  fontSize: '11px',
+  fontFamily: FONT_FAMILY,
+  borderRadius: '6px',
+  border: '1px solid rgba(255,255,255,0.1)',
+  background: 'rgba(0,0,0,0.3)',
+  color: '#fff',
+};
+
+const cashFlowLabelStyle = {
+  fontSize: '9px',
+  color: '#666',
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px',
+  marginBottom: '4px',
+  fontFamily: FONT_FAMILY,
+};
+
+const CashFlowPanel = memo(({ cashFlows, setCashFlows, portfolioValue, horizonYears, BlurInput, InfoTooltip }) => {
+  const update = (patch) => setCashFlows(prev => ({ ...prev, ...patch }));
+  const lumpSums = cashFlows.lumpSums || [];
+  const withdrawalRate = portfolioValue > 0 ? (cashFlows.annualWithdrawal || 0) / portfolioValue : 0;
+  const activeCount = (cashFlows.monthlyContribution > 0 ? 1 : 0)
+    + (cashFlows.annualWithdrawal > 0 ? 1 : 0)
+    + lumpSums.filter(l => l.amount).length;
+
+  const updateLumpSum = (id, patch) => update({
+    lumpSums: lumpSums.map(l => (l.id === id ? { ...l, ...patch } : l)),
+  });
+
+  const addLumpSum = () => {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() + 1);
+    update({
+      lumpSums: [...lumpSums, {
+        id: crypto.randomUUID(),
+        date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+        amount: 0,
+      }],
+    });
+  };
+
+  const toggleButton = (active) => ({
+    padding: '5px 8px',
+    fontSize: '10px',
+    fontFamily: FONT_FAMILY,
+    borderRadius: '6px',
+    border: active ? '1px solid #f39c12' : '1px solid rgba(255,255,255,0.1)',
+    background: active ? 'rgba(243, 156, 18, 0.15)' : 'transparent',
+    color: active ? '#f39c12' : '#888',
+    cursor: 'pointer',
+  });
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '12px',
+      padding: '14px 16px',
+      border: '1px solid rgba(255, 255, 255, 0.05)',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{
+        fontSize: '10px',
+        color: '#f39c12',
+        textTransform: 'uppercase',
+        letterSpacing: '1px',
+        fontWeight: '600',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        marginBottom: '12px',
+      }}>
+        Cash Flows
+        <InfoTooltip
+          content="Flows are applied at each month end and invested or redeemed pro rata across current holdings. A path is ruined when wealth reaches zero."
+          position="right"
+          size={10}
+        />
+        {activeCount > 0 && (
+          <span style={{ color: '#888', textTransform: 'none', letterSpacing: 0, fontWeight: '400' }}>
+            {activeCount} active
+          </span>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <div>
+          <div style={cashFlowLabelStyle}>Monthly contribution</div>
+          <BlurInput
+            type="number"
+            value={cashFlows.monthlyContribution || 0}
+            onChange={(v) => update({ monthlyContribution: Math.max(0, v) })}
+            style={cashFlowInputStyle}
+          />
+        </div>
+        <div>
+          <div style={cashFlowLabelStyle}>For years (0 = all)</div>
+          <BlurInput
+            type="number"
+            value={cashFlows.contributionYears || 0}
+            onChange={(v) => update({ contributionYears: Math.max(0, Math.round(v)) })}
+            style={{ ...cashFlowInputStyle, width: '52px' }}
+          />
+        </div>
+
+        <div style={{ width: '1px', alignSelf: 'stretch', background: 'rgba(255,255,255,0.06)' }} />
+
+        <div>
+          <div style={cashFlowLabelStyle}>
+            Annual withdrawal{withdrawalRate > 0 && <span style={{ color: '#f39c12' }}> · {(withdrawalRate * 100).toFixed(1)}%</span>}
+          </div>
+          <BlurInput
+            type="number"
+            value={cashFlows.annualWithdrawal || 0}
+            onChange={(v) => update({ annualWithdrawal: Math.max(0, v) })}
+            style={cashFlowInputStyle}
+          />
+        </div>
+        <div>
+          <div style={cashFlowLabelStyle}>Starting in year</div>
+          <BlurInput
+            type="number"
+            value={cashFlows.withdrawalStartYear || 0}
+            onChange={(v) => update({ withdrawalStartYear: Math.max(0, Math.round(v)) })}
+            style={{ ...cashFlowInputStyle, width: '52px' }}
+          />
+        </div>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <button onClick={() => update({ withdrawalType: 'fixed' })} style={toggleButton(cashFlows.withdrawalType === 'fixed')}>
+            Fixed
+          </button>
+          <button onClick={() => update({ withdrawalType: 'inflation' })} style={toggleButton(cashFlows.withdrawalType !== 'fixed')}>
+            Inflation-indexed
+          </button>
+        </div>
+        <div>
+          <div style={cashFlowLabelStyle}>Inflation %</div>
+          <BlurInput
+            type="number"
+            value={+((cashFlows.inflationRate || 0) * 100).toFixed(2)}
+            onChange={(v) => update({ inflationRate: Math.max(-50, Math.min(50, v)) / 100 })}
+            style={{ ...cashFlowInputStyle, width: '52px' }}
+          />
+        </div>
+      </div>
+
+      {/* Lump sums */}
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginTop: '12px' }}>
+        <span style={{ ...cashFlowLabelStyle, marginBottom: 0 }}>Lump sums</span>
+        {lumpSums.map(lump => (
+          <div key={lump.id} style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            padding: '3px 6px',
+            borderRadius: '6px',
+            background: 'rgba(255,255,255,0.03)',
+            border: '1px solid rgba(255,255,255,0.06)',
+          }}>
+            <input
+              type="month"
+              value={lump.date || ''}
+              onChange={(e) => updateLumpSum(lump.id, { date: e.target.value })}
+              style={{ ...cashFlowInputStyle, width: '120px', colorScheme: 'dark' }}
+            />
+            <BlurInput
+              type="number"
+              value={lump.amount || 0}
+              onChange={(v) => updateLumpSum(lump.id, { amount: v })}
+              title="Positive = inflow, negative = redemption"
+              style={{ ...cashFlowInputStyle, color: lump.amount < 0 ? '#e74c3c' : '#2ecc71' }}
+            />
+            <button
+              onClick={() => update({ lumpSums: lumpSums.filter(l => l.id !== lump.id) })}
+              style={{ background: 'transparent', border: 'none', color: '#666', cursor: 'pointer', fontSize: '12px' }}
+              title="Remove"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button onClick={addLumpSum} style={toggleButton(false)}>+ Add</button>
+        {lumpSums.length > 0 && (
+          <span style={{ fontSize: '9px', color: '#555' }}>
+            Negative amounts are redemptions • dates beyond {horizonYears}Y are ignored
+          </span>
+        )}
+      </div>
+    </div>
+  );
+});
+
+const CashFlowCard = memo(({ cashFlows, horizonYears, formatCurrency, styles }) => {
+  const tw = cashFlows.terminalWealth || {};
+  const swrData = useMemo(() => (cashFlows.swrCurve || []).map(p => ({
+    rate: p.rate * 100,
+    success: p.successProb * 100,
+  })), [cashFlows.swrCurve]);
+  const formatSigned = (v) => `${v < 0 ? '-' : ''}${formatCurrency(Math.abs(v))}`;
+
+  const stats = [
+    {
+      label: 'P(Ruin)',
+      value: `${(cashFlows.probRuin * 100).toFixed(1)}%`,
+      color: cashFlows.probRuin > 0.1 ? '#e74c3c' : cashFlows.probRuin > 0.02 ? '#f39c12' : '#2ecc71',
+      sub: cashFlows.medianYearsToRuin != null ? `median ${cashFlows.medianYearsToRuin.toFixed(1)}y` : 'never ruined',
+    },
+    { label: 'Median Wealth', value: formatSigned(tw.p50 || 0), color: '#fff', sub: `${formatSigned(cashFlows.medianRealWealth || 0)} real` },
+    { label: 'P5 Wealth', value: formatSigned(tw.p5 || 0), color: '#e74c3c' },
+    { label: 'P95 Wealth', value: formatSigned(tw.p95 || 0), color: '#2ecc71' },
+    {
+      label: 'Safe Rate (95%)',
+      value: cashFlows.safeWithdrawalRate != null ? `${(cashFlows.safeWithdrawalRate * 100).toFixed(1)}%` : '—',
+      color: '#f39c12',
+      sub: swrData.length > 0 ? 'inflation-indexed' : 'no withdrawals',
+    },
+  ];
+
+  return (
+    <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>💸 Cash Flows & Withdrawals</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+        {horizonYears}-year wealth after
+        {cashFlows.totals?.contributions > 0 && ` ${formatCurrency(cashFlows.totals.contributions)} contributed`}
+        {cashFlows.totals?.withdrawals > 0 && ` ${formatCurrency(cashFlows.totals.withdrawals)} withdrawn`}
+        {cashFlows.totals?.lumpSums !== 0 && cashFlows.totals?.lumpSums != null && ` ${formatSigned(cashFlows.totals.lumpSums)} lump sums`}
+        {' '}(nominal)
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px', marginBottom: '14px' }}>
+        {stats.map(stat => (
+          <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+            {stat.sub && <div style={{ fontSize: '9px', color: '#666', fontFamily: FONT_FAMILY }}>{stat.sub}</div>}
+          </div>
+        ))}
+      </div>
+
+      {swrData.length > 0 && (
+        <>
+          <div style={{ fontSize: '10px', color: '#888', marginBottom: '6px', fontFamily: FONT_FAMILY }}>
+            Safe-withdrawal-rate curve: probability the portfolio survives {horizonYears} years at each starting withdrawal rate
+          </div>
+          <div style={{ height: '180px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={swrData} margin={{ top: 10, right: 20, bottom: 5, left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.04)" vertical={false} />
+                <XAxis
+                  dataKey="rate"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  tick={{ fontSize: 9, fill: '#888', fontFamily: FONT_FAMILY }}
+                  tickFormatter={(v) => `${v}%`}
+                  axisLine={{ stroke: 'rgba(255, 255, 255, 0.1)' }}
+                  tickLine={{ stroke: 'rgba(255, 255, 255, 0.1)' }}
+                />
+                <YAxis
+                  domain={[0, 100]}
+                  tick={{ fontSize: 9, fill: '#666', fontFamily: FONT_FAMILY }}
+                  tickFormatter={(v) => `${v}%`}
+                  width={40}
+                  axisLine={false}
+                  tickLine={false}
+                />
+                <Tooltip
+                  contentStyle={{
+                    background: 'rgba(15, 15, 25, 0.95)',
+                    border: '1px solid rgba(0, 212, 255, 0.2)',
+                    borderRadius: '8px',
+                    fontSize: '10px',
+                    fontFamily: FONT_FAMILY,
+                  }}
+                  labelFormatter={(v) => `Withdraw ${v}% / yr`}
+                  formatter={(v) => [`${v.toFixed(1)}%`, 'Success']}
+                />
+                <ReferenceLine y={95} stroke="rgba(46, 204, 113, 0.4)" strokeDasharray="4 4" />
+                {cashFlows.withdrawalRate > 0 && (
+                  <ReferenceLine
+                    x={cashFlows.withdrawalRate * 100}
+                    stroke="#f39c12"
+                    strokeDasharray="4 4"
+                    label={{ value: 'current', fill: '#f39c12', fontSize: 9, position: 'top' }}
+                  />
+                )}
+                <Line type="monotone" dataKey="success" stroke="#f39c12" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+const REBALANCE_MODE_OPTIONS = [
+  { value: 'none', label: 'None', desc: 'buy & hold' },
+  { value: 'calendar', label: 'Calendar', desc: 'fixed schedule' },
+  { value: 'bands', label: 'Bands', desc: 'tolerance' },
+];
+
+const REBALANCE_FREQUENCY_OPTIONS = [
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'annual', label: 'Annual' },
+];
+
+const parseOptionalPercent = (v) => {
+  if (v === '' || v == null) return null;
+  const parsed = parseFloat(v);
+  return isFinite(parsed) ? parsed / 100 : null;
+};
+
+const formatOptionalPercent = (v) => (v == null ? '' : +(v * 100).toFixed(2));
+
+const RebalancingPanel = memo(({
+  rebalancing,
+  setRebalancing,
+  positions,
+  portfolioValue,
+  targetAllocations,
+  onTargetAllocationsChange,
+  BlurInput,
+  InfoTooltip,
+}) => {
+  const [showTargets, setShowTargets] = useState(false);
+  const update = (patch) => setRebalancing(prev => ({ ...prev, ...patch }));
+  const tickers = positions.map(p => p.ticker?.toUpperCase()).filter(Boolean);
+  const savedCount = tickers.filter(t => targetAllocations[t]).length;
+
+  const setTargetField = (ticker, currentWeight, field, value) => {
+    if (!onTargetAllocationsChange) return;
+    const next = { ...targetAllocations };
+    const entry = { targetWeight: currentWeight, minWeight: null, maxWeight: null, ...(next[ticker] || {}) };
+    entry[field] = value;
+    if (entry.targetWeight == null) delete next[ticker];
+    else next[ticker] = entry;
+    onTargetAllocationsChange(next);
+  };
+
+  const clearTarget = (ticker) => {
+    if (!onTargetAllocationsChange) return;
+    const next = { ...targetAllocations };
+    delete next[ticker];
+    onTargetAllocationsChange(next);
+  };
+
+  const optionButton = (active) => ({
+    padding: '6px 10px',
+    fontSize: '11px',
+    fontWeight: '500',
+    fontFamily: FONT_FAMILY,
+    borderRadius: '6px',
+    border: active ? '1px solid #9b59b6' : '1px solid rgba(255,255,255,0.1)',
+    background: active ? 'rgba(155, 89, 182, 0.15)' : 'transparent',
+    color: active ? '#9b59b6' : '#888',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
+  });
+
+  const cellInput = { ...cashFlowInputStyle, width: '60px' };
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '12px',
+      padding: '14px 16px',
+      border: '1px solid rgba(255, 255, 255, 0.05)',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '20px', flexWrap: 'wrap' }}>
+        <div style={{
+          fontSize: '10px',
+          color: '#9b59b6',
+          textTransform: 'uppercase',
+          letterSpacing: '1px',
+          fontWeight: '600',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+        }}>
+          Rebalancing
+          <InfoTooltip
+            content="Trade back to target weights on a schedule or when any position leaves its band. Buy-and-hold is simulated on the same paths to measure the rebalancing bonus or drag."
+            position="right"
+            size={10}
+          />
+        </div>
+
+        <div style={{ display: 'flex', gap: '6px' }}>
+          {REBALANCE_MODE_OPTIONS.map(opt => (
+            <button key={opt.value} onClick={() => update({ mode: opt.value })} style={optionButton(rebalancing.mode === opt.value)}>
+              {opt.label} <span style={{ fontSize: '9px', opacity: 0.7 }}>{opt.desc}</span>
+            </button>
+          ))}
+        </div>
+
+        {rebalancing.mode === 'calendar' && (
+          <div style={{ display: 'flex', gap: '6px' }}>
+            {REBALANCE_FREQUENCY_OPTIONS.map(opt => (
+              <button key={opt.value} onClick={() => update({ frequency: opt.value })} style={optionButton(rebalancing.frequency === opt.value)}>
+                {opt.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {rebalancing.mode === 'bands' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{ ...cashFlowLabelStyle, marginBottom: 0 }}>Default band ±</span>
+            <BlurInput
+              type="number"
+              value={+((rebalancing.bandWidth || 0) * 100).toFixed(2)}
+              onChange={(v) => update({ bandWidth: Math.max(0.1, Math.min(50, v)) / 100 })}
+              style={{ ...cashFlowInputStyle, width: '52px' }}
+            />
+            <span style={{ fontSize: '10px', color: '#666' }}>pp</span>
+          </div>
+        )}
+
+        {rebalancing.mode !== 'none' && (
+          <button
+            onClick={() => setShowTargets(!showTargets)}
+            style={{ ...optionButton(false), marginLeft: 'auto', fontSize: '10px' }}
+          >
+            {showTargets ? '− Targets' : `+ Targets${savedCount > 0 ? ` (${savedCount} saved)` : ''}`}
+          </button>
+        )}
+      </div>
+
+      {rebalancing.mode !== 'none' && showTargets && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ fontSize: '10px', color: '#666', marginBottom: '8px' }}>
+            % of NAV. Positions without a saved target rebalance to today's weight
+            {rebalancing.mode === 'bands' && ` with a ±${((rebalancing.bandWidth || 0) * 100).toFixed(1)}pp band`}.
+            Leave min/max blank to use the default band.
+          </div>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: '80px 70px 70px 70px 70px 20px',
+            gap: '4px 8px',
+            alignItems: 'center',
+            fontSize: '11px',
+          }}>
+            {['Ticker', 'Current', 'Target', 'Min', 'Max', ''].map(h => (
+              <div key={h || 'actions'} style={{ ...cashFlowLabelStyle, marginBottom: 0 }}>{h}</div>
+            ))}
+            {positions.map(p => {
+              const ticker = p.ticker?.toUpperCase();
+              if (!ticker) return null;
+              const current = portfolioValue > 0 ? (p.quantity * p.price) / portfolioValue : 0;
+              const saved = targetAllocations[ticker];
+              return (
+                <React.Fragment key={p.id || ticker}>
+                  <div style={{ color: saved ? '#9b59b6' : '#ccc', fontWeight: '600' }}>{ticker}</div>
+                  <div style={{ color: '#888' }}>{(current * 100).toFixed(1)}%</div>
+                  {['targetWeight', 'minWeight', 'maxWeight'].map(field => (
+                    <BlurInput
+                      key={field}
+                      type="text"
+                      value={formatOptionalPercent(saved?.[field])}
+                      placeholder={field === 'targetWeight' ? (current * 100).toFixed(1) : '—'}
+                      onChange={(v) => setTargetField(ticker, current, field, parseOptionalPercent(v))}
+                      style={cellInput}
+                    />
+                  ))}
+                  <button
+                    onClick={() => clearTarget(ticker)}
+                    disabled={!saved}
+                    style={{ background: 'transparent', border: 'none', color: saved ? '#666' : '#333', cursor: saved ? 'pointer' : 'default', fontSize: '12px' }}
+                    title="Clear saved target"
+                  >
+                    ×
+                  </button>
+                </React.Fragment>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+const RebalancingCard = memo(({ rebalancing, horizonYears, styles }) => {
+  const bps = (v) => `${v >= 0 ? '+' : ''}${(v * 10000).toFixed(0)} bps`;
+  const policyLabel = rebalancing.mode === 'calendar'
+    ? `${rebalancing.frequency.charAt(0).toUpperCase()}${rebalancing.frequency.slice(1)} rebalancing`
+    : `Tolerance bands (±${((rebalancing.bandWidth || 0) * 100).toFixed(1)}pp default)`;
+  const bonusColor = rebalancing.bonus.median >= 0 ? '#2ecc71' : '#e74c3c';
+
+  const stats = [
+    { label: 'Bonus (median)', value: `${bps(rebalancing.bonus.median)}/yr`, color: bonusColor },
+    { label: 'Bonus (mean)', value: `${bps(rebalancing.bonus.mean)}/yr`, color: rebalancing.bonus.mean >= 0 ? '#2ecc71' : '#e74c3c' },
+    { label: 'Beats B&H', value: `${(rebalancing.probOutperform * 100).toFixed(0)}%`, color: '#fff' },
+    { label: 'Turnover', value: `${(rebalancing.turnoverAnnual * 100).toFixed(1)}%/yr`, color: '#f39c12' },
+    { label: 'Rebalances', value: `${rebalancing.rebalancesPerYear.toFixed(1)}/yr`, color: '#9b59b6' },
+  ];
+
+  return (
+    <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>⚖️ Rebalancing vs Buy-and-Hold</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+        {policyLabel} over {horizonYears} {horizonYears === 1 ? 'year' : 'years'}
+        {rebalancing.savedTargetCount > 0 && ` • ${rebalancing.savedTargetCount} saved target${rebalancing.savedTargetCount === 1 ? '' : 's'}`}
+        {' '}• paired on the same paths, before trading costs
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px', marginBottom: '10px' }}>
+        {stats.map(stat => (
+          <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ fontSize: '10px', color: '#888', fontFamily: FONT_FAMILY }}>
+        Median CAGR <strong style={{ color: '#ccc' }}>{(rebalancing.policyMedian * 100).toFixed(2)}%</strong> rebalanced
+        vs <strong style={{ color: '#ccc' }}>{(rebalancing.buyAndHoldMedian * 100).toFixed(2)}%</strong> buy-and-hold
+        {' • '}bonus P5–P95: {bps(rebalancing.bonus.p5)} to {bps(rebalancing.bonus.p95)}
+      </div>
+    </div>
+  );
+});
+
+const TAX_RATE_FIELDS = {
+  taxable: [
+    { key: 'dividendRate', label: 'Dividends' },
+    { key: 'shortTermRate', label: 'Short-term gains' },
+    { key: 'longTermRate', label: 'Long-term gains' },
+    { key: 'incomeRate', label: 'Interest / coupons' },
+    { key: 'fallbackYield', label: 'Default div. yield' },
+  ],
+  taxDeferred: [
+    { key: 'incomeRate', label: 'Withdrawal rate' },
+  ],
+};
+
+const TaxPanel = memo(({ taxes, setTaxes, BlurInput, InfoTooltip }) => {
+  const update = (patch) => setTaxes(prev => ({ ...prev, ...patch }));
+  const fields = TAX_RATE_FIELDS[taxes.treatment] || [];
+
+  const optionButton = (active) => ({
+    padding: '6px 10px',
+    fontSize: '11px',
+    fontWeight: '500',
+    fontFamily: FONT_FAMILY,
+    borderRadius: '6px',
+    border: active ? '1px solid #f1c40f' : '1px solid rgba(255,255,255,0.1)',
+    background: active ? 'rgba(241, 196, 15, 0.12)' : 'transparent',
+    color: active ? '#f1c40f' : '#888',
+    cursor: 'pointer',
+    transition: 'all 0.2s ease',
+  });
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '12px',
+      padding: '14px 16px',
+      border: '1px solid rgba(255, 255, 255, 0.05)',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '20px', flexWrap: 'wrap' }}>
+        <div style={{
+          fontSize: '10px',
+          color: '#f1c40f',
+          textTransform: 'uppercase',
+          letterSpacing: '1px',
+          fontWeight: '600',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+        }}>
+          Taxes
+          <InfoTooltip
+            content="Taxable: dividends, coupons and interest are taxed as they accrue and gains realized by rebalancing, withdrawals and tax payments are taxed each year end (FIFO lots from your transaction ledger or average cost). Tax-deferred: withdrawals at the horizon are taxed as income. Tax-free: no tax."
+            position="right"
+            size={10}
+          />
+        </div>
+
+        <div style={{ display: 'flex', gap: '6px' }}>
+          {Object.entries(ACCOUNT_TAX_TREATMENTS).map(([value, opt]) => (
+            <button key={value} onClick={() => update({ treatment: value })} style={optionButton(taxes.treatment === value)}>
+              {opt.label} <span style={{ fontSize: '9px', opacity: 0.7 }}>{opt.desc}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {fields.length > 0 && (
+        <div style={{ display: 'flex', gap: '14px', flexWrap: 'wrap', marginTop: '12px' }}>
+          {fields.map(field => (
+            <div key={field.key}>
+              <div style={cashFlowLabelStyle}>{field.label}</div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <BlurInput
+                  type="number"
+                  value={+((taxes[field.key] || 0) * 100).toFixed(2)}
+                  onChange={(v) => update({ [field.key]: Math.max(0, Math.min(100, v || 0)) / 100 })}
+                  style={{ ...cashFlowInputStyle, width: '56px' }}
+                />
+                <span style={{ fontSize: '10px', color: '#666' }}>%</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+const TaxCard = memo(({ taxes, horizonYears, rebalancing, formatCurrency, styles }) => {
+  const treatment = ACCOUNT_TAX_TREATMENTS[taxes.treatment];
+  const taxable = taxes.treatment === 'taxable';
+  const totalTax = taxes.taxes.dividend + taxes.taxes.gains + taxes.taxes.income + taxes.taxes.liquidation;
+  const pct = (v) => `${(v * 100).toFixed(v < 0.1 ? 1 : 0)}%`;
+  const policyLabel = !rebalancing
+    ? 'buy-and-hold'
+    : rebalancing.mode === 'calendar' ? `${rebalancing.frequency} rebalancing` : 'band rebalancing';
+
+  const stats = [
+    { label: 'Pre-Tax (median)', value: formatCurrency(taxes.preTax.p50), color: '#fff' },
+    ...(taxable ? [{ label: 'After Tax, Held', value: formatCurrency(taxes.afterTax.p50), color: '#f1c40f', sub: 'unrealized gains untaxed' }] : []),
+    { label: 'After Tax, Liquidated', value: formatCurrency(taxes.liquidation.p50), color: '#2ecc71', sub: taxes.treatment === 'taxDeferred' ? 'withdrawn at horizon' : 'all gains taxed' },
+    {
+      label: 'Tax Drag',
+      value: taxes.drag ? `${(taxes.drag.median * 10000).toFixed(0)} bps/yr` : '—',
+      color: taxes.drag?.median > 0.01 ? '#e74c3c' : '#f39c12',
+      sub: 'median CAGR cost',
+    },
+    { label: 'Taxes (mean)', value: formatCurrency(totalTax), color: '#e74c3c' },
+  ];
+
+  const rows = [
+    { label: 'Pre-tax', dist: taxes.preTax },
+    ...(taxable ? [{ label: 'After tax, held', dist: taxes.afterTax }] : []),
+    { label: 'After tax, liquidated', dist: taxes.liquidation },
+  ];
+
+  return (
+    <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🧾 After-Tax Terminal Wealth</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+        {treatment?.label} account over {horizonYears} {horizonYears === 1 ? 'year' : 'years'}
+        {taxable && ` • ${policyLabel} • dividends ${pct(taxes.rates.dividendRate)}, gains ${pct(taxes.rates.shortTermRate)} short / ${pct(taxes.rates.longTermRate)} long, interest ${pct(taxes.rates.incomeRate)}`}
+        {taxes.treatment === 'taxDeferred' && ` • withdrawals taxed at ${pct(taxes.rates.incomeRate)}`}
+        {taxes.treatment === 'taxFree' && ' • qualified withdrawals are not taxed'}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${stats.length}, 1fr)`, gap: '8px', marginBottom: '12px' }}>
+        {stats.map(stat => (
+          <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+            {stat.sub && <div style={{ fontSize: '9px', color: '#666', fontFamily: FONT_FAMILY }}>{stat.sub}</div>}
+          </div>
+        ))}
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: '150px repeat(5, 1fr)',
+        gap: '4px 8px',
+        fontSize: '11px',
+        marginBottom: '10px',
+      }}>
+        {['', 'P5', 'P25', 'P50', 'P75', 'P95'].map(h => (
+          <div key={h || 'label'} style={{ ...cashFlowLabelStyle, marginBottom: 0, textAlign: h ? 'right' : 'left' }}>{h}</div>
+        ))}
+        {rows.map(row => (
+          <React.Fragment key={row.label}>
+            <div style={{ color: '#aaa' }}>{row.label}</div>
+            {['p5', 'p25', 'p50', 'p75', 'p95'].map(p => (
+              <div key={p} style={{ color: '#ccc', textAlign: 'right' }}>{formatCurrency(row.dist?.[p] || 0)}</div>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+
+      {taxable && (
+        <div style={{ fontSize: '10px', color: '#888', fontFamily: FONT_FAMILY }}>
+          Mean taxes: dividends <strong style={{ color: '#ccc' }}>{formatCurrency(taxes.taxes.dividend)}</strong>
+          {' • '}realized gains <strong style={{ color: '#ccc' }}>{formatCurrency(taxes.taxes.gains)}</strong>
+          {' • '}interest / coupons <strong style={{ color: '#ccc' }}>{formatCurrency(taxes.taxes.income)}</strong>
+          {' • '}at liquidation <strong style={{ color: '#ccc' }}>{formatCurrency(taxes.taxes.liquidation)}</strong>
+          {taxes.sources && (
+            <div style={{ marginTop: '4px', color: '#666' }}>
+              Yields: {taxes.sources.yields.ledger} from ledger dividends, {taxes.sources.yields.consensus} consensus, {taxes.sources.yields.bond} bond coupons, {taxes.sources.yields.fallback} default
+              {' • '}Cost basis: {taxes.sources.basis.ledger} from tax lots, {taxes.sources.basis.avgCost} average cost
+              {taxes.sources.basis.unknown > 0 && <span style={{ color: '#f39c12' }}>, {taxes.sources.basis.unknown} unknown (no embedded gain assumed)</span>}
+            </div>
+          )}
+          {taxes.probRuin > 0 && (
+            <div style={{ marginTop: '4px', color: '#e74c3c' }}>
+              After-tax wealth runs out on {(taxes.probRuin * 100).toFixed(1)}% of paths
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+const CurrencyPanel = memo(({ baseCurrency, setBaseCurrency, positions, fxRate, InfoTooltip }) => {
+  const exposures = currencyExposures(positions || [], baseCurrency);
+  const foreign = exposures.filter(e => e.exposed || e.hedged).length;
+  const hedged = exposures.filter(e => e.hedged).length;
+
+  return (
+    <div style={{
+      background: 'rgba(0, 0, 0, 0.2)',
+      borderRadius: '12px',
+      padding: '14px 16px',
+      border: '1px solid rgba(255, 255, 255, 0.05)',
+      marginBottom: '16px',
+      fontFamily: FONT_FAMILY,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '20px', flexWrap: 'wrap' }}>
+        <div style={{
+          fontSize: '10px',
+          color: '#3498db',
+          textTransform: 'uppercase',
+          letterSpacing: '1px',
+          fontWeight: '600',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+        }}>
+          Base Currency
+          <InfoTooltip
+            content="Returns, prices and terminal wealth are expressed in this currency. Holdings priced in another currency also carry its exchange-rate return, simulated as a separate risk factor with volatility and correlations from FX history. Hedged positions (toggle on the Positions tab) drop the FX factor."
+            position="right"
+            size={10}
+          />
+        </div>
+
+        <select
+          value={baseCurrency}
+          onChange={(e) => setBaseCurrency(e.target.value)}
+          style={{ ...cashFlowInputStyle, width: 'auto', cursor: 'pointer' }}
+        >
+          {Object.entries(BASE_CURRENCIES).map(([code, c]) => (
+            <option key={code} value={code}>{code} – {c.name}</option>
+          ))}
+        </select>
+
+        <div style={{ fontSize: '10px', color: '#666' }}>
+          {baseCurrency !== 'USD' && <>1 USD = {fxRate.toFixed(4)} {baseCurrency} • </>}
+          {foreign === 0
+            ? 'no foreign-currency holdings'
+            : `${foreign} foreign-currency holding${foreign === 1 ? '' : 's'}${hedged > 0 ? `, ${hedged} hedged` : ''}`}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+const CurrencyCard = memo(({ currency, styles }) => {
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const fxVol = currency.vol?.base != null && currency.vol?.local != null ? currency.vol.base - currency.vol.local : null;
+
+  const stats = [
+    { label: 'Vol, Local Prices', value: currency.vol?.local != null ? pct(currency.vol.local) : '—', color: '#ccc' },
+    { label: `Vol in ${currency.baseCurrency}`, value: currency.vol?.base != null ? pct(currency.vol.base) : '—', color: '#fff' },
+    { label: 'FX Contribution', value: fxVol != null ? `${fxVol >= 0 ? '+' : ''}${pct(fxVol)}` : '—', color: fxVol > 0 ? '#e74c3c' : '#2ecc71' },
+    { label: 'Hedged Weight', value: pct(currency.hedgedWeight), color: '#3498db' },
+  ];
+
+  return (
+    <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>💱 Currency Risk</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+        Results in {currency.baseCurrency}
+        {currency.baseCurrency !== 'USD' && ` at 1 USD = ${currency.fxRate.toFixed(4)} ${currency.baseCurrency}`}
+        {' • '}unhedged foreign holdings carry their currency&apos;s return against {currency.baseCurrency}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${stats.length}, 1fr)`, gap: '8px', marginBottom: currency.exposures.length > 0 ? '12px' : 0 }}>
+        {stats.map(stat => (
+          <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      {currency.exposures.length > 0 && (
+        <div style={{ display: 'grid', gridTemplateColumns: '80px repeat(3, 110px)', gap: '4px 12px', fontSize: '10px', fontFamily: FONT_FAMILY }}>
+          {['Currency', 'Unhedged Wt', `Vol vs ${currency.baseCurrency}`, 'Source'].map(h => (
+            <div key={h} style={{ color: '#666', textAlign: h === 'Currency' || h === 'Source' ? 'left' : 'right' }}>{h}</div>
+          ))}
+          {currency.exposures.map(row => (
+            <React.Fragment key={row.currency}>
+              <div style={{ color: '#fff', fontWeight: '600' }}>{row.currency}</div>
+              <div style={{ color: '#ccc', textAlign: 'right' }}>{pct(row.weight)}</div>
+              <div style={{ color: '#ccc', textAlign: 'right' }}>{row.vol != null ? pct(row.vol) : '—'}</div>
+              <div style={{ color: row.source === 'history' ? '#2ecc71' : '#f39c12' }}>{row.source === 'history' ? 'FX history' : 'default vol'}</div>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+const convergenceTooltipStyle = {
+  background: 'rgba(15, 15, 25, 0.95)',
+  border: '1px solid rgba(0, 212, 255, 0.2)',
+  borderRadius: '8px',
+  fontSize: '10px',
+  fontFamily: FONT_FAMILY,
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+};
+
+const formatPaths = (v) => (v >= 1000 ? `${(v / 1000).toFixed(v >= 10000 ? 0 : 1)}K` : `${v}`);
+
+/**
+ * Standard errors / 95% CIs for the headline statistics, the running mean as
+ * paths accumulate, and an on-demand MC-vs-QMC convergence comparison
+ */
+const ConvergenceCard = memo(({ convergence, varianceReduction, terminalReturns, styles }) => {
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  const runningMean = useMemo(() => runningMeanSeries(terminalReturns || [])
+    .map(point => ({ ...point, band: [point.lower, point.upper] })), [terminalReturns]);
+
+  const runComparison = useCallback(() => {
+    setIsComparing(true);
+    // Let the button repaint before the (sub-second) comparison blocks the thread
+    setTimeout(() => {
+      try {
+        const result = compareMcQmcConvergence({ loadings: convergence.loadings });
+        const first = result.rows[0];
+        setComparison({
+          ...result,
+          rows: result.rows.map(row => ({
+            ...row,
+            // 1/√N reference through the first MC point
+            mcReference: first.mcError * Math.sqrt(first.paths / row.paths),
+          })),
+        });
+      } catch (err) {
+        console.error('MC vs QMC comparison failed:', err);
+      }
+      setIsComparing(false);
+    }, 20);
+  }, [convergence.loadings]);
+
+  const pct = (v, digits = 2) => (isFinite(v) ? `${(v * 100).toFixed(digits)}%` : '—');
+  const factor = (v) => (!isFinite(v) ? '—' : v >= 1000 ? '>1000×' : `${v.toFixed(v >= 10 ? 0 : 1)}×`);
+  const { adaptive } = convergence;
+  const lastComparison = comparison?.rows[comparison.rows.length - 1];
+  const qmcGain = lastComparison && lastComparison.qmcError > 0
+    ? (lastComparison.mcError / lastComparison.qmcError) ** 2
+    : null;
+
+  const logAxis = {
+    dataKey: 'paths',
+    type: 'number',
+    scale: 'log',
+    domain: ['dataMin', 'dataMax'],
+    tick: { fontSize: 9, fill: '#666', fontFamily: FONT_FAMILY },
+    tickFormatter: formatPaths,
+    axisLine: { stroke: 'rgba(255, 255, 255, 0.1)' },
+    tickLine: { stroke: 'rgba(255, 255, 255, 0.1)' },
+  };
+
+  return (
+    <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🎯 Convergence Diagnostics</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+        {convergence.paths.toLocaleString()} paths • 95% confidence intervals for each statistic
+        {adaptive && (
+          <span style={{ color: adaptive.reached ? '#2ecc71' : '#ff9f43' }}>
+            {' '}• adaptive ±{pct(adaptive.targetHalfWidth)}{' '}
+            {adaptive.reached
+              ? `reached in ${adaptive.rounds.length} ${adaptive.rounds.length === 1 ? 'round' : 'rounds'}`
+              : `not reached (cap ${adaptive.maxPaths.toLocaleString()} paths)`}
+          </span>
+        )}
+      </div>
+
+      {/* Variance reduction achieved */}
+      {varianceReduction && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '12px' }}>
+          {[
+            { label: 'VRF (mean)', value: factor(varianceReduction.varianceReductionFactor), color: '#9b59b6',
+              desc: `≈ ${factor(varianceReduction.varianceReductionFactor)} the paths for plain MC` },
+            { label: 'Antithetic', value: varianceReduction.antithetic ? factor(varianceReduction.antitheticFactor) : 'off', color: '#fff',
+              desc: varianceReduction.tailFactor != null ? `tail (P5) ${factor(varianceReduction.tailFactor)}` : '' },
+            { label: 'Control variate', value: varianceReduction.controlVariate ? factor(varianceReduction.controlFactor) : 'off', color: '#fff',
+              desc: varianceReduction.correlation != null ? `ρ = ${varianceReduction.correlation.toFixed(2)}, β = ${varianceReduction.beta.toFixed(2)}` : '' },
+            { label: 'Mean (plain → reduced)', value: `${pct(varianceReduction.plainMean)} → ${pct(varianceReduction.estimate)}`, color: '#00d4ff',
+              desc: `SE ${pct(varianceReduction.plainSe, 3)} → ${pct(varianceReduction.se, 3)}` },
+          ].map(stat => (
+            <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+              <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+              <div style={{ fontSize: '14px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+              {stat.desc && <div style={{ fontSize: '9px', color: '#666', marginTop: '2px', fontFamily: FONT_FAMILY }}>{stat.desc}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1.1fr 1fr', gap: '16px' }}>
+        {/* Statistic table */}
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+          <thead>
+            <tr style={{ color: '#666', fontSize: '9px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+              <th style={{ textAlign: 'left', padding: '4px 6px' }}>Statistic</th>
+              <th style={{ textAlign: 'right', padding: '4px 6px' }}>Estimate</th>
+              <th style={{ textAlign: 'right', padding: '4px 6px' }}>SE</th>
+              <th style={{ textAlign: 'right', padding: '4px 6px' }}>95% CI</th>
+            </tr>
+          </thead>
+          <tbody>
+            {convergence.stats.map(stat => {
+              const offTarget = adaptive && isFinite(stat.halfWidth) && stat.halfWidth > adaptive.targetHalfWidth;
+              return (
+                <tr key={stat.key} style={{ borderTop: '1px solid rgba(255, 255, 255, 0.04)' }}>
+                  <td style={{ padding: '4px 6px', color: '#aaa' }}>{stat.label}</td>
+                  <td style={{ padding: '4px 6px', textAlign: 'right', color: '#fff' }}>{pct(stat.estimate)}</td>
+                  <td style={{ padding: '4px 6px', textAlign: 'right', color: offTarget ? '#ff9f43' : '#888' }}>
+                    {pct(stat.se, 3)}
+                  </td>
+                  <td style={{ padding: '4px 6px', textAlign: 'right', color: '#888' }}>
+                    {pct(stat.lower)} – {pct(stat.upper)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {/* Running mean */}
+        <div>
+          <div style={{ fontSize: '10px', color: '#888', marginBottom: '6px' }}>Mean return as paths accumulate (95% CI)</div>
+          <div style={{ height: '200px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={runningMean} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.05)" />
+                <XAxis {...logAxis} />
+                <YAxis
+                  tick={{ fontSize: 9, fill: '#666', fontFamily: FONT_FAMILY }}
+                  tickFormatter={(v) => pct(v, 1)}
+                  width={50}
+                  axisLine={false}
+                  tickLine={false}
+                  domain={['auto', 'auto']}
+                />
+                <Tooltip
+                  contentStyle={convergenceTooltipStyle}
+                  labelFormatter={(v) => `${Number(v).toLocaleString()} paths`}
+                  formatter={(value, name) => [
+                    Array.isArray(value) ? value.map(v => pct(v)).join(' – ') : pct(value),
+                    name === 'band' ? '95% CI' : 'Mean',
+                  ]}
+                />
+                <Area type="monotone" dataKey="band" stroke="none" fill="#00d4ff" fillOpacity={0.15} isAnimationActive={false} />
+                <Line type="monotone" dataKey="mean" stroke="#00d4ff" strokeWidth={2} dot={false} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      {/* MC vs QMC */}
+      {convergence.loadings?.length > 0 && (
+        <div style={{ marginTop: '16px', paddingTop: '12px', borderTop: '1px solid rgba(255, 255, 255, 0.06)' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+            <div style={{ fontSize: '11px', color: '#aaa', flex: 1 }}>
+              MC vs QMC convergence on the first-year draw (where the engine applies Halton points)
+            </div>
+            <button
+              onClick={runComparison}
+              disabled={isComparing}
+              style={{ ...styles.buttonSecondary, padding: '5px 10px', fontSize: '10px', fontFamily: FONT_FAMILY }}
+            >
+              {isComparing ? 'Comparing…' : comparison ? '↻ Re-run' : 'Compare MC vs QMC'}
+            </button>
+          </div>
+
+          {comparison && (
+            <>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+                {[
+                  { title: 'RMSE of mean return', mc: 'mcError', qmc: 'qmcError', reference: 'mcReference' },
+                  { title: `Star discrepancy (${comparison.discrepancyDims}D)`, mc: 'mcDiscrepancy', qmc: 'qmcDiscrepancy' },
+                ].map(panel => (
+                  <div key={panel.title}>
+                    <div style={{ fontSize: '10px', color: '#888', marginBottom: '6px' }}>{panel.title} (log–log)</div>
+                    <div style={{ height: '180px' }}>
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={comparison.rows} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.05)" />
+                          <XAxis {...logAxis} ticks={comparison.rows.map(r => r.paths)} />
+                          <YAxis
+                            scale="log"
+                            domain={['auto', 'auto']}
+                            tick={{ fontSize: 9, fill: '#666', fontFamily: FONT_FAMILY }}
+                            tickFormatter={(v) => v.toExponential(0)}
+                            width={45}
+                            axisLine={false}
+                            tickLine={false}
+                          />
+                          <Tooltip
+                            contentStyle={convergenceTooltipStyle}
+                            labelFormatter={(v) => `${Number(v).toLocaleString()} paths`}
+                            formatter={(value, name) => [
+                              Number(value).toExponential(2),
+                              { [panel.mc]: 'MC', [panel.qmc]: 'QMC', mcReference: '1/√N' }[name] || name,
+                            ]}
+                          />
+                          {panel.reference && (
+                            <Line type="linear" dataKey={panel.reference} stroke="#666" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                          )}
+                          <Line type="linear" dataKey={panel.mc} stroke="#ff9f43" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+                          <Line type="linear" dataKey={panel.qmc} stroke="#00d4ff" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <div style={{ fontSize: '10px', color: '#888', marginTop: '6px' }}>
+                <span style={{ color: '#ff9f43' }}>━ MC</span>{'  '}
+                <span style={{ color: '#00d4ff' }}>━ QMC (random-shift Halton)</span>{'  '}
+                <span style={{ color: '#666' }}>┅ 1/√N</span>
+                {qmcGain && (
+                  <> • at {lastComparison.paths.toLocaleString()} paths MC needs ~{qmcGain.toFixed(0)}× as many paths to match QMC on the mean.
+                  Later years and the intra-year steps are pseudo-random either way.</>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+const REGIME_OCCUPANCY_COLORS = ['#2ecc71', '#ff9f43', '#e74c3c'];
+
+const RegimeOccupancyCard = memo(({ regime, styles }) => (
+  <div style={{ ...styles.card, marginBottom: '16px', fontFamily: FONT_FAMILY }}>
+    <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔀 Regime Occupancy</div>
+    <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+      Share of simulated steps spent in each regime • fitted on {regime.observations} trading days
+    </div>
+    <div style={{ display: 'flex', height: '14px', borderRadius: '7px', overflow: 'hidden', marginBottom: '10px' }}>
+      {regime.occupancy.map((share, s) => (
+        <div
+          key={regime.labels[s]}
+          style={{ width: `${share * 100}%`, background: REGIME_OCCUPANCY_COLORS[s === regime.numStates - 1 ? 2 : s] }}
+        />
+      ))}
+    </div>
+    <div style={{ display: 'flex', gap: '16px', fontSize: '10px', color: '#888', flexWrap: 'wrap' }}>
+      {regime.labels.map((label, s) => (
+        <span key={label}>
+          <strong style={{ color: REGIME_OCCUPANCY_COLORS[s === regime.numStates - 1 ? 2 : s] }}>{label}</strong>
+          {' '}{(regime.occupancy[s] * 100).toFixed(1)}% simulated vs {(regime.stationary[s] * 100).toFixed(1)}% historical
+        </span>
+      ))}
+    </div>
+  </div>
+));
+
+const LossScenarioCard = memo(({ lossAnalysis, probLoss, styles }) => {
+  const cardStyle = { ...styles.card, display: 'flex', flexDirection: 'column', minHeight: '380px', fontFamily: FONT_FAMILY, overflow: 'hidden' };
+  
+  if (!lossAnalysis) {
+    return (
+      <div style={cardStyle}>
+        <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔴 Loss Scenario Analysis</div>
+        <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#666', fontFamily: FONT_FAMILY }}>
+          Run simulation to see loss analysis
+        </div>
+      </div>
+    );
+  }
+  
+  if (lossAnalysis.noLosses) {
+    return (
+      <div style={cardStyle}>
+        <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔴 Loss Scenario Analysis</div>
+        <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#2ecc71', fontFamily: FONT_FAMILY }}>
+          🎉 No loss scenarios in this simulation!
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div style={cardStyle}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>🔴 Loss Scenario Analysis</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '10px', fontFamily: FONT_FAMILY }}>
+        Analyzing {lossAnalysis.count.toLocaleString()} loss scenarios ({lossAnalysis.lossPercent?.toFixed(1) || ((probLoss?.probBreakeven || 0) * 100).toFixed(1)}% of paths)
+      </div>
+      
+      {/* 3x2 Stats Grid */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px', marginBottom: '10px' }}>
+        {[
+          { label: 'Loss Threshold', value: lossAnalysis.breakevenPercentile, format: 'pct', color: '#ff9f43', desc: 'Losses start at P' },
+          { label: 'VaR 5%', value: lossAnalysis.var5, format: 'ret', color: '#e74c3c' },
+          { label: 'VaR 10%', value: lossAnalysis.var10, format: 'ret', color: '#e74c3c' },
+          { label: 'CVaR 5%', value: lossAnalysis.cvar5, format: 'ret', color: '#e74c3c', desc: 'Expected Shortfall' },
+          { label: 'Median Loss', value: lossAnalysis.p50Loss, format: 'ret', color: '#e74c3c' },
+          { label: 'Worst Case', value: lossAnalysis.worstCase, format: 'ret', color: '#e74c3c' },
+        ].map((stat, i) => (
+          <div key={i} style={{ 
+            ...styles.stat, 
+            padding: '6px 4px',
+            background: stat.color === '#ff9f43' ? 'rgba(255, 159, 67, 0.08)' : 'rgba(231, 76, 60, 0.05)',
+            borderRadius: '6px',
+          }}>
+            <div style={{ fontSize: '14px', fontWeight: '600', color: stat.color, fontFamily: FONT_FAMILY }}>
+              {stat.format === 'pct' 
+                ? `P${(stat.value || 0).toFixed(0)}`
+                : `${((stat.value || 0) * 100).toFixed(1)}%`
+              }
+            </div>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+          </div>
+        ))}
+      </div>
+      
+      {/* Interactive Histogram for Loss Scenarios */}
+      <div style={{ flex: 1, minHeight: '160px' }}>
+        <InteractiveHistogram
+          data={lossAnalysis.histogramData}
+          height={160}
+          colorPositive="#e74c3c"
+          colorNegative="#e74c3c"
+          showControls={true}
+        />
+      </div>
+    </div>
+  );
+});
+
+const ContributionAnalysis = memo(({ 
+  data, 
+  tickers, 
+  tickerColors, 
+  hoveredScenario, 
+  setHoveredScenario, 
+  hoveredContributions,
+  scenarioLabels,
+  styles 
+}) => {
+  // Find max absolute contribution for scaling bars
+  const maxAbsContrib = useMemo(() => {
+    let max = 0;
+    hoveredContributions.forEach(c => {
+      max = Math.max(max, Math.abs(c.value));
+    });
+    return max || 1;
+  }, [hoveredContributions]);
 
   const totalReturn = hoveredContributions.reduce((s, c) => s + c.value, 0);
 
@@ -1534,4 +3248,336 @@ const ContributionAnalysis = memo(({
 
 SimulationTab.displayName = 'SimulationTab';
 
+// ============================================
+// COMPARE VIEW
+// ============================================
+
+const COMPARE_KIND_LABELS = { current: 'Current', variant: 'What-if', portfolio: 'Portfolio' };
+
+const compareInputStyle = {
+  background: 'rgba(0, 0, 0, 0.3)',
+  border: '1px solid #2a2a4a',
+  borderRadius: '4px',
+  color: '#e0e0e0',
+  padding: '5px 8px',
+  fontSize: '11px',
+  fontFamily: FONT_FAMILY,
+};
+
+const compareButtonStyle = {
+  background: 'transparent',
+  border: '1px solid #2a2a4a',
+  borderRadius: '4px',
+  color: '#aaa',
+  padding: '5px 10px',
+  fontSize: '11px',
+  cursor: 'pointer',
+  fontFamily: FONT_FAMILY,
+};
+
+const compareCellStyle = {
+  padding: '5px 8px',
+  textAlign: 'right',
+  borderBottom: '1px solid rgba(42, 42, 74, 0.5)',
+  fontFamily: FONT_FAMILY,
+};
+
+/**
+ * Side-by-side simulation of two to four books (the current portfolio, saved
+ * what-if variants and the user's other portfolios) with the same settings
+ * and seed: overlaid terminal-return histograms and a metrics table.
+ */
+const ComparePanel = memo(({
+  books = [],
+  comparisonResults,
+  isComparing,
+  isSimulating,
+  riskFreeRate = 0,
+  onSaveVariant,
+  onDeleteVariant,
+  onLoadAccounts,
+  onRunComparison,
+  styles,
+}) => {
+  const [selectedIds, setSelectedIds] = useState(['current']);
+  const [variantName, setVariantName] = useState('');
+  const [isLoadingAccounts, setIsLoadingAccounts] = useState(false);
+
+  const available = useMemo(() => new Set(books.map(b => b.id)), [books]);
+  const selected = selectedIds.filter(id => available.has(id));
+
+  const toggleBook = (id) => {
+    setSelectedIds(prev => {
+      const current = prev.filter(x => available.has(x));
+      if (current.includes(id)) return current.filter(x => x !== id);
+      return current.length >= COMPARE_MAX_BOOKS ? current : [...current, id];
+    });
+  };
+
+  const saveVariant = (e) => {
+    e.preventDefault();
+    if (!variantName.trim()) return;
+    onSaveVariant(variantName);
+    setVariantName('');
+  };
+
+  const loadAccounts = async () => {
+    setIsLoadingAccounts(true);
+    try {
+      await onLoadAccounts();
+    } finally {
+      setIsLoadingAccounts(false);
+    }
+  };
+
+  const compared = useMemo(() => (comparisonResults?.books || []).map(book => ({
+    ...book,
+    summary: summarizeComparisonBook(book.results, { riskFreeRate }),
+  })), [comparisonResults, riskFreeRate]);
+
+  const histogram = useMemo(() => buildOverlayHistogram(compared), [compared]);
+  const ok = compared.filter(b => b.summary);
+
+  const pct = (v, digits = 1) => (v == null || !isFinite(v) ? '—' : `${(v * 100).toFixed(digits)}%`);
+  const num = (v, digits = 2) => (v == null || !isFinite(v) ? '—' : v.toFixed(digits));
+  const ddLabel = comparisonResults?.drawdownThreshold ?? 20;
+
+  // better: 'high' | 'low' | null — best value in the row is bolded
+  const rows = [
+    { section: 'Terminal return' },
+    { label: 'P5', get: s => s.terminal.p5, format: pct, better: 'high' },
+    { label: 'P25', get: s => s.terminal.p25, format: pct, better: 'high' },
+    { label: 'Median', get: s => s.terminal.p50, format: pct, better: 'high' },
+    { label: 'Mean', get: s => s.terminal.mean, format: pct, better: 'high' },
+    { label: 'P75', get: s => s.terminal.p75, format: pct, better: 'high' },
+    { label: 'P95', get: s => s.terminal.p95, format: pct, better: 'high' },
+    { section: 'Risk / reward (annualized)' },
+    { label: 'Mean return', get: s => s.annualizedMean, format: pct, better: 'high' },
+    { label: 'Volatility', get: s => s.annualVol, format: pct, better: 'low' },
+    { label: 'Sharpe', get: s => s.sharpe, format: num, better: 'high' },
+    { section: 'Loss & drawdown' },
+    { label: 'P(loss)', get: s => s.probLoss, format: pct, better: 'low' },
+    { label: 'P(loss > 10%)', get: s => s.probLoss10, format: pct, better: 'low' },
+    { label: 'P(loss > 20%)', get: s => s.probLoss20, format: pct, better: 'low' },
+    { label: 'Median max DD', get: s => s.drawdownP50, format: pct, better: 'low' },
+    { label: 'P95 max DD', get: s => s.drawdownP95, format: pct, better: 'low' },
+    { label: `P(DD ≥ ${ddLabel}%)`, get: s => s.probDrawdown, format: pct, better: 'low' },
+    { section: 'Factor exposure (Σ w·β)' },
+    ...['MKT', 'SMB', 'HML', 'MOM'].map(factor => ({
+      label: factor, get: (s, book) => book.exposure?.betas?.[factor], format: num, better: null,
+    })),
+    { label: 'Coverage', get: (s, book) => book.exposure?.coverage, format: (v) => pct(v, 0), better: null },
+  ];
+
+  const bestIndex = (row) => {
+    if (!row.better) return -1;
+    let best = -1;
+    ok.forEach((book, i) => {
+      const v = row.get(book.summary, book);
+      if (v == null || !isFinite(v)) return;
+      const bestValue = best >= 0 ? row.get(ok[best].summary, ok[best]) : null;
+      if (best < 0 || (row.better === 'high' ? v > bestValue : v < bestValue)) best = i;
+    });
+    return ok.length > 1 ? best : -1;
+  };
+
+  const busy = isComparing || isSimulating;
+  const canRun = !busy && selected.length >= COMPARE_MIN_BOOKS && selected.length <= COMPARE_MAX_BOOKS;
+
+  return (
+    <div style={{ ...styles.card, marginTop: '16px', fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>⚖️ Compare Portfolios & What-Ifs</div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px', fontFamily: FONT_FAMILY }}>
+        Pick {COMPARE_MIN_BOOKS}–{COMPARE_MAX_BOOKS} books. Each runs with the current simulation settings on the same
+        seed and path count, so differences come from the holdings, not from simulation noise.
+      </div>
+
+      {/* Save what-if / load other portfolios */}
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '10px' }}>
+        <form onSubmit={saveVariant} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <input
+            value={variantName}
+            onChange={(e) => setVariantName(e.target.value)}
+            placeholder="What-if name, e.g. Add 10% bonds"
+            maxLength={60}
+            style={{ ...compareInputStyle, minWidth: '220px' }}
+          />
+          <button type="submit" disabled={!variantName.trim()} style={{ ...compareButtonStyle, color: '#00d4ff' }}>
+            💾 Save current as what-if
+          </button>
+        </form>
+        {onLoadAccounts && (
+          <button type="button" onClick={loadAccounts} disabled={isLoadingAccounts} style={compareButtonStyle}>
+            {isLoadingAccounts ? 'Loading…' : '🗂️ Load my other portfolios'}
+          </button>
+        )}
+      </div>
+
+      {/* Book picker */}
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        {books.map(book => {
+          const index = selected.indexOf(book.id);
+          const color = index >= 0 ? COMPARE_COLORS[index] : '#555';
+          return (
+            <div
+              key={book.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '4px 8px',
+                border: `1px solid ${index >= 0 ? color : '#2a2a4a'}`,
+                borderRadius: '4px',
+                background: index >= 0 ? 'rgba(0, 212, 255, 0.05)' : 'transparent',
+                fontSize: '11px',
+              }}
+            >
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', color: index >= 0 ? '#e0e0e0' : '#aaa' }}>
+                <input
+                  type="checkbox"
+                  checked={index >= 0}
+                  onChange={() => toggleBook(book.id)}
+                  disabled={index < 0 && selected.length >= COMPARE_MAX_BOOKS}
+                />
+                <span style={{ color, fontWeight: 600 }}>●</span>
+                {book.label}
+                <span style={{ color: '#666', fontSize: '10px' }}>
+                  {COMPARE_KIND_LABELS[book.kind]} · {book.positions?.length || 0} pos
+                </span>
+              </label>
+              {book.kind === 'variant' && (
+                <button
+                  type="button"
+                  onClick={() => onDeleteVariant(book.id)}
+                  title="Delete this what-if"
+                  style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer', padding: 0, fontSize: '11px' }}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        type="button"
+        onClick={() => onRunComparison(selected)}
+        disabled={!canRun}
+        style={{
+          ...compareButtonStyle,
+          color: canRun ? '#00d4ff' : '#555',
+          borderColor: canRun ? 'rgba(0, 212, 255, 0.4)' : '#2a2a4a',
+          cursor: canRun ? 'pointer' : 'not-allowed',
+        }}
+      >
+        {isComparing ? '⏳ Comparing…' : `▶ Run Comparison (${selected.length})`}
+      </button>
+
+      {comparisonResults && (
+        <div style={{ marginTop: '16px' }}>
+          <div style={{ fontSize: '10px', color: '#888', marginBottom: '8px' }}>
+            {comparisonResults.numPaths.toLocaleString()} paths each • {comparisonResults.horizonYears}-year horizon
+            • {comparisonResults.timeStep} steps • seed {comparisonResults.seed}
+            • {new Date(comparisonResults.ranAt).toLocaleString()}
+          </div>
+
+          {compared.filter(b => b.error).map(book => (
+            <div key={book.id} style={{ fontSize: '11px', color: '#ff6b6b', marginBottom: '6px' }}>
+              ⚠️ {book.label}: {book.error}
+            </div>
+          ))}
+
+          {/* Overlaid terminal-return histograms */}
+          {histogram.length > 0 && (
+            <div style={{ height: '220px', marginBottom: '12px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={histogram} margin={{ top: 8, right: 12, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(42, 42, 74, 0.5)" />
+                  <XAxis dataKey="label" tick={{ fill: '#888', fontSize: 10 }} interval="preserveStartEnd" />
+                  <YAxis tick={{ fill: '#888', fontSize: 10 }} tickFormatter={(v) => `${v.toFixed(0)}%`} width={36} />
+                  <Tooltip
+                    contentStyle={convergenceTooltipStyle}
+                    formatter={(value, key) => [`${value.toFixed(2)}% of paths`, ok.find(b => b.id === key)?.label || key]}
+                  />
+                  <ReferenceLine x={histogram.reduce((best, row) => (Math.abs(row.value) < Math.abs(best.value) ? row : best), histogram[0]).label} stroke="#666" strokeDasharray="4 4" />
+                  {ok.map(book => (
+                    <Area
+                      key={book.id}
+                      type="monotone"
+                      dataKey={book.id}
+                      stroke={book.color}
+                      fill={book.color}
+                      fillOpacity={0.12}
+                      strokeWidth={1.5}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          {/* Metrics table */}
+          {ok.length > 0 && (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...compareCellStyle, textAlign: 'left', color: '#888', fontWeight: 500 }}>Metric</th>
+                    {ok.map(book => (
+                      <th key={book.id} style={{ ...compareCellStyle, color: book.color, fontWeight: 600 }}>{book.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => {
+                    if (row.section) {
+                      return (
+                        <tr key={row.section}>
+                          <td colSpan={ok.length + 1} style={{ ...compareCellStyle, textAlign: 'left', color: '#00d4ff', fontSize: '10px', paddingTop: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+                            {row.section}
+                          </td>
+                        </tr>
+                      );
+                    }
+                    const best = bestIndex(row);
+                    return (
+                      <tr key={row.label}>
+                        <td style={{ ...compareCellStyle, textAlign: 'left', color: '#aaa' }}>{row.label}</td>
+                        {ok.map((book, i) => (
+                          <td key={book.id} style={{ ...compareCellStyle, color: i === best ? '#2ecc71' : '#ddd', fontWeight: i === best ? 700 : 400 }}>
+                            {row.format(row.get(book.summary, book))}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Input caveats */}
+          {ok.some(b => b.notes?.fallbackPairs > 0 || b.notes?.unpricedTickers?.length > 0 || b.exposure?.marketOnly?.length > 0) && (
+            <div style={{ marginTop: '10px', fontSize: '10px', color: '#888', lineHeight: 1.6 }}>
+              {ok.map(book => {
+                const notes = [];
+                if (book.notes?.fallbackPairs > 0) {
+                  notes.push(`${book.notes.fallbackPairs} correlation pair${book.notes.fallbackPairs === 1 ? '' : 's'} assumed ${FALLBACK_CORRELATION}${book.notes.missingTickers.length > 0 ? ` (no history: ${book.notes.missingTickers.join(', ')})` : ''}`);
+                }
+                if (book.notes?.unpricedTickers?.length > 0) notes.push(`skipped unpriced ${book.notes.unpricedTickers.join(', ')}`);
+                if (book.exposure?.marketOnly?.length > 0) notes.push(`market beta only for ${book.exposure.marketOnly.join(', ')}`);
+                return notes.length > 0 ? (
+                  <div key={book.id}><span style={{ color: book.color }}>{book.label}</span>: {notes.join(' • ')}</div>
+                ) : null;
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
 export default SimulationTab;
@@ -0,0 +1,749 @@
+import React, { memo, useState, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  Legend,
+} from 'recharts';
+import { EmptyState } from '../common';
+import { validateCustomScenario } from '../../utils/stressTest';
+import {
+  FACTOR_SHOCK_TEMPLATES,
+  SHOCK_HORIZONS,
+  parseShockText,
+  formatShockText,
+  getShockLabel,
+  validateShockScenario,
+} from '../../utils/factorShock';
+
+/**
+ * StressTab - Historical Stress Test Tab Component
+ *
+ * Replays today's portfolio through named historical windows (2008, COVID,
+ * 2022, dot-com) and user-defined date ranges:
+ * - Scenario table with return, P&L, max drawdown and SPY comparison
+ * - Replay chart of the portfolio vs SPY through the selected window
+ * - Per-position P&L with the data source (history or factor proxy)
+ * - Custom window editor (saved with settings)
+ * - Hypothetical factor shocks ("SPY -20%, XLE +15%") with a saved library
+ */
+
+// ============================================
+// DESIGN SYSTEM
+// ============================================
+
+const COLORS = {
+  cyan: '#00d4ff',
+  green: '#2ecc71',
+  red: '#e74c3c',
+  orange: '#ff9f43',
+  purple: '#9b59b6',
+  blue: '#3498db',
+  gold: '#f1c40f',
+};
+
+const FONT_FAMILY = "'JetBrains Mono', 'Fira Code', 'SF Mono', monospace";
+
+const SOURCE_BADGES = {
+  history: { label: 'History', color: COLORS.green },
+  proxy: { label: 'Proxy', color: COLORS.orange },
+  none: { label: 'No data', color: COLORS.red },
+};
+
+const SHOCK_SOURCE_BADGES = {
+  factors: { label: 'Factors', color: COLORS.green },
+  beta: { label: 'SPY beta', color: COLORS.orange },
+  default: { label: 'β = 1', color: COLORS.red },
+};
+
+const formatPct = (v, digits = 1) => `${v >= 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`;
+
+// ============================================
+// SCENARIO TABLE
+// ============================================
+
+const ScenarioTable = memo(({ scenarios, selectedId, onSelect, onRemoveCustom, formatCurrency }) => (
+  <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '0 4px', fontFamily: FONT_FAMILY, fontSize: '11px' }}>
+    <thead>
+      <tr style={{ color: '#666', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+        <th style={{ textAlign: 'left', padding: '6px 10px' }}>Scenario</th>
+        <th style={{ textAlign: 'left', padding: '6px 10px' }}>Window</th>
+        <th style={{ textAlign: 'right', padding: '6px 10px' }}>Portfolio</th>
+        <th style={{ textAlign: 'right', padding: '6px 10px' }}>P&amp;L</th>
+        <th style={{ textAlign: 'right', padding: '6px 10px' }}>Max DD</th>
+        <th style={{ textAlign: 'right', padding: '6px 10px' }}>SPY</th>
+        <th style={{ textAlign: 'right', padding: '6px 10px' }}>Coverage</th>
+        <th />
+      </tr>
+    </thead>
+    <tbody>
+      {scenarios.map(s => {
+        const isSelected = s.id === selectedId;
+        return (
+          <tr
+            key={s.id}
+            onClick={() => !s.error && onSelect(s.id)}
+            style={{
+              background: isSelected ? 'rgba(0, 212, 255, 0.08)' : 'rgba(0, 0, 0, 0.2)',
+              cursor: s.error ? 'default' : 'pointer',
+              outline: isSelected ? `1px solid ${COLORS.cyan}40` : 'none',
+            }}
+          >
+            <td style={{ padding: '8px 10px', color: '#fff', fontWeight: '600' }}>
+              {s.icon} {s.name}
+              {s.isCustom && <span style={{ marginLeft: '6px', fontSize: '9px', color: COLORS.purple }}>custom</span>}
+            </td>
+            <td style={{ padding: '8px 10px', color: '#888' }}>
+              {s.error ? s.error : `${s.start} → ${s.end}`}
+            </td>
+            <td style={{ padding: '8px 10px', textAlign: 'right', fontWeight: '700', color: s.error ? '#444' : s.return >= 0 ? COLORS.green : COLORS.red }}>
+              {s.error ? '—' : formatPct(s.return)}
+            </td>
+            <td style={{ padding: '8px 10px', textAlign: 'right', color: s.error ? '#444' : s.pnl >= 0 ? COLORS.green : COLORS.red }}>
+              {s.error ? '—' : formatCurrency(s.pnl)}
+            </td>
+            <td style={{ padding: '8px 10px', textAlign: 'right', color: s.error ? '#444' : COLORS.orange }}>
+              {s.error ? '—' : `-${(s.maxDrawdown * 100).toFixed(1)}%`}
+            </td>
+            <td style={{ padding: '8px 10px', textAlign: 'right', color: '#aaa' }}>
+              {s.error ? '—' : formatPct(s.benchmarkReturn)}
+            </td>
+            <td style={{ padding: '8px 10px', textAlign: 'right', color: s.error ? '#444' : s.coverage >= 0.9 ? '#aaa' : COLORS.orange }}>
+              {s.error ? '—' : `${(s.coverage * 100).toFixed(0)}%`}
+            </td>
+            <td style={{ padding: '8px 6px', textAlign: 'right' }}>
+              {s.isCustom && (
+                <button
+                  onClick={(e) => { e.stopPropagation(); onRemoveCustom(s.id); }}
+                  title="Remove custom window"
+                  style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer', fontSize: '13px' }}
+                >
+                  ×
+                </button>
+              )}
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+));
+
+// ============================================
+// SCENARIO DETAIL
+// ============================================
+
+const ScenarioDetail = memo(({ scenario, formatCurrency, styles }) => {
+  const chartData = useMemo(() => scenario.path.map(p => ({
+    date: p.date,
+    portfolio: p.portfolio * 100,
+    benchmark: p.benchmark * 100,
+  })), [scenario.path]);
+
+  const stats = [
+    { label: 'Return', value: formatPct(scenario.return), color: scenario.return >= 0 ? COLORS.green : COLORS.red },
+    { label: 'P&L', value: formatCurrency(scenario.pnl), color: scenario.pnl >= 0 ? COLORS.green : COLORS.red },
+    { label: 'Worst Point', value: formatPct(scenario.worstReturn), color: COLORS.red },
+    { label: 'Max Drawdown', value: `-${(scenario.maxDrawdown * 100).toFixed(1)}%`, color: COLORS.orange },
+    { label: 'vs SPY', value: formatPct(scenario.return - scenario.benchmarkReturn), color: scenario.return >= scenario.benchmarkReturn ? COLORS.green : COLORS.red },
+  ];
+
+  return (
+    <div style={{ ...styles.card, fontFamily: FONT_FAMILY }}>
+      <div style={{ ...styles.cardTitle, fontSize: '14px', fontFamily: FONT_FAMILY }}>
+        {scenario.icon} {scenario.name}
+      </div>
+      <div style={{ fontSize: '11px', color: '#666', marginBottom: '12px' }}>
+        {scenario.description} • {scenario.start} → {scenario.end} ({scenario.tradingDays} trading days)
+        {' '}• trough {scenario.troughDate}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px', marginBottom: '16px' }}>
+        {stats.map(stat => (
+          <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ height: '240px', marginBottom: '16px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+            <XAxis dataKey="date" tick={{ fill: '#666', fontSize: 9 }} minTickGap={40} />
+            <YAxis tick={{ fill: '#666', fontSize: 9 }} tickFormatter={v => `${v.toFixed(0)}%`} width={45} />
+            <Tooltip
+              contentStyle={{ background: '#1a1a2e', border: '1px solid #333', borderRadius: '8px', fontSize: '11px', fontFamily: FONT_FAMILY }}
+              formatter={(v, name) => [`${v >= 0 ? '+' : ''}${v.toFixed(1)}%`, name === 'portfolio' ? 'Portfolio' : 'SPY']}
+            />
+            <Legend formatter={name => (name === 'portfolio' ? 'Portfolio' : 'SPY')} wrapperStyle={{ fontSize: '10px' }} />
+            <ReferenceLine y={0} stroke="#555" />
+            <Line type="monotone" dataKey="portfolio" stroke={COLORS.cyan} strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="benchmark" stroke="#888" strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ fontSize: '10px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '6px' }}>
+        Position contributions (worst first)
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+        <thead>
+          <tr style={{ color: '#666', fontSize: '10px' }}>
+            <th style={{ textAlign: 'left', padding: '4px 8px' }}>Ticker</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Value</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Return</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Worst</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>P&amp;L</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Contribution</th>
+            <th style={{ textAlign: 'left', padding: '4px 8px' }}>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scenario.positions.map(p => {
+            const badge = SOURCE_BADGES[p.source];
+            return (
+              <tr key={p.ticker} style={{ borderTop: '1px solid rgba(255,255,255,0.04)' }}>
+                <td style={{ padding: '5px 8px', color: COLORS.cyan, fontWeight: '600' }}>{p.ticker}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: '#aaa' }}>{formatCurrency(p.value)}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: p.return >= 0 ? COLORS.green : COLORS.red }}>{formatPct(p.return)}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: '#888' }}>{formatPct(p.worstReturn)}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: p.pnl >= 0 ? COLORS.green : COLORS.red }}>{formatCurrency(p.pnl)}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: '#aaa' }}>{formatPct(p.contribution, 2)}</td>
+                <td style={{ padding: '5px 8px' }}>
+                  <span
+                    title={p.source === 'proxy' ? `Factor proxy: ${p.factors.join(', ')}` : undefined}
+                    style={{
+                      fontSize: '9px',
+                      padding: '2px 6px',
+                      borderRadius: '4px',
+                      color: badge.color,
+                      background: `${badge.color}18`,
+                      border: `1px solid ${badge.color}40`,
+                    }}
+                  >
+                    {badge.label}{p.source === 'proxy' && ` (${p.factors.join('+')})`}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+});
+
+// ============================================
+// CUSTOM WINDOW EDITOR
+// ============================================
+
+const CustomScenarioForm = memo(({ onAdd, styles }) => {
+  const [name, setName] = useState('');
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleAdd = () => {
+    const validation = validateCustomScenario({ name, start, end });
+    if (validation) {
+      setError(validation);
+      return;
+    }
+    onAdd({ id: `custom-${Date.now()}`, name: name.trim(), start, end });
+    setName('');
+    setStart('');
+    setEnd('');
+    setError(null);
+  };
+
+  const inputStyle = { ...styles.input, fontSize: '11px', padding: '6px 8px', fontFamily: FONT_FAMILY };
+
+  return (
+    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', fontFamily: FONT_FAMILY }}>
+      <input type="text" placeholder="Window name" value={name} onChange={e => setName(e.target.value)} style={{ ...inputStyle, width: '160px' }} />
+      <input type="date" value={start} onChange={e => setStart(e.target.value)} style={inputStyle} />
+      <span style={{ color: '#666', fontSize: '11px' }}>→</span>
+      <input type="date" value={end} onChange={e => setEnd(e.target.value)} style={inputStyle} />
+      <button style={{ ...styles.button, ...styles.buttonSecondary, fontSize: '11px', padding: '6px 12px' }} onClick={handleAdd}>
+        + Add Window
+      </button>
+      {error && <span style={{ fontSize: '10px', color: COLORS.red }}>{error}</span>}
+    </div>
+  );
+});
+
+// ============================================
+// FACTOR SHOCKS
+// ============================================
+
+const ShockChip = ({ label, onClick, onRemove, active, subtitle, isTemplate }) => (
+  <div
+    onClick={onClick}
+    style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '5px 10px',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '11px',
+      background: active ? 'rgba(0, 212, 255, 0.12)' : 'rgba(0, 0, 0, 0.25)',
+      border: `1px solid ${active ? COLORS.cyan + '60' : isTemplate ? 'rgba(155, 89, 182, 0.3)' : 'rgba(255,255,255,0.08)'}`,
+      color: '#ddd',
+    }}
+  >
+    <span>{label}</span>
+    {subtitle && <span style={{ fontSize: '9px', color: '#666' }}>{subtitle}</span>}
+    {onRemove && (
+      <button
+        onClick={(e) => { e.stopPropagation(); onRemove(); }}
+        title="Remove from library"
+        style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer', fontSize: '12px', padding: 0 }}
+      >
+        ×
+      </button>
+    )}
+  </div>
+);
+
+const ShockDetail = memo(({ result, formatCurrency, styles }) => {
+  const maxAbs = Math.max(...result.byFactor.map(f => Math.abs(f.pnl)), 1);
+
+  return (
+    <div style={{ marginTop: '16px', paddingTop: '12px', borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+      <div style={{ fontSize: '13px', fontWeight: '600', color: '#fff', marginBottom: '4px' }}>
+        {result.icon} {result.name}
+      </div>
+      {result.description && (
+        <div style={{ fontSize: '11px', color: '#666', marginBottom: '10px' }}>{result.description}</div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '8px', marginBottom: '14px' }}>
+        {[
+          { label: 'Expected P&L', value: formatCurrency(result.pnl), color: result.pnl >= 0 ? COLORS.green : COLORS.red },
+          { label: 'Return', value: formatPct(result.return), color: result.return >= 0 ? COLORS.green : COLORS.red },
+          { label: '90% Band Low', value: formatCurrency(result.band.low), color: COLORS.red },
+          { label: '90% Band High', value: formatCurrency(result.band.high), color: result.band.high >= 0 ? COLORS.green : COLORS.orange },
+        ].map(stat => (
+          <div key={stat.label} style={{ ...styles.stat, padding: '8px' }}>
+            <div style={{ ...styles.statLabel, fontSize: '9px', fontFamily: FONT_FAMILY }}>{stat.label}</div>
+            <div style={{ fontSize: '15px', fontWeight: '700', color: stat.color, fontFamily: FONT_FAMILY }}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ fontSize: '10px', color: '#666', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '6px' }}>
+        P&amp;L by factor
+      </div>
+      <div style={{ marginBottom: '14px' }}>
+        {result.byFactor.map(f => (
+          <div key={f.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '11px', marginBottom: '4px' }}>
+            <div style={{ width: '170px', color: '#aaa' }}>
+              {f.label} <span style={{ color: '#666' }}>{formatPct(f.shock)}</span>
+            </div>
+            <div style={{ flex: 1, height: '10px', background: 'rgba(255,255,255,0.03)', position: 'relative', borderRadius: '2px' }}>
+              <div style={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: f.pnl >= 0 ? '50%' : `${50 - (Math.abs(f.pnl) / maxAbs) * 50}%`,
+                width: `${(Math.abs(f.pnl) / maxAbs) * 50}%`,
+                background: f.pnl >= 0 ? COLORS.green : COLORS.red,
+                borderRadius: '2px',
+              }} />
+              <div style={{ position: 'absolute', left: '50%', top: '-2px', bottom: '-2px', width: '1px', background: '#555' }} />
+            </div>
+            <div style={{ width: '90px', textAlign: 'right', color: f.pnl >= 0 ? COLORS.green : COLORS.red }}>{formatCurrency(f.pnl)}</div>
+          </div>
+        ))}
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+        <thead>
+          <tr style={{ color: '#666', fontSize: '10px' }}>
+            <th style={{ textAlign: 'left', padding: '4px 8px' }}>Ticker</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Value</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Return</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>P&amp;L</th>
+            <th style={{ textAlign: 'right', padding: '4px 8px' }}>Residual ±1σ</th>
+            <th style={{ textAlign: 'left', padding: '4px 8px' }}>Exposures</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.positions.map(p => {
+            const badge = SHOCK_SOURCE_BADGES[p.source];
+            return (
+              <tr key={p.ticker} style={{ borderTop: '1px solid rgba(255,255,255,0.04)' }}>
+                <td style={{ padding: '5px 8px', color: COLORS.cyan, fontWeight: '600' }}>{p.ticker}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: '#aaa' }}>{formatCurrency(p.value)}</td>
+                <td
+                  style={{ padding: '5px 8px', textAlign: 'right', color: p.return >= 0 ? COLORS.green : COLORS.red }}
+                  title={Object.entries(p.byFactor).map(([k, r]) => `${k}: ${formatPct(r, 2)}`).join('\n')}
+                >
+                  {formatPct(p.return)}
+                </td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: p.pnl >= 0 ? COLORS.green : COLORS.red }}>{formatCurrency(p.pnl)}</td>
+                <td style={{ padding: '5px 8px', textAlign: 'right', color: '#888' }}>
+                  {p.residualSigma > 0 ? `±${formatCurrency(Math.abs(p.value) * p.residualSigma)}` : '—'}
+                </td>
+                <td style={{ padding: '5px 8px' }}>
+                  <span style={{
+                    fontSize: '9px',
+                    padding: '2px 6px',
+                    borderRadius: '4px',
+                    color: badge.color,
+                    background: `${badge.color}18`,
+                    border: `1px solid ${badge.color}40`,
+                  }}>
+                    {badge.label}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+});
+
+const FactorShockPanel = memo(({
+  shockLibrary,
+  setShockLibrary,
+  shockResults,
+  isShocking,
+  runFactorShocks,
+  hasFactorAnalysis,
+  formatCurrency,
+  styles,
+}) => {
+  const [draftName, setDraftName] = useState('');
+  const [draftText, setDraftText] = useState('SPY -20%, SMB +5%, HML -3%, XLE +15%');
+  const [horizonDays, setHorizonDays] = useState(21);
+  const [selectedId, setSelectedId] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  const parsed = useMemo(() => parseShockText(draftText), [draftText]);
+  const hasShocks = Object.keys(parsed.shocks).length > 0;
+
+  const results = shockResults?.scenarios || [];
+  const selected = results.find(r => r.id === selectedId) || results[0] || null;
+
+  const loadScenario = (scenario) => {
+    setDraftName(scenario.isTemplate ? `${scenario.name} (copy)` : scenario.name);
+    setDraftText(formatShockText(scenario.shocks));
+    setSaveError(null);
+  };
+
+  const handleRunDraft = () => {
+    if (!hasShocks) return;
+    setSelectedId('draft');
+    runFactorShocks([{ id: 'draft', name: draftName.trim() || 'Ad-hoc shock', shocks: parsed.shocks }], horizonDays);
+  };
+
+  const handleRunAll = () => {
+    setSelectedId(null);
+    runFactorShocks([
+      ...shockLibrary,
+      ...FACTOR_SHOCK_TEMPLATES.map(t => ({ ...t, isTemplate: true })),
+    ], horizonDays);
+  };
+
+  const handleSave = () => {
+    const validation = validateShockScenario({ name: draftName, shocks: parsed.shocks });
+    if (validation || parsed.errors.length > 0) {
+      setSaveError(validation || 'Fix the shock entries first');
+      return;
+    }
+    const name = draftName.trim();
+    setShockLibrary(prev => {
+      const existing = prev.find(s => s.name.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        return prev.map(s => (s.id === existing.id ? { ...s, shocks: parsed.shocks } : s));
+      }
+      return [...prev, { id: `shock-${Date.now()}`, name, shocks: parsed.shocks, createdAt: new Date().toISOString() }];
+    });
+    setSaveError(null);
+  };
+
+  const inputStyle = { ...styles.input, fontSize: '11px', padding: '6px 8px', fontFamily: FONT_FAMILY };
+
+  return (
+    <div style={{ ...styles.card, fontFamily: FONT_FAMILY }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '12px' }}>
+        <div>
+          <div style={{ ...styles.cardTitle, marginBottom: '4px' }}>
+            <span>⚡</span> Factor Shock Scenarios
+          </div>
+          <div style={{ fontSize: '11px', color: '#666' }}>
+            Hypothetical moves in SPY, size/value/momentum spreads and sector ETFs, applied through each position's betas
+          </div>
+        </div>
+        <button
+          style={{ ...styles.button, ...styles.buttonSecondary, opacity: isShocking ? 0.7 : 1 }}
+          onClick={handleRunAll}
+          disabled={isShocking}
+        >
+          {isShocking ? '⏳ Running...' : `▶ Run Library (${shockLibrary.length + FACTOR_SHOCK_TEMPLATES.length})`}
+        </button>
+      </div>
+
+      {/* Editor */}
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '6px' }}>
+        <input type="text" placeholder="Scenario name" value={draftName} onChange={e => setDraftName(e.target.value)} style={{ ...inputStyle, width: '160px' }} />
+        <input
+          type="text"
+          placeholder="SPY -20%, SMB +5%, XLE +15%"
+          value={draftText}
+          onChange={e => setDraftText(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') handleRunDraft(); }}
+          style={{ ...inputStyle, flex: 1, minWidth: '260px' }}
+        />
+        <div style={{ display: 'flex', gap: '2px' }}>
+          {SHOCK_HORIZONS.map(h => (
+            <button
+              key={h.days}
+              onClick={() => setHorizonDays(h.days)}
+              title={`Residual band over ${h.days} trading days`}
+              style={{
+                padding: '5px 8px',
+                fontSize: '10px',
+                fontFamily: FONT_FAMILY,
+                borderRadius: '4px',
+                cursor: 'pointer',
+                border: `1px solid ${horizonDays === h.days ? COLORS.cyan : 'rgba(255,255,255,0.1)'}`,
+                background: horizonDays === h.days ? 'rgba(0, 212, 255, 0.15)' : 'transparent',
+                color: horizonDays === h.days ? COLORS.cyan : '#888',
+              }}
+            >
+              {h.label}
+            </button>
+          ))}
+        </div>
+        <button
+          style={{ ...styles.button, fontSize: '11px', padding: '6px 12px', opacity: hasShocks && !isShocking ? 1 : 0.5 }}
+          onClick={handleRunDraft}
+          disabled={!hasShocks || isShocking}
+        >
+          Run
+        </button>
+        <button style={{ ...styles.button, ...styles.buttonSecondary, fontSize: '11px', padding: '6px 12px' }} onClick={handleSave}>
+          💾 Save
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', minHeight: '18px', marginBottom: '12px', fontSize: '10px' }}>
+        {Object.entries(parsed.shocks).map(([key, v]) => (
+          <span key={key} style={{ color: v >= 0 ? COLORS.green : COLORS.red }}>
+            {getShockLabel(key)} {formatPct(v)}
+          </span>
+        ))}
+        {parsed.errors.map(err => <span key={err} style={{ color: COLORS.red }}>⚠ {err}</span>)}
+        {saveError && <span style={{ color: COLORS.red }}>{saveError}</span>}
+      </div>
+
+      {/* Library */}
+      <div style={{ fontSize: '10px', color: '#888', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '6px' }}>
+        Library
+      </div>
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '4px' }}>
+        {shockLibrary.map(s => (
+          <ShockChip
+            key={s.id}
+            label={s.name}
+            subtitle={s.lastRunAt ? `ran ${new Date(s.lastRunAt).toLocaleDateString()}` : 'not run'}
+            onClick={() => loadScenario(s)}
+            onRemove={() => setShockLibrary(prev => prev.filter(x => x.id !== s.id))}
+          />
+        ))}
+        {FACTOR_SHOCK_TEMPLATES.map(t => (
+          <ShockChip
+            key={t.id}
+            label={`${t.icon} ${t.name}`}
+            subtitle="template"
+            isTemplate
+            onClick={() => loadScenario({ ...t, isTemplate: true })}
+          />
+        ))}
+      </div>
+
+      {/* Results */}
+      {results.length > 0 && (
+        <div style={{ marginTop: '16px' }}>
+          <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '0 4px', fontSize: '11px' }}>
+            <thead>
+              <tr style={{ color: '#666', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+                <th style={{ textAlign: 'left', padding: '6px 10px' }}>Scenario</th>
+                <th style={{ textAlign: 'left', padding: '6px 10px' }}>Shocks</th>
+                <th style={{ textAlign: 'right', padding: '6px 10px' }}>Return</th>
+                <th style={{ textAlign: 'right', padding: '6px 10px' }}>P&amp;L</th>
+                <th style={{ textAlign: 'right', padding: '6px 10px' }}>90% Band</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(r => {
+                const isSelected = r.id === selected?.id;
+                return (
+                  <tr
+                    key={r.id}
+                    onClick={() => setSelectedId(r.id)}
+                    style={{
+                      background: isSelected ? 'rgba(0, 212, 255, 0.08)' : 'rgba(0, 0, 0, 0.2)',
+                      cursor: 'pointer',
+                      outline: isSelected ? `1px solid ${COLORS.cyan}40` : 'none',
+                    }}
+                  >
+                    <td style={{ padding: '8px 10px', color: '#fff', fontWeight: '600' }}>
+                      {r.icon} {r.name}
+                      {r.isTemplate && <span style={{ marginLeft: '6px', fontSize: '9px', color: COLORS.purple }}>template</span>}
+                    </td>
+                    <td style={{ padding: '8px 10px', color: '#888' }}>{formatShockText(r.shocks)}</td>
+                    <td style={{ padding: '8px 10px', textAlign: 'right', fontWeight: '700', color: r.return >= 0 ? COLORS.green : COLORS.red }}>
+                      {formatPct(r.return)}
+                    </td>
+                    <td style={{ padding: '8px 10px', textAlign: 'right', color: r.pnl >= 0 ? COLORS.green : COLORS.red }}>
+                      {formatCurrency(r.pnl)}
+                    </td>
+                    <td style={{ padding: '8px 10px', textAlign: 'right', color: '#aaa' }}>
+                      {formatPct(r.band.lowReturn)} … {formatPct(r.band.highReturn)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div style={{ fontSize: '10px', color: '#666', marginTop: '6px' }}>
+            Band = 90% range from idiosyncratic (residual) volatility over {shockResults.horizonDays} trading days, positions independent.
+            {!hasFactorAnalysis && ' Run factor analysis for size/value/momentum betas and residual vol; until then the SPY beta is used.'}
+            {shockResults.sectorSource === 'local' && ' Sector loadings from locally loaded returns (worker unavailable).'}
+            {selected?.missingSectorData?.length > 0 && ` No market data for ${selected.missingSectorData.join(', ')}; treated as beta 1 to SPY with no position loadings.`}
+          </div>
+
+          {selected && <ShockDetail result={selected} formatCurrency={formatCurrency} styles={styles} />}
+        </div>
+      )}
+    </div>
+  );
+});
+
+// ============================================
+// MAIN COMPONENT
+// ============================================
+
+const StressTab = ({
+  positions,
+  stressResults,
+  isStressTesting,
+  stressProgress,
+  runStressTest,
+  customScenarios,
+  setCustomScenarios,
+  shockLibrary,
+  setShockLibrary,
+  shockResults,
+  isShocking,
+  runFactorShocks,
+  hasFactorAnalysis,
+  formatCurrency,
+  styles,
+}) => {
+  const [selectedId, setSelectedId] = useState('covid2020');
+
+  const scenarios = stressResults?.scenarios || [];
+  const selected = scenarios.find(s => s.id === selectedId && !s.error) || scenarios.find(s => !s.error) || null;
+
+  const handleAddCustom = (scenario) => setCustomScenarios(prev => [...prev, scenario]);
+  const handleRemoveCustom = (id) => setCustomScenarios(prev => prev.filter(s => s.id !== id));
+
+  if (positions.length === 0) {
+    return (
+      <EmptyState
+        icon="🌪️"
+        title="No positions to stress test"
+        description="Add positions to replay your portfolio through historical crises."
+      />
+    );
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{ ...styles.card, fontFamily: FONT_FAMILY }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', flexWrap: 'wrap', gap: '12px' }}>
+          <div>
+            <div style={{ ...styles.cardTitle, marginBottom: '4px' }}>
+              <span>🌪️</span> Historical Stress Test
+            </div>
+            <div style={{ fontSize: '11px', color: '#666' }}>
+              What today's holdings would have done in past crises • buy-and-hold from the window start, cash held flat
+            </div>
+          </div>
+          <button
+            style={{ ...styles.button, opacity: isStressTesting ? 0.7 : 1 }}
+            onClick={runStressTest}
+            disabled={isStressTesting}
+          >
+            {isStressTesting
+              ? (stressProgress ? `⏳ Loading history ${stressProgress.current}/${stressProgress.total}` : '⏳ Replaying...')
+              : stressResults ? '🔄 Re-run' : '▶ Run Stress Test'}
+          </button>
+        </div>
+
+        {stressResults?.error && (
+          <div style={{ fontSize: '11px', color: COLORS.red, marginBottom: '12px' }}>{stressResults.error}</div>
+        )}
+
+        {scenarios.length > 0 && (
+          <ScenarioTable
+            scenarios={scenarios}
+            selectedId={selected?.id}
+            onSelect={setSelectedId}
+            onRemoveCustom={handleRemoveCustom}
+            formatCurrency={formatCurrency}
+          />
+        )}
+
+        {stressResults && !stressResults.error && (
+          <div style={{ fontSize: '10px', color: '#666', marginTop: '8px' }}>
+            Coverage = share of gross exposure with real price history in the window. Positions without it use
+            {stressResults.usedFactorBetas ? ' their factor betas (Factors tab)' : ' their SPY beta (run factor analysis for size/value/momentum betas)'}
+            {' '}on SPY and factor ETF spreads.
+            {stressResults.unavailableTickers?.length > 0 && ` No history found for ${stressResults.unavailableTickers.join(', ')}.`}
+          </div>
+        )}
+
+        <div style={{ marginTop: '16px', paddingTop: '12px', borderTop: '1px solid rgba(255,255,255,0.06)' }}>
+          <div style={{ fontSize: '10px', color: '#888', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '8px' }}>
+            Custom windows {customScenarios.length > 0 && `(${customScenarios.length})`}
+          </div>
+          <CustomScenarioForm onAdd={handleAddCustom} styles={styles} />
+        </div>
+      </div>
+
+      {selected && (
+        <ScenarioDetail scenario={selected} formatCurrency={formatCurrency} styles={styles} />
+      )}
+
+      <FactorShockPanel
+        shockLibrary={shockLibrary}
+        setShockLibrary={setShockLibrary}
+        shockResults={shockResults}
+        isShocking={isShocking}
+        runFactorShocks={runFactorShocks}
+        hasFactorAnalysis={hasFactorAnalysis}
+        formatCurrency={formatCurrency}
+        styles={styles}
+      />
+    </div>
+  );
+};
+
+export default StressTab;
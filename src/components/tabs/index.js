@@ -6,3 +6,5 @@ export { default as FactorsTab } from './FactorsTab';
 export { default as ExportTab } from './ExportTab';
 export { default as DistributionsTab } from './DistributionsTab';
 export { default as ConsensusTab } from './ConsensusTab';
+export { default as StressTab } from './StressTab';
+export { default as PerformanceTab } from './PerformanceTab';
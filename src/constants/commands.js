@@ -86,16 +86,36 @@ export const COMMANDS = [
     payload: 'optimize',
     description: 'Switch to portfolio optimization tab',
   },
+  {
+    id: 'nav-stress',
+    label: 'Go to Stress Test',
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    shortcut: '8',
+    icon: '🌪️',
+    action: 'navigate',
+    payload: 'stress',
+    description: 'Switch to historical stress test tab',
+  },
   {
     id: 'nav-export',
     label: 'Go to Export',
     category: COMMAND_CATEGORIES.NAVIGATION,
-    shortcut: '7',
+    shortcut: '9',
     icon: '📤',
     action: 'navigate',
     payload: 'export',
     description: 'Switch to export tab',
   },
+  {
+    id: 'nav-performance',
+    label: 'Go to Performance',
+    category: COMMAND_CATEGORIES.NAVIGATION,
+    shortcut: '0',
+    icon: '🏁',
+    action: 'navigate',
+    payload: 'performance',
+    description: 'Switch to realized performance tab',
+  },
 
   // Action commands
   {
@@ -203,6 +223,15 @@ export const COMMANDS = [
     payload: 'gaussianCopula',
     description: 'Use Gaussian copula with marginal fat tails',
   },
+  {
+    id: 'settings-fat-tail-regime',
+    label: 'Use Regime Switching',
+    category: COMMAND_CATEGORIES.SETTINGS,
+    icon: '🔀',
+    action: 'setFatTail',
+    payload: 'regimeSwitching',
+    description: 'Switch between calm and stress regimes fitted to market data',
+  },
 
   // Help commands
   {
@@ -64,6 +64,118 @@ export const DEFAULT_CASH = {
   riskFreeRate: 0.05, // 5%
 };
 
+/**
+ * Default cash-flow schedule applied along simulated paths.
+ * Amounts are in portfolio currency; withdrawals are paid monthly.
+ */
+export const DEFAULT_CASH_FLOWS = {
+  /** Recurring contribution added at each month end */
+  monthlyContribution: 0,
+  
+  /** Years of contributions (0 = whole horizon) */
+  contributionYears: 0,
+  
+  /** Annual withdrawal, paid in monthly installments */
+  annualWithdrawal: 0,
+  
+  /** Withdrawal indexing: 'fixed' | 'inflation' */
+  withdrawalType: 'inflation',
+  
+  /** Years from today before withdrawals begin */
+  withdrawalStartYear: 0,
+  
+  /** Annual inflation used for indexed withdrawals and real wealth */
+  inflationRate: 0.025, // 2.5%
+  
+  /** One-off flows: [{ id, date: 'YYYY-MM', amount }] (negative = redemption) */
+  lumpSums: [],
+};
+
+/**
+ * Default rebalancing policy for simulated paths
+ */
+export const DEFAULT_REBALANCING = {
+  /** Policy: 'none' (buy-and-hold drift) | 'calendar' | 'bands' */
+  mode: 'none',
+  
+  /** Calendar frequency: 'monthly' | 'quarterly' | 'annual' */
+  frequency: 'quarterly',
+  
+  /** Band half-width around target weight when no saved min/max exists */
+  bandWidth: 0.05, // ±5 percentage points
+};
+
+/**
+ * Default account tax treatment and rates for after-tax results.
+ * Rates are combined (federal + state) marginal rates.
+ */
+export const DEFAULT_TAXES = {
+  /** Treatment: 'none' (pre-tax only) | 'taxable' | 'taxDeferred' | 'taxFree' */
+  treatment: 'none',
+  
+  /** Qualified dividends */
+  dividendRate: 0.15, // 15%
+  
+  /** Realized gains on lots held a year or less */
+  shortTermRate: 0.32, // 32%
+  
+  /** Realized gains on lots held more than a year */
+  longTermRate: 0.15, // 15%
+  
+  /** Interest, bond coupons and tax-deferred withdrawals */
+  incomeRate: 0.32, // 32%
+  
+  /** Dividend yield for equities without ledger or consensus dividend data */
+  fallbackYield: 0.015, // 1.5%
+};
+
+/**
+ * Default variance reduction for simulated paths
+ */
+export const DEFAULT_VARIANCE_REDUCTION = {
+  /** Run paths as antithetic pairs (normals negated on the second path) */
+  antithetic: false,
+  
+  /** Regress out the Gaussian-model portfolio return (known mean) */
+  controlVariate: false,
+};
+
+/**
+ * Default adaptive path count: keep adding batches until every headline
+ * statistic's 95% CI is within ±target
+ */
+export const DEFAULT_ADAPTIVE_PATHS = {
+  enabled: false,
+  
+  /** CI half-width target (return / probability units) */
+  targetHalfWidth: 0.005, // ±0.5 percentage points
+  
+  /** Cap on total paths */
+  maxPaths: 200000,
+};
+
+/**
+ * Per-portfolio simulation settings a portfolio starts with, and falls back
+ * to when its saved settings leave a field out
+ */
+export const DEFAULT_PORTFOLIO_SETTINGS = {
+  numPaths: 10000,
+  useQmc: false,
+  fatTailMethod: 'multivariateTStudent',
+  drawdownThreshold: 20, // percent
+  gldAsCash: false,
+  horizonYears: 1,
+  timeStep: 'monthly',
+  cashFlows: DEFAULT_CASH_FLOWS,
+  rebalancing: DEFAULT_REBALANCING,
+  taxes: DEFAULT_TAXES,
+  regimeStates: 2,
+  volatilityModel: 'constant',
+  useEwma: true,
+  cashRate: 0.05,
+  riskFreeRate: 0.05,
+};
+
 /**
  * Default correlation matrix settings
  */
@@ -166,6 +278,12 @@ export default {
   DEFAULT_POSITION,
   DEFAULT_SIMULATION,
   DEFAULT_CASH,
+  DEFAULT_CASH_FLOWS,
+  DEFAULT_REBALANCING,
+  DEFAULT_TAXES,
+  DEFAULT_VARIANCE_REDUCTION,
+  DEFAULT_ADAPTIVE_PATHS,
+  DEFAULT_PORTFOLIO_SETTINGS,
   DEFAULT_CORRELATION,
   DEFAULT_FACTOR_ANALYSIS,
   DEFAULT_OPTIMIZATION,
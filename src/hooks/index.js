@@ -19,6 +19,9 @@ export { default as useAutosave, AutosaveStatus } from './useAutosave';
 // Undo/Redo hook
 export { default as useUndoRedo } from './useUndoRedo';
 
+// Debounced, one-at-a-time server saves
+export { default as useSerializedSave } from './useSerializedSave';
+
 // Chart interaction hook
 export { default as useChartInteraction } from './useChartInteraction';
 
@@ -28,6 +31,7 @@ export { useCorrelation } from './useCorrelation';
 export { useFactorAnalysis } from './useFactorAnalysis';
 export { useSimulation } from './useSimulation';
 export { useOptimization } from './useOptimization';
+export { useStressTest } from './useStressTest';
 
 // Portfolio sync hook (server persistence)
 export { usePortfolioSync } from './usePortfolioSync';
@@ -14,6 +14,7 @@ import {
   computeIncrementalSharpe,
   computeOptimalityRatio,
   computeRiskParityWeights,
+  computeHRPWeights,
 } from '../utils/portfolioOptimization';
 import { boxMuller, generateChiSquared } from '../utils/statistics';
 import { choleskyDecomposition } from '../utils/matrix';
@@ -25,7 +26,7 @@ import { choleskyDecomposition } from '../utils/matrix';
  * - Analytical swap matrix computation
  * - Monte Carlo validation of swaps
  * - Risk decomposition
- * - Risk parity computation
+ * - Risk parity and hierarchical risk parity computation
  */
 export function useOptimization() {
   const { positions, weights, portfolioValue, grossPositionsValue, cashBalance, cashRate } = useContext(PortfolioContext);
@@ -110,6 +111,13 @@ export function useOptimization() {
     const riskParityReturn = riskParityPositionsReturn + cashContribution;
     const riskParitySharpe = computeSharpeRatio(riskParityReturn, riskParityVol, rf);
     
+    // Hierarchical risk parity target (clusters instead of inverting the covariance)
+    const hrpWeights = computeHRPWeights(sigmaArray, covMatrix);
+    const adjustedHrpWeights = hrpWeights.map(w => w * leverageRatio);
+    const hrpVol = computePortfolioVolatility(adjustedHrpWeights, covMatrix);
+    const hrpReturn = computePortfolioReturn(adjustedHrpWeights, muArray) + cashContribution;
+    const hrpSharpe = computeSharpeRatio(hrpReturn, hrpVol, rf);
+    
     setProgress({ current: 10, total: 100, phase: 'Computing swap matrix...' });
     await new Promise(r => setTimeout(r, 10));
     
@@ -308,6 +316,14 @@ export function useOptimization() {
         sharpe: riskParitySharpe,
         deltaSharpe: riskParitySharpe - currentSharpe,
       },
+      
+      hrp: {
+        weights: hrpWeights,
+        portfolioReturn: hrpReturn,
+        portfolioVol: hrpVol,
+        sharpe: hrpSharpe,
+        deltaSharpe: hrpSharpe - currentSharpe,
+      },
     };
     
     const optTime = (results.computeTime / 1000).toFixed(1);
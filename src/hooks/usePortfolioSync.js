@@ -9,6 +9,8 @@
  * 2. On position changes: Debounced save to server
  * 3. After analysis runs: Save results to server
  * 4. Offline: Keep localStorage, sync when back online
+ * 5. Multiple portfolios: saves go to the active portfolio; switching flushes
+ *    any pending save first, then loads the other portfolio
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -24,8 +26,29 @@ import {
   isSyncAvailable,
   saveCorrelationGroups,
   loadCorrelationGroups,
+  replaceTargetAllocations,
+  replaceTransactions,
+  saveSnapshot,
+  setActivePortfolioId,
+  listPortfolios,
+  createPortfolio,
+  updatePortfolio,
+  clonePortfolio,
+  deletePortfolio,
+  fetchHouseholdData,
 } from '../services/portfolioService';
 
+// Remembers the selected portfolio across reloads
+const ACTIVE_PORTFOLIO_KEY = 'mc-active-portfolio';
+
+const readStoredPortfolioId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_PORTFOLIO_KEY) || null;
+  } catch {
+    return null;
+  }
+};
+
 // ============================================
 // TYPES
 // ============================================
@@ -53,13 +76,24 @@ import {
  * @param {boolean} options.autoSync - Enable automatic syncing (default: true)
  * @returns {{
  *   syncState: SyncState,
+ *   portfolios: Object[],
+ *   activePortfolioId: string|null,
  *   loadFromServer: Function,
+ *   switchPortfolio: Function,
+ *   createPortfolioOnServer: Function,
+ *   updatePortfolioOnServer: Function,
+ *   clonePortfolioOnServer: Function,
+ *   deletePortfolioOnServer: Function,
+ *   loadHouseholdFromServer: Function,
  *   savePositionsToServer: Function,
  *   saveCorrelationToServer: Function,
  *   saveSimulationToServer: Function,
  *   saveFactorsToServer: Function,
  *   saveOptimizationToServer: Function,
  *   saveSettingsToServer: Function,
+ *   saveTargetAllocationsToServer: Function,
+ *   saveTransactionsToServer: Function,
+ *   saveSnapshotToServer: Function,
  * }}
  */
 export function usePortfolioSync(options = {}) {
@@ -74,20 +108,45 @@ export function usePortfolioSync(options = {}) {
     hasUnsyncedChanges: false,
   });
 
+  // Portfolios owned by the user and the one being edited
+  const [portfolios, setPortfolios] = useState([]);
+  const [activePortfolioId, setActivePortfolioIdState] = useState(readStoredPortfolioId);
+  const activePortfolioIdRef = useRef(activePortfolioId);
+
   // Refs for debouncing and tracking
   const saveTimeoutRef = useRef(null);
+  const pendingSaveRef = useRef(null);
   const isSyncingRef = useRef(false);
 
+  const rememberActivePortfolio = useCallback((portfolioId) => {
+    activePortfolioIdRef.current = portfolioId;
+    setActivePortfolioId(portfolioId);
+    setActivePortfolioIdState(portfolioId);
+    try {
+      if (portfolioId) localStorage.setItem(ACTIVE_PORTFOLIO_KEY, portfolioId);
+      else localStorage.removeItem(ACTIVE_PORTFOLIO_KEY);
+    } catch {
+      // Storage full or disabled - selection just won't survive a reload
+    }
+  }, []);
+
+  const refreshPortfolios = useCallback(async () => {
+    const { portfolios: list, error } = await listPortfolios();
+    if (!error) setPortfolios(list);
+    return list;
+  }, []);
+
   // ============================================
   // LOAD FROM SERVER (on login)
   // ============================================
 
   /**
-   * Load all user data from server
+   * Load all data of a portfolio from server
    * Call this on login to restore full state
+   * @param {string|null} [portfolioId] - Defaults to the active (last selected) portfolio
    * @returns {Promise<{data: Object|null, error: Error|null}>}
    */
-  const loadFromServer = useCallback(async () => {
+  const loadFromServer = useCallback(async (portfolioId = activePortfolioIdRef.current) => {
     if (!isAuthenticated || !isAuthAvailable) {
       return { data: null, error: null };
     }
@@ -96,7 +155,7 @@ export function usePortfolioSync(options = {}) {
     setSyncState(prev => ({ ...prev, status: 'syncing', error: null }));
 
     try {
-      const { data, error } = await fetchAllData();
+      const { data, error } = await fetchAllData(portfolioId);
 
       if (error) {
         console.error('[usePortfolioSync] Load error:', error);
@@ -111,6 +170,10 @@ export function usePortfolioSync(options = {}) {
         hasUnsyncedChanges: false,
       });
 
+      // Stored selection may have been deleted elsewhere; track what actually loaded
+      rememberActivePortfolio(data?.portfolioId || null);
+      refreshPortfolios();
+
       console.log('[usePortfolioSync] Loaded data from server:', data ? 'success' : 'no data');
       return { data, error: null };
     } catch (error) {
@@ -120,7 +183,7 @@ export function usePortfolioSync(options = {}) {
     } finally {
       isSyncingRef.current = false;
     }
-  }, [isAuthenticated, isAuthAvailable]);
+  }, [isAuthenticated, isAuthAvailable, rememberActivePortfolio, refreshPortfolios]);
 
   // ============================================
   // SAVE POSITIONS (debounced)
@@ -143,6 +206,8 @@ export function usePortfolioSync(options = {}) {
     }
 
     const doSave = async () => {
+      pendingSaveRef.current = null;
+      saveTimeoutRef.current = null;
       if (isSyncingRef.current) return { success: false, error: null };
 
       isSyncingRef.current = true;
@@ -182,13 +247,126 @@ export function usePortfolioSync(options = {}) {
 
     // Debounced save
     return new Promise((resolve) => {
-      saveTimeoutRef.current = setTimeout(async () => {
+      const run = async () => {
         const result = await doSave();
         resolve(result);
-      }, debounceMs);
+      };
+      pendingSaveRef.current = run;
+      saveTimeoutRef.current = setTimeout(run, debounceMs);
     });
   }, [isAuthenticated, isAuthAvailable, debounceMs]);
 
+  /**
+   * Run a debounced position save now (before the active portfolio changes)
+   */
+  const flushPendingSave = useCallback(async () => {
+    if (saveTimeoutRef.current) {
+      clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+    }
+    // Let an in-flight save finish writing to the current portfolio
+    while (isSyncingRef.current) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const pending = pendingSaveRef.current;
+    if (pending) {
+      await pending();
+    }
+  }, []);
+
+  // ============================================
+  // MULTIPLE PORTFOLIOS
+  // ============================================
+
+  /**
+   * Save pending changes, then load another portfolio
+   * @param {string} portfolioId
+   * @returns {Promise<{data: Object|null, error: Error|null}>}
+   */
+  const switchPortfolio = useCallback(async (portfolioId) => {
+    if (!isAuthenticated || !isAuthAvailable || !portfolioId) {
+      return { data: null, error: null };
+    }
+    await flushPendingSave();
+    rememberActivePortfolio(portfolioId);
+    return loadFromServer(portfolioId);
+  }, [isAuthenticated, isAuthAvailable, flushPendingSave, rememberActivePortfolio, loadFromServer]);
+
+  const createPortfolioOnServer = useCallback(async (details) => {
+    if (!isAuthenticated || !isAuthAvailable) {
+      return { portfolio: null, error: null };
+    }
+    const result = await createPortfolio(details);
+    if (result.portfolio) await refreshPortfolios();
+    return result;
+  }, [isAuthenticated, isAuthAvailable, refreshPortfolios]);
+
+  const updatePortfolioOnServer = useCallback(async (portfolioId, updates) => {
+    if (!isAuthenticated || !isAuthAvailable) {
+      return { success: false, error: null };
+    }
+    const result = await updatePortfolio(portfolioId, updates);
+    if (result.success) await refreshPortfolios();
+    return result;
+  }, [isAuthenticated, isAuthAvailable, refreshPortfolios]);
+
+  /**
+   * Clone a portfolio (pending edits are saved first so the copy includes them)
+   */
+  const clonePortfolioOnServer = useCallback(async (sourceId, details) => {
+    if (!isAuthenticated || !isAuthAvailable) {
+      return { portfolio: null, error: null };
+    }
+    await flushPendingSave();
+    const result = await clonePortfolio(sourceId, details);
+    if (result.portfolio) await refreshPortfolios();
+    return result;
+  }, [isAuthenticated, isAuthAvailable, flushPendingSave, refreshPortfolios]);
+
+  /**
+   * Delete a portfolio. Deleting the active one clears the selection; the
+   * caller should switch to another portfolio afterwards.
+   * @returns {Promise<{success: boolean, error: Error|null, remaining: Object[]}>}
+   */
+  const deletePortfolioOnServer = useCallback(async (portfolioId) => {
+    if (!isAuthenticated || !isAuthAvailable || !portfolioId) {
+      return { success: false, error: null, remaining: portfolios };
+    }
+    if (portfolioId === activePortfolioIdRef.current) {
+      // Drop unsaved edits of the book being deleted
+      if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+      pendingSaveRef.current = null;
+    }
+    const { success, error } = await deletePortfolio(portfolioId);
+    if (success && portfolioId === activePortfolioIdRef.current) {
+      rememberActivePortfolio(null);
+    }
+    const remaining = await refreshPortfolios();
+    return { success, error, remaining };
+  }, [isAuthenticated, isAuthAvailable, portfolios, rememberActivePortfolio, refreshPortfolios]);
+
+  /**
+   * Load every portfolio's holdings for the household view (pending edits are saved first)
+   * @returns {Promise<{data: {portfolios: Object[]}|null, error: Error|null}>}
+   */
+  const loadHouseholdFromServer = useCallback(async () => {
+    if (!isAuthenticated || !isAuthAvailable) {
+      return { data: null, error: null };
+    }
+    await flushPendingSave();
+    setSyncState(prev => ({ ...prev, status: 'syncing', error: null }));
+    const result = await fetchHouseholdData();
+    setSyncState(prev => ({
+      ...prev,
+      status: result.error ? 'error' : 'synced',
+      error: result.error,
+      lastSynced: result.error ? prev.lastSynced : new Date(),
+    }));
+    if (result.data) setPortfolios(result.data.portfolios.map(({ positions: _p, optionPositions: _o, ...meta }) => meta));
+    return result;
+  }, [isAuthenticated, isAuthAvailable, flushPendingSave]);
+
   // ============================================
   // SAVE CORRELATION MATRIX
   // ============================================
@@ -378,6 +556,92 @@ export function usePortfolioSync(options = {}) {
     }
   }, [isAuthenticated, isAuthAvailable]);
 
+  // ============================================
+  // TARGET ALLOCATIONS
+  // ============================================
+
+  const saveTargetAllocationsToServer = useCallback(async (allocations) => {
+    if (!isAuthenticated || !isAuthAvailable || !allocations) {
+      return { success: false, error: null };
+    }
+
+    try {
+      const { success, error } = await replaceTargetAllocations(allocations);
+      if (success) {
+        setSyncState(prev => ({
+          ...prev,
+          status: 'synced',
+          lastSynced: new Date(),
+        }));
+      }
+      return { success, error };
+    } catch (error) {
+      console.error('[usePortfolioSync] Save target allocations error:', error);
+      return { success: false, error };
+    }
+  }, [isAuthenticated, isAuthAvailable]);
+
+  // ============================================
+  // TRANSACTIONS
+  // ============================================
+
+  const saveTransactionsToServer = useCallback(async (transactions) => {
+    if (!isAuthenticated || !isAuthAvailable || !transactions) {
+      return { success: false, error: null };
+    }
+
+    try {
+      const { success, error } = await replaceTransactions(transactions);
+      if (success) {
+        setSyncState(prev => ({
+          ...prev,
+          status: 'synced',
+          lastSynced: new Date(),
+        }));
+      }
+      return { success, error };
+    } catch (error) {
+      console.error('[usePortfolioSync] Save transactions error:', error);
+      return { success: false, error };
+    }
+  }, [isAuthenticated, isAuthAvailable]);
+
+  // ============================================
+  // PORTFOLIO SNAPSHOTS
+  // ============================================
+
+  const saveSnapshotToServer = useCallback(async (snapshot) => {
+    if (!isAuthenticated || !isAuthAvailable || !snapshot) {
+      return { success: false, error: null };
+    }
+
+    try {
+      return await saveSnapshot(snapshot);
+    } catch (error) {
+      console.error('[usePortfolioSync] Save snapshot error:', error);
+      return { success: false, error };
+    }
+  }, [isAuthenticated, isAuthAvailable]);
+
+  // Forget the portfolio list and selection on sign-out so the next account
+  // doesn't start from the previous one's portfolio id. Only an actual
+  // sign-out clears the stored selection; the signed-out state before auth
+  // resolves on a reload must keep it.
+  const wasAuthenticatedRef = useRef(false);
+  useEffect(() => {
+    if (isAuthenticated) {
+      wasAuthenticatedRef.current = true;
+      return;
+    }
+    setPortfolios([]);
+    if (wasAuthenticatedRef.current) {
+      wasAuthenticatedRef.current = false;
+      rememberActivePortfolio(null);
+    } else {
+      setActivePortfolioId(null);
+    }
+  }, [isAuthenticated, rememberActivePortfolio]);
+
   // ============================================
   // CLEANUP
   // ============================================
@@ -416,7 +680,15 @@ export function usePortfolioSync(options = {}) {
 
   return {
     syncState,
+    portfolios,
+    activePortfolioId,
     loadFromServer,
+    switchPortfolio,
+    createPortfolioOnServer,
+    updatePortfolioOnServer,
+    clonePortfolioOnServer,
+    deletePortfolioOnServer,
+    loadHouseholdFromServer,
     savePositionsToServer,
     saveCorrelationToServer,
     saveSimulationToServer,
@@ -425,6 +697,9 @@ export function usePortfolioSync(options = {}) {
     saveSettingsToServer,
     saveCorrelationGroupsToServer,
     loadCorrelationGroupsFromServer,
+    saveTargetAllocationsToServer,
+    saveTransactionsToServer,
+    saveSnapshotToServer,
   };
 }
 
@@ -0,0 +1,74 @@
+/**
+ * useSerializedSave Hook
+ *
+ * @module hooks/useSerializedSave
+ * @description Debounced saves of a whole value that run one at a time.
+ * For server writes that replace a set of rows (delete + insert), where two
+ * overlapping saves could interleave their steps.
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Hook for debounced, serialized saves where the latest value wins.
+ * A value queued while a save is in flight goes out after it.
+ *
+ * @param {Function} saveFunction - Async (value) => { success, error }
+ * @param {Object} options - Configuration options
+ * @param {number} options.delay - Debounce delay in ms (default: 1000)
+ * @param {Function} options.onError - Called with the error of a failed save
+ * @returns {Object} { queueSave, flushSave } - flushSave runs a pending save
+ *   right away and resolves once nothing is in flight
+ */
+export function useSerializedSave(saveFunction, options = {}) {
+  const { delay = 1000, onError } = options;
+
+  const stateRef = useRef({ timer: null, inFlight: null, pending: null });
+  const saveRef = useRef(saveFunction);
+  const onErrorRef = useRef(onError);
+  saveRef.current = saveFunction;
+  onErrorRef.current = onError;
+
+  const runSave = useCallback(async () => {
+    const state = stateRef.current;
+    while (state.inFlight) await state.inFlight;
+    if (!state.pending) return;
+    const next = state.pending.value;
+    state.pending = null;
+    state.inFlight = Promise.resolve(saveRef.current(next))
+      .then((result) => {
+        if (result && !result.success && result.error) onErrorRef.current?.(result.error);
+      })
+      .catch((err) => {
+        onErrorRef.current?.(err);
+      })
+      .finally(() => {
+        state.inFlight = null;
+      });
+    await state.inFlight;
+  }, []);
+
+  const queueSave = useCallback((value) => {
+    const state = stateRef.current;
+    state.pending = { value };
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      runSave();
+    }, delay);
+  }, [delay, runSave]);
+
+  const flushSave = useCallback(async () => {
+    const state = stateRef.current;
+    clearTimeout(state.timer);
+    state.timer = null;
+    await runSave();
+  }, [runSave]);
+
+  // Don't fire a debounced save after unmount
+  useEffect(() => () => clearTimeout(stateRef.current.timer), []);
+
+  return { queueSave, flushSave };
+}
+
+export default useSerializedSave;
@@ -2,6 +2,29 @@ import { useCallback, useState, useRef } from 'react';
 
 // Utils
 import { choleskyDecomposition } from '../utils/matrix';
+import {
+  runPathSimulationBatch,
+  runScenarioBatch,
+  computeFanChart,
+  summarizeRecovery,
+  summarizeRebalancing,
+  summarizeCashFlows,
+  buildCashFlowSchedule,
+  clampHorizonYears,
+  resolveStepsPerYear,
+  FAN_CHART_SAMPLE_PATHS,
+  SWR_TEST_RATES,
+} from '../utils/pathSimulation';
+import { calibrateRegimeParams } from '../utils/regimeModel';
+import { buildGarchParams } from '../utils/garch';
+import { generateSeed, parseSeed } from '../utils/random';
+import { computeConvergenceDiagnostics, checkPrecision, nextAdaptiveBatch } from '../utils/convergence';
+import { summarizeVarianceReduction } from '../utils/varianceReduction';
+import { buildOptionSimParams } from '../utils/options';
+import { buildBondSimParams } from '../utils/bondModel';
+import { buildTaxSimParams, summarizeTaxes } from '../utils/taxes';
+import { buildCurrencyRisk, applyCurrencyRisk, summarizeCurrencyRisk, normalizeBaseCurrency, DEFAULT_BASE_CURRENCY } from '../utils/currency';
+import { DEFAULT_PORTFOLIO_SETTINGS, DEFAULT_REBALANCING, DEFAULT_ADAPTIVE_PATHS, DEFAULT_VARIANCE_REDUCTION } from '../constants/defaults';
 
 // Crash recovery
 import {
@@ -18,6 +41,35 @@ import {
  * The runSimulation function receives all needed data as parameters,
  * allowing the hook to be called early in the component.
  *
+ * Paths are time-stepped (monthly or daily) over a 1–30 year horizon by
+ * the worker in src/workers/qmcSimulationWorker.js, so drawdowns and
+ * recovery times are measured on each simulated path. An optional cash-flow
+ * schedule (contributions, withdrawals, lump sums) is applied along each path,
+ * and an optional rebalancing policy is compared against buy-and-hold.
+ * The 'regimeSwitching' fat-tail method draws each step from a hidden Markov
+ * regime model fitted in the app (see src/utils/regimeModel.js). A GARCH or
+ * GJR volatility model makes volatility cluster and start from today's
+ * conditional level (see src/utils/garch.js).
+ *
+ * Every run is seeded (src/utils/random.js). A fixed seed reproduces a run
+ * bit for bit; otherwise a fresh seed is drawn and stored with the results
+ * so the run can be repeated later.
+ *
+ * Results carry 95% confidence intervals for the headline statistics (see
+ * src/utils/convergence.js). In adaptive mode numPaths is the first batch and
+ * further batches are added until every interval is within ±target.
+ * Antithetic pairs and a Gaussian control variate (see
+ * src/utils/varianceReduction.js) tighten the mean for the same path count.
+ *
+ * With an account tax treatment set, results also carry after-tax terminal
+ * wealth: taxable accounts track tax lots, income and realized gains on every
+ * path (see src/utils/taxes.js); tax-deferred accounts pay income tax on
+ * withdrawal at the horizon.
+ *
+ * runComparison runs two to four books (portfolios or what-if variants) with
+ * the same settings and one shared seed, so differences between them are not
+ * simulation noise (see src/utils/comparison.js).
+ *
  * @param {Object} params - Initial state parameters
  * @param {Object} params.initialState - Optional initial state from localStorage
  * @param {Function} params.showToast - Toast notification function
@@ -27,23 +79,38 @@ export function useSimulation({
   showToast,
 } = {}) {
   // Simulation parameters (initialized from savedData if available)
-  const [numPaths, setNumPaths] = useState(initialState.numPaths || 10000);
-  const [useQmc, setUseQmc] = useState(initialState.useQmc || false);
-  const [fatTailMethod, setFatTailMethod] = useState(initialState.fatTailMethod || 'multivariateTStudent');
-  const [drawdownThreshold, setDrawdownThreshold] = useState(initialState.drawdownThreshold || 20);
-  const [gldAsCash, setGldAsCash] = useState(initialState.gldAsCash || false);
+  const [numPaths, setNumPaths] = useState(initialState.numPaths || DEFAULT_PORTFOLIO_SETTINGS.numPaths);
+  const [useQmc, setUseQmc] = useState(initialState.useQmc || DEFAULT_PORTFOLIO_SETTINGS.useQmc);
+  const [fatTailMethod, setFatTailMethod] = useState(initialState.fatTailMethod || DEFAULT_PORTFOLIO_SETTINGS.fatTailMethod);
+  const [drawdownThreshold, setDrawdownThreshold] = useState(initialState.drawdownThreshold || DEFAULT_PORTFOLIO_SETTINGS.drawdownThreshold);
+  const [gldAsCash, setGldAsCash] = useState(initialState.gldAsCash || DEFAULT_PORTFOLIO_SETTINGS.gldAsCash);
+  const [horizonYears, setHorizonYears] = useState(initialState.horizonYears || DEFAULT_PORTFOLIO_SETTINGS.horizonYears);
+  const [timeStep, setTimeStep] = useState(initialState.timeStep || DEFAULT_PORTFOLIO_SETTINGS.timeStep);
+  const [cashFlows, setCashFlows] = useState({ ...DEFAULT_PORTFOLIO_SETTINGS.cashFlows, ...(initialState.cashFlows || {}) });
+  const [rebalancing, setRebalancing] = useState({ ...DEFAULT_PORTFOLIO_SETTINGS.rebalancing, ...(initialState.rebalancing || {}) });
+  const [taxes, setTaxes] = useState({ ...DEFAULT_PORTFOLIO_SETTINGS.taxes, ...(initialState.taxes || {}) });
+  const [regimeStates, setRegimeStates] = useState(initialState.regimeStates === 3 ? 3 : DEFAULT_PORTFOLIO_SETTINGS.regimeStates);
+  const [volatilityModel, setVolatilityModel] = useState(initialState.volatilityModel || DEFAULT_PORTFOLIO_SETTINGS.volatilityModel);
+  const [simulationSeed, setSimulationSeed] = useState(parseSeed(initialState.simulationSeed)); // null = new seed each run
+  const [adaptivePaths, setAdaptivePaths] = useState({ ...DEFAULT_ADAPTIVE_PATHS, ...(initialState.adaptivePaths || {}) });
+  const [varianceReduction, setVarianceReduction] = useState({ ...DEFAULT_VARIANCE_REDUCTION, ...(initialState.varianceReduction || {}) });
 
   // Simulation state
   const [isSimulating, setIsSimulating] = useState(false);
   const [simulationResults, setSimulationResults] = useState(initialState.simulationResults || null);
   const [previousSimulationResults, setPreviousSimulationResults] = useState(null);
 
+  // Compare view state (kept apart from the main results)
+  const [isComparing, setIsComparing] = useState(false);
+  const [comparisonResults, setComparisonResults] = useState(null);
+
   // Ref for abort capability
   const abortRef = useRef(false);
 
   /**
-   * Run Monte Carlo simulation
+   * Simulate one book with the current settings
    * All portfolio data is passed as parameters when called, not at hook init.
+   * Does not touch simulation state; runSimulation and runComparison do.
    *
    * @param {Object} params - Simulation parameters
    * @param {Array|null} params.correlationMatrix - Correlation matrix to use
@@ -54,8 +121,23 @@ export function useSimulation({
    * @param {number} params.cashBalance - Cash balance
    * @param {number} params.cashRate - Cash interest rate
    * @param {Function} params.getDistributionParams - Function to get distribution params
+   * @param {Object} [params.targetAllocations] - Saved targets by ticker: { targetWeight, minWeight, maxWeight }
+   * @param {Object} [params.regimeModel] - Fitted regime model (required for the 'regimeSwitching' method)
+   * @param {Object} [params.garchFits] - GARCH fits by ticker for the selected volatility model
+   * @param {Array} [params.optionPositions] - Listed options, repriced on their underlying's path
+   * @param {Object} [params.positionBetas] - Historical vols by ticker (option vol fallback)
+   * @param {number} [params.riskFreeRate] - Black-Scholes discount rate
+   * @param {Object} [params.ledger] - buildLedger() output (opening tax lots, trailing dividends)
+   * @param {Object} [params.consensusData] - Consensus data by ticker (dividend yields)
+   * @param {string} [params.baseCurrency='USD'] - Currency returns and money outputs are expressed in
+   * @param {number} [params.fxRate=1] - Base-currency units per USD (money inputs are in USD)
+   * @param {Object} [params.marketData] - unifiedMarketData (FX history for the currency risk factors)
+   * @param {Object} [options]
+   * @param {number|null} [options.seed] - Seed override (defaults to the configured seed)
+   * @param {boolean} [options.allowAdaptive=true] - Honour adaptive path count
+   * @returns {Promise<{results?: Object, summary?: string, error?: string}>}
    */
-  const runSimulation = useCallback(async ({
+  const simulateBook = useCallback(async ({
     correlationMatrix = null,
     positions,
     weights,
@@ -64,47 +146,49 @@ export function useSimulation({
     cashBalance,
     cashRate,
     getDistributionParams,
-  }) => {
-    const corrMatrix = correlationMatrix;
+    targetAllocations = null,
+    regimeModel = null,
+    garchFits = null,
+    optionPositions = [],
+    positionBetas = {},
+    riskFreeRate = 0,
+    ledger = null,
+    consensusData = null,
+    baseCurrency = DEFAULT_BASE_CURRENCY,
+    fxRate = 1,
+    marketData = null,
+  }, { seed: seedOverride = null, allowAdaptive = true } = {}) => {
+    let corrMatrix = correlationMatrix;
     const isValidMatrix = Array.isArray(corrMatrix) && corrMatrix.length > 0 && Array.isArray(corrMatrix[0]);
 
-    console.log('🎲 runSimulation called, corrMatrix:', isValidMatrix ? `${corrMatrix.length}x${corrMatrix[0].length}` : 'invalid', 'positions:', positions.length);
-
-    // Mark operation start for crash recovery
-    markOperationStart(OperationType.SIMULATION, createPositionsSnapshot(positions), {
-      positionCount: positions.length,
-    });
+    console.log('🎲 simulateBook called, corrMatrix:', isValidMatrix ? `${corrMatrix.length}x${corrMatrix[0].length}` : 'invalid', 'positions:', positions.length);
 
     if (!isValidMatrix || positions.length === 0) {
-      console.log('🎲 runSimulation early return: isValidMatrix=', isValidMatrix, 'positions=', positions.length);
-      setSimulationResults({
+      console.log('🎲 simulateBook early return: isValidMatrix=', isValidMatrix, 'positions=', positions.length);
+      return {
         error: !isValidMatrix
           ? 'No correlation matrix available. Please load market data first (click "Load All" or compute correlations).'
           : 'No positions in portfolio.',
-        terminalReturns: [],
-        maxDrawdowns: [],
-      });
-      return;
+      };
     }
 
     // Ensure matrix size matches positions
     if (corrMatrix.length !== positions.length) {
       console.log('🎲 Matrix size mismatch: matrix=', corrMatrix.length, 'positions=', positions.length);
-      setSimulationResults({
+      return {
         error: `Correlation matrix size (${corrMatrix.length}) doesn't match number of positions (${positions.length}). Please reload market data.`,
-        terminalReturns: [],
-        maxDrawdowns: [],
-      });
-      return;
+      };
     }
 
-    // Save previous results for comparison overlay
-    if (simulationResults && !simulationResults.error) {
-      setPreviousSimulationResults(simulationResults);
+    // Regime model must be fitted on the current positions, in the same order
+    const usesRegimes = fatTailMethod === 'regimeSwitching';
+    if (usesRegimes && (!regimeModel || regimeModel.tickers.join('|') !== positions.map(p => p.ticker?.toUpperCase()).join('|'))) {
+      console.log('🎲 Regime model unavailable or stale:', regimeModel?.tickers);
+      return {
+        error: 'Regime model unavailable. Load market data for all positions (at least 120 overlapping trading days) to fit regimes.',
+      };
     }
 
-    setIsSimulating(true);
-    abortRef.current = false;
     console.log('🎲 Starting simulation...');
 
     try {
@@ -139,13 +223,9 @@ export function useSimulation({
 
       // Safeguard against zero/negative portfolio value
       if (totalValue <= 0 || !isFinite(totalValue)) {
-        setSimulationResults({
+        return {
           error: 'Portfolio value is zero or negative. Check your positions and margin.',
-          terminalReturns: [],
-          maxDrawdowns: [],
-        });
-        setIsSimulating(false);
-        return;
+        };
       }
 
       // For portfolios with shorts, weights already include sign from grossPositionsValue
@@ -158,25 +238,78 @@ export function useSimulation({
       // Cash weight is relative to NAV (can be negative for margin)
       const effectiveCashWeight = isFinite(cashBalance / totalValue) ? cashBalance / totalValue : 0;
 
+      // Holdings priced in another currency than the base also carry that
+      // currency's return against it: fold the FX factors into their
+      // volatilities, cross correlations and means. Cash is held in USD, so
+      // outside a USD base it is folded the same way as one more holding.
+      const cashExposed = effectiveCashWeight !== 0 && normalizeBaseCurrency(baseCurrency) !== 'USD';
+      const currencyRisk = buildCurrencyRisk(
+        cashExposed ? [...positions, { ticker: null, currency: 'USD' }] : positions,
+        { baseCurrency, marketData: marketData || {} }
+      );
+      let localPortfolioVariance = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          const corr = corrMatrix?.[i]?.[j] || (i === j ? 1 : 0);
+          localPortfolioVariance += (adjustedWeights[i] || 0) * (adjustedWeights[j] || 0) * corr * (annualSigma[i] || 0.2) * (annualSigma[j] || 0.2);
+        }
+      }
+      let cashFxVol = 0;
+      let cashFxCorr = null;
+      if (currencyRisk) {
+        const folded = applyCurrencyRisk(cashExposed ? {
+          annualMu: [...annualMu, cashRate || 0],
+          annualSigma: [...annualSigma, 0],
+          corrMatrix: [...corrMatrix.map(row => [...row, 0]), [...new Array(n).fill(0), 1]],
+          risk: currencyRisk,
+        } : { annualMu, annualSigma, corrMatrix, risk: currencyRisk });
+        for (let i = 0; i < n; i++) {
+          annualMu[i] = folded.annualMu[i];
+          annualSigma[i] = folded.annualSigma[i];
+        }
+        corrMatrix = cashExposed ? folded.corrMatrix.slice(0, n).map(row => row.slice(0, n)) : folded.corrMatrix;
+        if (cashExposed) {
+          cashFxVol = folded.annualSigma[n];
+          cashFxCorr = folded.corrMatrix[n].slice(0, n);
+        }
+        console.log(`🎲 FX risk in ${baseCurrency}:`, currencyRisk.factors.map(f => `${f.currency} ${(f.vol * 100).toFixed(1)}% (${f.source})`).join(', '));
+      }
+
       // Cholesky decomposition of correlation matrix
       console.log('🎲 Computing Cholesky decomposition...');
 
       // Extra safeguard
       if (!Array.isArray(corrMatrix) || corrMatrix.length === 0) {
         console.error('🎲 CRITICAL: corrMatrix is invalid at Cholesky step');
-        setSimulationResults({
+        return {
           error: 'Internal error: correlation matrix became invalid. Please reload market data.',
-          terminalReturns: [],
-          maxDrawdowns: [],
-        });
-        setIsSimulating(false);
-        return;
+        };
       }
 
       console.log('🎲 corrMatrix size:', corrMatrix.length, 'x', corrMatrix[0]?.length);
       const L = choleskyDecomposition(corrMatrix);
       console.log('🎲 Cholesky done, L[0][0]=', L?.[0]?.[0]);
 
+      // Cash FX shock as the next Cholesky row: loadings solve L·l = ρ(cash, holdings)
+      let cashFx = null;
+      if (cashFxVol > 0 && cashFxCorr) {
+        const loadings = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+          let sum = cashFxCorr[i] || 0;
+          for (let j = 0; j < i; j++) sum -= (L[i][j] || 0) * loadings[j];
+          loadings[i] = L[i][i] > 1e-10 ? sum / L[i][i] : 0;
+        }
+        const explained = loadings.reduce((acc, l) => acc + l * l, 0);
+        const shrink = explained > 1 ? 1 / Math.sqrt(explained) : 1;
+        cashFx = {
+          vol: cashFxVol,
+          loadings: loadings.map(l => (isFinite(l) ? l * shrink : 0)),
+          idio: Math.sqrt(Math.max(0, 1 - explained * shrink * shrink)),
+        };
+      }
+      // Covariance of each holding with the cash leg (0 when cash is riskless)
+      const cashCov = (i) => (cashFx ? (cashFxCorr[i] || 0) * (annualSigma[i] || 0.2) * cashFxVol : 0);
+
       // Calculate expected portfolio return (including cash)
       let positionsExpectedReturn = 0;
       for (let i = 0; i < adjustedWeights.length; i++) {
@@ -196,24 +329,11 @@ export function useSimulation({
           const sigmaJ = annualSigma[j] || 0.2;
           portfolioVariance += wi * wj * corr * sigmaI * sigmaJ;
         }
+        portfolioVariance += 2 * (adjustedWeights[i] || 0) * effectiveCashWeight * cashCov(i);
       }
+      portfolioVariance += effectiveCashWeight * effectiveCashWeight * cashFxVol * cashFxVol;
       const expectedPortfolioVol = Math.sqrt(Math.max(0, portfolioVariance));
 
-      // Pre-compute portfolio volatility (constant across all paths)
-      let precomputedAnnualVol = 0;
-      for (let i = 0; i < weights.length; i++) {
-        for (let j = 0; j < weights.length; j++) {
-          const wi = weights[i] || 0;
-          const wj = weights[j] || 0;
-          const corr = corrMatrix?.[i]?.[j] || (i === j ? 1 : 0);
-          const sigmaI = annualSigma[i] || 0.2;
-          const sigmaJ = annualSigma[j] || 0.2;
-          precomputedAnnualVol += wi * wj * corr * sigmaI * sigmaJ;
-        }
-      }
-      precomputedAnnualVol = Math.sqrt(Math.max(0, precomputedAnnualVol));
-      if (!isFinite(precomputedAnnualVol)) precomputedAnnualVol = 0.2;
-
       // Pre-flatten Cholesky matrix for faster access (row-major order)
       const flatL = new Float64Array(n * n);
       for (let i = 0; i < n; i++) {
@@ -222,389 +342,289 @@ export function useSimulation({
         }
       }
 
-      // Convert params to TypedArrays for faster access
-      const muArray = new Float64Array(annualMu);
-      const sigmaArray = new Float64Array(annualSigma);
-      const skewArray = new Float64Array(skews);
-      const dfArray = new Float64Array(tailDfs);
-      const weightsArray = new Float64Array(adjustedWeights);
+      // Rebalancing targets: saved target allocations where present, else today's
+      // weights; bands come from saved min/max, else target ± bandWidth
+      const rebalanceMode = rebalancing?.mode || 'none';
+      const bandWidth = rebalancing?.bandWidth ?? DEFAULT_REBALANCING.bandWidth;
+      const savedTargets = positions.map(p => targetAllocations?.[p.ticker?.toUpperCase()] || null);
+      const targetWeights = adjustedWeights.map((w, i) => {
+        const t = savedTargets[i]?.targetWeight;
+        return t != null && isFinite(t) ? t : w;
+      });
+      const bandLower = targetWeights.map((t, i) => savedTargets[i]?.minWeight ?? t - bandWidth);
+      const bandUpper = targetWeights.map((t, i) => savedTargets[i]?.maxWeight ?? t + bandWidth);
+      const savedTargetCount = savedTargets.filter(Boolean).length;
+
+      // GARCH volatility (not combined with regimes, which cluster volatility themselves)
+      const garchParams = volatilityModel !== 'constant' && !usesRegimes && garchFits
+        ? buildGarchParams(positions.map(p => {
+          const fit = garchFits[p.ticker?.toUpperCase()];
+          return fit?.model === volatilityModel ? fit : null;
+        }))
+        : null;
+
+      // Horizon and stepping (clamped so stale saved settings can't blow up the run)
+      const years = clampHorizonYears(horizonYears, timeStep);
+      const stepsPerYear = resolveStepsPerYear(timeStep);
+      const totalSteps = years * stepsPerYear;
+
+      // Listed options ride their underlying's path; anything unpriceable is left out
+      const optionSim = buildOptionSimParams(optionPositions, {
+        positions,
+        portfolioValue: totalValue,
+        positionBetas,
+        rate: riskFreeRate || 0,
+      });
+      if (optionSim.skipped.length > 0) {
+        console.warn('🎲 Options left out of the simulation:', optionSim.skipped.map(s => `${s.label} (${s.reason})`).join(', '));
+      }
+
+      // Taxable accounts carry tax lots along each path
+      const taxSim = buildTaxSimParams(positions, {
+        taxes,
+        weights: adjustedWeights,
+        stepsPerYear,
+        ledger,
+        consensusData,
+      });
+
+      // Seed: fixed when set, otherwise fresh per run (recorded with the results)
+      const seed = seedOverride ?? simulationSeed ?? generateSeed();
 
       // ==================== WEB WORKER PARALLEL SIMULATION ====================
       const numWorkers = Math.min(8, navigator.hardwareConcurrency || 4);
-      const pathsPerWorker = Math.ceil(paths / numWorkers);
+      const workerTimeoutMs = Math.max(30000, totalSteps * 250);
+
+      // Cash-flow schedule as fractions of today's NAV. The SWR curve is run
+      // whenever flows are configured and some withdrawal months fall inside the horizon
+      const schedule = buildCashFlowSchedule(cashFlows, {
+        startingValue: totalValue * fxRate,
+        horizonYears: years,
+        stepsPerYear,
+      });
+      const testsWithdrawals = !!schedule?.hasFlows && schedule.withdrawalUnits.some(u => u > 0);
+      if (schedule?.skippedLumpSums > 0) {
+        console.warn(`🎲 ${schedule.skippedLumpSums} lump sum(s) fall outside the ${years}-year horizon and were ignored`);
+      }
 
-      console.log(`🚀 Starting parallel simulation: ${paths.toLocaleString()} paths across ${numWorkers} workers${useQmc ? ' (QMC enabled)' : ''}`);
+      console.log(`🚀 Starting parallel simulation: ${paths.toLocaleString()} paths × ${totalSteps} ${timeStep} steps across ${numWorkers} workers${useQmc ? ' (QMC enabled)' : ''}, seed ${seed}`);
 
       // Create worker params
       const workerParams = {
+        simulationMethod: 'paths',
         n,
         L: Array.from(flatL),
-        annualMu: Array.from(muArray),
-        annualSigma: Array.from(sigmaArray),
-        skews: Array.from(skewArray),
-        tailDfs: Array.from(dfArray),
-        adjustedWeights: Array.from(weightsArray),
+        annualMu: Array.from(annualMu),
+        annualSigma: Array.from(annualSigma),
+        skews: Array.from(skews),
+        tailDfs: Array.from(tailDfs),
+        adjustedWeights: Array.from(adjustedWeights),
         effectiveCashWeight,
         cashRate: cashRate || 0,
-        annualVol: precomputedAnnualVol,
+        cashFx,
         fatTailMethod: fatTailMethod || 'multivariateTStudent',
         useQmc: useQmc || false,
+        horizonYears: years,
+        stepsPerYear,
+        cashFlows: schedule?.hasFlows ? Array.from(schedule.flows) : null,
+        baseCashFlows: testsWithdrawals ? Array.from(schedule.baseFlows) : null,
+        withdrawalUnits: testsWithdrawals ? Array.from(schedule.withdrawalUnits) : null,
+        swrRates: testsWithdrawals ? SWR_TEST_RATES : [],
+        rebalancing: rebalanceMode === 'none' ? null : { mode: rebalanceMode, frequency: rebalancing.frequency },
+        targetWeights,
+        bandLower,
+        bandUpper,
+        regimes: usesRegimes ? calibrateRegimeParams(regimeModel, { annualMu, annualSigma, stepsPerYear }) : null,
+        garch: garchParams,
+        seed,
+        antithetic: !!varianceReduction?.antithetic,
+        controlVariate: !!varianceReduction?.controlVariate,
+        bonds: buildBondSimParams(positions),
+        options: optionSim.params,
+        taxes: taxSim ? {
+          rates: taxSim.rates,
+          yields: taxSim.yields,
+          ordinary: taxSim.ordinary,
+          lots: taxSim.lots,
+        } : null,
       };
 
-      // Run simulation in parallel using Web Workers
-      let terminalReturnsArray = [];
-      let maxDrawdownsArray = [];
-
-      // Check if Web Workers are supported
-      if (typeof Worker !== 'undefined') {
-        try {
-          // Create inline worker from the worker code
-          const workerCode = `
-            // Box-Muller transform
-            const boxMuller = () => {
-              let u = 0, v = 0;
-              while (u === 0) u = Math.random();
-              while (v === 0) v = Math.random();
-              return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-            };
-
-            // ============ HALTON SEQUENCE FOR QMC ============
-            const halton = (index, base) => {
-              let f = 1;
-              let r = 0;
-              let i = index;
-              while (i > 0) {
-                f = f / base;
-                r = r + f * (i % base);
-                i = Math.floor(i / base);
-              }
-              return r;
-            };
-
-            const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73];
-
-            const haltonPoint = (index, dimensions) => {
-              const point = new Float64Array(dimensions);
-              for (let d = 0; d < dimensions; d++) {
-                const scrambledIndex = index + 1 + d * 100;
-                point[d] = halton(scrambledIndex, PRIMES[d % PRIMES.length]);
-              }
-              return point;
-            };
-
-            // Normal CDF
-            const normalCDF = (x) => {
-              const a1 = 0.254829592, a2 = -0.284496736, a3 = 1.421413741;
-              const a4 = -1.453152027, a5 = 1.061405429, p = 0.3275911;
-              const sign = x < 0 ? -1 : 1;
-              x = Math.abs(x) / Math.sqrt(2);
-              const t = 1.0 / (1.0 + p * x);
-              const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-              return 0.5 * (1.0 + sign * y);
-            };
-
-            // Normal inverse CDF (Beasley-Springer-Moro algorithm)
-            const normalCDFInv = (p) => {
-              if (p <= 0) return -Infinity;
-              if (p >= 1) return Infinity;
-              if (p === 0.5) return 0;
-              const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
-              const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
-              const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
-              const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
-              const pLow = 0.02425, pHigh = 1 - pLow;
-              let q, r;
-              if (p < pLow) {
-                q = Math.sqrt(-2 * Math.log(p));
-                return (((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
-              } else if (p <= pHigh) {
-                q = p - 0.5; r = q * q;
-                return (((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q / (((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1);
-              } else {
-                q = Math.sqrt(-2 * Math.log(1 - p));
-                return -(((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
-              }
-            };
-
-            // Student-t inverse CDF
-            const studentTInvCDF = (p, df) => {
-              if (p <= 0) return -Infinity;
-              if (p >= 1) return Infinity;
-              if (p === 0.5) return 0;
-              if (df > 30) return normalCDFInv(p);
-              const x = normalCDFInv(p);
-              const g1 = (x*x*x + x) / 4;
-              const g2 = ((5*x*x*x*x*x + 16*x*x*x + 3*x) / 96);
-              return x + g1/df + g2/(df*df);
-            };
-
-            // Box-Muller pair for chi-squared generation
-            const boxMullerPair = () => {
-              let u = 0, v = 0;
-              while (u === 0) u = Math.random();
-              while (v === 0) v = Math.random();
-              const r = Math.sqrt(-2.0 * Math.log(u));
-              const theta = 2.0 * Math.PI * v;
-              return [r * Math.cos(theta), r * Math.sin(theta)];
-            };
-
-            // Generate chi-squared for multivariate t
-            const generateChiSquared = (df) => {
-              if (df > 100) {
-                const z = boxMuller();
-                return Math.max(0.01, df + Math.sqrt(2 * df) * z);
-              }
-              let sum = 0;
-              const fullPairs = Math.floor(df / 2);
-              for (let i = 0; i < fullPairs; i++) {
-                const [z1, z2] = boxMullerPair();
-                sum += z1 * z1 + z2 * z2;
-              }
-              if (df % 2 === 1) {
-                const z = boxMuller();
-                sum += z * z;
-              }
-              return Math.max(0.01, sum);
-            };
-
-            // Chi-squared inverse CDF approximation (for QMC)
-            const chiSquaredInvCDF = (p, df) => {
-              if (p <= 0) return 0;
-              if (p >= 1) return df * 10;
-              const z = normalCDFInv(p);
-              const h = 2 / (9 * df);
-              const x = df * Math.pow(1 - h + z * Math.sqrt(h), 3);
-              return Math.max(0.01, x);
-            };
-
-            self.onmessage = (e) => {
-              const { numPaths, n, L, annualMu, annualSigma, skews, tailDfs, adjustedWeights, effectiveCashWeight, cashRate, annualVol, fatTailMethod, useQmc, qmcStartIndex } = e.data;
-
-              const terminalReturns = new Float64Array(numPaths);
-              const maxDrawdowns = new Float64Array(numPaths);
-              const z = new Float64Array(n);
-              const correlatedZ = new Float64Array(n);
-
-              const avgDf = Math.min(...tailDfs.filter(d => d > 0 && d < 100)) || 10;
-              const useMultivariateT = fatTailMethod === 'multivariateTStudent';
-
-              const qmcDims = n + 1;
-              const baseIndex = qmcStartIndex || 0;
-
-              for (let path = 0; path < numPaths; path++) {
-                // Generate correlated normals
-                if (useQmc) {
-                  const u = haltonPoint(baseIndex + path, qmcDims);
-                  for (let i = 0; i < n; i++) {
-                    const ui = Math.max(0.0001, Math.min(0.9999, u[i]));
-                    z[i] = normalCDFInv(ui);
-                  }
-                } else {
-                  for (let i = 0; i < n; i++) z[i] = boxMuller();
-                }
-
-                // Apply Cholesky correlation
-                for (let i = 0; i < n; i++) {
-                  let sum = 0;
-                  for (let j = 0; j <= i; j++) sum += L[i * n + j] * z[j];
-                  correlatedZ[i] = sum || 0;
-                }
-
-                // Transform and compute portfolio return
-                let positionsReturn = 0;
-
-                if (useMultivariateT && avgDf < 30) {
-                  let chiSquared;
-                  if (useQmc) {
-                    const u = haltonPoint(baseIndex + path, qmcDims);
-                    const uChi = Math.max(0.0001, Math.min(0.9999, u[n]));
-                    chiSquared = chiSquaredInvCDF(uChi, avgDf);
-                  } else {
-                    chiSquared = generateChiSquared(avgDf);
-                  }
-                  const scaleFactor = Math.sqrt(avgDf / chiSquared);
-                  const varianceCorrection = avgDf > 2 ? Math.sqrt((avgDf - 2) / avgDf) : 1;
-
-                  for (let i = 0; i < n; i++) {
-                    let transformed = correlatedZ[i] * scaleFactor * varianceCorrection;
-
-                    const skew = skews[i] || 0;
-                    if (Math.abs(skew) > 0.01) {
-                      const delta = skew / Math.sqrt(1 + skew * skew);
-                      transformed = transformed * Math.sqrt(1 - delta * delta) + delta * Math.abs(transformed) - delta * Math.sqrt(2 / Math.PI);
-                    }
-                    if (!isFinite(transformed)) transformed = 0;
-                    transformed = Math.max(-8, Math.min(8, transformed));
-
-                    const assetReturn = (annualMu[i] || 0) + transformed * (annualSigma[i] || 0.2);
-                    positionsReturn += (adjustedWeights[i] || 0) * Math.max(-1, Math.min(10, assetReturn));
-                  }
-                } else {
-                  for (let i = 0; i < n; i++) {
-                    let transformed = Math.max(-6, Math.min(6, correlatedZ[i]));
-                    const df = tailDfs[i] || 30;
-
-                    if (df < 30) {
-                      transformed = studentTInvCDF(normalCDF(transformed), df);
-                      if (df > 2) transformed *= Math.sqrt((df - 2) / df);
-                    }
-                    if (!isFinite(transformed)) transformed = correlatedZ[i];
-                    transformed = Math.max(-6, Math.min(6, transformed));
-
-                    const skew = skews[i] || 0;
-                    if (Math.abs(skew) > 0.01) {
-                      const delta = skew / Math.sqrt(1 + skew * skew);
-                      transformed = transformed * Math.sqrt(1 - delta * delta) + delta * Math.abs(transformed) - delta * Math.sqrt(2 / Math.PI);
-                    }
-                    if (!isFinite(transformed)) transformed = 0;
-                    transformed = Math.max(-6, Math.min(6, transformed));
-
-                    const assetReturn = (annualMu[i] || 0) + transformed * (annualSigma[i] || 0.2);
-                    positionsReturn += (adjustedWeights[i] || 0) * Math.max(-1, Math.min(10, assetReturn));
-                  }
-                }
-
-                const portfolioReturn = Math.max(-1, Math.min(10, positionsReturn + (effectiveCashWeight || 0) * (cashRate || 0)));
-                terminalReturns[path] = isFinite(portfolioReturn) ? portfolioReturn : 0;
-
-                const ddRandom = Math.abs(boxMuller());
-                maxDrawdowns[path] = Math.max(0, Math.min(1, annualVol * ddRandom * 0.8));
-              }
-
-              self.postMessage({ terminalReturns: Array.from(terminalReturns), maxDrawdowns: Array.from(maxDrawdowns) });
-            };
-          `;
-
-          const blob = new Blob([workerCode], { type: 'application/javascript' });
-          const workerUrl = URL.createObjectURL(blob);
-
-          // Create worker promises
-          console.log('🎲 Creating worker promises...');
-          const workerPromises = [];
-          for (let w = 0; w < numWorkers; w++) {
-            const startPath = w * pathsPerWorker;
-            const endPath = Math.min(startPath + pathsPerWorker, paths);
-            const batchSize = endPath - startPath;
-
-            if (batchSize <= 0) continue;
-
-            const promise = new Promise((resolve, reject) => {
-              const worker = new Worker(workerUrl);
-
-              const timeout = setTimeout(() => {
-                console.warn(`🎲 Worker ${w} timed out after 30s`);
-                worker.terminate();
-                reject(new Error(`Worker ${w} timed out`));
-              }, 30000);
-
-              worker.onmessage = (e) => {
-                clearTimeout(timeout);
-                worker.terminate();
-                resolve(e.data);
-              };
-
-              worker.onerror = (err) => {
-                clearTimeout(timeout);
-                worker.terminate();
-                console.error(`🎲 Worker ${w} error:`, err);
-                reject(err);
-              };
-
-              worker.postMessage({
-                numPaths: batchSize,
-                qmcStartIndex: startPath,
-                ...workerParams,
+      // Run paths [pathOffset, pathOffset + roundPaths) in parallel using Web Workers.
+      // Per-path seeding makes a later round continue the same run exactly.
+      let workerCount = 1;
+      const runRound = async (roundPaths, pathOffset, fanPaths) => {
+        // Check if Web Workers are supported
+        if (typeof Worker !== 'undefined') {
+          try {
+            console.log('🎲 Creating worker promises...');
+            // Even chunks keep each antithetic pair (paths 2k, 2k+1) inside
+            // one worker
+            const pathsPerWorker = 2 * Math.ceil(roundPaths / numWorkers / 2);
+            const workerPromises = [];
+            for (let w = 0; w < numWorkers; w++) {
+              const startPath = w * pathsPerWorker;
+              const endPath = Math.min(startPath + pathsPerWorker, roundPaths);
+              const batchSize = endPath - startPath;
+
+              if (batchSize <= 0) continue;
+
+              const promise = new Promise((resolve, reject) => {
+                const worker = new Worker(new URL('../workers/qmcSimulationWorker.js', import.meta.url), { type: 'module' });
+
+                const timeout = setTimeout(() => {
+                  console.warn(`🎲 Worker ${w} timed out after ${Math.round(workerTimeoutMs / 1000)}s`);
+                  worker.terminate();
+                  reject(new Error(`Worker ${w} timed out`));
+                }, workerTimeoutMs);
+
+                worker.onmessage = (e) => {
+                  if (e.data?.type !== 'batchComplete') return;
+                  clearTimeout(timeout);
+                  worker.terminate();
+                  resolve(e.data.result);
+                };
+
+                worker.onerror = (err) => {
+                  clearTimeout(timeout);
+                  worker.terminate();
+                  console.error(`🎲 Worker ${w} error:`, err);
+                  reject(err);
+                };
+
+                worker.postMessage({
+                  type: 'runBatch',
+                  id: w,
+                  params: {
+                    ...workerParams,
+                    numPaths: batchSize,
+                    startPath: pathOffset + startPath,
+                    fanSampleSize: Math.ceil(fanPaths / numWorkers),
+                  },
+                });
               });
-            });
 
-            workerPromises.push(promise);
-          }
+              workerPromises.push(promise);
+            }
 
-          // Wait for all workers to complete
-          console.log(`🎲 Waiting for ${workerPromises.length} workers to complete...`);
-          const results = await Promise.all(workerPromises);
-          console.log('🎲 All workers completed');
+            // Wait for all workers to complete
+            console.log(`🎲 Waiting for ${workerPromises.length} workers to complete...`);
+            const results = await Promise.all(workerPromises);
+            workerCount = workerPromises.length;
+            console.log(`✅ Parallel simulation complete: ${workerPromises.length} workers finished`);
+            return results;
 
-          // Combine results
-          for (const result of results) {
-            terminalReturnsArray.push(...result.terminalReturns);
-            maxDrawdownsArray.push(...result.maxDrawdowns);
+          } catch (workerError) {
+            console.warn('Web Worker failed, falling back to single-threaded:', workerError);
           }
-
-          // Clean up blob URL
-          URL.revokeObjectURL(workerUrl);
-
-          console.log(`✅ Parallel simulation complete: ${numWorkers} workers finished`);
-
-        } catch (workerError) {
-          console.warn('Web Worker failed, falling back to single-threaded:', workerError);
-          terminalReturnsArray = [];
-          maxDrawdownsArray = [];
         }
-      }
 
-      // Fallback: single-threaded simulation if workers failed or unavailable
-      if (terminalReturnsArray.length === 0) {
+        // Fallback: single-threaded simulation if workers failed or unavailable
         console.log('Running single-threaded simulation fallback...');
+        workerCount = 1;
+        return [runPathSimulationBatch({
+          ...workerParams,
+          numPaths: roundPaths,
+          startPath: pathOffset,
+          fanSampleSize: fanPaths,
+        })];
+      };
 
-        // Box-Muller transform
-        const boxMuller = () => {
-          let u = 0, v = 0;
-          while (u === 0) u = Math.random();
-          while (v === 0) v = Math.random();
-          return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-        };
-
-        const terminalReturns = new Float64Array(paths);
-        const maxDrawdowns = new Float64Array(paths);
-        const z = new Float64Array(n);
-        const correlatedZ = new Float64Array(n);
-
-        for (let path = 0; path < paths; path++) {
-          for (let i = 0; i < n; i++) z[i] = boxMuller();
-
-          for (let i = 0; i < n; i++) {
-            let sum = 0;
-            for (let j = 0; j <= i; j++) sum += flatL[i * n + j] * z[j];
-            correlatedZ[i] = sum || 0;
-          }
-
-          let positionsReturn = 0;
-          for (let i = 0; i < n; i++) {
-            const transformed = Math.max(-6, Math.min(6, correlatedZ[i]));
-            const assetReturn = muArray[i] + transformed * sigmaArray[i];
-            positionsReturn += weightsArray[i] * Math.max(-1, Math.min(10, assetReturn));
-          }
+      let batchResults = await runRound(paths, 0, FAN_CHART_SAMPLE_PATHS);
+      let totalPaths = paths;
+
+      // Per-path outputs across rounds in global path order (antithetic partners adjacent)
+      const collect = (key) => batchResults.flatMap(r => Array.from(r[key] || []));
+      const collectTax = (key) => batchResults.flatMap(r => Array.from(r.tax?.[key] || []));
+      const summarizeReduction = (sortedReturns) => summarizeVarianceReduction(collect('terminalReturns'), {
+        antithetic: workerParams.antithetic,
+        controls: workerParams.controlVariate && batchResults[0]?.controlMean != null ? collect('controls') : null,
+        controlMean: batchResults[0]?.controlMean ?? 0,
+        tailThreshold: sortedReturns[Math.floor(sortedReturns.length * 0.05)],
+      });
 
-          const portfolioReturn = Math.max(-1, Math.min(10, positionsReturn + effectiveCashWeight * (cashRate || 0)));
-          terminalReturns[path] = isFinite(portfolioReturn) ? portfolioReturn : 0;
+      // Adaptive mode: add batches until every statistic's 95% CI is within ±target
+      const drawdownThresholdFrac = drawdownThreshold / 100;
+      const adaptive = adaptivePaths?.enabled && allowAdaptive ? {
+        targetHalfWidth: adaptivePaths.targetHalfWidth || DEFAULT_ADAPTIVE_PATHS.targetHalfWidth,
+        maxPaths: Math.max(paths, adaptivePaths.maxPaths || DEFAULT_ADAPTIVE_PATHS.maxPaths),
+        rounds: [],
+        reached: false,
+      } : null;
+      while (adaptive) {
+        const sortByRound = (key) => Float64Array.from(collect(key).filter(v => isFinite(v))).sort();
+        const roundReturns = sortByRound('terminalReturns');
+        const check = checkPrecision(
+          computeConvergenceDiagnostics(roundReturns, {
+            sortedDrawdowns: sortByRound('maxDrawdowns'),
+            drawdownThreshold: drawdownThresholdFrac,
+            meanEstimate: summarizeReduction(roundReturns),
+          }),
+          adaptive.targetHalfWidth
+        );
+        adaptive.rounds.push({ paths: totalPaths, worstKey: check.worstKey, worstHalfWidth: check.worstHalfWidth });
+        adaptive.reached = check.reached;
+
+        const nextBatch = check.reached ? 0 : nextAdaptiveBatch(check.pathsNeeded, totalPaths, adaptive.maxPaths);
+        if (nextBatch <= 0) break;
+        console.log(`🎯 Adaptive: ±${(check.worstHalfWidth * 100).toFixed(2)}% on ${check.worstKey} after ${totalPaths.toLocaleString()} paths, adding ${nextBatch.toLocaleString()}`);
+        batchResults = batchResults.concat(await runRound(nextBatch, totalPaths, 0));
+        totalPaths += nextBatch;
+      }
 
-          const ddRandom = Math.abs(boxMuller());
-          maxDrawdowns[path] = Math.max(0, Math.min(1, precomputedAnnualVol * ddRandom * 0.8));
+      // Combine batch results
+      const terminalReturnsArray = [];
+      const maxDrawdownsArray = [];
+      const recoveryStepsArray = [];
+      const bhTerminalReturnsArray = [];
+      const turnoverArray = [];
+      const rebalanceCountsArray = [];
+      const terminalWealthArray = [];
+      const ruinStepsArray = [];
+      const swrSurvivors = new Array(workerParams.swrRates.length).fill(0);
+      const regimeSteps = new Array(workerParams.regimes?.numStates || 0).fill(0);
+      for (const result of batchResults) {
+        for (let i = 0; i < result.terminalReturns.length; i++) {
+          terminalReturnsArray.push(result.terminalReturns[i]);
+          maxDrawdownsArray.push(result.maxDrawdowns[i]);
+          recoveryStepsArray.push(result.recoverySteps[i]);
+          terminalWealthArray.push(result.terminalWealth[i]);
+          ruinStepsArray.push(result.ruinSteps[i]);
         }
-
-        terminalReturnsArray = Array.from(terminalReturns);
-        maxDrawdownsArray = Array.from(maxDrawdowns);
+        for (let i = 0; i < result.bhTerminalReturns.length; i++) {
+          bhTerminalReturnsArray.push(result.bhTerminalReturns[i]);
+          turnoverArray.push(result.turnover[i]);
+          rebalanceCountsArray.push(result.rebalanceCounts[i]);
+        }
+        result.swrSurvivors.forEach((count, r) => { swrSurvivors[r] += count; });
+        (result.regimeSteps || []).forEach((count, s) => { regimeSteps[s] += count; });
       }
 
+      const fanChart = computeFanChart(
+        batchResults.map(r => r.fanValues),
+        batchResults.map(r => r.fanSampleSize),
+        batchResults[0]?.checkpointSteps,
+        stepsPerYear
+      );
+
       // Filter out any NaN or Infinity values
       const validReturns = terminalReturnsArray.filter(v => isFinite(v));
       const validDrawdowns = maxDrawdownsArray.filter(v => isFinite(v));
 
-      if (validReturns.length < numPaths * 0.9) {
-        setSimulationResults({
+      if (validReturns.length < totalPaths * 0.9) {
+        return {
           error: `Simulation produced too many invalid results (${terminalReturnsArray.length - validReturns.length} NaN values). Check your inputs.`,
-          terminalReturns: [],
-          maxDrawdowns: [],
-        });
-        setIsSimulating(false);
-        return;
+        };
       }
 
       // Sort for percentiles
       const sortedReturns = [...validReturns].sort((a, b) => a - b);
       const sortedDrawdowns = [...validDrawdowns].sort((a, b) => a - b);
 
+      // Annualized (CAGR) view of the horizon returns; identical to terminal for a 1-year horizon
+      const sortedAnnualized = years === 1
+        ? sortedReturns
+        : sortedReturns.map(r => (r <= -1 ? -1 : Math.pow(1 + r, 1 / years) - 1));
+
       const percentile = (arr, p) => {
         const idx = Math.floor(arr.length * p);
         return arr[Math.min(idx, arr.length - 1)];
@@ -625,12 +645,18 @@ export function useSimulation({
           const sigma_j = annualSigma[j] || 0.2;
           covWithPortfolio += wj * corr_ij * sigma_i * sigma_j;
         }
+        covWithPortfolio += effectiveCashWeight * cashCov(i);
         const beta = expectedPortfolioVol > 0 ? covWithPortfolio / (expectedPortfolioVol * expectedPortfolioVol) : 0;
         assetBetas.push(beta);
       }
+      // Riskless in a USD base; moves with the dollar otherwise
+      let cashCovWithPortfolio = effectiveCashWeight * cashFxVol * cashFxVol;
+      for (let j = 0; j < positions.length; j++) cashCovWithPortfolio += (adjustedWeights[j] || 0) * cashCov(j);
+      const cashBeta = expectedPortfolioVol > 0 ? cashCovWithPortfolio / (expectedPortfolioVol * expectedPortfolioVol) : 0;
 
+      // Contributions are in annual units, so condition on the annualized return
       const getContributionsAtPercentile = (p) => {
-        const portfolioReturnAtP = percentile(sortedReturns, p);
+        const portfolioReturnAtP = percentile(sortedAnnualized, p);
         const contributions = [];
 
         for (let i = 0; i < positions.length; i++) {
@@ -642,7 +668,7 @@ export function useSimulation({
           contributions.push(contribution);
         }
 
-        const cashContrib = (effectiveCashWeight || 0) * (cashRate || 0);
+        const cashContrib = (effectiveCashWeight || 0) * ((cashRate || 0) + cashBeta * (portfolioReturnAtP - expectedPortfolioReturn));
         contributions.push(cashContrib);
 
         return contributions;
@@ -671,8 +697,11 @@ export function useSimulation({
         ? validReturns.reduce((a, b) => a + b, 0) / validReturns.length
         : 0;
 
-      // Calculate terminal dollar values
-      const startingValue = portfolioValue;
+      const meanAnnualized = sortedAnnualized.reduce((a, b) => a + b, 0) / sortedAnnualized.length;
+      const reduction = summarizeReduction(sortedReturns);
+
+      // Calculate terminal dollar values (in the base currency)
+      const startingValue = portfolioValue * fxRate;
       const terminalDollars = sortedReturns.map(r => startingValue * (1 + r));
       const meanDollars = startingValue * (1 + meanReturn);
 
@@ -707,8 +736,106 @@ export function useSimulation({
           p90: percentile(sortedDrawdowns, 0.90),
           p95: percentile(sortedDrawdowns, 0.95),
           p99: percentile(sortedDrawdowns, 0.99),
+          mean: sortedDrawdowns.reduce((a, b) => a + b, 0) / (sortedDrawdowns.length || 1),
+          probExceedThreshold: sortedDrawdowns.filter(v => v >= drawdownThresholdFrac).length / (sortedDrawdowns.length || 1),
           distribution: sortedDrawdowns,
         },
+        annualized: {
+          p5: percentile(sortedAnnualized, 0.05),
+          p25: percentile(sortedAnnualized, 0.25),
+          p50: percentile(sortedAnnualized, 0.50),
+          p75: percentile(sortedAnnualized, 0.75),
+          p95: percentile(sortedAnnualized, 0.95),
+          mean: meanAnnualized,
+        },
+        recovery: summarizeRecovery(recoveryStepsArray, maxDrawdownsArray, stepsPerYear, drawdownThresholdFrac),
+        fanChart,
+        cashFlows: schedule?.hasFlows ? {
+          ...summarizeCashFlows({
+            terminalWealth: terminalWealthArray,
+            ruinSteps: ruinStepsArray,
+            swrSurvivors,
+            swrRates: workerParams.swrRates,
+            startingValue,
+            horizonYears: years,
+            stepsPerYear,
+            inflationRate: cashFlows.inflationRate,
+          }),
+          totals: schedule.totals,
+          annualWithdrawal: cashFlows.annualWithdrawal || 0,
+          withdrawalRate: (cashFlows.annualWithdrawal || 0) / startingValue,
+        } : null,
+        rebalancing: workerParams.rebalancing ? {
+          ...summarizeRebalancing({
+            terminalReturns: terminalReturnsArray,
+            bhTerminalReturns: bhTerminalReturnsArray,
+            turnover: turnoverArray,
+            rebalanceCounts: rebalanceCountsArray,
+            horizonYears: years,
+          }),
+          mode: rebalanceMode,
+          frequency: rebalancing.frequency,
+          bandWidth,
+          savedTargetCount,
+        } : null,
+        regime: workerParams.regimes ? (() => {
+          const totalRegimeSteps = regimeSteps.reduce((a, b) => a + b, 0) || 1;
+          return {
+            numStates: workerParams.regimes.numStates,
+            labels: workerParams.regimes.labels,
+            occupancy: regimeSteps.map(c => c / totalRegimeSteps),
+            stationary: regimeModel.stationary,
+            observations: regimeModel.observations,
+          };
+        })() : null,
+        volatility: garchParams ? {
+          model: volatilityModel,
+          fittedCount: garchParams.fittedCount,
+          startVolRatio: Math.sqrt(garchParams.initialVarRatio.reduce((sum, r, i) => sum + Math.abs(adjustedWeights[i] || 0) * r, 0)
+            / (adjustedWeights.reduce((sum, w) => sum + Math.abs(w || 0), 0) || 1)),
+        } : null,
+        taxes: summarizeTaxes({
+          taxes,
+          terminalWealth: terminalWealthArray,
+          taxPaths: taxSim ? {
+            afterTaxWealth: collectTax('afterTaxWealth'),
+            liquidationWealth: collectTax('liquidationWealth'),
+            dividendTax: collectTax('dividendTax'),
+            gainsTax: collectTax('gainsTax'),
+            incomeTax: collectTax('incomeTax'),
+            liquidationTax: collectTax('liquidationTax'),
+          } : null,
+          sources: taxSim?.sources || null,
+          startingValue,
+          horizonYears: years,
+        }),
+        horizonYears: years,
+        timeStep,
+        stepsPerYear,
+        seed,
+        workerCount,
+        useQmc: workerParams.useQmc,
+        numPaths: totalPaths,
+        varianceReduction: reduction,
+        options: optionSim.included > 0 || optionSim.skipped.length > 0 ? {
+          included: optionSim.included,
+          skipped: optionSim.skipped,
+        } : null,
+        convergence: {
+          ...computeConvergenceDiagnostics(sortedReturns, {
+            sortedDrawdowns,
+            drawdownThreshold: drawdownThresholdFrac,
+            meanEstimate: reduction,
+          }),
+          adaptive,
+          // Portfolio loading on each independent first-year normal, b = Lᵀ(w ∘ σ),
+          // for the MC-vs-QMC comparison
+          loadings: Array.from({ length: n }, (_, j) => {
+            let b = 0;
+            for (let i = j; i < n; i++) b += (adjustedWeights[i] || 0) * (annualSigma[i] || 0) * flatL[i * n + j];
+            return b;
+          }),
+        },
         probLoss: (() => {
           const n = sortedReturns.length;
           const probBreakeven = sortedReturns.filter(v => v < 0).length / n;
@@ -742,7 +869,14 @@ export function useSimulation({
         })(),
         expectedReturn: expectedPortfolioReturn,
         expectedVol: expectedPortfolioVol,
-        portfolioValue: portfolioValue,
+        portfolioValue: startingValue,
+        currency: {
+          ...summarizeCurrencyRisk(currencyRisk, positions, cashExposed ? [...adjustedWeights, effectiveCashWeight] : adjustedWeights, {
+            local: Math.sqrt(Math.max(0, localPortfolioVariance)),
+            base: expectedPortfolioVol,
+          }, baseCurrency),
+          fxRate,
+        },
         contributions: contributionAnalysis,
         savedAt: null,
         simulationTime: performance.now() - startTime,
@@ -750,36 +884,226 @@ export function useSimulation({
 
       // Log performance
       const simTime = (performance.now() - startTime) / 1000;
-      const pathsPerSec = Math.round(paths / (performance.now() - startTime) * 1000);
-      console.log(`✅ Simulation complete: ${paths.toLocaleString()} paths in ${(performance.now() - startTime).toFixed(0)}ms (${pathsPerSec.toLocaleString()} paths/sec)`);
-
-      setSimulationResults(simResults);
-      setIsSimulating(false);
-
-      // Mark operation complete for crash recovery
-      markOperationComplete();
-
-      // Show success toast
-      if (showToast) {
-        showToast({
-          type: 'success',
-          title: 'Simulation Complete',
-          message: `${paths.toLocaleString()} paths in ${simTime.toFixed(1)}s (${pathsPerSec.toLocaleString()}/sec)`,
-          duration: 4000,
-        });
-      }
+      const pathsPerSec = Math.round(totalPaths / (performance.now() - startTime) * 1000);
+      console.log(`✅ Simulation complete: ${totalPaths.toLocaleString()} paths × ${totalSteps} steps in ${(performance.now() - startTime).toFixed(0)}ms (${pathsPerSec.toLocaleString()} paths/sec)`);
 
+      return {
+        results: simResults,
+        summary: `${totalPaths.toLocaleString()} paths in ${simTime.toFixed(1)}s (${pathsPerSec.toLocaleString()}/sec)${adaptive ? (adaptive.reached ? ` • ±${(adaptive.targetHalfWidth * 100).toFixed(2)}% reached` : ' • path cap reached before target') : ''}${optionSim.skipped.length > 0 ? ` • ${optionSim.skipped.length} option(s) skipped` : ''}`,
+      };
     } catch (error) {
       console.error('🎲 Simulation error:', error);
-      setSimulationResults({
-        error: `Simulation failed: ${error.message}`,
-        terminalReturns: [],
-        maxDrawdowns: [],
+      return { error: `Simulation failed: ${error.message}` };
+    }
+  }, [numPaths, drawdownThreshold, gldAsCash, fatTailMethod, useQmc, horizonYears, timeStep, cashFlows, rebalancing, taxes, volatilityModel, simulationSeed, adaptivePaths, varianceReduction]);
+
+  /**
+   * Run Monte Carlo simulation on the current book
+   * @param {Object} params - See simulateBook
+   */
+  const runSimulation = useCallback(async (params) => {
+    // Mark operation start for crash recovery
+    markOperationStart(OperationType.SIMULATION, createPositionsSnapshot(params.positions), {
+      positionCount: params.positions.length,
+    });
+
+    setIsSimulating(true);
+    abortRef.current = false;
+    const { results, summary, error } = await simulateBook(params);
+    setIsSimulating(false);
+
+    // Mark operation complete for crash recovery
+    markOperationComplete();
+
+    if (error) {
+      setSimulationResults({ error, terminalReturns: [], maxDrawdowns: [] });
+      return;
+    }
+
+    // Save previous results for comparison overlay
+    if (simulationResults && !simulationResults.error) {
+      setPreviousSimulationResults(simulationResults);
+    }
+    setSimulationResults(results);
+
+    if (showToast) {
+      showToast({
+        type: 'success',
+        title: 'Simulation Complete',
+        message: summary,
+        duration: 4000,
+      });
+    }
+  }, [simulateBook, showToast, simulationResults]);
+
+  /**
+   * Simulate several books side by side for the Compare view
+   *
+   * Every book uses the same settings and the same seed (common random
+   * numbers) with a fixed path count, so the comparison is like for like.
+   *
+   * @param {Object[]} books - { id, label, params, ...meta } with params as for simulateBook;
+   *   other fields are carried through to the results
+   * @returns {Promise<Object|null>} { seed, numPaths, horizonYears, timeStep, drawdownThreshold, books: [{ ...meta, results, error }] }
+   */
+  const runComparison = useCallback(async (books) => {
+    if (!books?.length) return null;
+    setIsComparing(true);
+    const seed = simulationSeed ?? generateSeed();
+    const startTime = performance.now();
+    const compared = [];
+    for (const { params, ...book } of books) {
+      console.log(`⚖️ Comparing "${book.label}" (${params.positions.length} positions)`);
+      const { results, error } = await simulateBook(params, { seed, allowAdaptive: false });
+      compared.push({ ...book, results: results || null, error: error || null });
+    }
+    const comparison = {
+      seed,
+      numPaths,
+      horizonYears: clampHorizonYears(horizonYears, timeStep),
+      timeStep,
+      drawdownThreshold,
+      books: compared,
+      ranAt: new Date().toISOString(),
+    };
+    setComparisonResults(comparison);
+    setIsComparing(false);
+
+    const failed = compared.filter(b => b.error);
+    if (showToast) {
+      showToast({
+        type: failed.length === compared.length ? 'error' : failed.length > 0 ? 'warning' : 'success',
+        title: 'Comparison Complete',
+        message: `${compared.length - failed.length} of ${compared.length} books simulated in ${((performance.now() - startTime) / 1000).toFixed(1)}s with seed ${seed}${failed.length > 0 ? ` • ${failed.map(b => b.label).join(', ')} failed` : ''}`,
+        duration: 5000,
       });
-      setIsSimulating(false);
-      markOperationComplete();
     }
-  }, [numPaths, drawdownThreshold, gldAsCash, fatTailMethod, useQmc, showToast, simulationResults]);
+    return comparison;
+  }, [simulateBook, simulationSeed, numPaths, horizonYears, timeStep, drawdownThreshold, showToast]);
+
+  /**
+   * Draw one-year return scenarios per position for the downside optimizer
+   *
+   * Uses the book's distributions, fat-tail method, QMC, seed, GLD-as-cash and
+   * FX folding exactly as simulateBook does, but only the annual draw: no
+   * paths, rebalancing, cash flows or taxes. Doesn't touch simulation state.
+   *
+   * @param {Object} params - correlationMatrix, positions, getDistributionParams,
+   *   baseCurrency, marketData (as simulateBook)
+   * @param {Object} [options]
+   * @param {number} [options.count=5000] - Number of scenarios
+   * @param {number|null} [options.seed] - Seed override (defaults to the configured seed)
+   * @returns {Promise<{scenarios?: Float32Array, count?: number, seed?: number, error?: string}>}
+   *   scenarios is row-major count × positions.length
+   */
+  const simulateScenarios = useCallback(async ({
+    correlationMatrix = null,
+    positions,
+    getDistributionParams,
+    baseCurrency = DEFAULT_BASE_CURRENCY,
+    marketData = null,
+  }, { count = 5000, seed: seedOverride = null } = {}) => {
+    let corrMatrix = correlationMatrix;
+    const n = positions.length;
+    if (!Array.isArray(corrMatrix) || corrMatrix.length !== n || n === 0) {
+      return { error: 'No correlation matrix for the current positions. Load market data first.' };
+    }
+
+    try {
+      const derivedParams = positions.map(p => getDistributionParams(p));
+      const annualMu = derivedParams.map(d => d.mu);
+      const annualSigma = derivedParams.map(d => d.sigma);
+      if (gldAsCash) {
+        const gldIdx = positions.findIndex(p => p.ticker?.toUpperCase() === 'GLD');
+        if (gldIdx >= 0) {
+          annualSigma[gldIdx] = 0.001;
+          annualMu[gldIdx] = 0;
+        }
+      }
+      const currencyRisk = buildCurrencyRisk(positions, { baseCurrency, marketData: marketData || {} });
+      if (currencyRisk) {
+        const folded = applyCurrencyRisk({ annualMu, annualSigma, corrMatrix, risk: currencyRisk });
+        for (let i = 0; i < n; i++) {
+          annualMu[i] = folded.annualMu[i];
+          annualSigma[i] = folded.annualSigma[i];
+        }
+        corrMatrix = folded.corrMatrix;
+      }
+
+      const L = choleskyDecomposition(corrMatrix);
+      const flatL = new Float64Array(n * n);
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+          flatL[i * n + j] = L[i][j] || 0;
+        }
+      }
+
+      const seed = seedOverride ?? simulationSeed ?? generateSeed();
+      const params = {
+        simulationMethod: 'scenarios',
+        n,
+        L: Array.from(flatL),
+        annualMu,
+        annualSigma,
+        skews: derivedParams.map(d => d.skew),
+        tailDfs: derivedParams.map(d => d.tailDf),
+        fatTailMethod: fatTailMethod || 'multivariateTStudent',
+        useQmc: useQmc || false,
+        seed,
+        antithetic: !!varianceReduction?.antithetic,
+        bonds: buildBondSimParams(positions),
+      };
+
+      let batches = null;
+      if (typeof Worker !== 'undefined') {
+        try {
+          const numWorkers = Math.min(8, navigator.hardwareConcurrency || 4);
+          const perWorker = Math.ceil(count / numWorkers);
+          const promises = [];
+          for (let w = 0; w < numWorkers; w++) {
+            const startPath = w * perWorker;
+            const batchSize = Math.min(perWorker, count - startPath);
+            if (batchSize <= 0) continue;
+            promises.push(new Promise((resolve, reject) => {
+              const worker = new Worker(new URL('../workers/qmcSimulationWorker.js', import.meta.url), { type: 'module' });
+              const timeout = setTimeout(() => {
+                worker.terminate();
+                reject(new Error(`Worker ${w} timed out`));
+              }, 30000);
+              worker.onmessage = (e) => {
+                if (e.data?.type !== 'batchComplete') return;
+                clearTimeout(timeout);
+                worker.terminate();
+                resolve(e.data.result);
+              };
+              worker.onerror = (err) => {
+                clearTimeout(timeout);
+                worker.terminate();
+                reject(err);
+              };
+              worker.postMessage({ type: 'runBatch', id: w, params: { ...params, numPaths: batchSize, startPath } });
+            }));
+          }
+          batches = await Promise.all(promises);
+        } catch (workerError) {
+          console.warn('Scenario workers failed, falling back to single-threaded:', workerError);
+        }
+      }
+      if (!batches) batches = [runScenarioBatch({ ...params, numPaths: count, startPath: 0 })];
+
+      const scenarios = new Float32Array(count * n);
+      let offset = 0;
+      for (const batch of batches) {
+        scenarios.set(batch.scenarios, offset);
+        offset += batch.scenarios.length;
+      }
+      console.log(`🎲 Drew ${count.toLocaleString()} scenarios × ${n} positions, seed ${seed}`);
+      return { scenarios, count, seed };
+    } catch (error) {
+      console.error('Scenario draw failed:', error);
+      return { error: error.message };
+    }
+  }, [gldAsCash, fatTailMethod, useQmc, simulationSeed, varianceReduction]);
 
   return {
     // Simulation parameters
@@ -793,15 +1117,40 @@ export function useSimulation({
     setDrawdownThreshold,
     gldAsCash,
     setGldAsCash,
+    horizonYears,
+    setHorizonYears,
+    timeStep,
+    setTimeStep,
+    cashFlows,
+    setCashFlows,
+    rebalancing,
+    setRebalancing,
+    taxes,
+    setTaxes,
+    regimeStates,
+    setRegimeStates,
+    volatilityModel,
+    setVolatilityModel,
+    simulationSeed,
+    setSimulationSeed,
+    adaptivePaths,
+    setAdaptivePaths,
+    varianceReduction,
+    setVarianceReduction,
 
     // Simulation state
     isSimulating,
     simulationResults,
     setSimulationResults,
     previousSimulationResults,
+    isComparing,
+    comparisonResults,
+    setComparisonResults,
 
     // Actions
     runSimulation,
+    runComparison,
+    simulateScenarios,
   };
 }
 
@@ -0,0 +1,345 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Services
+import { fetchYahooHistory } from '../services/yahooFinance';
+import { fetchFactorExposures } from '../services/marketService';
+
+// Utils
+import {
+  HISTORICAL_SCENARIOS,
+  getStressProxyTickers,
+  runStressScenario,
+} from '../utils/stressTest';
+import {
+  computeMarketExposure,
+  getShockedSectorEtfs,
+  runFactorShock,
+} from '../utils/factorShock';
+
+/** Parallel history requests while loading stress windows */
+const HISTORY_FETCH_CONCURRENCY = 4;
+
+/** Annualized SPY volatility assumed when market data has none (decimal) */
+const DEFAULT_MARKET_VOL = 0.18;
+
+/**
+ * Per-position factor betas and residual volatility for factor shocks.
+ * Factor analysis where available; otherwise the SPY beta and total
+ * volatility from market data (residual = vol not explained by beta).
+ */
+const buildShockExposures = (tickers, factorAnalysis, unifiedMarketData) => {
+  const spyVol = unifiedMarketData.SPY?.volatility != null
+    ? unifiedMarketData.SPY.volatility / 100
+    : DEFAULT_MARKET_VOL;
+  const exposures = {};
+
+  tickers.forEach(ticker => {
+    const analysed = factorAnalysis?.positions?.find(pa => pa.ticker === ticker && pa.hasData);
+    if (analysed?.factorBetas?.betas) {
+      exposures[ticker] = {
+        betas: analysed.factorBetas.betas,
+        residualVol: analysed.factorBetas.residualVol || 0,
+        source: 'factors',
+      };
+      return;
+    }
+    const data = unifiedMarketData[ticker];
+    const beta = data?.beta != null && isFinite(data.beta) ? data.beta : null;
+    const vol = data?.volatility != null && isFinite(data.volatility) ? data.volatility / 100 : null;
+    const systematic = (beta ?? 1) * spyVol;
+    exposures[ticker] = {
+      betas: { MKT: beta ?? 1 },
+      residualVol: vol != null ? Math.sqrt(Math.max(0, vol * vol - systematic * systematic)) : 0,
+      source: beta != null ? 'beta' : 'default',
+    };
+  });
+
+  return exposures;
+};
+
+/**
+ * useStressTest - Custom hook for historical replay and factor shocks
+ *
+ * Historical: loads full daily history for each position and the factor proxy
+ * ETFs (through fetchYahooHistory, so the worker's /api/prices cache is
+ * shared), then replays today's holdings through the built-in and custom
+ * windows. Histories are kept in memory for the session.
+ *
+ * Factor shocks: applies hypothetical factor/sector moves through factor
+ * analysis betas, with sector loadings from the worker's
+ * /api/factor-exposures (local returns as fallback). Saved shock scenarios
+ * form a library that is persisted with settings.
+ *
+ * Results are recomputed on each run so they always reflect current holdings.
+ *
+ * @param {Object} params
+ * @param {Object} params.initialState - Optional initial state from localStorage
+ * @param {Function} params.showToast - Toast notification function
+ */
+export function useStressTest({
+  initialState = {},
+  showToast,
+} = {}) {
+  const [customScenarios, setCustomScenarios] = useState(initialState.customScenarios || []);
+  const [stressResults, setStressResults] = useState(null);
+  const [isStressTesting, setIsStressTesting] = useState(false);
+  const [stressProgress, setStressProgress] = useState(null);
+  const [shockLibrary, setShockLibrary] = useState(initialState.shockLibrary || []);
+  const [shockResults, setShockResults] = useState(null);
+  const [isShocking, setIsShocking] = useState(false);
+
+  // ticker -> [{date, close}] | null (null = fetched, no data)
+  const historyCacheRef = useRef({});
+
+  /**
+   * Fetch any histories not yet cached
+   * @param {string[]} tickers
+   */
+  const loadHistories = useCallback(async (tickers) => {
+    const cache = historyCacheRef.current;
+    const missing = tickers.filter(t => !(t in cache));
+    let done = 0;
+
+    for (let i = 0; i < missing.length; i += HISTORY_FETCH_CONCURRENCY) {
+      const batch = missing.slice(i, i + HISTORY_FETCH_CONCURRENCY);
+      const results = await Promise.all(batch.map(async (ticker) => {
+        try {
+          const history = await fetchYahooHistory(ticker, 'max', '1d', { currency: 'USD' });
+          return history?.prices?.length ? history.prices : null;
+        } catch (err) {
+          console.warn(`Stress test history failed for ${ticker}:`, err);
+          return null;
+        }
+      }));
+      batch.forEach((ticker, j) => { cache[ticker] = results[j]; });
+      done += batch.length;
+      setStressProgress({ current: done, total: missing.length });
+    }
+    return cache;
+  }, []);
+
+  /**
+   * Replay the portfolio through every built-in and custom scenario
+   *
+   * @param {Object} params
+   * @param {Array} params.positions - Portfolio positions
+   * @param {number} params.cashBalance - Cash balance (held flat)
+   * @param {Object} [params.factorAnalysis] - Factor analysis results (betas for proxies)
+   * @param {Object} [params.unifiedMarketData] - Market data (SPY beta fallback)
+   */
+  const runStressTest = useCallback(async ({
+    positions,
+    cashBalance = 0,
+    factorAnalysis = null,
+    unifiedMarketData = {},
+  }) => {
+    const holdings = positions
+      .filter(p => p.ticker)
+      .map(p => ({ ticker: p.ticker.toUpperCase(), value: (p.quantity || 0) * (p.price || 0) }));
+
+    if (holdings.length === 0) {
+      setStressResults({ error: 'No positions to stress test.', scenarios: [] });
+      return;
+    }
+
+    setIsStressTesting(true);
+    setStressProgress(null);
+
+    try {
+      const tickers = [...new Set([...holdings.map(h => h.ticker), ...getStressProxyTickers()])];
+      const histories = await loadHistories(tickers);
+
+      // Proxy betas: factor analysis where run, else SPY beta from market data, else 1
+      const betasByTicker = {};
+      holdings.forEach(({ ticker }) => {
+        const analysed = factorAnalysis?.positions?.find(pa => pa.ticker === ticker && pa.hasData);
+        if (analysed?.factorBetas?.betas) {
+          betasByTicker[ticker] = analysed.factorBetas.betas;
+        } else {
+          const beta = unifiedMarketData[ticker]?.beta;
+          betasByTicker[ticker] = { MKT: beta != null && isFinite(beta) ? beta : 1 };
+        }
+      });
+
+      const scenarios = [...HISTORICAL_SCENARIOS, ...customScenarios.map(s => ({ ...s, isCustom: true }))];
+      const results = scenarios.map(scenario => ({
+        ...runStressScenario({ scenario, holdings, cashValue: cashBalance || 0, histories, betasByTicker }),
+        icon: scenario.icon || '📅',
+        description: scenario.description || `${scenario.start} → ${scenario.end}`,
+        isCustom: !!scenario.isCustom,
+      }));
+
+      const unavailable = holdings.filter(h => !histories[h.ticker]).map(h => h.ticker);
+      setStressResults({
+        scenarios: results,
+        unavailableTickers: unavailable,
+        usedFactorBetas: !!factorAnalysis,
+        ranAt: new Date().toISOString(),
+      });
+
+      const completed = results.filter(r => !r.error);
+      const worst = completed.reduce((w, r) => (!w || r.return < w.return ? r : w), null);
+      if (showToast) {
+        showToast({
+          type: 'success',
+          title: 'Stress Test Complete',
+          message: worst
+            ? `${completed.length} scenarios • worst: ${worst.name} ${(worst.return * 100).toFixed(1)}%`
+            : 'No scenario could be replayed',
+          duration: 4000,
+        });
+      }
+    } catch (error) {
+      console.error('Stress test error:', error);
+      setStressResults({ error: `Stress test failed: ${error.message}`, scenarios: [] });
+    } finally {
+      setIsStressTesting(false);
+      setStressProgress(null);
+    }
+  }, [customScenarios, loadHistories, showToast]);
+
+  /**
+   * Sector loadings for shocked ETFs: worker factor exposures, falling back
+   * to betas computed from locally loaded daily returns
+   */
+  const loadSectorExposures = useCallback(async (tickers, etfs, factorData, unifiedMarketData) => {
+    const sectorBetas = {};
+    const etfMarketExposure = {};
+    if (etfs.length === 0) return { sectorBetas, etfMarketExposure, source: null };
+
+    let data = null;
+    try {
+      data = await fetchFactorExposures([...new Set([...tickers, ...etfs])], ['SPY', ...etfs], '1y');
+    } catch (err) {
+      console.warn('Factor exposures fetch failed, using local returns:', err);
+    }
+
+    if (data?.exposures) {
+      etfs.forEach(etf => {
+        const row = data.exposures[etf];
+        if (row && !row.error && row.SPY != null) {
+          etfMarketExposure[etf] = { beta: row.SPY, rSquared: data.rSquared?.[etf] ?? 0 };
+        }
+      });
+      tickers.forEach(ticker => {
+        const row = data.exposures[ticker];
+        if (row && !row.error) sectorBetas[ticker] = row;
+      });
+      return { sectorBetas, etfMarketExposure, source: 'worker' };
+    }
+
+    const spyReturns = factorData?.SPY?.returns;
+    etfs.forEach(etf => {
+      const exposure = computeMarketExposure(factorData?.[etf]?.returns, spyReturns);
+      if (exposure) etfMarketExposure[etf] = exposure;
+    });
+    tickers.forEach(ticker => {
+      const returns = unifiedMarketData[ticker]?.dailyReturns;
+      sectorBetas[ticker] = {};
+      etfs.forEach(etf => {
+        const exposure = computeMarketExposure(returns, factorData?.[etf]?.returns);
+        if (exposure) sectorBetas[ticker][etf] = exposure.beta;
+      });
+    });
+    return { sectorBetas, etfMarketExposure, source: 'local' };
+  }, []);
+
+  /**
+   * Apply one or more factor shock scenarios to current holdings
+   *
+   * @param {Object} params
+   * @param {Array<{id, name, shocks}>} params.scenarios - Scenarios to run
+   * @param {Array} params.positions - Portfolio positions
+   * @param {number} params.cashBalance - Cash balance (unaffected)
+   * @param {Object} [params.factorAnalysis] - Factor analysis results
+   * @param {Object} [params.factorData] - Factor ETF returns (local fallback)
+   * @param {Object} [params.unifiedMarketData] - Market data
+   * @param {number} [params.horizonDays=21] - Residual band horizon
+   */
+  const runFactorShocks = useCallback(async ({
+    scenarios,
+    positions,
+    cashBalance = 0,
+    factorAnalysis = null,
+    factorData = null,
+    unifiedMarketData = {},
+    horizonDays = 21,
+  }) => {
+    const holdings = positions
+      .filter(p => p.ticker)
+      .map(p => ({ ticker: p.ticker.toUpperCase(), value: (p.quantity || 0) * (p.price || 0) }));
+
+    if (holdings.length === 0 || scenarios.length === 0) return;
+
+    setIsShocking(true);
+    try {
+      const tickers = holdings.map(h => h.ticker);
+      const etfs = [...new Set(scenarios.flatMap(s => getShockedSectorEtfs(s.shocks)))];
+      const exposuresByTicker = buildShockExposures(tickers, factorAnalysis, unifiedMarketData);
+      const { sectorBetas, etfMarketExposure, source } = await loadSectorExposures(tickers, etfs, factorData, unifiedMarketData);
+
+      const results = scenarios.map(scenario => ({
+        ...runFactorShock({
+          shocks: scenario.shocks,
+          holdings,
+          cashValue: cashBalance || 0,
+          exposuresByTicker,
+          sectorBetas,
+          etfMarketExposure,
+          horizonDays,
+        }),
+        id: scenario.id,
+        name: scenario.name,
+        icon: scenario.icon || '⚡',
+        description: scenario.description || '',
+        isTemplate: !!scenario.isTemplate,
+      }));
+
+      const ranAt = new Date().toISOString();
+      setShockResults({
+        scenarios: results,
+        horizonDays,
+        usedFactorBetas: !!factorAnalysis,
+        sectorSource: source,
+        ranAt,
+      });
+
+      // Stamp library entries so the weekly re-run is visible
+      const ranIds = new Set(scenarios.map(s => s.id));
+      setShockLibrary(prev => prev.map(s => (ranIds.has(s.id) ? { ...s, lastRunAt: ranAt } : s)));
+
+      if (showToast && results.length > 1) {
+        const worst = results.reduce((w, r) => (r.pnl < w.pnl ? r : w));
+        showToast({
+          type: 'success',
+          title: 'Factor Shocks Complete',
+          message: `${results.length} scenarios • worst: ${worst.name} ${(worst.return * 100).toFixed(1)}%`,
+          duration: 4000,
+        });
+      }
+    } catch (error) {
+      console.error('Factor shock error:', error);
+      if (showToast) {
+        showToast({ type: 'error', title: 'Factor Shock Failed', message: error.message });
+      }
+    } finally {
+      setIsShocking(false);
+    }
+  }, [loadSectorExposures, showToast]);
+
+  return {
+    customScenarios,
+    setCustomScenarios,
+    stressResults,
+    isStressTesting,
+    stressProgress,
+    runStressTest,
+    shockLibrary,
+    setShockLibrary,
+    shockResults,
+    isShocking,
+    runFactorShocks,
+  };
+}
+
+export default useStressTest;
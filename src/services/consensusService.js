@@ -3,7 +3,8 @@
  *
  * @module services/consensusService
  * @description Reads shared consensus data from Supabase database (populated by cron job)
- * Falls back to live FMP API calls for missing/stale data.
+ * Falls back to live FMP API calls for missing/stale data. The daily snapshots
+ * also give estimate revisions over the retention window.
  */
 
 import { supabase } from './authService';
@@ -117,6 +118,63 @@ export async function getSharedConsensusData(tickers) {
   }
 }
 
+/**
+ * Estimate revisions from the shared snapshot history
+ * Compares each ticker's latest FY1 EPS and consensus price target with the
+ * oldest snapshot in the window for the same fiscal year.
+ *
+ * @param {string[]} tickers - Array of ticker symbols
+ * @param {Object} [options]
+ * @param {number} [options.days=90] - Look-back window
+ * @returns {Promise<Object>} Map of ticker -> { fy1Eps, priceTarget, days, since } (fractional changes;
+ *   null where a side is missing). Empty when the shared DB is unavailable.
+ */
+export async function getConsensusRevisions(tickers, { days = 90 } = {}) {
+  if (!tickers || tickers.length === 0 || !supabase) {
+    return {};
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const { data, error } = await supabase
+    .from('consensus_snapshots')
+    .select('ticker, as_of_date, fy1_eps, price_target_consensus, fiscal_year:data->fy1->fiscalYear')
+    .in('ticker', tickers)
+    .eq('status', 'ok')
+    .gte('as_of_date', since)
+    .order('as_of_date', { ascending: true });
+
+  if (error) {
+    console.error('[ConsensusService] Revision query error:', error);
+    throw error;
+  }
+
+  const byTicker = {};
+  for (const row of (data || [])) {
+    if (!byTicker[row.ticker]) byTicker[row.ticker] = [];
+    byTicker[row.ticker].push(row);
+  }
+
+  const change = (now, then) => (now != null && then != null && Number(then) !== 0
+    ? (Number(now) - Number(then)) / Math.abs(Number(then))
+    : null);
+
+  const result = {};
+  for (const [ticker, rows] of Object.entries(byTicker)) {
+    const latest = rows[rows.length - 1];
+    const first = rows.find(r => String(r.fiscal_year ?? '') === String(latest.fiscal_year ?? ''));
+    if (!first || first === latest) continue;
+    result[ticker] = {
+      fy1Eps: change(latest.fy1_eps, first.fy1_eps),
+      priceTarget: change(latest.price_target_consensus, first.price_target_consensus),
+      days: Math.round((new Date(latest.as_of_date) - new Date(first.as_of_date)) / (24 * 60 * 60 * 1000)),
+      since: first.as_of_date,
+    };
+  }
+
+  console.log(`[ConsensusService] Revisions for ${Object.keys(result).length}/${tickers.length} tickers over ${days} days`);
+  return result;
+}
+
 /**
  * Get tickers that need live FMP fetch (missing or stale in shared DB)
  *
@@ -6,6 +6,8 @@
  * Uses the stable API endpoint with header-based authentication.
  */
 
+import { FALLBACK_EXCHANGE_RATES } from '../utils/currency';
+
 const BASE_URL = 'https://financialmodelingprep.com/stable';
 const STORAGE_KEY = 'monte-carlo-fmp-api-key';
 
@@ -116,25 +118,6 @@ const extractFiscalYear = (dateStr) => {
 // Cache for exchange rates (refreshed once per session)
 const exchangeRateCache = {};
 
-// Hardcoded fallback exchange rates for common currencies (updated periodically)
-const FALLBACK_EXCHANGE_RATES = {
-  'TWD': 0.031,  // Taiwan Dollar
-  'EUR': 1.08,   // Euro
-  'GBP': 1.27,   // British Pound
-  'JPY': 0.0067, // Japanese Yen
-  'KRW': 0.00074, // Korean Won
-  'CNY': 0.14,   // Chinese Yuan
-  'HKD': 0.128,  // Hong Kong Dollar
-  'CHF': 1.13,   // Swiss Franc
-  'AUD': 0.65,   // Australian Dollar
-  'CAD': 0.74,   // Canadian Dollar
-  'SEK': 0.095,  // Swedish Krona
-  'DKK': 0.145,  // Danish Krone
-  'NOK': 0.091,  // Norwegian Krone
-  'INR': 0.012,  // Indian Rupee
-  'BRL': 0.17,   // Brazilian Real
-};
-
 /**
  * Get fallback exchange rate for a currency
  * @param {string} fromCurrency - Currency code
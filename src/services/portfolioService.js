@@ -4,17 +4,29 @@
  * @module services/portfolioService
  * @description Handles all user data persistence with Supabase PostgreSQL.
  *
+ * A user can own several portfolios (taxable, IRA, model, client...). The
+ * save functions write to the active portfolio (setActivePortfolioId);
+ * fetchAllData loads one portfolio and fetchHouseholdData all of them.
+ *
  * Tables:
- * - portfolios: id, user_id, name, cash_balance, revision
+ * - portfolios: id, user_id, name, account_type, cash_balance, revision
  * - positions: id, portfolio_id, symbol, shares, avg_cost, p5-p95, price, type
+ *   (options: type 'Option' + underlying, option_type, strike, expiry, implied_vol;
+ *   bonds: type 'Bond' + duration, convexity, bond_yield, yield_vol, spread_duration, spread_vol)
  * - portfolio_settings: portfolio_id, settings (JSONB)
  * - correlation_overrides: portfolio_id, correlation_matrix, method, tickers
- * - simulation_results: portfolio_id, stats, percentiles, paths
+ * - simulation_results: portfolio_id, stats, percentiles, paths, seed
  * - factor_results: portfolio_id, exposures, betas, r_squared
  * - optimization_results: portfolio_id, weights, frontier, metrics
+ * - target_allocations: portfolio_id, symbol, target_weight, min_weight, max_weight
+ * - transactions: portfolio_id, client_id, trade_date, txn_type, symbol, quantity,
+ *   price, amount, fees, split_ratio, acquired_date, lot_selection, reinvest_price, dividend_id
+ *   (dividends are mirrored to dividend_history)
+ * - portfolio_snapshots: portfolio_id, snapshot_date, nav, cash, holdings (one row per day)
  */
 
 import { supabase, isAuthAvailable, getUser } from './authService';
+import { normalizeOptionPosition, formatOptionLabel } from '../utils/options';
 
 // ============================================
 // LOGGING UTILITIES
@@ -42,12 +54,36 @@ const logger = {
   },
 };
 
+// ============================================
+// ACTIVE PORTFOLIO
+// ============================================
+
+// Portfolio the load/save functions act on. null = the user's oldest
+// portfolio (the single-portfolio behaviour before multi-portfolio support).
+let activePortfolioId = null;
+
+/**
+ * Select the portfolio that subsequent saves write to
+ * @param {string|null} portfolioId - null = the user's oldest portfolio
+ */
+export function setActivePortfolioId(portfolioId) {
+  activePortfolioId = portfolioId || null;
+}
+
+/**
+ * @returns {string|null} Portfolio saves currently write to
+ */
+export function getActivePortfolioId() {
+  return activePortfolioId;
+}
+
 // ============================================
 // HELPER: Get or Create Portfolio
 // ============================================
 
 /**
- * Get user's portfolio ID, creating one if needed
+ * Get the active portfolio ID, falling back to the user's oldest portfolio
+ * and creating one if the user has none
  */
 async function getOrCreatePortfolioId() {
   if (!supabase || !isAuthAvailable()) {
@@ -59,15 +95,21 @@ async function getOrCreatePortfolioId() {
     return { portfolioId: null, error: userError || new Error('Not authenticated') };
   }
 
+  if (activePortfolioId) {
+    return { portfolioId: activePortfolioId, userId: user.id, error: null };
+  }
+
   // Try to get existing portfolio
   const { data: existing } = await supabase
     .from('portfolios')
     .select('id')
     .eq('user_id', user.id)
+    .order('created_at', { ascending: true })
     .limit(1)
     .single();
 
   if (existing?.id) {
+    activePortfolioId = existing.id;
     return { portfolioId: existing.id, userId: user.id, error: null };
   }
 
@@ -82,18 +124,72 @@ async function getOrCreatePortfolioId() {
     return { portfolioId: null, error: createError };
   }
 
+  activePortfolioId = created.id;
   return { portfolioId: created.id, userId: user.id, error: null };
 }
 
+/**
+ * Convert position rows to app format, split into linear positions and listed options
+ * @param {Object[]} rows - positions table rows
+ * @returns {{positions: Object[], optionPositions: Object[]}}
+ */
+function mapPositionRows(rows = []) {
+  return {
+    // Positions with distribution params
+    positions: rows.filter(pos => pos.position_type !== 'Option').map(pos => ({
+      id: pos.id,
+      ticker: pos.symbol,
+      quantity: parseFloat(pos.shares) || 0,
+      price: pos.price ? parseFloat(pos.price) : null,
+      avgCost: pos.avg_cost ? parseFloat(pos.avg_cost) : null,
+      type: pos.position_type || 'Equity',
+      // Bond model parameters (type 'Bond')
+      bond: pos.position_type === 'Bond' ? {
+        duration: pos.duration != null ? parseFloat(pos.duration) : null,
+        convexity: pos.convexity != null ? parseFloat(pos.convexity) : null,
+        yield: pos.bond_yield != null ? parseFloat(pos.bond_yield) : null,
+        yieldVol: pos.yield_vol != null ? parseFloat(pos.yield_vol) : null,
+        spreadDuration: pos.spread_duration != null ? parseFloat(pos.spread_duration) : null,
+        spreadVol: pos.spread_vol != null ? parseFloat(pos.spread_vol) : null,
+      } : null,
+      // Distribution parameters
+      p5: pos.p5 != null ? parseFloat(pos.p5) : -0.25,
+      p25: pos.p25 != null ? parseFloat(pos.p25) : -0.05,
+      p50: pos.p50 != null ? parseFloat(pos.p50) : 0.08,
+      p75: pos.p75 != null ? parseFloat(pos.p75) : 0.20,
+      p95: pos.p95 != null ? parseFloat(pos.p95) : 0.40,
+      // Currency fields for international stocks
+      currency: pos.currency || 'USD',
+      domesticPrice: pos.domestic_price ? parseFloat(pos.domestic_price) : null,
+      exchangeRate: pos.exchange_rate ? parseFloat(pos.exchange_rate) : 1,
+      fxHedged: !!pos.fx_hedged,
+    })),
+
+    // Listed options (shares = signed contracts, price = premium per share)
+    optionPositions: rows.filter(pos => pos.position_type === 'Option').map(pos => normalizeOptionPosition({
+      id: pos.id,
+      underlying: pos.underlying,
+      optionType: pos.option_type,
+      strike: pos.strike,
+      expiry: pos.expiry,
+      contracts: pos.shares,
+      price: pos.price,
+      impliedVol: pos.implied_vol,
+    })),
+  };
+}
+
 // ============================================
 // FULL DATA FETCH (Load Everything)
 // ============================================
 
 /**
- * Fetch all user data from Supabase
- * Call this on login to restore full state
+ * Fetch all data of one portfolio from Supabase
+ * Call this on login (or when switching portfolios) to restore full state
+ * @param {string|null} [portfolioId] - Defaults to the active portfolio; falls
+ *   back to the user's oldest portfolio when the ID no longer exists
  */
-export async function fetchAllData() {
+export async function fetchAllData(portfolioId = activePortfolioId) {
   const startTime = performance.now();
 
   if (!supabase || !isAuthAvailable()) {
@@ -111,7 +207,7 @@ export async function fetchAllData() {
     logger.info('Fetching all data...', { userId: user.id.slice(0, 8) });
 
     // Fetch portfolio with all related data
-    const { data: portfolios, error } = await supabase
+    let query = supabase
       .from('portfolios')
       .select(`
         *,
@@ -122,9 +218,11 @@ export async function fetchAllData() {
         factor_results (*, created_at),
         optimization_results (*, created_at)
       `)
-      .eq('user_id', user.id)
-      .order('created_at', { ascending: true })
-      .limit(1);
+      .eq('user_id', user.id);
+    query = portfolioId
+      ? query.eq('id', portfolioId)
+      : query.order('created_at', { ascending: true }).limit(1);
+    const { data: portfolios, error } = await query;
 
     if (error) {
       logger.error('Fetch error', { error: error.message });
@@ -132,12 +230,19 @@ export async function fetchAllData() {
     }
 
     if (!portfolios || portfolios.length === 0) {
+      if (portfolioId) {
+        // Deleted elsewhere or belongs to another account
+        logger.warn('Portfolio not found, loading default', { portfolioId });
+        activePortfolioId = null;
+        return fetchAllData(null);
+      }
       const duration = Math.round(performance.now() - startTime);
       logger.info('No portfolio found', { duration });
       return { data: null, error: null };
     }
 
     const p = portfolios[0];
+    activePortfolioId = p.id;
 
     // Fetch correlation groups separately (not in main query for simpler RLS)
     const { data: correlationGroupRows } = await supabase
@@ -159,6 +264,27 @@ export async function fetchAllData() {
       }
     }
 
+    // Fetch target allocations separately (rebalancing targets and bands)
+    const { data: targetRows } = await supabase
+      .from('target_allocations')
+      .select('symbol, target_weight, min_weight, max_weight')
+      .eq('portfolio_id', p.id);
+
+    const targetAllocations = {};
+    for (const row of targetRows || []) {
+      targetAllocations[row.symbol] = {
+        targetWeight: parseFloat(row.target_weight),
+        minWeight: row.min_weight != null ? parseFloat(row.min_weight) : null,
+        maxWeight: row.max_weight != null ? parseFloat(row.max_weight) : null,
+      };
+    }
+
+    // Fetch the transaction ledger separately (joins dividend_history)
+    const { data: transactions } = await fetchTransactions(p.id);
+
+    // Daily value snapshots for the Performance view
+    const { data: snapshots } = await fetchSnapshots(p.id);
+
     // Get most recent results (they're ordered by created_at in the query)
     const latestSimulation = p.simulation_results?.sort((a, b) =>
       new Date(b.created_at) - new Date(a.created_at)
@@ -175,30 +301,15 @@ export async function fetchAllData() {
     // Transform to app format
     const data = {
       portfolioId: p.id,
+      name: p.name,
+      accountType: p.account_type || 'taxable',
       revision: p.revision,
 
       // Cash balance
       cashBalance: parseFloat(p.cash_balance) || 0,
 
-      // Positions with distribution params
-      positions: (p.positions || []).map(pos => ({
-        id: pos.id,
-        ticker: pos.symbol,
-        quantity: parseFloat(pos.shares) || 0,
-        price: pos.price ? parseFloat(pos.price) : null,
-        avgCost: pos.avg_cost ? parseFloat(pos.avg_cost) : null,
-        type: pos.position_type || 'Equity',
-        // Distribution parameters
-        p5: pos.p5 != null ? parseFloat(pos.p5) : -0.25,
-        p25: pos.p25 != null ? parseFloat(pos.p25) : -0.05,
-        p50: pos.p50 != null ? parseFloat(pos.p50) : 0.08,
-        p75: pos.p75 != null ? parseFloat(pos.p75) : 0.20,
-        p95: pos.p95 != null ? parseFloat(pos.p95) : 0.40,
-        // Currency fields for international stocks
-        currency: pos.currency || 'USD',
-        domesticPrice: pos.domestic_price ? parseFloat(pos.domestic_price) : null,
-        exchangeRate: pos.exchange_rate ? parseFloat(pos.exchange_rate) : 1,
-      })),
+      // Positions and listed options
+      ...mapPositionRows(p.positions),
 
       // Settings
       settings: p.portfolio_settings?.settings || {},
@@ -212,6 +323,18 @@ export async function fetchAllData() {
       correlationGroups: Object.keys(correlationGroups).length > 0 ? correlationGroups : null,
       tickerToGroup: Object.keys(tickerToGroup).length > 0 ? tickerToGroup : null,
 
+      // Target allocations by symbol (rebalancing)
+      targetAllocations: Object.keys(targetAllocations).length > 0 ? targetAllocations : null,
+
+      // Transaction ledger (oldest first)
+      transactions: transactions.length > 0 ? transactions : null,
+
+      // Daily value snapshots (oldest first) and past runs' bands for the forecast check
+      snapshots: snapshots.length > 0 ? snapshots : null,
+      forecasts: (p.simulation_results || [])
+        .map(row => row.percentiles?.forecast)
+        .filter(Boolean),
+
       // Latest simulation results
       simulationResults: latestSimulation ? {
         mean: latestSimulation.mean_return,
@@ -225,6 +348,8 @@ export async function fetchAllData() {
         pathEndpoints: latestSimulation.path_endpoints,
         numPaths: latestSimulation.num_paths,
         method: latestSimulation.method,
+        seed: latestSimulation.seed ?? null,
+        workerCount: latestSimulation.worker_count ?? null,
       } : null,
 
       // Latest factor analysis
@@ -252,10 +377,13 @@ export async function fetchAllData() {
 
     const duration = Math.round(performance.now() - startTime);
     logger.info('Data loaded successfully', {
+      portfolioId: p.id,
       positions: data.positions.length,
       hasCorrelation: !!data.editedCorrelation,
       hasCorrelationGroups: !!data.correlationGroups,
       correlationGroupCount: data.correlationGroups ? Object.keys(data.correlationGroups).length : 0,
+      targetAllocationCount: data.targetAllocations ? Object.keys(data.targetAllocations).length : 0,
+      transactionCount: transactions.length,
       hasSimulation: !!data.simulationResults,
       hasFactors: !!data.factorAnalysis,
       hasOptimization: !!data.optimizationResults,
@@ -276,7 +404,8 @@ export async function fetchAllData() {
 // ============================================
 
 /**
- * Save positions with distribution parameters
+ * Save positions with distribution parameters (option positions, type
+ * 'Option', carry their contract fields instead)
  */
 export async function savePositions(positions, cashBalance = 0) {
   const startTime = performance.now();
@@ -301,26 +430,33 @@ export async function savePositions(positions, cashBalance = 0) {
       logger.warn('Cash balance update error', { error: cashError.message });
     }
 
-    // Delete ALL existing positions first (wait for it to complete)
-    const { data: deletedData, error: deleteError } = await supabase
+    // Note the rows saved so far; they are only removed once the new set is in,
+    // so a rejected insert leaves the previous save intact
+    const { data: existingRows, error: existingError } = await supabase
       .from('positions')
-      .delete()
-      .eq('portfolio_id', portfolioId)
-      .select();
+      .select('id')
+      .eq('portfolio_id', portfolioId);
 
-    if (deleteError) {
-      logger.warn('Delete positions error', { error: deleteError.message });
-      // Continue anyway - might be empty
-    } else {
-      logger.info('Deleted existing positions', { count: deletedData?.length || 0 });
+    if (existingError) {
+      logger.error('Load existing positions error', { error: existingError.message });
+      return { success: false, error: existingError };
     }
-
-    // Small delay to ensure delete propagates
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const staleIds = (existingRows || []).map(r => r.id);
 
     // Insert new positions
     if (positions && positions.length > 0) {
-      const positionsToInsert = positions.map(p => ({
+      const positionsToInsert = positions.map(p => (p.type === 'Option' ? {
+        portfolio_id: portfolioId,
+        symbol: formatOptionLabel(p),
+        shares: p.contracts || 0,
+        price: p.price ?? null,
+        position_type: 'Option',
+        underlying: p.underlying,
+        option_type: p.optionType,
+        strike: p.strike,
+        expiry: p.expiry || null,
+        implied_vol: p.impliedVol ?? null,
+      } : {
         portfolio_id: portfolioId,
         symbol: p.ticker || p.symbol,
         shares: p.quantity || p.shares || 0,
@@ -336,6 +472,14 @@ export async function savePositions(positions, cashBalance = 0) {
         currency: p.currency || 'USD',
         domestic_price: p.domesticPrice || null,
         exchange_rate: p.exchangeRate || 1,
+        fx_hedged: !!p.fxHedged,
+        // Bond model parameters
+        duration: p.type === 'Bond' ? p.bond?.duration ?? null : null,
+        convexity: p.type === 'Bond' ? p.bond?.convexity ?? null : null,
+        bond_yield: p.type === 'Bond' ? p.bond?.yield ?? null : null,
+        yield_vol: p.type === 'Bond' ? p.bond?.yieldVol ?? null : null,
+        spread_duration: p.type === 'Bond' ? p.bond?.spreadDuration ?? null : null,
+        spread_vol: p.type === 'Bond' ? p.bond?.spreadVol ?? null : null,
       }));
 
       const { data: insertedData, error: insertError } = await supabase
@@ -351,6 +495,20 @@ export async function savePositions(positions, cashBalance = 0) {
       logger.info('Inserted positions', { count: insertedData?.length || 0 });
     }
 
+    // Remove the previous save now that the new rows are stored
+    if (staleIds.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('positions')
+        .delete()
+        .in('id', staleIds);
+
+      if (deleteError) {
+        logger.error('Delete stale positions error', { error: deleteError.message });
+        return { success: false, error: deleteError };
+      }
+      logger.info('Deleted previous positions', { count: staleIds.length });
+    }
+
     const duration = Math.round(performance.now() - startTime);
     logger.info('Positions saved successfully', { count: positionCount, duration });
     logger.metric('save_positions', duration, { count: positionCount });
@@ -438,6 +596,9 @@ export async function saveSimulationResults(results) {
         percentiles: results.percentiles,
         // Only save endpoints, not full paths (too large)
         path_endpoints: results.pathEndpoints || results.paths?.map(p => p[p.length - 1]),
+        // Seed + worker count reproduce the run exactly
+        seed: results.seed ?? null,
+        worker_count: results.workerCount ?? null,
       });
 
     if (error) {
@@ -585,34 +746,238 @@ export async function saveSettings(settings) {
 }
 
 // ============================================
-// DELETE PORTFOLIO
+// PORTFOLIO MANAGEMENT (multiple portfolios per user)
 // ============================================
 
 /**
- * Delete portfolio and all associated data
+ * Convert a portfolios row to app format
+ */
+function mapPortfolioRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    accountType: row.account_type || 'taxable',
+    cashBalance: parseFloat(row.cash_balance) || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * List the user's portfolios, oldest first
+ * @returns {Promise<{portfolios: Object[], error: Error|null}>}
+ */
+export async function listPortfolios() {
+  if (!supabase || !isAuthAvailable()) {
+    return { portfolios: [], error: null };
+  }
+
+  try {
+    const { data: { user }, error: userError } = await getUser();
+    if (userError || !user) {
+      return { portfolios: [], error: userError };
+    }
+
+    const { data, error } = await supabase
+      .from('portfolios')
+      .select('id, name, account_type, cash_balance, created_at, updated_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('List portfolios error', { error: error.message });
+      return { portfolios: [], error };
+    }
+
+    return { portfolios: (data || []).map(mapPortfolioRow), error: null };
+  } catch (error) {
+    logger.error('listPortfolios exception', { error: error.message });
+    return { portfolios: [], error };
+  }
+}
+
+/**
+ * Create an empty portfolio
+ * @param {Object} details
+ * @param {string} details.name
+ * @param {string} [details.accountType='taxable'] - taxable | ira | roth | model | client | other
+ * @returns {Promise<{portfolio: Object|null, error: Error|null}>}
  */
-export async function deletePortfolio() {
+export async function createPortfolio({ name, accountType = 'taxable', cashBalance = 0 }) {
   const startTime = performance.now();
 
-  const { portfolioId, error: idError } = await getOrCreatePortfolioId();
-  if (idError || !portfolioId) {
-    logger.error('deletePortfolio - no portfolio', { error: idError?.message });
-    return { success: false, error: idError };
+  try {
+    const { data: { user }, error: userError } = await getUser();
+    if (userError || !user) {
+      return { portfolio: null, error: userError || new Error('Not authenticated') };
+    }
+
+    const { data, error } = await supabase
+      .from('portfolios')
+      .insert({
+        user_id: user.id,
+        name: name?.trim() || 'My Portfolio',
+        account_type: accountType,
+        cash_balance: cashBalance,
+      })
+      .select('id, name, account_type, cash_balance, created_at, updated_at')
+      .single();
+
+    if (error) {
+      logger.error('Create portfolio error', { error: error.message });
+      return { portfolio: null, error };
+    }
+
+    const duration = Math.round(performance.now() - startTime);
+    logger.info('Portfolio created', { portfolioId: data.id, duration });
+    return { portfolio: mapPortfolioRow(data), error: null };
+  } catch (error) {
+    logger.error('createPortfolio exception', { error: error.message });
+    return { portfolio: null, error };
+  }
+}
+
+/**
+ * Rename a portfolio and/or change its account type
+ * @param {string} portfolioId
+ * @param {Object} updates - { name?, accountType? }
+ */
+export async function updatePortfolio(portfolioId, { name, accountType } = {}) {
+  const changes = {};
+  if (name != null && name.trim()) changes.name = name.trim();
+  if (accountType) changes.account_type = accountType;
+  if (!portfolioId || Object.keys(changes).length === 0) {
+    return { success: false, error: null };
   }
 
   try {
     const { error } = await supabase
       .from('portfolios')
-      .delete()
+      .update(changes)
       .eq('id', portfolioId);
 
+    if (error) {
+      logger.error('Update portfolio error', { error: error.message, portfolioId });
+      return { success: false, error };
+    }
+
+    logger.info('Portfolio updated', { portfolioId, fields: Object.keys(changes) });
+    return { success: true, error: null };
+  } catch (error) {
+    logger.error('updatePortfolio exception', { error: error.message });
+    return { success: false, error };
+  }
+}
+
+/**
+ * Copy a portfolio's positions, settings, correlation matrix, correlation
+ * groups and rebalancing targets into a new portfolio (analysis results are
+ * not copied - they belong to the book they were run on)
+ * @param {string} sourceId
+ * @param {Object} details - { name, accountType? } of the copy
+ * @returns {Promise<{portfolio: Object|null, error: Error|null}>}
+ */
+export async function clonePortfolio(sourceId, { name, accountType } = {}) {
+  const startTime = performance.now();
+
+  const { data: source, error: sourceError } = await supabase
+    .from('portfolios')
+    .select('name, account_type, cash_balance')
+    .eq('id', sourceId)
+    .single();
+
+  if (sourceError || !source) {
+    logger.error('Clone source not found', { error: sourceError?.message, sourceId });
+    return { portfolio: null, error: sourceError || new Error('Portfolio not found') };
+  }
+
+  const { portfolio, error: createError } = await createPortfolio({
+    name: name || `${source.name} (copy)`,
+    accountType: accountType || source.account_type || 'taxable',
+    cashBalance: parseFloat(source.cash_balance) || 0,
+  });
+  if (createError || !portfolio) {
+    return { portfolio: null, error: createError };
+  }
+
+  // Copy child rows, re-keyed to the new portfolio
+  const copyRows = async (table, columns) => {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .select(columns)
+      .eq('portfolio_id', sourceId);
+    if (error) throw error;
+    if (!rows || rows.length === 0) return 0;
+    const records = rows.map(row => {
+      const { id: _id, created_at: _created, updated_at: _updated, ...rest } = row;
+      return { ...rest, portfolio_id: portfolio.id };
+    });
+    const { error: insertError } = await supabase.from(table).insert(records);
+    if (insertError) throw insertError;
+    return records.length;
+  };
+
+  try {
+    const positionCount = await copyRows('positions', '*');
+    await copyRows('portfolio_settings', 'settings');
+    await copyRows('correlation_overrides', 'correlation_matrix, method, tickers');
+    await copyRows('correlation_groups', 'ticker, group_type, group_name, source');
+    await copyRows('target_allocations', 'symbol, target_weight, min_weight, max_weight');
+
+    // Transactions are rewritten rather than copied so their dividend_history rows come along
+    const { data: transactions, error: txError } = await fetchTransactions(sourceId);
+    if (txError) throw txError;
+    if (transactions.length > 0) {
+      const { error: writeError } = await writeTransactions(portfolio.id, transactions);
+      if (writeError) throw writeError;
+    }
+
+    const duration = Math.round(performance.now() - startTime);
+    logger.info('Portfolio cloned', { sourceId, portfolioId: portfolio.id, positions: positionCount, duration });
+    logger.metric('clone_portfolio', duration);
+    return { portfolio, error: null };
+  } catch (error) {
+    // Don't leave a half-copied portfolio behind
+    logger.error('Clone portfolio error', { error: error.message, sourceId });
+    await supabase.from('portfolios').delete().eq('id', portfolio.id);
+    return { portfolio: null, error };
+  }
+}
+
+/**
+ * Delete a portfolio and all associated data (child rows cascade)
+ * @param {string} [portfolioId] - Defaults to the active portfolio
+ */
+export async function deletePortfolio(portfolioId = null) {
+  const startTime = performance.now();
+
+  let targetId = portfolioId;
+  if (!targetId) {
+    const { portfolioId: activeId, error: idError } = await getOrCreatePortfolioId();
+    if (idError || !activeId) {
+      logger.error('deletePortfolio - no portfolio', { error: idError?.message });
+      return { success: false, error: idError };
+    }
+    targetId = activeId;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('portfolios')
+      .delete()
+      .eq('id', targetId);
+
     if (error) {
       logger.error('Delete error', { error: error.message });
       return { success: false, error };
     }
 
+    if (targetId === activePortfolioId) {
+      activePortfolioId = null;
+    }
+
     const duration = Math.round(performance.now() - startTime);
-    logger.info('Portfolio deleted', { portfolioId, duration });
+    logger.info('Portfolio deleted', { portfolioId: targetId, duration });
     logger.metric('delete_portfolio', duration);
     return { success: true, error: null };
   } catch (error) {
@@ -621,6 +986,50 @@ export async function deletePortfolio() {
   }
 }
 
+/**
+ * Fetch every portfolio's holdings for the combined household view
+ * @returns {Promise<{data: {portfolios: Object[]}|null, error: Error|null}>}
+ *   Each portfolio: { id, name, accountType, cashBalance, positions, optionPositions }
+ */
+export async function fetchHouseholdData() {
+  const startTime = performance.now();
+
+  if (!supabase || !isAuthAvailable()) {
+    return { data: null, error: null };
+  }
+
+  try {
+    const { data: { user }, error: userError } = await getUser();
+    if (userError || !user) {
+      return { data: null, error: userError };
+    }
+
+    const { data: rows, error } = await supabase
+      .from('portfolios')
+      .select('id, name, account_type, cash_balance, created_at, updated_at, positions (*)')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Household fetch error', { error: error.message });
+      return { data: null, error };
+    }
+
+    const portfolios = (rows || []).map(row => ({
+      ...mapPortfolioRow(row),
+      ...mapPositionRows(row.positions),
+    }));
+
+    const duration = Math.round(performance.now() - startTime);
+    logger.info('Household data loaded', { portfolios: portfolios.length, duration });
+    logger.metric('fetch_household_data', duration);
+    return { data: { portfolios }, error: null };
+  } catch (error) {
+    logger.error('fetchHouseholdData exception', { error: error.message });
+    return { data: null, error };
+  }
+}
+
 // ============================================
 // UTILITY
 // ============================================
@@ -792,8 +1201,8 @@ export async function saveTargetAllocations(portfolioId, allocations) {
       portfolio_id: portfolioId,
       symbol: a.symbol.toUpperCase(),
       target_weight: a.targetWeight,
-      min_weight: a.minWeight || null,
-      max_weight: a.maxWeight || null,
+      min_weight: a.minWeight ?? null,
+      max_weight: a.maxWeight ?? null,
       updated_at: new Date().toISOString(),
     }));
 
@@ -838,6 +1247,44 @@ export async function getTargetAllocations(portfolioId) {
   }
 }
 
+/**
+ * Replace the current user's target allocations with the given set
+ * @param {Object} allocations - Map of symbol → { targetWeight, minWeight, maxWeight }
+ */
+export async function replaceTargetAllocations(allocations) {
+  try {
+    const { portfolioId, error: idError } = await getOrCreatePortfolioId();
+    if (idError || !portfolioId) {
+      logger.error('replaceTargetAllocations - no portfolio', { error: idError?.message });
+      return { success: false, error: idError };
+    }
+
+    const list = Object.entries(allocations || {})
+      .filter(([, a]) => a && a.targetWeight != null && isFinite(a.targetWeight))
+      .map(([symbol, a]) => ({ symbol, ...a }));
+
+    // Remove symbols that are no longer targeted
+    let deleteQuery = supabase
+      .from('target_allocations')
+      .delete()
+      .eq('portfolio_id', portfolioId);
+    if (list.length > 0) {
+      deleteQuery = deleteQuery.not('symbol', 'in', `(${list.map(a => `"${a.symbol.toUpperCase()}"`).join(',')})`);
+    }
+    const { error: deleteError } = await deleteQuery;
+    if (deleteError) {
+      logger.error('Replace target allocations delete error', { error: deleteError.message });
+      return { success: false, error: deleteError };
+    }
+
+    if (list.length === 0) return { success: true, error: null };
+    return await saveTargetAllocations(portfolioId, list);
+  } catch (error) {
+    logger.error('replaceTargetAllocations exception', { error: error.message });
+    return { success: false, error };
+  }
+}
+
 /**
  * Delete a target allocation
  */
@@ -984,6 +1431,263 @@ export async function deleteDividend(dividendId) {
   }
 }
 
+// ============================================
+// TRANSACTIONS
+// Ledger of buys, sells, splits, dividends, transfers and fees
+// ============================================
+
+/**
+ * Map transaction rows (with their joined dividend_history row) to app format
+ */
+function mapTransactionRows(rows = []) {
+  const num = (v) => (v != null ? parseFloat(v) : null);
+  return rows.map(row => ({
+    id: row.client_id,
+    date: row.trade_date,
+    type: row.txn_type,
+    ticker: row.symbol || '',
+    quantity: num(row.quantity),
+    price: num(row.price),
+    amount: num(row.amount),
+    fees: num(row.fees) || 0,
+    ratio: num(row.split_ratio),
+    acquiredDate: row.acquired_date || null,
+    lots: Array.isArray(row.lot_selection) ? row.lot_selection : null,
+    payDate: row.dividend_history?.received_date || null,
+    reinvested: !!row.dividend_history?.reinvested,
+    reinvestPrice: num(row.reinvest_price),
+    note: row.note || '',
+  }));
+}
+
+/**
+ * Get a portfolio's transactions, oldest first
+ * @param {string} portfolioId
+ */
+export async function fetchTransactions(portfolioId) {
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('client_id, trade_date, txn_type, symbol, quantity, price, amount, fees, split_ratio, acquired_date, lot_selection, reinvest_price, note, dividend_history (received_date, reinvested)')
+      .eq('portfolio_id', portfolioId)
+      .order('trade_date', { ascending: true })
+      .order('sort_order', { ascending: true });
+
+    if (error) {
+      logger.error('Fetch transactions error', { error: error.message });
+      return { data: [], error };
+    }
+
+    return { data: mapTransactionRows(data || []), error: null };
+  } catch (error) {
+    logger.error('fetchTransactions exception', { error: error.message });
+    return { data: [], error };
+  }
+}
+
+/**
+ * Overwrite a portfolio's transactions (and the dividend_history rows they own)
+ *
+ * New rows are written before old ones are removed, so a failed save leaves the
+ * previous ledger in place: dividend rows are inserted, transactions are upserted
+ * on (portfolio_id, client_id), and only then are transactions no longer in the
+ * ledger and the dividend rows they used to link deleted by id.
+ * @param {string} portfolioId
+ * @param {Object[]} transactions - App-format transactions
+ */
+async function writeTransactions(portfolioId, transactions) {
+  // Dividend rows written by the ledger go with it; manually added ones stay
+  const { data: existing, error: existingError } = await supabase
+    .from('transactions')
+    .select('id, client_id, dividend_id')
+    .eq('portfolio_id', portfolioId);
+  if (existingError) return { success: false, error: existingError };
+
+  const dividendTxs = transactions.filter(tx => tx.type === 'dividend');
+  const dividendIds = new Map();
+  if (dividendTxs.length > 0) {
+    const { data: dividendRows, error: dividendError } = await supabase
+      .from('dividend_history')
+      .insert(dividendTxs.map(tx => {
+        const total = tx.amount ?? (tx.price != null && tx.quantity != null ? tx.price * tx.quantity : null);
+        return {
+          portfolio_id: portfolioId,
+          symbol: tx.ticker.toUpperCase(),
+          ex_date: tx.date,
+          amount: tx.price ?? (total != null && tx.quantity ? total / tx.quantity : total),
+          shares_held: tx.quantity ?? null,
+          total_amount: total,
+          received_date: tx.payDate || null,
+          reinvested: !!tx.reinvested,
+        };
+      }))
+      .select('id');
+    if (dividendError) return { success: false, error: dividendError };
+    dividendTxs.forEach((tx, i) => dividendIds.set(tx.id, dividendRows?.[i]?.id || null));
+  }
+  const newDividendIds = [...dividendIds.values()].filter(Boolean);
+
+  if (transactions.length > 0) {
+    const records = transactions.map((tx, i) => ({
+      portfolio_id: portfolioId,
+      client_id: tx.id,
+      trade_date: tx.date,
+      txn_type: tx.type,
+      symbol: tx.ticker ? tx.ticker.toUpperCase() : null,
+      quantity: tx.quantity ?? null,
+      price: tx.price ?? null,
+      amount: tx.amount ?? null,
+      fees: tx.fees || 0,
+      split_ratio: tx.ratio ?? null,
+      acquired_date: tx.acquiredDate || null,
+      lot_selection: tx.lots?.length ? tx.lots : null,
+      reinvest_price: tx.reinvested ? tx.reinvestPrice ?? null : null,
+      dividend_id: dividendIds.get(tx.id) || null,
+      note: tx.note || null,
+      sort_order: i,
+    }));
+
+    const { error: upsertError } = await supabase
+      .from('transactions')
+      .upsert(records, { onConflict: 'portfolio_id,client_id' });
+    if (upsertError) {
+      // Old ledger is untouched; drop the dividend rows nothing links to
+      if (newDividendIds.length > 0) {
+        await supabase.from('dividend_history').delete().in('id', newDividendIds);
+      }
+      return { success: false, error: upsertError };
+    }
+  }
+
+  const kept = new Set(transactions.map(tx => tx.id));
+  const staleIds = (existing || []).filter(row => !kept.has(row.client_id)).map(row => row.id);
+  if (staleIds.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('transactions')
+      .delete()
+      .in('id', staleIds);
+    if (deleteError) return { success: false, error: deleteError };
+  }
+
+  const oldDividendIds = (existing || []).map(row => row.dividend_id).filter(Boolean);
+  if (oldDividendIds.length > 0) {
+    const { error: dividendDeleteError } = await supabase
+      .from('dividend_history')
+      .delete()
+      .in('id', oldDividendIds);
+    if (dividendDeleteError) return { success: false, error: dividendDeleteError };
+  }
+
+  return { success: true, error: null };
+}
+
+/**
+ * Replace the active portfolio's transaction ledger
+ * @param {Object[]} transactions - App-format transactions in entry order
+ */
+export async function replaceTransactions(transactions) {
+  const startTime = performance.now();
+
+  try {
+    const { portfolioId, error: idError } = await getOrCreatePortfolioId();
+    if (idError || !portfolioId) {
+      logger.error('replaceTransactions - no portfolio', { error: idError?.message });
+      return { success: false, error: idError };
+    }
+
+    const result = await writeTransactions(portfolioId, transactions || []);
+    if (result.error) {
+      logger.error('Replace transactions error', { error: result.error.message });
+      return result;
+    }
+
+    const duration = Math.round(performance.now() - startTime);
+    logger.info('Transactions saved', { count: transactions?.length || 0, duration });
+    logger.metric('save_transactions', duration);
+    return result;
+  } catch (error) {
+    logger.error('replaceTransactions exception', { error: error.message });
+    return { success: false, error };
+  }
+}
+
+// ============================================
+// PORTFOLIO SNAPSHOTS
+// Daily NAV, cash and holdings for realized performance
+// ============================================
+
+/**
+ * Get a portfolio's value snapshots, oldest first
+ * @param {string} portfolioId
+ */
+export async function fetchSnapshots(portfolioId) {
+  try {
+    const { data, error } = await supabase
+      .from('portfolio_snapshots')
+      .select('snapshot_date, nav, cash, holdings')
+      .eq('portfolio_id', portfolioId)
+      .order('snapshot_date', { ascending: true });
+
+    if (error) {
+      logger.error('Fetch snapshots error', { error: error.message });
+      return { data: [], error };
+    }
+
+    return {
+      data: (data || []).map(row => ({
+        date: row.snapshot_date,
+        nav: parseFloat(row.nav),
+        cash: parseFloat(row.cash) || 0,
+        holdings: row.holdings || {},
+      })),
+      error: null,
+    };
+  } catch (error) {
+    logger.error('fetchSnapshots exception', { error: error.message });
+    return { data: [], error };
+  }
+}
+
+/**
+ * Save the active portfolio's snapshot for its date (replaces that day's)
+ * @param {{date: string, nav: number, cash: number, holdings: Object}} snapshot
+ */
+export async function saveSnapshot(snapshot) {
+  const startTime = performance.now();
+
+  const { portfolioId, error: idError } = await getOrCreatePortfolioId();
+  if (idError || !portfolioId) {
+    logger.error('saveSnapshot - no portfolio', { error: idError?.message });
+    return { success: false, error: idError };
+  }
+
+  try {
+    const { error } = await supabase
+      .from('portfolio_snapshots')
+      .upsert({
+        portfolio_id: portfolioId,
+        snapshot_date: snapshot.date,
+        nav: snapshot.nav,
+        cash: snapshot.cash || 0,
+        holdings: snapshot.holdings || {},
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'portfolio_id,snapshot_date' });
+
+    if (error) {
+      logger.error('Save snapshot error', { error: error.message });
+      return { success: false, error };
+    }
+
+    const duration = Math.round(performance.now() - startTime);
+    logger.info('Snapshot saved', { date: snapshot.date, duration });
+    logger.metric('save_snapshot', duration);
+    return { success: true, error: null };
+  } catch (error) {
+    logger.error('saveSnapshot exception', { error: error.message });
+    return { success: false, error };
+  }
+}
+
 // ============================================
 // CORRELATION GROUPS
 // Per-user ticker → group mappings for correlation floors
@@ -993,7 +1697,7 @@ export async function deleteDividend(dividendId) {
  * Save correlation groups (batch upsert)
  * @param {Object} groups - Object mapping group names to arrays of tickers
  *                          e.g., { "Technology": ["AAPL", "MSFT"], "Financials": ["JPM"] }
- * @param {string} groupType - Type of grouping: 'sector', 'industry', or 'custom'
+ * @param {string} groupType - Type of grouping: 'sector', 'industry', 'custom' or 'cluster'
  * @param {string} source - Source of assignment: 'auto' or 'user'
  */
 export async function saveCorrelationGroups(groups, groupType = 'sector', source = 'auto') {
@@ -1198,8 +1902,16 @@ export default {
   saveFactorResults,
   saveOptimizationResults,
   saveSettings,
-  deletePortfolio,
   isSyncAvailable,
+  // Multiple portfolios
+  setActivePortfolioId,
+  getActivePortfolioId,
+  listPortfolios,
+  createPortfolio,
+  updatePortfolio,
+  clonePortfolio,
+  deletePortfolio,
+  fetchHouseholdData,
   // Position notes
   savePositionNotes,
   getPositionNotes,
@@ -1208,6 +1920,7 @@ export default {
   // Target allocations
   saveTargetAllocation,
   saveTargetAllocations,
+  replaceTargetAllocations,
   getTargetAllocations,
   deleteTargetAllocation,
   // Dividend history
@@ -1215,6 +1928,12 @@ export default {
   getDividends,
   getDividendSummary,
   deleteDividend,
+  // Transactions
+  fetchTransactions,
+  replaceTransactions,
+  // Portfolio snapshots
+  fetchSnapshots,
+  saveSnapshot,
   // Correlation groups
   saveCorrelationGroups,
   loadCorrelationGroups,
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { optimizeConstrained, buildTradeList } from '../constrainedOptimization';
+
+// Three $100 stocks, 30% of a $100k book each, 10% cash
+const positions = [
+  { id: 'a', ticker: 'AAA', quantity: 300, price: 100 },
+  { id: 'b', ticker: 'BBB', quantity: 300, price: 100 },
+  { id: 'c', ticker: 'CCC', quantity: 300, price: 100 },
+];
+const base = {
+  positions,
+  muArray: [0.12, 0.08, 0.05],
+  covMatrix: [
+    [0.09, 0.01, 0.0],
+    [0.01, 0.04, 0.0],
+    [0.0, 0.0, 0.01],
+  ],
+  nav: 100000,
+  cashBalance: 10000,
+  riskFreeRate: 0.02,
+};
+
+describe('optimizeConstrained', () => {
+  it('finds weights inside the position caps and the cash floor', () => {
+    const result = optimizeConstrained({ ...base, constraints: { maxWeight: 0.4, cashFloor: 0.05 } });
+
+    expect(result.status).toBe('optimal');
+    expect(result.reasons).toEqual([]);
+    for (const w of result.target.idealWeights) expect(w).toBeLessThanOrEqual(0.4 + 1e-4);
+    expect(result.target.idealWeights.reduce((a, b) => a + b, 0)).toBeCloseTo(0.9, 3);
+    expect(result.cashAfter).toBeGreaterThanOrEqual(5000 - 1e-6);
+    for (const t of result.trades) expect(Number.isInteger(t.shares)).toBe(true);
+  });
+
+  it('honours saved minimum weights and the turnover limit', () => {
+    const result = optimizeConstrained({
+      ...base,
+      targetAllocations: { CCC: { minWeight: 0.25, maxWeight: 0.5 } },
+      constraints: { maxTurnover: 0.2, cashFloor: 0.05 },
+    });
+
+    expect(result.status).toBe('optimal');
+    expect(result.target.idealWeights[2]).toBeGreaterThanOrEqual(0.25 - 1e-4);
+    const turnover = result.target.idealWeights.reduce((sum, w, i) => sum + Math.abs(w - result.current.weights[i]), 0);
+    expect(turnover).toBeLessThanOrEqual(0.2 + 1e-3);
+  });
+
+  it('reports a minimum above its maximum', () => {
+    const result = optimizeConstrained({
+      ...base,
+      targetAllocations: { AAA: { minWeight: 0.5, maxWeight: 0.3 } },
+    });
+
+    expect(result.status).toBe('infeasible');
+    expect(result.reasons).toEqual([expect.stringMatching(/^AAA: minimum weight 50\.0% is above its maximum 30\.0%/)]);
+    expect(result.trades).toBeUndefined();
+  });
+
+  it('reports minimum weights that need more than can be invested', () => {
+    const result = optimizeConstrained({
+      ...base,
+      targetAllocations: { AAA: { minWeight: 0.5 }, BBB: { minWeight: 0.5 } },
+    });
+
+    expect(result.status).toBe('infeasible');
+    expect(result.reasons).toEqual([expect.stringMatching(/^Minimum weights add up to 100\.0%/)]);
+  });
+
+  it('reports a group cap below its members\' minimum weights', () => {
+    const result = optimizeConstrained({
+      ...base,
+      targetAllocations: { AAA: { minWeight: 0.15 }, BBB: { minWeight: 0.15 } },
+      groups: { Growth: ['a', 'b'] },
+      constraints: { groupCaps: { Growth: 0.2 } },
+    });
+
+    expect(result.status).toBe('infeasible');
+    expect(result.reasons).toEqual([expect.stringMatching(/^Growth: members' minimum weights \(30\.0%\) exceed the 20\.0% cap/)]);
+  });
+
+  it('reports a turnover limit below the trading the caps force', () => {
+    const result = optimizeConstrained({ ...base, constraints: { maxWeight: 0.25, maxTurnover: 0.05 } });
+
+    expect(result.status).toBe('infeasible');
+    expect(result.reasons).toEqual([expect.stringMatching(/^Turnover limit 5\.0% is below the 15\.0% needed/)]);
+  });
+});
+
+describe('buildTradeList', () => {
+  it('rounds to whole shares toward the current holding', () => {
+    const { trades } = buildTradeList({
+      positions: [
+        { ticker: 'AAA', quantity: 0, price: 33 },
+        { ticker: 'BBB', quantity: 200, price: 33 },
+      ],
+      targetWeights: [0.5, 0.5],
+      nav: 10000,
+      cashBalance: 10000,
+    });
+
+    // 5000 / 33 = 151.5 shares
+    expect(trades.map(t => [t.ticker, t.side, t.shares])).toEqual([
+      ['BBB', 'SELL', 48],
+      ['AAA', 'BUY', 151],
+    ]);
+  });
+
+  it('closes a position with a zero target exactly, fractional shares included', () => {
+    const { trades, weights } = buildTradeList({
+      positions: [{ ticker: 'AAA', quantity: 10.5, price: 100 }],
+      targetWeights: [0],
+      nav: 10000,
+      cashBalance: 8950,
+    });
+
+    expect(trades).toEqual([expect.objectContaining({ side: 'SELL', shares: 10.5 })]);
+    expect(weights[0]).toBe(0);
+  });
+
+  it('trims the largest buy a share at a time to keep the cash floor', () => {
+    const { trades, cashAfter } = buildTradeList({
+      positions: [
+        { ticker: 'AAA', quantity: 0, price: 100 },
+        { ticker: 'BBB', quantity: 0, price: 50 },
+      ],
+      targetWeights: [0.6, 0.4],
+      nav: 10000,
+      cashBalance: 10000,
+      cashFloor: 0.05,
+    });
+
+    expect(trades.map(t => [t.ticker, t.shares])).toEqual([['AAA', 55], ['BBB', 80]]);
+    expect(cashAfter).toBe(500);
+  });
+
+  it('drops trades below the minimum trade value', () => {
+    const { trades } = buildTradeList({
+      positions: [
+        { ticker: 'AAA', quantity: 50, price: 60 },
+        { ticker: 'BBB', quantity: 0, price: 100 },
+      ],
+      // AAA: one more share ($60); BBB: 20 shares
+      targetWeights: [0.31, 0.2],
+      nav: 10000,
+      cashBalance: 7000,
+      minTradeValue: 100,
+    });
+
+    expect(trades.map(t => t.ticker)).toEqual(['BBB']);
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { buildLedger, normalizeTransaction, isLongTerm, longTermDate } from '../ledger';
+
+const ledgerOf = (rows, options) => buildLedger(rows.map(normalizeTransaction), options);
+
+const twoBuys = [
+  { id: 'lot1', date: '2023-01-10', type: 'buy', ticker: 'AAPL', quantity: 10, price: 100 },
+  { id: 'lot2', date: '2023-06-10', type: 'buy', ticker: 'AAPL', quantity: 10, price: 150 },
+];
+
+describe('buildLedger lot relief', () => {
+  it('sells the oldest lot first under FIFO', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      { id: 's', date: '2024-03-01', type: 'sell', ticker: 'AAPL', quantity: 15, price: 200 },
+    ], { method: 'fifo' });
+
+    expect(ledger.realized.map(r => [r.lotId, r.quantity])).toEqual([['lot1', 10], ['lot2', 5]]);
+    expect(ledger.realized[0].gain).toBeCloseTo(1000);
+    expect(ledger.realized[1].gain).toBeCloseTo(250);
+    expect(ledger.holdings.AAPL.lots).toEqual([expect.objectContaining({ id: 'lot2', quantity: 5 })]);
+  });
+
+  it('sells the newest lot first under LIFO', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      { id: 's', date: '2024-03-01', type: 'sell', ticker: 'AAPL', quantity: 15, price: 200 },
+    ], { method: 'lifo' });
+
+    expect(ledger.realized.map(r => [r.lotId, r.quantity])).toEqual([['lot2', 10], ['lot1', 5]]);
+    expect(ledger.holdings.AAPL.quantity).toBe(5);
+    expect(ledger.holdings.AAPL.avgCost).toBeCloseTo(100);
+  });
+
+  it('sells the picked lots under specific ID and falls back to FIFO for the rest', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      {
+        id: 's', date: '2024-03-01', type: 'sell', ticker: 'AAPL', quantity: 12, price: 200,
+        lots: [{ lotId: 'lot2', quantity: 8 }],
+      },
+    ], { method: 'specific' });
+
+    expect(ledger.realized.map(r => [r.lotId, r.quantity])).toEqual([['lot2', 8], ['lot1', 4]]);
+    expect(ledger.holdings.AAPL.lots.map(l => [l.id, l.quantity])).toEqual([['lot1', 6], ['lot2', 2]]);
+    expect(ledger.warnings).toEqual([]);
+  });
+
+  it('warns when a specific-ID sale names a lot that is not open', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      {
+        id: 's', date: '2024-03-01', type: 'sell', ticker: 'AAPL', quantity: 5, price: 200,
+        lots: [{ lotId: 'missing', quantity: 5 }],
+      },
+    ], { method: 'specific' });
+
+    expect(ledger.realized.map(r => r.lotId)).toEqual(['lot1']);
+    expect(ledger.warnings).toHaveLength(1);
+  });
+
+  it('adds buy commissions to basis and takes sell commissions from proceeds', () => {
+    const ledger = ledgerOf([
+      { id: 'b', date: '2023-01-10', type: 'buy', ticker: 'MSFT', quantity: 10, price: 100, fees: 10 },
+      { id: 's', date: '2023-02-10', type: 'sell', ticker: 'MSFT', quantity: 10, price: 110, fees: 5 },
+    ]);
+
+    expect(ledger.realized[0].costBasis).toBeCloseTo(1010);
+    expect(ledger.realized[0].proceeds).toBeCloseTo(1095);
+    expect(ledger.cashFlow).toBeCloseTo(85);
+  });
+
+  it('ignores the part of a sale beyond the shares held', () => {
+    const ledger = ledgerOf([
+      { id: 'b', date: '2023-01-10', type: 'buy', ticker: 'MSFT', quantity: 10, price: 100 },
+      { id: 's', date: '2023-02-10', type: 'sell', ticker: 'MSFT', quantity: 12, price: 110 },
+    ]);
+
+    expect(ledger.realized.reduce((sum, r) => sum + r.quantity, 0)).toBe(10);
+    expect(ledger.warnings).toHaveLength(1);
+  });
+});
+
+describe('buildLedger splits', () => {
+  it('scales open lots and keeps their acquisition dates', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      { id: 'split', date: '2023-08-01', type: 'split', ticker: 'AAPL', ratio: 4 },
+    ]);
+
+    const lots = ledger.holdings.AAPL.lots;
+    expect(lots.map(l => [l.id, l.quantity, l.acquired])).toEqual([
+      ['lot1', 40, '2023-01-10'],
+      ['lot2', 40, '2023-06-10'],
+    ]);
+    expect(lots[0].costPerShare).toBeCloseTo(25);
+    expect(ledger.holdings.AAPL.costBasis).toBeCloseTo(2500);
+  });
+
+  it('relieves post-split shares at the post-split basis', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      { id: 'split', date: '2023-08-01', type: 'split', ticker: 'AAPL', ratio: 4 },
+      { id: 's', date: '2024-03-01', type: 'sell', ticker: 'AAPL', quantity: 50, price: 50 },
+    ]);
+
+    expect(ledger.realized.map(r => [r.lotId, r.quantity])).toEqual([['lot1', 40], ['lot2', 10]]);
+    expect(ledger.realized[0].gain).toBeCloseTo(40 * (50 - 25));
+    expect(ledger.realized[1].gain).toBeCloseTo(10 * (50 - 37.5));
+  });
+});
+
+describe('buildLedger dividends', () => {
+  it('counts cash dividends as cash flow', () => {
+    const ledger = ledgerOf([
+      { id: 'b', date: '2023-01-10', type: 'buy', ticker: 'KO', quantity: 100, price: 60 },
+      { id: 'd', date: '2023-03-01', type: 'dividend', ticker: 'KO', price: 0.5 },
+    ]);
+
+    expect(ledger.dividends[0].amount).toBeCloseTo(50);
+    expect(ledger.cashFlow).toBeCloseTo(-6000 + 50);
+    expect(ledger.holdings.KO.lots).toHaveLength(1);
+  });
+
+  it('opens a lot on the pay date for a reinvested dividend', () => {
+    const ledger = ledgerOf([
+      { id: 'b', date: '2023-01-10', type: 'buy', ticker: 'KO', quantity: 100, price: 60 },
+      {
+        id: 'd', date: '2023-03-01', type: 'dividend', ticker: 'KO', amount: 50,
+        payDate: '2023-04-01', reinvested: true, reinvestPrice: 62.5,
+      },
+    ]);
+
+    const lot = ledger.holdings.KO.lots.find(l => l.id === 'd');
+    expect(lot).toMatchObject({ acquired: '2023-04-01', costPerShare: 62.5 });
+    expect(lot.quantity).toBeCloseTo(0.8);
+    expect(ledger.cashFlow).toBeCloseTo(-6000);
+  });
+
+  it('skips a reinvested dividend without a reinvestment price', () => {
+    const ledger = ledgerOf([
+      { id: 'b', date: '2023-01-10', type: 'buy', ticker: 'KO', quantity: 100, price: 60 },
+      { id: 'd', date: '2023-03-01', type: 'dividend', ticker: 'KO', amount: 50, reinvested: true },
+    ]);
+
+    expect(ledger.dividends).toEqual([]);
+    expect(ledger.warnings).toHaveLength(1);
+  });
+});
+
+describe('holding period', () => {
+  it('is long-term only after the one-year anniversary', () => {
+    expect(isLongTerm('2024-02-28', '2025-02-28')).toBe(false);
+    expect(isLongTerm('2024-02-28', '2025-03-01')).toBe(true);
+    expect(isLongTerm('2023-03-01', '2024-03-01')).toBe(false);
+    expect(isLongTerm('2023-03-01', '2024-03-02')).toBe(true);
+  });
+
+  it('rolls a Feb 29 purchase back to Feb 28', () => {
+    expect(longTermDate('2024-02-29')).toBe('2025-03-01');
+    expect(longTermDate('2023-12-31')).toBe('2025-01-01');
+  });
+
+  it('classifies realized lots by their own acquisition date', () => {
+    const ledger = ledgerOf([
+      ...twoBuys,
+      { id: 's', date: '2024-01-11', type: 'sell', ticker: 'AAPL', quantity: 20, price: 200 },
+    ]);
+
+    expect(ledger.realized.map(r => r.term)).toEqual(['long', 'short']);
+  });
+});
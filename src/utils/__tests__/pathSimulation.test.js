@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { runPathSimulationBatch } from '../pathSimulation';
+import { choleskyDecomposition } from '../matrix';
+
+const TOTAL_PATHS = 40;
+
+const correlation = [
+  [1, 0.6],
+  [0.6, 1],
+];
+const baseParams = {
+  n: 2,
+  L: choleskyDecomposition(correlation).flat(),
+  annualMu: [0.08, 0.05],
+  annualSigma: [0.2, 0.1],
+  skews: [0, -0.2],
+  tailDfs: [5, 8],
+  adjustedWeights: [0.6, 0.35],
+  effectiveCashWeight: 0.05,
+  cashRate: 0.03,
+  horizonYears: 2,
+  stepsPerYear: 12,
+  seed: 12345,
+};
+
+/** Run TOTAL_PATHS split into consecutive batches, one per "worker" */
+const runSplit = (sizes, params) => {
+  let startPath = 0;
+  const terminalReturns = [];
+  const maxDrawdowns = [];
+  for (const numPaths of sizes) {
+    const result = runPathSimulationBatch({ ...baseParams, ...params, startPath, numPaths });
+    terminalReturns.push(...result.terminalReturns);
+    maxDrawdowns.push(...result.maxDrawdowns);
+    startPath += numPaths;
+  }
+  return { terminalReturns, maxDrawdowns };
+};
+
+describe('runPathSimulationBatch with a fixed seed', () => {
+  it.each([
+    ['multivariate t', { fatTailMethod: 'multivariateTStudent' }],
+    ['Gaussian copula', { fatTailMethod: 'gaussianCopula' }],
+    ['QMC', { useQmc: true }],
+  ])('gives the same paths for any worker split (%s)', (_, params) => {
+    const single = runSplit([TOTAL_PATHS], params);
+    const fourWorkers = runSplit([10, 10, 10, 10], params);
+    const uneven = runSplit([7, 13, 1, 19], params);
+
+    expect(fourWorkers).toEqual(single);
+    expect(uneven).toEqual(single);
+  });
+
+  it('keeps antithetic pairs intact across even splits', () => {
+    const params = { antithetic: true };
+    const single = runSplit([TOTAL_PATHS], params);
+
+    expect(runSplit([14, 14, 12], params)).toEqual(single);
+  });
+
+  it('gives different paths for a different seed', () => {
+    const a = runSplit([TOTAL_PATHS], {});
+    const b = runSplit([TOTAL_PATHS], { seed: 54321 });
+
+    expect(b.terminalReturns).not.toEqual(a.terminalReturns);
+  });
+});
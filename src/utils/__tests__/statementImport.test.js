@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseStatement,
+  parseStatementNumber,
+  normalizeBrokerSymbol,
+  mergeStatementPositions,
+} from '../statementImport';
+
+const csv = (lines) => lines.join('\n');
+
+describe('parseStatementNumber', () => {
+  it('reads broker-formatted numbers', () => {
+    expect(parseStatementNumber('$1,234.50')).toBe(1234.5);
+    expect(parseStatementNumber('(12.00)')).toBe(-12);
+    expect(parseStatementNumber('--')).toBeNull();
+  });
+});
+
+describe('normalizeBrokerSymbol', () => {
+  it('uses dashes for share classes', () => {
+    expect(normalizeBrokerSymbol('BRK/B')).toBe('BRK-B');
+  });
+});
+
+describe('CSV presets', () => {
+  it('reads a Schwab positions export', () => {
+    const result = parseStatement(csv([
+      '"Positions for account Individual ...123 as of 09:30 AM ET, 2026/10/01"',
+      '',
+      '"Symbol","Description","Qty (Quantity)","Price","Mkt Val (Market Value)","Cost Basis"',
+      '"AAPL","APPLE INC","10","$200.00","$2,000.00","$1,500.00"',
+      '"BRK/B","BERKSHIRE HATHAWAY","5","$400.00","$2,000.00","$1,750.00"',
+      '"Cash & Cash Investments","--","--","--","$1,250.00","--"',
+      '"Account Total","--","--","--","$5,250.00","$3,250.00"',
+    ]));
+
+    expect(result.preset).toBe('schwab');
+    expect(result.positions).toEqual([
+      expect.objectContaining({ ticker: 'AAPL', quantity: 10, price: 200, avgCost: 150 }),
+      expect.objectContaining({ ticker: 'BRK-B', quantity: 5, price: 400, avgCost: 350 }),
+    ]);
+    expect(result.cash).toBe(1250);
+  });
+
+  it('reads a Fidelity export and combines accounts', () => {
+    const result = parseStatement(csv([
+      'Account Number,Account Name,Symbol,Description,Quantity,Last Price,Current Value,Average Cost Basis,Cost Basis Total',
+      'X1,Individual,SPAXX**,HELD IN MONEY MARKET,,,$500.00,,',
+      'X1,Individual,MSFT,MICROSOFT CORP,10,$400.00,"$4,000.00",$300.00,"$3,000.00"',
+      'X2,Roth IRA,MSFT,MICROSOFT CORP,30,$400.00,"$12,000.00",$340.00,"$10,200.00"',
+      '',
+      '"The data and information in this spreadsheet is provided to you solely for your use"',
+    ]));
+
+    expect(result.preset).toBe('fidelity');
+    expect(result.positions).toHaveLength(1);
+    expect(result.positions[0]).toMatchObject({ ticker: 'MSFT', quantity: 40, price: 400 });
+    expect(result.positions[0].avgCost).toBeCloseTo(330);
+    expect(result.cash).toBe(500);
+  });
+
+  it('reads the Open Positions section of an IBKR activity statement', () => {
+    const result = parseStatement(csv([
+      'Statement,Header,Field Name,Field Value',
+      'Statement,Data,Title,Activity Statement',
+      'Open Positions,Header,DataDiscriminator,Asset Category,Currency,Symbol,Quantity,Cost Price,Close Price,Value',
+      'Open Positions,Data,Summary,Stocks,EUR,SAP,20,120,150,3000',
+      'Open Positions,Data,Summary,Options,USD,AAPL 20DEC26 200 C,1,5,6,600',
+      'Cash Report,Header,Currency Summary,Currency,Total',
+      'Cash Report,Data,Ending Cash,Base Currency Summary,"2,500.50"',
+    ]));
+
+    expect(result.preset).toBe('ibkr');
+    expect(result.positions).toEqual([
+      expect.objectContaining({ ticker: 'SAP', quantity: 20, price: 150, avgCost: 120, currency: 'EUR' }),
+    ]);
+    expect(result.skipped).toEqual([expect.objectContaining({ reason: 'Options not imported' })]);
+    expect(result.cash).toBe(2500.5);
+  });
+
+  it('reads a Vanguard export and stops at the transactions table', () => {
+    const result = parseStatement(csv([
+      'Account Number,Investment Name,Symbol,Shares,Share Price,Total Value',
+      '123,VANGUARD TOTAL STOCK MARKET ETF,VTI,12.5,$280.00,"$3,500.00"',
+      '123,VANGUARD FEDERAL MONEY MARKET FUND,VMFXX,800,$1.00,$800.00',
+      '',
+      'Account Number,Trade Date,Transaction Type,Symbol,Shares,Net Amount',
+      '123,2026-09-01,Buy,VTI,2,-560.00',
+    ]));
+
+    expect(result.preset).toBe('vanguard');
+    expect(result.positions).toEqual([
+      expect.objectContaining({ ticker: 'VTI', quantity: 12.5, price: 280, name: 'VANGUARD TOTAL STOCK MARKET ETF' }),
+    ]);
+    expect(result.cash).toBe(800);
+  });
+
+  it('falls back to the generic columns and derives price from value', () => {
+    const result = parseStatement(csv([
+      'Ticker;Shares;Market Value;Total Cost',
+      'nvda;4;"1.000";600',
+    ]));
+
+    expect(result.preset).toBe('generic');
+    expect(result.positions[0]).toMatchObject({ ticker: 'NVDA', quantity: 4, avgCost: 150 });
+  });
+
+  it('applies mapping overrides over the preset', () => {
+    const text = csv([
+      'Symbol,Quantity,Price,Other Price',
+      'AAPL,10,200,210',
+    ]);
+    const result = parseStatement(text, { mapping: { price: 3 } });
+
+    expect(result.positions[0].price).toBe(210);
+  });
+
+  it('rejects a CSV without a symbol and quantity header', () => {
+    expect(() => parseStatement('Date,Amount\n2026-01-01,5')).toThrow(/No header row/);
+  });
+});
+
+describe('OFX statements', () => {
+  const ofx = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS><FI><ORG>Example Brokerage</FI></SONRS></SIGNONMSGSRSV1>',
+    '<INVSTMTMSGSRSV1><INVSTMTTRNRS><INVSTMTRS>',
+    '<CURDEF>USD',
+    '<INVPOSLIST>',
+    '<POSSTOCK><INVPOS><SECID><UNIQUEID>037833100<UNIQUEIDTYPE>CUSIP</SECID><POSTYPE>LONG<UNITS>10<UNITPRICE>200.00<MKTVAL>2000.00</INVPOS></POSSTOCK>',
+    '<POSSTOCK><INVPOS><SECID><UNIQUEID>88160R101<UNIQUEIDTYPE>CUSIP</SECID><POSTYPE>SHORT<UNITS>3<UNITPRICE>250.00<MKTVAL>-750.00</INVPOS></POSSTOCK>',
+    '<POSOPT><INVPOS><SECID><UNIQUEID>OPT1<UNIQUEIDTYPE>CUSIP</SECID><POSTYPE>LONG<UNITS>1<UNITPRICE>5</INVPOS></POSOPT>',
+    '</INVPOSLIST>',
+    '<INVBAL><AVAILCASH>1500.25</INVBAL>',
+    '</INVSTMTRS></INVSTMTTRNRS></INVSTMTMSGSRSV1>',
+    '<SECLISTMSGSRSV1><SECLIST>',
+    '<STOCKINFO><SECINFO><SECID><UNIQUEID>037833100<UNIQUEIDTYPE>CUSIP</SECID><SECNAME>Apple Inc<TICKER>AAPL</SECINFO></STOCKINFO>',
+    '<STOCKINFO><SECINFO><SECID><UNIQUEID>88160R101<UNIQUEIDTYPE>CUSIP</SECID><SECNAME>Tesla Inc<TICKER>TSLA</SECINFO></STOCKINFO>',
+    '</SECLIST></SECLISTMSGSRSV1>',
+    '</OFX>',
+  ].join('\n');
+
+  it('reads positions, short sides, cash and skipped options', () => {
+    const result = parseStatement(ofx, { fileName: 'statement.qfx' });
+
+    expect(result.format).toBe('ofx');
+    expect(result.positions).toEqual([
+      expect.objectContaining({ ticker: 'AAPL', quantity: 10, price: 200, currency: 'USD', name: 'Apple Inc' }),
+      expect.objectContaining({ ticker: 'TSLA', quantity: -3, price: 250 }),
+    ]);
+    expect(result.cash).toBe(1500.25);
+    expect(result.skipped).toEqual([expect.objectContaining({ reason: 'option not imported' })]);
+  });
+
+  it('rejects an OFX file without investment positions', () => {
+    expect(() => parseStatement('<OFX><BANKMSGSRSV1></BANKMSGSRSV1></OFX>')).toThrow(/no investment positions/);
+  });
+});
+
+describe('mergeStatementPositions', () => {
+  const positions = [
+    { id: '1', ticker: 'AAPL', quantity: 5, price: 190, avgCost: 100, type: 'Equity' },
+    { id: '2', ticker: 'GLD', quantity: 2, price: 180, type: 'Equity' },
+  ];
+  const imported = [
+    { ticker: 'AAPL', quantity: 10, price: 200, avgCost: null },
+    { ticker: 'MSFT', quantity: 3, price: 400, avgCost: 350 },
+  ];
+  const create = (line) => ({ id: `new-${line.ticker}`, ticker: line.ticker, quantity: line.quantity, price: line.price });
+
+  it('keeps positions outside the statement when merging', () => {
+    const result = mergeStatementPositions(positions, imported, 'merge', create);
+
+    expect(result.positions.map(p => [p.ticker, p.quantity])).toEqual([['AAPL', 10], ['GLD', 2], ['MSFT', 3]]);
+    expect(result.positions[0].avgCost).toBe(100);
+    expect(result).toMatchObject({ updated: 1, added: 1, removed: 0 });
+  });
+
+  it('drops positions outside the statement when replacing', () => {
+    const result = mergeStatementPositions(positions, imported, 'replace', create);
+
+    expect(result.positions.map(p => p.ticker)).toEqual(['AAPL', 'MSFT']);
+    expect(result).toMatchObject({ updated: 1, added: 1, removed: 1 });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Black-Litterman Expected Returns
+ *
+ * @module utils/blackLitterman
+ * @description Blends market-implied equilibrium returns with analyst views
+ * from the Consensus tab into posterior expected returns.
+ *
+ * - Reference weights are market-cap weights among the holdings that have a
+ *   market cap; holdings without one (ETFs, bonds, funds) keep their share of
+ *   the book. Equilibrium excess returns are reverse-optimized, π = δΣw, with
+ *   δ chosen so the reference portfolio earns the equity risk premium.
+ * - Each covered holding gets one absolute view: price-target upside plus
+ *   dividend yield, tilted by the rating mix and by the change in the FY1 EPS
+ *   estimate over the snapshot window.
+ * - View confidence grows with analyst count and shrinks with the spread of
+ *   price targets. It maps to the view variance through Idzorek's single-view
+ *   form Ω = τΣᵢᵢ(1 − c)/c, so at 50% confidence a view moves its own
+ *   holding halfway from equilibrium (before correlated views join in).
+ * - The posterior is μ = π + τΣPᵀ(PτΣPᵀ + Ω)⁻¹(q − Pπ); returns are annual
+ *   and total (the risk-free rate is added back).
+ */
+
+import { choleskyDecomposition } from './matrix';
+
+export const BLACK_LITTERMAN_DEFAULTS = {
+  /** Scale of the uncertainty in the equilibrium returns */
+  tau: 0.05,
+  /** Expected excess return of the market-cap reference portfolio */
+  riskPremium: 0.05,
+  /** Confidence of a view with unlimited coverage and no target dispersion */
+  maxConfidence: 0.6,
+};
+
+/** Return per rating point (strong buy = +2 … strong sell = −2) */
+const RATING_TILT = 0.02;
+/** Share of an FY1 EPS revision passed through to the expected return */
+const REVISION_PASS_THROUGH = 0.5;
+const MAX_REVISION = 0.3;
+/** Analyst count at which coverage counts for half */
+const ANALYST_HALF_WEIGHT = 5;
+/** Target range / consensus at which agreement counts for half */
+const DISPERSION_HALF_WEIGHT = 0.5;
+/** Assumed target range when high/low targets are missing */
+const DEFAULT_DISPERSION = 0.5;
+const VIEW_BOUNDS = { min: -0.5, max: 1 };
+const MAX_DECIMAL_YIELD = 0.25;
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+/**
+ * Reference (market-cap) weights for the holdings
+ * @param {Object[]} positions - { ticker, quantity, price }
+ * @param {Object} consensusData - Consensus data by ticker
+ * @returns {{weights: number[], capped: boolean[]}} Weights sum to 1; capped marks
+ *   holdings weighted by market cap (the rest keep their share of the book)
+ */
+export const buildMarketWeights = (positions, consensusData = {}) => {
+  const values = positions.map(p => Math.abs((p.quantity || 0) * (p.price || 0)));
+  const caps = positions.map(p => {
+    if (p.type === 'Bond') return 0;
+    const cap = consensusData?.[p.ticker?.toUpperCase()]?.marketCap;
+    return isFinite(cap) && cap > 0 ? cap : 0;
+  });
+  const capped = caps.map(c => c > 0);
+  const totalValue = values.reduce((a, b) => a + b, 0);
+  if (totalValue <= 0) {
+    return { weights: positions.map(() => 1 / Math.max(1, positions.length)), capped };
+  }
+  // The capped names share the book weight they hold today, split by market cap
+  const cappedShare = values.reduce((sum, v, i) => sum + (capped[i] ? v : 0), 0) / totalValue;
+  const totalCap = caps.reduce((a, b) => a + b, 0);
+  const weights = values.map((v, i) => (capped[i] ? cappedShare * caps[i] / totalCap : v / totalValue));
+  return { weights, capped };
+};
+
+/**
+ * One absolute view per holding with analyst coverage
+ * @param {Object[]} positions
+ * @param {Object} consensusData - Consensus data by ticker (priceTargets, ratings, cashFlow.dividendYield)
+ * @param {Object} [revisions] - { TICKER: { fy1Eps, days } } from getConsensusRevisions
+ * @param {Object} [options]
+ * @param {number} [options.maxConfidence]
+ * @returns {(Object|null)[]} Per position: { expectedReturn (total), confidence, analysts,
+ *   dispersion, upside, dividendYield, ratingScore, revision, revisionDays } or null
+ */
+export const buildConsensusViews = (positions, consensusData = {}, revisions = {}, {
+  maxConfidence = BLACK_LITTERMAN_DEFAULTS.maxConfidence,
+} = {}) => positions.map(p => {
+  if (p.type === 'Bond') return null;
+  const ticker = p.ticker?.toUpperCase();
+  const data = consensusData?.[ticker];
+  const upside = data?.priceTargets?.upside;
+  if (!data || data.isEtf || !isFinite(upside)) return null;
+
+  const r = data.ratings || {};
+  const analysts = r.totalAnalysts || 0;
+  const ratingScore = analysts > 0
+    ? (2 * (r.strongBuy || 0) + (r.buy || 0) - (r.sell || 0) - 2 * (r.strongSell || 0)) / analysts
+    : 0;
+
+  const rawYield = data.cashFlow?.dividendYield;
+  const dividendYield = isFinite(rawYield) && rawYield > 0
+    ? Math.min(MAX_DECIMAL_YIELD, rawYield > MAX_DECIMAL_YIELD ? rawYield / 100 : rawYield)
+    : 0;
+
+  const rev = revisions?.[ticker];
+  const revision = isFinite(rev?.fy1Eps) ? clamp(rev.fy1Eps, -MAX_REVISION, MAX_REVISION) : null;
+
+  const { high, low, consensus } = data.priceTargets;
+  const dispersion = isFinite(high) && isFinite(low) && consensus > 0 && high >= low
+    ? (high - low) / consensus
+    : DEFAULT_DISPERSION;
+  // Coverage: one analyst counts for little, twenty for most of the way
+  const coverage = Math.max(1, analysts) / (Math.max(1, analysts) + ANALYST_HALF_WEIGHT);
+  const agreement = 1 / (1 + (dispersion / DISPERSION_HALF_WEIGHT) ** 2);
+  const confidence = clamp(maxConfidence * coverage * agreement, 0.01, 0.99);
+
+  const expectedReturn = clamp(
+    upside + dividendYield + RATING_TILT * ratingScore + REVISION_PASS_THROUGH * (revision ?? 0),
+    VIEW_BOUNDS.min,
+    VIEW_BOUNDS.max,
+  );
+  return {
+    expectedReturn,
+    confidence,
+    analysts,
+    dispersion,
+    upside,
+    dividendYield,
+    ratingScore,
+    revision,
+    revisionDays: revision != null ? rev.days ?? null : null,
+  };
+});
+
+// ============================================================================
+// POSTERIOR
+// ============================================================================
+
+/** Solve A·x = b for symmetric positive definite A */
+const solveSpd = (A, b) => {
+  const L = choleskyDecomposition(A);
+  const n = b.length;
+  const y = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    let s = b[i];
+    for (let k = 0; k < i; k++) s -= L[i][k] * y[k];
+    y[i] = s / L[i][i];
+  }
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = y[i];
+    for (let k = i + 1; k < n; k++) s -= L[k][i] * x[k];
+    x[i] = s / L[i][i];
+  }
+  return x;
+};
+
+/**
+ * Black-Litterman posterior expected returns
+ * @param {Object} params
+ * @param {Object[]} params.positions - { ticker, quantity, price, type }
+ * @param {number[][]} params.covMatrix - Annual covariance of the positions
+ * @param {Object} params.consensusData - Consensus data by ticker
+ * @param {Object} [params.revisions] - EPS revisions by ticker
+ * @param {number} [params.riskFreeRate=0]
+ * @param {Object} [params.options] - tau, riskPremium, maxConfidence (see BLACK_LITTERMAN_DEFAULTS)
+ * @returns {Object} { tickers, marketWeights, capped, delta, equilibrium, views, posterior,
+ *   viewCount, tau, riskPremium, riskFreeRate, timestamp }; returns are annual totals
+ */
+export const computeBlackLitterman = ({
+  positions,
+  covMatrix,
+  consensusData = {},
+  revisions = {},
+  riskFreeRate = 0,
+  options = {},
+}) => {
+  const { tau, riskPremium, maxConfidence } = { ...BLACK_LITTERMAN_DEFAULTS, ...options };
+  const { weights, capped } = buildMarketWeights(positions, consensusData);
+
+  // δ so that the reference portfolio earns the risk premium: wᵀπ = δ·wᵀΣw
+  const sigmaW = covMatrix.map(row => row.reduce((sum, c, j) => sum + c * weights[j], 0));
+  const marketVariance = weights.reduce((sum, w, i) => sum + w * sigmaW[i], 0);
+  const delta = marketVariance > 0 ? riskPremium / marketVariance : 0;
+  const pi = sigmaW.map(v => delta * v);
+
+  const views = buildConsensusViews(positions, consensusData, revisions, { maxConfidence });
+  const viewIdx = views.map((v, i) => (v ? i : -1)).filter(i => i >= 0);
+
+  let posterior = pi.slice();
+  if (viewIdx.length > 0) {
+    // A = PτΣPᵀ + Ω with P selecting the viewed holdings
+    const A = viewIdx.map(i => viewIdx.map(j => tau * covMatrix[i][j]));
+    viewIdx.forEach((i, k) => {
+      const c = views[i].confidence;
+      A[k][k] += Math.max(1e-10, tau * covMatrix[i][i] * (1 - c) / c);
+    });
+    const gap = viewIdx.map(i => (views[i].expectedReturn - riskFreeRate) - pi[i]);
+    const x = solveSpd(A, gap);
+    posterior = pi.map((p, i) => p + viewIdx.reduce((sum, j, k) => sum + tau * covMatrix[i][j] * x[k], 0));
+  }
+
+  return {
+    tickers: positions.map(p => p.ticker?.toUpperCase()),
+    marketWeights: weights,
+    capped,
+    delta,
+    equilibrium: pi.map(p => p + riskFreeRate),
+    views,
+    posterior: posterior.map(p => (isFinite(p) ? p + riskFreeRate : null)),
+    viewCount: viewIdx.length,
+    tau,
+    riskPremium,
+    riskFreeRate,
+    timestamp: Date.now(),
+  };
+};
+
+/**
+ * Shift a holding's percentiles so the median lands on a new expected return,
+ * keeping the spread and skew
+ * @param {Object} pos - Position with p5…p95
+ * @param {number} mu - New expected return (the app reads P50 as μ)
+ * @returns {{p5: number, p25: number, p50: number, p75: number, p95: number}}
+ */
+export const shiftPercentiles = (pos, mu) => {
+  const shift = mu - (pos.p50 ?? 0);
+  return {
+    p5: (pos.p5 ?? 0) + shift,
+    p25: (pos.p25 ?? 0) + shift,
+    p50: mu,
+    p75: (pos.p75 ?? 0) + shift,
+    p95: (pos.p95 ?? 0) + shift,
+  };
+};
+
+export default {
+  BLACK_LITTERMAN_DEFAULTS,
+  buildMarketWeights,
+  buildConsensusViews,
+  computeBlackLitterman,
+  shiftPercentiles,
+};
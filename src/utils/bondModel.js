@@ -0,0 +1,225 @@
+/**
+ * Fixed-Income Return Model
+ *
+ * @module utils/bondModel
+ * @description Bond positions (type 'Bond') get their simulated annual return
+ * from yield and spread changes instead of a skewed-t fitted to p5–p95:
+ *
+ *   R = carry − D·Δy + ½·C·Δy² − SD·Δs
+ *
+ * - Δy: change in the bond's yield over the year, −σ_y × the position's
+ *   correlated normal. The yield factor therefore inherits the position's row
+ *   of the correlation matrix (a fund that rallies when equities fall keeps
+ *   doing so), and stays Gaussian even when equities use fat tails.
+ * - Δs: credit-spread change, σ_s × an independent Student-t(4) shock. Spread
+ *   risk is optional (spread duration 0 = government bond).
+ * - carry: the yield earned over the year (roll-down ignored).
+ *
+ * Durations are in years, yields and vols are decimals (0.009 = 90bp/yr).
+ */
+
+import { boxMuller, generateChiSquared } from './statistics';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Degrees of freedom of the credit-spread shock */
+export const SPREAD_SHOCK_DF = 4;
+
+/** Parameters for a bond position with nothing better to go on */
+export const DEFAULT_BOND_PARAMS = {
+  duration: 6,
+  convexity: null, // null = estimated from duration
+  yield: 0.045,
+  yieldVol: 0.009,
+  spreadDuration: 0,
+  spreadVol: 0,
+};
+
+/**
+ * Approximate parameters for common bond ETFs (edit to match the fund's factsheet)
+ */
+export const BOND_PRESETS = {
+  AGG: { duration: 6.0, yield: 0.045, yieldVol: 0.009, spreadDuration: 2.0, spreadVol: 0.006 },
+  BND: { duration: 6.0, yield: 0.045, yieldVol: 0.009, spreadDuration: 2.0, spreadVol: 0.006 },
+  GOVT: { duration: 5.8, yield: 0.042, yieldVol: 0.009, spreadDuration: 0, spreadVol: 0 },
+  TLT: { duration: 16.5, yield: 0.047, yieldVol: 0.009, spreadDuration: 0, spreadVol: 0 },
+  IEF: { duration: 7.1, yield: 0.042, yieldVol: 0.009, spreadDuration: 0, spreadVol: 0 },
+  SHY: { duration: 1.9, yield: 0.040, yieldVol: 0.009, spreadDuration: 0, spreadVol: 0 },
+  BIL: { duration: 0.1, yield: 0.043, yieldVol: 0.005, spreadDuration: 0, spreadVol: 0 },
+  SGOV: { duration: 0.1, yield: 0.043, yieldVol: 0.005, spreadDuration: 0, spreadVol: 0 },
+  TIP: { duration: 6.5, yield: 0.020, yieldVol: 0.007, spreadDuration: 0, spreadVol: 0 },
+  LQD: { duration: 8.3, yield: 0.052, yieldVol: 0.009, spreadDuration: 8.3, spreadVol: 0.006 },
+  VCIT: { duration: 6.2, yield: 0.050, yieldVol: 0.009, spreadDuration: 6.2, spreadVol: 0.006 },
+  HYG: { duration: 3.0, yield: 0.068, yieldVol: 0.009, spreadDuration: 3.0, spreadVol: 0.015 },
+  JNK: { duration: 3.0, yield: 0.068, yieldVol: 0.009, spreadDuration: 3.0, spreadVol: 0.015 },
+  EMB: { duration: 7.0, yield: 0.065, yieldVol: 0.009, spreadDuration: 7.0, spreadVol: 0.012 },
+  MUB: { duration: 6.5, yield: 0.033, yieldVol: 0.008, spreadDuration: 0, spreadVol: 0 },
+};
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+/**
+ * Bullet-bond convexity approximation, C ≈ D(D + 1) in years²
+ * @param {number} duration
+ * @returns {number}
+ */
+export const estimateConvexity = (duration) => Math.max(0, duration) * (Math.max(0, duration) + 1);
+
+/**
+ * Fill in bond parameters: stored values, else the ticker's preset, else defaults
+ * @param {Object|null} raw - Stored parameters (any subset)
+ * @param {string} [ticker]
+ * @returns {{duration: number, convexity: number, yield: number, yieldVol: number, spreadDuration: number, spreadVol: number}}
+ */
+export const normalizeBondParams = (raw, ticker) => {
+  const base = { ...DEFAULT_BOND_PARAMS, ...(BOND_PRESETS[ticker?.toUpperCase()] || {}) };
+  const pick = (key, min, max) => {
+    const value = raw?.[key] != null && raw[key] !== '' ? parseFloat(raw[key]) : base[key];
+    return isFinite(value) ? Math.max(min, Math.min(max, value)) : base[key];
+  };
+  const duration = pick('duration', 0, 40);
+  const convexity = raw?.convexity != null && raw.convexity !== '' && isFinite(parseFloat(raw.convexity))
+    ? Math.max(0, parseFloat(raw.convexity))
+    : estimateConvexity(duration);
+  return {
+    duration,
+    convexity,
+    yield: pick('yield', -0.05, 0.5),
+    yieldVol: pick('yieldVol', 0, 0.1),
+    spreadDuration: pick('spreadDuration', 0, 40),
+    spreadVol: pick('spreadVol', 0, 0.2),
+  };
+};
+
+/**
+ * Annual return mean and volatility implied by the bond model
+ * @param {Object} bond - normalizeBondParams() output
+ * @returns {{mu: number, sigma: number}}
+ */
+export const bondMoments = (bond) => {
+  const yieldVar = bond.yieldVol * bond.yieldVol;
+  const mu = bond.yield + 0.5 * bond.convexity * yieldVar;
+  const variance = bond.duration * bond.duration * yieldVar
+    + 0.5 * bond.convexity * bond.convexity * yieldVar * yieldVar
+    + bond.spreadDuration * bond.spreadDuration * bond.spreadVol * bond.spreadVol;
+  return { mu, sigma: Math.sqrt(variance) };
+};
+
+/**
+ * Distribution parameters in the shape getDistributionParams() returns
+ * @param {Object} bond - normalizeBondParams() output
+ * @returns {{mu: number, sigma: number, skew: number, tailDf: number}}
+ */
+export const bondDistributionParams = (bond) => {
+  const { mu, sigma } = bondMoments(bond);
+  return { mu, sigma: Math.max(0.001, sigma), skew: 0, tailDf: 30 };
+};
+
+/**
+ * p5–p95 of the bond model's annual return, for display alongside other positions
+ * @param {Object} bond - normalizeBondParams() output
+ * @returns {{p5: number, p25: number, p50: number, p75: number, p95: number}}
+ */
+export const bondPercentiles = (bond) => {
+  const { mu, sigma } = bondMoments(bond);
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return {
+    p5: round(mu - 1.645 * sigma),
+    p25: round(mu - 0.674 * sigma),
+    p50: round(mu),
+    p75: round(mu + 0.674 * sigma),
+    p95: round(mu + 1.645 * sigma),
+  };
+};
+
+/**
+ * Switch a position to the bond model (keeps any stored bond parameters)
+ * @param {Object} position
+ * @returns {Object} Position with type 'Bond', bond params and matching percentiles
+ */
+export const applyBondModel = (position) => {
+  const bond = normalizeBondParams(position.bond, position.ticker);
+  return { ...position, type: 'Bond', bond, ...bondPercentiles(bond) };
+};
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * Flatten bond parameters for the path engine
+ * @param {Object[]} positions - Positions in simulation order
+ * @returns {Object|null} { isBond, duration, convexity, carry, yieldVol, spreadDuration, spreadVol }
+ *   arrays indexed by position, or null when there are no bonds
+ */
+export const buildBondSimParams = (positions) => {
+  if (!positions.some(p => p.type === 'Bond')) return null;
+  const params = {
+    isBond: [],
+    duration: [],
+    convexity: [],
+    carry: [],
+    yieldVol: [],
+    spreadDuration: [],
+    spreadVol: [],
+  };
+  for (const p of positions) {
+    const bond = p.type === 'Bond' ? normalizeBondParams(p.bond, p.ticker) : null;
+    params.isBond.push(bond ? 1 : 0);
+    params.duration.push(bond?.duration || 0);
+    params.convexity.push(bond?.convexity || 0);
+    params.carry.push(bond?.yield || 0);
+    params.yieldVol.push(bond?.yieldVol || 0);
+    params.spreadDuration.push(bond?.spreadDuration || 0);
+    params.spreadVol.push(bond?.spreadVol || 0);
+  }
+  return params;
+};
+
+/**
+ * Unit-variance Student-t draw for the credit-spread shock
+ * @param {number} sign - −1 on antithetic mirror paths
+ * @returns {number}
+ */
+export const drawSpreadShock = (sign = 1) => {
+  const df = SPREAD_SHOCK_DF;
+  const chiSquared = Math.max(1e-6, generateChiSquared(df));
+  return sign * boxMuller() * Math.sqrt(df / chiSquared) * Math.sqrt((df - 2) / df);
+};
+
+/**
+ * Annual bond return for one draw
+ * @param {Object} bonds - buildBondSimParams() output
+ * @param {number} i - Position index
+ * @param {number} z - The position's correlated standard normal
+ * @param {number} spreadShock - Unit-variance spread shock (widening > 0)
+ * @returns {number} Annual return, floored at −100%
+ */
+export const bondAnnualReturn = (bonds, i, z, spreadShock) => {
+  const dy = -bonds.yieldVol[i] * z;
+  const ds = bonds.spreadVol[i] * spreadShock;
+  const r = bonds.carry[i]
+    - bonds.duration[i] * dy
+    + 0.5 * bonds.convexity[i] * dy * dy
+    - bonds.spreadDuration[i] * ds;
+  return Math.max(-1, r);
+};
+
+export default {
+  SPREAD_SHOCK_DF,
+  DEFAULT_BOND_PARAMS,
+  BOND_PRESETS,
+  estimateConvexity,
+  normalizeBondParams,
+  bondMoments,
+  bondDistributionParams,
+  bondPercentiles,
+  applyBondModel,
+  buildBondSimParams,
+  drawSpreadShock,
+  bondAnnualReturn,
+};
@@ -0,0 +1,347 @@
+/**
+ * Portfolio Comparison
+ *
+ * @module utils/comparison
+ * @description Helpers for the Compare view, which simulates two to four
+ * books (saved portfolios or what-if variants of the current one) with the
+ * same settings and seed and lines their results up side by side.
+ *
+ * - Prices: tickers held in the current book use its latest prices; other
+ *   tickers keep the price stored with the book.
+ * - Correlations: pairs the current book already has come from its (edited)
+ *   matrix; other pairs use the sample correlation of the trailing overlap of
+ *   loaded daily returns, else FALLBACK_CORRELATION. The result is repaired
+ *   to a valid correlation matrix.
+ * - Factor exposures: Σ wᵢ·βᵢ with weights as a fraction of NAV, using the
+ *   betas from the last factor analysis; tickers it didn't cover get a market
+ *   beta against SPY from loaded returns.
+ */
+
+import { computeCorrelation } from './correlation';
+import { makeValidCorrelation } from './matrix';
+import { valueOptionPosition, resolveOptionVol, OPTION_CONTRACT_MULTIPLIER } from './options';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const COMPARE_MIN_BOOKS = 2;
+export const COMPARE_MAX_BOOKS = 4;
+
+/** Series colours, in selection order */
+export const COMPARE_COLORS = ['#00d4ff', '#ff9f43', '#2ecc71', '#e056fd'];
+
+/** Correlation assumed for a pair with too little overlapping history */
+export const FALLBACK_CORRELATION = 0.3;
+
+/** Minimum overlapping trading days for a sample correlation or beta */
+export const MIN_OVERLAP_DAYS = 60;
+
+/** Trailing window used for sample correlations and betas */
+const LOOKBACK_DAYS = 252;
+
+export const COMPARE_FACTORS = ['MKT', 'SMB', 'HML', 'MOM'];
+
+// ============================================================================
+// WHAT-IF VARIANTS
+// ============================================================================
+
+/**
+ * Snapshot the current book as a named what-if variant
+ * @param {Object} book
+ * @param {string} book.name
+ * @param {Object[]} book.positions
+ * @param {Object[]} [book.optionPositions]
+ * @param {number} [book.cashBalance]
+ * @returns {{id: string, name: string, positions: Object[], optionPositions: Object[], cashBalance: number, createdAt: string}}
+ */
+export const createVariant = ({ name, positions, optionPositions = [], cashBalance = 0 }) => ({
+  id: `variant-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  positions: positions.map(p => ({ ...p })),
+  optionPositions: optionPositions.map(o => ({ ...o })),
+  cashBalance: cashBalance || 0,
+  createdAt: new Date().toISOString(),
+});
+
+// ============================================================================
+// SIMULATION INPUTS
+// ============================================================================
+
+const trailingOverlap = (a, b) => {
+  const len = Math.min(a?.length || 0, b?.length || 0, LOOKBACK_DAYS);
+  return len >= MIN_OVERLAP_DAYS ? [a.slice(-len), b.slice(-len)] : null;
+};
+
+/**
+ * Correlation matrix for an arbitrary list of tickers
+ *
+ * @param {string[]} tickers - Upper-case tickers in simulation order
+ * @param {Object} context
+ * @param {string[]} [context.baseTickers] - Tickers of the current book's matrix
+ * @param {number[][]} [context.baseMatrix] - The current book's (edited) matrix
+ * @param {Object} [context.marketData] - { [ticker]: { dailyReturns } }
+ * @returns {{matrix: number[][], fallbackPairs: number, missingTickers: string[]}}
+ */
+export const buildComparisonCorrelation = (tickers, { baseTickers = [], baseMatrix = null, marketData = {} } = {}) => {
+  const n = tickers.length;
+  const baseIndex = new Map(baseTickers.map((t, i) => [t, i]));
+  const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  const missing = new Set();
+  let fallbackPairs = 0;
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = baseIndex.get(tickers[i]);
+      const b = baseIndex.get(tickers[j]);
+      let rho = a != null && b != null ? baseMatrix?.[a]?.[b] : undefined;
+      if (!isFinite(rho)) {
+        const overlap = trailingOverlap(marketData[tickers[i]]?.dailyReturns, marketData[tickers[j]]?.dailyReturns);
+        rho = overlap ? computeCorrelation(overlap[0], overlap[1]) : NaN;
+      }
+      if (!isFinite(rho)) {
+        rho = FALLBACK_CORRELATION;
+        fallbackPairs++;
+        if (!baseIndex.has(tickers[i]) && !marketData[tickers[i]]?.dailyReturns?.length) missing.add(tickers[i]);
+        if (!baseIndex.has(tickers[j]) && !marketData[tickers[j]]?.dailyReturns?.length) missing.add(tickers[j]);
+      }
+      matrix[i][j] = matrix[j][i] = Math.max(-0.99, Math.min(0.99, rho));
+    }
+  }
+
+  return { matrix: n > 1 ? makeValidCorrelation(matrix) : matrix, fallbackPairs, missingTickers: [...missing] };
+};
+
+/**
+ * Everything runSimulation needs for one book, derived the way the app
+ * derives it for the current portfolio
+ *
+ * @param {Object} book - { positions, optionPositions, cashBalance }
+ * @param {Object} context
+ * @param {Object} [context.priceByTicker] - Latest prices from the current book
+ * @param {string[]} [context.baseTickers]
+ * @param {number[][]} [context.baseMatrix]
+ * @param {Object} [context.marketData]
+ * @param {Object} [context.positionBetas] - Historical vols by ticker (option vol fallback)
+ * @param {number} [context.riskFreeRate=0]
+ * @returns {{
+ *   positions: Object[], optionPositions: Object[], weights: number[], cashBalance: number,
+ *   grossPositionsValue: number, portfolioValue: number, correlationMatrix: number[][],
+ *   fallbackPairs: number, missingTickers: string[], unpricedTickers: string[]
+ * }}
+ */
+export const buildBookInputs = (book, {
+  priceByTicker = {},
+  baseTickers = [],
+  baseMatrix = null,
+  marketData = {},
+  positionBetas = {},
+  riskFreeRate = 0,
+} = {}) => {
+  const unpricedTickers = [];
+  const positions = [];
+  for (const raw of book.positions || []) {
+    const ticker = raw.ticker?.toUpperCase();
+    if (!ticker || !raw.quantity) continue;
+    const price = priceByTicker[ticker] > 0 ? priceByTicker[ticker] : raw.price;
+    if (!(price > 0)) {
+      unpricedTickers.push(ticker);
+      continue;
+    }
+    positions.push({ ...raw, ticker, price });
+  }
+
+  let net = 0;
+  let gross = 0;
+  for (const p of positions) {
+    net += p.quantity * p.price;
+    gross += Math.abs(p.quantity * p.price);
+  }
+
+  const optionPositions = book.optionPositions || [];
+  let optionsValue = 0;
+  for (const option of optionPositions) {
+    const spot = positions.find(p => p.ticker === option.underlying)?.price;
+    const value = spot > 0
+      ? valueOptionPosition(option, { spot, vol: resolveOptionVol(option, positionBetas).vol, rate: riskFreeRate }).marketValue
+      : (option.price != null ? option.contracts * OPTION_CONTRACT_MULTIPLIER * option.price : 0);
+    optionsValue += isFinite(value) ? value : 0;
+  }
+
+  const cashBalance = book.cashBalance || 0;
+  const { matrix, fallbackPairs, missingTickers } = buildComparisonCorrelation(
+    positions.map(p => p.ticker),
+    { baseTickers, baseMatrix, marketData }
+  );
+
+  return {
+    positions,
+    optionPositions,
+    weights: positions.map(p => (gross > 0 ? (p.quantity * p.price) / gross : 0)),
+    cashBalance,
+    grossPositionsValue: gross,
+    portfolioValue: net + cashBalance + optionsValue,
+    correlationMatrix: matrix,
+    fallbackPairs,
+    missingTickers,
+    unpricedTickers,
+  };
+};
+
+// ============================================================================
+// FACTOR EXPOSURES
+// ============================================================================
+
+/**
+ * Market beta of a ticker against SPY from loaded daily returns
+ * @param {Object} marketData
+ * @param {string} ticker
+ * @returns {number|null}
+ */
+const marketBeta = (marketData, ticker) => {
+  const overlap = trailingOverlap(marketData[ticker]?.dailyReturns, marketData.SPY?.dailyReturns);
+  if (!overlap) return null;
+  const [y, x] = overlap;
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  for (let t = 0; t < n; t++) {
+    cov += (x[t] - meanX) * (y[t] - meanY);
+    varX += (x[t] - meanX) ** 2;
+  }
+  return varX > 0 ? cov / varX : null;
+};
+
+/**
+ * Portfolio factor exposures of a book
+ *
+ * @param {Object[]} positions - Priced positions (buildBookInputs output)
+ * @param {number} portfolioValue - NAV
+ * @param {Object} context
+ * @param {Object|null} [context.factorAnalysis] - Last factor analysis of the current book
+ * @param {Object} [context.marketData]
+ * @returns {{betas: {MKT: number, SMB: number, HML: number, MOM: number}, coverage: number, marketOnly: string[]}}
+ *   coverage is the share of gross exposure with betas; marketOnly lists
+ *   tickers that only have an estimated market beta
+ */
+export const computeBookFactorExposure = (positions, portfolioValue, { factorAnalysis = null, marketData = {} } = {}) => {
+  const analysed = new Map(
+    (factorAnalysis?.positions || [])
+      .filter(p => p.hasData && p.factorBetas?.betas)
+      .map(p => [p.ticker?.toUpperCase(), p.factorBetas.betas])
+  );
+  const betas = { MKT: 0, SMB: 0, HML: 0, MOM: 0 };
+  const marketOnly = [];
+  let covered = 0;
+  let gross = 0;
+
+  for (const p of positions) {
+    const value = p.quantity * p.price;
+    const weight = portfolioValue > 0 ? value / portfolioValue : 0;
+    gross += Math.abs(value);
+    let positionBetas = analysed.get(p.ticker);
+    if (!positionBetas) {
+      const mkt = p.ticker === 'SPY' ? 1 : marketBeta(marketData, p.ticker);
+      if (mkt == null) continue;
+      positionBetas = { MKT: mkt };
+      marketOnly.push(p.ticker);
+    }
+    covered += Math.abs(value);
+    for (const factor of COMPARE_FACTORS) betas[factor] += weight * (positionBetas[factor] || 0);
+  }
+
+  return { betas, coverage: gross > 0 ? covered / gross : 0, marketOnly };
+};
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Headline statistics of one simulated book for the comparison table
+ *
+ * Sharpe uses the mean annualized return in excess of the risk-free rate over
+ * the annualized volatility of log terminal returns, so books are comparable
+ * at any horizon.
+ *
+ * @param {Object} results - simulateBook() results
+ * @param {Object} [options]
+ * @param {number} [options.riskFreeRate=0]
+ * @returns {Object|null} { terminal, annualizedMean, annualVol, sharpe, probLoss, probLoss10, probLoss20,
+ *   drawdownP50, drawdownP95, probDrawdown, expectedReturn, portfolioValue }
+ */
+export const summarizeComparisonBook = (results, { riskFreeRate = 0 } = {}) => {
+  if (!results?.terminal) return null;
+  const years = results.horizonYears || 1;
+  const logs = (results.terminal.distribution || []).map(r => Math.log(Math.max(1e-9, 1 + r)));
+  const meanLog = logs.reduce((a, b) => a + b, 0) / (logs.length || 1);
+  const varLog = logs.length > 1 ? logs.reduce((s, v) => s + (v - meanLog) ** 2, 0) / (logs.length - 1) : 0;
+  const annualVol = Math.sqrt(varLog / years);
+  const annualizedMean = results.annualized?.mean ?? results.terminal.mean;
+
+  return {
+    terminal: results.terminal,
+    annualizedMean,
+    annualVol,
+    sharpe: annualVol > 0 ? (annualizedMean - riskFreeRate) / annualVol : null,
+    probLoss: results.probLoss?.probBreakeven ?? null,
+    probLoss10: results.probLoss?.prob10 ?? null,
+    probLoss20: results.probLoss?.prob20 ?? null,
+    drawdownP50: results.drawdown?.p50 ?? null,
+    drawdownP95: results.drawdown?.p95 ?? null,
+    probDrawdown: results.drawdown?.probExceedThreshold ?? null,
+    expectedReturn: results.expectedReturn ?? null,
+    portfolioValue: results.portfolioValue ?? null,
+  };
+};
+
+/**
+ * Terminal-return histograms of several books on common bins
+ *
+ * The range is trimmed to the pooled 0.5th–99.5th percentiles so one fat
+ * tail doesn't squash the others.
+ *
+ * @param {Object[]} books - { id, results } (books without results are skipped)
+ * @param {number} [bins=40]
+ * @returns {Object[]} [{ value, label, [bookId]: percent of paths }]
+ */
+export const buildOverlayHistogram = (books, bins = 40) => {
+  const series = books.filter(b => b.results?.terminal?.distribution?.length);
+  if (series.length === 0) return [];
+  const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+  const min = Math.min(...series.map(b => quantile(b.results.terminal.distribution, 0.005)));
+  const max = Math.max(...series.map(b => quantile(b.results.terminal.distribution, 0.995)));
+  const width = (max - min) / bins || 1;
+
+  const rows = Array.from({ length: bins }, (_, i) => {
+    const value = min + (i + 0.5) * width;
+    return { value, label: `${(value * 100).toFixed(0)}%` };
+  });
+  for (const book of series) {
+    const dist = book.results.terminal.distribution;
+    const counts = new Array(bins).fill(0);
+    for (const v of dist) {
+      if (v < min || v > max) continue;
+      counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+    }
+    counts.forEach((c, i) => { rows[i][book.id] = (c / dist.length) * 100; });
+  }
+  return rows;
+};
+
+export default {
+  COMPARE_MIN_BOOKS,
+  COMPARE_MAX_BOOKS,
+  COMPARE_COLORS,
+  FALLBACK_CORRELATION,
+  MIN_OVERLAP_DAYS,
+  COMPARE_FACTORS,
+  createVariant,
+  buildComparisonCorrelation,
+  buildBookInputs,
+  computeBookFactorExposure,
+  summarizeComparisonBook,
+  buildOverlayHistogram,
+};
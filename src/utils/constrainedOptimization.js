@@ -0,0 +1,854 @@
+/**
+ * Constrained Mean-Variance Optimizer
+ *
+ * @module utils/constrainedOptimization
+ * @description Long-only (or long/short) mean-variance optimization under the
+ * limits a real account has, returning a trade list that can be executed.
+ *
+ * - Weights are fractions of NAV, like the simulation's adjusted weights.
+ *   Options and anything else outside the position list keep their weight;
+ *   cash is whatever is left.
+ * - Per-position min/max come from the saved target allocations, falling back
+ *   to a global max weight. Group caps apply to the correlation groups.
+ * - Turnover is buys plus sells as a fraction of NAV. It is modelled with
+ *   separate buy and sell variables (w = w₀ + b − s), so the limit stays
+ *   linear.
+ * - The cash floor caps the invested weight. Unless cash is deployed, the
+ *   optimizer keeps today's invested weight (or less, when the floor or the
+ *   position caps force it), so Max Sharpe can't "improve" by parking the
+ *   book in cash.
+ * - Max Sharpe sweeps the risk aversion λ of max μᵀw − ½λ·wᵀΣw over a log
+ *   grid and refines the best point by golden-section search; each point is
+ *   a convex QP. Min Variance is a single QP.
+ * - QPs are solved by ADMM (the OSQP iteration, dense and without scaling),
+ *   which handles the box, equality and inequality rows in one form
+ *   l ≤ Ax ≤ u and warm-starts cheaply along the λ sweep.
+ * - Targets are rounded to whole shares toward the current holding, so the
+ *   trades never overshoot a limit; buys are trimmed if rounding would dip
+ *   below the cash floor.
+ * - Min CVaR, Max Sortino and Max Omega share these limits and the trade
+ *   rounding but run on simulated scenarios (see downsideOptimization.js).
+ */
+
+import { computePortfolioVolatility, computePortfolioReturn, computeSharpeRatio } from './portfolioOptimization';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const OPTIMIZER_OBJECTIVES = {
+  maxSharpe: { label: 'Max Sharpe', description: 'Highest expected excess return per unit of volatility' },
+  minVariance: { label: 'Min Variance', description: 'Lowest volatility for the invested weight' },
+  // Scenario objectives run on simulated returns (see downsideOptimization.js)
+  minCvar: { label: 'Min CVaR', description: 'Smallest expected loss in the worst tail of simulated outcomes', scenario: true },
+  maxSortino: { label: 'Max Sortino', description: 'Highest return above the minimum acceptable return per unit of downside deviation', scenario: true },
+  maxOmega: { label: 'Max Omega', description: 'Highest ratio of expected gains to expected shortfalls against the minimum acceptable return', scenario: true },
+};
+
+export const DEFAULT_OPTIMIZER_CONSTRAINTS = {
+  objective: 'maxSharpe',
+  longOnly: true,
+  /** Per-position cap (fraction of NAV) where no target allocation max is saved; null = none */
+  maxWeight: null,
+  /** { groupName: cap as fraction of NAV } for the correlation groups */
+  groupCaps: {},
+  /** Buys + sells as a fraction of NAV; null = unlimited */
+  maxTurnover: null,
+  cashFloor: 0.02,
+  /** Invest cash above the floor instead of keeping today's invested weight */
+  deployCash: false,
+  /** Trades smaller than this (USD) are dropped */
+  minTradeValue: 100,
+  /** Tail confidence for Min CVaR (0.95 = mean of the worst 5%) */
+  cvarConfidence: 0.95,
+  /** Sortino / Omega threshold as an annual return; null = risk-free rate */
+  minAcceptableReturn: null,
+  /** Simulated one-year scenarios for the scenario objectives */
+  scenarioCount: 5000,
+};
+
+const INF = 1e20;
+const WEIGHT_TOL = 1e-4;
+/** Tiny cost on buys and sells so ties go to the smaller trade */
+const TRADE_PENALTY = 1e-6;
+const LAMBDA_GRID = Array.from({ length: 13 }, (_, i) => Math.pow(10, -1 + i / 3));
+const GOLDEN_STEPS = 10;
+
+// ============================================================================
+// CONSTRAINT SETTINGS
+// ============================================================================
+
+const fraction = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+};
+
+/**
+ * Fill defaults and clamp user-entered constraint settings
+ * @param {Object} raw
+ * @returns {Object}
+ */
+export const normalizeOptimizerConstraints = (raw) => {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const groupCaps = {};
+  for (const [name, cap] of Object.entries(src.groupCaps || {})) {
+    const f = fraction(cap);
+    if (f != null) groupCaps[name] = f;
+  }
+  const minTrade = Number(src.minTradeValue);
+  const confidence = Number(src.cvarConfidence);
+  const mar = src.minAcceptableReturn == null || src.minAcceptableReturn === '' ? NaN : Number(src.minAcceptableReturn);
+  const scenarioCount = Math.round(Number(src.scenarioCount));
+  return {
+    objective: OPTIMIZER_OBJECTIVES[src.objective] ? src.objective : DEFAULT_OPTIMIZER_CONSTRAINTS.objective,
+    longOnly: src.longOnly !== false,
+    maxWeight: fraction(src.maxWeight),
+    groupCaps,
+    maxTurnover: fraction(src.maxTurnover),
+    cashFloor: fraction(src.cashFloor) ?? DEFAULT_OPTIMIZER_CONSTRAINTS.cashFloor,
+    deployCash: !!src.deployCash,
+    minTradeValue: isFinite(minTrade) && minTrade >= 0 ? minTrade : DEFAULT_OPTIMIZER_CONSTRAINTS.minTradeValue,
+    cvarConfidence: isFinite(confidence) && confidence >= 0.5 && confidence < 1
+      ? confidence
+      : DEFAULT_OPTIMIZER_CONSTRAINTS.cvarConfidence,
+    minAcceptableReturn: isFinite(mar) ? Math.max(-1, Math.min(1, mar)) : null,
+    scenarioCount: isFinite(scenarioCount)
+      ? Math.max(1000, Math.min(20000, scenarioCount))
+      : DEFAULT_OPTIMIZER_CONSTRAINTS.scenarioCount,
+  };
+};
+
+/**
+ * Resolve correlation groups (keyed by position id or ticker) to position indices
+ * @param {Object} groups - { groupName: [positionId | ticker] }
+ * @param {Object[]} positions
+ * @returns {{name: string, members: number[]}[]} "Ungrouped" and empty groups are skipped
+ */
+export const resolveGroups = (groups, positions) => {
+  const out = [];
+  for (const [name, members] of Object.entries(groups || {})) {
+    if (name === 'Ungrouped' || !Array.isArray(members)) continue;
+    const idx = positions
+      .map((p, i) => (members.some(m => m === p.id || String(m).toUpperCase() === p.ticker?.toUpperCase()) ? i : -1))
+      .filter(i => i >= 0);
+    if (idx.length > 0) out.push({ name, members: idx });
+  }
+  return out;
+};
+
+// ============================================================================
+// QP SOLVER
+// ============================================================================
+
+/** Cholesky factor, or null when the matrix isn't positive definite */
+const cholesky = (K) => {
+  const n = K.length;
+  const L = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = K[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 0)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+/**
+ * Add the smallest diagonal load (doubling from 1e-8 of the average
+ * variance) that makes a covariance matrix positive definite
+ * @returns {{matrix: number[][], load: number}}
+ */
+export const ensurePositiveDefinite = (cov) => {
+  const n = cov.length;
+  if (n === 0 || cholesky(cov)) return { matrix: cov, load: 0 };
+  const avgVar = cov.reduce((sum, row, i) => sum + Math.abs(row[i] || 0), 0) / n || 1;
+  for (let load = avgVar * 1e-8; load < avgVar * 10; load *= 2) {
+    const loaded = cov.map((row, i) => row.map((v, j) => (i === j ? v + load : v)));
+    if (cholesky(loaded)) return { matrix: loaded, load };
+  }
+  return { matrix: cov.map((row, i) => row.map((v, j) => (i === j ? v + avgVar * 10 : v))), load: avgVar * 10 };
+};
+
+const solveCholesky = (L, b) => {
+  const n = b.length;
+  const y = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    const row = L[i];
+    for (let k = 0; k < i; k++) sum -= row[k] * y[k];
+    y[i] = sum / row[i];
+  }
+  const x = new Float64Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+    x[i] = sum / L[i][i];
+  }
+  return x;
+};
+
+const maxAbs = (arr) => {
+  let m = 0;
+  for (let i = 0; i < arr.length; i++) m = Math.max(m, Math.abs(arr[i]));
+  return m;
+};
+
+/**
+ * Minimize ½xᵀPx + qᵀx subject to l ≤ Ax ≤ u (ADMM, OSQP-style)
+ * @param {Object} problem
+ * @param {number[][]} problem.P - Symmetric PSD, n×n
+ * @param {number[]} problem.q
+ * @param {{idx: number[], val: number[]}[]} problem.rows - Sparse rows of A
+ * @param {number[]} problem.l - Lower bounds (use ±1e20 for none)
+ * @param {number[]} problem.u
+ * @param {Object} [options] - { maxIter, epsAbs, epsRel, rho, warmStart: {x, z, y} }
+ * @returns {{x: Float64Array, z: Float64Array, y: Float64Array, status: 'solved'|'max_iter'|'failed',
+ *   iterations: number, primalResidual: number, dualResidual: number}}
+ */
+export const solveQuadraticProgram = ({ P, q, rows, l, u }, options = {}) => {
+  const { maxIter = 4000, epsAbs = 1e-6, epsRel = 1e-6, sigma = 1e-6, alpha = 1.6, warmStart = null } = options;
+  const n = q.length;
+  const m = rows.length;
+  let rho = options.rho ?? 0.1;
+  const isEquality = l.map((lo, r) => u[r] - lo < 1e-9);
+  const rhoVec = new Float64Array(m);
+  let L = null;
+
+  const factor = () => {
+    for (let r = 0; r < m; r++) rhoVec[r] = isEquality[r] ? rho * 1e3 : rho;
+    const K = P.map((row, i) => row.map((v, j) => v + (i === j ? sigma : 0)));
+    for (let r = 0; r < m; r++) {
+      const { idx, val } = rows[r];
+      for (let a = 0; a < idx.length; a++) {
+        for (let b = 0; b < idx.length; b++) K[idx[a]][idx[b]] += rhoVec[r] * val[a] * val[b];
+      }
+    }
+    L = cholesky(K);
+    return L != null;
+  };
+
+  const multiplyA = (x) => {
+    const out = new Float64Array(m);
+    for (let r = 0; r < m; r++) {
+      const { idx, val } = rows[r];
+      let sum = 0;
+      for (let k = 0; k < idx.length; k++) sum += val[k] * x[idx[k]];
+      out[r] = sum;
+    }
+    return out;
+  };
+
+  const x = warmStart?.x?.length === n ? Float64Array.from(warmStart.x) : new Float64Array(n);
+  const z = warmStart?.z?.length === m ? Float64Array.from(warmStart.z) : new Float64Array(m);
+  const y = warmStart?.y?.length === m ? Float64Array.from(warmStart.y) : new Float64Array(m);
+  const rhs = new Float64Array(n);
+  // An indefinite P (see ensurePositiveDefinite) can't be factored
+  if (!factor()) return { x, z, y, status: 'failed', iterations: 0, primalResidual: Infinity, dualResidual: Infinity };
+
+  let status = 'max_iter';
+  let iterations = 0;
+  let primalResidual = Infinity;
+  let dualResidual = Infinity;
+
+  for (let iter = 1; iter <= maxIter; iter++) {
+    iterations = iter;
+    for (let j = 0; j < n; j++) rhs[j] = sigma * x[j] - q[j];
+    for (let r = 0; r < m; r++) {
+      const t = rhoVec[r] * z[r] - y[r];
+      const { idx, val } = rows[r];
+      for (let k = 0; k < idx.length; k++) rhs[idx[k]] += val[k] * t;
+    }
+    const xTilde = solveCholesky(L, rhs);
+    const zTilde = multiplyA(xTilde);
+    for (let j = 0; j < n; j++) x[j] = alpha * xTilde[j] + (1 - alpha) * x[j];
+    for (let r = 0; r < m; r++) {
+      const relaxed = alpha * zTilde[r] + (1 - alpha) * z[r];
+      const next = Math.min(u[r], Math.max(l[r], relaxed + y[r] / rhoVec[r]));
+      y[r] += rhoVec[r] * (relaxed - next);
+      z[r] = next;
+    }
+
+    if (iter % 10 !== 0 && iter !== maxIter) continue;
+
+    const Ax = multiplyA(x);
+    const Px = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let j = 0; j < n; j++) sum += P[i][j] * x[j];
+      Px[i] = sum;
+    }
+    const ATy = new Float64Array(n);
+    for (let r = 0; r < m; r++) {
+      const { idx, val } = rows[r];
+      for (let k = 0; k < idx.length; k++) ATy[idx[k]] += val[k] * y[r];
+    }
+    primalResidual = 0;
+    for (let r = 0; r < m; r++) primalResidual = Math.max(primalResidual, Math.abs(Ax[r] - z[r]));
+    dualResidual = 0;
+    for (let j = 0; j < n; j++) dualResidual = Math.max(dualResidual, Math.abs(Px[j] + q[j] + ATy[j]));
+    const primalScale = Math.max(maxAbs(Ax), maxAbs(z));
+    const dualScale = Math.max(maxAbs(Px), maxAbs(ATy), maxAbs(q));
+
+    if (primalResidual <= epsAbs + epsRel * primalScale && dualResidual <= epsAbs + epsRel * dualScale) {
+      status = 'solved';
+      break;
+    }
+
+    // Rebalance ρ between the primal and dual residuals (refactor only on a big change)
+    if (iter % 50 === 0) {
+      const ratio = Math.sqrt((primalResidual / (primalScale + 1e-10)) / (dualResidual / (dualScale + 1e-10) + 1e-20));
+      const nextRho = Math.min(1e6, Math.max(1e-6, rho * ratio));
+      if (isFinite(nextRho) && (nextRho > rho * 5 || nextRho < rho / 5)) {
+        rho = nextRho;
+        if (!factor()) break;
+      }
+    }
+  }
+
+  return { x, z, y, status, iterations, primalResidual, dualResidual };
+};
+
+// ============================================================================
+// PROBLEM SETUP
+// ============================================================================
+
+/**
+ * Bounds, group rows, budget and turnover for the current book, plus the
+ * reasons the limits can't all hold (empty when they look feasible)
+ */
+const buildLimits = ({ positions, currentWeights, cashWeight, targetAllocations, groups, constraints }) => {
+  const n = positions.length;
+  const reasons = [];
+  const lower = new Array(n);
+  const upper = new Array(n);
+  const boundSource = new Array(n);
+
+  for (let i = 0; i < n; i++) {
+    const p = positions[i];
+    const ticker = p.ticker?.toUpperCase();
+    const saved = targetAllocations?.[ticker] || null;
+    if (!(p.price > 0)) {
+      // No price, no trade: hold it where it is
+      lower[i] = upper[i] = currentWeights[i];
+      boundSource[i] = 'locked';
+      continue;
+    }
+    const savedMax = saved?.maxWeight != null && isFinite(saved.maxWeight) ? saved.maxWeight : null;
+    const savedMin = saved?.minWeight != null && isFinite(saved.minWeight) ? saved.minWeight : null;
+    const cap = savedMax ?? constraints.maxWeight ?? 1;
+    upper[i] = cap;
+    lower[i] = constraints.longOnly ? Math.max(0, savedMin ?? 0) : (savedMin ?? -cap);
+    boundSource[i] = savedMax != null || savedMin != null ? 'target' : 'global';
+    if (lower[i] > upper[i] + 1e-9) {
+      reasons.push(`${ticker}: minimum weight ${(lower[i] * 100).toFixed(1)}% is above its maximum ${(upper[i] * 100).toFixed(1)}%`);
+    }
+  }
+
+  // Everything outside the position list (options) keeps its weight
+  const invested = currentWeights.reduce((a, b) => a + b, 0);
+  const otherWeight = 1 - invested - cashWeight;
+  const maxInvested = 1 - constraints.cashFloor - otherWeight;
+  const capacity = upper.reduce((a, b) => a + b, 0);
+  const target = constraints.deployCash ? maxInvested : Math.min(invested, maxInvested);
+  const budget = { lo: Math.min(target, capacity), hi: target };
+
+  const minTotal = lower.reduce((a, b) => a + b, 0);
+  if (minTotal > budget.hi + 1e-9) {
+    reasons.push(`Minimum weights add up to ${(minTotal * 100).toFixed(1)}%, above the ${(budget.hi * 100).toFixed(1)}% that can be invested`);
+  }
+
+  const groupRows = [];
+  for (const g of groups) {
+    const cap = constraints.groupCaps[g.name];
+    if (cap == null) continue;
+    const groupMin = g.members.reduce((sum, i) => sum + Math.max(0, lower[i]), 0);
+    if (groupMin > cap + 1e-9) {
+      reasons.push(`${g.name}: members' minimum weights (${(groupMin * 100).toFixed(1)}%) exceed the ${(cap * 100).toFixed(1)}% cap`);
+    }
+    groupRows.push({ ...g, cap });
+  }
+
+  // Turnover needed just to get inside the bounds, the budget and the group
+  // caps. Both legs count: forced sells that would take the invested total
+  // below the budget have to be bought back elsewhere (and forced buys above
+  // it funded by sales), so a pinned budget needs twice the excess.
+  if (constraints.maxTurnover != null) {
+    const overSells = currentWeights.reduce((sum, w, i) => sum + Math.max(0, w - upper[i]), 0);
+    const groupExcess = Math.max(0, ...groupRows.map(g => g.members.reduce((s, i) => s + currentWeights[i], 0) - g.cap));
+    const sells = Math.max(overSells, groupExcess);
+    const buys = currentWeights.reduce((sum, w, i) => sum + Math.max(0, lower[i] - w), 0);
+    const afterForced = invested - sells + buys;
+    const budgetGap = Math.max(0, afterForced - budget.hi, budget.lo - afterForced);
+    const needed = sells + buys + budgetGap;
+    if (needed > constraints.maxTurnover + 1e-9) {
+      reasons.push(`Turnover limit ${(constraints.maxTurnover * 100).toFixed(1)}% is below the ${(needed * 100).toFixed(1)}% needed just to meet the other limits`);
+    }
+  }
+
+  return { lower, upper, boundSource, budget, groupRows, otherWeight, invested, reasons };
+};
+
+/** Constraint rows over x = [w] or [w, b, s] (the latter with a turnover limit) */
+const buildRows = (n, limits, currentWeights, maxTurnover) => {
+  const rows = [];
+  const l = [];
+  const u = [];
+  const add = (idx, val, lo, hi) => {
+    rows.push({ idx, val });
+    l.push(lo);
+    u.push(hi);
+  };
+  const all = Array.from({ length: n }, (_, i) => i);
+
+  for (let i = 0; i < n; i++) add([i], [1], limits.lower[i], limits.upper[i]);
+  add(all, all.map(() => 1), limits.budget.lo, limits.budget.hi);
+  for (const g of limits.groupRows) add(g.members, g.members.map(() => 1), -INF, g.cap);
+
+  if (maxTurnover != null) {
+    for (let i = 0; i < n; i++) {
+      add([n + i], [1], 0, INF);
+      add([2 * n + i], [1], 0, INF);
+      add([i, n + i, 2 * n + i], [1, -1, 1], currentWeights[i], currentWeights[i]);
+    }
+    const trades = Array.from({ length: 2 * n }, (_, k) => n + k);
+    add(trades, trades.map(() => 1), 0, maxTurnover);
+  }
+
+  return { rows, l, u, size: maxTurnover != null ? 3 * n : n };
+};
+
+/** ½xᵀPx + qᵀx for max μᵀw − ½λ·wᵀΣw (λ = null: min wᵀΣw) */
+const buildObjective = (covMatrix, muArray, lambda, size) => {
+  const n = muArray.length;
+  const scale = lambda ?? 1;
+  const P = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (
+    i < n && j < n ? scale * (covMatrix[i]?.[j] || 0) : 0
+  )));
+  const q = Array.from({ length: size }, (_, i) => (i < n ? (lambda == null ? 0 : -(muArray[i] || 0)) : TRADE_PENALTY));
+  return { P, q };
+};
+
+/**
+ * Current weights, limits and constraint rows for the book, shared by the
+ * mean-variance and scenario-based optimizers
+ * @param {Object} params - positions, nav, cashBalance, targetAllocations, groups, constraints
+ * @returns {Object} { constraints, tickers, safeNav, currentWeights, cashWeight, limits, rows, l, u, size };
+ *   limits.reasons is non-empty when the limits can't all hold
+ */
+export const buildOptimizerProblem = ({ positions, nav, cashBalance, targetAllocations = {}, groups = {}, constraints: rawConstraints = {} }) => {
+  const constraints = normalizeOptimizerConstraints(rawConstraints);
+  const safeNav = nav > 0 ? nav : 1;
+  const currentWeights = positions.map(p => ((p.quantity || 0) * (p.price || 0)) / safeNav);
+  const cashWeight = cashBalance / safeNav;
+  const limits = buildLimits({
+    positions,
+    currentWeights,
+    cashWeight,
+    targetAllocations,
+    groups: resolveGroups(groups, positions),
+    constraints,
+  });
+  const { rows, l, u, size } = buildRows(positions.length, limits, currentWeights, constraints.maxTurnover);
+  return {
+    constraints,
+    tickers: positions.map(p => p.ticker?.toUpperCase()),
+    safeNav,
+    currentWeights,
+    cashWeight,
+    limits,
+    rows,
+    l,
+    u,
+    size,
+  };
+};
+
+// ============================================================================
+// METRICS & TRADES
+// ============================================================================
+
+/**
+ * Expected return, volatility and Sharpe of position weights plus cash
+ * @returns {{return: number, vol: number, sharpe: number}}
+ */
+export const portfolioStats = (w, { muArray, covMatrix, cashWeight, cashRate = 0, riskFreeRate = 0 }) => {
+  const vol = computePortfolioVolatility(w, covMatrix);
+  const ret = computePortfolioReturn(w, muArray) + cashWeight * cashRate;
+  return { return: ret, vol, sharpe: computeSharpeRatio(ret, vol, riskFreeRate) };
+};
+
+/**
+ * Whole-share trades from current holdings to target weights
+ *
+ * Shares are rounded toward the current holding (a target of zero closes the
+ * position exactly); if the rounded buys would leave less cash than the
+ * floor, the largest buys are trimmed a share at a time.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.positions - { ticker, quantity, price (USD) }
+ * @param {number[]} params.targetWeights - Fractions of NAV
+ * @param {number} params.nav
+ * @param {number} params.cashBalance
+ * @param {number} [params.cashFloor=0] - Fraction of NAV
+ * @param {number} [params.minTradeValue=0] - USD
+ * @returns {{trades: Object[], weights: number[], cashAfter: number}}
+ *   trades: { index, ticker, side: 'BUY'|'SELL', shares, price, value, fromWeight, toWeight }, sells first
+ */
+export const buildTradeList = ({ positions, targetWeights, nav, cashBalance, cashFloor = 0, minTradeValue = 0 }) => {
+  const shares = positions.map((p, i) => {
+    if (!(p.price > 0) || !(nav > 0)) return 0;
+    const qty = p.quantity || 0;
+    const target = targetWeights[i];
+    if (Math.abs(target) < 1e-6) return -qty;
+    const delta = (target * nav) / p.price - qty;
+    const rounded = Math.trunc(delta);
+    return Math.abs(rounded * p.price) < minTradeValue && Math.abs(target * nav) >= minTradeValue ? 0 : rounded;
+  });
+
+  let cashAfter = cashBalance - shares.reduce((sum, s, i) => sum + s * (positions[i].price || 0), 0);
+  const floor = cashFloor * nav;
+  while (cashAfter < floor - 1e-6) {
+    let best = -1;
+    for (let i = 0; i < shares.length; i++) {
+      if (shares[i] > 0 && (best < 0 || shares[i] * positions[i].price > shares[best] * positions[best].price)) best = i;
+    }
+    if (best < 0) break;
+    const cut = Math.min(shares[best], Math.ceil((floor - cashAfter) / positions[best].price));
+    shares[best] -= cut;
+    cashAfter += cut * positions[best].price;
+  }
+
+  const weights = positions.map((p, i) => (nav > 0 ? ((p.quantity || 0) + shares[i]) * (p.price || 0) / nav : 0));
+  const trades = shares
+    .map((s, i) => ({
+      index: i,
+      ticker: positions[i].ticker?.toUpperCase(),
+      side: s > 0 ? 'BUY' : 'SELL',
+      shares: Math.abs(s),
+      price: positions[i].price,
+      value: Math.abs(s * positions[i].price),
+      fromWeight: nav > 0 ? (positions[i].quantity || 0) * positions[i].price / nav : 0,
+      toWeight: weights[i],
+    }))
+    .filter(t => t.shares > 0 && (t.value >= minTradeValue || Math.abs(t.toWeight) < 1e-9))
+    .sort((a, b) => (a.side === b.side ? b.value - a.value : a.side === 'SELL' ? -1 : 1));
+
+  return { trades, weights, cashAfter };
+};
+
+/** Limits the target sits on */
+export const findBinding = (w, limits, currentWeights, constraints, tickers, cashWeightAfter) => {
+  const binding = [];
+  w.forEach((wi, i) => {
+    if (limits.boundSource[i] === 'locked') return;
+    if (limits.upper[i] < 1 && limits.upper[i] - wi < WEIGHT_TOL) {
+      binding.push({ type: 'max', label: `${tickers[i]} at max ${(limits.upper[i] * 100).toFixed(1)}%`, source: limits.boundSource[i] });
+    } else if (limits.lower[i] > 0 && wi - limits.lower[i] < WEIGHT_TOL) {
+      binding.push({ type: 'min', label: `${tickers[i]} at min ${(limits.lower[i] * 100).toFixed(1)}%`, source: limits.boundSource[i] });
+    }
+  });
+  for (const g of limits.groupRows) {
+    const total = g.members.reduce((s, i) => s + w[i], 0);
+    if (g.cap - total < WEIGHT_TOL) binding.push({ type: 'group', label: `${g.name} at cap ${(g.cap * 100).toFixed(1)}%` });
+  }
+  if (constraints.maxTurnover != null) {
+    const turnover = w.reduce((s, wi, i) => s + Math.abs(wi - currentWeights[i]), 0);
+    if (constraints.maxTurnover - turnover < WEIGHT_TOL * 10) {
+      binding.push({ type: 'turnover', label: `Turnover at ${(constraints.maxTurnover * 100).toFixed(1)}% limit` });
+    }
+  }
+  if (cashWeightAfter - constraints.cashFloor < WEIGHT_TOL) {
+    binding.push({ type: 'cash', label: `Cash at ${(constraints.cashFloor * 100).toFixed(1)}% floor` });
+  }
+  return binding;
+};
+
+// ============================================================================
+// OPTIMIZER
+// ============================================================================
+
+/**
+ * Constrained optimal weights and the trades to reach them
+ * @param {Object} params
+ * @param {Object[]} params.positions - { id, ticker, quantity, price (USD) }
+ * @param {number[]} params.muArray - Expected annual returns
+ * @param {number[][]} params.covMatrix - Annual covariance (diagonally loaded if not positive definite)
+ * @param {number} params.nav - Portfolio value (USD), positions + cash + options
+ * @param {number} params.cashBalance - USD
+ * @param {number} [params.cashRate=0]
+ * @param {number} [params.riskFreeRate=0]
+ * @param {Object} [params.targetAllocations] - { TICKER: { minWeight, maxWeight } }
+ * @param {Object} [params.groups] - Correlation groups { name: [positionId | ticker] }
+ * @param {Object} [params.constraints] - See DEFAULT_OPTIMIZER_CONSTRAINTS; the scenario
+ *   objectives are solved by optimizeDownside instead (treated as Max Sharpe here)
+ * @returns {Object} { status: 'optimal'|'infeasible', reasons, objective, constraints, tickers,
+ *   current, target, trades, turnover, cashAfter, binding, lambda, solverIterations, diagonalLoad }
+ */
+export const optimizeConstrained = ({
+  positions,
+  muArray,
+  covMatrix: rawCovMatrix,
+  nav,
+  cashBalance,
+  cashRate = 0,
+  riskFreeRate = 0,
+  targetAllocations = {},
+  groups = {},
+  constraints: rawConstraints = {},
+}) => {
+  const { matrix: covMatrix, load: diagonalLoad } = ensurePositiveDefinite(rawCovMatrix);
+  const n = positions.length;
+  const problem = buildOptimizerProblem({ positions, nav, cashBalance, targetAllocations, groups, constraints: rawConstraints });
+  const { constraints, tickers, safeNav, currentWeights, cashWeight, limits, rows, l, u, size } = problem;
+  const stats = (w, cashW) => portfolioStats(w, { muArray, covMatrix, cashWeight: cashW, cashRate, riskFreeRate });
+
+  const base = {
+    objective: constraints.objective,
+    constraints,
+    tickers,
+    current: { weights: currentWeights, cashWeight, ...stats(currentWeights, cashWeight) },
+    diagonalLoad,
+    timestamp: Date.now(),
+  };
+  if (limits.reasons.length > 0) return { ...base, status: 'infeasible', reasons: limits.reasons };
+
+  let warmStart = null;
+  let iterations = 0;
+  const solveAt = (lambda) => {
+    const { P, q } = buildObjective(covMatrix, muArray, lambda, size);
+    const sol = solveQuadraticProgram({ P, q, rows, l, u }, { warmStart });
+    iterations += sol.iterations;
+    warmStart = sol;
+    const w = Array.from(sol.x.slice(0, n), (wi, i) => Math.min(limits.upper[i], Math.max(limits.lower[i], wi)));
+    const cashW = cashWeight + limits.invested - w.reduce((a, b) => a + b, 0);
+    return { w, lambda, feasible: sol.primalResidual < 1e-4, sharpe: stats(w, cashW).sharpe };
+  };
+
+  let best;
+  if (constraints.objective === 'minVariance') {
+    best = solveAt(null);
+  } else {
+    const grid = LAMBDA_GRID.map(solveAt);
+    const feasible = grid.filter(g => g.feasible);
+    if (feasible.length > 0) {
+      const bestIdx = grid.indexOf(feasible.reduce((a, b) => (b.sharpe > a.sharpe ? b : a)));
+      // Golden-section refinement on log λ between the best point's neighbours
+      let lo = Math.log(LAMBDA_GRID[Math.max(0, bestIdx - 1)]);
+      let hi = Math.log(LAMBDA_GRID[Math.min(LAMBDA_GRID.length - 1, bestIdx + 1)]);
+      const ratio = (Math.sqrt(5) - 1) / 2;
+      best = grid[bestIdx];
+      for (let k = 0; k < GOLDEN_STEPS && hi - lo > 1e-3; k++) {
+        const a = solveAt(Math.exp(hi - ratio * (hi - lo)));
+        const b = solveAt(Math.exp(lo + ratio * (hi - lo)));
+        for (const c of [a, b]) if (c.feasible && c.sharpe > best.sharpe) best = c;
+        if (a.sharpe >= b.sharpe) hi = Math.log(b.lambda);
+        else lo = Math.log(a.lambda);
+      }
+    } else {
+      best = grid[grid.length - 1];
+    }
+  }
+
+  if (!best.feasible) {
+    return {
+      ...base,
+      status: 'infeasible',
+      reasons: ['The limits can\'t all be met together; loosen the group caps, turnover limit or position bounds'],
+    };
+  }
+
+  // Snap dust to zero, then round to whole shares
+  const ideal = best.w.map((wi, i) => (Math.abs(wi) < 1e-5 && limits.lower[i] <= 0 ? 0 : wi));
+  const { trades, weights, cashAfter } = buildTradeList({
+    positions,
+    targetWeights: ideal,
+    nav: safeNav,
+    cashBalance,
+    cashFloor: constraints.cashFloor,
+    minTradeValue: constraints.minTradeValue,
+  });
+  const cashWeightAfter = cashAfter / safeNav;
+
+  return {
+    ...base,
+    status: 'optimal',
+    reasons: [],
+    target: { weights, idealWeights: ideal, cashWeight: cashWeightAfter, ...stats(weights, cashWeightAfter) },
+    trades,
+    turnover: trades.reduce((sum, t) => sum + t.value, 0) / safeNav,
+    cashAfter,
+    binding: findBinding(ideal, limits, currentWeights, constraints, tickers, cashWeight + limits.invested - ideal.reduce((a, b) => a + b, 0)),
+    lambda: best.lambda,
+    solverIterations: iterations,
+  };
+};
+
+// ============================================================================
+// EFFICIENT FRONTIER
+// ============================================================================
+
+/**
+ * Efficient frontier under the optimizer limits, and the capital market line
+ *
+ * Each point minimizes variance at a fixed expected return, from the
+ * minimum-variance portfolio up to the highest reachable return (capped at the
+ * best single asset's, so shorts don't stretch it out). The turnover limit
+ * is left out so the curve shows every reachable portfolio rather than the
+ * neighbourhood of today's book; the other limits, the cash floor and the
+ * invested weight apply as in optimizeConstrained. The tangency portfolio is
+ * the best-Sharpe point, refined by golden-section search on the target
+ * return, and the CML runs from the risk-free rate through it.
+ *
+ * @param {Object} params - Same as optimizeConstrained, plus:
+ * @param {number} [params.points=25] - Frontier points
+ * @returns {Object} { status: 'ok'|'infeasible', reasons, tickers, current, points, minVariance,
+ *   tangency, cml: { riskFreeRate, slope }, diagonalLoad, timestamp }.
+ *   Points: { return, vol, sharpe, weights, cashWeight, trades, cashAfter, turnover }
+ */
+export const computeEfficientFrontier = ({
+  positions,
+  muArray,
+  covMatrix: rawCovMatrix,
+  nav,
+  cashBalance,
+  cashRate = 0,
+  riskFreeRate = 0,
+  targetAllocations = {},
+  groups = {},
+  constraints: rawConstraints = {},
+  points = 25,
+}) => {
+  const { matrix: covMatrix, load: diagonalLoad } = ensurePositiveDefinite(rawCovMatrix);
+  const n = positions.length;
+  const { constraints, tickers, safeNav, currentWeights, cashWeight, limits, rows, l, u } = buildOptimizerProblem({
+    positions,
+    nav,
+    cashBalance,
+    targetAllocations,
+    groups,
+    constraints: { ...rawConstraints, maxTurnover: null },
+  });
+
+  const base = {
+    tickers,
+    current: {
+      weights: currentWeights,
+      cashWeight,
+      ...portfolioStats(currentWeights, { muArray, covMatrix, cashWeight, cashRate, riskFreeRate }),
+    },
+    cml: { riskFreeRate, slope: null },
+    diagonalLoad,
+    timestamp: Date.now(),
+  };
+  if (limits.reasons.length > 0) return { ...base, status: 'infeasible', reasons: limits.reasons, points: [] };
+
+  // The last row pins the positions' expected return; it's free at the two ends
+  rows.push({ idx: Array.from({ length: n }, (_, i) => i), val: muArray.map(m => m || 0) });
+  l.push(-INF);
+  u.push(INF);
+  const last = rows.length - 1;
+
+  let warmStart = null;
+  const solve = (lambda, targetReturn = null) => {
+    const { P, q } = buildObjective(covMatrix, muArray, lambda, n);
+    l[last] = targetReturn ?? -INF;
+    u[last] = targetReturn ?? INF;
+    const sol = solveQuadraticProgram({ P, q, rows, l, u }, { warmStart });
+    warmStart = sol;
+    if (!(sol.primalResidual < 1e-4)) return null;
+    const w = Array.from(sol.x, (wi, i) => Math.min(limits.upper[i], Math.max(limits.lower[i], wi)));
+    const cashW = cashWeight + limits.invested - w.reduce((a, b) => a + b, 0);
+    return { weights: w, cashWeight: cashW, ...portfolioStats(w, { muArray, covMatrix, cashWeight: cashW, cashRate, riskFreeRate }) };
+  };
+  const positionsReturn = (p) => p.return - p.cashWeight * cashRate;
+
+  const minVar = solve(null);
+  // A very low risk aversion approaches the highest-return corner without an LP
+  const maxRet = solve(1e-3);
+  if (!minVar || !maxRet) {
+    return {
+      ...base,
+      status: 'infeasible',
+      reasons: ['The limits can\'t all be met together; loosen the group caps or position bounds'],
+      points: [],
+    };
+  }
+
+  const rLo = positionsReturn(minVar);
+  const count = Math.max(3, points);
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  const trace = (rHi) => {
+    const curve = [minVar];
+    for (let k = 1; k < count; k++) {
+      const p = solve(null, rLo + (k / (count - 1)) * (rHi - rLo));
+      if (p) curve.push(p);
+    }
+    // Tangency: refine the best-Sharpe point between its neighbours
+    const bestIdx = curve.reduce((best, p, i) => (p.sharpe > curve[best].sharpe ? i : best), 0);
+    let tangency = curve[bestIdx];
+    let lo = positionsReturn(curve[Math.max(0, bestIdx - 1)]);
+    let hi = positionsReturn(curve[Math.min(curve.length - 1, bestIdx + 1)]);
+    for (let k = 0; k < GOLDEN_STEPS && hi - lo > 1e-6; k++) {
+      const ra = hi - ratio * (hi - lo);
+      const rb = lo + ratio * (hi - lo);
+      const a = solve(null, ra);
+      const b = solve(null, rb);
+      for (const c of [a, b]) if (c && c.sharpe > tangency.sharpe) tangency = c;
+      if ((a?.sharpe ?? -Infinity) >= (b?.sharpe ?? -Infinity)) hi = rb;
+      else lo = ra;
+    }
+    return { curve, tangency };
+  };
+
+  // With shorts the top end runs off to extreme leverage; stop at the best
+  // single asset's return (or the tangency, if that's higher)
+  const rMax = positionsReturn(maxRet);
+  let { curve, tangency } = trace(rMax);
+  const rCap = Math.max(Math.max(...muArray) * limits.budget.hi, positionsReturn(tangency));
+  if (rMax > rCap + 1e-6) ({ curve, tangency } = trace(rCap));
+
+  const withTrades = (p) => {
+    const { trades, cashAfter } = buildTradeList({
+      positions,
+      targetWeights: p.weights.map((wi, i) => (Math.abs(wi) < 1e-5 && limits.lower[i] <= 0 ? 0 : wi)),
+      nav: safeNav,
+      cashBalance,
+      cashFloor: constraints.cashFloor,
+      minTradeValue: constraints.minTradeValue,
+    });
+    return { ...p, trades, cashAfter, turnover: trades.reduce((sum, t) => sum + t.value, 0) / safeNav };
+  };
+
+  const frontier = curve.map(withTrades);
+  return {
+    ...base,
+    status: 'ok',
+    reasons: [],
+    points: frontier,
+    minVariance: frontier[0],
+    tangency: withTrades(tangency),
+    cml: { riskFreeRate, slope: tangency.vol > 0 ? tangency.sharpe : null },
+  };
+};
+
+export default {
+  OPTIMIZER_OBJECTIVES,
+  DEFAULT_OPTIMIZER_CONSTRAINTS,
+  normalizeOptimizerConstraints,
+  resolveGroups,
+  ensurePositiveDefinite,
+  solveQuadraticProgram,
+  portfolioStats,
+  buildTradeList,
+  buildOptimizerProblem,
+  findBinding,
+  optimizeConstrained,
+  computeEfficientFrontier,
+};
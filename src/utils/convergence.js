@@ -0,0 +1,377 @@
+/**
+ * Monte Carlo Convergence Diagnostics
+ *
+ * @module utils/convergence
+ * @description Standard errors and confidence intervals for the simulation's
+ * output statistics, the precision check behind the adaptive path count, and
+ * an MC-vs-QMC convergence comparison.
+ *
+ * Interval methods:
+ * - Mean: CLT, SE = s / √n
+ * - Percentiles (incl. VaR): distribution-free order-statistic interval; the
+ *   ranks n·p ± z·√(n·p·(1−p)) bound the true quantile
+ * - CVaR: asymptotic SE √((Var(X | X ≤ q) + (1−α)(q − CVaR)²) / (α·n))
+ * - Probabilities: Wilson score interval (stays inside [0, 1] near 0 or 1)
+ */
+
+import { normalInvCDF } from './statistics';
+import { estimateStarDiscrepancy } from './quasiMonteCarlo';
+import { haltonPoint } from './pathSimulation';
+import { Xoshiro128, generateSeed, seedRandom } from './random';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Two-sided 95% normal critical value */
+export const Z_95 = 1.959963984540054;
+
+/** Adaptive mode precision targets (CI half-width, in return / probability units) */
+export const PRECISION_TARGETS = [0.0025, 0.005, 0.01, 0.02];
+
+/** Smallest batch the adaptive mode adds per round */
+export const MIN_ADAPTIVE_BATCH = 2000;
+
+/** Path counts evaluated by the MC-vs-QMC comparison */
+export const CONVERGENCE_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+
+/** Largest dimension used for the discrepancy estimate */
+const MAX_DISCREPANCY_DIMS = 12;
+
+const clampUniform = (u) => Math.max(0.0001, Math.min(0.9999, u));
+
+// ============================================================================
+// INTERVALS
+// ============================================================================
+
+/**
+ * Mean with CLT standard error
+ * @param {number[]|Float64Array} values
+ * @param {number} [z=Z_95]
+ * @returns {{estimate: number, se: number, lower: number, upper: number, halfWidth: number}}
+ */
+export const meanInterval = (values, z = Z_95) => {
+  const n = values.length;
+  if (n === 0) return { estimate: NaN, se: NaN, lower: NaN, upper: NaN, halfWidth: NaN };
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += values[i];
+  const mean = sum / n;
+  let ss = 0;
+  for (let i = 0; i < n; i++) ss += (values[i] - mean) * (values[i] - mean);
+  const se = n > 1 ? Math.sqrt(ss / (n - 1) / n) : NaN;
+  return { estimate: mean, se, lower: mean - z * se, upper: mean + z * se, halfWidth: z * se };
+};
+
+/**
+ * Percentile with order-statistic confidence interval
+ * (estimate uses the same floor(n·p) rank as the simulation summaries)
+ * @param {number[]|Float64Array} sorted - Ascending values
+ * @param {number} p - Probability in (0, 1)
+ * @param {number} [z=Z_95]
+ */
+export const quantileInterval = (sorted, p, z = Z_95) => {
+  const n = sorted.length;
+  if (n === 0) return { estimate: NaN, se: NaN, lower: NaN, upper: NaN, halfWidth: NaN };
+  const at = (rank) => sorted[Math.max(0, Math.min(n - 1, rank))];
+  const spread = z * Math.sqrt(n * p * (1 - p));
+  const estimate = at(Math.floor(n * p));
+  const lower = at(Math.floor(n * p - spread));
+  const upper = at(Math.ceil(n * p + spread));
+  const halfWidth = (upper - lower) / 2;
+  return { estimate, se: halfWidth / z, lower, upper, halfWidth };
+};
+
+/**
+ * Expected shortfall (mean of the worst α tail) with asymptotic SE
+ * @param {number[]|Float64Array} sorted - Ascending values
+ * @param {number} [alpha=0.05]
+ * @param {number} [z=Z_95]
+ */
+export const cvarInterval = (sorted, alpha = 0.05, z = Z_95) => {
+  const n = sorted.length;
+  const k = Math.floor(n * alpha);
+  if (k < 2) return { estimate: sorted[0] ?? NaN, se: NaN, lower: NaN, upper: NaN, halfWidth: NaN };
+  let sum = 0;
+  for (let i = 0; i < k; i++) sum += sorted[i];
+  const cvar = sum / k;
+  let ss = 0;
+  for (let i = 0; i < k; i++) ss += (sorted[i] - cvar) * (sorted[i] - cvar);
+  const tailVar = ss / (k - 1);
+  const q = sorted[Math.min(k, n - 1)];
+  const se = Math.sqrt((tailVar + (1 - alpha) * (q - cvar) * (q - cvar)) / (alpha * n));
+  return { estimate: cvar, se, lower: cvar - z * se, upper: cvar + z * se, halfWidth: z * se };
+};
+
+/**
+ * Proportion with Wilson score interval
+ * @param {number} count - Successes
+ * @param {number} n - Trials
+ * @param {number} [z=Z_95]
+ */
+export const proportionInterval = (count, n, z = Z_95) => {
+  if (n === 0) return { estimate: NaN, se: NaN, lower: NaN, upper: NaN, halfWidth: NaN };
+  const p = count / n;
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denom;
+  const half = (z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / denom;
+  return {
+    estimate: p,
+    se: Math.sqrt(p * (1 - p) / n),
+    lower: Math.max(0, center - half),
+    upper: Math.min(1, center + half),
+    halfWidth: half,
+  };
+};
+
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+/** Count of sorted values strictly below a threshold (binary search) */
+const countBelow = (sorted, threshold) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < threshold) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * Confidence intervals for every headline simulation statistic
+ *
+ * @param {number[]|Float64Array} sortedReturns - Ascending horizon returns
+ * @param {Object} [options]
+ * @param {number[]|Float64Array} [options.sortedDrawdowns] - Ascending max drawdowns (0–1)
+ * @param {number} [options.drawdownThreshold=0.2] - Drawdown threshold for P(DD ≥ x)
+ * @param {{estimate: number, se: number}} [options.meanEstimate] - Variance-reduced mean
+ *   (antithetic / control variate) to use instead of the plain sample mean
+ * @param {number} [options.z=Z_95]
+ * @returns {{paths: number, confidence: number, stats: Array<{key: string, label: string, kind: string}>}}
+ *   kind is 'return' or 'probability'; each stat also carries estimate, se, lower, upper, halfWidth
+ */
+export const computeConvergenceDiagnostics = (sortedReturns, {
+  sortedDrawdowns = null,
+  drawdownThreshold = 0.2,
+  meanEstimate = null,
+  z = Z_95,
+} = {}) => {
+  const n = sortedReturns.length;
+  const mean = meanEstimate && isFinite(meanEstimate.se)
+    ? {
+      label: 'Mean (var. reduced)',
+      estimate: meanEstimate.estimate,
+      se: meanEstimate.se,
+      lower: meanEstimate.estimate - z * meanEstimate.se,
+      upper: meanEstimate.estimate + z * meanEstimate.se,
+      halfWidth: z * meanEstimate.se,
+    }
+    : { label: 'Mean', ...meanInterval(sortedReturns, z) };
+  const stats = [
+    { key: 'mean', kind: 'return', ...mean },
+    { key: 'var95', label: 'VaR 95% (P5)', kind: 'return', ...quantileInterval(sortedReturns, 0.05, z) },
+    { key: 'cvar95', label: 'CVaR 95%', kind: 'return', ...cvarInterval(sortedReturns, 0.05, z) },
+    { key: 'p25', label: 'P25', kind: 'return', ...quantileInterval(sortedReturns, 0.25, z) },
+    { key: 'p50', label: 'Median', kind: 'return', ...quantileInterval(sortedReturns, 0.50, z) },
+    { key: 'p75', label: 'P75', kind: 'return', ...quantileInterval(sortedReturns, 0.75, z) },
+    { key: 'p95', label: 'P95', kind: 'return', ...quantileInterval(sortedReturns, 0.95, z) },
+    { key: 'probLoss', label: 'P(loss)', kind: 'probability', ...proportionInterval(countBelow(sortedReturns, 0), n, z) },
+  ];
+
+  if (sortedDrawdowns?.length) {
+    const m = sortedDrawdowns.length;
+    stats.push(
+      { key: 'drawdownP50', label: 'Median max DD', kind: 'return', ...quantileInterval(sortedDrawdowns, 0.50, z) },
+      { key: 'drawdownExceed', label: `P(DD ≥ ${(drawdownThreshold * 100).toFixed(0)}%)`, kind: 'probability',
+        ...proportionInterval(m - countBelow(sortedDrawdowns, drawdownThreshold), m, z) },
+    );
+  }
+
+  return { paths: n, confidence: 0.95, stats };
+};
+
+/**
+ * Check diagnostics against a precision target and estimate the paths needed
+ * to reach it (CI half-widths shrink as 1/√n)
+ *
+ * @param {{paths: number, stats: Object[]}} diagnostics
+ * @param {number} targetHalfWidth - Largest acceptable CI half-width
+ * @returns {{reached: boolean, worstKey: string|null, worstHalfWidth: number, pathsNeeded: number}}
+ */
+export const checkPrecision = (diagnostics, targetHalfWidth) => {
+  let worst = null;
+  for (const stat of diagnostics.stats) {
+    if (!isFinite(stat.halfWidth)) continue;
+    if (!worst || stat.halfWidth > worst.halfWidth) worst = stat;
+  }
+  if (!worst) return { reached: false, worstKey: null, worstHalfWidth: NaN, pathsNeeded: diagnostics.paths * 2 };
+
+  const ratio = worst.halfWidth / targetHalfWidth;
+  return {
+    reached: worst.halfWidth <= targetHalfWidth,
+    worstKey: worst.key,
+    worstHalfWidth: worst.halfWidth,
+    pathsNeeded: Math.ceil(diagnostics.paths * ratio * ratio),
+  };
+};
+
+/**
+ * Size of the next adaptive batch: aim 10% past the estimate, round to
+ * 1,000 paths, and stay within [MIN_ADAPTIVE_BATCH, maxPaths − current]
+ *
+ * @param {number} pathsNeeded - Estimated total paths for the target
+ * @param {number} currentPaths - Paths run so far
+ * @param {number} maxPaths - Cap on total paths
+ * @returns {number} Paths to add (0 when the cap is reached)
+ */
+export const nextAdaptiveBatch = (pathsNeeded, currentPaths, maxPaths) => {
+  const room = Math.max(0, maxPaths - currentPaths);
+  const wanted = Math.ceil((pathsNeeded * 1.1 - currentPaths) / 1000) * 1000;
+  return Math.min(room, Math.max(MIN_ADAPTIVE_BATCH, wanted));
+};
+
+/**
+ * Running mean and CI as paths accumulate (paths in simulation order)
+ *
+ * @param {number[]|Float64Array} values - Horizon returns in path order
+ * @param {number} [points=24] - Checkpoints (log-spaced)
+ * @param {number} [z=Z_95]
+ * @returns {Array<{paths: number, mean: number, lower: number, upper: number}>}
+ */
+export const runningMeanSeries = (values, points = 24, z = Z_95) => {
+  const n = values.length;
+  if (n < 100) return [];
+  const checkpoints = new Set();
+  const start = Math.log(100);
+  const step = (Math.log(n) - start) / Math.max(1, points - 1);
+  for (let i = 0; i < points; i++) checkpoints.add(Math.min(n, Math.round(Math.exp(start + i * step))));
+  checkpoints.add(n);
+
+  const series = [];
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    sum += values[i];
+    sumSq += values[i] * values[i];
+    const count = i + 1;
+    if (!checkpoints.has(count)) continue;
+    const mean = sum / count;
+    const variance = Math.max(0, (sumSq - count * mean * mean) / (count - 1));
+    const half = z * Math.sqrt(variance / count);
+    series.push({ paths: count, mean, lower: mean - half, upper: mean + half });
+  }
+  return series;
+};
+
+// ============================================================================
+// MC VS QMC COMPARISON
+// ============================================================================
+
+/** Box-Muller normal from a local generator */
+const gaussian = (rng) => {
+  let u = 0;
+  let v = 0;
+  while (u === 0) u = rng.next();
+  while (v === 0) v = rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Compare pseudo-random MC with the engine's Halton QMC on the first-year draw
+ *
+ * For each path count, reports:
+ * - RMSE of the estimated mean portfolio return over `replications` runs
+ *   (independent seeds for MC; random-shift Halton for QMC), using the
+ *   Gaussian core of the draw: portfolio return − μ = b · z
+ * - Star discrepancy of the uniform points (estimateStarDiscrepancy, same
+ *   random test boxes for both)
+ *
+ * @param {Object} params
+ * @param {number[]} params.loadings - b = Lᵀ(w ∘ σ): portfolio loading on each independent normal
+ * @param {number[]} [params.sizes=CONVERGENCE_SIZES]
+ * @param {number} [params.replications=8]
+ * @param {number} [params.seed] - Seed for the MC streams and shifts
+ * @returns {{dimensions: number, discrepancyDims: number, rows: Array<{paths: number, mcError: number, qmcError: number, mcDiscrepancy: number, qmcDiscrepancy: number}>}}
+ */
+export const compareMcQmcConvergence = ({
+  loadings,
+  sizes = CONVERGENCE_SIZES,
+  replications = 8,
+  seed = generateSeed(),
+}) => {
+  const d = loadings.length;
+  const discDims = Math.min(d + 1, MAX_DISCREPANCY_DIMS);
+  const maxSize = Math.max(...sizes);
+  const u = new Float64Array(d + 1);
+  const shift = new Float64Array(d);
+
+  // Portfolio mean estimator errors (true value 0 for the b · z core)
+  const mcSq = new Float64Array(sizes.length);
+  const qmcSq = new Float64Array(sizes.length);
+  for (let r = 0; r < replications; r++) {
+    const rng = new Xoshiro128(seed, r);
+    for (let j = 0; j < d; j++) shift[j] = rng.next();
+
+    let mcSum = 0;
+    let qmcSum = 0;
+    let s = 0;
+    for (let k = 0; k < maxSize; k++) {
+      let mcDot = 0;
+      for (let j = 0; j < d; j++) mcDot += loadings[j] * gaussian(rng);
+      mcSum += mcDot;
+
+      haltonPoint(k, d, u);
+      let qmcDot = 0;
+      for (let j = 0; j < d; j++) qmcDot += loadings[j] * normalInvCDF(clampUniform((u[j] + shift[j]) % 1));
+      qmcSum += qmcDot;
+
+      if (k + 1 === sizes[s]) {
+        mcSq[s] += (mcSum / (k + 1)) ** 2;
+        qmcSq[s] += (qmcSum / (k + 1)) ** 2;
+        s++;
+      }
+    }
+  }
+
+  // Discrepancy on the raw uniforms; reseed the shared generator so both sets
+  // are tested against the same boxes, then hand it a fresh seed again
+  const pointRng = new Xoshiro128(seed, replications);
+  const mcPoints = Array.from({ length: maxSize }, () => Array.from({ length: discDims }, () => pointRng.next()));
+  const qmcPoints = Array.from({ length: maxSize }, (_, k) => Array.from(haltonPoint(k, discDims, new Float64Array(discDims))));
+
+  const rows = sizes.map((size, s) => {
+    seedRandom(seed, 0x5eed + s);
+    const mcDiscrepancy = estimateStarDiscrepancy(mcPoints.slice(0, size));
+    seedRandom(seed, 0x5eed + s);
+    const qmcDiscrepancy = estimateStarDiscrepancy(qmcPoints.slice(0, size));
+    return {
+      paths: size,
+      mcError: Math.sqrt(mcSq[s] / replications),
+      qmcError: Math.sqrt(qmcSq[s] / replications),
+      mcDiscrepancy,
+      qmcDiscrepancy,
+    };
+  });
+  seedRandom(generateSeed());
+
+  return { dimensions: d, discrepancyDims: discDims, rows };
+};
+
+export default {
+  Z_95,
+  PRECISION_TARGETS,
+  MIN_ADAPTIVE_BATCH,
+  CONVERGENCE_SIZES,
+  meanInterval,
+  quantileInterval,
+  cvarInterval,
+  proportionInterval,
+  computeConvergenceDiagnostics,
+  checkPrecision,
+  nextAdaptiveBatch,
+  runningMeanSeries,
+  compareMcQmcConvergence,
+};
@@ -0,0 +1,408 @@
+/**
+ * Base Currency & FX Risk
+ *
+ * @module utils/currency
+ * @description Reporting currency of a portfolio and the FX risk of holding
+ * assets priced in other currencies.
+ *
+ * - Quotes, positions, cash and the ledger stay in USD (the currency the
+ *   market data pipeline converts everything to). The base currency converts
+ *   amounts for display and the simulation's money outputs at today's rate.
+ * - Each holding's currency exposure is the currency it trades in (USD for US
+ *   listings). Unhedged holdings priced in another currency than the base
+ *   carry that currency's return against the base as a separate risk factor:
+ *   its volatility and its correlation with every holding come from daily FX
+ *   history (Yahoo "EURUSD=X" style tickers), else from rough defaults.
+ * - The simulation folds each factor into the holdings exposed to it:
+ *   base return ≈ local return + FX return, so volatilities, cross
+ *   correlations and the FX / asset covariance in the mean change; regimes
+ *   and GARCH then run on the base-currency parameters.
+ * - Hedged holdings keep their local-currency return (the hedge's carry, the
+ *   interest-rate differential, is left out).
+ */
+
+import { computeCorrelation, computeStd } from './correlation';
+import { makeValidCorrelation } from './matrix';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Base currencies a portfolio can report in */
+export const BASE_CURRENCIES = {
+  USD: { symbol: '$', name: 'US Dollar' },
+  EUR: { symbol: '€', name: 'Euro' },
+  GBP: { symbol: '£', name: 'British Pound' },
+  CHF: { symbol: 'CHF ', name: 'Swiss Franc' },
+  JPY: { symbol: '¥', name: 'Japanese Yen' },
+  CAD: { symbol: 'C$', name: 'Canadian Dollar' },
+  AUD: { symbol: 'A$', name: 'Australian Dollar' },
+  SEK: { symbol: 'SEK ', name: 'Swedish Krona' },
+  NOK: { symbol: 'NOK ', name: 'Norwegian Krone' },
+  DKK: { symbol: 'DKK ', name: 'Danish Krone' },
+  HKD: { symbol: 'HK$', name: 'Hong Kong Dollar' },
+};
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+/** Approximate USD per unit of each currency, used until live rates load */
+export const FALLBACK_EXCHANGE_RATES = {
+  TWD: 0.031,
+  EUR: 1.08,
+  GBP: 1.27,
+  JPY: 0.0067,
+  KRW: 0.00074,
+  CNY: 0.14,
+  HKD: 0.128,
+  CHF: 1.13,
+  AUD: 0.65,
+  CAD: 0.74,
+  SEK: 0.095,
+  DKK: 0.145,
+  NOK: 0.091,
+  INR: 0.012,
+  BRL: 0.17,
+};
+
+/** Approximate annual volatility of each currency against USD, used without FX history */
+const FALLBACK_FX_VOLS = {
+  EUR: 0.08,
+  GBP: 0.09,
+  CHF: 0.08,
+  JPY: 0.10,
+  CAD: 0.07,
+  AUD: 0.11,
+  SEK: 0.10,
+  NOK: 0.11,
+  DKK: 0.08,
+  HKD: 0.01,
+  CNY: 0.04,
+  KRW: 0.09,
+  TWD: 0.05,
+  INR: 0.06,
+  BRL: 0.16,
+};
+const DEFAULT_FX_VOL = 0.10;
+
+/** Correlation assumed between two currencies' moves against USD without history */
+const FALLBACK_CROSS_CORRELATION = 0.5;
+
+/** Aligned trading days needed before an FX volatility or correlation is trusted */
+const MIN_OVERLAP = 60;
+
+/** Trading days of history FX statistics look back over */
+const LOOKBACK_DAYS = 756;
+
+const TRADING_DAYS = 252;
+
+// ============================================================================
+// RATES & FORMATTING
+// ============================================================================
+
+/**
+ * Fall back to USD for unknown codes
+ * @param {string} currency
+ * @returns {string}
+ */
+export const normalizeBaseCurrency = (currency) => {
+  const code = String(currency || '').toUpperCase();
+  return BASE_CURRENCIES[code] ? code : DEFAULT_BASE_CURRENCY;
+};
+
+/** Yahoo ticker quoting USD per unit of the currency */
+export const fxTicker = (currency) => `${currency}USD=X`;
+
+/**
+ * FX tickers to load for a portfolio: every non-USD currency held, plus the base
+ * @param {Object[]} positions
+ * @param {string} baseCurrency
+ * @returns {string[]}
+ */
+export const fxTickersFor = (positions, baseCurrency) => {
+  const currencies = new Set(positions.map(p => (p.currency || 'USD').toUpperCase()));
+  currencies.add(normalizeBaseCurrency(baseCurrency));
+  currencies.delete('USD');
+  return [...currencies].sort().map(fxTicker);
+};
+
+/**
+ * USD per unit of a currency: FX history, then a live quote, then a position
+ * priced in it, then the fallback table
+ * @param {string} currency
+ * @param {Object} [sources]
+ * @param {Object} [sources.marketData] - unifiedMarketData
+ * @param {Object} [sources.liveRates] - { EUR: 1.09, ... } from fetchExchangeRate
+ * @param {Object[]} [sources.positions]
+ * @returns {{rate: number|null, source: string}}
+ */
+export const usdRate = (currency, { marketData, liveRates, positions } = {}) => {
+  const code = String(currency || 'USD').toUpperCase();
+  if (code === 'USD') return { rate: 1, source: 'base' };
+
+  const history = marketData?.[fxTicker(code)];
+  const last = history?.closePrices?.[history.closePrices.length - 1] ?? history?.currentPrice;
+  if (last > 0) return { rate: last, source: 'history' };
+  if (liveRates?.[code] > 0) return { rate: liveRates[code], source: 'live' };
+  const priced = positions?.find(p => p.currency === code && p.exchangeRate > 0 && p.exchangeRate !== 1);
+  if (priced) return { rate: priced.exchangeRate, source: 'position' };
+  if (FALLBACK_EXCHANGE_RATES[code]) return { rate: FALLBACK_EXCHANGE_RATES[code], source: 'fallback' };
+  return { rate: null, source: 'missing' };
+};
+
+/**
+ * Units of the base currency per USD
+ * @param {string} baseCurrency
+ * @param {Object} [sources] - See usdRate()
+ * @returns {{rate: number, source: string}} rate is 1 when nothing is known
+ */
+export const baseRate = (baseCurrency, sources) => {
+  const { rate, source } = usdRate(normalizeBaseCurrency(baseCurrency), sources);
+  return rate > 0 ? { rate: 1 / rate, source } : { rate: 1, source: 'missing' };
+};
+
+/**
+ * Symbol prefix for a currency
+ * @param {string} currency
+ * @returns {string}
+ */
+export const currencySymbol = (currency) => BASE_CURRENCIES[currency]?.symbol || `${currency} `;
+
+/**
+ * Format an amount already converted to the currency
+ * @param {number} value
+ * @param {string} [currency='USD']
+ * @param {Object} [options]
+ * @param {boolean} [options.compact=false] - K / M suffixes
+ * @param {number} [options.decimals=0]
+ * @returns {string}
+ */
+export const formatMoney = (value, currency = DEFAULT_BASE_CURRENCY, { compact = false, decimals = 0 } = {}) => {
+  if (value == null || !isFinite(value)) return '—';
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  const symbol = currencySymbol(currency);
+  if (compact && abs >= 1e6) return `${sign}${symbol}${(abs / 1e6).toFixed(2)}M`;
+  if (compact && abs >= 1e3) return `${sign}${symbol}${(abs / 1e3).toFixed(1)}K`;
+  return `${sign}${symbol}${abs.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+};
+
+// ============================================================================
+// FX RISK FACTORS
+// ============================================================================
+
+/** Map of 'YYYY-MM-DD' -> daily return */
+const returnsByDate = (data) => {
+  const map = new Map();
+  if (!data?.dailyReturns?.length || !data?.timestamps?.length) return map;
+  const { dailyReturns, timestamps } = data;
+  for (let i = 0; i < dailyReturns.length && i < timestamps.length; i++) {
+    if (isFinite(dailyReturns[i])) map.set(new Date(timestamps[i]).toISOString().slice(0, 10), dailyReturns[i]);
+  }
+  return map;
+};
+
+/**
+ * Daily return of one unit of `currency` measured in `base`, by date
+ * @returns {Map<string, number>|null} null when the history isn't loaded
+ */
+const fxReturnsByDate = (currency, base, marketData) => {
+  const quote = currency === 'USD' ? null : returnsByDate(marketData?.[fxTicker(currency)]);
+  const baseQuote = base === 'USD' ? null : returnsByDate(marketData?.[fxTicker(base)]);
+  if ((quote && quote.size === 0) || (baseQuote && baseQuote.size === 0)) return null;
+
+  const series = new Map();
+  if (!baseQuote) return quote;
+  if (!quote) {
+    for (const [date, r] of baseQuote) series.set(date, 1 / (1 + r) - 1);
+    return series;
+  }
+  for (const [date, r] of quote) {
+    const rb = baseQuote.get(date);
+    if (rb !== undefined) series.set(date, (1 + r) / (1 + rb) - 1);
+  }
+  return series;
+};
+
+const recent = (map) => {
+  const entries = [...map].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  return new Map(entries.slice(-LOOKBACK_DAYS));
+};
+
+/** Correlation of two date-keyed series, or null with too little overlap */
+const dateCorrelation = (a, b) => {
+  const x = [];
+  const y = [];
+  for (const [date, r] of a) {
+    const other = b.get(date);
+    if (other !== undefined) {
+      x.push(r);
+      y.push(other);
+    }
+  }
+  if (x.length < MIN_OVERLAP) return null;
+  const corr = computeCorrelation(x, y);
+  return isFinite(corr) ? corr : null;
+};
+
+/** Volatility of `currency` against `base` from the fallback table */
+const fallbackVol = (currency, base) => {
+  const vol = (c) => (c === 'USD' ? 0 : FALLBACK_FX_VOLS[c] ?? DEFAULT_FX_VOL);
+  const a = vol(currency);
+  const b = vol(base);
+  const rho = currency === 'USD' || base === 'USD' ? 0 : FALLBACK_CROSS_CORRELATION;
+  return Math.sqrt(Math.max(0, a * a + b * b - 2 * rho * a * b));
+};
+
+/**
+ * FX exposure of each position against the base currency
+ * @param {Object[]} positions
+ * @param {string} baseCurrency
+ * @returns {{currency: string, exposed: boolean, hedged: boolean}[]}
+ */
+export const currencyExposures = (positions, baseCurrency) => {
+  const base = normalizeBaseCurrency(baseCurrency);
+  return positions.map(p => {
+    const currency = (p.currency || 'USD').toUpperCase();
+    const foreign = currency !== base;
+    return { currency, exposed: foreign && !p.fxHedged, hedged: foreign && !!p.fxHedged };
+  });
+};
+
+/**
+ * FX risk factors a portfolio is exposed to, with their volatilities and
+ * correlations with each holding and each other
+ * @param {Object[]} positions
+ * @param {Object} options
+ * @param {string} options.baseCurrency
+ * @param {Object} [options.marketData] - unifiedMarketData (holdings' and FX daily returns)
+ * @returns {{baseCurrency: string, exposures: Object[], factorIndex: number[],
+ *   factors: {currency: string, vol: number, source: string}[],
+ *   assetCorr: number[][], factorCorr: number[][]}|null} null without unhedged foreign holdings
+ */
+export const buildCurrencyRisk = (positions, { baseCurrency, marketData = {} } = {}) => {
+  const base = normalizeBaseCurrency(baseCurrency);
+  const exposures = currencyExposures(positions, base);
+  const currencies = [...new Set(exposures.filter(e => e.exposed).map(e => e.currency))].sort();
+  if (currencies.length === 0) return null;
+
+  const series = currencies.map(c => {
+    const s = fxReturnsByDate(c, base, marketData);
+    return s && s.size >= MIN_OVERLAP ? recent(s) : null;
+  });
+  const factors = currencies.map((currency, k) => {
+    if (!series[k]) return { currency, vol: fallbackVol(currency, base), source: 'default' };
+    const vol = computeStd([...series[k].values()]) * Math.sqrt(TRADING_DAYS);
+    return isFinite(vol) && vol > 0
+      ? { currency, vol, source: 'history' }
+      : { currency, vol: fallbackVol(currency, base), source: 'default' };
+  });
+
+  const factorCorr = currencies.map((_, k) => currencies.map((__, l) => {
+    if (k === l) return 1;
+    const corr = series[k] && series[l] ? dateCorrelation(series[k], series[l]) : null;
+    return corr ?? FALLBACK_CROSS_CORRELATION;
+  }));
+
+  const assetSeries = new Map();
+  const assetCorr = positions.map(p => {
+    const ticker = p.ticker?.toUpperCase();
+    if (!assetSeries.has(ticker)) assetSeries.set(ticker, returnsByDate(marketData?.[ticker]));
+    const returns = assetSeries.get(ticker);
+    return series.map(s => (s && returns.size > 0 ? dateCorrelation(returns, s) ?? 0 : 0));
+  });
+
+  return {
+    baseCurrency: base,
+    exposures,
+    factorIndex: exposures.map(e => (e.exposed ? currencies.indexOf(e.currency) : -1)),
+    factors,
+    assetCorr,
+    factorCorr,
+  };
+};
+
+/**
+ * Turn local-currency return parameters into base-currency ones
+ * @param {Object} params
+ * @param {number[]} params.annualMu
+ * @param {number[]} params.annualSigma
+ * @param {number[][]} params.corrMatrix
+ * @param {Object} params.risk - buildCurrencyRisk() output
+ * @returns {{annualMu: number[], annualSigma: number[], corrMatrix: number[][]}}
+ */
+export const applyCurrencyRisk = ({ annualMu, annualSigma, corrMatrix, risk }) => {
+  const n = annualSigma.length;
+  const { factorIndex, factors, assetCorr, factorCorr } = risk;
+
+  // Covariance of asset i's local return with the FX factor asset j is exposed to
+  const assetFx = (i, j) => {
+    const k = factorIndex[j];
+    return k < 0 ? 0 : assetCorr[i][k] * annualSigma[i] * factors[k].vol;
+  };
+  const fxFx = (i, j) => {
+    const k = factorIndex[i];
+    const l = factorIndex[j];
+    return k < 0 || l < 0 ? 0 : factorCorr[k][l] * factors[k].vol * factors[l].vol;
+  };
+
+  const cov = (i, j) => (corrMatrix[i]?.[j] ?? (i === j ? 1 : 0)) * annualSigma[i] * annualSigma[j]
+    + assetFx(i, j) + assetFx(j, i) + fxFx(i, j);
+
+  const sigma = annualSigma.map((_, i) => Math.sqrt(Math.max(1e-12, cov(i, i))));
+  const mu = annualMu.map((m, i) => m + assetFx(i, i));
+  const corr = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (
+    i === j ? 1 : cov(i, j) / (sigma[i] * sigma[j])
+  )));
+
+  return { annualMu: mu, annualSigma: sigma, corrMatrix: makeValidCorrelation(corr) };
+};
+
+/**
+ * Currency breakdown of the book for the results card
+ * @param {Object|null} risk - buildCurrencyRisk() output
+ * @param {Object[]} positions
+ * @param {number[]} weights - Signed weights (fractions of NAV)
+ * @param {Object} vols - { local, base } expected portfolio volatilities
+ * @param {string} baseCurrency
+ * @returns {{baseCurrency: string, exposures: Object[], hedgedWeight: number, vol: Object}}
+ */
+export const summarizeCurrencyRisk = (risk, positions, weights, vols, baseCurrency) => {
+  const base = normalizeBaseCurrency(baseCurrency);
+  const exposures = risk?.exposures || currencyExposures(positions, base);
+  const byCurrency = new Map();
+  let hedgedWeight = 0;
+  exposures.forEach((e, i) => {
+    const w = weights[i] || 0;
+    if (e.hedged) hedgedWeight += w;
+    if (!e.exposed) return;
+    const row = byCurrency.get(e.currency) || { currency: e.currency, weight: 0 };
+    row.weight += w;
+    byCurrency.set(e.currency, row);
+  });
+  const factors = new Map((risk?.factors || []).map(f => [f.currency, f]));
+  return {
+    baseCurrency: base,
+    exposures: [...byCurrency.values()]
+      .map(row => ({ ...row, vol: factors.get(row.currency)?.vol ?? null, source: factors.get(row.currency)?.source ?? null }))
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight)),
+    hedgedWeight,
+    vol: vols,
+  };
+};
+
+export default {
+  BASE_CURRENCIES,
+  DEFAULT_BASE_CURRENCY,
+  FALLBACK_EXCHANGE_RATES,
+  normalizeBaseCurrency,
+  fxTicker,
+  fxTickersFor,
+  usdRate,
+  baseRate,
+  currencySymbol,
+  formatMoney,
+  currencyExposures,
+  buildCurrencyRisk,
+  applyCurrencyRisk,
+  summarizeCurrencyRisk,
+};
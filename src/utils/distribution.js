@@ -6,6 +6,8 @@
  * Includes normal, Student-t, and skewed distributions.
  */
 
+import { random } from './random';
+
 /**
  * Normal CDF (cumulative distribution function)
  * Uses Abramowitz and Stegun approximation
@@ -92,12 +94,13 @@ export const studentTInvCDF = (p, df) => {
 
 /**
  * Box-Muller transform for generating standard normal random variables
+ * Draws from the seedable generator in ./random (see seedRandom)
  * @returns {number} Standard normal random variable
  */
 export const boxMuller = () => {
   let u1, u2;
-  do { u1 = Math.random(); } while (u1 === 0);
-  u2 = Math.random();
+  do { u1 = random(); } while (u1 === 0);
+  u2 = random();
   return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
 };
 
@@ -107,8 +110,8 @@ export const boxMuller = () => {
  */
 export const boxMullerPair = () => {
   let u1, u2;
-  do { u1 = Math.random(); } while (u1 === 0);
-  u2 = Math.random();
+  do { u1 = random(); } while (u1 === 0);
+  u2 = random();
   const r = Math.sqrt(-2 * Math.log(u1));
   const theta = 2 * Math.PI * u2;
   return [r * Math.cos(theta), r * Math.sin(theta)];
@@ -254,7 +257,7 @@ export const bootstrapAnnualReturns = (dailyReturns, numSamples = 1000) => {
   for (let i = 0; i < numSamples; i++) {
     let cumulativeReturn = 1;
     for (let d = 0; d < tradingDays; d++) {
-      const idx = Math.floor(Math.random() * dailyReturns.length);
+      const idx = Math.floor(random() * dailyReturns.length);
       cumulativeReturn *= (1 + dailyReturns[idx]);
     }
     annualReturns.push(cumulativeReturn - 1);
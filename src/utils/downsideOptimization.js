@@ -0,0 +1,404 @@
+/**
+ * Scenario-Based Downside Optimizer
+ *
+ * @module utils/downsideOptimization
+ * @description Min CVaR, max Sortino and max Omega on a matrix of simulated
+ * one-year returns per position (the simulation engine's skewed, fat-tailed
+ * draw), under the same limits and trade rounding as the mean-variance
+ * optimizer in constrainedOptimization.js.
+ *
+ * - Portfolio return per scenario is Σ wᵢ·rᵢ plus cash at the cash rate on
+ *   whatever the positions leave uninvested.
+ * - Min CVaR uses the Rockafellar–Uryasev form min t + E[(−r − t)⁺]/(1 − α),
+ *   whose minimizing t is the VaR.
+ * - Sortino and Omega are ratios of the expected excess over the minimum
+ *   acceptable return (MAR) to a convex downside measure (downside deviation,
+ *   expected shortfall below the MAR). Dinkelbach's method turns each ratio
+ *   into a short sequence of convex problems max excess − q·downside.
+ * - The kinks (x)⁺ are smoothed with a softplus whose width shrinks in stages,
+ *   and each convex problem is solved by projected accelerated gradient
+ *   (FISTA with backtracking); projections onto the limits are small QPs.
+ * - Reported metrics use the exact (unsmoothed) definitions.
+ */
+
+import {
+  buildOptimizerProblem,
+  solveQuadraticProgram,
+  buildTradeList,
+  findBinding,
+} from './constrainedOptimization';
+
+const SMOOTHING_STAGES = [0.02, 0.006, 0.002];
+const STAGE_ITERATIONS = 150;
+const DINKELBACH_STEPS = 8;
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * Downside metrics of a set of portfolio returns
+ * @param {Float64Array|number[]} returns - One return per scenario
+ * @param {Object} options
+ * @param {number} options.alpha - CVaR confidence (0.95 = worst 5%)
+ * @param {number} options.mar - Minimum acceptable return
+ * @param {number} [options.riskFreeRate=0]
+ * @returns {{return: number, vol: number, sharpe: number, var: number, cvar: number,
+ *   downsideDeviation: number, sortino: number|null, omega: number|null}}
+ *   var and cvar are losses (positive = loss); ratios are null when the downside is zero
+ */
+export const scenarioMetrics = (returns, { alpha, mar, riskFreeRate = 0 }) => {
+  const S = returns.length;
+  if (S === 0) {
+    return { return: 0, vol: 0, sharpe: 0, var: 0, cvar: 0, downsideDeviation: 0, sortino: null, omega: null };
+  }
+  let sum = 0;
+  for (let s = 0; s < S; s++) sum += returns[s];
+  const mean = sum / S;
+  let sq = 0;
+  let downSq = 0;
+  let gains = 0;
+  let shortfalls = 0;
+  for (let s = 0; s < S; s++) {
+    const d = returns[s] - mean;
+    sq += d * d;
+    const e = returns[s] - mar;
+    if (e < 0) {
+      downSq += e * e;
+      shortfalls -= e;
+    } else {
+      gains += e;
+    }
+  }
+  const vol = Math.sqrt(sq / Math.max(1, S - 1));
+
+  const sorted = Float64Array.from(returns).sort();
+  const tail = Math.max(1, Math.ceil((1 - alpha) * S));
+  let tailSum = 0;
+  for (let s = 0; s < tail; s++) tailSum += sorted[s];
+
+  const downsideDeviation = Math.sqrt(downSq / S);
+  return {
+    return: mean,
+    vol,
+    sharpe: vol > 0 ? (mean - riskFreeRate) / vol : 0,
+    var: -sorted[tail - 1],
+    cvar: -tailSum / tail,
+    downsideDeviation,
+    sortino: downsideDeviation > 0 ? (mean - mar) / downsideDeviation : null,
+    omega: shortfalls > 0 ? gains / shortfalls : null,
+  };
+};
+
+// ============================================================================
+// SOLVER PIECES
+// ============================================================================
+
+/** τ·log(1 + e^(x/τ)) and its slope, without overflow */
+const softplus = (x, tau) => {
+  const u = x / tau;
+  if (u > 30) return { value: x, slope: 1 };
+  if (u < -30) return { value: 0, slope: 0 };
+  const e = Math.exp(u);
+  return { value: tau * Math.log1p(e), slope: e / (1 + e) };
+};
+
+/**
+ * Euclidean projection onto the optimizer limits (a QP over [w] or [w, b, s]),
+ * warm-started from the previous call; project.feasible reports the last one
+ */
+const createProjector = (problem, n) => {
+  const { rows, l, u, size, limits } = problem;
+  const P = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j && i < n ? 1 : 0)));
+  const q = new Array(size).fill(1e-6);
+  let warmStart = null;
+  const project = (v) => {
+    for (let i = 0; i < n; i++) q[i] = -v[i];
+    const sol = solveQuadraticProgram({ P, q, rows, l, u }, { warmStart, maxIter: 2000 });
+    warmStart = sol;
+    project.feasible = sol.primalResidual < 1e-4;
+    const w = new Float64Array(n);
+    for (let i = 0; i < n; i++) w[i] = Math.min(limits.upper[i], Math.max(limits.lower[i], sol.x[i]));
+    return w;
+  };
+  return project;
+};
+
+/**
+ * Projected FISTA with backtracking and adaptive restart
+ * @param {Function} evaluate - x => { value, grad } (grad: Float64Array of x.length)
+ * @param {Function} project - Maps x onto the feasible set
+ * @param {Float64Array} x0 - Feasible start
+ * @returns {{x: Float64Array, value: number, iterations: number}}
+ */
+const fista = (evaluate, project, x0, { maxIter = STAGE_ITERATIONS, L0 = 1, tol = 1e-7 } = {}) => {
+  const dim = x0.length;
+  let x = Float64Array.from(x0);
+  let y = Float64Array.from(x0);
+  let t = 1;
+  let L = L0;
+  let current = evaluate(x).value;
+  let iterations = 0;
+
+  for (; iterations < maxIter; iterations++) {
+    const { value: fy, grad } = evaluate(y);
+    let next;
+    let nextValue;
+    for (let attempt = 0; attempt < 40; attempt++) {
+      const step = new Float64Array(dim);
+      for (let i = 0; i < dim; i++) step[i] = y[i] - grad[i] / L;
+      next = project(step);
+      nextValue = evaluate(next).value;
+      let linear = 0;
+      let dist = 0;
+      for (let i = 0; i < dim; i++) {
+        const d = next[i] - y[i];
+        linear += grad[i] * d;
+        dist += d * d;
+      }
+      if (nextValue <= fy + linear + (L / 2) * dist + 1e-12) break;
+      L *= 2;
+    }
+
+    let move = 0;
+    for (let i = 0; i < dim; i++) move = Math.max(move, Math.abs(next[i] - x[i]));
+
+    if (nextValue > current) {
+      // Momentum overshot: restart from the last iterate
+      t = 1;
+      y = Float64Array.from(x);
+      continue;
+    }
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    const momentum = (t - 1) / tNext;
+    const ny = new Float64Array(dim);
+    for (let i = 0; i < dim; i++) ny[i] = next[i] + momentum * (next[i] - x[i]);
+    x = next;
+    y = ny;
+    t = tNext;
+    current = nextValue;
+    if (move < tol) break;
+  }
+  return { x, value: current, iterations };
+};
+
+// ============================================================================
+// OPTIMIZER
+// ============================================================================
+
+/**
+ * Optimize a downside objective on simulated scenarios
+ * @param {Object} params
+ * @param {Object[]} params.positions - { id, ticker, quantity, price (USD) }
+ * @param {Float32Array|Float64Array|number[]} params.scenarios - Row-major S × n one-year returns
+ * @param {number} params.nav - Portfolio value (USD)
+ * @param {number} params.cashBalance - USD
+ * @param {number} [params.cashRate=0]
+ * @param {number} [params.riskFreeRate=0]
+ * @param {Object} [params.targetAllocations] - { TICKER: { minWeight, maxWeight } }
+ * @param {Object} [params.groups] - Correlation groups { name: [positionId | ticker] }
+ * @param {Object} params.constraints - Optimizer settings; objective is minCvar, maxSortino or maxOmega
+ * @returns {Object} Same shape as optimizeConstrained's result, plus
+ *   downside: { alpha, mar, scenarios, current, target } (scenarioMetrics of each)
+ */
+export const optimizeDownside = ({
+  positions,
+  scenarios,
+  nav,
+  cashBalance,
+  cashRate = 0,
+  riskFreeRate = 0,
+  targetAllocations = {},
+  groups = {},
+  constraints: rawConstraints = {},
+}) => {
+  const n = positions.length;
+  const S = n > 0 ? Math.floor(scenarios.length / n) : 0;
+  const problem = buildOptimizerProblem({ positions, nav, cashBalance, targetAllocations, groups, constraints: rawConstraints });
+  const { constraints, tickers, safeNav, currentWeights, cashWeight, limits } = problem;
+  const objective = constraints.objective;
+  const alpha = constraints.cvarConfidence;
+  const mar = constraints.minAcceptableReturn ?? riskFreeRate;
+
+  // Excess over cash per scenario; the constant is what cash earns at today's invested weight
+  const X = new Float64Array(S * n);
+  for (let k = 0; k < S * n; k++) X[k] = (scenarios[k] || 0) - cashRate;
+  const c0 = (cashWeight + limits.invested) * cashRate;
+  const meanX = new Float64Array(n);
+  for (let s = 0; s < S; s++) for (let i = 0; i < n; i++) meanX[i] += X[s * n + i] / S;
+
+  const returnsOf = (w) => {
+    const r = new Float64Array(S);
+    for (let s = 0; s < S; s++) {
+      let v = c0;
+      const row = s * n;
+      for (let i = 0; i < n; i++) v += w[i] * X[row + i];
+      r[s] = v;
+    }
+    return r;
+  };
+  const metricsOf = (w) => scenarioMetrics(returnsOf(w), { alpha, mar, riskFreeRate });
+  const cashWeightOf = (w) => cashWeight + limits.invested - w.reduce((a, b) => a + b, 0);
+
+  const base = {
+    objective,
+    constraints,
+    tickers,
+    current: { weights: currentWeights, cashWeight, ...metricsOf(currentWeights) },
+    downside: { alpha, mar, scenarios: S },
+    diagonalLoad: 0,
+    timestamp: Date.now(),
+  };
+  if (S < 100) {
+    return { ...base, status: 'infeasible', reasons: ['Not enough simulated scenarios to optimize on'] };
+  }
+  if (limits.reasons.length > 0) return { ...base, status: 'infeasible', reasons: limits.reasons };
+
+  const project = createProjector(problem, n);
+  const start = project(Float64Array.from(currentWeights));
+  let iterations = 0;
+
+  // Smoothed downside of w (and its gradient in w) for a given measure
+  const smoothedDownside = (w, tau, kind, tVar = 0) => {
+    const r = returnsOf(w);
+    const grad = new Float64Array(n);
+    let value = 0;
+    let slopeSum = 0;
+    if (kind === 'deviation') {
+      for (let s = 0; s < S; s++) {
+        const e = r[s] - mar;
+        if (e >= 0) continue;
+        value += e * e;
+        const row = s * n;
+        for (let i = 0; i < n; i++) grad[i] += e * X[row + i];
+      }
+      const dd = Math.sqrt(value / S);
+      if (dd > 0) for (let i = 0; i < n; i++) grad[i] /= S * dd;
+      return { value: dd, grad, slopeSum };
+    }
+    // kind 'shortfall': E[sp(mar − r)]; kind 'tail': E[sp(−r − t)]
+    for (let s = 0; s < S; s++) {
+      const { value: v, slope } = softplus(kind === 'tail' ? -r[s] - tVar : mar - r[s], tau);
+      if (slope === 0) continue;
+      value += v;
+      slopeSum += slope;
+      const row = s * n;
+      for (let i = 0; i < n; i++) grad[i] -= slope * X[row + i];
+    }
+    for (let i = 0; i < n; i++) grad[i] /= S;
+    return { value: value / S, grad, slopeSum: slopeSum / S };
+  };
+
+  const excessOf = (w) => {
+    let v = c0 - mar;
+    for (let i = 0; i < n; i++) v += w[i] * meanX[i];
+    return v;
+  };
+
+  let best = start;
+  if (objective === 'minCvar') {
+    // x = [w, t]; t (the VaR) is unconstrained
+    const projectWithVar = (x) => {
+      const w = project(x.subarray(0, n));
+      const out = new Float64Array(n + 1);
+      out.set(w);
+      out[n] = x[n];
+      return out;
+    };
+    let x = new Float64Array(n + 1);
+    x.set(start);
+    x[n] = metricsOf(start).var;
+    for (const tau of SMOOTHING_STAGES) {
+      const evaluate = (z) => {
+        const w = z.subarray(0, n);
+        const { value, grad, slopeSum } = smoothedDownside(w, tau, 'tail', z[n]);
+        const g = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) g[i] = grad[i] / (1 - alpha);
+        g[n] = 1 - slopeSum / (1 - alpha);
+        return { value: z[n] + value / (1 - alpha), grad: g };
+      };
+      const res = fista(evaluate, projectWithVar, x);
+      iterations += res.iterations;
+      x = res.x;
+    }
+    best = x.slice(0, n);
+  } else {
+    // Dinkelbach: q = excess / downside at the last iterate, then max excess − q·downside
+    const kind = objective === 'maxSortino' ? 'deviation' : 'shortfall';
+    const ratioOf = (w) => {
+      const m = metricsOf(w);
+      return objective === 'maxSortino' ? m.sortino : (m.omega == null ? null : m.omega - 1);
+    };
+    let w = start;
+    let q = Math.max(0, ratioOf(w) ?? 0);
+    for (let step = 0; step < DINKELBACH_STEPS; step++) {
+      for (const tau of kind === 'deviation' ? [null] : SMOOTHING_STAGES) {
+        const evaluate = (z) => {
+          const { value, grad } = smoothedDownside(z, tau, kind);
+          const g = new Float64Array(n);
+          for (let i = 0; i < n; i++) g[i] = q * grad[i] - meanX[i];
+          return { value: q * value - excessOf(z), grad: g };
+        };
+        const res = fista(evaluate, project, w);
+        iterations += res.iterations;
+        w = res.x;
+      }
+      const next = ratioOf(w);
+      if (next == null || !(excessOf(w) > 0)) break;
+      if (Math.abs(next - q) < 1e-4 * Math.max(1, Math.abs(q))) {
+        q = next;
+        break;
+      }
+      q = Math.max(q, next);
+    }
+    if (!(excessOf(w) > 0)) {
+      return {
+        ...base,
+        status: 'infeasible',
+        reasons: [`No portfolio within the limits is expected to beat the ${(mar * 100).toFixed(1)}% minimum acceptable return`],
+      };
+    }
+    // Keep the better of the optimized and the starting weights (the ratio isn't concave)
+    best = (ratioOf(w) ?? -Infinity) >= (ratioOf(start) ?? -Infinity) ? w : start;
+  }
+
+  // Re-project the answer to check the limits actually hold together
+  best = project(best);
+  if (!project.feasible) {
+    return { ...base, status: 'infeasible', reasons: ['The limits can\'t all be met together; loosen the group caps, turnover limit or position bounds'] };
+  }
+
+  const ideal = Array.from(best, (wi, i) => (Math.abs(wi) < 1e-5 && limits.lower[i] <= 0 ? 0 : wi));
+  const { trades, weights, cashAfter } = buildTradeList({
+    positions,
+    targetWeights: ideal,
+    nav: safeNav,
+    cashBalance,
+    cashFloor: constraints.cashFloor,
+    minTradeValue: constraints.minTradeValue,
+  });
+  const cashWeightAfter = cashAfter / safeNav;
+  // Rounded weights, with cash earning on what they leave uninvested
+  const targetMetrics = scenarioMetrics(
+    returnsOf(weights).map(r => r + (cashWeightAfter - cashWeightOf(weights)) * cashRate),
+    { alpha, mar, riskFreeRate },
+  );
+
+  return {
+    ...base,
+    status: 'optimal',
+    reasons: [],
+    target: { weights, idealWeights: ideal, cashWeight: cashWeightAfter, ...targetMetrics },
+    trades,
+    turnover: trades.reduce((sum, t) => sum + t.value, 0) / safeNav,
+    cashAfter,
+    binding: findBinding(ideal, limits, currentWeights, constraints, tickers, cashWeightOf(ideal)),
+    lambda: null,
+    solverIterations: iterations,
+  };
+};
+
+export default {
+  scenarioMetrics,
+  optimizeDownside,
+};
@@ -0,0 +1,350 @@
+/**
+ * Factor Shock Scenarios
+ *
+ * @module utils/factorShock
+ * @description Propagates hypothetical factor moves ("SPY −20%, SMB +5%,
+ * XLE +15%") through each position's factor exposures to a per-position and
+ * portfolio P&L, with a band for the idiosyncratic (residual) risk the
+ * factors do not explain.
+ *
+ * Market, size, value and momentum use the betas from factor analysis
+ * (SMB/HML/MOM are fitted on the market residual, so their shocks add on top
+ * of the SPY move). A sector/thematic ETF shock only moves a position through
+ * the part of the ETF that is not already explained by SPY:
+ *
+ *   e_ETF = s_ETF − c·s_SPY                 (c = ETF beta to SPY)
+ *   θ     = (b − β_MKT·R²/c) / (1 − R²)      (b = position beta to the ETF,
+ *                                             R² = ETF vs SPY)
+ *   r_i  += θ·e_ETF
+ *
+ * θ is the position's loading on the ETF's SPY-orthogonal return, backed out
+ * of univariate betas (worker /api/factor-exposures). For the ETF itself θ = 1.
+ */
+
+import { FACTOR_SPREAD_DEFINITIONS, THEMATIC_ETFS } from './factorDefinitions';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Style factors with betas from factor analysis (SPY is the market factor) */
+export const SHOCK_STYLE_FACTORS = ['SMB', 'HML', 'MOM'];
+
+/** Shock horizon choices (trading days) for the residual band */
+export const SHOCK_HORIZONS = [
+  { days: 5, label: '1W' },
+  { days: 21, label: '1M' },
+  { days: 63, label: '3M' },
+];
+
+/** Two-sided 90% normal quantile for the residual band */
+const BAND_Z = 1.645;
+
+/** Below this unexplained share an ETF is treated as pure market (θ = 0) */
+const MIN_ETF_RESIDUAL_SHARE = 0.05;
+
+/** |θ| cap - univariate betas on noisy data can imply silly loadings */
+const MAX_SECTOR_LOADING = 3;
+
+/** Accepted spellings for the market factor */
+const MARKET_ALIASES = ['SPY', 'MKT', 'MARKET'];
+
+/**
+ * Templates that ship with the app (read-only; users save copies)
+ * @type {Array<{id: string, name: string, icon: string, description: string, shocks: Object<string, number>}>}
+ */
+export const FACTOR_SHOCK_TEMPLATES = [
+  {
+    id: 'tpl-equity-selloff',
+    name: 'Equity Sell-off',
+    icon: '📉',
+    description: 'Broad 20% drawdown with small caps and momentum lagging',
+    shocks: { SPY: -0.20, SMB: -0.05, MOM: -0.04 },
+  },
+  {
+    id: 'tpl-oil-spike',
+    name: 'Oil Price Spike',
+    icon: '🛢️',
+    description: 'Supply shock: energy rallies, consumer and transport names sold',
+    shocks: { SPY: -0.05, XLE: 0.15, XLY: -0.08, XLI: -0.05 },
+  },
+  {
+    id: 'tpl-rate-shock',
+    name: 'Rates +100bp',
+    icon: '🏛️',
+    description: 'Yields jump: long-duration growth and bond proxies hit, banks and value hold up',
+    shocks: { SPY: -0.08, HML: 0.05, XLU: -0.10, XLRE: -0.12, XLF: 0.03 },
+  },
+  {
+    id: 'tpl-tech-unwind',
+    name: 'Tech Unwind',
+    icon: '💻',
+    description: 'Crowded growth trade reverses: tech and momentum down, value up',
+    shocks: { SPY: -0.10, XLK: -0.15, MOM: -0.08, HML: 0.06 },
+  },
+  {
+    id: 'tpl-momentum-crash',
+    name: 'Momentum Crash',
+    icon: '🔄',
+    description: 'Sharp factor rotation with a flat market',
+    shocks: { SPY: 0.02, MOM: -0.15, HML: 0.05 },
+  },
+];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Whether a key can be shocked (SPY, a style factor or a thematic ETF)
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const isShockableFactor = (key) =>
+  key === 'SPY' || SHOCK_STYLE_FACTORS.includes(key) || key in THEMATIC_ETFS;
+
+/**
+ * Display label for a shock key
+ * @param {string} key
+ * @returns {string}
+ */
+export const getShockLabel = (key) => {
+  if (key === 'SPY') return 'Market (SPY)';
+  if (FACTOR_SPREAD_DEFINITIONS[key]) return FACTOR_SPREAD_DEFINITIONS[key].name;
+  return THEMATIC_ETFS[key] ? `${THEMATIC_ETFS[key].name} (${key})` : key;
+};
+
+/**
+ * Parse shock text such as "SPY -20%, SMB +5%, XLE +15%"
+ * Entries may be separated by commas, semicolons or new lines; the percent
+ * sign and a colon/equals between key and value are optional.
+ *
+ * @param {string} text
+ * @returns {{shocks: Object<string, number>, errors: string[]}} Shocks as decimals
+ */
+export const parseShockText = (text) => {
+  const shocks = {};
+  const errors = [];
+
+  (text || '').split(/[,;\n]+/).map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([A-Za-z][A-Za-z0-9.]*)\s*[:=]?\s*([+\-−]?\s*\d+(?:\.\d+)?)\s*%?$/);
+    if (!match) {
+      errors.push(`Could not read "${entry}"`);
+      return;
+    }
+    let key = match[1].toUpperCase();
+    if (MARKET_ALIASES.includes(key)) key = 'SPY';
+    const value = parseFloat(match[2].replace('−', '-').replace(/\s+/g, '')) / 100;
+
+    if (!isShockableFactor(key)) {
+      errors.push(`${key} is not a known factor or sector ETF`);
+    } else if (!isFinite(value) || Math.abs(value) > 1) {
+      errors.push(`${key} shock must be between -100% and +100%`);
+    } else if (key in shocks) {
+      errors.push(`${key} is listed twice`);
+    } else {
+      shocks[key] = value;
+    }
+  });
+
+  return { shocks, errors };
+};
+
+/**
+ * Format shocks back into editable text
+ * @param {Object<string, number>} shocks
+ * @returns {string}
+ */
+export const formatShockText = (shocks) =>
+  Object.entries(shocks || {})
+    .map(([key, v]) => `${key} ${v >= 0 ? '+' : ''}${Math.round(v * 1000) / 10}%`)
+    .join(', ');
+
+/**
+ * Sector/thematic ETFs shocked in a scenario
+ * @param {Object<string, number>} shocks
+ * @returns {string[]}
+ */
+export const getShockedSectorEtfs = (shocks) =>
+  Object.keys(shocks || {}).filter(k => k !== 'SPY' && !SHOCK_STYLE_FACTORS.includes(k));
+
+// ============================================================================
+// EXPOSURES
+// ============================================================================
+
+/**
+ * Beta and R² of an ETF against SPY from aligned daily returns
+ * (fallback when the worker's factor exposures are unavailable)
+ *
+ * @param {number[]} etfReturns
+ * @param {number[]} spyReturns
+ * @returns {{beta: number, rSquared: number}|null}
+ */
+export const computeMarketExposure = (etfReturns, spyReturns) => {
+  const len = Math.min(etfReturns?.length || 0, spyReturns?.length || 0);
+  if (len < 30) return null;
+  const y = etfReturns.slice(-len);
+  const x = spyReturns.slice(-len);
+  const my = y.reduce((a, b) => a + b, 0) / len;
+  const mx = x.reduce((a, b) => a + b, 0) / len;
+  let cov = 0, vx = 0, vy = 0;
+  for (let i = 0; i < len; i++) {
+    cov += (y[i] - my) * (x[i] - mx);
+    vx += (x[i] - mx) ** 2;
+    vy += (y[i] - my) ** 2;
+  }
+  if (!(vx > 0) || !(vy > 0)) return null;
+  return { beta: cov / vx, rSquared: (cov * cov) / (vx * vy) };
+};
+
+/**
+ * Loading on an ETF's SPY-orthogonal return from univariate betas
+ * @param {number} b - Position beta to the ETF
+ * @param {number} betaMkt - Position beta to SPY
+ * @param {{beta: number, rSquared: number}} etf - ETF exposure to SPY
+ * @returns {number}
+ */
+const sectorLoading = (b, betaMkt, etf) => {
+  const residualShare = 1 - etf.rSquared;
+  if (!(residualShare >= MIN_ETF_RESIDUAL_SHARE) || !(etf.beta > 0)) return 0;
+  const theta = (b - (betaMkt * etf.rSquared) / etf.beta) / residualShare;
+  return Math.max(-MAX_SECTOR_LOADING, Math.min(MAX_SECTOR_LOADING, theta));
+};
+
+// ============================================================================
+// SCENARIO ENGINE
+// ============================================================================
+
+/**
+ * Apply a factor shock to the portfolio
+ *
+ * @param {Object} params
+ * @param {Object<string, number>} params.shocks - Factor/ETF moves as decimals
+ * @param {Array<{ticker: string, value: number}>} params.holdings - Signed market values
+ * @param {number} [params.cashValue=0] - Cash (unaffected by the shock)
+ * @param {Object<string, {betas: Object, residualVol: number, source: string}>} params.exposuresByTicker
+ *   Per-position factor betas and annualized residual volatility
+ * @param {Object<string, Object<string, number>>} [params.sectorBetas] - ticker -> ETF -> univariate beta
+ * @param {Object<string, {beta: number, rSquared: number}>} [params.etfMarketExposure] - ETF -> SPY exposure
+ * @param {number} [params.horizonDays=21] - Horizon for the residual band
+ * @returns {Object} { pnl, return, startValue, residualSigma, band, byFactor, positions, missingSectorData }
+ */
+export const runFactorShock = ({
+  shocks,
+  holdings,
+  cashValue = 0,
+  exposuresByTicker,
+  sectorBetas = {},
+  etfMarketExposure = {},
+  horizonDays = 21,
+}) => {
+  const marketShock = shocks.SPY || 0;
+  const sectorEtfs = getShockedSectorEtfs(shocks);
+  const horizonScale = Math.sqrt(horizonDays / 252);
+  const missingSectorData = new Set();
+
+  // SPY-orthogonal part of each sector shock
+  const sectorResidualShock = {};
+  sectorEtfs.forEach(etf => {
+    const exposure = etfMarketExposure[etf];
+    if (!exposure) missingSectorData.add(etf);
+    sectorResidualShock[etf] = shocks[etf] - (exposure ? exposure.beta : 1) * marketShock;
+  });
+
+  const factorKeys = ['SPY', ...SHOCK_STYLE_FACTORS.filter(f => f in shocks), ...sectorEtfs];
+  const factorPnl = Object.fromEntries(factorKeys.map(k => [k, 0]));
+  let residualVariance = 0;
+
+  const positions = holdings.map(({ ticker, value }) => {
+    const exposure = exposuresByTicker[ticker] || { betas: { MKT: 1 }, residualVol: 0, source: 'default' };
+    const betaMkt = exposure.betas.MKT ?? 1;
+    const byFactor = { SPY: betaMkt * marketShock };
+
+    SHOCK_STYLE_FACTORS.forEach(f => {
+      if (f in shocks) byFactor[f] = (exposure.betas[f] || 0) * shocks[f];
+    });
+
+    sectorEtfs.forEach(etf => {
+      const etfExposure = etfMarketExposure[etf];
+      const b = ticker === etf ? 1 : sectorBetas[ticker]?.[etf];
+      let theta = 0;
+      if (ticker === etf) {
+        theta = 1;
+      } else if (etfExposure && b != null && isFinite(b)) {
+        theta = sectorLoading(b, betaMkt, etfExposure);
+      }
+      byFactor[etf] = theta * sectorResidualShock[etf];
+    });
+
+    const ret = Object.values(byFactor).reduce((a, b) => a + b, 0);
+    const residualSigma = (exposure.residualVol || 0) * horizonScale;
+    residualVariance += (value * residualSigma) ** 2;
+    Object.entries(byFactor).forEach(([k, r]) => { factorPnl[k] += value * r; });
+
+    return {
+      ticker,
+      value,
+      return: ret,
+      pnl: value * ret,
+      byFactor,
+      residualSigma,
+      source: exposure.source,
+    };
+  });
+
+  positions.sort((a, b) => a.pnl - b.pnl);
+
+  const startValue = holdings.reduce((s, h) => s + h.value, 0) + cashValue;
+  const pnl = positions.reduce((s, p) => s + p.pnl, 0);
+  const sigma = Math.sqrt(residualVariance);
+  const denom = Math.abs(startValue) > 0 ? startValue : 1;
+
+  return {
+    shocks,
+    horizonDays,
+    startValue,
+    pnl,
+    return: pnl / denom,
+    residualSigma: sigma,
+    band: {
+      confidence: 0.9,
+      low: pnl - BAND_Z * sigma,
+      high: pnl + BAND_Z * sigma,
+      lowReturn: (pnl - BAND_Z * sigma) / denom,
+      highReturn: (pnl + BAND_Z * sigma) / denom,
+    },
+    byFactor: factorKeys.map(key => ({
+      key,
+      label: getShockLabel(key),
+      shock: shocks[key] || 0,
+      pnl: factorPnl[key],
+    })),
+    positions,
+    missingSectorData: [...missingSectorData],
+  };
+};
+
+/**
+ * Validate a scenario before it is saved to the library
+ * @param {{name: string, shocks: Object}} scenario
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateShockScenario = ({ name, shocks }) => {
+  if (!name || !name.trim()) return 'Give the scenario a name';
+  if (!shocks || Object.keys(shocks).length === 0) return 'Enter at least one shock';
+  return null;
+};
+
+export default {
+  SHOCK_STYLE_FACTORS,
+  SHOCK_HORIZONS,
+  FACTOR_SHOCK_TEMPLATES,
+  isShockableFactor,
+  getShockLabel,
+  parseShockText,
+  formatShockText,
+  getShockedSectorEtfs,
+  computeMarketExposure,
+  runFactorShock,
+  validateShockScenario,
+};
@@ -0,0 +1,117 @@
+/**
+ * Household Aggregation
+ *
+ * @module utils/household
+ * @description Combines several portfolios (taxable, IRA, model, client
+ * accounts...) into one book for the household view.
+ *
+ * - Linear positions are merged by ticker: quantities add, average cost is
+ *   quantity-weighted, and the distribution / bond parameters of the largest
+ *   holding are kept (they describe the same security).
+ * - Identical option contracts are merged by summing contracts.
+ * - Cash balances add.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Account types a portfolio can be tagged with */
+export const ACCOUNT_TYPES = {
+  taxable: { label: 'Taxable', icon: '💼' },
+  ira: { label: 'IRA', icon: '🏛️' },
+  roth: { label: 'Roth IRA', icon: '🌱' },
+  model: { label: 'Model', icon: '🧪' },
+  client: { label: 'Client', icon: '🤝' },
+  other: { label: 'Other', icon: '📁' },
+};
+
+/**
+ * Display label for an account type
+ * @param {string} accountType
+ * @returns {string}
+ */
+export const formatAccountType = (accountType) =>
+  ACCOUNT_TYPES[accountType]?.label || ACCOUNT_TYPES.other.label;
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+const positionValue = (p) => Math.abs((p.quantity || 0) * (p.price || 0));
+
+const optionKey = (o) => `${o.underlying}|${o.optionType}|${o.strike}|${o.expiry}`;
+
+/**
+ * Merge several portfolios into one household book
+ *
+ * @param {Object[]} portfolios - { id, name, accountType, cashBalance, positions, optionPositions }
+ * @returns {{
+ *   positions: Object[],
+ *   optionPositions: Object[],
+ *   cashBalance: number,
+ *   accounts: {id: string, name: string, accountType: string, positionCount: number, cashBalance: number}[]
+ * }}
+ */
+export const aggregateHousehold = (portfolios = []) => {
+  const byTicker = new Map();
+  const byContract = new Map();
+  let cashBalance = 0;
+
+  for (const portfolio of portfolios) {
+    cashBalance += portfolio.cashBalance || 0;
+
+    for (const position of portfolio.positions || []) {
+      const ticker = position.ticker?.toUpperCase();
+      if (!ticker) continue;
+      const entry = byTicker.get(ticker);
+      if (!entry) {
+        byTicker.set(ticker, { base: position, quantity: position.quantity || 0, costBasis: 0, costQuantity: 0 });
+      } else {
+        if (positionValue(position) > positionValue(entry.base)) entry.base = position;
+        entry.quantity += position.quantity || 0;
+      }
+      const merged = byTicker.get(ticker);
+      if (position.avgCost > 0 && position.quantity) {
+        merged.costBasis += position.avgCost * position.quantity;
+        merged.costQuantity += position.quantity;
+      }
+    }
+
+    for (const option of portfolio.optionPositions || []) {
+      const key = optionKey(option);
+      const entry = byContract.get(key);
+      if (entry) {
+        entry.contracts += option.contracts || 0;
+      } else {
+        byContract.set(key, { ...option });
+      }
+    }
+  }
+
+  const positions = [...byTicker.values()].map(({ base, quantity, costBasis, costQuantity }) => ({
+    ...base,
+    ticker: base.ticker.toUpperCase(),
+    quantity,
+    avgCost: costQuantity !== 0 ? costBasis / costQuantity : null,
+  }));
+
+  return {
+    positions,
+    optionPositions: [...byContract.values()].filter(o => o.contracts !== 0),
+    cashBalance,
+    accounts: portfolios.map(p => ({
+      id: p.id,
+      name: p.name,
+      accountType: p.accountType,
+      positionCount: (p.positions?.length || 0) + (p.optionPositions?.length || 0),
+      cashBalance: p.cashBalance || 0,
+    })),
+  };
+};
+
+export default {
+  ACCOUNT_TYPES,
+  formatAccountType,
+  aggregateHousehold,
+};
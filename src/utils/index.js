@@ -39,6 +39,7 @@ export {
   computeIncrementalSharpe,
   computeOptimalityRatio,
   computeRiskParityWeights,
+  computeHRPWeights,
   computeSwapMatrix,
   findTopSwaps,
   computeFullRiskDecomposition,
@@ -89,6 +90,347 @@ export {
   haltonValue,
 } from './quasiMonteCarlo';
 
+// ====================
+// Multi-period path simulation
+// ====================
+export {
+  STEPS_PER_YEAR,
+  MAX_HORIZON_YEARS,
+  MAX_DAILY_HORIZON_YEARS,
+  SWR_TEST_RATES,
+  REBALANCE_FREQUENCIES,
+  clampHorizonYears,
+  resolveStepsPerYear,
+  buildCashFlowSchedule,
+  runPathSimulationBatch,
+  runScenarioBatch,
+  computeFanChart,
+  summarizeRecovery,
+  summarizeRebalancing,
+  summarizeCashFlows,
+} from './pathSimulation';
+export { default as pathSimulation } from './pathSimulation';
+
+// ====================
+// Regime-switching model
+// ====================
+export {
+  REGIME_LABELS,
+  MIN_REGIME_OBSERVATIONS,
+  fitGaussianHMM,
+  fitRegimeModel,
+  calibrateRegimeParams,
+} from './regimeModel';
+export { default as regimeModel } from './regimeModel';
+
+// ====================
+// GARCH volatility
+// ====================
+export {
+  VOLATILITY_MODELS,
+  MIN_GARCH_OBSERVATIONS,
+  fitGarch,
+  buildGarchParams,
+} from './garch';
+export { default as garch } from './garch';
+
+// ====================
+// Historical stress test
+// ====================
+export {
+  HISTORICAL_SCENARIOS,
+  STRESS_PROXY_FACTORS,
+  getStressProxyTickers,
+  runStressScenario,
+  validateCustomScenario,
+} from './stressTest';
+export { default as stressTest } from './stressTest';
+
+// ====================
+// Factor shock scenarios
+// ====================
+export {
+  SHOCK_STYLE_FACTORS,
+  SHOCK_HORIZONS,
+  FACTOR_SHOCK_TEMPLATES,
+  parseShockText,
+  formatShockText,
+  runFactorShock,
+  validateShockScenario,
+} from './factorShock';
+export { default as factorShock } from './factorShock';
+
+// ====================
+// Seedable PRNG
+// ====================
+export {
+  MAX_SEED,
+  Xoshiro128,
+  generateSeed,
+  parseSeed,
+  random,
+  seedRandom,
+} from './random';
+
+// ====================
+// Convergence diagnostics
+// ====================
+export {
+  PRECISION_TARGETS,
+  meanInterval,
+  quantileInterval,
+  cvarInterval,
+  proportionInterval,
+  computeConvergenceDiagnostics,
+  checkPrecision,
+  nextAdaptiveBatch,
+  runningMeanSeries,
+  compareMcQmcConvergence,
+} from './convergence';
+export { default as convergence } from './convergence';
+
+// ====================
+// Variance reduction
+// ====================
+export {
+  varianceReducedMean,
+  antitheticTailFactor,
+  summarizeVarianceReduction,
+} from './varianceReduction';
+export { default as varianceReduction } from './varianceReduction';
+
+// ====================
+// Listed options (Black-Scholes)
+// ====================
+export {
+  OPTION_CONTRACT_MULTIPLIER,
+  OPTION_TYPES,
+  DEFAULT_OPTION_VOL,
+  europeanOptionPrice,
+  blackScholesPrice,
+  blackScholesDelta,
+  yearsToExpiry,
+  normalizeOptionPosition,
+  formatOptionLabel,
+  validateOption,
+  resolveOptionVol,
+  valueOptionPosition,
+  buildOptionSimParams,
+} from './options';
+export { default as optionUtils } from './options';
+
+// ====================
+// Fixed income (duration / rate shocks)
+// ====================
+export {
+  SPREAD_SHOCK_DF,
+  DEFAULT_BOND_PARAMS,
+  BOND_PRESETS,
+  estimateConvexity,
+  normalizeBondParams,
+  bondMoments,
+  bondDistributionParams,
+  bondPercentiles,
+  applyBondModel,
+  buildBondSimParams,
+  drawSpreadShock,
+  bondAnnualReturn,
+} from './bondModel';
+export { default as bondModel } from './bondModel';
+
+// ====================
+// Multiple portfolios (household view)
+// ====================
+export {
+  ACCOUNT_TYPES,
+  formatAccountType,
+  aggregateHousehold,
+} from './household';
+export { default as householdUtils } from './household';
+
+// ====================
+// Compare view (portfolios / what-if variants)
+// ====================
+export {
+  COMPARE_MIN_BOOKS,
+  COMPARE_MAX_BOOKS,
+  COMPARE_COLORS,
+  createVariant,
+  buildComparisonCorrelation,
+  buildBookInputs,
+  computeBookFactorExposure,
+  summarizeComparisonBook,
+  buildOverlayHistogram,
+} from './comparison';
+export { default as comparisonUtils } from './comparison';
+
+// ====================
+// Transaction ledger (tax lots, cost basis, realized P&L)
+// ====================
+export {
+  TRANSACTION_TYPES,
+  COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD,
+  longTermDate,
+  isLongTerm,
+  normalizeTransaction,
+  validateTransaction,
+  formatTransaction,
+  buildLedger,
+  summarizePnL,
+  findLedgerMismatches,
+  applyLedgerToPositions,
+  lastTradePrice,
+} from './ledger';
+export { default as ledgerUtils } from './ledger';
+
+// ====================
+// Broker statement import (CSV / OFX)
+// ====================
+export {
+  IMPORT_FIELDS,
+  BROKER_PRESETS,
+  parseStatementNumber,
+  normalizeBrokerSymbol,
+  parseCsv,
+  mapColumns,
+  detectBrokerPreset,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseStatement,
+  mergeStatementPositions,
+} from './statementImport';
+export { default as statementImportUtils } from './statementImport';
+
+// ====================
+// Account taxes (after-tax simulation)
+// ====================
+export {
+  ACCOUNT_TAX_TREATMENTS,
+  normalizeTaxSettings,
+  estimateIncomeYields,
+  buildTaxSimParams,
+  summarizeTaxes,
+} from './taxes';
+export { default as taxUtils } from './taxes';
+
+// ====================
+// Tax-loss harvesting
+// ====================
+export {
+  WASH_SALE_DAYS,
+  DEFAULT_HARVEST_OPTIONS,
+  SUBSTANTIALLY_IDENTICAL_GROUPS,
+  identicalTickers,
+  findHarvestCandidates,
+} from './taxLossHarvesting';
+export { default as taxLossHarvestingUtils } from './taxLossHarvesting';
+
+// ====================
+// Base currency & FX risk
+// ====================
+export {
+  BASE_CURRENCIES,
+  DEFAULT_BASE_CURRENCY,
+  FALLBACK_EXCHANGE_RATES,
+  normalizeBaseCurrency,
+  fxTicker,
+  fxTickersFor,
+  usdRate,
+  baseRate,
+  currencySymbol,
+  formatMoney,
+  currencyExposures,
+  buildCurrencyRisk,
+  applyCurrencyRisk,
+  summarizeCurrencyRisk,
+} from './currency';
+export { default as currencyUtils } from './currency';
+
+// ====================
+// Realized performance
+// ====================
+export {
+  DEFAULT_BENCHMARK,
+  ROLLING_VOL_DAYS,
+  PERFORMANCE_RANGES,
+  MAX_FORECASTS,
+  normalizeBenchmark,
+  parseBenchmark,
+  formatBenchmark,
+  buildSnapshot,
+  normalizeSnapshot,
+  upsertSnapshot,
+  backfillSnapshots,
+  buildValueSeries,
+  sliceRange,
+  wealthIndex,
+  timeWeightedReturn,
+  moneyWeightedReturn,
+  benchmarkIndex,
+  rollingVolatility,
+  realizedVolatility,
+  drawdowns,
+  buildForecastRecord,
+  addForecast,
+  mergeForecasts,
+  checkForecasts,
+  summarizePerformance,
+} from './performance';
+export { default as performanceUtils } from './performance';
+
+// ====================
+// Constrained optimization
+// ====================
+export {
+  OPTIMIZER_OBJECTIVES,
+  DEFAULT_OPTIMIZER_CONSTRAINTS,
+  normalizeOptimizerConstraints,
+  resolveGroups,
+  ensurePositiveDefinite,
+  solveQuadraticProgram,
+  buildOptimizerProblem,
+  portfolioStats,
+  buildTradeList,
+  findBinding,
+  optimizeConstrained,
+  computeEfficientFrontier,
+} from './constrainedOptimization';
+export { default as constrainedOptimizationUtils } from './constrainedOptimization';
+
+// ====================
+// Downside optimization
+// ====================
+export {
+  scenarioMetrics,
+  optimizeDownside,
+} from './downsideOptimization';
+export { default as downsideOptimizationUtils } from './downsideOptimization';
+
+// ====================
+// Black-Litterman
+// ====================
+export {
+  BLACK_LITTERMAN_DEFAULTS,
+  buildMarketWeights,
+  buildConsensusViews,
+  computeBlackLitterman,
+  shiftPercentiles,
+} from './blackLitterman';
+export { default as blackLittermanUtils } from './blackLitterman';
+
+// ====================
+// Hierarchical clustering
+// ====================
+export {
+  LINKAGE_METHODS,
+  correlationDistance,
+  clusterCorrelation,
+  leafOrder,
+  cutTree,
+} from './hierarchicalClustering';
+export { default as hierarchicalClusteringUtils } from './hierarchicalClustering';
+
 // ====================
 // Re-export default objects for convenience
 // ====================
@@ -0,0 +1,568 @@
+/**
+ * Transaction Ledger
+ *
+ * @module utils/ledger
+ * @description Replays a portfolio's transactions (buys, sells, splits,
+ * dividends, transfers and fees) into tax lots, cost basis and realized /
+ * unrealized P&L, so share counts and average costs no longer have to be
+ * re-keyed by hand.
+ *
+ * - Every buy or transfer-in opens one lot (its id is the transaction id).
+ *   Buy commissions are added to the lot's basis; sell commissions reduce
+ *   proceeds.
+ * - Sells and transfers-out close lots FIFO, LIFO or by specific ID (the
+ *   sell lists { lotId, quantity }; anything left over falls back to FIFO).
+ *   Transfers out move basis away without realizing a gain.
+ * - Splits scale every open lot's shares by the ratio and divide its cost
+ *   per share, keeping the original acquisition date.
+ * - A reinvested dividend is a purchase: it opens a lot of amount /
+ *   reinvestPrice shares on the pay date instead of adding to cash.
+ * - Gains on lots sold after the one-year anniversary of their purchase are
+ *   long-term.
+ *
+ * Transactions replay in date order; same-day transactions keep the order
+ * they were entered in. Dates are 'YYYY-MM-DD' strings.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const TRANSACTION_TYPES = {
+  buy: { label: 'Buy', icon: '🟢' },
+  sell: { label: 'Sell', icon: '🔴' },
+  split: { label: 'Split', icon: '✂️' },
+  dividend: { label: 'Dividend', icon: '💵' },
+  transfer_in: { label: 'Transfer in', icon: '📥' },
+  transfer_out: { label: 'Transfer out', icon: '📤' },
+  fee: { label: 'Fee', icon: '🧾' },
+};
+
+export const COST_BASIS_METHODS = {
+  fifo: { label: 'FIFO', description: 'Oldest lots are sold first' },
+  lifo: { label: 'LIFO', description: 'Newest lots are sold first' },
+  specific: { label: 'Specific ID', description: 'Pick the lots on each sale (FIFO for anything not picked)' },
+};
+
+export const DEFAULT_COST_BASIS_METHOD = 'fifo';
+
+/** Share counts below this are treated as zero */
+const QUANTITY_EPSILON = 1e-9;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const parseNumber = (v) => {
+  if (v == null || v === '') return null;
+  const parsed = parseFloat(v);
+  return isFinite(parsed) ? parsed : null;
+};
+
+const roundShares = (v) => Math.round(v * 1e6) / 1e6;
+
+/**
+ * Days between two 'YYYY-MM-DD' dates
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+
+/**
+ * First date a lot acquired on `acquired` is held long-term: the day after its
+ * one-year anniversary (Feb 29 rolls back to Feb 28)
+ * @param {string} acquired - 'YYYY-MM-DD'
+ * @returns {string}
+ */
+export const longTermDate = (acquired) => {
+  const [year, month, day] = acquired.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year + 1, month, 0)).getUTCDate();
+  const anniversary = Date.UTC(year + 1, month - 1, Math.min(day, lastDay));
+  return new Date(anniversary + MS_PER_DAY).toISOString().slice(0, 10);
+};
+
+/**
+ * Whether a lot acquired on `acquired` is held more than a year on `date`
+ * @param {string} acquired
+ * @param {string} date
+ * @returns {boolean}
+ */
+export const isLongTerm = (acquired, date) => date >= longTermDate(acquired);
+
+/**
+ * Normalize a stored / imported / form-entered transaction
+ * @param {Object} raw
+ * @returns {{id: string, date: string, type: string, ticker: string, quantity: number|null,
+ *   price: number|null, amount: number|null, fees: number, ratio: number|null,
+ *   acquiredDate: string|null, lots: {lotId: string, quantity: number}[]|null,
+ *   payDate: string|null, reinvested: boolean, reinvestPrice: number|null, note: string}}
+ */
+export const normalizeTransaction = (raw = {}) => {
+  const quantity = parseNumber(raw.quantity);
+  const fees = parseNumber(raw.fees);
+  const ratio = parseNumber(raw.ratio);
+  return {
+    id: raw.id || crypto.randomUUID(),
+    date: raw.date || today(),
+    type: TRANSACTION_TYPES[raw.type] ? raw.type : 'buy',
+    ticker: (raw.ticker || '').toUpperCase().trim(),
+    quantity: quantity != null ? Math.abs(quantity) : null,
+    price: parseNumber(raw.price),
+    amount: parseNumber(raw.amount),
+    fees: fees != null ? Math.abs(fees) : 0,
+    ratio: ratio > 0 ? ratio : null,
+    acquiredDate: raw.acquiredDate || null,
+    lots: Array.isArray(raw.lots)
+      ? raw.lots
+        .map(l => ({ lotId: l.lotId, quantity: parseNumber(l.quantity) }))
+        .filter(l => l.lotId && l.quantity > 0)
+      : null,
+    payDate: raw.payDate || null,
+    reinvested: !!raw.reinvested,
+    reinvestPrice: raw.reinvested ? parseNumber(raw.reinvestPrice) : null,
+    note: raw.note || '',
+  };
+};
+
+/**
+ * Check that a transaction can be replayed
+ * @param {Object} tx - normalizeTransaction() output
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const validateTransaction = (tx) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(tx.date || '')) return 'date is required';
+  if (tx.type !== 'fee' && !tx.ticker) return 'ticker is required';
+  switch (tx.type) {
+    case 'buy':
+    case 'sell':
+      if (!(tx.quantity > 0)) return 'shares must be positive';
+      if (!(tx.price >= 0)) return 'price is required';
+      return null;
+    case 'transfer_in':
+      if (!(tx.quantity > 0)) return 'shares must be positive';
+      if (!(tx.price >= 0)) return 'cost per share is required';
+      return null;
+    case 'transfer_out':
+      return tx.quantity > 0 ? null : 'shares must be positive';
+    case 'split':
+      return tx.ratio > 0 && tx.ratio !== 1 ? null : 'split ratio must be positive and not 1';
+    case 'dividend':
+      if (!(tx.amount > 0 || tx.price > 0)) return 'enter the total or the amount per share';
+      return !tx.reinvested || tx.reinvestPrice > 0 ? null : 'reinvestment price is required';
+    case 'fee':
+      return tx.amount > 0 ? null : 'amount must be positive';
+    default:
+      return 'unknown type';
+  }
+};
+
+/**
+ * One-line description, e.g. "Sell 10 AAPL @ 180.00"
+ * @param {Object} tx
+ * @returns {string}
+ */
+export const formatTransaction = (tx) => {
+  const label = TRANSACTION_TYPES[tx.type]?.label || tx.type;
+  switch (tx.type) {
+    case 'split':
+      return `${tx.ticker} ${tx.ratio}-for-1 split`;
+    case 'dividend':
+      return `${label} ${tx.ticker}${tx.amount != null ? ` $${tx.amount.toFixed(2)}` : ` $${tx.price}/sh`}${tx.reinvested ? ` (reinvested${tx.reinvestPrice > 0 ? ` @ ${tx.reinvestPrice.toFixed(2)}` : ''})` : ''}`;
+    case 'fee':
+      return `${label}${tx.ticker ? ` ${tx.ticker}` : ''} $${(tx.amount || 0).toFixed(2)}`;
+    case 'transfer_out':
+      return `${label} ${tx.quantity} ${tx.ticker}`;
+    default:
+      return `${label} ${tx.quantity} ${tx.ticker} @ ${(tx.price ?? 0).toFixed(2)}`;
+  }
+};
+
+// ============================================================================
+// LEDGER REPLAY
+// ============================================================================
+
+/**
+ * Order in which a sale draws on open lots
+ * @param {Object[]} lots - Open lots of one ticker
+ * @param {number} quantity - Shares to remove
+ * @param {string} method - fifo | lifo | specific
+ * @param {Object[]|null} selection - Specific-ID picks { lotId, quantity }
+ * @returns {{fills: {lot: Object, quantity: number}[], shortfall: number, unmatched: boolean}}
+ */
+const pickLots = (lots, quantity, method, selection) => {
+  const fills = [];
+  const taken = new Map();
+  let remaining = quantity;
+  let unmatched = false;
+
+  const take = (lot, wanted) => {
+    const available = lot.quantity - (taken.get(lot) || 0);
+    const q = Math.min(available, wanted, remaining);
+    if (q <= QUANTITY_EPSILON) return;
+    taken.set(lot, (taken.get(lot) || 0) + q);
+    fills.push({ lot, quantity: q });
+    remaining -= q;
+  };
+
+  if (method === 'specific' && selection?.length) {
+    for (const pick of selection) {
+      const lot = lots.find(l => l.id === pick.lotId);
+      if (!lot) {
+        unmatched = true;
+        continue;
+      }
+      take(lot, pick.quantity);
+    }
+  } else if (method === 'specific') {
+    unmatched = lots.length > 0;
+  }
+
+  const ordered = method === 'lifo' ? [...lots].reverse() : lots;
+  for (const lot of ordered) {
+    if (remaining <= QUANTITY_EPSILON) break;
+    take(lot, remaining);
+  }
+
+  return { fills, shortfall: remaining > QUANTITY_EPSILON ? remaining : 0, unmatched };
+};
+
+/**
+ * Replay transactions into holdings, lots and realized P&L
+ *
+ * @param {Object[]} transactions - normalizeTransaction() output
+ * @param {Object} [options]
+ * @param {string} [options.method='fifo'] - Cost-basis method for sells and transfers out
+ * @param {string} [options.asOf] - Ignore transactions after this date
+ * @returns {{
+ *   holdings: Object<string, {ticker: string, quantity: number, costBasis: number, avgCost: number|null, lots: Object[]}>,
+ *   realized: Object[], dividends: Object[], fees: number, cashFlow: number,
+ *   warnings: {txId: string, message: string}[], method: string
+ * }}
+ *   lots: { id, ticker, acquired, quantity, costPerShare };
+ *   realized: { txId, date, ticker, lotId, acquired, quantity, proceeds, costBasis, gain, term }
+ */
+export const buildLedger = (transactions = [], { method = DEFAULT_COST_BASIS_METHOD, asOf = null } = {}) => {
+  const lotsByTicker = new Map();
+  const realized = [];
+  const dividends = [];
+  const warnings = [];
+  let fees = 0;
+  let cashFlow = 0;
+
+  const lotsFor = (ticker) => {
+    if (!lotsByTicker.has(ticker)) lotsByTicker.set(ticker, []);
+    return lotsByTicker.get(ticker);
+  };
+  const heldShares = (ticker) => lotsFor(ticker).reduce((sum, l) => sum + l.quantity, 0);
+
+  const ordered = transactions
+    .map((tx, order) => ({ tx, order }))
+    .filter(({ tx }) => !asOf || tx.date <= asOf)
+    .sort((a, b) => (a.tx.date < b.tx.date ? -1 : a.tx.date > b.tx.date ? 1 : a.order - b.order))
+    .map(({ tx }) => tx);
+
+  for (const tx of ordered) {
+    const problem = validateTransaction(tx);
+    if (problem) {
+      warnings.push({ txId: tx.id, message: `${tx.date} ${formatTransaction(tx)}: ${problem} (skipped)` });
+      continue;
+    }
+
+    switch (tx.type) {
+      case 'buy':
+      case 'transfer_in': {
+        const isBuy = tx.type === 'buy';
+        lotsFor(tx.ticker).push({
+          id: tx.id,
+          ticker: tx.ticker,
+          acquired: (!isBuy && tx.acquiredDate) || tx.date,
+          quantity: tx.quantity,
+          costPerShare: tx.price + (tx.fees || 0) / tx.quantity,
+        });
+        if (isBuy) cashFlow -= tx.quantity * tx.price + (tx.fees || 0);
+        break;
+      }
+
+      case 'sell':
+      case 'transfer_out': {
+        const lots = lotsFor(tx.ticker);
+        const { fills, shortfall, unmatched } = pickLots(lots, tx.quantity, method, tx.lots);
+        if (unmatched) {
+          warnings.push({ txId: tx.id, message: `${tx.date} ${formatTransaction(tx)}: lot selection incomplete, FIFO used for the rest` });
+        }
+        if (shortfall > 0) {
+          warnings.push({ txId: tx.id, message: `${tx.date} ${formatTransaction(tx)}: ${roundShares(shortfall)} more shares than held (ignored)` });
+        }
+
+        const sold = tx.quantity - shortfall;
+        const netPrice = tx.type === 'sell' && sold > 0 ? tx.price - (tx.fees || 0) / sold : 0;
+        for (const { lot, quantity } of fills) {
+          lot.quantity -= quantity;
+          if (tx.type !== 'sell') continue;
+          const costBasis = quantity * lot.costPerShare;
+          const proceeds = quantity * netPrice;
+          realized.push({
+            txId: tx.id,
+            date: tx.date,
+            ticker: tx.ticker,
+            lotId: lot.id,
+            acquired: lot.acquired,
+            quantity,
+            proceeds,
+            costBasis,
+            gain: proceeds - costBasis,
+            term: isLongTerm(lot.acquired, tx.date) ? 'long' : 'short',
+          });
+        }
+        lotsByTicker.set(tx.ticker, lots.filter(l => l.quantity > QUANTITY_EPSILON));
+        if (tx.type === 'sell') cashFlow += sold * tx.price - (tx.fees || 0);
+        break;
+      }
+
+      case 'split':
+        for (const lot of lotsFor(tx.ticker)) {
+          lot.quantity *= tx.ratio;
+          lot.costPerShare /= tx.ratio;
+        }
+        break;
+
+      case 'dividend': {
+        const sharesHeld = tx.quantity ?? heldShares(tx.ticker);
+        const amount = tx.amount ?? tx.price * sharesHeld;
+        dividends.push({
+          txId: tx.id,
+          date: tx.date,
+          ticker: tx.ticker,
+          amount,
+          sharesHeld,
+          perShare: tx.price ?? (sharesHeld > 0 ? amount / sharesHeld : null),
+          reinvested: tx.reinvested,
+        });
+        if (!tx.reinvested) {
+          cashFlow += amount;
+        } else if (amount > 0) {
+          lotsFor(tx.ticker).push({
+            id: tx.id,
+            ticker: tx.ticker,
+            acquired: tx.payDate || tx.date,
+            quantity: amount / tx.reinvestPrice,
+            costPerShare: tx.reinvestPrice,
+          });
+        }
+        break;
+      }
+
+      case 'fee':
+        fees += tx.amount;
+        cashFlow -= tx.amount;
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  const holdings = {};
+  for (const [ticker, lots] of lotsByTicker) {
+    const open = lots.filter(l => l.quantity > QUANTITY_EPSILON);
+    const quantity = roundShares(open.reduce((sum, l) => sum + l.quantity, 0));
+    const costBasis = open.reduce((sum, l) => sum + l.quantity * l.costPerShare, 0);
+    holdings[ticker] = {
+      ticker,
+      quantity,
+      costBasis,
+      avgCost: quantity > 0 ? costBasis / quantity : null,
+      lots: open.map(l => ({ ...l, quantity: roundShares(l.quantity) })),
+    };
+  }
+
+  return { holdings, realized, dividends, fees, cashFlow, warnings, method };
+};
+
+// ============================================================================
+// P&L
+// ============================================================================
+
+/**
+ * Realized, unrealized and income totals
+ *
+ * Positions not in the ledger still get unrealized P&L from their average
+ * cost when one is set.
+ *
+ * @param {Object} ledger - buildLedger() output
+ * @param {Object[]} positions - Current positions (for prices and untracked holdings)
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Valuation date for lot holding periods
+ * @returns {{
+ *   realized: {total: number, shortTerm: number, longTerm: number, ytd: number},
+ *   unrealized: {total: number, rows: Object[]},
+ *   dividends: {total: number, ytd: number},
+ *   fees: number
+ * }}
+ *   rows: { ticker, source: 'ledger'|'avgCost', quantity, costBasis, marketValue, gain, gainPct, lots }
+ */
+export const summarizePnL = (ledger, positions = [], { asOf = today() } = {}) => {
+  const year = asOf.slice(0, 4);
+  const priceByTicker = {};
+  for (const p of positions) {
+    const ticker = p.ticker?.toUpperCase();
+    if (ticker && p.price > 0 && priceByTicker[ticker] == null) priceByTicker[ticker] = p.price;
+  }
+
+  const realized = { total: 0, shortTerm: 0, longTerm: 0, ytd: 0 };
+  for (const r of ledger.realized) {
+    realized.total += r.gain;
+    if (r.term === 'long') realized.longTerm += r.gain;
+    else realized.shortTerm += r.gain;
+    if (r.date.startsWith(year)) realized.ytd += r.gain;
+  }
+
+  const rows = [];
+  for (const holding of Object.values(ledger.holdings)) {
+    if (holding.quantity <= 0) continue;
+    const price = priceByTicker[holding.ticker];
+    const marketValue = price > 0 ? holding.quantity * price : null;
+    rows.push({
+      ticker: holding.ticker,
+      source: 'ledger',
+      quantity: holding.quantity,
+      costBasis: holding.costBasis,
+      avgCost: holding.avgCost,
+      marketValue,
+      gain: marketValue != null ? marketValue - holding.costBasis : null,
+      gainPct: marketValue != null && holding.costBasis > 0 ? marketValue / holding.costBasis - 1 : null,
+      lots: holding.lots.map(lot => {
+        const lotValue = price > 0 ? lot.quantity * price : null;
+        const lotBasis = lot.quantity * lot.costPerShare;
+        return {
+          ...lot,
+          costBasis: lotBasis,
+          gain: lotValue != null ? lotValue - lotBasis : null,
+          term: isLongTerm(lot.acquired, asOf) ? 'long' : 'short',
+        };
+      }),
+    });
+  }
+  for (const p of positions) {
+    const ticker = p.ticker?.toUpperCase();
+    if (!ticker || ledger.holdings[ticker] || !p.quantity || !(p.avgCost > 0) || !(p.price > 0)) continue;
+    const costBasis = p.quantity * p.avgCost;
+    rows.push({
+      ticker,
+      source: 'avgCost',
+      quantity: p.quantity,
+      costBasis,
+      avgCost: p.avgCost,
+      marketValue: p.quantity * p.price,
+      gain: p.quantity * (p.price - p.avgCost),
+      gainPct: p.price / p.avgCost - 1,
+      lots: [],
+    });
+  }
+
+  const dividends = { total: 0, ytd: 0 };
+  for (const d of ledger.dividends) {
+    dividends.total += d.amount;
+    if (d.date.startsWith(year)) dividends.ytd += d.amount;
+  }
+
+  return {
+    realized,
+    unrealized: { total: rows.reduce((sum, r) => sum + (r.gain || 0), 0), rows },
+    dividends,
+    fees: ledger.fees,
+  };
+};
+
+// ============================================================================
+// POSITIONS
+// ============================================================================
+
+/**
+ * Tickers whose position quantity disagrees with the ledger
+ * @param {Object[]} positions
+ * @param {Object} ledger - buildLedger() output
+ * @returns {{ticker: string, positionQuantity: number, ledgerQuantity: number}[]}
+ */
+export const findLedgerMismatches = (positions, ledger) => Object.values(ledger.holdings)
+  .map(h => ({
+    ticker: h.ticker,
+    positionQuantity: positions.find(p => p.ticker?.toUpperCase() === h.ticker)?.quantity ?? 0,
+    ledgerQuantity: h.quantity,
+  }))
+  .filter(m => Math.abs(m.positionQuantity - m.ledgerQuantity) > 1e-6);
+
+/**
+ * Set share counts and average costs of ledger tickers from the ledger
+ *
+ * Positions the ledger doesn't cover are left alone; ledger holdings with no
+ * position are added via createPosition.
+ *
+ * @param {Object[]} positions
+ * @param {Object} ledger - buildLedger() output
+ * @param {Function} createPosition - (holding) => new position object
+ * @returns {{positions: Object[], updated: string[], added: string[]}}
+ */
+export const applyLedgerToPositions = (positions, ledger, createPosition) => {
+  const updated = [];
+  const added = [];
+  const seen = new Set();
+
+  const next = positions.map(p => {
+    const ticker = p.ticker?.toUpperCase();
+    const holding = ledger.holdings[ticker];
+    // Only the first row of a ticker carries the ledger quantity
+    if (!holding || seen.has(ticker)) return p;
+    seen.add(ticker);
+    const avgCost = holding.avgCost ?? p.avgCost ?? null;
+    if (Math.abs((p.quantity || 0) - holding.quantity) <= 1e-9 && p.avgCost === avgCost) return p;
+    updated.push(ticker);
+    return { ...p, quantity: holding.quantity, avgCost };
+  });
+
+  for (const holding of Object.values(ledger.holdings)) {
+    if (seen.has(holding.ticker) || holding.quantity <= 0) continue;
+    next.push(createPosition(holding));
+    added.push(holding.ticker);
+  }
+
+  return { positions: next, updated, added };
+};
+
+/**
+ * Last traded price of a ticker in the ledger (price for a newly added position)
+ * @param {Object[]} transactions
+ * @param {string} ticker
+ * @returns {number|null}
+ */
+export const lastTradePrice = (transactions, ticker) => {
+  let last = null;
+  for (const tx of transactions) {
+    if (tx.ticker !== ticker || !(tx.price > 0) || (tx.type !== 'buy' && tx.type !== 'sell')) continue;
+    if (!last || tx.date >= last.date) last = tx;
+  }
+  return last?.price ?? null;
+};
+
+export default {
+  TRANSACTION_TYPES,
+  COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD,
+  daysBetween,
+  longTermDate,
+  isLongTerm,
+  normalizeTransaction,
+  validateTransaction,
+  formatTransaction,
+  buildLedger,
+  summarizePnL,
+  findLedgerMismatches,
+  applyLedgerToPositions,
+  lastTradePrice,
+};
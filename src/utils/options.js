@@ -0,0 +1,272 @@
+/**
+ * Listed Option Positions
+ *
+ * @module utils/options
+ * @description Black-Scholes pricing and helpers for listed equity options
+ * held alongside the linear positions (protective puts, covered calls, ...).
+ *
+ * An option position references an underlying that is itself a position, so
+ * it rides that position's simulated price path. The path engine reprices it
+ * at every step from the underlying's level with the time to expiry shrinking;
+ * after expiry it is held at intrinsic value (cash settled, no interest).
+ *
+ * Contracts are signed: negative contracts are written (short) options.
+ * Volatility is the position's implied vol when entered, else the
+ * underlying's historical volatility.
+ */
+
+import { normalCDF } from './statistics';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Shares per listed equity option contract */
+export const OPTION_CONTRACT_MULTIPLIER = 100;
+
+export const OPTION_TYPES = ['call', 'put'];
+
+/** Fallback volatility when neither implied nor historical vol is known */
+export const DEFAULT_OPTION_VOL = 0.30;
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PRICING
+// ============================================================================
+
+/**
+ * Black-Scholes price with positional arguments, for the path engine's inner loop
+ *
+ * @param {boolean} isCall
+ * @param {number} spot - Underlying price
+ * @param {number} strike
+ * @param {number} years - Time to expiry in years (≤ 0 = intrinsic)
+ * @param {number} vol - Annual volatility (decimal)
+ * @param {number} [rate=0] - Continuously compounded risk-free rate
+ * @returns {number} Price per share
+ */
+export const europeanOptionPrice = (isCall, spot, strike, years, vol, rate = 0) => {
+  if (!(spot > 0) || !(strike > 0) || !(years > 0) || !(vol > 0)) {
+    return isCall ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+  }
+  const volSqrtT = vol * Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + 0.5 * vol * vol) * years) / volSqrtT;
+  const d2 = d1 - volSqrtT;
+  const discount = strike * Math.exp(-rate * years);
+  return isCall
+    ? spot * normalCDF(d1) - discount * normalCDF(d2)
+    : discount * normalCDF(-d2) - spot * normalCDF(-d1);
+};
+
+/**
+ * Black-Scholes price of a European option (no dividends)
+ *
+ * @param {Object} params
+ * @param {boolean} params.isCall
+ * @param {number} params.spot
+ * @param {number} params.strike
+ * @param {number} params.years
+ * @param {number} params.vol
+ * @param {number} [params.rate=0]
+ * @returns {number} Price per share
+ */
+export const blackScholesPrice = ({ isCall, spot, strike, years, vol, rate = 0 }) =>
+  europeanOptionPrice(isCall, spot, strike, years, vol, rate);
+
+/**
+ * Black-Scholes delta (per share)
+ * @param {Object} params - Same as blackScholesPrice
+ * @returns {number} ∂price/∂spot
+ */
+export const blackScholesDelta = ({ isCall, spot, strike, years, vol, rate = 0 }) => {
+  if (!(years > 0) || !(vol > 0) || !(spot > 0) || !(strike > 0)) {
+    if (isCall) return spot > strike ? 1 : 0;
+    return spot < strike ? -1 : 0;
+  }
+  const d1 = (Math.log(spot / strike) + (rate + 0.5 * vol * vol) * years) / (vol * Math.sqrt(years));
+  return isCall ? normalCDF(d1) : normalCDF(d1) - 1;
+};
+
+// ============================================================================
+// POSITION HELPERS
+// ============================================================================
+
+/**
+ * Years from asOf to the expiry date (expiring at the end of that day)
+ * @param {string} expiry - 'YYYY-MM-DD'
+ * @param {Date} [asOf=new Date()]
+ * @returns {number} Years (negative once expired), NaN when unparseable
+ */
+export const yearsToExpiry = (expiry, asOf = new Date()) => {
+  if (!expiry) return NaN;
+  const end = new Date(`${expiry}T23:59:59`);
+  const ms = end.getTime() - asOf.getTime();
+  return isFinite(ms) ? ms / MS_PER_YEAR : NaN;
+};
+
+/**
+ * Normalize a stored / imported option position
+ * @param {Object} raw
+ * @returns {Object} { id, type: 'Option', underlying, optionType, strike, expiry, contracts, price, impliedVol }
+ */
+export const normalizeOptionPosition = (raw = {}) => {
+  const strike = parseFloat(raw.strike);
+  const contracts = parseFloat(raw.contracts ?? raw.quantity);
+  const price = raw.price != null && raw.price !== '' ? parseFloat(raw.price) : null;
+  const impliedVol = raw.impliedVol != null && raw.impliedVol !== '' ? parseFloat(raw.impliedVol) : null;
+  return {
+    id: raw.id || Date.now() + Math.random(),
+    type: 'Option',
+    underlying: (raw.underlying || '').toUpperCase().trim(),
+    optionType: raw.optionType === 'call' ? 'call' : 'put',
+    strike: isFinite(strike) ? strike : 0,
+    expiry: raw.expiry || '',
+    contracts: isFinite(contracts) ? contracts : 0,
+    price: isFinite(price) ? price : null,
+    impliedVol: isFinite(impliedVol) && impliedVol > 0 ? impliedVol : null,
+  };
+};
+
+/**
+ * Short display label, e.g. "AAPL 2027-01-15 150 P"
+ * @param {Object} option
+ * @returns {string}
+ */
+export const formatOptionLabel = (option) =>
+  `${option.underlying || '?'} ${option.expiry || '—'} ${option.strike || '?'} ${option.optionType === 'call' ? 'C' : 'P'}`;
+
+/**
+ * Check that an option can be priced and simulated
+ * @param {Object} option
+ * @param {Date} [asOf=new Date()]
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const validateOption = (option, asOf = new Date()) => {
+  if (!option.underlying) return 'missing underlying';
+  if (!(option.strike > 0)) return 'strike must be positive';
+  if (!option.contracts) return 'zero contracts';
+  const years = yearsToExpiry(option.expiry, asOf);
+  if (!isFinite(years)) return 'missing expiry';
+  if (years <= 0) return 'expired';
+  return null;
+};
+
+/**
+ * Volatility used to price an option: implied when entered, else historical
+ * @param {Object} option
+ * @param {Object} positionBetas - { [ticker]: { volatility (percent) } }
+ * @returns {{vol: number, source: 'implied'|'historical'|'default'}}
+ */
+export const resolveOptionVol = (option, positionBetas = {}) => {
+  if (option.impliedVol > 0) return { vol: option.impliedVol, source: 'implied' };
+  const historical = positionBetas?.[option.underlying]?.volatility;
+  if (historical > 0) return { vol: historical / 100, source: 'historical' };
+  return { vol: DEFAULT_OPTION_VOL, source: 'default' };
+};
+
+/**
+ * Today's value and greeks of an option position
+ * @param {Object} option
+ * @param {Object} context
+ * @param {number} context.spot - Underlying price
+ * @param {number} context.vol
+ * @param {number} [context.rate=0]
+ * @param {Date} [context.asOf=new Date()]
+ * @returns {{modelPrice: number, delta: number, marketValue: number, deltaDollars: number, years: number}}
+ *   marketValue uses the entered premium when set, else the model price
+ */
+export const valueOptionPosition = (option, { spot, vol, rate = 0, asOf = new Date() }) => {
+  const years = Math.max(0, yearsToExpiry(option.expiry, asOf) || 0);
+  const pricing = { isCall: option.optionType === 'call', spot, strike: option.strike, years, vol, rate };
+  const modelPrice = blackScholesPrice(pricing);
+  const delta = blackScholesDelta(pricing);
+  const size = option.contracts * OPTION_CONTRACT_MULTIPLIER;
+  const premium = option.price != null ? option.price : modelPrice;
+  return {
+    modelPrice,
+    delta,
+    marketValue: size * premium,
+    deltaDollars: size * delta * spot,
+    years,
+  };
+};
+
+/**
+ * Flatten option positions for the path engine
+ *
+ * Strikes are expressed as moneyness (K / S₀) and size as NAV units per unit
+ * of underlying level, so the engine prices on its relative price index.
+ *
+ * @param {Object[]} optionPositions
+ * @param {Object} context
+ * @param {Object[]} context.positions - Linear positions (simulation order)
+ * @param {number} context.portfolioValue - NAV including option market value
+ * @param {Object} context.positionBetas - Historical vols by ticker
+ * @param {number} [context.rate=0]
+ * @param {Date} [context.asOf=new Date()]
+ * @returns {{params: Object|null, skipped: {label: string, reason: string}[], included: number}}
+ */
+export const buildOptionSimParams = (optionPositions, {
+  positions,
+  portfolioValue,
+  positionBetas,
+  rate = 0,
+  asOf = new Date(),
+}) => {
+  const skipped = [];
+  const params = {
+    underlying: [],
+    isCall: [],
+    moneyness: [],
+    expiryYears: [],
+    vol: [],
+    units: [],
+    rate,
+  };
+  const tickers = positions.map(p => p.ticker?.toUpperCase());
+
+  for (const option of optionPositions || []) {
+    const label = formatOptionLabel(option);
+    const problem = validateOption(option, asOf);
+    if (problem) {
+      skipped.push({ label, reason: problem });
+      continue;
+    }
+    const index = tickers.indexOf(option.underlying);
+    if (index < 0) {
+      skipped.push({ label, reason: 'underlying is not a position' });
+      continue;
+    }
+    const spot = positions[index].price;
+    if (!(spot > 0)) {
+      skipped.push({ label, reason: 'underlying has no price' });
+      continue;
+    }
+    params.underlying.push(index);
+    params.isCall.push(option.optionType === 'call' ? 1 : 0);
+    params.moneyness.push(option.strike / spot);
+    params.expiryYears.push(yearsToExpiry(option.expiry, asOf));
+    params.vol.push(resolveOptionVol(option, positionBetas).vol);
+    params.units.push((option.contracts * OPTION_CONTRACT_MULTIPLIER * spot) / portfolioValue);
+  }
+
+  const included = params.underlying.length;
+  return { params: included > 0 ? params : null, skipped, included };
+};
+
+export default {
+  OPTION_CONTRACT_MULTIPLIER,
+  OPTION_TYPES,
+  DEFAULT_OPTION_VOL,
+  europeanOptionPrice,
+  blackScholesPrice,
+  blackScholesDelta,
+  yearsToExpiry,
+  normalizeOptionPosition,
+  formatOptionLabel,
+  validateOption,
+  resolveOptionVol,
+  valueOptionPosition,
+  buildOptionSimParams,
+};
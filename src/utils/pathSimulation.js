@@ -0,0 +1,1312 @@
+/**
+ * Time-Stepped Path Simulation
+ *
+ * @module utils/pathSimulation
+ * @description Multi-period Monte Carlo engine used by the simulation workers.
+ * Paths are built step by step (monthly or daily) over a 1–30 year horizon, so
+ * max drawdown, time-to-recovery and percentile bands are measured on the
+ * simulated path itself instead of being estimated from portfolio volatility.
+ *
+ * Construction (per path, per simulated year):
+ * 1. Draw correlated annual asset returns with the same skewed / fat-tailed
+ *    marginals as the single-period engine (multivariate-t or copula).
+ * 2. Fill the intra-year steps with a correlated Brownian bridge pinned to
+ *    that annual draw in log space.
+ *
+ * Pinning the bridge to the annual draw keeps each position's calibrated
+ * p5–p95 annual distribution exactly, and it keeps the QMC dimensions on the
+ * annual draw where they matter most (the bridge is the classic QMC-friendly
+ * path construction).
+ *
+ * By default the portfolio is buy-and-hold from t=0: weights drift with
+ * prices, shorts and margin are carried as signed exposures, and a path whose
+ * NAV reaches zero is absorbed there (ruin). A rebalancing policy (calendar or
+ * tolerance bands) trades back to target weights instead; buy-and-hold is then
+ * tracked on the same path so the rebalancing bonus / drag is measured pairwise.
+ *
+ * Cash flows (contributions, withdrawals, lump sums) are applied at month
+ * ends and invested / redeemed pro rata across current holdings. Drawdowns
+ * are measured on the invested NAV (time-weighted), while terminal wealth,
+ * ruin and the fan chart include the flows.
+ *
+ * With the regime-switching method (see regimeModel.js) the annual draw and
+ * bridge are replaced by a hidden Markov chain: each step draws correlated
+ * lognormal returns from the current regime, so volatility clusters and
+ * correlations rise together in stress regimes.
+ *
+ * With a GARCH volatility model (see garch.js) each asset carries a variance
+ * ratio h/h̄ along the path, starting from today's conditional level. The step
+ * shocks drive the ratio, the bridge increments are scaled by its square root,
+ * and the annual draw is stretched by the year's average variance ratio.
+ *
+ * Variance reduction (see varianceReduction.js): with antithetic variates,
+ * paths 2k and 2k+1 share PRNG stream k and the second negates every normal
+ * (Halton points are reflected). The control variate records, per path, the
+ * Gaussian-model portfolio return of the first-year draw, whose mean is known.
+ *
+ * Bond positions (see bondModel.js) replace the skewed / fat-tailed annual
+ * draw with a duration-convexity-carry return on a yield change driven by the
+ * same correlated normal, plus an optional credit-spread shock. (Regime mode
+ * has no annual draw; bonds follow their own fitted regimes there.)
+ *
+ * Listed options (see options.js) are repriced with Black-Scholes at every step
+ * from their underlying's simulated level, so protective puts and covered calls
+ * bend the return distribution instead of adding linear exposure. They are held
+ * to expiry (then at intrinsic value) and are not traded by rebalancing.
+ *
+ * Taxable accounts (see taxes.js) carry FIFO tax lots per position alongside
+ * the path. Income is taxed as it accrues, realized gains are netted at each
+ * year end and taxes are paid by selling pro rata, so after-tax wealth
+ * compounds on its own; the pre-tax results are unchanged.
+ */
+
+import {
+  boxMuller,
+  normalCDF,
+  normalInvCDF,
+  studentTInvCDF,
+  generateChiSquared,
+  inverseChiSquaredCDF,
+} from './statistics';
+import { haltonValue } from './quasiMonteCarlo';
+import { random, seedRandom, generateSeed } from './random';
+import { europeanOptionPrice } from './options';
+import { bondAnnualReturn, drawSpreadShock } from './bondModel';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Steps per year for each supported time step
+ */
+export const STEPS_PER_YEAR = {
+  monthly: 12,
+  daily: 252,
+};
+
+/** Longest supported horizon in years */
+export const MAX_HORIZON_YEARS = 30;
+
+/** Daily stepping is capped to keep 100k-path runs within worker timeouts */
+export const MAX_DAILY_HORIZON_YEARS = 5;
+
+/** Maximum number of fan chart checkpoints along a path (excluding t=0) */
+export const MAX_FAN_CHECKPOINTS = 120;
+
+/** Total number of paths sampled (across all workers) for the fan chart */
+export const FAN_CHART_SAMPLE_PATHS = 4000;
+
+/** Calendar rebalances per year for each frequency */
+export const REBALANCE_FREQUENCIES = {
+  monthly: 12,
+  quarterly: 4,
+  annual: 1,
+};
+
+/** Annual withdrawal rates (fraction of starting value) tested for the safe-withdrawal-rate curve */
+export const SWR_TEST_RATES = [0.02, 0.025, 0.03, 0.035, 0.04, 0.045, 0.05, 0.055, 0.06, 0.065, 0.07, 0.08, 0.09, 0.10];
+
+/** Success probability a withdrawal rate must reach to count as "safe" */
+export const SWR_TARGET_SUCCESS = 0.95;
+
+const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73];
+
+/**
+ * Clamp a requested horizon to a whole number of years in [1, MAX_HORIZON_YEARS]
+ * @param {number} years - Requested horizon
+ * @param {string} [timeStep='monthly'] - 'monthly' | 'daily'
+ * @returns {number} Valid horizon in years
+ */
+export const clampHorizonYears = (years, timeStep = 'monthly') => {
+  const max = timeStep === 'daily' ? MAX_DAILY_HORIZON_YEARS : MAX_HORIZON_YEARS;
+  const rounded = Math.round(Number(years) || 1);
+  return Math.max(1, Math.min(max, rounded));
+};
+
+/**
+ * Resolve a time step name to steps per year (defaults to monthly)
+ * @param {string} timeStep - 'monthly' | 'daily'
+ * @returns {number} Steps per year
+ */
+export const resolveStepsPerYear = (timeStep) => STEPS_PER_YEAR[timeStep] || STEPS_PER_YEAR.monthly;
+
+/**
+ * Build the step indices at which fan chart values are recorded.
+ * Always includes t=0 and the terminal step.
+ * @param {number} totalSteps - Steps in the full horizon
+ * @param {number} [maxCheckpoints=MAX_FAN_CHECKPOINTS] - Upper bound on checkpoints
+ * @returns {Int32Array} Ascending step indices
+ */
+export const buildCheckpointSteps = (totalSteps, maxCheckpoints = MAX_FAN_CHECKPOINTS) => {
+  const interval = Math.max(1, Math.ceil(totalSteps / maxCheckpoints));
+  const steps = [];
+  for (let s = 0; s < totalSteps; s += interval) steps.push(s);
+  steps.push(totalSteps);
+  return Int32Array.from(steps);
+};
+
+/**
+ * Expand a cash-flow schedule into per-step flows as fractions of starting value.
+ * Flows land on month ends (every step for monthly, every 21st for daily).
+ *
+ * @param {Object} cashFlows - Schedule (see DEFAULT_CASH_FLOWS)
+ * @param {Object} options
+ * @param {number} options.startingValue - Portfolio value at t=0
+ * @param {number} options.horizonYears - Horizon in whole years
+ * @param {number} options.stepsPerYear - Steps per year
+ * @param {Date} [options.startDate=new Date()] - Date of t=0 (for lump-sum dates)
+ * @returns {{
+ *   flows: Float64Array,
+ *   baseFlows: Float64Array,
+ *   withdrawalUnits: Float64Array,
+ *   hasFlows: boolean,
+ *   totals: {contributions: number, withdrawals: number, lumpSums: number},
+ *   skippedLumpSums: number,
+ * }|null} flows = full schedule; baseFlows = everything except the withdrawal;
+ *   withdrawalUnits = inflation-indexed monthly installment of a 1.0 annual withdrawal
+ */
+export const buildCashFlowSchedule = (cashFlows, { startingValue, horizonYears, stepsPerYear, startDate = new Date() }) => {
+  if (!cashFlows || !(startingValue > 0)) return null;
+
+  const months = Math.max(1, Math.round(horizonYears)) * 12;
+  const stepsPerMonth = stepsPerYear / 12;
+  const totalSteps = months * stepsPerMonth;
+  const flows = new Float64Array(totalSteps + 1);
+  const baseFlows = new Float64Array(totalSteps + 1);
+  const withdrawalUnits = new Float64Array(totalSteps + 1);
+  const totals = { contributions: 0, withdrawals: 0, lumpSums: 0 };
+
+  const inflation = Math.max(-0.5, Number(cashFlows.inflationRate) || 0);
+  const contribution = Math.max(0, Number(cashFlows.monthlyContribution) || 0);
+  const contributionMonths = cashFlows.contributionYears > 0 ? Math.round(cashFlows.contributionYears * 12) : months;
+  const monthlyWithdrawal = Math.max(0, Number(cashFlows.annualWithdrawal) || 0) / 12;
+  const withdrawalStartMonth = Math.max(0, Math.round((Number(cashFlows.withdrawalStartYear) || 0) * 12));
+  const indexed = cashFlows.withdrawalType !== 'fixed';
+
+  for (let m = 1; m <= months; m++) {
+    const step = m * stepsPerMonth;
+    if (contribution > 0 && m <= contributionMonths) {
+      baseFlows[step] += contribution / startingValue;
+      totals.contributions += contribution;
+    }
+    if (m > withdrawalStartMonth) {
+      const index = Math.pow(1 + inflation, (m - 1) / 12);
+      withdrawalUnits[step] = index / 12;
+      const amount = monthlyWithdrawal * (indexed ? index : 1);
+      if (amount > 0) {
+        flows[step] -= amount / startingValue;
+        totals.withdrawals += amount;
+      }
+    }
+  }
+
+  // Lump sums: 'YYYY-MM' or 'YYYY-MM-DD', applied at the end of that month
+  let skippedLumpSums = 0;
+  for (const lump of cashFlows.lumpSums || []) {
+    const amount = Number(lump?.amount) || 0;
+    const [year, month] = String(lump?.date || '').split('-').map(Number);
+    if (amount === 0 || !year || !month) continue;
+    const monthsAhead = (year - startDate.getFullYear()) * 12 + (month - 1 - startDate.getMonth());
+    if (monthsAhead < 0 || monthsAhead > months) {
+      skippedLumpSums++;
+      continue;
+    }
+    baseFlows[Math.max(1, monthsAhead) * stepsPerMonth] += amount / startingValue;
+    totals.lumpSums += amount;
+  }
+
+  let hasFlows = false;
+  for (let step = 1; step <= totalSteps; step++) {
+    flows[step] += baseFlows[step];
+    if (flows[step] !== 0) hasFlows = true;
+  }
+
+  return { flows, baseFlows, withdrawalUnits, hasFlows, totals, skippedLumpSums };
+};
+
+// ============================================================================
+// RANDOM DRAWS
+// ============================================================================
+
+/**
+ * Halton point with the same index scrambling the inline engine used
+ * (offset each dimension by 100 so low dimensions don't line up)
+ * @param {number} index - Global path index
+ * @param {number} dimensions - Dimensions to fill
+ * @param {Float64Array|number[]} out - Output buffer
+ * @returns {Float64Array|number[]} out
+ */
+export const haltonPoint = (index, dimensions, out) => {
+  for (let d = 0; d < dimensions; d++) {
+    out[d] = haltonValue(index + 1 + d * 100, PRIMES[d % PRIMES.length]);
+  }
+  return out;
+};
+
+const clampUniform = (u) => Math.max(0.0001, Math.min(0.9999, u));
+
+/**
+ * Apply the skew-normal style skew transform used throughout the engine
+ */
+const applySkew = (x, skew) => {
+  if (Math.abs(skew) <= 0.01) return x;
+  const delta = skew / Math.sqrt(1 + skew * skew);
+  return x * Math.sqrt(1 - delta * delta) + delta * Math.abs(x) - delta * Math.sqrt(2 / Math.PI);
+};
+
+/**
+ * Draw one year of correlated asset returns into ctx.annualReturns.
+ * Mirrors the single-period engine: multivariate-t (shared chi-squared) when
+ * selected and tails are fat, otherwise per-asset Student-t via Gaussian copula.
+ */
+const drawAnnualReturns = (ctx, qmcIndex, useQmc) => {
+  const { n, L, annualMu, annualSigma, skews, tailDfs, useMultivariateT, sharedDf, z, correlatedZ, uniforms, annualReturns, sign, bonds } = ctx;
+
+  // sign = -1 on antithetic mirror paths (for Halton points: u -> 1 - u)
+  if (useQmc) {
+    haltonPoint(qmcIndex, n + 1, uniforms);
+    for (let i = 0; i < n; i++) z[i] = sign * normalInvCDF(clampUniform(uniforms[i]));
+  } else {
+    for (let i = 0; i < n; i++) z[i] = sign * boxMuller();
+  }
+
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let j = 0; j <= i; j++) sum += L[i * n + j] * z[j];
+    correlatedZ[i] = sum || 0;
+  }
+
+  if (useMultivariateT && sharedDf < 30) {
+    const chiSquared = useQmc
+      ? Math.max(0.01, inverseChiSquaredCDF(clampUniform(uniforms[n]), sharedDf))
+      : generateChiSquared(sharedDf);
+    const scaleFactor = Math.sqrt(sharedDf / chiSquared);
+    const varianceCorrection = sharedDf > 2 ? Math.sqrt((sharedDf - 2) / sharedDf) : 1;
+
+    for (let i = 0; i < n; i++) {
+      let transformed = applySkew(correlatedZ[i] * scaleFactor * varianceCorrection, skews[i] || 0);
+      if (!isFinite(transformed)) transformed = 0;
+      transformed = Math.max(-8, Math.min(8, transformed));
+      annualReturns[i] = Math.max(-1, Math.min(10, (annualMu[i] || 0) + transformed * (annualSigma[i] || 0.2)));
+    }
+  } else {
+    for (let i = 0; i < n; i++) {
+      let transformed = Math.max(-6, Math.min(6, correlatedZ[i]));
+      const df = tailDfs[i] || 30;
+      if (df < 30) {
+        transformed = studentTInvCDF(normalCDF(transformed), df);
+        if (df > 2) transformed *= Math.sqrt((df - 2) / df);
+      }
+      if (!isFinite(transformed)) transformed = correlatedZ[i];
+      transformed = applySkew(Math.max(-6, Math.min(6, transformed)), skews[i] || 0);
+      if (!isFinite(transformed)) transformed = 0;
+      transformed = Math.max(-6, Math.min(6, transformed));
+      annualReturns[i] = Math.max(-1, Math.min(10, (annualMu[i] || 0) + transformed * (annualSigma[i] || 0.2)));
+    }
+  }
+
+  // Bonds: the correlated normal is a (Gaussian) yield move, not a return draw
+  if (bonds) {
+    for (let i = 0; i < n; i++) {
+      if (!bonds.isBond[i]) continue;
+      const spreadShock = bonds.spreadVol[i] > 0 ? drawSpreadShock(sign) : 0;
+      annualReturns[i] = Math.min(10, bondAnnualReturn(bonds, i, Math.max(-6, Math.min(6, correlatedZ[i])), spreadShock));
+    }
+  }
+};
+
+// ============================================================================
+// BATCH RUNNER
+// ============================================================================
+
+/**
+ * Simulate a batch of time-stepped portfolio paths
+ *
+ * @param {Object} params
+ * @param {number} params.numPaths - Paths in this batch
+ * @param {number} [params.startPath=0] - Global index of the first path (QMC offset)
+ * @param {number} params.n - Number of positions
+ * @param {number[]} params.L - Flattened lower-triangular Cholesky factor (row-major)
+ * @param {number[]} params.annualMu - Annual expected return per position
+ * @param {number[]} params.annualSigma - Annual volatility per position
+ * @param {number[]} params.skews - Skew parameter per position
+ * @param {number[]} params.tailDfs - Tail degrees of freedom per position
+ * @param {number[]} params.adjustedWeights - NAV-relative (signed, levered) weights
+ * @param {number} params.effectiveCashWeight - Cash weight relative to NAV (negative = margin)
+ * @param {number} params.cashRate - Annual cash / margin rate
+ * @param {Object} [params.cashFx] - FX risk of the USD cash leg in a non-USD base:
+ *   { vol, loadings, idio }, its shock is Σ loadingsⱼ zⱼ + idio · ε on the holdings'
+ *   normals (null = cash only earns cashRate)
+ * @param {string} params.fatTailMethod - 'multivariateTStudent' | 'gaussianCopula'
+ * @param {boolean} params.useQmc - Use Halton points for the first-year draws
+ * @param {number} params.horizonYears - Horizon in whole years
+ * @param {number} params.stepsPerYear - 12 (monthly) or 252 (daily)
+ * @param {number} [params.fanSampleSize=0] - Paths from this batch to record for the fan chart
+ * @param {number[]} [params.cashFlows] - Per-step flows as fractions of starting value (buildCashFlowSchedule().flows)
+ * @param {number[]} [params.baseCashFlows] - Per-step flows excluding the withdrawal (for the SWR curve)
+ * @param {number[]} [params.withdrawalUnits] - Per-step indexed installment of a 1.0 annual withdrawal
+ * @param {number[]} [params.swrRates=[]] - Annual withdrawal rates to test alongside each path
+ * @param {Object} [params.rebalancing] - { mode: 'none'|'calendar'|'bands', frequency: 'monthly'|'quarterly'|'annual' }
+ * @param {number[]} [params.targetWeights] - NAV-relative rebalancing targets (defaults to adjustedWeights)
+ * @param {number[]} [params.bandLower] - Lower weight bound per position (bands mode)
+ * @param {number[]} [params.bandUpper] - Upper weight bound per position (bands mode)
+ * @param {number|null} [params.seed] - PRNG seed; each path reseeds with its global index,
+ *   so results do not depend on how paths are split across workers
+ * @param {boolean} [params.antithetic=false] - Run paths as antithetic pairs (2k, 2k+1)
+ * @param {boolean} [params.controlVariate=false] - Record the Gaussian first-year control per path
+ * @param {Object} [params.bonds] - Bond parameters from buildBondSimParams() (null = no bonds)
+ * @param {Object} [params.options] - Option positions from buildOptionSimParams():
+ *   { underlying, isCall, moneyness, expiryYears, vol, units, rate } (arrays except rate)
+ * @param {Object} [params.taxes] - Taxable-account parameters from buildTaxSimParams():
+ *   { rates, yields, ordinary, lots: {asset, shares, cost, ltStep} } (null = pre-tax only)
+ * @returns {{
+ *   terminalReturns: number[],
+ *   bhTerminalReturns: number[],
+ *   turnover: number[],
+ *   rebalanceCounts: number[],
+ *   terminalWealth: number[],
+ *   ruinSteps: number[],
+ *   maxDrawdowns: number[],
+ *   recoverySteps: number[],
+ *   swrSurvivors: number[],
+ *   controls: number[],
+ *   controlMean: number|null,
+ *   fanValues: Float32Array,
+ *   fanSampleSize: number,
+ *   checkpointSteps: Int32Array,
+ *   tax: Object|null,
+ * }} terminalReturns are investment (time-weighted) returns of the chosen policy;
+ *   bhTerminalReturns / turnover / rebalanceCounts are empty without rebalancing;
+ *   terminalWealth is the NAV multiple including cash flows; ruinSteps is -1 when never ruined;
+ *   controls is empty without the control variate (and in regime mode, which has no annual draw);
+ *   tax holds per-path afterTaxWealth, liquidationWealth, dividendTax, gainsTax, incomeTax and
+ *   liquidationTax (NAV multiples) for taxable accounts
+ */
+export const runPathSimulationBatch = (params) => {
+  const {
+    numPaths,
+    startPath = 0,
+    n,
+    L,
+    annualMu,
+    annualSigma,
+    skews,
+    tailDfs,
+    adjustedWeights,
+    effectiveCashWeight = 0,
+    cashRate = 0,
+    cashFx = null,
+    fatTailMethod = 'multivariateTStudent',
+    useQmc = false,
+    horizonYears = 1,
+    stepsPerYear = STEPS_PER_YEAR.monthly,
+    fanSampleSize = 0,
+    cashFlows = null,
+    baseCashFlows = null,
+    withdrawalUnits = null,
+    swrRates = [],
+    rebalancing = null,
+    targetWeights = null,
+    bandLower = null,
+    bandUpper = null,
+    regimes = null,
+    garch = null,
+    seed = null,
+    antithetic = false,
+    controlVariate = false,
+    bonds = null,
+    options = null,
+    taxes = null,
+  } = params;
+
+  const years = Math.max(1, Math.round(horizonYears));
+  const K = stepsPerYear;
+  const totalSteps = years * K;
+  const invSqrtK = 1 / Math.sqrt(K);
+  const checkpointSteps = buildCheckpointSteps(totalSteps);
+  const numCheckpoints = checkpointSteps.length;
+  const sampleSize = Math.min(numPaths, Math.max(0, fanSampleSize));
+
+  const validDfs = tailDfs.filter(d => d > 0 && d < 100);
+  const ctx = {
+    n,
+    L,
+    annualMu,
+    annualSigma,
+    skews,
+    tailDfs,
+    useMultivariateT: fatTailMethod === 'multivariateTStudent',
+    sharedDf: validDfs.length > 0 ? Math.min(...validDfs) : 30,
+    z: new Float64Array(n),
+    correlatedZ: new Float64Array(n),
+    uniforms: new Float64Array(n + 1),
+    annualReturns: new Float64Array(n),
+    sign: 1,
+    bonds,
+  };
+
+  // Log-space volatility of each asset's annual gross return (lognormal match)
+  const logVol = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const sigma = annualSigma[i] || 0.2;
+    const growth = Math.max(0.05, 1 + (annualMu[i] || 0));
+    logVol[i] = Math.sqrt(Math.log(1 + (sigma * sigma) / (growth * growth)));
+  }
+
+  const weights = new Float64Array(n);
+  for (let i = 0; i < n; i++) weights[i] = adjustedWeights[i] || 0;
+  const cashWeight = effectiveCashWeight || 0;
+  const cashStepGrowth = Math.pow(Math.max(0.01, 1 + (cashRate || 0)), 1 / K);
+
+  // Cash held in USD under another base currency also moves with the dollar:
+  // a driftless lognormal FX level whose shock is one more row of the Cholesky
+  // factor, so it stays correlated with the holdings (and their FX legs)
+  const cashFxVol = cashFx?.vol > 0 ? cashFx.vol : 0;
+  const cashFxLogVol = Math.sqrt(Math.log(1 + cashFxVol * cashFxVol));
+  const cashFxLoadings = cashFxVol > 0 ? Float64Array.from(cashFx.loadings || []) : null;
+  const cashFxIdio = cashFxVol > 0 ? cashFx.idio || 0 : 0;
+  const cashFxCum = new Float64Array(cashFxVol > 0 ? K : 0);
+  const cashFxShock = (normals) => {
+    let shock = cashFxIdio * ctx.sign * boxMuller();
+    for (let j = 0; j < n; j++) shock += (cashFxLoadings[j] || 0) * normals[j];
+    return Math.max(-6, Math.min(6, shock));
+  };
+
+  // Rebalanced portfolio: shares of each price index + cash units + a static
+  // remainder (NAV not covered by positions or cash, e.g. short proceeds)
+  const rebalanceMode = rebalancing?.mode || 'none';
+  const rebalances = rebalanceMode === 'calendar' || rebalanceMode === 'bands';
+  const calendarInterval = rebalanceMode === 'calendar'
+    ? Math.max(1, Math.round(K / (REBALANCE_FREQUENCIES[rebalancing.frequency] || REBALANCE_FREQUENCIES.quarterly)))
+    : 0;
+  const targets = new Float64Array(n);
+  const lower = new Float64Array(n);
+  const upper = new Float64Array(n);
+  let residual = 1 - cashWeight;
+  for (let i = 0; i < n; i++) {
+    targets[i] = targetWeights ? (targetWeights[i] || 0) : weights[i];
+    lower[i] = bandLower ? bandLower[i] : -Infinity;
+    upper[i] = bandUpper ? bandUpper[i] : Infinity;
+    residual -= weights[i];
+  }
+  // Options: NAV units × Black-Scholes price per unit of underlying level.
+  // Once expired an option is settled at intrinsic value and held there.
+  const numOptions = options ? options.underlying.length : 0;
+  const optionSettled = new Float64Array(numOptions);
+  const priceOption = (o, level, elapsedYears) => options.units[o] * europeanOptionPrice(
+    options.isCall[o] === 1,
+    level,
+    options.moneyness[o],
+    options.expiryYears[o] - elapsedYears,
+    options.vol[o],
+    options.rate || 0
+  );
+  let optionsStartValue = 0;
+  for (let o = 0; o < numOptions; o++) optionsStartValue += priceOption(o, 1, 0);
+  residual -= optionsStartValue;
+
+  const shares = new Float64Array(n);
+  const levels = new Float64Array(n);
+  const bhTerminalReturns = new Float64Array(rebalances ? numPaths : 0);
+  const turnover = new Float64Array(rebalances ? numPaths : 0);
+  const rebalanceCounts = new Int32Array(rebalances ? numPaths : 0);
+
+  const terminalReturns = new Float64Array(numPaths);
+  const maxDrawdowns = new Float64Array(numPaths);
+  const recoverySteps = new Int32Array(numPaths);
+  const fanValues = new Float32Array(sampleSize * numCheckpoints);
+
+  const hasFlows = !!cashFlows && cashFlows.length > totalSteps;
+  const numRates = withdrawalUnits && baseCashFlows ? swrRates.length : 0;
+  const swrHoldings = new Float64Array(numRates);
+  const swrAlive = new Uint8Array(numRates);
+  const swrSurvivors = new Int32Array(numRates);
+  const terminalWealth = new Float64Array(numPaths);
+  const ruinSteps = new Int32Array(numPaths);
+
+  const logReturns = new Float64Array(n);
+  const priceIndex = new Float64Array(n);
+  const cumShocks = new Float64Array(K * n);
+  const stepZ = new Float64Array(n);
+
+  // Regime-switching mode: each step draws from the current regime's
+  // lognormal, then the hidden state moves along the step transition matrix
+  const regimeMode = !!regimes && regimes.numStates > 1;
+  const numRegimes = regimeMode ? regimes.numStates : 0;
+  const regimeSteps = new Float64Array(numRegimes);
+  // GARCH variance ratios (h / long-run h), aggregated from daily to step
+  // frequency: h' = 1 + p^D (h − 1) + h·e·(1 − p^D) / ((1 − p)√D), where
+  // e = (α + γ·1{z<0})·z² − (α + γ/2) has mean zero. Exact for daily steps.
+  const useGarch = !!garch && !regimeMode;
+  const daysPerStep = 252 / K;
+  const garchDecay = new Float64Array(n);
+  const garchImpact = new Float64Array(n);
+  const varRatio = new Float64Array(n);
+  const yearVarScale = new Float64Array(n);
+  const rawCum = new Float64Array(n);
+  const logCenter = new Float64Array(n);
+  if (useGarch) {
+    for (let i = 0; i < n; i++) {
+      const p = Math.min(0.998, Math.max(0, garch.persistence[i] || 0));
+      garchDecay[i] = Math.pow(p, daysPerStep);
+      garchImpact[i] = p > 0 ? (1 - garchDecay[i]) / ((1 - p) * Math.sqrt(daysPerStep)) : 0;
+      const growth = Math.max(0.05, 1 + (annualMu[i] || 0));
+      logCenter[i] = Math.log(growth) - 0.5 * logVol[i] * logVol[i];
+    }
+  }
+
+  // Control variate: Gaussian-model portfolio return of the first-year draw,
+  // with analytic mean Σ wᵢμᵢ + cash (not available in regime mode)
+  const recordsControls = controlVariate && !regimeMode;
+  const controls = new Float64Array(recordsControls ? numPaths : 0);
+  let controlMean = cashWeight * (cashRate || 0);
+  for (let i = 0; i < n; i++) controlMean += weights[i] * (annualMu[i] || 0);
+
+  // Antithetic pairs share the stream of path 2k; unseeded batches get one
+  // seed so partners inside the batch still line up
+  const streamSeed = seed ?? (antithetic ? generateSeed() : null);
+
+  // Taxable account: FIFO lots per position in price-index shares. Each
+  // position owns a block of lotCapacity slots (opening lots plus at most one
+  // buy per step). divBasis accumulates reinvested income per share, so a
+  // lot's cost per share is cost / shares + divBasis − its divBasis at purchase.
+  const taxed = !!taxes;
+  const taxRates = taxes?.rates;
+  const openingLots = taxed ? taxes.lots.asset.length : 0;
+  const lotCapacity = taxed ? openingLots + totalSteps + 1 : 0;
+  const lotShares = new Float64Array(n * lotCapacity);
+  const lotCost = new Float64Array(n * lotCapacity);
+  const lotAdj = new Float64Array(n * lotCapacity);
+  const lotLtStep = new Int32Array(n * lotCapacity);
+  const lotHead = new Int32Array(taxed ? n : 0);
+  const lotEnd = new Int32Array(taxed ? n : 0);
+  const heldShares = new Float64Array(taxed ? n : 0);
+  const divBasis = new Float64Array(taxed ? n : 0);
+  const taxAfterWealth = new Float64Array(taxed ? numPaths : 0);
+  const taxLiquidation = new Float64Array(taxed ? numPaths : 0);
+  const taxDividends = new Float64Array(taxed ? numPaths : 0);
+  const taxGains = new Float64Array(taxed ? numPaths : 0);
+  const taxIncome = new Float64Array(taxed ? numPaths : 0);
+  const taxLiquidationDue = new Float64Array(taxed ? numPaths : 0);
+  let shortTermGain = 0;
+  let longTermGain = 0;
+  let lossCarry = 0;
+
+  // Bring position i to target shares: buy a new lot or sell FIFO, booking gains
+  const tradeLots = (i, target, level, step) => {
+    const have = heldShares[i];
+    if (target > have + 1e-12) {
+      const idx = lotEnd[i];
+      const bought = target - have;
+      if (idx < (i + 1) * lotCapacity) {
+        lotShares[idx] = bought;
+        lotCost[idx] = bought * level;
+        lotAdj[idx] = divBasis[i];
+        lotLtStep[idx] = step + K;
+        lotEnd[i] = idx + 1;
+      } else {
+        lotCost[idx - 1] += bought * level;
+        lotShares[idx - 1] += bought;
+      }
+    } else if (target < have - 1e-12) {
+      let remaining = have - target;
+      let idx = lotHead[i];
+      while (remaining > 1e-15 && idx < lotEnd[i]) {
+        const held = lotShares[idx];
+        const sold = Math.min(held, remaining);
+        const costSold = lotCost[idx] * (sold / held);
+        const gain = sold * level - costSold - sold * (divBasis[i] - lotAdj[idx]);
+        if (step > lotLtStep[idx]) longTermGain += gain;
+        else shortTermGain += gain;
+        lotCost[idx] -= costSold;
+        lotShares[idx] = held - sold;
+        remaining -= sold;
+        if (lotShares[idx] <= 1e-15) idx++;
+      }
+      lotHead[i] = idx;
+    }
+    heldShares[i] = Math.max(0, target);
+  };
+
+  // Net short- and long-term results against each other and the carryforward
+  const capitalGainsTax = (st, lt) => {
+    if (st < 0 && lt > 0) {
+      lt += st;
+      st = Math.min(0, lt);
+      lt = Math.max(0, lt);
+    } else if (lt < 0 && st > 0) {
+      st += lt;
+      lt = Math.min(0, st);
+      st = Math.max(0, st);
+    }
+    let carry = lossCarry + Math.max(0, -st) + Math.max(0, -lt);
+    st = Math.max(0, st);
+    lt = Math.max(0, lt);
+    const stOffset = Math.min(carry, st);
+    st -= stOffset;
+    carry -= stOffset;
+    const ltOffset = Math.min(carry, lt);
+    lt -= ltOffset;
+    carry -= ltOffset;
+    lossCarry = carry;
+    return st * taxRates.shortTerm + lt * taxRates.longTerm;
+  };
+
+  const sampleRegime = (probs, offset) => {
+    let u = random();
+    for (let s = 0; s < numRegimes - 1; s++) {
+      u -= probs[offset + s];
+      if (u < 0) return s;
+    }
+    return numRegimes - 1;
+  };
+
+  for (let pathIdx = 0; pathIdx < numPaths; pathIdx++) {
+    const globalPath = startPath + pathIdx;
+    const sign = antithetic && globalPath % 2 === 1 ? -1 : 1;
+    ctx.sign = sign;
+    if (streamSeed != null) seedRandom(streamSeed, antithetic ? globalPath >> 1 : globalPath);
+    const recordFan = pathIdx < sampleSize;
+    const fanOffset = pathIdx * numCheckpoints;
+    let nextCheckpoint = 0;
+
+    for (let i = 0; i < n; i++) {
+      priceIndex[i] = 1;
+      levels[i] = 1;
+    }
+    let regime = regimeMode ? sampleRegime(regimes.initialProbs, 0) : 0;
+    if (useGarch) {
+      for (let i = 0; i < n; i++) varRatio[i] = garch.initialVarRatio[i] || 1;
+    }
+    for (let o = 0; o < numOptions; o++) optionSettled[o] = NaN;
+    let cashLevel = 1;
+    let cashCarry = 1;
+    let cashFxIndex = 1;
+    let cashFxLog = 0;
+    let value = 1;
+    let ruined = false;
+    let bhValue = 1;
+    let bhRuined = false;
+    let cashUnits = cashWeight;
+    let traded = 0;
+    let rebalanceCount = 0;
+    for (let i = 0; i < n; i++) shares[i] = weights[i];
+    let peak = 1;
+    let maxDD = 0;
+    let ddPeak = 1;
+    let troughStep = 0;
+    let recoveredAt = -1;
+    let units = 1;
+    let wealth = 1;
+    let ruinStep = -1;
+    for (let r = 0; r < numRates; r++) {
+      swrHoldings[r] = 1;
+      swrAlive[r] = 1;
+    }
+    let taxUnits = 1;
+    let taxRuined = false;
+    let dividendIncome = 0;
+    let ordinaryIncome = 0;
+    if (taxed) {
+      for (let i = 0; i < n; i++) {
+        lotHead[i] = i * lotCapacity;
+        lotEnd[i] = i * lotCapacity;
+        heldShares[i] = 0;
+        divBasis[i] = 0;
+      }
+      for (let l = 0; l < openingLots; l++) {
+        const i = taxes.lots.asset[l];
+        const idx = lotEnd[i]++;
+        lotShares[idx] = taxes.lots.shares[l];
+        lotCost[idx] = taxes.lots.cost[l];
+        lotAdj[idx] = 0;
+        lotLtStep[idx] = taxes.lots.ltStep[l];
+        heldShares[i] += taxes.lots.shares[l];
+      }
+      shortTermGain = 0;
+      longTermGain = 0;
+      lossCarry = 0;
+    }
+
+    if (recordFan) fanValues[fanOffset + nextCheckpoint] = 1;
+    nextCheckpoint++;
+
+    for (let y = 0; y < years; y++) {
+      // QMC only stratifies the first year: Halton points at a fixed stride
+      // share their low-order digits, so later years would repeat year one
+      if (!regimeMode) {
+        drawAnnualReturns(ctx, antithetic ? globalPath >> 1 : globalPath, useQmc && y === 0);
+        const fxZ = cashFxVol > 0 ? cashFxShock(ctx.z) : 0;
+        cashFxLog = -0.5 * cashFxLogVol * cashFxLogVol + cashFxLogVol * fxZ;
+        if (recordsControls && y === 0) {
+          let control = controlMean + cashWeight * cashFxVol * fxZ;
+          for (let i = 0; i < n; i++) control += weights[i] * (annualSigma[i] || 0.2) * ctx.correlatedZ[i];
+          controls[pathIdx] = control;
+        }
+        for (let i = 0; i < n; i++) {
+          logReturns[i] = Math.log(Math.max(1e-6, 1 + ctx.annualReturns[i]));
+        }
+      }
+
+      // Correlated step shocks, accumulated for the bridge
+      for (let k = 0; k < K && !regimeMode; k++) {
+        for (let j = 0; j < n; j++) stepZ[j] = sign * boxMuller();
+        const row = k * n;
+        const prevRow = row - n;
+        for (let i = 0; i < n; i++) {
+          let sum = 0;
+          for (let j = 0; j <= i; j++) sum += L[i * n + j] * stepZ[j];
+          cumShocks[row + i] = (k > 0 ? cumShocks[prevRow + i] : 0) + (sum || 0);
+        }
+        if (cashFxVol > 0) cashFxCum[k] = (k > 0 ? cashFxCum[k - 1] : 0) + cashFxShock(stepZ);
+      }
+
+      // Volatility clustering: scale each step shock by the current GARCH
+      // vol ratio, then stretch the annual draw by the year's variance ratio
+      if (useGarch) {
+        for (let i = 0; i < n; i++) yearVarScale[i] = 0;
+        for (let k = 0; k < K; k++) {
+          const row = k * n;
+          for (let i = 0; i < n; i++) {
+            const stepShock = cumShocks[row + i] - (k > 0 ? rawCum[i] : 0);
+            rawCum[i] = cumShocks[row + i];
+            const ratio = varRatio[i];
+            yearVarScale[i] += ratio;
+            cumShocks[row + i] = (k > 0 ? cumShocks[row - n + i] : 0) + Math.sqrt(ratio) * stepShock;
+
+            const shockWeight = (garch.alpha[i] || 0) + (stepShock < 0 ? (garch.gamma[i] || 0) : 0);
+            const innovation = shockWeight * stepShock * stepShock - (garch.alpha[i] || 0) - 0.5 * (garch.gamma[i] || 0);
+            const next = 1 + garchDecay[i] * (ratio - 1) + ratio * innovation * garchImpact[i];
+            varRatio[i] = Math.min(25, Math.max(0.05, next));
+          }
+        }
+        for (let i = 0; i < n; i++) {
+          const scale2 = yearVarScale[i] / K;
+          const scale = Math.sqrt(scale2);
+          logReturns[i] = logCenter[i] + scale * (logReturns[i] - logCenter[i]) - 0.5 * (scale2 - 1) * logVol[i] * logVol[i];
+        }
+      }
+
+      const lastRow = (K - 1) * n;
+      for (let k = 1; k <= K; k++) {
+        const step = y * K + k;
+        const frac = k / K;
+
+        if ((!ruined || !bhRuined) && regimeMode) {
+          if (step > 1) regime = sampleRegime(regimes.transition, regime * numRegimes);
+          regimeSteps[regime]++;
+          const lOffset = regime * n * n;
+          const mOffset = regime * n;
+          for (let j = 0; j < n; j++) stepZ[j] = sign * boxMuller();
+          for (let i = 0; i < n; i++) {
+            let shock = 0;
+            for (let j = 0; j <= i; j++) shock += regimes.L[lOffset + i * n + j] * stepZ[j];
+            levels[i] *= Math.exp(regimes.drift[mOffset + i] + regimes.vol[mOffset + i] * (shock || 0));
+          }
+          cashCarry *= cashStepGrowth;
+          if (cashFxVol > 0) {
+            cashFxIndex *= Math.exp(cashFxLogVol * (cashFxShock(stepZ) * invSqrtK - 0.5 * cashFxLogVol / K));
+          }
+          cashLevel = cashCarry * cashFxIndex;
+        } else if (!ruined || !bhRuined) {
+          const row = (k - 1) * n;
+          for (let i = 0; i < n; i++) {
+            const bridge = (cumShocks[row + i] - frac * cumShocks[lastRow + i]) * invSqrtK;
+            levels[i] = priceIndex[i] * Math.exp(frac * logReturns[i] + logVol[i] * bridge);
+          }
+          cashCarry *= cashStepGrowth;
+          cashLevel = cashCarry;
+          if (cashFxVol > 0) {
+            const bridge = (cashFxCum[k - 1] - frac * cashFxCum[K - 1]) * invSqrtK;
+            cashLevel *= cashFxIndex * Math.exp(frac * cashFxLog + cashFxLogVol * bridge);
+          }
+        }
+
+        let optionsValue = 0;
+        if (numOptions > 0 && (!ruined || !bhRuined)) {
+          const elapsedYears = step / K;
+          for (let o = 0; o < numOptions; o++) {
+            const level = levels[options.underlying[o]];
+            if (elapsedYears < options.expiryYears[o]) {
+              optionsValue += priceOption(o, level, elapsedYears);
+            } else {
+              if (Number.isNaN(optionSettled[o])) optionSettled[o] = priceOption(o, level, options.expiryYears[o]);
+              optionsValue += optionSettled[o];
+            }
+          }
+        }
+
+        if (!bhRuined) {
+          let positionsPnl = optionsValue - optionsStartValue;
+          for (let i = 0; i < n; i++) positionsPnl += weights[i] * (levels[i] - 1);
+          bhValue = 1 + positionsPnl + cashWeight * (cashLevel - 1);
+          if (!isFinite(bhValue) || bhValue <= 0) {
+            bhValue = 0;
+            bhRuined = true;
+          }
+        }
+
+        if (!rebalances) {
+          value = bhValue;
+          ruined = bhRuined;
+        } else if (!ruined) {
+          let held = 0;
+          for (let i = 0; i < n; i++) held += shares[i] * levels[i];
+          value = held + cashUnits * cashLevel + residual + optionsValue;
+          if (!isFinite(value) || value <= 0) {
+            value = 0;
+            ruined = true;
+          } else if (step < totalSteps) {
+            let due = calendarInterval > 0 && step % calendarInterval === 0;
+            if (!due && rebalanceMode === 'bands') {
+              for (let i = 0; i < n; i++) {
+                const w = (shares[i] * levels[i]) / value;
+                if (w < lower[i] || w > upper[i]) {
+                  due = true;
+                  break;
+                }
+              }
+            }
+            if (due) {
+              let positionsValue = 0;
+              let tradeValue = 0;
+              for (let i = 0; i < n; i++) {
+                const holding = targets[i] * value;
+                tradeValue += Math.abs(holding - shares[i] * levels[i]);
+                shares[i] = levels[i] > 0 ? holding / levels[i] : 0;
+                positionsValue += holding;
+              }
+              cashUnits = (value - positionsValue - residual - optionsValue) / cashLevel;
+              traded += tradeValue / value;
+              rebalanceCount++;
+            }
+          }
+        }
+
+        // Path-dependent drawdown and recovery of the deepest drawdown
+        if (value > peak) peak = value;
+        const dd = peak > 0 ? (peak - value) / peak : 0;
+        if (dd > maxDD) {
+          maxDD = dd;
+          ddPeak = peak;
+          troughStep = step;
+          recoveredAt = -1;
+        } else if (recoveredAt < 0 && maxDD > 0 && value >= ddPeak) {
+          recoveredAt = step;
+        }
+
+        // Wealth = units held × invested NAV; flows buy or redeem units pro rata
+        if (ruinStep < 0) {
+          wealth = units * value;
+          if (hasFlows && cashFlows[step] !== 0) {
+            wealth += cashFlows[step];
+            if (wealth > 0 && value > 0) units = wealth / value;
+          }
+          if (!(wealth > 0)) {
+            wealth = 0;
+            ruinStep = step;
+          }
+        }
+
+        // After-tax account: same holdings scaled by taxUnits, which flows
+        // and tax payments move; lots follow every change in shares
+        if (taxed && !taxRuined) {
+          if (!(value > 0)) {
+            taxRuined = true;
+          } else {
+            const cashValue = rebalances ? cashUnits * cashLevel : cashWeight * cashLevel;
+            if (cashValue > 0) ordinaryIncome += taxUnits * cashValue * (1 - 1 / cashStepGrowth);
+            for (let i = 0; i < n; i++) {
+              if (!(heldShares[i] > 0) || !(taxes.yields[i] > 0)) continue;
+              const perShare = levels[i] * taxes.yields[i] / K;
+              divBasis[i] += perShare;
+              if (taxes.ordinary[i]) ordinaryIncome += heldShares[i] * perShare;
+              else dividendIncome += heldShares[i] * perShare;
+            }
+
+            if (hasFlows && cashFlows[step] !== 0) taxUnits += cashFlows[step] / value;
+
+            if (step % K === 0) {
+              const dividendTax = dividendIncome * taxRates.dividend;
+              const incomeTax = ordinaryIncome * taxRates.income;
+              const gainsTax = capitalGainsTax(shortTermGain, longTermGain);
+              taxDividends[pathIdx] += dividendTax;
+              taxIncome[pathIdx] += incomeTax;
+              taxGains[pathIdx] += gainsTax;
+              taxUnits -= (dividendTax + incomeTax + gainsTax) / value;
+              dividendIncome = 0;
+              ordinaryIncome = 0;
+              shortTermGain = 0;
+              longTermGain = 0;
+            }
+
+            if (!(taxUnits > 0)) {
+              taxUnits = 0;
+              taxRuined = true;
+            }
+            for (let i = 0; i < n; i++) {
+              tradeLots(i, taxUnits * (rebalances ? shares[i] : weights[i]), levels[i], step);
+            }
+          }
+        }
+
+        // Safe-withdrawal-rate candidates ride the same path
+        if (numRates > 0 && (withdrawalUnits[step] !== 0 || baseCashFlows[step] !== 0)) {
+          for (let r = 0; r < numRates; r++) {
+            if (!swrAlive[r]) continue;
+            const w = swrHoldings[r] * value + baseCashFlows[step] - swrRates[r] * withdrawalUnits[step];
+            if (w > 0 && value > 0) swrHoldings[r] = w / value;
+            else swrAlive[r] = 0;
+          }
+        }
+
+        if (nextCheckpoint < numCheckpoints && step === checkpointSteps[nextCheckpoint]) {
+          if (recordFan) fanValues[fanOffset + nextCheckpoint] = wealth;
+          nextCheckpoint++;
+        }
+      }
+
+      if (!regimeMode) {
+        for (let i = 0; i < n; i++) priceIndex[i] *= Math.exp(logReturns[i]);
+        cashFxIndex *= Math.exp(cashFxLog);
+      }
+    }
+
+    terminalReturns[pathIdx] = value - 1;
+    if (rebalances) {
+      bhTerminalReturns[pathIdx] = bhValue - 1;
+      turnover[pathIdx] = traded / years;
+      rebalanceCounts[pathIdx] = rebalanceCount;
+    }
+    terminalWealth[pathIdx] = wealth;
+    ruinSteps[pathIdx] = ruinStep;
+    for (let r = 0; r < numRates; r++) {
+      if (swrAlive[r] && swrHoldings[r] * value > 0) swrSurvivors[r]++;
+    }
+    if (taxed) {
+      // Liquidate at the horizon: this year's realized results plus every open lot
+      let st = shortTermGain;
+      let lt = longTermGain;
+      if (!taxRuined) {
+        for (let i = 0; i < n; i++) {
+          for (let idx = lotHead[i]; idx < lotEnd[i]; idx++) {
+            const gain = lotShares[idx] * (levels[i] - divBasis[i] + lotAdj[idx]) - lotCost[idx];
+            if (totalSteps > lotLtStep[idx]) lt += gain;
+            else st += gain;
+          }
+        }
+      }
+      const afterTax = taxRuined ? 0 : taxUnits * value;
+      const liquidationTax = taxRuined ? 0 : Math.min(afterTax, capitalGainsTax(st, lt));
+      taxAfterWealth[pathIdx] = afterTax;
+      taxLiquidationDue[pathIdx] = liquidationTax;
+      taxLiquidation[pathIdx] = afterTax - liquidationTax;
+    }
+    maxDrawdowns[pathIdx] = Math.max(0, Math.min(1, maxDD));
+    recoverySteps[pathIdx] = maxDD === 0 ? 0 : (recoveredAt >= 0 ? recoveredAt - troughStep : -1);
+  }
+
+  return {
+    terminalReturns: Array.from(terminalReturns),
+    bhTerminalReturns: Array.from(bhTerminalReturns),
+    turnover: Array.from(turnover),
+    rebalanceCounts: Array.from(rebalanceCounts),
+    terminalWealth: Array.from(terminalWealth),
+    ruinSteps: Array.from(ruinSteps),
+    maxDrawdowns: Array.from(maxDrawdowns),
+    recoverySteps: Array.from(recoverySteps),
+    swrSurvivors: Array.from(swrSurvivors),
+    regimeSteps: Array.from(regimeSteps),
+    controls: Array.from(controls),
+    controlMean: recordsControls ? controlMean : null,
+    fanValues,
+    fanSampleSize: sampleSize,
+    checkpointSteps,
+    tax: taxed ? {
+      afterTaxWealth: Array.from(taxAfterWealth),
+      liquidationWealth: Array.from(taxLiquidation),
+      dividendTax: Array.from(taxDividends),
+      gainsTax: Array.from(taxGains),
+      incomeTax: Array.from(taxIncome),
+      liquidationTax: Array.from(taxLiquidationDue),
+    } : null,
+  };
+};
+
+// ============================================================================
+// RESULT SUMMARIES
+// ============================================================================
+
+const sortedPercentile = (sorted, p) => sorted[Math.min(Math.floor(sorted.length * p), sorted.length - 1)];
+
+/**
+ * Percentile bands of portfolio value over time from sampled paths
+ *
+ * @param {Float32Array[]} fanBatches - fanValues from each batch
+ * @param {number[]} sampleSizes - fanSampleSize from each batch
+ * @param {Int32Array|number[]} checkpointSteps - Step index of each checkpoint
+ * @param {number} stepsPerYear - Steps per year
+ * @returns {{times: number[], p5: number[], p25: number[], p50: number[], p75: number[], p95: number[], sampleSize: number}|null}
+ *   Values are multiples of starting NAV (1.0 = unchanged)
+ */
+export const computeFanChart = (fanBatches, sampleSizes, checkpointSteps, stepsPerYear) => {
+  const numCheckpoints = checkpointSteps?.length || 0;
+  const totalSamples = sampleSizes.reduce((s, v) => s + (v || 0), 0);
+  if (numCheckpoints === 0 || totalSamples === 0) return null;
+
+  const fan = { times: [], p5: [], p25: [], p50: [], p75: [], p95: [], sampleSize: totalSamples };
+  const column = new Float64Array(totalSamples);
+
+  for (let c = 0; c < numCheckpoints; c++) {
+    let idx = 0;
+    for (let b = 0; b < fanBatches.length; b++) {
+      const values = fanBatches[b];
+      for (let p = 0; p < (sampleSizes[b] || 0); p++) {
+        column[idx++] = values[p * numCheckpoints + c];
+      }
+    }
+    column.sort();
+    fan.times.push(checkpointSteps[c] / stepsPerYear);
+    fan.p5.push(sortedPercentile(column, 0.05));
+    fan.p25.push(sortedPercentile(column, 0.25));
+    fan.p50.push(sortedPercentile(column, 0.50));
+    fan.p75.push(sortedPercentile(column, 0.75));
+    fan.p95.push(sortedPercentile(column, 0.95));
+  }
+
+  return fan;
+};
+
+/**
+ * Time-to-recovery statistics for paths whose max drawdown reached a threshold
+ *
+ * @param {number[]} recoverySteps - Steps from trough back to prior peak (-1 = never)
+ * @param {number[]} maxDrawdowns - Max drawdown per path (0–1)
+ * @param {number} stepsPerYear - Steps per year (converts steps to months)
+ * @param {number} [minDrawdown=0] - Only consider paths with drawdown ≥ this
+ * @returns {{count: number, medianMonths: number|null, p75Months: number|null, p90Months: number|null, probNotRecovered: number}}
+ */
+export const summarizeRecovery = (recoverySteps, maxDrawdowns, stepsPerYear, minDrawdown = 0) => {
+  const monthsPerStep = 12 / stepsPerYear;
+  const recovered = [];
+  let count = 0;
+  let notRecovered = 0;
+
+  for (let i = 0; i < recoverySteps.length; i++) {
+    const dd = maxDrawdowns[i];
+    if (!(dd > 0) || dd < minDrawdown) continue;
+    count++;
+    if (recoverySteps[i] < 0) notRecovered++;
+    else recovered.push(recoverySteps[i] * monthsPerStep);
+  }
+
+  recovered.sort((a, b) => a - b);
+  const pick = (p) => (recovered.length > 0 ? sortedPercentile(recovered, p) : null);
+
+  return {
+    count,
+    medianMonths: pick(0.50),
+    p75Months: pick(0.75),
+    p90Months: pick(0.90),
+    probNotRecovered: count > 0 ? notRecovered / count : 0,
+  };
+};
+
+/**
+ * Compare a rebalancing policy with buy-and-hold on the same paths
+ *
+ * @param {Object} params
+ * @param {number[]} params.terminalReturns - Policy horizon returns per path
+ * @param {number[]} params.bhTerminalReturns - Buy-and-hold horizon returns per path
+ * @param {number[]} params.turnover - Annualized traded notional / NAV per path
+ * @param {number[]} params.rebalanceCounts - Rebalances per path
+ * @param {number} params.horizonYears - Horizon in years
+ * @returns {Object|null} { turnoverAnnual, rebalancesPerYear, bonus: {mean, median}, probOutperform, policyMedian, buyAndHoldMedian }
+ *   Bonus is the annualized (CAGR) return of the policy minus buy-and-hold
+ */
+export const summarizeRebalancing = ({ terminalReturns, bhTerminalReturns, turnover, rebalanceCounts, horizonYears }) => {
+  const total = Math.min(terminalReturns.length, bhTerminalReturns.length);
+  if (total === 0) return null;
+
+  const cagr = (r) => (r <= -1 ? -1 : Math.pow(1 + r, 1 / horizonYears) - 1);
+  const bonuses = new Float64Array(total);
+  const policy = new Float64Array(total);
+  const buyAndHold = new Float64Array(total);
+  let outperform = 0;
+  let turnoverSum = 0;
+  let rebalanceSum = 0;
+
+  for (let i = 0; i < total; i++) {
+    policy[i] = cagr(terminalReturns[i]);
+    buyAndHold[i] = cagr(bhTerminalReturns[i]);
+    bonuses[i] = policy[i] - buyAndHold[i];
+    if (terminalReturns[i] > bhTerminalReturns[i]) outperform++;
+    turnoverSum += turnover[i] || 0;
+    rebalanceSum += rebalanceCounts[i] || 0;
+  }
+
+  const meanBonus = bonuses.reduce((a, b) => a + b, 0) / total;
+  bonuses.sort();
+  policy.sort();
+  buyAndHold.sort();
+
+  return {
+    turnoverAnnual: turnoverSum / total,
+    rebalancesPerYear: rebalanceSum / total / horizonYears,
+    bonus: {
+      mean: meanBonus,
+      median: sortedPercentile(bonuses, 0.5),
+      p5: sortedPercentile(bonuses, 0.05),
+      p95: sortedPercentile(bonuses, 0.95),
+    },
+    probOutperform: outperform / total,
+    policyMedian: sortedPercentile(policy, 0.5),
+    buyAndHoldMedian: sortedPercentile(buyAndHold, 0.5),
+  };
+};
+
+/**
+ * Summarize cash-flow outcomes: ruin, terminal wealth and the SWR curve
+ *
+ * @param {Object} params
+ * @param {number[]} params.terminalWealth - NAV multiple including flows, per path
+ * @param {number[]} params.ruinSteps - Step at which wealth hit zero (-1 = never)
+ * @param {number[]} params.swrSurvivors - Surviving paths per tested rate (summed across batches)
+ * @param {number[]} params.swrRates - Tested annual withdrawal rates
+ * @param {number} params.startingValue - Portfolio value at t=0
+ * @param {number} params.horizonYears - Horizon in years
+ * @param {number} params.stepsPerYear - Steps per year
+ * @param {number} [params.inflationRate=0] - Annual inflation (for real terminal wealth)
+ * @returns {Object} { probRuin, medianYearsToRuin, terminalWealth, medianRealWealth, swrCurve, safeWithdrawalRate }
+ */
+export const summarizeCashFlows = ({
+  terminalWealth,
+  ruinSteps,
+  swrSurvivors,
+  swrRates,
+  startingValue,
+  horizonYears,
+  stepsPerYear,
+  inflationRate = 0,
+}) => {
+  const total = terminalWealth.length;
+  if (total === 0) return null;
+
+  const ruinYears = [];
+  for (let i = 0; i < ruinSteps.length; i++) {
+    if (ruinSteps[i] >= 0) ruinYears.push(ruinSteps[i] / stepsPerYear);
+  }
+  ruinYears.sort((a, b) => a - b);
+
+  const sorted = terminalWealth.filter(v => isFinite(v)).sort((a, b) => a - b);
+  const dollars = (p) => (sorted.length > 0 ? sortedPercentile(sorted, p) * startingValue : 0);
+  const mean = sorted.reduce((a, b) => a + b, 0) / (sorted.length || 1);
+
+  const swrCurve = swrRates.map((rate, i) => ({ rate, successProb: (swrSurvivors[i] || 0) / total }));
+  let safeWithdrawalRate = null;
+  for (const point of swrCurve) {
+    if (point.successProb >= SWR_TARGET_SUCCESS) safeWithdrawalRate = point.rate;
+  }
+
+  return {
+    probRuin: ruinYears.length / total,
+    medianYearsToRuin: ruinYears.length > 0 ? sortedPercentile(ruinYears, 0.5) : null,
+    terminalWealth: {
+      p5: dollars(0.05),
+      p25: dollars(0.25),
+      p50: dollars(0.50),
+      p75: dollars(0.75),
+      p95: dollars(0.95),
+      mean: mean * startingValue,
+    },
+    medianRealWealth: dollars(0.50) / Math.pow(1 + (inflationRate || 0), horizonYears),
+    swrCurve,
+    safeWithdrawalRate,
+  };
+};
+
+// ============================================================================
+// SCENARIO MATRIX
+// ============================================================================
+
+/**
+ * Draw one-year returns per position without building portfolio paths
+ *
+ * Uses the annual draw of runPathSimulationBatch (fat tails, skew, bonds, QMC
+ * and per-path seeding), so a downside optimizer sees the same tails as the
+ * simulation. Regime mode has no annual draw; it falls back to the
+ * multivariate-t draw.
+ *
+ * @param {Object} params - n, L, annualMu, annualSigma, skews, tailDfs, fatTailMethod,
+ *   useQmc, seed, antithetic, bonds, numPaths, startPath (see runPathSimulationBatch)
+ * @returns {{scenarios: Float32Array, numPaths: number, n: number}} Row-major numPaths × n
+ */
+export const runScenarioBatch = (params) => {
+  const {
+    numPaths,
+    startPath = 0,
+    n,
+    L,
+    annualMu,
+    annualSigma,
+    skews,
+    tailDfs,
+    fatTailMethod = 'multivariateTStudent',
+    useQmc = false,
+    seed = null,
+    antithetic = false,
+    bonds = null,
+  } = params;
+
+  const validDfs = tailDfs.filter(d => d > 0 && d < 100);
+  const ctx = {
+    n,
+    L,
+    annualMu,
+    annualSigma,
+    skews,
+    tailDfs,
+    useMultivariateT: fatTailMethod !== 'gaussianCopula',
+    sharedDf: validDfs.length > 0 ? Math.min(...validDfs) : 30,
+    z: new Float64Array(n),
+    correlatedZ: new Float64Array(n),
+    uniforms: new Float64Array(n + 1),
+    annualReturns: new Float64Array(n),
+    sign: 1,
+    bonds,
+  };
+
+  const scenarios = new Float32Array(numPaths * n);
+  for (let pathIdx = 0; pathIdx < numPaths; pathIdx++) {
+    const globalPath = startPath + pathIdx;
+    ctx.sign = antithetic && globalPath % 2 === 1 ? -1 : 1;
+    if (seed != null) seedRandom(seed, antithetic ? globalPath >> 1 : globalPath);
+    drawAnnualReturns(ctx, antithetic ? globalPath >> 1 : globalPath, useQmc);
+    scenarios.set(ctx.annualReturns, pathIdx * n);
+  }
+
+  return { scenarios, numPaths, n };
+};
+
+export default {
+  STEPS_PER_YEAR,
+  MAX_HORIZON_YEARS,
+  MAX_DAILY_HORIZON_YEARS,
+  MAX_FAN_CHECKPOINTS,
+  FAN_CHART_SAMPLE_PATHS,
+  SWR_TEST_RATES,
+  SWR_TARGET_SUCCESS,
+  REBALANCE_FREQUENCIES,
+  clampHorizonYears,
+  resolveStepsPerYear,
+  buildCheckpointSteps,
+  buildCashFlowSchedule,
+  haltonPoint,
+  runPathSimulationBatch,
+  runScenarioBatch,
+  computeFanChart,
+  summarizeRecovery,
+  summarizeRebalancing,
+  summarizeCashFlows,
+};
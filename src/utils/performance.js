@@ -0,0 +1,791 @@
+/**
+ * Realized Performance
+ *
+ * @module utils/performance
+ * @description Turns daily portfolio value snapshots into a realized return
+ * history: time-weighted and money-weighted returns, a benchmark comparison,
+ * rolling volatility, drawdowns, and a check of past simulations' bands
+ * against what actually happened.
+ *
+ * - A snapshot is the book at one date: NAV, cash and each holding's quantity
+ *   and price (USD, like positions). One is recorded per day the prices are
+ *   refreshed; the latest refresh of a day wins.
+ * - Between two snapshots the earlier holdings are carried forward and valued
+ *   at market closes, so days the app wasn't opened still get a return. At
+ *   the next snapshot, whatever the carried holdings don't explain (trades
+ *   settled in cash, deposits, hand edits) is an external flow.
+ * - Time-weighted return chains the daily returns, so flows don't move it;
+ *   money-weighted return is the IRR of the flows, so their timing does.
+ * - Without recorded history, snapshots can be rebuilt from the transaction
+ *   ledger: holdings replayed at each trade date and valued at historical
+ *   closes (split-adjusted back to traded shares). Buys and transfers in are
+ *   inflows, sells and transfers out outflows; dividends are not included.
+ * - Closes are in the listing currency and converted at today's rate; the
+ *   series is then expressed in the base currency with FX history when it is
+ *   loaded.
+ *
+ * Dates are 'YYYY-MM-DD' strings.
+ */
+
+import { buildLedger } from './ledger';
+import { fxTicker, normalizeBaseCurrency } from './currency';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const DEFAULT_BENCHMARK = { SPY: 1 };
+
+/** Trading days in the rolling volatility window (one quarter) */
+export const ROLLING_VOL_DAYS = 63;
+
+export const PERFORMANCE_RANGES = {
+  '1M': { label: '1M', days: 31 },
+  '3M': { label: '3M', days: 92 },
+  YTD: { label: 'YTD', days: null },
+  '1Y': { label: '1Y', days: 366 },
+  ALL: { label: 'All', days: null },
+};
+
+/** Past simulation runs kept for the forecast check */
+export const MAX_FORECASTS = 24;
+
+/** Checkpoints kept from a run's fan chart */
+const MAX_FAN_POINTS = 61;
+
+const TRADING_DAYS = 252;
+const DAYS_PER_YEAR = 365.25;
+const DAY_MS = 86400000;
+
+/** Snapshot price vs market move mismatch treated as a split or bad price */
+const PRICE_MISMATCH = 0.25;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const toDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const yearsBetween = (from, to) => (new Date(to) - new Date(from)) / (DAY_MS * DAYS_PER_YEAR);
+
+const addDays = (date, days) => toDate(new Date(date).getTime() + days * DAY_MS);
+
+/** Last index with sorted[i] <= target, or -1 */
+const floorIndex = (sorted, target) => {
+  let lo = 0;
+  let hi = sorted.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= target) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * Close prices by date (timestamps align with closePrices)
+ * @returns {{dates: string[], closes: number[]}|null}
+ */
+const closeHistory = (data) => {
+  if (!data?.closePrices?.length || !data?.timestamps?.length) return null;
+  const dates = [];
+  const closes = [];
+  const n = Math.min(data.closePrices.length, data.timestamps.length);
+  for (let i = 0; i < n; i++) {
+    const close = data.closePrices[i];
+    if (!(close > 0)) continue;
+    const date = toDate(data.timestamps[i]);
+    if (dates.length > 0 && dates[dates.length - 1] === date) {
+      closes[closes.length - 1] = close;
+    } else {
+      dates.push(date);
+      closes.push(close);
+    }
+  }
+  return dates.length > 0 ? { dates, closes } : null;
+};
+
+/** Latest close on or before a date */
+const closeOn = (history, date) => {
+  if (!history) return null;
+  const i = floorIndex(history.dates, date);
+  return i >= 0 ? history.closes[i] : null;
+};
+
+const createHistoryCache = (marketData) => {
+  const cache = new Map();
+  return (ticker) => {
+    if (!cache.has(ticker)) cache.set(ticker, closeHistory(marketData?.[ticker]));
+    return cache.get(ticker);
+  };
+};
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+/**
+ * Clean a benchmark blend: uppercase tickers, positive weights summing to 1
+ * @param {Object} raw - { TICKER: weight }
+ * @returns {Object} DEFAULT_BENCHMARK when nothing usable is left
+ */
+export const normalizeBenchmark = (raw) => {
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_BENCHMARK };
+  const entries = Object.entries(raw)
+    .map(([ticker, w]) => [String(ticker).trim().toUpperCase(), Number(w)])
+    .filter(([ticker, w]) => ticker && isFinite(w) && w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  if (entries.length === 0 || total <= 0) return { ...DEFAULT_BENCHMARK };
+  return Object.fromEntries(entries.map(([ticker, w]) => [ticker, w / total]));
+};
+
+/**
+ * Parse a blend typed as "SPY 60, AGG 40" (or "SPY:60 / AGG:40")
+ * @param {string} text
+ * @returns {Object|null} Normalized blend, or null when nothing parses
+ */
+export const parseBenchmark = (text) => {
+  const parts = String(text || '').split(/[,/;+]+/).map(s => s.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+  const blend = {};
+  for (const part of parts) {
+    const match = part.match(/^([A-Za-z0-9.^=-]+)(?:\s*[:=\s]\s*([\d.]+)\s*%?)?$/);
+    if (!match) return null;
+    const weight = match[2] != null ? parseFloat(match[2]) : 100 / parts.length;
+    if (!isFinite(weight) || weight <= 0) return null;
+    blend[match[1].toUpperCase()] = (blend[match[1].toUpperCase()] || 0) + weight;
+  }
+  return normalizeBenchmark(blend);
+};
+
+/** "SPY 60% / AGG 40%" */
+export const formatBenchmark = (blend) => Object.entries(normalizeBenchmark(blend))
+  .map(([ticker, w]) => (w >= 0.9999 ? ticker : `${ticker} ${Math.round(w * 100)}%`))
+  .join(' / ');
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Book value at one date
+ * @param {Object} params
+ * @param {string} [params.date] - Defaults to today
+ * @param {Object[]} params.positions - { ticker, quantity, price } (USD)
+ * @param {Object[]} [params.optionPositions]
+ * @param {Object} [params.optionValuations] - By option id, { marketValue }
+ * @param {number} [params.cashBalance=0]
+ * @returns {{date: string, nav: number, cash: number, holdings: Object}}
+ *   holdings: { TICKER | 'option:<id>': { quantity, price } }
+ */
+export const buildSnapshot = ({ date = today(), positions = [], optionPositions = [], optionValuations = {}, cashBalance = 0 }) => {
+  const holdings = {};
+  for (const p of positions) {
+    const ticker = p.ticker?.toUpperCase();
+    if (!ticker || !isFinite(p.quantity) || !(p.price > 0)) continue;
+    const held = holdings[ticker] || { quantity: 0, price: p.price };
+    held.quantity += p.quantity;
+    holdings[ticker] = held;
+  }
+  // Options are carried at their market value (one unit each)
+  for (const option of optionPositions) {
+    const value = optionValuations[option.id]?.marketValue;
+    if (isFinite(value) && value !== 0) holdings[`option:${option.id}`] = { quantity: 1, price: value };
+  }
+  const cash = isFinite(cashBalance) ? cashBalance : 0;
+  const nav = cash + Object.values(holdings).reduce((sum, h) => sum + h.quantity * h.price, 0);
+  return { date, nav, cash, holdings };
+};
+
+/**
+ * Coerce a stored snapshot
+ * @returns {Object|null} null when unusable
+ */
+export const normalizeSnapshot = (raw) => {
+  if (!raw || !/^\d{4}-\d{2}-\d{2}$/.test(raw.date || '')) return null;
+  const nav = Number(raw.nav);
+  if (!isFinite(nav)) return null;
+  const holdings = {};
+  for (const [key, h] of Object.entries(raw.holdings || {})) {
+    const quantity = Number(h?.quantity);
+    const price = Number(h?.price);
+    if (isFinite(quantity) && isFinite(price) && price !== 0) holdings[key] = { quantity, price };
+  }
+  return { date: raw.date, nav, cash: isFinite(Number(raw.cash)) ? Number(raw.cash) : 0, holdings };
+};
+
+/**
+ * Insert or replace the snapshot of its date
+ * @returns {Object[]} New array, sorted by date
+ */
+export const upsertSnapshot = (snapshots, snapshot) => [
+  ...(snapshots || []).filter(s => s.date !== snapshot.date),
+  snapshot,
+].sort((a, b) => (a.date < b.date ? -1 : 1));
+
+/**
+ * Rebuild snapshots from the transaction ledger, one per trade date
+ * @param {Object[]} transactions
+ * @param {Object} marketData - unifiedMarketData
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only dates before this one (recorded history takes over)
+ * @returns {Object[]} Snapshots (no cash), oldest first
+ */
+export const backfillSnapshots = (transactions, marketData, { before = null } = {}) => {
+  const txs = (transactions || []).filter(tx => tx.date && (!before || tx.date < before));
+  if (txs.length === 0) return [];
+  const history = createHistoryCache(marketData);
+
+  // Closes are split-adjusted; scale them back to the shares held at the time
+  const splits = txs.filter(tx => tx.type === 'split' && tx.ratio > 0);
+  const splitFactor = (ticker, date) => splits
+    .filter(tx => tx.ticker?.toUpperCase() === ticker && tx.date > date)
+    .reduce((f, tx) => f * tx.ratio, 1);
+
+  const lastTrade = new Map();
+  for (const tx of txs) {
+    if (tx.ticker && tx.price > 0 && ['buy', 'sell', 'transfer_in', 'transfer_out'].includes(tx.type)) {
+      lastTrade.set(tx.ticker.toUpperCase(), tx);
+    }
+  }
+
+  const dates = [...new Set(txs.map(tx => tx.date))].sort();
+  return dates.map(date => {
+    const ledger = buildLedger(txs, { asOf: date });
+    const holdings = {};
+    for (const [ticker, holding] of Object.entries(ledger.holdings || {})) {
+      if (!(Math.abs(holding.quantity) > 1e-9)) continue;
+      const data = marketData?.[ticker];
+      const close = closeOn(history(ticker), date);
+      const fx = data?.exchangeRate > 0 ? data.exchangeRate : 1;
+      const price = close > 0
+        ? close * fx * splitFactor(ticker, date)
+        : (lastTrade.get(ticker)?.date <= date ? lastTrade.get(ticker).price : null);
+      if (price > 0) holdings[ticker] = { quantity: holding.quantity, price };
+    }
+    const nav = Object.values(holdings).reduce((sum, h) => sum + h.quantity * h.price, 0);
+    return { date, nav, cash: 0, holdings, backfilled: true };
+  });
+};
+
+// ============================================================================
+// RETURN SERIES
+// ============================================================================
+
+/** Base-currency units per USD by date (constant when history is missing) */
+const baseRateOn = (baseCurrency, marketData, fallbackRate) => {
+  const base = normalizeBaseCurrency(baseCurrency);
+  if (base === 'USD') return () => 1;
+  const history = closeHistory(marketData?.[fxTicker(base)]);
+  return (date) => {
+    const usdPerBase = closeOn(history, date) ?? history?.closes[0];
+    return usdPerBase > 0 ? 1 / usdPerBase : fallbackRate;
+  };
+};
+
+/**
+ * Daily value series from snapshots, with external flows separated out
+ * @param {Object[]} snapshots - Sorted by date
+ * @param {Object} marketData - unifiedMarketData
+ * @param {Object} [options]
+ * @param {string} [options.baseCurrency='USD']
+ * @param {number} [options.fxRate=1] - Base per USD when FX history is missing
+ * @returns {{date: string, value: number, flow: number, ret: number|null, snapshot: boolean}[]}
+ *   value is after the day's flow; ret is the day's return before it
+ */
+export const buildValueSeries = (snapshots, marketData, { baseCurrency = 'USD', fxRate = 1 } = {}) => {
+  const valid = (snapshots || []).filter(s => s && isFinite(s.nav));
+  if (valid.length === 0) return [];
+  const history = createHistoryCache(marketData);
+
+  // Move of a holding since the reference date, from market closes
+  const relative = (key, from, to) => {
+    if (key.startsWith('option:')) return null;
+    const h = history(key);
+    const start = closeOn(h, from);
+    const end = closeOn(h, to);
+    return start > 0 && end > 0 ? end / start : null;
+  };
+
+  const points = [{ date: valid[0].date, value: valid[0].nav, flow: 0, ret: null, snapshot: true }];
+
+  for (let k = 0; k < valid.length - 1; k++) {
+    const from = valid[k];
+    const to = valid[k + 1];
+    const keys = Object.keys(from.holdings || {});
+    const carried = (date) => from.cash + keys.reduce((sum, key) => {
+      const h = from.holdings[key];
+      return sum + h.quantity * h.price * (relative(key, from.date, date) ?? 1);
+    }, 0);
+
+    // Market days in between, valued with the carried holdings
+    const days = new Set();
+    for (const key of keys) {
+      const h = key.startsWith('option:') ? null : history(key);
+      if (!h) continue;
+      const start = floorIndex(h.dates, from.date) + 1;
+      for (let i = start; i < h.dates.length && h.dates[i] < to.date; i++) days.add(h.dates[i]);
+    }
+    for (const date of [...days].sort()) {
+      const prev = points[points.length - 1].value;
+      const value = carried(date);
+      points.push({ date, value, flow: 0, ret: prev > 0 ? value / prev - 1 : null, snapshot: false });
+    }
+
+    // At the next snapshot: market move of the carried book, the rest is flow
+    const preFlow = from.cash + keys.reduce((sum, key) => {
+      const h = from.holdings[key];
+      const market = relative(key, from.date, to.date);
+      const next = to.holdings?.[key]?.price;
+      let move = next > 0 ? next / h.price : (market ?? 1);
+      if (market != null && Math.abs(move / market - 1) > PRICE_MISMATCH) move = market;
+      return sum + h.quantity * h.price * move;
+    }, 0);
+    const prev = points[points.length - 1].value;
+    points.push({
+      date: to.date,
+      value: to.nav,
+      flow: to.nav - preFlow,
+      ret: prev > 0 ? preFlow / prev - 1 : null,
+      snapshot: true,
+    });
+  }
+
+  // Express in the base currency
+  const rateOn = baseRateOn(baseCurrency, marketData, fxRate);
+  let prevRate = null;
+  return points.map(p => {
+    const rate = rateOn(p.date);
+    const ret = p.ret != null && prevRate ? (1 + p.ret) * (rate / prevRate) - 1 : p.ret;
+    prevRate = rate;
+    return { ...p, value: p.value * rate, flow: p.flow * rate, ret };
+  });
+};
+
+/**
+ * Restrict a series to a range ending at its last date
+ * @param {Object[]} series
+ * @param {string} range - Key of PERFORMANCE_RANGES
+ */
+export const sliceRange = (series, range) => {
+  if (series.length === 0 || range === 'ALL' || !PERFORMANCE_RANGES[range]) return series;
+  const last = series[series.length - 1].date;
+  const start = range === 'YTD' ? `${last.slice(0, 4)}-01-01` : addDays(last, -PERFORMANCE_RANGES[range].days);
+  const i = series.findIndex(p => p.date >= start);
+  if (i <= 0) return series;
+  // The day before the range anchors the first return
+  return [{ ...series[i - 1], ret: null, flow: 0 }, ...series.slice(i)];
+};
+
+/**
+ * Growth of 1 from chained returns (flows excluded)
+ * @returns {number[]} Same length as the series
+ */
+export const wealthIndex = (series) => {
+  let w = 1;
+  return series.map(p => {
+    if (p.ret != null && isFinite(p.ret)) w *= 1 + p.ret;
+    return w;
+  });
+};
+
+/**
+ * Time-weighted return
+ * @returns {{cumulative: number, annualized: number|null, years: number}} annualized is null under a year
+ */
+export const timeWeightedReturn = (series) => {
+  if (series.length < 2) return { cumulative: 0, annualized: null, years: 0 };
+  const index = wealthIndex(series);
+  const cumulative = index[index.length - 1] - 1;
+  const years = yearsBetween(series[0].date, series[series.length - 1].date);
+  return {
+    cumulative,
+    annualized: years >= 1 ? Math.pow(1 + cumulative, 1 / years) - 1 : null,
+    years,
+  };
+};
+
+/**
+ * Money-weighted return: IRR of the starting value, the flows and the ending value
+ * @returns {{annualized: number|null, cumulative: number|null, years: number}}
+ */
+export const moneyWeightedReturn = (series) => {
+  if (series.length < 2) return { annualized: null, cumulative: null, years: 0 };
+  const start = series[0].date;
+  const years = yearsBetween(start, series[series.length - 1].date);
+  if (!(years > 0) || !(series[0].value > 0)) return { annualized: null, cumulative: null, years };
+
+  // Investor's view: money in is negative, the ending value positive
+  const flows = [{ t: 0, amount: -series[0].value }];
+  for (const p of series.slice(1)) {
+    if (p.flow) flows.push({ t: yearsBetween(start, p.date), amount: -p.flow });
+  }
+  flows.push({ t: years, amount: series[series.length - 1].value });
+
+  const npv = (r) => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + r, f.t), 0);
+  let lo = -0.9999;
+  let hi = 10;
+  let fLo = npv(lo);
+  const fHi = npv(hi);
+  if (!isFinite(fLo) || !isFinite(fHi) || fLo * fHi > 0) return { annualized: null, cumulative: null, years };
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid);
+    if (fMid * fLo > 0) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+    if (hi - lo < 1e-9) break;
+  }
+  const r = (lo + hi) / 2;
+  return { annualized: r, cumulative: Math.pow(1 + r, years) - 1, years };
+};
+
+/**
+ * Benchmark growth of 1 on the series' dates (daily-rebalanced blend)
+ * @param {Object} blend - { TICKER: weight }
+ * @param {Object} marketData
+ * @param {string[]} dates - Sorted
+ * @param {Object} [options] - { baseCurrency, fxRate } as for buildValueSeries
+ * @returns {{index: (number|null)[], missing: string[]}}
+ */
+export const benchmarkIndex = (blend, marketData, dates, { baseCurrency = 'USD', fxRate = 1 } = {}) => {
+  const weights = normalizeBenchmark(blend);
+  const histories = Object.keys(weights).map(ticker => [ticker, closeHistory(marketData?.[ticker])]);
+  const missing = histories.filter(([, h]) => !h).map(([ticker]) => ticker);
+  const usable = histories.filter(([, h]) => h);
+  if (usable.length === 0 || dates.length === 0) return { index: dates.map(() => null), missing };
+
+  const days = [...new Set(usable.flatMap(([, h]) => h.dates))]
+    .filter(d => d >= dates[0] && d <= dates[dates.length - 1])
+    .sort();
+  const weightSum = usable.reduce((sum, [ticker]) => sum + weights[ticker], 0);
+  const rateOn = baseRateOn(baseCurrency, marketData, fxRate);
+
+  // Blend level by market day
+  const levels = new Map();
+  let level = 1;
+  let prevDay = dates[0];
+  for (const day of days) {
+    if (day > dates[0]) {
+      const r = usable.reduce((sum, [ticker, h]) => {
+        const a = closeOn(h, prevDay);
+        const b = closeOn(h, day);
+        return sum + (a > 0 && b > 0 ? (weights[ticker] / weightSum) * (b / a - 1) : 0);
+      }, 0);
+      level *= 1 + r;
+    }
+    levels.set(day, level);
+    prevDay = day;
+  }
+  const levelDays = [...levels.keys()];
+  const startRate = rateOn(dates[0]);
+  return {
+    index: dates.map(date => {
+      const i = floorIndex(levelDays, date);
+      const l = i >= 0 ? levels.get(levelDays[i]) : 1;
+      return l * (rateOn(date) / startRate);
+    }),
+    missing,
+  };
+};
+
+/**
+ * Annualized volatility over a trailing window of daily returns
+ * @returns {{date: string, vol: number}[]}
+ */
+export const rollingVolatility = (series, window = ROLLING_VOL_DAYS) => {
+  const out = [];
+  const returns = [];
+  for (const p of series) {
+    if (p.ret == null || !isFinite(p.ret)) continue;
+    returns.push(p.ret);
+    if (returns.length < window) continue;
+    const slice = returns.slice(-window);
+    const mean = slice.reduce((a, b) => a + b, 0) / window;
+    const variance = slice.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (window - 1);
+    out.push({ date: p.date, vol: Math.sqrt(variance * TRADING_DAYS) });
+  }
+  return out;
+};
+
+/** Annualized volatility of all daily returns in the series */
+export const realizedVolatility = (series) => {
+  const returns = series.map(p => p.ret).filter(r => r != null && isFinite(r));
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS);
+};
+
+/**
+ * Drawdowns of the time-weighted wealth index
+ * @returns {{series: {date: string, drawdown: number}[], max: number, maxDate: string|null,
+ *   peakDate: string|null, current: number, recovered: boolean}}
+ */
+export const drawdowns = (series) => {
+  const index = wealthIndex(series);
+  let peak = -Infinity;
+  let peakDate = null;
+  let max = 0;
+  let maxDate = null;
+  let maxPeakDate = null;
+  const out = series.map((p, i) => {
+    if (index[i] > peak) {
+      peak = index[i];
+      peakDate = p.date;
+    }
+    const drawdown = peak > 0 ? index[i] / peak - 1 : 0;
+    if (drawdown < max) {
+      max = drawdown;
+      maxDate = p.date;
+      maxPeakDate = peakDate;
+    }
+    return { date: p.date, drawdown };
+  });
+  const current = out.length ? out[out.length - 1].drawdown : 0;
+  const recovered = maxDate != null && out.some(d => d.date > maxDate && d.drawdown >= -1e-9);
+  return { series: out, max, maxDate, peakDate: maxPeakDate, current, recovered };
+};
+
+// ============================================================================
+// FORECAST CHECK
+// ============================================================================
+
+const thinFan = (fan) => {
+  const n = fan?.times?.length || 0;
+  if (n === 0) return null;
+  const step = Math.max(1, Math.ceil(n / MAX_FAN_POINTS));
+  const keep = [];
+  for (let i = 0; i < n; i += step) keep.push(i);
+  if (keep[keep.length - 1] !== n - 1) keep.push(n - 1);
+  const pick = (arr) => keep.map(i => arr[i]);
+  return { times: pick(fan.times), p5: pick(fan.p5), p25: pick(fan.p25), p50: pick(fan.p50), p75: pick(fan.p75), p95: pick(fan.p95) };
+};
+
+/**
+ * Compact record of a simulation run's bands, kept for the forecast check
+ * @param {Object} results - simulationResults
+ * @param {string} [runDate] - Defaults to today
+ * @returns {Object|null} null without a fan chart
+ */
+export const buildForecastRecord = (results, runDate = today()) => {
+  const fan = thinFan(results?.fanChart);
+  if (!fan) return null;
+  const t = results.terminal || {};
+  return {
+    runDate,
+    horizonYears: results.horizonYears || 1,
+    baseCurrency: results.currency?.baseCurrency || 'USD',
+    includesCashFlows: !!results.cashFlows,
+    startingValue: results.terminalDollars?.startingValue ?? null,
+    expectedReturn: results.expectedReturn ?? null,
+    expectedVol: results.expectedVol ?? null,
+    terminal: { p5: t.p5, p25: t.p25, p50: t.p50, p75: t.p75, p95: t.p95 },
+    fan,
+  };
+};
+
+/**
+ * Add a run to the history: one per day (the latest), newest MAX_FORECASTS kept
+ * @returns {Object[]} Sorted by run date
+ */
+export const addForecast = (forecasts, record) => {
+  if (!record) return forecasts || [];
+  return [...(forecasts || []).filter(f => f.runDate !== record.runDate), record]
+    .sort((a, b) => (a.runDate < b.runDate ? -1 : 1))
+    .slice(-MAX_FORECASTS);
+};
+
+/** Union of two forecast lists (the second wins on the same run date) */
+export const mergeForecasts = (a, b) => (b || []).reduce((acc, f) => addForecast(acc, f), a || []);
+
+/** Fan band (multiples of starting NAV) interpolated at t years */
+const bandAt = (fan, t) => {
+  const times = [0, ...fan.times];
+  const at = (key) => {
+    const values = [1, ...fan[key]];
+    if (t >= times[times.length - 1]) return values[values.length - 1];
+    const i = Math.max(0, floorIndex(times, t));
+    const span = times[i + 1] - times[i];
+    const w = span > 0 ? (t - times[i]) / span : 0;
+    return values[i] + w * (values[i + 1] - values[i]);
+  };
+  return { p5: at('p5') - 1, p25: at('p25') - 1, p50: at('p50') - 1, p75: at('p75') - 1, p95: at('p95') - 1 };
+};
+
+/** Approximate percentile of a value within a band, 0–100 */
+const percentileIn = (band, value) => {
+  const pts = [[5, band.p5], [25, band.p25], [50, band.p50], [75, band.p75], [95, band.p95]];
+  if (value <= pts[0][1]) return value < pts[0][1] ? 2.5 : 5;
+  if (value >= pts[4][1]) return value > pts[4][1] ? 97.5 : 95;
+  for (let i = 0; i < pts.length - 1; i++) {
+    const [pa, va] = pts[i];
+    const [pb, vb] = pts[i + 1];
+    if (value <= vb) return vb > va ? pa + ((value - va) / (vb - va)) * (pb - pa) : pa;
+  }
+  return 50;
+};
+
+/**
+ * Where realized time-weighted returns since each past run landed in its bands
+ * @param {Object[]} forecasts - buildForecastRecord() records
+ * @param {Object[]} series - buildValueSeries() output
+ * @returns {{rows: Object[], inside90: number|null, inside50: number|null}}
+ *   rows: { runDate, elapsedYears, horizonYears, realized, band, percentile, zone, complete, currencyMismatch }
+ */
+export const checkForecasts = (forecasts, series, { baseCurrency = 'USD' } = {}) => {
+  const rows = [];
+  if (series.length < 2) return { rows, inside90: null, inside50: null };
+  const index = wealthIndex(series);
+  const dates = series.map(p => p.date);
+  const lastDate = dates[dates.length - 1];
+
+  for (const f of forecasts || []) {
+    if (!f?.fan || f.runDate < dates[0] || f.runDate >= lastDate) continue;
+    const startIdx = floorIndex(dates, f.runDate);
+    const horizonEnd = addDays(f.runDate, Math.round(f.horizonYears * DAYS_PER_YEAR));
+    const complete = horizonEnd <= lastDate;
+    const endIdx = complete ? floorIndex(dates, horizonEnd) : dates.length - 1;
+    if (startIdx < 0 || endIdx <= startIdx) continue;
+
+    const elapsedYears = yearsBetween(f.runDate, dates[endIdx]);
+    const realized = index[endIdx] / index[startIdx] - 1;
+    const band = bandAt(f.fan, elapsedYears);
+    const zone = realized < band.p5 ? 'below'
+      : realized > band.p95 ? 'above'
+        : realized >= band.p25 && realized <= band.p75 ? 'core' : 'tail';
+    rows.push({
+      runDate: f.runDate,
+      elapsedYears,
+      horizonYears: f.horizonYears,
+      realized,
+      band,
+      percentile: percentileIn(band, realized),
+      zone,
+      complete,
+      includesCashFlows: !!f.includesCashFlows,
+      currencyMismatch: (f.baseCurrency || 'USD') !== normalizeBaseCurrency(baseCurrency),
+    });
+  }
+
+  rows.sort((a, b) => (a.runDate < b.runDate ? 1 : -1));
+  return {
+    rows,
+    inside90: rows.length ? rows.filter(r => r.zone === 'core' || r.zone === 'tail').length / rows.length : null,
+    inside50: rows.length ? rows.filter(r => r.zone === 'core').length / rows.length : null,
+  };
+};
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Everything the Performance view shows for one range
+ * @param {Object} params
+ * @param {Object[]} params.snapshots - Recorded snapshots
+ * @param {Object[]} [params.transactions] - Ledger, for the backfill before the first snapshot
+ * @param {Object} params.marketData
+ * @param {Object} [params.benchmark] - { TICKER: weight }
+ * @param {Object[]} [params.forecasts]
+ * @param {string} [params.range='ALL']
+ * @param {string} [params.baseCurrency='USD']
+ * @param {number} [params.fxRate=1]
+ * @returns {Object|null} null without at least two dates of history
+ */
+export const summarizePerformance = ({
+  snapshots = [],
+  transactions = [],
+  marketData = {},
+  benchmark = DEFAULT_BENCHMARK,
+  forecasts = [],
+  range = 'ALL',
+  baseCurrency = 'USD',
+  fxRate = 1,
+}) => {
+  const recorded = (snapshots || []).map(normalizeSnapshot).filter(Boolean);
+  const backfill = backfillSnapshots(transactions, marketData, { before: recorded[0]?.date || null });
+  const all = [...backfill, ...recorded];
+  const full = buildValueSeries(all, marketData, { baseCurrency, fxRate });
+  if (full.length < 2) return null;
+
+  const series = sliceRange(full, range);
+  const dates = series.map(p => p.date);
+  const index = wealthIndex(series);
+  const bench = benchmarkIndex(benchmark, marketData, dates, { baseCurrency, fxRate });
+  const benchSeries = bench.index[0] != null
+    ? dates.map((date, i) => ({ date, ret: i === 0 ? null : bench.index[i] / bench.index[i - 1] - 1 }))
+    : null;
+  const twr = timeWeightedReturn(series);
+  const benchTwr = benchSeries ? timeWeightedReturn(benchSeries) : null;
+
+  return {
+    baseCurrency: normalizeBaseCurrency(baseCurrency),
+    range,
+    start: dates[0],
+    end: dates[dates.length - 1],
+    recordedCount: recorded.length,
+    backfilledCount: backfill.length,
+    startValue: series[0].value,
+    endValue: series[series.length - 1].value,
+    netFlows: series.slice(1).reduce((sum, p) => sum + p.flow, 0),
+    twr,
+    mwr: moneyWeightedReturn(series),
+    benchmark: {
+      blend: normalizeBenchmark(benchmark),
+      missing: bench.missing,
+      twr: benchTwr,
+      vol: benchSeries ? realizedVolatility(benchSeries) : null,
+    },
+    excess: benchTwr ? twr.cumulative - benchTwr.cumulative : null,
+    vol: realizedVolatility(series),
+    drawdown: drawdowns(series),
+    chart: series.map((p, i) => ({
+      date: p.date,
+      value: p.value,
+      flow: p.flow,
+      portfolio: index[i] - 1,
+      benchmark: bench.index[i] != null ? bench.index[i] / bench.index[0] - 1 : null,
+    })),
+    rollingVol: rollingVolatility(series),
+    forecasts: checkForecasts(forecasts, full, { baseCurrency }),
+  };
+};
+
+export default {
+  DEFAULT_BENCHMARK,
+  ROLLING_VOL_DAYS,
+  PERFORMANCE_RANGES,
+  MAX_FORECASTS,
+  normalizeBenchmark,
+  parseBenchmark,
+  formatBenchmark,
+  buildSnapshot,
+  normalizeSnapshot,
+  upsertSnapshot,
+  backfillSnapshots,
+  buildValueSeries,
+  sliceRange,
+  wealthIndex,
+  timeWeightedReturn,
+  moneyWeightedReturn,
+  benchmarkIndex,
+  rollingVolatility,
+  realizedVolatility,
+  drawdowns,
+  buildForecastRecord,
+  addForecast,
+  mergeForecasts,
+  checkForecasts,
+  summarizePerformance,
+};
@@ -12,6 +12,8 @@
  * - Sharpe Ratio: (E[R] - Rₓ) / σ
  */
 
+import { clusterCorrelation, leafOrder } from './hierarchicalClustering';
+
 // ============================================
 // CORE MATRIX OPERATIONS
 // ============================================
@@ -229,6 +231,68 @@ export const computeRiskParityWeights = (sigmaArray, covMatrix, maxIterations =
   return w;
 };
 
+/**
+ * Compute Hierarchical Risk Parity weights (López de Prado, 2016)
+ * Clusters positions on correlation distance, orders them so correlated names sit
+ * together, then splits the ordered list in halves recursively, giving each half
+ * weight in inverse proportion to its (inverse-variance) cluster variance.
+ * Never inverts the covariance matrix, so noisy correlations cannot blow up weights.
+ * Positions with zero or unknown volatility are left out (weight 0): a zero
+ * cluster variance would hand them the whole weight of every split they're in.
+ * 
+ * @param {number[]} sigmaArray - Asset volatilities
+ * @param {number[][]} covMatrix - Covariance matrix
+ * @param {string} linkage - Clustering linkage: 'single' (default), 'average' or 'complete'
+ * @returns {number[]} HRP weights (sum to 1.0; equal weights if no position has a volatility)
+ */
+export const computeHRPWeights = (sigmaArray, covMatrix, linkage = 'single') => {
+  const n = sigmaArray.length;
+  if (n === 0) return [];
+
+  const risky = [];
+  for (let i = 0; i < n; i++) {
+    if (sigmaArray[i] > 0 && covMatrix[i]?.[i] > 0) risky.push(i);
+  }
+  if (risky.length === 0) return new Array(n).fill(1 / n);
+  
+  const corr = risky.map(i => risky.map(j => {
+    if (i === j) return 1;
+    const c = covMatrix[i][j] / (sigmaArray[i] * sigmaArray[j]);
+    return isFinite(c) ? Math.max(-1, Math.min(1, c)) : 0;
+  }));
+  const order = leafOrder(clusterCorrelation(corr, { method: linkage })).map(k => risky[k]);
+  
+  // Variance of a cluster held at inverse-variance weights (every member has a variance)
+  const clusterVariance = (items) => {
+    const ivp = items.map(i => 1 / covMatrix[i][i]);
+    const sum = ivp.reduce((a, b) => a + b, 0);
+    let variance = 0;
+    items.forEach((i, a) => items.forEach((j, b) => {
+      variance += (ivp[a] / sum) * (ivp[b] / sum) * covMatrix[i][j];
+    }));
+    return variance;
+  };
+  
+  const w = new Array(n).fill(0);
+  risky.forEach(i => { w[i] = 1; });
+  const stack = [order];
+  while (stack.length > 0) {
+    const items = stack.pop();
+    if (items.length < 2) continue;
+    const mid = Math.floor(items.length / 2);
+    const left = items.slice(0, mid);
+    const right = items.slice(mid);
+    const vLeft = clusterVariance(left);
+    const vRight = clusterVariance(right);
+    const alpha = vLeft + vRight > 0 ? 1 - vLeft / (vLeft + vRight) : 0.5;
+    left.forEach(i => { w[i] *= alpha; });
+    right.forEach(i => { w[i] *= 1 - alpha; });
+    stack.push(left, right);
+  }
+  
+  return w;
+};
+
 // ============================================
 // SWAP ANALYSIS
 // ============================================
@@ -394,6 +458,7 @@ export default {
   computeIncrementalSharpe,
   computeOptimalityRatio,
   computeRiskParityWeights,
+  computeHRPWeights,
   computeSwapMatrix,
   findTopSwaps,
   computeFullRiskDecomposition,
@@ -13,6 +13,8 @@
  * CRITICAL: Must use inverse normal CDF (not Box-Muller) to preserve low discrepancy.
  */
 
+import { random } from './random';
+
 // ============================================================================
 // SOBOL SEQUENCE GENERATOR
 // ============================================================================
@@ -760,7 +762,7 @@ export const inverseChiSquaredCDF = (u, df) => {
  */
 const generateChiSquaredQMC = (df) => {
   // Use a random uniform and apply inverse CDF
-  const u = Math.random();
+  const u = random();
   return inverseChiSquaredCDF(u, df);
 };
 
@@ -850,7 +852,7 @@ export const estimateStarDiscrepancy = (points) => {
     // Generate a random corner
     const corner = new Array(d);
     for (let j = 0; j < d; j++) {
-      corner[j] = Math.random();
+      corner[j] = random();
     }
     
     // Count points in [0, corner)
@@ -0,0 +1,157 @@
+/**
+ * Seedable Pseudo-Random Numbers
+ *
+ * @module utils/random
+ * @description xoshiro128** (Blackman & Vigna, 2018) seeded through
+ * splitmix32. Uses only 32-bit integer arithmetic (Math.imul, >>>), so a seed
+ * produces the same stream in every browser, worker and Node.
+ *
+ * The simulation engines draw through the module-level generator (`random()`)
+ * and reseed it per path with `seedRandom(seed, pathIndex)`. Each path then
+ * has its own stream, so results depend only on the seed and inputs, not on
+ * how paths were split across workers or the order workers finish.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Seeds are unsigned 32-bit integers */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/** 2^-53, for building doubles from 53 random bits */
+const INV_2_53 = 1 / 9007199254740992;
+
+// ============================================================================
+// GENERATOR
+// ============================================================================
+
+/**
+ * splitmix32 step - expands a 32-bit seed into well-mixed state words
+ * @param {number} x - 32-bit state
+ * @returns {number} Mixed 32-bit value (unsigned)
+ */
+const splitmix32 = (x) => {
+  let z = x >>> 0;
+  z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+  z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+  return (z ^ (z >>> 16)) >>> 0;
+};
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+/**
+ * xoshiro128** generator with per-stream seeding
+ */
+export class Xoshiro128 {
+  /**
+   * @param {number} seed - 32-bit seed
+   * @param {number} [stream=0] - Independent stream index (e.g. path number)
+   */
+  constructor(seed, stream = 0) {
+    this.s = new Uint32Array(4);
+    this.seed(seed, stream);
+  }
+
+  /**
+   * Reset state for a seed and stream
+   * @param {number} seed
+   * @param {number} [stream=0]
+   */
+  seed(seed, stream = 0) {
+    let x = ((seed >>> 0) ^ Math.imul(stream >>> 0, 0x9E3779B9)) >>> 0;
+    for (let i = 0; i < 4; i++) {
+      x = (x + 0x9E3779B9) >>> 0;
+      this.s[i] = splitmix32(x);
+    }
+    // All-zero state is the one fixed point of xoshiro
+    if ((this.s[0] | this.s[1] | this.s[2] | this.s[3]) === 0) this.s[0] = 1;
+  }
+
+  /**
+   * Next unsigned 32-bit integer
+   * @returns {number}
+   */
+  nextUint32() {
+    const s = this.s;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  }
+
+  /**
+   * Next double in [0, 1) with 53 random bits
+   * @returns {number}
+   */
+  next() {
+    const hi = this.nextUint32() >>> 5;
+    const lo = this.nextUint32() >>> 6;
+    return (hi * 67108864 + lo) * INV_2_53;
+  }
+}
+
+// ============================================================================
+// SEEDS
+// ============================================================================
+
+/**
+ * Fresh random seed from the platform's entropy source
+ * @returns {number} Seed in [0, MAX_SEED]
+ */
+export const generateSeed = () => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * (MAX_SEED + 1)) >>> 0;
+};
+
+/**
+ * Parse user seed input
+ * @param {string|number} input
+ * @returns {number|null} Seed, or null when blank/invalid
+ */
+export const parseSeed = (input) => {
+  if (input === null || input === undefined || input === '') return null;
+  const value = typeof input === 'number' ? input : Number(String(input).trim());
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SEED) return null;
+  return value;
+};
+
+// ============================================================================
+// SHARED GENERATOR
+// ============================================================================
+
+// Module-level generator used by boxMuller and friends. Each worker has its
+// own copy of this module, so reseeding here never races across workers.
+const sharedRng = new Xoshiro128(generateSeed());
+
+/**
+ * Uniform random number in [0, 1) from the shared generator
+ * (drop-in replacement for Math.random)
+ * @returns {number}
+ */
+export const random = () => sharedRng.next();
+
+/**
+ * Reseed the shared generator
+ * @param {number} seed - 32-bit seed
+ * @param {number} [stream=0] - Stream index (path number for per-path streams)
+ */
+export const seedRandom = (seed, stream = 0) => {
+  sharedRng.seed(seed, stream);
+};
+
+export default {
+  MAX_SEED,
+  Xoshiro128,
+  generateSeed,
+  parseSeed,
+  random,
+  seedRandom,
+};
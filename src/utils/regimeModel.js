@@ -0,0 +1,425 @@
+/**
+ * Regime-Switching Model
+ *
+ * @module utils/regimeModel
+ * @description Hidden Markov regime model (2 or 3 states) estimated from the
+ * daily returns in unifiedMarketData, used by the 'regimeSwitching' fat-tail
+ * method of the path simulation.
+ *
+ * Estimation:
+ * 1. Fit a Gaussian HMM (Baum-Welch) to the portfolio-weighted daily return,
+ *    so regimes are defined by what matters for this book.
+ * 2. Use the smoothed state probabilities to compute each regime's mean,
+ *    volatility and correlation matrix for every position.
+ *
+ * Fitting the hidden states on one series keeps estimation stable with a year
+ * or two of data; a full multivariate HMM would need far more observations
+ * than positions to estimate a covariance matrix per state.
+ */
+
+import { choleskyDecomposition, makeValidCorrelation } from './matrix';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Regime labels ordered from lowest to highest volatility */
+export const REGIME_LABELS = {
+  2: ['Calm', 'Stress'],
+  3: ['Calm', 'Choppy', 'Crisis'],
+};
+
+/** Minimum aligned daily observations required to fit regimes */
+export const MIN_REGIME_OBSERVATIONS = 120;
+
+/** Clamp on annualized regime mean deviations (keeps short bear spells from exploding) */
+const MAX_MEAN_DEVIATION = 0.5;
+
+/** Prior weight (in days) shrinking regime mean deviations towards zero */
+const MEAN_SHRINKAGE_DAYS = 250;
+
+const TRADING_DAYS = 252;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Align return series from the most recent observation backwards
+ * (same convention as the correlation calculation)
+ * @param {number[][]} series - Daily returns per asset
+ * @returns {number[][]} Series trimmed to the common length
+ */
+export const alignReturnSeries = (series) => {
+  const len = Math.min(...series.map(s => s?.length || 0));
+  if (!isFinite(len) || len <= 0) return series.map(() => []);
+  return series.map(s => s.slice(-len).map(v => (isFinite(v) ? v : 0)));
+};
+
+const gaussianDensity = (x, mean, sd) => {
+  const z = (x - mean) / sd;
+  return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+};
+
+/**
+ * Stationary distribution of a transition matrix (power iteration)
+ * @param {number[][]} P - Row-stochastic transition matrix
+ * @returns {number[]} Stationary probabilities
+ */
+export const stationaryDistribution = (P) => {
+  const k = P.length;
+  let pi = Array(k).fill(1 / k);
+  for (let iter = 0; iter < 1000; iter++) {
+    const next = Array(k).fill(0);
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) next[j] += pi[i] * P[i][j];
+    }
+    const diff = next.reduce((s, v, j) => s + Math.abs(v - pi[j]), 0);
+    pi = next;
+    if (diff < 1e-12) break;
+  }
+  const total = pi.reduce((a, b) => a + b, 0) || 1;
+  return pi.map(v => v / total);
+};
+
+/**
+ * Transition matrix over several days (P^days)
+ * @param {number[][]} P - Daily transition matrix
+ * @param {number} days - Number of days per step
+ * @returns {number[][]} Multi-day transition matrix
+ */
+export const transitionOverDays = (P, days) => {
+  const k = P.length;
+  let result = P.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+  for (let d = 0; d < Math.max(1, Math.round(days)); d++) {
+    const next = Array(k).fill(null).map(() => Array(k).fill(0));
+    for (let i = 0; i < k; i++) {
+      for (let m = 0; m < k; m++) {
+        if (result[i][m] === 0) continue;
+        for (let j = 0; j < k; j++) next[i][j] += result[i][m] * P[m][j];
+      }
+    }
+    result = next;
+  }
+  return result;
+};
+
+// ============================================================================
+// GAUSSIAN HMM (BAUM-WELCH)
+// ============================================================================
+
+/**
+ * Fit a univariate Gaussian hidden Markov model with scaled forward-backward
+ *
+ * @param {number[]} x - Observations (daily returns)
+ * @param {number} numStates - Number of hidden states
+ * @param {Object} [options]
+ * @param {number} [options.maxIter=200] - Maximum EM iterations
+ * @param {number} [options.tol=1e-6] - Log-likelihood convergence tolerance
+ * @returns {{means: number[], sds: number[], transition: number[][], initial: number[], posteriors: number[][], logLikelihood: number, iterations: number}}
+ */
+export const fitGaussianHMM = (x, numStates, { maxIter = 200, tol = 1e-6 } = {}) => {
+  const T = x.length;
+  const K = numStates;
+  const overallMean = x.reduce((a, b) => a + b, 0) / T;
+  const overallSd = Math.sqrt(x.reduce((s, v) => s + (v - overallMean) ** 2, 0) / T) || 1e-4;
+  const sdFloor = overallSd * 0.05;
+
+  // Start from low / high volatility states with sticky transitions
+  const spread = K === 2 ? [0.7, 1.6] : [0.6, 1.0, 1.9];
+  let means = Array(K).fill(overallMean);
+  let sds = spread.slice(0, K).map(f => overallSd * f);
+  let transition = Array(K).fill(null).map((_, i) => Array(K).fill(0).map((__, j) => (i === j ? 0.95 : 0.05 / (K - 1))));
+  let initial = Array(K).fill(1 / K);
+
+  const alpha = Array(T).fill(null).map(() => new Float64Array(K));
+  const beta = Array(T).fill(null).map(() => new Float64Array(K));
+  const scale = new Float64Array(T);
+  const emission = Array(T).fill(null).map(() => new Float64Array(K));
+  const gamma = Array(T).fill(null).map(() => new Float64Array(K));
+
+  let logLikelihood = -Infinity;
+  let iterations = 0;
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    iterations = iter + 1;
+
+    for (let t = 0; t < T; t++) {
+      for (let k = 0; k < K; k++) emission[t][k] = Math.max(1e-300, gaussianDensity(x[t], means[k], sds[k]));
+    }
+
+    // Forward pass (scaled)
+    for (let k = 0; k < K; k++) alpha[0][k] = initial[k] * emission[0][k];
+    scale[0] = alpha[0].reduce((a, b) => a + b, 0) || 1e-300;
+    for (let k = 0; k < K; k++) alpha[0][k] /= scale[0];
+    for (let t = 1; t < T; t++) {
+      let sum = 0;
+      for (let j = 0; j < K; j++) {
+        let a = 0;
+        for (let i = 0; i < K; i++) a += alpha[t - 1][i] * transition[i][j];
+        alpha[t][j] = a * emission[t][j];
+        sum += alpha[t][j];
+      }
+      scale[t] = sum || 1e-300;
+      for (let j = 0; j < K; j++) alpha[t][j] /= scale[t];
+    }
+
+    // Backward pass (same scaling)
+    for (let k = 0; k < K; k++) beta[T - 1][k] = 1;
+    for (let t = T - 2; t >= 0; t--) {
+      for (let i = 0; i < K; i++) {
+        let b = 0;
+        for (let j = 0; j < K; j++) b += transition[i][j] * emission[t + 1][j] * beta[t + 1][j];
+        beta[t][i] = b / scale[t + 1];
+      }
+    }
+
+    let ll = 0;
+    for (let t = 0; t < T; t++) ll += Math.log(scale[t]);
+
+    // E-step: state posteriors and expected transitions
+    const xiSum = Array(K).fill(null).map(() => Array(K).fill(0));
+    for (let t = 0; t < T; t++) {
+      let norm = 0;
+      for (let k = 0; k < K; k++) {
+        gamma[t][k] = alpha[t][k] * beta[t][k];
+        norm += gamma[t][k];
+      }
+      for (let k = 0; k < K; k++) gamma[t][k] /= norm || 1;
+      if (t < T - 1) {
+        for (let i = 0; i < K; i++) {
+          for (let j = 0; j < K; j++) {
+            xiSum[i][j] += (alpha[t][i] * transition[i][j] * emission[t + 1][j] * beta[t + 1][j]) / scale[t + 1];
+          }
+        }
+      }
+    }
+
+    // M-step
+    initial = Array.from(gamma[0]);
+    transition = xiSum.map(row => {
+      const total = row.reduce((a, b) => a + b, 0);
+      return total > 0 ? row.map(v => Math.max(1e-6, v / total)) : Array(K).fill(1 / K);
+    });
+    for (let k = 0; k < K; k++) {
+      let w = 0;
+      let m = 0;
+      for (let t = 0; t < T; t++) {
+        w += gamma[t][k];
+        m += gamma[t][k] * x[t];
+      }
+      means[k] = w > 0 ? m / w : overallMean;
+      let v = 0;
+      for (let t = 0; t < T; t++) v += gamma[t][k] * (x[t] - means[k]) ** 2;
+      sds[k] = Math.max(sdFloor, w > 0 ? Math.sqrt(v / w) : overallSd);
+    }
+
+    if (Math.abs(ll - logLikelihood) < tol * Math.max(1, Math.abs(ll))) {
+      logLikelihood = ll;
+      break;
+    }
+    logLikelihood = ll;
+  }
+
+  return {
+    means,
+    sds,
+    transition,
+    initial,
+    posteriors: gamma.map(g => Array.from(g)),
+    logLikelihood,
+    iterations,
+  };
+};
+
+// ============================================================================
+// REGIME MODEL
+// ============================================================================
+
+/**
+ * Estimate a regime model for the portfolio
+ *
+ * @param {Object} params
+ * @param {string[]} params.tickers - Position tickers (order matches returns)
+ * @param {number[][]} params.returns - Daily returns per position
+ * @param {number[]} [params.weights] - Portfolio weights (equal weight if omitted)
+ * @param {number} [params.numStates=2] - 2 or 3 regimes
+ * @returns {{model: Object|null, error: string|null}}
+ */
+export const fitRegimeModel = ({ tickers, returns, weights = null, numStates = 2 }) => {
+  const K = numStates === 3 ? 3 : 2;
+  const n = tickers.length;
+  if (n === 0) return { model: null, error: 'No positions' };
+
+  const aligned = alignReturnSeries(returns);
+  const T = aligned[0]?.length || 0;
+  if (T < MIN_REGIME_OBSERVATIONS) {
+    return { model: null, error: `Need at least ${MIN_REGIME_OBSERVATIONS} overlapping daily returns (have ${T})` };
+  }
+
+  // Portfolio return series defines the hidden states
+  const grossWeight = weights ? weights.reduce((s, w) => s + Math.abs(w || 0), 0) : 0;
+  const w = grossWeight > 0 ? weights.map(v => (v || 0) / grossWeight) : Array(n).fill(1 / n);
+  const portfolio = new Array(T).fill(0);
+  for (let t = 0; t < T; t++) {
+    for (let i = 0; i < n; i++) portfolio[t] += w[i] * aligned[i][t];
+  }
+
+  const hmm = fitGaussianHMM(portfolio, K);
+
+  // Order states from calm to crisis by volatility
+  const order = hmm.sds.map((sd, k) => ({ sd, k })).sort((a, b) => a.sd - b.sd).map(o => o.k);
+  const transitionMatrix = order.map(i => order.map(j => hmm.transition[i][j]));
+  const stationary = stationaryDistribution(transitionMatrix);
+  const labels = REGIME_LABELS[K];
+
+  const states = order.map((k, s) => {
+    let weightSum = 0;
+    const mean = new Array(n).fill(0);
+    for (let t = 0; t < T; t++) {
+      const g = hmm.posteriors[t][k];
+      weightSum += g;
+      for (let i = 0; i < n; i++) mean[i] += g * aligned[i][t];
+    }
+    for (let i = 0; i < n; i++) mean[i] /= weightSum || 1;
+
+    const cov = Array(n).fill(null).map(() => new Array(n).fill(0));
+    for (let t = 0; t < T; t++) {
+      const g = hmm.posteriors[t][k];
+      if (g < 1e-8) continue;
+      for (let i = 0; i < n; i++) {
+        const di = aligned[i][t] - mean[i];
+        for (let j = 0; j <= i; j++) cov[i][j] += g * di * (aligned[j][t] - mean[j]);
+      }
+    }
+    const sd = new Array(n);
+    for (let i = 0; i < n; i++) sd[i] = Math.sqrt(Math.max(1e-12, cov[i][i] / (weightSum || 1)));
+    const corr = Array(n).fill(null).map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= i; j++) {
+        const c = i === j ? 1 : (cov[i][j] / (weightSum || 1)) / (sd[i] * sd[j]);
+        corr[i][j] = isFinite(c) ? c : 0;
+        corr[j][i] = corr[i][j];
+      }
+    }
+
+    const stay = transitionMatrix[s][s];
+    return {
+      label: labels[s],
+      probability: stationary[s],
+      expectedDurationDays: stay < 1 ? 1 / (1 - stay) : Infinity,
+      effectiveObservations: weightSum,
+      portfolioMu: hmm.means[k] * TRADING_DAYS,
+      portfolioSigma: hmm.sds[k] * Math.sqrt(TRADING_DAYS),
+      mu: mean.map(m => m * TRADING_DAYS),
+      sigma: sd.map(v => v * Math.sqrt(TRADING_DAYS)),
+      correlation: makeValidCorrelation(corr),
+    };
+  });
+
+  const lastPosterior = hmm.posteriors[T - 1];
+
+  return {
+    model: {
+      numStates: K,
+      tickers: tickers.map(t => t?.toUpperCase()),
+      observations: T,
+      states,
+      transitionMatrix,
+      stationary,
+      currentProbs: order.map(k => lastPosterior[k]),
+      logLikelihood: hmm.logLikelihood,
+      iterations: hmm.iterations,
+      fittedAt: new Date().toISOString(),
+    },
+    error: null,
+  };
+};
+
+/**
+ * Turn a fitted regime model into path-engine parameters, calibrated so each
+ * position's long-run mean and volatility match its distribution estimate.
+ * Regime shape (which state is calmer, how correlations move) comes from history;
+ * the level comes from the user's p5–p95 inputs. Paths start in today's regime
+ * (the filtered probabilities at the last observation), falling back to the
+ * stationary mix.
+ *
+ * @param {Object} model - Output of fitRegimeModel
+ * @param {Object} params
+ * @param {number[]} params.annualMu - Expected annual return per position
+ * @param {number[]} params.annualSigma - Annual volatility per position
+ * @param {number} params.stepsPerYear - Simulation steps per year
+ * @returns {{numStates: number, initialProbs: number[], transition: number[], drift: number[], vol: number[], L: number[], labels: string[]}}
+ *   transition is K×K, drift / vol are K×n and L is K×n×n, all flattened row-major
+ */
+export const calibrateRegimeParams = (model, { annualMu, annualSigma, stepsPerYear }) => {
+  const K = model.numStates;
+  const n = annualMu.length;
+  const pi = model.stationary;
+  const stepTransition = transitionOverDays(model.transitionMatrix, TRADING_DAYS / stepsPerYear);
+
+  const drift = new Array(K * n);
+  const vol = new Array(K * n);
+  const L = new Array(K * n * n).fill(0);
+
+  for (let i = 0; i < n; i++) {
+    let avgVar = 0;
+    let avgMu = 0;
+    for (let s = 0; s < K; s++) {
+      avgVar += pi[s] * model.states[s].sigma[i] ** 2;
+      avgMu += pi[s] * model.states[s].mu[i];
+    }
+    const scale = avgVar > 0 ? (annualSigma[i] || 0.2) / Math.sqrt(avgVar) : 1;
+
+    // Regime means are noisy: shrink by effective sample size, clamp, then
+    // re-center so the long-run mean stays at the user's estimate
+    const deviations = model.states.map(state => {
+      const shrink = state.effectiveObservations / (state.effectiveObservations + MEAN_SHRINKAGE_DAYS);
+      const d = (state.mu[i] - avgMu) * scale * shrink;
+      return Math.max(-MAX_MEAN_DEVIATION, Math.min(MAX_MEAN_DEVIATION, d));
+    });
+    const avgDeviation = deviations.reduce((sum, d, s) => sum + pi[s] * d, 0);
+
+    for (let s = 0; s < K; s++) {
+      const sigma = model.states[s].sigma[i] * scale;
+      const mu = (annualMu[i] || 0) + deviations[s] - avgDeviation;
+      drift[s * n + i] = (mu - 0.5 * sigma * sigma) / stepsPerYear;
+      vol[s * n + i] = sigma / Math.sqrt(stepsPerYear);
+    }
+  }
+
+  for (let s = 0; s < K; s++) {
+    const Ls = choleskyDecomposition(model.states[s].correlation);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= i; j++) L[s * n * n + i * n + j] = Ls[i][j] || 0;
+    }
+  }
+
+  // Paths start from today's filtered regime, then mix toward the stationary one
+  const current = Array.isArray(model.currentProbs) && model.currentProbs.length === K
+    ? model.currentProbs.map(p => (isFinite(p) && p > 0 ? p : 0))
+    : null;
+  const currentTotal = current ? current.reduce((a, b) => a + b, 0) : 0;
+  const initialProbs = currentTotal > 0 ? current.map(p => p / currentTotal) : pi;
+
+  return {
+    numStates: K,
+    initialProbs,
+    transition: stepTransition.flat(),
+    drift,
+    vol,
+    L,
+    labels: model.states.map(st => st.label),
+  };
+};
+
+export default {
+  REGIME_LABELS,
+  MIN_REGIME_OBSERVATIONS,
+  alignReturnSeries,
+  stationaryDistribution,
+  transitionOverDays,
+  fitGaussianHMM,
+  fitRegimeModel,
+  calibrateRegimeParams,
+};
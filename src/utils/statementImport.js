@@ -0,0 +1,617 @@
+/**
+ * Broker Statement Import
+ *
+ * @module utils/statementImport
+ * @description Deterministic, offline parsing of broker position exports:
+ * CSV downloads from Schwab, Fidelity, Interactive Brokers and Vanguard (or
+ * any CSV with a symbol and quantity column), and OFX / QFX statements.
+ *
+ * - CSV: the header row is located automatically (brokers put titles and
+ *   account lines above it) and columns are mapped with per-broker presets;
+ *   the mapping can be overridden. IBKR activity statements are read from
+ *   their "Open Positions" section.
+ * - OFX / QFX: positions come from INVPOSLIST, tickers from SECLIST and cash
+ *   from INVBAL (works for both SGML 1.x and XML 2.x files).
+ * - Cash / money-market sweep lines become the statement cash balance;
+ *   options, bonds and total lines are skipped and listed.
+ * - Several lines of the same ticker (one per account) are combined.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Fields an imported row can carry: [key, label, required] */
+export const IMPORT_FIELDS = [
+  ['symbol', 'Symbol', true],
+  ['quantity', 'Quantity', true],
+  ['price', 'Price'],
+  ['value', 'Market value'],
+  ['avgCost', 'Avg cost / share'],
+  ['costBasis', 'Total cost basis'],
+  ['description', 'Name'],
+  ['currency', 'Currency'],
+];
+
+/** Header aliases any CSV is matched against (lower case) */
+const GENERIC_COLUMNS = {
+  symbol: ['symbol', 'ticker', 'ticker symbol', 'security id', 'instrument'],
+  quantity: ['quantity', 'qty', 'shares', 'units', 'position', 'qty (quantity)'],
+  price: ['price', 'last price', 'close price', 'market price', 'share price', 'mark price', 'current price'],
+  value: ['market value', 'current value', 'total value', 'value', 'position value', 'mkt val (market value)'],
+  avgCost: ['average cost', 'avg cost', 'average cost basis', 'cost per share', 'unit cost', 'cost price', 'average price'],
+  costBasis: ['cost basis', 'cost basis total', 'total cost', 'book value'],
+  description: ['description', 'name', 'security name', 'investment name', 'security description'],
+  currency: ['currency', 'ccy'],
+};
+
+/**
+ * Column presets for major brokers' position downloads. Aliases are tried
+ * before the generic ones; `signature` recognizes the export.
+ */
+export const BROKER_PRESETS = {
+  schwab: {
+    label: 'Charles Schwab',
+    signature: (text, headers) => /positions for .*account/i.test(text.slice(0, 300)) || headers.includes('qty (quantity)'),
+    columns: {
+      quantity: ['qty (quantity)', 'quantity'],
+      value: ['mkt val (market value)', 'market value'],
+      costBasis: ['cost basis'],
+    },
+  },
+  fidelity: {
+    label: 'Fidelity',
+    signature: (text, headers) => headers.includes('last price') && headers.includes('current value'),
+    columns: {
+      price: ['last price'],
+      value: ['current value'],
+      avgCost: ['average cost basis'],
+      costBasis: ['cost basis total'],
+    },
+  },
+  ibkr: {
+    label: 'Interactive Brokers',
+    signature: (text) => /^"?open positions"?\s*,\s*"?header/im.test(text) || /^"?statement"?\s*,\s*"?header/im.test(text),
+    columns: {
+      quantity: ['quantity', 'position'],
+      price: ['close price', 'mark price'],
+      avgCost: ['cost price'],
+      costBasis: ['cost basis'],
+      value: ['value', 'position value'],
+    },
+  },
+  vanguard: {
+    label: 'Vanguard',
+    signature: (text, headers) => headers.includes('investment name') && headers.includes('share price'),
+    columns: {
+      quantity: ['shares'],
+      price: ['share price'],
+      value: ['total value'],
+      description: ['investment name'],
+    },
+  },
+  generic: {
+    label: 'Other / generic CSV',
+    signature: () => true,
+    columns: {},
+  },
+};
+
+/** Rows that are account totals or pending activity rather than holdings */
+const TOTAL_ROW = /^(account\s+)?totals?\b|^pending|^grand total|^subtotal/i;
+
+/** Cash, sweep and core money-market lines */
+const CASH_ROW = /cash|money market|sweep|core position|^spaxx|^fdrxx|^fzfxx/i;
+
+const HEADER_SCAN_ROWS = 40;
+
+// ============================================================================
+// PARSING HELPERS
+// ============================================================================
+
+const normalizeHeader = (h) => String(h ?? '').replace(/^﻿/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parse a broker-formatted number: "$1,234.50", "(12.00)", "-5%", "--"
+ * @param {string|number} v
+ * @returns {number|null}
+ */
+export const parseStatementNumber = (v) => {
+  if (v == null) return null;
+  if (typeof v === 'number') return isFinite(v) ? v : null;
+  let s = String(v).trim();
+  if (!s || /^(--|n\/a|na|-)$/i.test(s)) return null;
+  const negative = /^\(.*\)$/.test(s) || /^-/.test(s.replace(/^[^\d(-]+/, ''));
+  s = s.replace(/[^\d.eE-]/g, '').replace(/^-/, '');
+  const parsed = parseFloat(s);
+  if (!isFinite(parsed)) return null;
+  return negative ? -parsed : parsed;
+};
+
+/**
+ * Clean a broker symbol into the ticker format used by the app ("BRK/B" → "BRK-B")
+ * @param {string} raw
+ * @returns {string}
+ */
+export const normalizeBrokerSymbol = (raw) => {
+  const s = String(raw ?? '').trim().toUpperCase().replace(/\*+$/, '');
+  const classShare = s.match(/^([A-Z]{1,5})[ /.]([A-Z])$/);
+  return classShare ? `${classShare[1]}-${classShare[2]}` : s;
+};
+
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 15).join('\n');
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const ch of sample) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts[ch] != null) counts[ch]++;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Split CSV text into rows of fields (quoted fields, escaped quotes and
+ * comma / semicolon / tab delimiters)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+  return rows;
+};
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+const aliasesFor = (presetKey, field) => [
+  ...(BROKER_PRESETS[presetKey]?.columns[field] || []),
+  ...GENERIC_COLUMNS[field],
+];
+
+/**
+ * Map fields to column indices for a header row
+ * @param {string[]} headers - Normalized headers
+ * @param {string} presetKey
+ * @returns {Object<string, number>} field → column index (-1 = not mapped)
+ */
+export const mapColumns = (headers, presetKey = 'generic') => {
+  const mapping = {};
+  const used = new Set();
+  for (const [field] of IMPORT_FIELDS) {
+    const aliases = aliasesFor(presetKey, field);
+    let index = -1;
+    for (const alias of aliases) {
+      index = headers.findIndex((h, i) => !used.has(i) && h === alias);
+      if (index >= 0) break;
+    }
+    if (index < 0) {
+      for (const alias of aliases) {
+        index = headers.findIndex((h, i) => !used.has(i) && h.startsWith(alias));
+        if (index >= 0) break;
+      }
+    }
+    mapping[field] = index;
+    if (index >= 0) used.add(index);
+  }
+  return mapping;
+};
+
+/**
+ * Locate the header row and data rows of a CSV export
+ * @param {string[][]} rows
+ * @returns {{headers: string[], dataRows: string[][], ibkrCash: number|null}|null}
+ */
+const locateTable = (rows) => {
+  // IBKR activity statements: "Section,Header|Data,..." rows
+  const ibkrHeader = rows.find(r => normalizeHeader(r[0]) === 'open positions' && normalizeHeader(r[1]) === 'header');
+  if (ibkrHeader) {
+    let ibkrCash = null;
+    const cashHeader = rows.find(r => normalizeHeader(r[0]) === 'cash report' && normalizeHeader(r[1]) === 'header');
+    if (cashHeader) {
+      const cols = cashHeader.slice(2).map(normalizeHeader);
+      const totalCol = cols.indexOf('total');
+      const ending = rows.find(r => normalizeHeader(r[0]) === 'cash report' && normalizeHeader(r[1]) === 'data'
+        && normalizeHeader(r[2]) === 'ending cash' && /base currency/i.test(r[3] || ''));
+      if (ending && totalCol >= 0) ibkrCash = parseStatementNumber(ending[2 + totalCol]);
+    }
+    return {
+      headers: ibkrHeader.slice(2).map(normalizeHeader),
+      dataRows: rows.filter(r => normalizeHeader(r[0]) === 'open positions' && normalizeHeader(r[1]) === 'data').map(r => r.slice(2)),
+      ibkrCash,
+    };
+  }
+
+  const symbolAliases = GENERIC_COLUMNS.symbol;
+  const quantityAliases = [...GENERIC_COLUMNS.quantity];
+  const isHeaderRow = (headers) => headers.some(h => symbolAliases.includes(h))
+    && headers.some(h => quantityAliases.some(a => h === a || h.startsWith(a)));
+  const isBlankRow = (row) => row.every(cell => !String(cell ?? '').trim());
+
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const headers = rows[i].map(normalizeHeader);
+    if (!isHeaderRow(headers)) continue;
+    const key = headers.join('|');
+
+    // The table ends at a blank row or another section's header (Vanguard puts
+    // transactions below the positions). A later block with the same header, as
+    // in multi-account exports, continues it
+    const dataRows = [];
+    for (let j = i + 1; j < rows.length; j++) {
+      const row = rows[j];
+      const rowHeaders = row.map(normalizeHeader);
+      if (rowHeaders.join('|') === key) continue;
+      if (isHeaderRow(rowHeaders)) break;
+      if (isBlankRow(row)) {
+        const next = rows.slice(j + 1, j + 4).findIndex(r => r.map(normalizeHeader).join('|') === key);
+        if (next < 0) break;
+        j += next + 1;
+        continue;
+      }
+      dataRows.push(row);
+    }
+    return { headers, dataRows, ibkrCash: null };
+  }
+  return null;
+};
+
+/**
+ * Pick the broker preset that matches a CSV export
+ * @param {string} text
+ * @param {string[]} headers - Normalized headers
+ * @returns {string} Preset key
+ */
+export const detectBrokerPreset = (text, headers = []) =>
+  Object.keys(BROKER_PRESETS).find(key => BROKER_PRESETS[key].signature(text, headers)) || 'generic';
+
+/**
+ * Parse a CSV position export
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.preset] - Broker preset key (detected when omitted)
+ * @param {Object} [options.mapping] - field → column index overrides
+ * @returns {Object} See parseStatement()
+ */
+export const parseCsvStatement = (text, { preset, mapping: overrides } = {}) => {
+  const rows = parseCsv(text);
+  const table = locateTable(rows);
+  if (!table) {
+    throw new Error('No header row with a symbol and a quantity column was found. Is this a positions export?');
+  }
+
+  const presetKey = BROKER_PRESETS[preset] ? preset : detectBrokerPreset(text, table.headers);
+  const mapping = { ...mapColumns(table.headers, presetKey), ...(overrides || {}) };
+  const col = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] : undefined);
+
+  const discriminatorCol = table.headers.indexOf('datadiscriminator');
+  const assetCol = table.headers.indexOf('asset category');
+
+  const lines = [];
+  const skipped = [];
+  let cash = table.ibkrCash;
+
+  for (const row of table.dataRows) {
+    const rawSymbol = String(col(row, 'symbol') ?? '').trim();
+    const description = String(col(row, 'description') ?? '').trim();
+    const label = rawSymbol || description || row.filter(Boolean).slice(0, 2).join(' ');
+
+    if (discriminatorCol >= 0 && row[discriminatorCol] && !/summary/i.test(row[discriminatorCol])) continue;
+    if (!rawSymbol && !description) continue;
+    if (TOTAL_ROW.test(rawSymbol) || (!rawSymbol && TOTAL_ROW.test(description))) continue;
+    // Fidelity / Vanguard footers: disclaimers in the first column
+    if (mapping.quantity >= 0 && row.length <= mapping.quantity && !CASH_ROW.test(label)) continue;
+
+    const quantity = parseStatementNumber(col(row, 'quantity'));
+    const value = parseStatementNumber(col(row, 'value'));
+
+    const isCash = CASH_ROW.test(rawSymbol) || /\*\*$/.test(rawSymbol)
+      || /money market|settlement fund/i.test(description) || (!rawSymbol && CASH_ROW.test(description));
+    if (isCash) {
+      const amount = value ?? quantity;
+      if (amount != null) cash = (cash || 0) + amount;
+      continue;
+    }
+    if (assetCol >= 0 && row[assetCol] && !/stock|etf|fund/i.test(row[assetCol])) {
+      skipped.push({ label, reason: `${row[assetCol]} not imported` });
+      continue;
+    }
+
+    const ticker = normalizeBrokerSymbol(rawSymbol);
+    if (!ticker || /\s/.test(ticker) || ticker.length > 12) {
+      skipped.push({ label, reason: 'not a stock / ETF symbol (option or bond?)' });
+      continue;
+    }
+    if (quantity == null || quantity === 0) {
+      skipped.push({ label, reason: 'no quantity' });
+      continue;
+    }
+
+    const price = parseStatementNumber(col(row, 'price'));
+    const avgCost = parseStatementNumber(col(row, 'avgCost'));
+    const costBasis = parseStatementNumber(col(row, 'costBasis'));
+    lines.push({
+      ticker,
+      name: description || null,
+      quantity,
+      price: price > 0 ? price : value != null && quantity ? Math.abs(value / quantity) : null,
+      avgCost: avgCost > 0 ? avgCost : costBasis != null && quantity ? Math.abs(costBasis / quantity) : null,
+      currency: String(col(row, 'currency') ?? '').trim().toUpperCase() || null,
+    });
+  }
+
+  return {
+    format: 'csv',
+    preset: presetKey,
+    headers: table.headers,
+    mapping,
+    positions: combineLines(lines),
+    cash,
+    skipped,
+  };
+};
+
+// ============================================================================
+// OFX / QFX
+// ============================================================================
+
+const ofxBlocks = (text, tag) =>
+  [...text.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))].map(m => m[1]);
+
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+/** OFX position aggregates: [tag, imported] */
+const OFX_POSITION_TYPES = [
+  ['POSSTOCK', true],
+  ['POSMF', true],
+  ['POSOTHER', true],
+  ['POSOPT', false],
+  ['POSDEBT', false],
+];
+
+/**
+ * Parse an OFX / QFX investment statement
+ * @param {string} text
+ * @returns {Object} See parseStatement()
+ */
+export const parseOfxStatement = (text) => {
+  if (!/<INVSTMTRS>|<INVPOSLIST>/i.test(text)) {
+    throw new Error('This OFX file has no investment positions (bank or credit-card statement?).');
+  }
+
+  // SECLIST: unique id → ticker / name
+  const securities = new Map();
+  for (const info of ofxBlocks(text, 'SECINFO')) {
+    const id = ofxValue(info, 'UNIQUEID');
+    if (id) securities.set(id, { ticker: ofxValue(info, 'TICKER'), name: ofxValue(info, 'SECNAME') });
+  }
+
+  const currency = ofxValue(text, 'CURDEF');
+  const lines = [];
+  const skipped = [];
+
+  for (const [tag, imported] of OFX_POSITION_TYPES) {
+    for (const block of ofxBlocks(text, tag)) {
+      const id = ofxValue(block, 'UNIQUEID');
+      const security = securities.get(id) || {};
+      const label = security.ticker || security.name || id || tag;
+      if (!imported) {
+        skipped.push({ label, reason: tag === 'POSOPT' ? 'option not imported' : 'bond not imported' });
+        continue;
+      }
+      const ticker = normalizeBrokerSymbol(security.ticker);
+      if (!ticker) {
+        skipped.push({ label, reason: `no ticker for ${ofxValue(block, 'UNIQUEIDTYPE') || 'id'} ${id}` });
+        continue;
+      }
+      let quantity = parseStatementNumber(ofxValue(block, 'UNITS'));
+      if (quantity == null || quantity === 0) {
+        skipped.push({ label, reason: 'no quantity' });
+        continue;
+      }
+      if (/^SHORT$/i.test(ofxValue(block, 'POSTYPE') || '') && quantity > 0) quantity = -quantity;
+      const price = parseStatementNumber(ofxValue(block, 'UNITPRICE'));
+      const value = parseStatementNumber(ofxValue(block, 'MKTVAL'));
+      lines.push({
+        ticker,
+        name: security.name || null,
+        quantity,
+        price: price > 0 ? price : value != null ? Math.abs(value / quantity) : null,
+        avgCost: null,
+        currency: currency ? currency.toUpperCase() : null,
+      });
+    }
+  }
+
+  const balance = ofxBlocks(text, 'INVBAL')[0];
+  const cash = balance ? parseStatementNumber(ofxValue(balance, 'AVAILCASH')) : null;
+
+  return {
+    format: 'ofx',
+    preset: null,
+    headers: [],
+    mapping: {},
+    positions: combineLines(lines),
+    cash,
+    skipped,
+    broker: ofxValue(text, 'ORG'),
+  };
+};
+
+// ============================================================================
+// ENTRY POINTS
+// ============================================================================
+
+/**
+ * Combine lines of the same ticker (e.g. one per account)
+ * @param {Object[]} lines
+ * @returns {Object[]}
+ */
+const combineLines = (lines) => {
+  const byTicker = new Map();
+  for (const line of lines) {
+    const entry = byTicker.get(line.ticker);
+    if (!entry) {
+      byTicker.set(line.ticker, { ...line, costQuantity: line.avgCost != null ? line.quantity : 0 });
+      continue;
+    }
+    if (line.avgCost != null) {
+      const prevCost = entry.avgCost != null ? entry.avgCost * entry.costQuantity : 0;
+      entry.costQuantity += line.quantity;
+      entry.avgCost = entry.costQuantity !== 0 ? (prevCost + line.avgCost * line.quantity) / entry.costQuantity : null;
+    }
+    entry.quantity += line.quantity;
+    entry.price = entry.price ?? line.price;
+    entry.name = entry.name || line.name;
+  }
+  return [...byTicker.values()]
+    .map(({ costQuantity: _costQuantity, ...line }) => line)
+    .filter(line => line.quantity !== 0);
+};
+
+/**
+ * Parse a broker statement file
+ *
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used to recognize .ofx / .qfx
+ * @param {string} [options.preset] - CSV broker preset
+ * @param {Object} [options.mapping] - CSV field → column index overrides
+ * @returns {{
+ *   format: 'csv'|'ofx', preset: string|null, headers: string[], mapping: Object,
+ *   positions: {ticker: string, name: string|null, quantity: number, price: number|null, avgCost: number|null, currency: string|null}[],
+ *   cash: number|null, skipped: {label: string, reason: string}[]
+ * }}
+ */
+export const parseStatement = (text, { fileName = '', ...options } = {}) => {
+  if (/\.(ofx|qfx)$/i.test(fileName) || /OFXHEADER|<OFX>/i.test(text.slice(0, 2000))) {
+    return parseOfxStatement(text);
+  }
+  return parseCsvStatement(text, options);
+};
+
+/**
+ * Apply imported lines to the current positions
+ *
+ * - merge: tickers in the statement get its quantity, price and average cost;
+ *   other positions are kept and new tickers are added
+ * - replace: the book becomes exactly the statement
+ *
+ * Positions that already existed keep their type and return distribution.
+ * Imported lines must already be converted to USD (price, avgCost) and carry
+ * the local price in domesticPrice with its exchangeRate, like fetched quotes.
+ *
+ * @param {Object[]} positions - Current positions
+ * @param {Object[]} imported - parseStatement() positions after FX conversion
+ * @param {'merge'|'replace'} mode
+ * @param {Function} createPosition - (line) => new position object
+ * @returns {{positions: Object[], updated: number, added: number, removed: number}}
+ */
+export const mergeStatementPositions = (positions, imported, mode, createPosition) => {
+  const byTicker = new Map();
+  for (const p of positions) {
+    const ticker = p.ticker?.toUpperCase();
+    if (ticker && !byTicker.has(ticker)) byTicker.set(ticker, p);
+  }
+
+  // Price and its currency fields move together so domesticPrice never goes stale
+  const apply = (existing, line) => ({
+    ...existing,
+    quantity: line.quantity,
+    ...(line.price > 0 ? {
+      price: line.price,
+      currency: line.currency || 'USD',
+      domesticPrice: line.domesticPrice ?? line.price,
+      exchangeRate: line.exchangeRate ?? 1,
+    } : {}),
+    avgCost: line.avgCost ?? existing.avgCost ?? null,
+  });
+
+  let updated = 0;
+  let added = 0;
+  const importedByTicker = new Map(imported.map(line => [line.ticker, line]));
+  const next = [];
+
+  if (mode === 'merge') {
+    const seen = new Set();
+    for (const p of positions) {
+      const ticker = p.ticker?.toUpperCase();
+      const line = importedByTicker.get(ticker);
+      if (line && !seen.has(ticker)) {
+        seen.add(ticker);
+        next.push(apply(p, line));
+        updated++;
+      } else {
+        next.push(p);
+      }
+    }
+    for (const line of imported) {
+      if (seen.has(line.ticker)) continue;
+      next.push(createPosition(line));
+      added++;
+    }
+    return { positions: next, updated, added, removed: 0 };
+  }
+
+  for (const line of imported) {
+    const existing = byTicker.get(line.ticker);
+    if (existing) {
+      next.push(apply(existing, line));
+      updated++;
+    } else {
+      next.push(createPosition(line));
+      added++;
+    }
+  }
+  return { positions: next, updated, added, removed: positions.length - updated };
+};
+
+export default {
+  IMPORT_FIELDS,
+  BROKER_PRESETS,
+  parseStatementNumber,
+  normalizeBrokerSymbol,
+  parseCsv,
+  mapColumns,
+  detectBrokerPreset,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseStatement,
+  mergeStatementPositions,
+};
@@ -22,18 +22,21 @@
  * destroys the low-discrepancy structure that makes QMC effective.
  */
 
+import { random } from './random';
+
 // ============================================================================
 // BASIC STATISTICAL FUNCTIONS
 // ============================================================================
 
 /**
  * Box-Muller transform for generating standard normal random numbers
+ * Draws from the seedable generator in ./random (see seedRandom)
  * @returns {number} Standard normal random variable
  */
 export const boxMuller = () => {
   let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = random();
+  while (v === 0) v = random();
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 };
 
@@ -43,8 +46,8 @@ export const boxMuller = () => {
  */
 export const boxMullerPair = () => {
   let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = random();
+  while (v === 0) v = random();
   const r = Math.sqrt(-2.0 * Math.log(u));
   const theta = 2.0 * Math.PI * v;
   return [r * Math.cos(theta), r * Math.sin(theta)];
@@ -0,0 +1,337 @@
+/**
+ * Historical Stress Testing
+ *
+ * @module utils/stressTest
+ * @description Replays today's holdings through historical market windows
+ * (2008, COVID, 2022, dot-com, or a custom date range) using daily price
+ * history. Holdings are buy-and-hold from the window start; cash is flat.
+ *
+ * Positions without price history covering a window (later IPOs, new ETFs)
+ * fall back to a factor proxy: their market / size / value / momentum betas
+ * applied to the ETF spreads in FACTOR_SPREAD_DEFINITIONS. Factors whose ETF
+ * legs did not exist yet are dropped (e.g. MOM before MTUM launched in 2013).
+ */
+
+import { FACTOR_SPREAD_DEFINITIONS } from './factorDefinitions';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Built-in historical windows (peak to trough of the S&P 500)
+ * @type {Array<{id: string, name: string, icon: string, start: string, end: string, description: string}>}
+ */
+export const HISTORICAL_SCENARIOS = [
+  {
+    id: 'gfc2008',
+    name: '2008 Financial Crisis',
+    icon: '🏦',
+    start: '2007-10-09',
+    end: '2009-03-09',
+    description: 'Subprime collapse, Lehman failure and global deleveraging',
+  },
+  {
+    id: 'covid2020',
+    name: 'COVID-19 Crash',
+    icon: '🦠',
+    start: '2020-02-19',
+    end: '2020-03-23',
+    description: 'Fastest 30% drawdown on record as economies shut down',
+  },
+  {
+    id: 'rates2022',
+    name: '2022 Rate Shock',
+    icon: '📈',
+    start: '2022-01-03',
+    end: '2022-10-12',
+    description: 'Inflation and rapid Fed hikes hit stocks and bonds together',
+  },
+  {
+    id: 'dotcom2000',
+    name: 'Dot-Com Crash',
+    icon: '💻',
+    start: '2000-03-24',
+    end: '2002-10-09',
+    description: 'Tech bubble unwind and post-9/11 recession',
+  },
+];
+
+/** Market factor proxy (other factors come from FACTOR_SPREAD_DEFINITIONS) */
+const MARKET_PROXY = 'SPY';
+
+/** Factors used for proxies, matching the factor analysis betas */
+export const STRESS_PROXY_FACTORS = ['MKT', 'SMB', 'HML', 'MOM'];
+
+/** A window start/end counts as covered if a close exists within this many days */
+const COVERAGE_TOLERANCE_DAYS = 7;
+
+/** Maximum points kept in the replay path for charting */
+const MAX_PATH_POINTS = 260;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Tickers needed for factor proxies
+ * @returns {string[]}
+ */
+export const getStressProxyTickers = () => {
+  const tickers = new Set([MARKET_PROXY]);
+  STRESS_PROXY_FACTORS.forEach(f => {
+    const def = FACTOR_SPREAD_DEFINITIONS[f];
+    if (def) {
+      tickers.add(def.long);
+      tickers.add(def.short);
+    }
+  });
+  return [...tickers];
+};
+
+const toMs = (date) => (date instanceof Date ? date.getTime() : typeof date === 'string' ? Date.parse(date) : date);
+
+/**
+ * Closes covering [startMs, endMs], anchored on the last close on/before start
+ * @param {Array<{date: Date|number, close: number}>} prices - Price history (oldest first)
+ * @returns {Array<{t: number, close: number}>|null} null when the window isn't covered
+ */
+const sliceWindow = (prices, startMs, endMs) => {
+  if (!prices?.length) return null;
+  let anchor = null;
+  const points = [];
+  for (let i = 0; i < prices.length; i++) {
+    const t = toMs(prices[i].date);
+    const close = prices[i].close;
+    if (!(close > 0) || !isFinite(t)) continue;
+    if (t <= startMs) {
+      anchor = { t, close };
+    } else if (t <= endMs) {
+      if (!anchor) return null; // history starts after the window opens
+      if (points.length === 0) points.push(anchor);
+      points.push({ t, close });
+    } else {
+      break;
+    }
+  }
+  if (!anchor || points.length < 2) return null;
+  if (startMs - points[0].t > COVERAGE_TOLERANCE_DAYS * DAY_MS) return null;
+  if (endMs - points[points.length - 1].t > COVERAGE_TOLERANCE_DAYS * DAY_MS) return null;
+  return points;
+};
+
+/**
+ * Forward-filled growth (close / base close) on a calendar of timestamps
+ * @param {Array<{t: number, close: number}>} points
+ * @param {number[]} calendar
+ * @returns {Float64Array}
+ */
+const growthOnCalendar = (points, calendar) => {
+  const growth = new Float64Array(calendar.length);
+  const base = points[0].close;
+  let j = 0;
+  let last = 1;
+  for (let k = 0; k < calendar.length; k++) {
+    while (j < points.length && points[j].t <= calendar[k]) {
+      last = points[j].close / base;
+      j++;
+    }
+    growth[k] = last;
+  }
+  return growth;
+};
+
+/**
+ * Factor-implied growth path: daily return = Σ β_f × factor return
+ * @returns {{growth: Float64Array, factors: string[]}|null}
+ */
+const proxyGrowth = (betas, factorGrowth, calendar) => {
+  const used = STRESS_PROXY_FACTORS.filter(f => factorGrowth[f] && isFinite(betas?.[f]) && betas[f] !== 0);
+  if (used.length === 0) return null;
+  const growth = new Float64Array(calendar.length);
+  growth[0] = 1;
+  for (let k = 1; k < calendar.length; k++) {
+    let r = 0;
+    for (const f of used) {
+      const g = factorGrowth[f];
+      r += betas[f] * (g[k] / g[k - 1] - 1);
+    }
+    growth[k] = Math.max(0, growth[k - 1] * (1 + r));
+  }
+  return { growth, factors: used };
+};
+
+// ============================================================================
+// SCENARIO REPLAY
+// ============================================================================
+
+/**
+ * Replay holdings through one historical window
+ *
+ * @param {Object} params
+ * @param {{id: string, name: string, start: string, end: string}} params.scenario - Window to replay
+ * @param {Array<{ticker: string, value: number}>} params.holdings - Current position values (USD, signed)
+ * @param {number} [params.cashValue=0] - Cash balance (held flat)
+ * @param {Object} params.histories - Daily prices by ticker: { TICKER: [{date, close}] }
+ * @param {Object} [params.betasByTicker] - Factor betas by ticker: { TICKER: { MKT, SMB, HML, MOM } }
+ * @returns {Object} Replay result, or { id, name, error } when the window can't be replayed
+ */
+export const runStressScenario = ({ scenario, holdings, cashValue = 0, histories, betasByTicker = {} }) => {
+  const startMs = Date.parse(scenario.start);
+  const endMs = Date.parse(scenario.end);
+  if (!isFinite(startMs) || !isFinite(endMs) || endMs <= startMs) {
+    return { id: scenario.id, name: scenario.name, error: 'Invalid date range' };
+  }
+
+  // Trading calendar and benchmark from SPY
+  const benchmarkPoints = sliceWindow(histories[MARKET_PROXY], startMs, endMs);
+  if (!benchmarkPoints) {
+    return { id: scenario.id, name: scenario.name, error: `${MARKET_PROXY} history does not cover this window` };
+  }
+  const calendar = benchmarkPoints.map(p => p.t);
+  const benchmarkGrowth = growthOnCalendar(benchmarkPoints, calendar);
+
+  // Factor growth paths for proxies (only factors whose legs cover the window)
+  const factorGrowth = { MKT: benchmarkGrowth };
+  STRESS_PROXY_FACTORS.forEach(f => {
+    if (f === 'MKT') return;
+    const def = FACTOR_SPREAD_DEFINITIONS[f];
+    const longPoints = def && sliceWindow(histories[def.long], startMs, endMs);
+    const shortPoints = def && sliceWindow(histories[def.short], startMs, endMs);
+    if (!longPoints || !shortPoints) return;
+    const longGrowth = growthOnCalendar(longPoints, calendar);
+    const shortGrowth = growthOnCalendar(shortPoints, calendar);
+    // Spread as a synthetic index of daily long-minus-short returns
+    const spread = new Float64Array(calendar.length);
+    spread[0] = 1;
+    for (let k = 1; k < calendar.length; k++) {
+      const r = (longGrowth[k] / longGrowth[k - 1]) - (shortGrowth[k] / shortGrowth[k - 1]);
+      spread[k] = spread[k - 1] * (1 + r);
+    }
+    factorGrowth[f] = spread;
+  });
+
+  const startValue = cashValue + holdings.reduce((sum, h) => sum + (h.value || 0), 0);
+  const grossValue = holdings.reduce((sum, h) => sum + Math.abs(h.value || 0), 0);
+  const nav = new Float64Array(calendar.length).fill(cashValue);
+  let coveredGross = 0;
+
+  const positions = holdings.map(h => {
+    const ticker = h.ticker?.toUpperCase();
+    const points = sliceWindow(histories[ticker], startMs, endMs);
+    let growth = null;
+    let source = 'none';
+    let factors = [];
+    if (points) {
+      growth = growthOnCalendar(points, calendar);
+      source = 'history';
+      coveredGross += Math.abs(h.value || 0);
+    } else {
+      const proxy = proxyGrowth(betasByTicker[ticker] || { MKT: 1 }, factorGrowth, calendar);
+      if (proxy) {
+        growth = proxy.growth;
+        source = 'proxy';
+        factors = proxy.factors;
+      }
+    }
+
+    for (let k = 0; k < calendar.length; k++) nav[k] += (h.value || 0) * (growth ? growth[k] : 1);
+
+    const ret = growth ? growth[calendar.length - 1] - 1 : 0;
+    let worst = 0;
+    if (growth) {
+      for (let k = 0; k < calendar.length; k++) worst = Math.min(worst, growth[k] - 1);
+    }
+    return {
+      ticker,
+      value: h.value || 0,
+      return: ret,
+      worstReturn: worst,
+      pnl: (h.value || 0) * ret,
+      contribution: startValue !== 0 ? ((h.value || 0) * ret) / startValue : 0,
+      source,
+      factors,
+    };
+  });
+
+  // Peak-to-trough on the replayed NAV
+  let peak = nav[0];
+  let maxDrawdown = 0;
+  let troughIdx = 0;
+  let minIdx = 0;
+  for (let k = 0; k < calendar.length; k++) {
+    if (nav[k] > peak) peak = nav[k];
+    const dd = peak > 0 ? (peak - nav[k]) / peak : 0;
+    if (dd > maxDrawdown) {
+      maxDrawdown = dd;
+      troughIdx = k;
+    }
+    if (nav[k] < nav[minIdx]) minIdx = k;
+  }
+
+  const stride = Math.max(1, Math.ceil(calendar.length / MAX_PATH_POINTS));
+  const path = [];
+  for (let k = 0; k < calendar.length; k += stride) {
+    path.push({
+      date: new Date(calendar[k]).toISOString().slice(0, 10),
+      portfolio: startValue !== 0 ? nav[k] / startValue - 1 : 0,
+      benchmark: benchmarkGrowth[k] - 1,
+    });
+  }
+  const last = calendar.length - 1;
+  if ((last % stride) !== 0) {
+    path.push({
+      date: new Date(calendar[last]).toISOString().slice(0, 10),
+      portfolio: startValue !== 0 ? nav[last] / startValue - 1 : 0,
+      benchmark: benchmarkGrowth[last] - 1,
+    });
+  }
+
+  const endValue = nav[last];
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    start: new Date(calendar[0]).toISOString().slice(0, 10),
+    end: new Date(calendar[last]).toISOString().slice(0, 10),
+    tradingDays: calendar.length - 1,
+    startValue,
+    endValue,
+    return: startValue !== 0 ? endValue / startValue - 1 : 0,
+    pnl: endValue - startValue,
+    worstReturn: startValue !== 0 ? nav[minIdx] / startValue - 1 : 0,
+    maxDrawdown,
+    troughDate: new Date(calendar[troughIdx]).toISOString().slice(0, 10),
+    benchmarkReturn: benchmarkGrowth[last] - 1,
+    coverage: grossValue > 0 ? coveredGross / grossValue : 1,
+    proxiedCount: positions.filter(p => p.source === 'proxy').length,
+    missingCount: positions.filter(p => p.source === 'none').length,
+    availableFactors: Object.keys(factorGrowth),
+    positions: positions.sort((a, b) => a.pnl - b.pnl),
+    path,
+  };
+};
+
+/**
+ * Validate a user-defined window
+ * @param {{name: string, start: string, end: string}} scenario
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCustomScenario = ({ name, start, end }) => {
+  if (!name?.trim()) return 'Name is required';
+  const startMs = Date.parse(start);
+  const endMs = Date.parse(end);
+  if (!isFinite(startMs) || !isFinite(endMs)) return 'Start and end must be valid dates';
+  if (endMs <= startMs) return 'End date must be after start date';
+  if (endMs > Date.now()) return 'End date cannot be in the future';
+  return null;
+};
+
+export default {
+  HISTORICAL_SCENARIOS,
+  STRESS_PROXY_FACTORS,
+  getStressProxyTickers,
+  runStressScenario,
+  validateCustomScenario,
+};
@@ -0,0 +1,342 @@
+/**
+ * Tax-Loss Harvesting
+ *
+ * @module utils/taxLossHarvesting
+ * @description Finds positions trading below their cost basis, estimates the
+ * tax a sale would save, and proposes correlated replacements so market
+ * exposure is kept while the loss is realized.
+ *
+ * - Only lots with a loss are harvested (sell them by specific ID). Positions
+ *   outside the ledger are one lot at their average cost with an unknown
+ *   holding period, valued at the long-term rate.
+ * - Benefit = short-term loss × short-term rate + long-term loss × long-term
+ *   rate, i.e. assuming there are gains (or ordinary income) to offset.
+ * - Wash sales: shares of the same or a substantially identical ticker bought
+ *   in the 30 days before the sale, and kept after it, disallow that share of
+ *   the loss. Reinvested dividends count as purchases. The original cannot be
+ *   bought back until 31 days after the sale.
+ * - Replacements come from the factor / thematic ETFs and the other holdings,
+ *   ranked by correlation of date-aligned daily returns over the last year.
+ *   Tickers that track the same index or are share classes of one company are
+ *   never proposed.
+ */
+
+import { summarizePnL, daysBetween } from './ledger';
+import { computeCorrelation } from './correlation';
+import { THEMATIC_ETFS } from './factorDefinitions';
+import { normalizeTaxSettings } from './taxes';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Days on either side of a loss sale in which a purchase is a wash sale */
+export const WASH_SALE_DAYS = 30;
+
+export const DEFAULT_HARVEST_OPTIONS = {
+  minLoss: 100,
+  minCorrelation: 0.7,
+  maxReplacements: 3,
+};
+
+/**
+ * Tickers treated as substantially identical to each other: funds on the same
+ * index and share classes of one company
+ */
+export const SUBSTANTIALLY_IDENTICAL_GROUPS = [
+  ['SPY', 'VOO', 'IVV', 'SPLG'],
+  ['QQQ', 'QQQM'],
+  ['IWM', 'VTWO'],
+  ['VTI', 'ITOT'],
+  ['EFA', 'SCHF'],
+  ['GLD', 'IAU', 'GLDM', 'SGOL'],
+  ['GOOGL', 'GOOG'],
+  ['BRK-A', 'BRK-B', 'BRK.A', 'BRK.B'],
+  ['FOXA', 'FOX'],
+  ['NWSA', 'NWS'],
+];
+
+/** Aligned trading days needed before a correlation is trusted */
+const MIN_OVERLAP = 60;
+
+/** Trading days of history the correlation looks back over */
+const LOOKBACK_DAYS = 252;
+
+/** Replacement ETFs (the factor and thematic set useMarketData already loads) */
+const REPLACEMENT_ETF_NAMES = {
+  SPY: 'S&P 500',
+  IWM: 'Russell 2000',
+  IWD: 'Russell 1000 Value',
+  IWF: 'Russell 1000 Growth',
+  MTUM: 'Momentum',
+  QUAL: 'Quality',
+  SPLV: 'Low Volatility',
+  ...Object.fromEntries(Object.entries(THEMATIC_ETFS).map(([t, d]) => [t, d.name])),
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// ============================================================================
+// WASH SALES
+// ============================================================================
+
+/**
+ * The ticker plus every ticker substantially identical to it
+ * @param {string} ticker
+ * @returns {Set<string>}
+ */
+export const identicalTickers = (ticker) => {
+  const upper = ticker.toUpperCase();
+  const group = SUBSTANTIALLY_IDENTICAL_GROUPS.find(g => g.includes(upper));
+  return new Set(group || [upper]);
+};
+
+/**
+ * Purchases inside the look-back window that would still be held after the
+ * harvest, and the last day a sale would be caught by them
+ * @param {string} ticker
+ * @param {Object} ledger - buildLedger() output
+ * @param {Set<string>} harvestedLotIds - Lots sold by the harvest
+ * @param {string} asOf
+ * @returns {{purchases: {ticker: string, date: string, quantity: number, kind: string}[], shares: number, clearDate: string|null}}
+ */
+const findWashSalePurchases = (ticker, ledger, harvestedLotIds, asOf) => {
+  const identical = identicalTickers(ticker);
+  const inWindow = (date) => {
+    const age = daysBetween(date, asOf);
+    return age >= 0 && age <= WASH_SALE_DAYS;
+  };
+
+  // Reinvested dividends open lots of their own (the lot id is the dividend's)
+  const reinvestedIds = new Set((ledger?.dividends || []).filter(d => d.reinvested).map(d => d.txId));
+  const purchases = [];
+  for (const t of identical) {
+    for (const lot of ledger?.holdings[t]?.lots || []) {
+      if (harvestedLotIds.has(lot.id) || !inWindow(lot.acquired)) continue;
+      purchases.push({ ticker: t, date: lot.acquired, quantity: lot.quantity, kind: reinvestedIds.has(lot.id) ? 'dividend' : 'buy' });
+    }
+  }
+
+  const last = purchases.reduce((latest, p) => (p.date > latest ? p.date : latest), '');
+  return {
+    purchases: purchases.sort((a, b) => a.date.localeCompare(b.date)),
+    shares: purchases.reduce((sum, p) => sum + p.quantity, 0),
+    clearDate: last ? addDays(last, WASH_SALE_DAYS + 1) : null,
+  };
+};
+
+// ============================================================================
+// REPLACEMENTS
+// ============================================================================
+
+/** Map of 'YYYY-MM-DD' -> daily return, built once per ticker */
+const returnsByDate = (data) => {
+  const map = new Map();
+  const { dailyReturns, timestamps } = data;
+  for (let i = 0; i < dailyReturns.length && i < timestamps.length; i++) {
+    map.set(new Date(timestamps[i]).toISOString().slice(0, 10), dailyReturns[i]);
+  }
+  return map;
+};
+
+/**
+ * Correlation of two tickers' daily returns, aligned by date when both have
+ * timestamps and by the most recent observations otherwise
+ */
+const pairCorrelation = (a, b, dateCache) => {
+  let x, y;
+  if (a.timestamps?.length && b.timestamps?.length) {
+    const mapA = dateCache(a);
+    const mapB = dateCache(b);
+    x = [];
+    y = [];
+    for (const [date, r] of mapA) {
+      const other = mapB.get(date);
+      if (other !== undefined) {
+        x.push(r);
+        y.push(other);
+      }
+    }
+  } else {
+    const n = Math.min(a.dailyReturns.length, b.dailyReturns.length);
+    x = a.dailyReturns.slice(-n);
+    y = b.dailyReturns.slice(-n);
+  }
+  x = x.slice(-LOOKBACK_DAYS);
+  y = y.slice(-LOOKBACK_DAYS);
+  if (x.length < MIN_OVERLAP) return null;
+  const corr = computeCorrelation(x, y);
+  return isFinite(corr) ? { correlation: corr, overlap: x.length } : null;
+};
+
+/**
+ * Rank replacement tickers for a harvested position
+ * @param {string} ticker
+ * @param {Object} marketData - unifiedMarketData
+ * @param {{ticker: string, name: string, held: boolean}[]} universe
+ * @param {Object} options
+ * @returns {{replacements: Object[], closest: Object|null}} Replacements above
+ *   the correlation floor, and the best one below it when there are none
+ */
+const rankReplacements = (ticker, marketData, universe, { minCorrelation, maxReplacements, exclude, dateCache }) => {
+  const base = marketData?.[ticker];
+  if (!base?.dailyReturns?.length) return { replacements: [], closest: null };
+  const identical = identicalTickers(ticker);
+
+  const ranked = [];
+  for (const candidate of universe) {
+    if (identical.has(candidate.ticker) || exclude.has(candidate.ticker)) continue;
+    const data = marketData[candidate.ticker];
+    if (!data?.dailyReturns?.length) continue;
+    const pair = pairCorrelation(base, data, dateCache);
+    if (pair) ranked.push({ ...candidate, ...pair });
+  }
+  ranked.sort((a, b) => b.correlation - a.correlation);
+
+  const replacements = ranked.filter(r => r.correlation >= minCorrelation).slice(0, maxReplacements);
+  return { replacements, closest: replacements.length === 0 ? ranked[0] || null : null };
+};
+
+// ============================================================================
+// CANDIDATES
+// ============================================================================
+
+/**
+ * Positions worth harvesting now
+ * @param {Object[]} positions
+ * @param {Object} options
+ * @param {Object} options.ledger - buildLedger() output
+ * @param {Object} [options.marketData] - unifiedMarketData (daily returns for replacements)
+ * @param {Object} [options.taxes] - Tax settings (rates and account treatment)
+ * @param {number} [options.minLoss] - Smallest loss worth listing, in dollars
+ * @param {number} [options.minCorrelation] - Correlation floor for replacements
+ * @param {number} [options.maxReplacements]
+ * @param {string} [options.asOf] - Sale date, 'YYYY-MM-DD'
+ * @returns {{candidates: Object[], totals: Object, rates: Object, treatment: string,
+ *   taxAdvantaged: boolean, realizedYtd: number, asOf: string}}
+ */
+export const findHarvestCandidates = (positions = [], {
+  ledger,
+  marketData = {},
+  taxes,
+  minLoss = DEFAULT_HARVEST_OPTIONS.minLoss,
+  minCorrelation = DEFAULT_HARVEST_OPTIONS.minCorrelation,
+  maxReplacements = DEFAULT_HARVEST_OPTIONS.maxReplacements,
+  asOf = today(),
+} = {}) => {
+  const settings = normalizeTaxSettings(taxes);
+  const rates = { shortTerm: settings.shortTermRate, longTerm: settings.longTermRate };
+  const emptyLedger = { holdings: {}, realized: [], dividends: [], fees: 0 };
+  const pnl = summarizePnL(ledger || emptyLedger, positions, { asOf });
+  const priceByTicker = Object.fromEntries(
+    positions.filter(p => p.ticker && p.price > 0).map(p => [p.ticker.toUpperCase(), p.price])
+  );
+
+  const losing = [];
+  for (const row of pnl.unrealized.rows) {
+    if (!(row.quantity > 0) || row.gain == null) continue;
+    const price = priceByTicker[row.ticker];
+    let lots;
+    if (row.source === 'ledger') {
+      lots = row.lots
+        .filter(lot => lot.gain < 0)
+        .map(lot => ({ id: lot.id, acquired: lot.acquired, quantity: lot.quantity, costPerShare: lot.costPerShare, loss: -lot.gain, term: lot.term }));
+    } else if (row.gain < 0) {
+      lots = [{ id: null, acquired: null, quantity: row.quantity, costPerShare: row.avgCost, loss: -row.gain, term: 'unknown' }];
+    } else {
+      lots = [];
+    }
+    const loss = lots.reduce((sum, l) => sum + l.loss, 0);
+    if (loss >= minLoss && loss > 0) losing.push({ row, price, lots, loss });
+  }
+
+  // Everything being harvested is sold, so none of it can stand in for another
+  const harvested = new Set(losing.flatMap(({ row }) => [...identicalTickers(row.ticker)]));
+  const held = new Set(positions.map(p => p.ticker?.toUpperCase()).filter(Boolean));
+  const universe = new Map();
+  for (const [ticker, name] of Object.entries(REPLACEMENT_ETF_NAMES)) {
+    universe.set(ticker, { ticker, name: marketData?.[ticker]?.name || name, held: held.has(ticker) });
+  }
+  for (const ticker of held) {
+    if (!universe.has(ticker)) universe.set(ticker, { ticker, name: marketData?.[ticker]?.name || ticker, held: true });
+  }
+  const dateMaps = new Map();
+  const dateCache = (data) => {
+    if (!dateMaps.has(data)) dateMaps.set(data, returnsByDate(data));
+    return dateMaps.get(data);
+  };
+
+  const candidates = losing.map(({ row, price, lots, loss }) => {
+    const shortTermLoss = lots.filter(l => l.term === 'short').reduce((sum, l) => sum + l.loss, 0);
+    const longTermLoss = loss - shortTermLoss;
+    const shares = lots.reduce((sum, l) => sum + l.quantity, 0);
+    const lotIds = new Set(lots.map(l => l.id).filter(Boolean));
+
+    const washSale = row.source === 'ledger'
+      ? findWashSalePurchases(row.ticker, ledger, lotIds, asOf)
+      : null;
+    const disallowedShare = washSale && shares > 0 ? Math.min(1, washSale.shares / shares) : 0;
+    const grossBenefit = shortTermLoss * rates.shortTerm + longTermLoss * rates.longTerm;
+
+    const { replacements, closest } = rankReplacements(row.ticker, marketData, universe.values(), {
+      minCorrelation,
+      maxReplacements,
+      exclude: harvested,
+      dateCache,
+    });
+
+    return {
+      ticker: row.ticker,
+      name: marketData?.[row.ticker]?.name || null,
+      source: row.source,
+      price,
+      shares,
+      heldShares: row.quantity,
+      costBasis: lots.reduce((sum, l) => sum + l.quantity * l.costPerShare, 0),
+      loss,
+      lossPct: row.costBasis > 0 ? -row.gain / row.costBasis : null,
+      shortTermLoss,
+      longTermLoss,
+      lots,
+      taxBenefit: grossBenefit * (1 - disallowedShare),
+      washSale: washSale && {
+        ...washSale,
+        disallowedLoss: loss * disallowedShare,
+      },
+      repurchaseDate: addDays(asOf, WASH_SALE_DAYS + 1),
+      replacements,
+      closest,
+    };
+  }).sort((a, b) => b.taxBenefit - a.taxBenefit);
+
+  const sum = (key) => candidates.reduce((total, c) => total + c[key], 0);
+  return {
+    candidates,
+    totals: {
+      loss: sum('loss'),
+      shortTermLoss: sum('shortTermLoss'),
+      longTermLoss: sum('longTermLoss'),
+      taxBenefit: sum('taxBenefit'),
+      disallowedLoss: candidates.reduce((total, c) => total + (c.washSale?.disallowedLoss || 0), 0),
+    },
+    rates,
+    treatment: settings.treatment,
+    taxAdvantaged: settings.treatment === 'taxDeferred' || settings.treatment === 'taxFree',
+    realizedYtd: pnl.realized.ytd,
+    asOf,
+  };
+};
+
+export default {
+  WASH_SALE_DAYS,
+  DEFAULT_HARVEST_OPTIONS,
+  SUBSTANTIALLY_IDENTICAL_GROUPS,
+  identicalTickers,
+  findHarvestCandidates,
+};
@@ -0,0 +1,295 @@
+/**
+ * Tax-Aware Simulation
+ *
+ * @module utils/taxes
+ * @description Account tax treatment and the inputs / summaries for
+ * after-tax terminal wealth.
+ *
+ * - taxable: a tax ledger rides each simulated path (see pathSimulation.js).
+ *   Every position starts from its real lots (transaction ledger, else one lot
+ *   at the average cost, else no embedded gain). Dividends and bond coupons are
+ *   taxed as they accrue, cash interest at the income rate, and gains realized
+ *   by the rebalancing policy, withdrawals and tax payments are netted
+ *   short / long term at each year end with losses carried forward. Taxes are
+ *   paid by selling the portfolio pro rata. Liquidation value also pays tax on
+ *   the gains still unrealized at the horizon.
+ * - taxDeferred: no tax along the path; everything is taxed as ordinary
+ *   income when withdrawn at the horizon.
+ * - taxFree: after-tax equals pre-tax.
+ *
+ * Reinvested dividends raise the basis of the lots that earned them. Short
+ * positions, listed options and the $3,000 ordinary-income loss offset are
+ * outside the model.
+ */
+
+import { DEFAULT_TAXES } from '../constants/defaults';
+import { daysBetween, longTermDate } from './ledger';
+import { normalizeBondParams } from './bondModel';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Account tax treatments offered in the Simulation tab */
+export const ACCOUNT_TAX_TREATMENTS = {
+  none: { label: 'Off', desc: 'pre-tax only' },
+  taxable: { label: 'Taxable', desc: 'brokerage' },
+  taxDeferred: { label: 'Tax-deferred', desc: 'IRA / 401(k)' },
+  taxFree: { label: 'Tax-free', desc: 'Roth' },
+};
+
+/** Yields above this are treated as percentages (FMP reports both) */
+const MAX_DECIMAL_YIELD = 0.3;
+
+const clampRate = (v, fallback) => (isFinite(v) ? Math.max(0, Math.min(1, v)) : fallback);
+
+/**
+ * Fill in missing fields and clamp rates to [0, 1]
+ * @param {Object} taxes - Saved tax settings
+ * @returns {Object} Settings with every DEFAULT_TAXES field
+ */
+export const normalizeTaxSettings = (taxes) => {
+  const merged = { ...DEFAULT_TAXES, ...(taxes || {}) };
+  return {
+    treatment: ACCOUNT_TAX_TREATMENTS[merged.treatment] ? merged.treatment : DEFAULT_TAXES.treatment,
+    dividendRate: clampRate(merged.dividendRate, DEFAULT_TAXES.dividendRate),
+    shortTermRate: clampRate(merged.shortTermRate, DEFAULT_TAXES.shortTermRate),
+    longTermRate: clampRate(merged.longTermRate, DEFAULT_TAXES.longTermRate),
+    incomeRate: clampRate(merged.incomeRate, DEFAULT_TAXES.incomeRate),
+    fallbackYield: clampRate(merged.fallbackYield, DEFAULT_TAXES.fallbackYield),
+  };
+};
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+/**
+ * Income yield of each position and where it came from
+ *
+ * Bonds pay their coupon yield (taxed as income). Equities use trailing
+ * twelve-month dividends from the ledger, then the consensus dividend yield,
+ * then the fallback yield.
+ *
+ * @param {Object[]} positions - Portfolio positions
+ * @param {Object} [options]
+ * @param {Object} [options.ledger] - buildLedger() output
+ * @param {Object} [options.consensusData] - Consensus data by ticker
+ * @param {number} [options.fallbackYield] - Yield for equities with no data
+ * @param {string} [options.asOf] - Today (YYYY-MM-DD)
+ * @returns {{ticker: string, yield: number, ordinary: boolean, source: 'bond'|'ledger'|'consensus'|'fallback'}[]}
+ */
+export const estimateIncomeYields = (positions, {
+  ledger = null,
+  consensusData = null,
+  fallbackYield = DEFAULT_TAXES.fallbackYield,
+  asOf = new Date().toISOString().slice(0, 10),
+} = {}) => {
+  const trailing = {};
+  for (const d of ledger?.dividends || []) {
+    if (d.date <= asOf && asOf < longTermDate(d.date)) trailing[d.ticker] = (trailing[d.ticker] || 0) + d.amount;
+  }
+
+  return positions.map(p => {
+    const ticker = p.ticker?.toUpperCase();
+    if (p.type === 'Bond') {
+      return { ticker, yield: normalizeBondParams(p.bond, ticker).yield || 0, ordinary: true, source: 'bond' };
+    }
+
+    const value = (p.quantity || 0) * (p.price || 0);
+    if (trailing[ticker] > 0 && value > 0) {
+      return { ticker, yield: Math.min(MAX_DECIMAL_YIELD, trailing[ticker] / value), ordinary: false, source: 'ledger' };
+    }
+
+    const consensus = consensusData?.[ticker]?.cashFlow?.dividendYield;
+    if (isFinite(consensus) && consensus >= 0) {
+      const decimal = consensus > MAX_DECIMAL_YIELD ? consensus / 100 : consensus;
+      return { ticker, yield: Math.min(MAX_DECIMAL_YIELD, decimal), ordinary: false, source: 'consensus' };
+    }
+
+    return { ticker, yield: fallbackYield || 0, ordinary: false, source: 'fallback' };
+  });
+};
+
+/**
+ * Tax parameters for runPathSimulationBatch (taxable accounts only)
+ *
+ * Opening lots are in simulation units: a long position with NAV weight w
+ * holds w shares of a price index starting at 1, so a lot's cost is its share
+ * of w scaled by cost / price. ltStep is the last step at which the lot is
+ * still short-term.
+ *
+ * @param {Object[]} positions - Portfolio positions (simulation order)
+ * @param {Object} params
+ * @param {Object} params.taxes - Tax settings
+ * @param {number[]} params.weights - NAV-relative (levered) weights used by the simulation
+ * @param {number} params.stepsPerYear - Steps per year
+ * @param {Object} [params.ledger] - buildLedger() output (opening lots and dividends)
+ * @param {Object} [params.consensusData] - Consensus data by ticker (dividend yields)
+ * @param {string} [params.asOf] - Today (YYYY-MM-DD)
+ * @returns {Object|null} { rates, yields, ordinary, lots: {asset, shares, cost, ltStep}, sources } or null
+ */
+export const buildTaxSimParams = (positions, {
+  taxes,
+  weights,
+  stepsPerYear,
+  ledger = null,
+  consensusData = null,
+  asOf = new Date().toISOString().slice(0, 10),
+}) => {
+  const settings = normalizeTaxSettings(taxes);
+  if (settings.treatment !== 'taxable' || positions.length === 0) return null;
+
+  const incomeYields = estimateIncomeYields(positions, {
+    ledger,
+    consensusData,
+    fallbackYield: settings.fallbackYield,
+    asOf,
+  });
+
+  const lots = { asset: [], shares: [], cost: [], ltStep: [] };
+  const basis = { ledger: 0, avgCost: 0, unknown: 0 };
+  const addLot = (i, shares, cost, ltStep) => {
+    lots.asset.push(i);
+    lots.shares.push(shares);
+    lots.cost.push(cost);
+    lots.ltStep.push(ltStep);
+  };
+
+  positions.forEach((p, i) => {
+    const w = weights[i] || 0;
+    const price = p.price || 0;
+    if (!(w > 0) || !(price > 0) || !(p.quantity > 0)) return;
+
+    const holding = ledger?.holdings?.[p.ticker?.toUpperCase()];
+    const openLots = (holding?.lots || []).filter(l => l.quantity > 0);
+    const lotShares = openLots.reduce((sum, l) => sum + l.quantity, 0);
+    if (lotShares > 0) {
+      for (const lot of openLots) {
+        const shares = w * (lot.quantity / lotShares);
+        const daysToLongTerm = daysBetween(asOf, longTermDate(lot.acquired));
+        addLot(i, shares, shares * (lot.costPerShare / price), Math.ceil((daysToLongTerm / 365) * stepsPerYear));
+      }
+      basis.ledger++;
+    } else if (p.avgCost > 0) {
+      addLot(i, w, w * (p.avgCost / price), -1);
+      basis.avgCost++;
+    } else {
+      addLot(i, w, w, -1);
+      basis.unknown++;
+    }
+  });
+
+  const sources = { bond: 0, ledger: 0, consensus: 0, fallback: 0 };
+  incomeYields.forEach(y => { sources[y.source]++; });
+
+  return {
+    rates: {
+      dividend: settings.dividendRate,
+      shortTerm: settings.shortTermRate,
+      longTerm: settings.longTermRate,
+      income: settings.incomeRate,
+    },
+    yields: incomeYields.map(y => y.yield),
+    ordinary: incomeYields.map(y => (y.ordinary ? 1 : 0)),
+    lots,
+    sources: { yields: sources, basis },
+  };
+};
+
+// ============================================================================
+// RESULT SUMMARY
+// ============================================================================
+
+const sortedPercentile = (sorted, p) => sorted[Math.min(Math.floor(sorted.length * p), sorted.length - 1)];
+
+const percentiles = (values, startingValue) => {
+  const sorted = values.filter(v => isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const dollars = (p) => sortedPercentile(sorted, p) * startingValue;
+  return {
+    p5: dollars(0.05),
+    p25: dollars(0.25),
+    p50: dollars(0.50),
+    p75: dollars(0.75),
+    p95: dollars(0.95),
+    mean: (sorted.reduce((a, b) => a + b, 0) / sorted.length) * startingValue,
+  };
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + (b || 0), 0) / values.length : 0);
+
+/**
+ * Pre-tax vs after-tax terminal wealth
+ *
+ * @param {Object} params
+ * @param {Object} params.taxes - Tax settings
+ * @param {number[]} params.terminalWealth - Pre-tax NAV multiple per path (including flows)
+ * @param {Object} [params.taxPaths] - Taxable accounts: per-path afterTaxWealth, liquidationWealth,
+ *   dividendTax, gainsTax, incomeTax, liquidationTax (NAV multiples)
+ * @param {Object} [params.sources] - buildTaxSimParams().sources
+ * @param {number} params.startingValue - Portfolio value at t=0
+ * @param {number} params.horizonYears - Horizon in years
+ * @returns {Object|null} { treatment, rates, preTax, afterTax, liquidation, taxes, drag, sources }
+ *   Wealth figures are in dollars; drag is pre-tax minus after-tax (liquidated) CAGR
+ */
+export const summarizeTaxes = ({ taxes, terminalWealth, taxPaths = null, sources = null, startingValue, horizonYears }) => {
+  const settings = normalizeTaxSettings(taxes);
+  if (settings.treatment === 'none' || terminalWealth.length === 0) return null;
+  if (settings.treatment === 'taxable' && !taxPaths) return null;
+
+  const total = terminalWealth.length;
+  let afterTax = terminalWealth;
+  let liquidation = terminalWealth;
+  if (settings.treatment === 'taxable') {
+    afterTax = taxPaths.afterTaxWealth;
+    liquidation = taxPaths.liquidationWealth;
+  } else if (settings.treatment === 'taxDeferred') {
+    liquidation = terminalWealth.map(w => w * (1 - settings.incomeRate));
+  }
+
+  // CAGR drag on paths that end with money on both sides
+  const cagr = (w) => Math.pow(w, 1 / horizonYears) - 1;
+  const drags = [];
+  for (let i = 0; i < total; i++) {
+    if (terminalWealth[i] > 0 && liquidation[i] > 0) drags.push(cagr(terminalWealth[i]) - cagr(liquidation[i]));
+  }
+  drags.sort((a, b) => a - b);
+
+  const taxTotals = settings.treatment === 'taxable' ? {
+    dividend: mean(taxPaths.dividendTax) * startingValue,
+    gains: mean(taxPaths.gainsTax) * startingValue,
+    income: mean(taxPaths.incomeTax) * startingValue,
+    liquidation: mean(taxPaths.liquidationTax) * startingValue,
+  } : {
+    dividend: 0,
+    gains: 0,
+    income: 0,
+    liquidation: settings.treatment === 'taxDeferred' ? mean(terminalWealth) * settings.incomeRate * startingValue : 0,
+  };
+
+  return {
+    treatment: settings.treatment,
+    rates: settings,
+    preTax: percentiles(terminalWealth, startingValue),
+    afterTax: percentiles(afterTax, startingValue),
+    liquidation: percentiles(liquidation, startingValue),
+    taxes: taxTotals,
+    drag: drags.length > 0 ? {
+      median: sortedPercentile(drags, 0.5),
+      mean: mean(drags),
+    } : null,
+    probRuin: settings.treatment === 'taxable'
+      ? afterTax.filter(w => !(w > 0)).length / total
+      : null,
+    sources,
+  };
+};
+
+export default {
+  ACCOUNT_TAX_TREATMENTS,
+  normalizeTaxSettings,
+  estimateIncomeYields,
+  buildTaxSimParams,
+  summarizeTaxes,
+};
@@ -0,0 +1,33 @@
+/**
+ * Downside Optimizer Web Worker
+ *
+ * Runs the scenario-based optimizer from utils/downsideOptimization (Min CVaR,
+ * Max Sortino, Max Omega) off the main thread. A Max Omega solve over 40
+ * positions and 20k scenarios takes several seconds, which would otherwise
+ * freeze the UI.
+ */
+
+import { optimizeDownside } from '../utils/downsideOptimization';
+
+// ============================================================================
+// WORKER MESSAGE HANDLER
+// ============================================================================
+
+self.onmessage = (e) => {
+  const { type, params, id } = e.data;
+
+  if (type === 'optimize') {
+    const startTime = performance.now();
+    try {
+      const result = optimizeDownside(params);
+      self.postMessage({
+        type: 'optimizeComplete',
+        id,
+        result,
+        elapsed: performance.now() - startTime,
+      });
+    } catch (error) {
+      self.postMessage({ type: 'optimizeError', id, error: error.message });
+    }
+  }
+};
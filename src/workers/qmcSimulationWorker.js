@@ -8,8 +8,17 @@
  * Based on Joy, Boyle & Tan (1996) "Quasi-Monte Carlo Methods in Numerical Finance"
  * 
  * Key insight: QMC provides O(N^-1 * log(N)^s) convergence vs O(N^-1/2) for standard MC
+ *
+ * The 'paths' method runs the time-stepped engine from utils/pathSimulation
+ * (monthly/daily steps over a multi-year horizon). This is the method the
+ * Simulation tab uses; the single-period batch runners below are kept for
+ * callers that only need a terminal annual draw. The 'scenarios' method
+ * returns the engine's one-year draw per position (the downside optimizer's
+ * scenario matrix).
  */
 
+import { runPathSimulationBatch, runScenarioBatch } from '../utils/pathSimulation';
+
 // ============================================================================
 // SOBOL SEQUENCE IMPLEMENTATION (embedded for Web Worker)
 // ============================================================================
@@ -537,6 +546,14 @@ self.onmessage = (e) => {
     const method = params.simulationMethod || 'standard';
     
     switch (method) {
+      case 'paths':
+        result = runPathSimulationBatch(params);
+        break;
+
+      case 'scenarios':
+        result = runScenarioBatch(params);
+        break;
+      
       case 'qmc':
       case 'quasi-monte-carlo':
       case 'sobol':
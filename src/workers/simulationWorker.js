@@ -3,11 +3,13 @@
  * Runs simulation paths in parallel across CPU cores
  */
 
-// Box-Muller transform for standard normal random numbers
+import { random, seedRandom } from '../utils/random';
+
+// Box-Muller transform for standard normal random numbers (seedable uniforms)
 const boxMuller = () => {
   let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = random();
+  while (v === 0) v = random();
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 };
 
@@ -126,6 +128,7 @@ const runSimulationBatch = (params) => {
     effectiveCashWeight,
     cashRate,
     annualVol,           // Pre-computed portfolio volatility
+    seed = null,         // PRNG seed (null = unseeded)
   } = params;
   
   // Pre-allocate result arrays using TypedArrays for better performance
@@ -138,6 +141,9 @@ const runSimulationBatch = (params) => {
   const assetReturns = new Float64Array(n);
   
   for (let pathIdx = 0; pathIdx < numPaths; pathIdx++) {
+    // One PRNG stream per global path: same seed => same paths for any worker split
+    if (seed != null) seedRandom(seed, startPath + pathIdx);
+
     // Generate independent standard normals
     for (let i = 0; i < n; i++) {
       z[i] = boxMuller();
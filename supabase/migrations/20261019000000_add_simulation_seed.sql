@@ -0,0 +1,6 @@
+-- Migration: Record the PRNG seed and worker count with each simulation run
+-- Same seed + same inputs + same worker count reproduces a run exactly
+
+ALTER TABLE public.simulation_results
+  ADD COLUMN IF NOT EXISTS seed BIGINT,          -- unsigned 32-bit xoshiro128** seed
+  ADD COLUMN IF NOT EXISTS worker_count INTEGER; -- workers the paths were split across
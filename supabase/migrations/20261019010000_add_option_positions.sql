@@ -0,0 +1,15 @@
+-- Migration: Listed option positions
+-- Options are stored as positions with position_type = 'Option': shares holds
+-- signed contracts (negative = written) and price the premium per share
+
+ALTER TABLE public.positions
+  ADD COLUMN IF NOT EXISTS underlying TEXT,                -- ticker of the underlying position
+  ADD COLUMN IF NOT EXISTS option_type TEXT
+    CHECK (option_type IS NULL OR option_type IN ('call', 'put')),
+  ADD COLUMN IF NOT EXISTS strike NUMERIC,
+  ADD COLUMN IF NOT EXISTS expiry DATE,
+  ADD COLUMN IF NOT EXISTS implied_vol NUMERIC;            -- decimal; NULL = use historical vol
+
+ALTER TABLE public.positions
+  ADD CONSTRAINT positions_option_fields_check
+  CHECK (position_type <> 'Option' OR (underlying IS NOT NULL AND option_type IS NOT NULL AND strike > 0 AND expiry IS NOT NULL));
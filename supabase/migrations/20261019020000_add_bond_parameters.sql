@@ -0,0 +1,10 @@
+-- Migration: Bond positions (position_type = 'Bond')
+-- Simulated return = carry - duration * dy + 1/2 convexity * dy^2 - spread_duration * ds
+
+ALTER TABLE public.positions
+  ADD COLUMN IF NOT EXISTS duration NUMERIC,        -- modified duration, years
+  ADD COLUMN IF NOT EXISTS convexity NUMERIC,       -- years^2; NULL = estimated from duration
+  ADD COLUMN IF NOT EXISTS bond_yield NUMERIC,      -- decimal, earned as carry
+  ADD COLUMN IF NOT EXISTS yield_vol NUMERIC,       -- annual yield-change volatility, decimal
+  ADD COLUMN IF NOT EXISTS spread_duration NUMERIC, -- 0 = no credit-spread factor
+  ADD COLUMN IF NOT EXISTS spread_vol NUMERIC;      -- annual spread-change volatility, decimal
@@ -0,0 +1,11 @@
+-- Migration: multiple portfolios per user
+-- Each portfolio is tagged with the kind of account it models; the app lists
+-- them oldest first and can combine them into a household view.
+
+ALTER TABLE public.portfolios
+  ADD COLUMN IF NOT EXISTS account_type TEXT NOT NULL DEFAULT 'taxable'
+    CHECK (account_type IN ('taxable', 'ira', 'roth', 'model', 'client', 'other'));
+
+-- Portfolio lists are ordered by creation time per user
+CREATE INDEX IF NOT EXISTS idx_portfolios_user_created
+  ON public.portfolios (user_id, created_at);
@@ -0,0 +1,49 @@
+-- Migration: Transaction ledger
+-- Positions can be derived from buys, sells, splits, dividends, transfers and
+-- fees replayed into tax lots. Dividend rows are also written to
+-- dividend_history and linked through dividend_id.
+
+-- ============================================
+-- TRANSACTIONS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  portfolio_id UUID NOT NULL REFERENCES public.portfolios(id) ON DELETE CASCADE,
+  client_id TEXT NOT NULL,                 -- app-side id; also the lot id of buys / transfers in
+  trade_date DATE NOT NULL,
+  txn_type TEXT NOT NULL
+    CHECK (txn_type IN ('buy', 'sell', 'split', 'dividend', 'transfer_in', 'transfer_out', 'fee')),
+  symbol TEXT,                             -- NULL only for account-level fees
+  quantity NUMERIC,                        -- shares, always positive
+  price NUMERIC,                           -- trade price; cost per share for transfers in; per-share dividend
+  amount NUMERIC,                          -- total dividend or fee
+  fees NUMERIC NOT NULL DEFAULT 0,         -- commissions on buys / sells
+  split_ratio NUMERIC,                     -- new shares per old share
+  acquired_date DATE,                      -- original acquisition date of a transfer in
+  lot_selection JSONB,                     -- [{ lotId, quantity }] for specific-ID sells
+  dividend_id UUID REFERENCES public.dividend_history(id) ON DELETE SET NULL,
+  note TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,   -- entry order, breaks same-day ties
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (portfolio_id, client_id)
+);
+
+-- Enable RLS
+ALTER TABLE public.transactions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Users can only access their own transactions
+CREATE POLICY "Users can CRUD own transactions"
+  ON public.transactions
+  FOR ALL
+  USING (portfolio_id IN (SELECT id FROM public.portfolios WHERE user_id = auth.uid()));
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_transactions_portfolio ON public.transactions(portfolio_id, trade_date);
+CREATE INDEX IF NOT EXISTS idx_transactions_symbol ON public.transactions(portfolio_id, symbol);
+
+-- ============================================
+-- GRANT PERMISSIONS
+-- ============================================
+
+GRANT ALL ON public.transactions TO authenticated;
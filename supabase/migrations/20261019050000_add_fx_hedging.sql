@@ -0,0 +1,7 @@
+-- Migration: Per-position FX hedging
+-- Amounts stay stored in USD; the portfolio's base currency lives in
+-- portfolio_settings.settings (baseCurrency). A hedged position drops the
+-- exchange-rate risk factor between its currency and the base currency.
+
+ALTER TABLE public.positions
+  ADD COLUMN IF NOT EXISTS fx_hedged BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,66 @@
+-- Migration: Daily portfolio value snapshots
+-- One row per portfolio and day with NAV, cash and holdings (USD), recorded
+-- when prices are refreshed. The Performance view derives time- and
+-- money-weighted returns, drawdowns and the forecast check from them.
+
+-- ============================================
+-- PORTFOLIO SNAPSHOTS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.portfolio_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  portfolio_id UUID NOT NULL REFERENCES public.portfolios(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  nav NUMERIC NOT NULL,                        -- positions + options + cash, USD
+  cash NUMERIC NOT NULL DEFAULT 0,
+  holdings JSONB NOT NULL DEFAULT '{}'::jsonb, -- { TICKER | 'option:<id>': { quantity, price } }
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (portfolio_id, snapshot_date)
+);
+
+-- Enable RLS
+ALTER TABLE public.portfolio_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Users can only access their own snapshots
+CREATE POLICY "Users can CRUD own snapshots"
+  ON public.portfolio_snapshots
+  FOR ALL
+  USING (portfolio_id IN (SELECT id FROM public.portfolios WHERE user_id = auth.uid()));
+
+CREATE INDEX IF NOT EXISTS idx_snapshots_portfolio ON public.portfolio_snapshots(portfolio_id, snapshot_date);
+
+-- ============================================
+-- KEEP PAST SIMULATION RUNS FOR THE FORECAST CHECK
+-- ============================================
+-- Previously only the 10 most recent runs survived. Also keep the last run of
+-- each day for 400 days so realized returns can be checked against the bands
+-- of runs from past quarters.
+
+CREATE OR REPLACE FUNCTION public.cleanup_old_simulation_results() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  DELETE FROM simulation_results
+  WHERE portfolio_id = NEW.portfolio_id
+    AND id NOT IN (
+      SELECT id FROM simulation_results
+      WHERE portfolio_id = NEW.portfolio_id
+      ORDER BY created_at DESC
+      LIMIT 10
+    )
+    AND id NOT IN (
+      SELECT DISTINCT ON (created_at::date) id FROM simulation_results
+      WHERE portfolio_id = NEW.portfolio_id
+        AND created_at > now() - interval '400 days'
+      ORDER BY created_at::date, created_at DESC
+    );
+  RETURN NEW;
+END;
+$$;
+
+-- ============================================
+-- GRANT PERMISSIONS
+-- ============================================
+
+GRANT ALL ON public.portfolio_snapshots TO authenticated;
@@ -0,0 +1,12 @@
+-- Migration: Keep 100 days of consensus snapshots
+-- The Black-Litterman views measure estimate revisions as the change in
+-- FY1 EPS and the consensus price target over the last 90 days, which needs
+-- more history than the 7 days the cleanup job used to keep.
+
+CREATE OR REPLACE FUNCTION cleanup_old_consensus_snapshots()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM consensus_snapshots
+  WHERE as_of_date < CURRENT_DATE - INTERVAL '100 days';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
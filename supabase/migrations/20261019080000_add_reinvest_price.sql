@@ -0,0 +1,6 @@
+-- Migration: Reinvested dividends
+-- A reinvested dividend buys shares, so the ledger opens a lot for it and
+-- needs the price the shares were bought at.
+
+ALTER TABLE public.transactions
+  ADD COLUMN IF NOT EXISTS reinvest_price NUMERIC;   -- share price a reinvested dividend bought at